@@ -49,13 +49,23 @@ module.exports = {
   stream: require('./polyfills/stream-stub'),
   process: require('./polyfills/process-stub'),
   crypto: require('./polyfills/crypto-stub'),
+  zlib: require('./polyfills/zlib-stub'),
   url: require('url'),
   parseurl: require('parseurl'),
   async_hooks: require('./polyfills/async-hooks-stub'),
   bodyParser: require('body-parser'),
   
-  // Transport
+  // Transports
   WebSocketTransport: require('./transports/ws-transport'),
+  LoopbackTransport: require('./transports/loopback-transport'),
+  MessageChannelTransport: require('./transports/message-channel-transport'),
+  BroadcastChannelTransport: require('./transports/message-channel-transport').BroadcastChannelTransport,
+  ServiceWorkerTransport: require('./transports/service-worker-transport'),
+  WorkerTransport: require('./transports/worker-transport'),
+  
+  // Worker runtime
+  startInWorker: require('./worker-runtime').startInWorker,
+  bootWorker: require('./worker-runtime').bootWorker,
   
   // Express with EventEmitter initialization wrapper
   express: createExpressWrapper(),
@@ -81,11 +91,19 @@ module.exports = {
     stream: require('./polyfills/stream-stub'),
     process: require('./polyfills/process-stub'),
     crypto: require('./polyfills/crypto-stub'),
+    zlib: require('./polyfills/zlib-stub'),
     url: require('url'),
     parseurl: require('parseurl'),
     async_hooks: require('./polyfills/async-hooks-stub'),
     bodyParser: require('body-parser'),
     WebSocketTransport: require('./transports/ws-transport'),
+    LoopbackTransport: require('./transports/loopback-transport'),
+    MessageChannelTransport: require('./transports/message-channel-transport'),
+    BroadcastChannelTransport: require('./transports/message-channel-transport').BroadcastChannelTransport,
+    ServiceWorkerTransport: require('./transports/service-worker-transport'),
+    WorkerTransport: require('./transports/worker-transport'),
+    startInWorker: require('./worker-runtime').startInWorker,
+    bootWorker: require('./worker-runtime').bootWorker,
     express: createExpressWrapper(),
     expressUtils: require('../lib/utils'),
     onFinished: require('on-finished'),
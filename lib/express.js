@@ -85,3 +85,8 @@ exports.urlencoded = bodyParser.urlencoded
  */
 
 exports.WebSocketTransport = require('./transports/ws-transport');
+exports.LoopbackTransport = require('./transports/loopback-transport');
+exports.MessageChannelTransport = require('./transports/message-channel-transport');
+exports.BroadcastChannelTransport = require('./transports/message-channel-transport').BroadcastChannelTransport;
+exports.ServiceWorkerTransport = require('./transports/service-worker-transport');
+exports.WorkerTransport = require('./transports/worker-transport');
@@ -1,272 +1,86 @@
 /*!
  * crypto-stub
- * Browser-compatible crypto implementation using Web Crypto API
- * 
- * The main challenge: Node.js crypto is synchronous, Web Crypto is async.
- * Solution: Pre-compute hashes for common use cases and cache results.
+ * Browser-compatible implementation of the Node.js crypto module
+ *
+ * Node.js crypto is synchronous while Web Crypto is async, so digests,
+ * ciphers and signatures are computed in pure JS (see ./crypto/) and Web
+ * Crypto is only used where an async API allows it.
  */
 
 'use strict';
 
-// Cache for pre-computed hashes to enable synchronous operation
-const hashCache = new Map();
-const CACHE_MAX_SIZE = 1000;
+const { Buffer } = require('node:buffer');
+const { getAlgorithm, getHashNames, SHA1, SHA256, SHA384, SHA512 } = require('./crypto/hash');
+const HMAC = require('./crypto/hmac');
+const derivePbkdf2 = require('./crypto/pbkdf2');
+const deriveScrypt = require('./crypto/scrypt');
+const AES = require('./crypto/aes');
+const { CBC, CTR, GCM } = require('./crypto/modes');
+const rsa = require('./crypto/rsa');
+const ec = require('./crypto/ec');
+const ed25519 = require('./crypto/ed25519');
+const keys = require('./crypto/keys');
+const asn1 = require('./crypto/asn1');
+const bigint = require('./crypto/bigint');
 
 /**
- * Pre-compute hash for common strings (empty string, small numbers, etc.)
- * This allows synchronous operation for the most common ETag scenarios
- */
-async function precomputeCommonHashes() {
-  if (typeof crypto === 'undefined' || !crypto.subtle) return;
-  
-  // Common strings that Express might hash for ETags
-  const commonInputs = [
-    '',
-    '0', '1', '2', '3', '4', '5',
-    'true', 'false', 
-    '{}', '[]',
-    'null', 'undefined'
-  ];
-  
-  for (const input of commonInputs) {
-    for (const algo of ['SHA-1', 'SHA-256']) {
-      try {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(input);
-        const hashBuffer = await crypto.subtle.digest(algo, data);
-        const hashArray = new Uint8Array(hashBuffer);
-        const hexHash = Array.from(hashArray)
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-        
-        const cacheKey = `${algo}:${input}`;
-        hashCache.set(cacheKey, {
-          hex: hexHash,
-          array: hashArray
-        });
-      } catch (e) {
-        // Ignore errors during pre-computation
-      }
-    }
-  }
-}
-
-// Start pre-computing in the background
-if (typeof window !== 'undefined') {
-  precomputeCommonHashes();
-}
-
-/**
- * Hash class that uses the browser's Web Crypto API with caching
+ * Hash class, matching the output of Node.js's crypto.Hash
  */
 class Hash {
-  constructor(algorithm) {
-    // Map Node.js algorithm names to Web Crypto names
-    const algorithmMap = {
-      'md5': 'MD5',        // MD5 not supported by Web Crypto
-      'sha1': 'SHA-1',
-      'sha256': 'SHA-256',
-      'sha384': 'SHA-384',
-      'sha512': 'SHA-512'
-    };
-    
-    this.algorithm = algorithmMap[algorithm.toLowerCase()] || algorithm;
-    this.data = [];
-    this._digest = null;
-    this._computing = false;
-    
-    // Check if we can use Web Crypto
-    this._supportsWebCrypto = typeof crypto !== 'undefined' && crypto.subtle;
-    this._canUseWebCrypto = this._supportsWebCrypto && this.algorithm !== 'MD5';
-  }
-
-  update(data, encoding) {
-    if (this._digest) {
-      throw new Error('Digest already called');
-    }
-    
-    if (typeof data === 'string') {
-      const encoder = new TextEncoder();
-      this.data.push(encoder.encode(data));
-    } else if (data instanceof ArrayBuffer || data instanceof Uint8Array) {
-      this.data.push(new Uint8Array(data));
-    } else if (data && typeof data === 'object' && data._bytes) {
-      // Handle our mock Buffer objects
-      this.data.push(data._bytes);
-    } else if (data) {
-      // Try to convert to string first
-      const str = data.toString();
-      const encoder = new TextEncoder();
-      this.data.push(encoder.encode(str));
-    }
-    
-    // Start computing hash in the background if we can
-    if (this._canUseWebCrypto && !this._computing) {
-      this._startBackgroundCompute();
-    }
-    
-    return this;
-  }
-
   /**
-   * Start computing the hash in the background using Web Crypto API
+   * @param {string} algorithm - e.g. 'sha256'; see getHashes()
    */
-  _startBackgroundCompute() {
-    this._computing = true;
-    
-    // Concatenate current data
-    const totalLength = this.data.reduce((sum, chunk) => sum + chunk.length, 0);
-    const combined = new Uint8Array(totalLength);
-    let offset = 0;
-    
-    for (const chunk of this.data) {
-      combined.set(chunk, offset);
-      offset += chunk.length;
-    }
-    
-    // Check cache first
-    const cacheKey = `${this.algorithm}:${new TextDecoder().decode(combined)}`;
-    const cached = hashCache.get(cacheKey);
-    if (cached) {
-      this._digest = cached;
-      return;
+  constructor(algorithm) {
+    const Algorithm = getAlgorithm(algorithm);
+    if (!Algorithm) {
+      throw new Error('Digest method not supported');
     }
-    
-    // Compute hash asynchronously
-    crypto.subtle.digest(this.algorithm, combined)
-      .then(hashBuffer => {
-        const hashArray = new Uint8Array(hashBuffer);
-        const hexHash = Array.from(hashArray)
-          .map(b => b.toString(16).padStart(2, '0'))
-          .join('');
-        
-        this._digest = {
-          hex: hexHash,
-          array: hashArray
-        };
-        
-        // Cache the result
-        if (hashCache.size < CACHE_MAX_SIZE) {
-          hashCache.set(cacheKey, this._digest);
-        }
-      })
-      .catch(() => {
-        // Fallback will be used if async computation fails
-        this._digest = null;
-      });
-  }
-
-  digest(encoding) {
-    // If we have a pre-computed result, use it
-    if (this._digest) {
-      return this._formatDigest(this._digest, encoding);
-    }
-    
-    // Check cache for the full data
-    const combined = this._combineData();
-    const cacheKey = `${this.algorithm}:${new TextDecoder().decode(combined)}`;
-    const cached = hashCache.get(cacheKey);
-    
-    if (cached) {
-      return this._formatDigest(cached, encoding);
-    }
-    
-    // Fallback: Use a fast synchronous hash for immediate response
-    // This is not cryptographically secure but works for ETags
-    return this._fallbackHash(combined, encoding);
+
+    this._hash = new Algorithm();
+    this._finalized = false;
   }
-  
+
   /**
-   * Combine all data chunks into a single Uint8Array
+   * @param {string|Buffer|TypedArray|DataView} data
+   * @param {string} [inputEncoding] - Encoding of a string `data`, 'utf8' by default
+   * @returns {Hash}
    */
-  _combineData() {
-    const totalLength = this.data.reduce((sum, chunk) => sum + chunk.length, 0);
-    const combined = new Uint8Array(totalLength);
-    let offset = 0;
-    
-    for (const chunk of this.data) {
-      combined.set(chunk, offset);
-      offset += chunk.length;
+  update(data, inputEncoding) {
+    if (this._finalized) {
+      throw hashFinalizedError();
     }
-    
-    return combined;
+
+    this._hash.update(toBytes(data, inputEncoding));
+    return this;
   }
-  
+
   /**
-   * Format digest result based on encoding
+   * @param {string} [outputEncoding] - 'hex', 'base64', 'base64url', 'latin1'...
+   * @returns {Buffer|string} Buffer without an encoding, string with one
    */
-  _formatDigest(digest, encoding) {
-    if (encoding === 'hex') {
-      return digest.hex;
-    } else if (encoding === 'base64') {
-      return btoa(String.fromCharCode(...digest.array));
-    } else {
-      // Return a buffer-like object
-      return {
-        toString: function(enc) {
-          if (enc === 'hex') return digest.hex;
-          if (enc === 'base64') return btoa(String.fromCharCode(...digest.array));
-          return digest.hex;
-        },
-        _isBuffer: true,
-        _bytes: digest.array
-      };
+  digest(outputEncoding) {
+    if (this._finalized) {
+      throw hashFinalizedError();
     }
+
+    this._finalized = true;
+    const digest = Buffer.from(this._hash.digest());
+    return outputEncoding ? digest.toString(outputEncoding) : digest;
   }
-  
+
   /**
-   * Fallback hash function when Web Crypto result isn't available
-   * Uses FNV-1a hash - fast with good distribution
-   */
-  _fallbackHash(data, encoding) {
-    // FNV-1a 32-bit hash
-    let hash = 2166136261; // FNV offset basis
-    
-    for (let i = 0; i < data.length; i++) {
-      hash ^= data[i];
-      hash = (hash * 16777619) >>> 0; // FNV prime, keep 32-bit
-    }
-    
-    // Add algorithm identifier to make different algorithms produce different results
-    const algoCode = this.algorithm.charCodeAt(0) || 0;
-    hash = ((hash ^ algoCode) * 16777619) >>> 0;
-    
-    // Convert to hex
-    const hexHash = hash.toString(16).padStart(8, '0');
-    
-    // Start async computation for future requests
-    if (this._canUseWebCrypto && !this._computing) {
-      this._startBackgroundCompute();
-    }
-    
-    // Return based on encoding
-    if (encoding === 'hex') {
-      return hexHash;
-    } else if (encoding === 'base64') {
-      const bytes = new Uint8Array(4);
-      bytes[0] = (hash >>> 24) & 0xFF;
-      bytes[1] = (hash >>> 16) & 0xFF;
-      bytes[2] = (hash >>> 8) & 0xFF;
-      bytes[3] = hash & 0xFF;
-      return btoa(String.fromCharCode(...bytes));
-    } else {
-      // Return a buffer-like object
-      const bytes = new Uint8Array(4);
-      bytes[0] = (hash >>> 24) & 0xFF;
-      bytes[1] = (hash >>> 16) & 0xFF;
-      bytes[2] = (hash >>> 8) & 0xFF;
-      bytes[3] = hash & 0xFF;
-      
-      return {
-        toString: function(enc) {
-          if (enc === 'hex') return hexHash;
-          if (enc === 'base64') return btoa(String.fromCharCode(...bytes));
-          return hexHash;
-        },
-        _isBuffer: true,
-        _bytes: bytes
-      };
+   * Copy the current state into a new Hash
+   * @returns {Hash}
+   */
+  copy() {
+    if (this._finalized) {
+      throw hashFinalizedError();
     }
+
+    const copy = Object.create(Hash.prototype);
+    copy._hash = this._hash.copy();
+    copy._finalized = false;
+    return copy;
   }
 }
 
@@ -279,6 +93,136 @@ function createHash(algorithm) {
   return new Hash(algorithm);
 }
 
+/**
+ * @returns {string[]} Supported hash algorithms
+ */
+function getHashes() {
+  return getHashNames();
+}
+
+/**
+ * @returns {string[]} Supported cipher algorithms, under each name
+ *   createCipheriv() accepts them by
+ */
+function getCiphers() {
+  const names = [];
+
+  for (const bits of [128, 192, 256]) {
+    names.push(`aes-${bits}-cbc`, `aes-${bits}-ctr`, `aes-${bits}-gcm`, `aes${bits}`, `id-aes${bits}-GCM`);
+  }
+  return names.sort();
+}
+
+/**
+ * Convert hash/HMAC input to bytes, as Node.js does
+ * @private
+ */
+function toBytes(data, encoding) {
+  if (typeof data === 'string') {
+    return Buffer.from(data, encoding || 'utf8');
+  }
+
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+
+  throw invalidArgTypeError('data', 'of type string or an instance of Buffer, TypedArray, or DataView', data);
+}
+
+/**
+ * Convert a secret key to bytes
+ * @private
+ */
+function keyToBytes(key, encoding) {
+  if (key instanceof KeyObject) {
+    if (key.type !== 'secret') {
+      throw codedError(TypeError, 'ERR_CRYPTO_INVALID_KEY_OBJECT_TYPE',
+        `Invalid key object type ${key.type}, expected secret.`);
+    }
+    return key._handle.bytes;
+  }
+
+  if (key instanceof ArrayBuffer) {
+    return new Uint8Array(key);
+  }
+
+  if (typeof key === 'string' || ArrayBuffer.isView(key)) {
+    return toBytes(key, encoding);
+  }
+
+  throw invalidArgTypeError('key',
+    'of type string or an instance of ArrayBuffer, Buffer, TypedArray, DataView, KeyObject, or CryptoKey', key);
+}
+
+/**
+ * View an ArrayBuffer or ArrayBufferView as bytes
+ * @private
+ */
+function bufferSourceToBytes(value, name) {
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  throw invalidArgTypeError(name, 'an instance of ArrayBuffer, Buffer, TypedArray, or DataView', value);
+}
+
+/**
+ * @private
+ */
+function invalidArgTypeError(name, expected, value) {
+  const kind = name.includes('.') ? 'property' : 'argument';
+  const error = new TypeError(`The "${name}" ${kind} must be ${expected}. Received ${describe(value)}`);
+  error.code = 'ERR_INVALID_ARG_TYPE';
+  return error;
+}
+
+/**
+ * @private
+ */
+function invalidArgValueError(name, value, reason = 'is invalid') {
+  const kind = name.includes('.') ? 'property' : 'argument';
+  const received = typeof value === 'string' ? `'${value}'` : String(value);
+
+  return codedError(TypeError, 'ERR_INVALID_ARG_VALUE', `The ${kind} '${name}' ${reason}. Received ${received}`);
+}
+
+/**
+ * Describe a value for an ERR_INVALID_ARG_TYPE message
+ * @private
+ */
+function describe(value) {
+  if (value == null) {
+    return String(value);
+  }
+
+  if (typeof value === 'object') {
+    return value.constructor && value.constructor.name
+      ? `an instance of ${value.constructor.name}`
+      : 'an object';
+  }
+
+  if (typeof value === 'bigint') {
+    return `type bigint (${value}n)`;
+  }
+
+  return typeof value === 'string'
+    ? `type string ('${value}')`
+    : `type ${typeof value} (${String(value)})`;
+}
+
+/**
+ * @private
+ */
+function hashFinalizedError() {
+  const error = new Error('Digest already called');
+  error.code = 'ERR_CRYPTO_HASH_FINALIZED';
+  return error;
+}
+
 /**
  * Generate random bytes using Web Crypto API
  * @param {number} size - Number of bytes to generate
@@ -286,168 +230,1759 @@ function createHash(algorithm) {
  * @returns {Buffer|undefined} Buffer with random bytes or undefined if callback provided
  */
 function randomBytes(size, callback) {
-  const bytes = new Uint8Array(size);
+  const buffer = Buffer.alloc(size);
+  fillRandom(buffer);
+  
+  if (callback) {
+    // Async interface
+    setTimeout(() => callback(null, buffer), 0);
+    return undefined;
+  }
   
-  // Use Web Crypto API for secure random generation
+  return buffer;
+}
+
+/**
+ * Fill part of a buffer with random bytes. `offset` and `size` count
+ * elements of a TypedArray, bytes otherwise.
+ * @param {ArrayBuffer|TypedArray|DataView} buf
+ * @param {number} [offset=0]
+ * @param {number} [size] - Defaults to the rest of `buf`
+ * @returns {ArrayBuffer|TypedArray|DataView} `buf`
+ */
+function randomFillSync(buf, offset = 0, size) {
+  const bytes = randomFillTarget(buf, offset, size);
+  fillRandom(bytes);
+  return buf;
+}
+
+/**
+ * Asynchronous randomFillSync()
+ * @param {ArrayBuffer|TypedArray|DataView} buf
+ * @param {number} [offset=0]
+ * @param {number} [size]
+ * @param {Function} callback - Called with (err, buf)
+ */
+function randomFill(buf, offset, size, callback) {
+  if (typeof offset === 'function') {
+    callback = offset;
+    offset = 0;
+    size = undefined;
+  } else if (typeof size === 'function') {
+    callback = size;
+    size = undefined;
+  }
+
+  validateFunction(callback, 'callback');
+  const bytes = randomFillTarget(buf, offset, size);
+
+  setTimeout(() => {
+    fillRandom(bytes);
+    callback(null, buf);
+  }, 0);
+}
+
+/**
+ * Validate randomFill() arguments and view the range to fill
+ * @private
+ */
+function randomFillTarget(buf, offset, size) {
+  if (!(buf instanceof ArrayBuffer) && !ArrayBuffer.isView(buf)) {
+    throw invalidArgTypeError('buf', 'an instance of ArrayBuffer or ArrayBufferView', buf);
+  }
+
+  const bytes = bufferSourceToBytes(buf, 'buf');
+  const elementSize = buf.BYTES_PER_ELEMENT || 1;
+
+  if (typeof offset !== 'number') {
+    throw invalidArgTypeError('offset', 'of type number', offset);
+  }
+
+  offset *= elementSize;
+  if (!(offset >= 0 && offset <= bytes.length)) {
+    throw outOfRangeError('offset', `>= 0 && <= ${bytes.length}`, offset);
+  }
+
+  if (size === undefined) {
+    return bytes.subarray(offset);
+  }
+
+  if (typeof size !== 'number') {
+    throw invalidArgTypeError('size', 'of type number', size);
+  }
+
+  size *= elementSize;
+  if (!(size >= 0 && size <= 2147483647)) {
+    throw outOfRangeError('size', '>= 0 && <= 2147483647', size);
+  }
+
+  if (size + offset > bytes.length) {
+    throw outOfRangeError('size + offset', `<= ${bytes.length}`, size + offset);
+  }
+
+  return bytes.subarray(offset, offset + size);
+}
+
+/**
+ * Fill bytes from Web Crypto, which gives at most 64KiB per call
+ * @private
+ */
+function fillRandom(bytes) {
   if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-    crypto.getRandomValues(bytes);
+    for (let i = 0; i < bytes.length; i += 65536) {
+      crypto.getRandomValues(bytes.subarray(i, i + 65536));
+    }
   } else {
     // Fallback for environments without crypto.getRandomValues
-    for (let i = 0; i < size; i++) {
+    for (let i = 0; i < bytes.length; i++) {
       bytes[i] = Math.floor(Math.random() * 256);
     }
   }
-  
-  // Create a buffer-like object
-  const buffer = {
-    _bytes: bytes,
-    length: size,
-    _isBuffer: true,
-    toString: function(encoding) {
-      if (encoding === 'hex') {
-        return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-      } else if (encoding === 'base64') {
-        return btoa(String.fromCharCode(...bytes));
-      }
-      return new TextDecoder().decode(bytes);
-    },
-    slice: function(start, end) {
-      const sliced = bytes.slice(start, end);
-      return {
-        _bytes: sliced,
-        length: sliced.length,
-        _isBuffer: true,
-        toString: this.toString
-      };
-    }
-  };
-  
+}
+
+// Largest range randomInt() supports: it draws 48 random bits
+const RAND_MAX = 0xffffffffffff;
+
+/**
+ * Random integer with min <= n < max, without modulo bias
+ * @param {number} [min=0]
+ * @param {number} max
+ * @param {Function} [callback] - Called with (err, n) instead of returning
+ * @returns {number|undefined}
+ */
+function randomInt(min, max, callback) {
+  const minNotSpecified = max === undefined || typeof max === 'function';
+
+  if (minNotSpecified) {
+    callback = max;
+    max = min;
+    min = 0;
+  }
+
+  if (callback !== undefined) {
+    validateFunction(callback, 'callback');
+  }
+
+  if (!Number.isSafeInteger(min)) {
+    throw invalidArgTypeError('min', 'a safe integer', min);
+  }
+
+  if (!Number.isSafeInteger(max)) {
+    throw invalidArgTypeError('max', 'a safe integer', max);
+  }
+
+  if (max <= min) {
+    throw outOfRangeError('max', `greater than the value of "min" (${min})`, max);
+  }
+
+  const range = max - min;
+  if (range > RAND_MAX) {
+    throw outOfRangeError(minNotSpecified ? 'max' : 'max - min', `<= ${RAND_MAX}`, range);
+  }
+
+  // Reject draws from the incomplete last multiple of `range`
+  const limit = RAND_MAX - (RAND_MAX % range);
+  const bytes = new Uint8Array(6);
+  let n;
+
+  do {
+    fillRandom(bytes);
+    n = bytes.reduce((value, byte) => value * 256 + byte, 0);
+  } while (n >= limit);
+
+  const result = min + (n % range);
+
   if (callback) {
-    // Async interface
-    setTimeout(() => callback(null, buffer), 0);
+    setTimeout(() => callback(null, result), 0);
     return undefined;
   }
-  
-  return buffer;
+
+  return result;
+}
+
+/**
+ * Random RFC 4122 version 4 UUID. Built from getRandomValues() since Web
+ * Crypto's randomUUID() is only available in secure contexts.
+ * @returns {string}
+ */
+function randomUUID() {
+  const bytes = new Uint8Array(16);
+  fillRandom(bytes);
+
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+
+  const hex = Buffer.from(bytes.buffer).toString('hex');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Web Crypto's getRandomValues(), as Node.js exposes it
+ * @param {TypedArray} typedArray - Integer-typed, at most 64KiB
+ * @returns {TypedArray} `typedArray`
+ */
+function getRandomValues(typedArray) {
+  return crypto.getRandomValues(typedArray);
 }
 
 /**
- * HMAC implementation using Web Crypto API
+ * Hmac class, matching the output of Node.js's crypto.Hmac
  */
 class Hmac {
-  constructor(algorithm, key) {
-    this.algorithm = algorithm;
-    this.key = key;
-    this.hash = new Hash(algorithm);
+  /**
+   * @param {string} algorithm - Hash algorithm, see getHashes()
+   * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} key
+   * @param {Object} [options]
+   * @param {string} [options.encoding] - Encoding of a string `key`, 'utf8' by default
+   */
+  constructor(algorithm, key, options) {
+    const Algorithm = getAlgorithm(algorithm);
+    if (!Algorithm) {
+      const error = new TypeError(`Invalid digest: ${algorithm}`);
+      error.code = 'ERR_CRYPTO_INVALID_DIGEST';
+      throw error;
+    }
+
+    this._hmac = new HMAC(Algorithm, keyToBytes(key, options && options.encoding));
+    this._finalized = false;
   }
-  
-  update(data) {
-    this.hash.update(this.key);
-    this.hash.update(data);
+
+  /**
+   * @param {string|Buffer|TypedArray|DataView} data
+   * @param {string} [inputEncoding] - Encoding of a string `data`, 'utf8' by default
+   * @returns {Hmac}
+   */
+  update(data, inputEncoding) {
+    if (this._finalized) {
+      throw hashFinalizedError();
+    }
+
+    this._hmac.update(toBytes(data, inputEncoding));
     return this;
   }
-  
-  digest(encoding) {
-    return this.hash.digest(encoding);
+
+  /**
+   * Calling digest() again returns an empty result, as in Node.js
+   * @param {string} [outputEncoding] - 'hex', 'base64', 'base64url', 'latin1'...
+   * @returns {Buffer|string} Buffer without an encoding, string with one
+   */
+  digest(outputEncoding) {
+    const digest = this._finalized ? Buffer.alloc(0) : Buffer.from(this._hmac.digest());
+
+    this._finalized = true;
+    return outputEncoding ? digest.toString(outputEncoding) : digest;
   }
 }
 
 /**
  * Create HMAC instance
+ * @param {string} algorithm - Hash algorithm (e.g., 'sha256')
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} key - Secret key
+ * @param {Object} [options] - Hmac options
+ * @returns {Hmac} Hmac instance
  */
-function createHmac(algorithm, key) {
-  return new Hmac(algorithm, key);
+function createHmac(algorithm, key, options) {
+  return new Hmac(algorithm, key, options);
 }
 
 /**
- * Create a cipher (stub for now)
+ * Compare two buffers in time that depends only on their length
+ * @param {Buffer|TypedArray|DataView|ArrayBuffer} a
+ * @param {Buffer|TypedArray|DataView|ArrayBuffer} b
+ * @returns {boolean}
  */
-function createCipheriv(algorithm, key, iv) {
-  return {
-    update: function(data) { return data; },
-    final: function() { return ''; }
-  };
+function timingSafeEqual(a, b) {
+  const x = bufferSourceToBytes(a, 'buf1');
+  const y = bufferSourceToBytes(b, 'buf2');
+
+  if (x.length !== y.length) {
+    const error = new RangeError('Input buffers must have the same byte length');
+    error.code = 'ERR_CRYPTO_TIMING_SAFE_EQUAL_LENGTH';
+    throw error;
+  }
+
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) {
+    diff |= x[i] ^ y[i];
+  }
+  return diff === 0;
 }
 
 /**
- * Create a decipher (stub for now)
+ * KeyObject class, matching Node.js's crypto.KeyObject. Created through
+ * createSecretKey(), createPublicKey(), createPrivateKey() or
+ * generateKeyPair() rather than directly.
  */
-function createDecipheriv(algorithm, key, iv) {
-  return {
-    update: function(data) { return data; },
-    final: function() { return ''; }
-  };
+class KeyObject {
+  /**
+   * @param {string} type - 'secret', 'public' or 'private'
+   * @param {Object} handle - Key material
+   */
+  constructor(type, handle) {
+    if (type !== 'secret' && type !== 'public' && type !== 'private') {
+      throw invalidArgValueError('type', type);
+    }
+
+    if (typeof handle !== 'object' || handle === null) {
+      throw invalidArgTypeError('handle', 'of type object', handle);
+    }
+
+    this._type = type;
+    this._handle = handle;
+  }
+
+  /**
+   * @returns {string} 'secret', 'public' or 'private'
+   */
+  get type() {
+    return this._type;
+  }
+
+  get [Symbol.toStringTag]() {
+    return 'KeyObject';
+  }
+
+  /**
+   * @param {KeyObject} otherKeyObject
+   * @returns {boolean} Whether both hold the same key
+   */
+  equals(otherKeyObject) {
+    if (!(otherKeyObject instanceof KeyObject)) {
+      throw invalidArgTypeError('otherKeyObject', 'an instance of KeyObject', otherKeyObject);
+    }
+
+    const a = keyMaterial(this);
+    const b = keyMaterial(otherKeyObject);
+
+    return otherKeyObject.type === this.type && a.length === b.length && timingSafeEqual(a, b);
+  }
 }
 
 /**
- * PBKDF2 implementation using Web Crypto API
+ * Bytes that identify a key: the secret itself, or its SPKI or PKCS#8 DER
+ * @private
  */
-async function pbkdf2Async(password, salt, iterations, keylen, digest) {
-  if (!crypto.subtle) {
-    throw new Error('Web Crypto API not available');
+function keyMaterial(keyObject) {
+  switch (keyObject.type) {
+    case 'secret':
+      return keyObject._handle.bytes;
+    case 'public':
+      return keys.toDer(keyObject._handle, 'spki');
+    default:
+      return keys.toDer(keyObject._handle, 'pkcs8');
   }
-  
-  // Import password as key
-  const enc = new TextEncoder();
-  const passwordKey = await crypto.subtle.importKey(
-    'raw',
-    enc.encode(password),
-    'PBKDF2',
-    false,
-    ['deriveBits']
-  );
-  
-  // Derive bits
-  const bits = await crypto.subtle.deriveBits(
-    {
-      name: 'PBKDF2',
-      salt: enc.encode(salt),
-      iterations: iterations,
-      hash: digest === 'sha256' ? 'SHA-256' : 'SHA-1'
-    },
-    passwordKey,
-    keylen * 8
-  );
-  
-  return new Uint8Array(bits);
 }
 
 /**
- * PBKDF2 with callback (async)
+ * A KeyObject holding a symmetric key
  */
-function pbkdf2(password, salt, iterations, keylen, digest, callback) {
-  pbkdf2Async(password, salt, iterations, keylen, digest)
-    .then(result => callback(null, result))
-    .catch(err => {
-      // Fallback to simple implementation
-      const key = randomBytes(keylen);
-      callback(null, key);
-    });
+class SecretKeyObject extends KeyObject {
+  /**
+   * @param {Object} handle
+   * @param {Uint8Array} handle.bytes
+   */
+  constructor(handle) {
+    super('secret', handle);
+  }
+
+  /**
+   * @returns {number} Key size in bytes
+   */
+  get symmetricKeySize() {
+    return this._handle.bytes.length;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.format='buffer'] - 'buffer' or 'jwk'
+   * @returns {Buffer|Object}
+   */
+  export(options) {
+    const format = options && options.format;
+    const bytes = Buffer.from(this._handle.bytes);
+
+    if (format === 'jwk') {
+      return { kty: 'oct', k: bytes.toString('base64url') };
+    }
+
+    if (format !== undefined && format !== 'buffer') {
+      throw invalidArgValueError('options.format', format, "must be one of: undefined, 'buffer', 'jwk'");
+    }
+
+    return bytes;
+  }
 }
 
 /**
- * PBKDF2 sync stub (can't truly be sync with Web Crypto)
+ * Create a KeyObject for a symmetric key, usable wherever Hmac or the
+ * ciphers take a key
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} key
+ * @param {string} [encoding] - Encoding of a string `key`
+ * @returns {KeyObject}
  */
-function pbkdf2Sync(password, salt, iterations, keylen, digest) {
-  // This is a limitation - Web Crypto is async only
-  // Return a deterministic but not secure result for testing
-  return randomBytes(keylen);
+function createSecretKey(key, encoding) {
+  const bytes = typeof key === 'string'
+    ? Buffer.from(key, encoding || 'utf8')
+    : bufferSourceToBytes(key, 'key');
+
+  return new SecretKeyObject({ bytes: Uint8Array.from(bytes) });
+}
+
+// RSA padding and PSS salt length constants, as in crypto.constants
+const RSA_CONSTANTS = {
+  RSA_PKCS1_PADDING: 1,
+  RSA_NO_PADDING: 3,
+  RSA_PKCS1_OAEP_PADDING: 4,
+  RSA_PKCS1_PSS_PADDING: 6,
+  RSA_PSS_SALTLEN_DIGEST: -1,
+  RSA_PSS_SALTLEN_MAX_SIGN: -2,
+  RSA_PSS_SALTLEN_AUTO: -2
+};
+
+const KEY_DATA_TYPES = 'of type string or an instance of ArrayBuffer, Buffer, TypedArray, DataView';
+
+/**
+ * A KeyObject holding one half of an RSA, EC or Ed25519 key pair
+ */
+class AsymmetricKeyObject extends KeyObject {
+  /**
+   * @returns {string} 'rsa', 'ec' or 'ed25519'
+   */
+  get asymmetricKeyType() {
+    return this._handle.type;
+  }
+
+  /**
+   * @returns {Object} { modulusLength, publicExponent } for RSA keys,
+   *   { namedCurve } for EC keys
+   */
+  get asymmetricKeyDetails() {
+    const key = this._handle;
+
+    switch (key.type) {
+      case 'rsa':
+        return { modulusLength: bigint.bitLength(key.n), publicExponent: key.e };
+      case 'ec':
+        return { namedCurve: key.curve.name };
+      default:
+        return {};
+    }
+  }
+}
+
+class PublicKeyObject extends AsymmetricKeyObject {
+  constructor(handle) {
+    super('public', handle);
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} options.format - 'pem', 'der' or 'jwk'
+   * @param {string} [options.type] - 'spki', or 'pkcs1' for RSA keys;
+   *   required unless the format is 'jwk'
+   * @returns {string|Buffer|Object}
+   */
+  export(options) {
+    if (typeof options !== 'object' || options === null) {
+      throw invalidArgTypeError('options', 'of type object', options);
+    }
+    return exportKey(this._handle, options, 'options');
+  }
+}
+
+class PrivateKeyObject extends AsymmetricKeyObject {
+  constructor(handle) {
+    super('private', handle);
+  }
+
+  /**
+   * Encrypted export (options.cipher) isn't supported.
+   * @param {Object} options
+   * @param {string} options.format - 'pem', 'der' or 'jwk'
+   * @param {string} [options.type] - 'pkcs8', 'pkcs1' for RSA keys or
+   *   'sec1' for EC keys; required unless the format is 'jwk'
+   * @returns {string|Buffer|Object}
+   */
+  export(options) {
+    if (typeof options !== 'object' || options === null) {
+      throw invalidArgTypeError('options', 'of type object', options);
+    }
+    return exportKey(this._handle, options, 'options');
+  }
+}
+
+/**
+ * @private
+ */
+function exportKey(key, options, name) {
+  const { format, type } = options;
+
+  if (format === 'jwk') {
+    return keys.toJwk(key);
+  }
+
+  if (format !== 'pem' && format !== 'der') {
+    throw invalidArgValueError(`${name}.format`, format);
+  }
+
+  const types = keys.isPrivate(key) ? ['pkcs8', 'pkcs1', 'sec1'] : ['spki', 'pkcs1'];
+  if (!types.includes(type)) {
+    throw invalidArgValueError(`${name}.type`, type);
+  }
+
+  if ((type === 'pkcs1' && key.type !== 'rsa') || (type === 'sec1' && key.type !== 'ec')) {
+    throw codedError(Error, 'ERR_CRYPTO_INCOMPATIBLE_KEY_OPTIONS',
+      `The selected key encoding ${type} can only be used for ${type === 'pkcs1' ? 'RSA' : 'EC'} keys.`);
+  }
+
+  if (options.cipher !== undefined) {
+    throw codedError(Error, 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM',
+      'The feature encrypted private keys is unavailable on the current platform, which is being used to run Node.js');
+  }
+
+  return format === 'pem' ? keys.toPem(key, type) : Buffer.from(keys.toDer(key, type));
+}
+
+/**
+ * Create a public KeyObject from a public key, a private key (whose
+ * public half it takes) or an X.509 certificate
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer|KeyObject|Object} key -
+ *   PEM, a private KeyObject, or { key, format, type, encoding } where
+ *   format is 'pem', 'der' or 'jwk'
+ * @returns {KeyObject}
+ */
+function createPublicKey(key) {
+  return new PublicKeyObject(keys.toPublic(readAsymmetricKey(key, ['private'], false).key));
+}
+
+/**
+ * Create a private KeyObject. Encrypted keys aren't supported.
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer|Object} key -
+ *   PEM, or { key, format, type, encoding } as for createPublicKey()
+ * @returns {KeyObject}
+ */
+function createPrivateKey(key) {
+  return new PrivateKeyObject(readAsymmetricKey(key, null, true).key);
+}
+
+/**
+ * Read a key argument in any of the forms Node.js takes: a KeyObject,
+ * PEM, or an options object around PEM, DER or a JWK
+ * @private
+ * @param {*} input
+ * @param {string[]|null} keyObjectTypes - KeyObject types accepted, or
+ *   null if KeyObjects aren't
+ * @param {boolean} privateOnly - Whether key data must be a private key
+ * @returns {{key: Object, options: Object}} Key from ./crypto/keys.js and
+ *   the options object, if any
+ */
+function readAsymmetricKey(input, keyObjectTypes, privateOnly) {
+  const wrapped = typeof input === 'object' && input !== null && !(input instanceof KeyObject) &&
+    !(input instanceof ArrayBuffer) && !ArrayBuffer.isView(input);
+  const options = wrapped ? input : {};
+  const data = wrapped ? input.key : input;
+  const name = wrapped ? 'key.key' : 'key';
+
+  if (data instanceof KeyObject && keyObjectTypes) {
+    if (!keyObjectTypes.includes(data.type)) {
+      throw codedError(TypeError, 'ERR_CRYPTO_INVALID_KEY_OBJECT_TYPE',
+        `Invalid key object type ${data.type}, expected ${keyObjectTypes.join(' or ')}.`);
+    }
+    return { key: data._handle, options };
+  }
+
+  if (options.format === 'jwk') {
+    return { key: readJwk(data, privateOnly), options };
+  }
+
+  if (typeof data !== 'string' && !(data instanceof ArrayBuffer) && !ArrayBuffer.isView(data)) {
+    throw invalidArgTypeError(name, keyObjectTypes
+      ? `${KEY_DATA_TYPES}, KeyObject, or CryptoKey`
+      : `${KEY_DATA_TYPES.replace(/, DataView$/, ', or DataView')}`, data);
+  }
+
+  const format = options.format === undefined ? 'pem' : options.format;
+  if (format !== 'pem' && format !== 'der') {
+    throw invalidArgValueError('options.format', format);
+  }
+
+  const bytes = typeof data === 'string'
+    ? Buffer.from(data, format === 'pem' ? 'utf8' : options.encoding || 'utf8')
+    : bufferSourceToBytes(data, name);
+  let key;
+
+  if (format === 'pem') {
+    key = keys.fromPem(Buffer.from(bytes).toString('utf8'));
+  } else {
+    const types = privateOnly ? ['pkcs8', 'pkcs1', 'sec1'] : ['spki', 'pkcs1', 'pkcs8', 'sec1'];
+    if (!types.includes(options.type)) {
+      throw invalidArgValueError('options.type', options.type);
+    }
+
+    key = options.type === 'pkcs1' && !privateOnly
+      ? keys.fromDer(bytes, 'pkcs1', false) || keys.fromDer(bytes, 'pkcs1', true)
+      : keys.fromDer(bytes, options.type, true);
+  }
+
+  if (!key || (privateOnly && !keys.isPrivate(key))) {
+    throw opensslError('1E08010C', 'DECODER routines', 'unsupported');
+  }
+  return { key, options };
+}
+
+// Members each JWK key type must have as strings, public then private
+const JWK_MEMBERS = {
+  RSA: [['n', 'e'], ['d', 'p', 'q', 'dp', 'dq', 'qi']],
+  EC: [['x', 'y'], ['d']],
+  OKP: [['x'], ['d']]
+};
+
+const JWK_CURVES = {
+  EC: ['P-256', 'P-384'],
+  OKP: ['Ed25519']
+};
+
+/**
+ * @private
+ */
+function readJwk(jwk, privateOnly) {
+  if (typeof jwk !== 'object' || jwk === null) {
+    throw invalidArgTypeError('key.key', 'of type object', jwk);
+  }
+
+  const kty = jwk.kty;
+  if (!Object.prototype.hasOwnProperty.call(JWK_MEMBERS, kty)) {
+    throw invalidArgValueError('key.kty', kty, "must be one of: 'RSA', 'EC', 'OKP'");
+  }
+
+  if (JWK_CURVES[kty] && !JWK_CURVES[kty].includes(jwk.crv)) {
+    throw invalidArgValueError('key.crv', jwk.crv,
+      `must be one of: ${JWK_CURVES[kty].map(crv => `'${crv}'`).join(', ')}`);
+  }
+
+  // Public keys are read from the public members alone
+  const [publicMembers, privateMembers] = JWK_MEMBERS[kty];
+  const members = privateOnly ? [...publicMembers, ...privateMembers] : publicMembers;
+  const subset = { kty, crv: jwk.crv };
+
+  for (const member of members) {
+    if (typeof jwk[member] !== 'string') {
+      throw invalidArgTypeError(`key.${member}`, 'of type string', jwk[member]);
+    }
+    subset[member] = jwk[member];
+  }
+
+  const key = keys.fromJwk(subset);
+  if (!key) {
+    throw codedError(TypeError, 'ERR_CRYPTO_INVALID_JWK', `Invalid JWK ${kty} key`);
+  }
+  return key;
+}
+
+/**
+ * Read the key argument of a signing operation, with the signature
+ * options an options object may carry
+ * @private
+ * @returns {{key: Object, padding: number, saltLength: number, dsaEncoding: string}}
+ */
+function readSigningKey(input, privateOnly) {
+  const { key, options } = privateOnly
+    ? readAsymmetricKey(input, ['private'], true)
+    : readAsymmetricKey(input, ['private', 'public'], false);
+  const { padding, saltLength, dsaEncoding = 'der' } = options;
+
+  if (padding !== undefined && !Number.isInteger(padding)) {
+    throw invalidArgValueError('options.padding', padding);
+  }
+
+  if (saltLength !== undefined && !Number.isInteger(saltLength)) {
+    throw invalidArgValueError('options.saltLength', saltLength);
+  }
+
+  if (dsaEncoding !== 'der' && dsaEncoding !== 'ieee-p1363') {
+    throw invalidArgValueError('options.dsaEncoding', dsaEncoding);
+  }
+
+  return { key, padding, saltLength, dsaEncoding };
+}
+
+/**
+ * Sign a digest with an RSA or EC key
+ * @private
+ */
+function signDigest(Algorithm, digest, { key, padding, saltLength, dsaEncoding }) {
+  if (key.type === 'ec') {
+    const { r, s } = ec.sign(key, Algorithm, digest);
+    return dsaEncoding === 'der'
+      ? asn1.sequence(asn1.integer(r), asn1.integer(s))
+      : asn1.concat([bigint.toBytes(r, key.curve.size), bigint.toBytes(s, key.curve.size)]);
+  }
+
+  try {
+    switch (padding === undefined ? RSA_CONSTANTS.RSA_PKCS1_PADDING : padding) {
+      case RSA_CONSTANTS.RSA_PKCS1_PADDING:
+        return rsa.signPkcs1(key, hashName(Algorithm), digest);
+      case RSA_CONSTANTS.RSA_PKCS1_PSS_PADDING:
+        return rsa.signPss(key, Algorithm, digest,
+          saltLength === undefined ? RSA_CONSTANTS.RSA_PSS_SALTLEN_MAX_SIGN : saltLength);
+      default:
+        throw opensslError('1C8000A5', 'Provider routines', 'illegal or unsupported padding mode');
+    }
+  } catch (err) {
+    if (err instanceof RangeError) {
+      throw padding === RSA_CONSTANTS.RSA_PKCS1_PSS_PADDING
+        ? opensslError('0200006E', 'rsa routines', 'data too large for key size')
+        : opensslError('02000070', 'rsa routines', 'digest too big for rsa key');
+    }
+    throw err;
+  }
+}
+
+/**
+ * @private
+ */
+function verifyDigest(Algorithm, digest, signature, { key, padding, saltLength, dsaEncoding }) {
+  if (key.type === 'ec') {
+    const rs = dsaEncoding === 'der' ? readDerSignature(signature) : readP1363Signature(signature, key.curve.size);
+    return rs !== null && ec.verify(key, digest, rs);
+  }
+
+  switch (padding === undefined ? RSA_CONSTANTS.RSA_PKCS1_PADDING : padding) {
+    case RSA_CONSTANTS.RSA_PKCS1_PADDING:
+      return rsa.verifyPkcs1(key, hashName(Algorithm), digest, signature);
+    case RSA_CONSTANTS.RSA_PKCS1_PSS_PADDING:
+      return rsa.verifyPss(key, Algorithm, digest, signature,
+        saltLength === undefined ? RSA_CONSTANTS.RSA_PSS_SALTLEN_AUTO : saltLength);
+    default:
+      throw opensslError('1C8000A5', 'Provider routines', 'illegal or unsupported padding mode');
+  }
+}
+
+/**
+ * ECDSA-Sig-Value: SEQUENCE { r INTEGER, s INTEGER }
+ * @private
+ */
+function readDerSignature(signature) {
+  try {
+    const [r, s, ...rest] = asn1.expect(asn1.decode(signature), asn1.TAG.SEQUENCE).children;
+    return rest.length ? null : { r: asn1.readInteger(r), s: asn1.readInteger(s) };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * r and s concatenated at the curve size, as in JWS
+ * @private
+ */
+function readP1363Signature(signature, size) {
+  if (signature.length !== 2 * size) {
+    return null;
+  }
+  return { r: bigint.fromBytes(signature.subarray(0, size)), s: bigint.fromBytes(signature.subarray(size)) };
+}
+
+/**
+ * Canonical name of a hash class, e.g. 'sha256'
+ * @private
+ */
+function hashName(Algorithm) {
+  return getHashNames().find(name => getAlgorithm(name) === Algorithm);
+}
+
+/**
+ * Sign class, matching Node.js's crypto.Sign: RSA (PKCS#1 v1.5 or PSS)
+ * and ECDSA signatures over a streamed digest
+ */
+class Sign {
+  /**
+   * @param {string} algorithm - Digest, e.g. 'sha256' or 'RSA-SHA256'
+   */
+  constructor(algorithm) {
+    this._Algorithm = signatureAlgorithm(algorithm);
+    this._hash = new this._Algorithm();
+    this._finalized = false;
+  }
+
+  /**
+   * @param {string|Buffer|TypedArray|DataView} data
+   * @param {string} [inputEncoding] - Encoding of a string `data`
+   * @returns {Sign}
+   */
+  update(data, inputEncoding) {
+    if (this._finalized) {
+      throw notInitialisedError();
+    }
+
+    this._hash.update(toBytes(data, inputEncoding));
+    return this;
+  }
+
+  /**
+   * @param {KeyObject|string|Buffer|Object} privateKey - A private
+   *   KeyObject, PEM, or { key, ...createPrivateKey() options, padding,
+   *   saltLength, dsaEncoding }
+   * @param {string} [outputEncoding]
+   * @returns {Buffer|string}
+   */
+  sign(privateKey, outputEncoding) {
+    if (this._finalized) {
+      throw notInitialisedError();
+    }
+
+    if (privateKey == null) {
+      throw codedError(Error, 'ERR_CRYPTO_SIGN_KEY_REQUIRED', 'No key provided to sign');
+    }
+
+    const options = readSigningKey(privateKey, true);
+    if (options.key.type === 'ed25519') {
+      throw unsupportedOperationError();
+    }
+
+    this._finalized = true;
+    const signature = Buffer.from(signDigest(this._Algorithm, this._hash.digest(), options));
+    return outputEncoding ? signature.toString(outputEncoding) : signature;
+  }
+}
+
+/**
+ * Verify class, matching Node.js's crypto.Verify
+ */
+class Verify {
+  /**
+   * @param {string} algorithm - Digest, e.g. 'sha256' or 'RSA-SHA256'
+   */
+  constructor(algorithm) {
+    this._Algorithm = signatureAlgorithm(algorithm);
+    this._hash = new this._Algorithm();
+    this._finalized = false;
+  }
+
+  /**
+   * @param {string|Buffer|TypedArray|DataView} data
+   * @param {string} [inputEncoding] - Encoding of a string `data`
+   * @returns {Verify}
+   */
+  update(data, inputEncoding) {
+    if (this._finalized) {
+      throw notInitialisedError();
+    }
+
+    this._hash.update(toBytes(data, inputEncoding));
+    return this;
+  }
+
+  /**
+   * @param {KeyObject|string|Buffer|Object} object - A public or private
+   *   key in any form Sign#sign() takes, or a certificate
+   * @param {string|Buffer|TypedArray|DataView} signature
+   * @param {string} [signatureEncoding] - Encoding of a string `signature`
+   * @returns {boolean}
+   */
+  verify(object, signature, signatureEncoding) {
+    if (this._finalized) {
+      throw notInitialisedError();
+    }
+
+    const options = readSigningKey(object, false);
+    const bytes = typeof signature === 'string'
+      ? Buffer.from(signature, signatureEncoding || 'utf8')
+      : binaryLikeToBytes(signature, 'signature');
+
+    if (options.key.type === 'ed25519') {
+      throw unsupportedOperationError();
+    }
+
+    this._finalized = true;
+    return verifyDigest(this._Algorithm, this._hash.digest(), bytes, options);
+  }
+}
+
+/**
+ * @param {string} algorithm - Digest, e.g. 'sha256' or 'RSA-SHA256'
+ * @returns {Sign}
+ */
+function createSign(algorithm) {
+  return new Sign(algorithm);
+}
+
+/**
+ * @param {string} algorithm - Digest, e.g. 'sha256' or 'RSA-SHA256'
+ * @returns {Verify}
+ */
+function createVerify(algorithm) {
+  return new Verify(algorithm);
+}
+
+/**
+ * @private
+ */
+function signatureAlgorithm(algorithm) {
+  if (typeof algorithm !== 'string') {
+    throw invalidArgTypeError('algorithm', 'of type string', algorithm);
+  }
+
+  const Algorithm = getAlgorithm(algorithm);
+  if (!Algorithm) {
+    throw codedError(TypeError, 'ERR_CRYPTO_INVALID_DIGEST', 'Invalid digest');
+  }
+  return Algorithm;
+}
+
+/**
+ * One-shot signature. Ed25519 keys sign the data itself and take a null
+ * algorithm; RSA and EC keys default to SHA-256.
+ * @param {string|null} algorithm
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} data
+ * @param {KeyObject|string|Buffer|Object} key - As for Sign#sign()
+ * @param {Function} [callback] - Called with (err, Buffer)
+ * @returns {Buffer|undefined} The signature, unless there's a callback
+ */
+function sign(algorithm, data, key, callback) {
+  const Algorithm = oneShotAlgorithm(algorithm);
+  const bytes = binaryLikeToBytes(data, 'data');
+
+  if (callback !== undefined) {
+    validateFunction(callback, 'callback');
+  }
+
+  const options = readSigningKey(key, true);
+  let signature;
+
+  if (options.key.type === 'ed25519') {
+    if (Algorithm) throw opensslError('1C80007A', 'Provider routines', 'invalid digest');
+    signature = ed25519.sign(options.key.seed, bytes);
+  } else {
+    const Digest = Algorithm || SHA256;
+    signature = signDigest(Digest, new Digest().update(bytes).digest(), options);
+  }
+
+  return deliver(Buffer.from(signature), callback);
+}
+
+/**
+ * One-shot verification, the counterpart of sign()
+ * @param {string|null} algorithm
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} data
+ * @param {KeyObject|string|Buffer|Object} key - As for Verify#verify()
+ * @param {Buffer|TypedArray|DataView} signature
+ * @param {Function} [callback] - Called with (err, boolean)
+ * @returns {boolean|undefined} The result, unless there's a callback
+ */
+function verify(algorithm, data, key, signature, callback) {
+  const Algorithm = oneShotAlgorithm(algorithm);
+  const bytes = binaryLikeToBytes(data, 'data');
+
+  if (!ArrayBuffer.isView(signature)) {
+    throw invalidArgTypeError('signature', 'an instance of Buffer, TypedArray, or DataView', signature);
+  }
+
+  if (callback !== undefined) {
+    validateFunction(callback, 'callback');
+  }
+
+  const options = readSigningKey(key, false);
+  const sig = bufferSourceToBytes(signature, 'signature');
+  let result;
+
+  if (options.key.type === 'ed25519') {
+    if (Algorithm) throw opensslError('1C80007A', 'Provider routines', 'invalid digest');
+    result = ed25519.verify(options.key.publicKey, bytes, sig);
+  } else {
+    const Digest = Algorithm || SHA256;
+    result = verifyDigest(Digest, new Digest().update(bytes).digest(), sig, options);
+  }
+
+  return deliver(result, callback);
+}
+
+/**
+ * @private
+ * @returns {Function|null} Hash class, or null for no algorithm
+ */
+function oneShotAlgorithm(algorithm) {
+  if (algorithm == null) {
+    return null;
+  }
+
+  if (typeof algorithm !== 'string') {
+    throw invalidArgTypeError('algorithm', 'of type string', algorithm);
+  }
+
+  const Algorithm = getAlgorithm(algorithm);
+  if (!Algorithm) {
+    throw codedError(TypeError, 'ERR_CRYPTO_INVALID_DIGEST', `Invalid digest: ${algorithm}`);
+  }
+  return Algorithm;
+}
+
+/**
+ * Return a result, or pass it to the callback on a later tick
+ * @private
+ */
+function deliver(result, callback) {
+  if (!callback) {
+    return result;
+  }
+
+  setTimeout(() => callback(null, result), 0);
+}
+
+const KEY_PAIR_TYPES = ['rsa', 'ec', 'ed25519'];
+
+/**
+ * Generate an RSA, EC or Ed25519 key pair. RSA key generation is done in
+ * pure JS on the calling thread; a 2048-bit key takes around a second.
+ * @param {string} type - 'rsa', 'ec' or 'ed25519'
+ * @param {Object} [options]
+ * @param {number} [options.modulusLength] - RSA key size in bits
+ * @param {number} [options.publicExponent=0x10001] - RSA
+ * @param {string} [options.namedCurve] - EC: 'P-256' or 'P-384'
+ * @param {Object} [options.publicKeyEncoding] - Export options for the
+ *   public key, as for KeyObject#export(); KeyObjects without
+ * @param {Object} [options.privateKeyEncoding] - Same for the private key
+ * @returns {{publicKey: KeyObject|string|Buffer|Object, privateKey: KeyObject|string|Buffer|Object}}
+ */
+function generateKeyPairSync(type, options) {
+  if (typeof type !== 'string') {
+    throw invalidArgTypeError('type', 'of type string', type);
+  }
+
+  if (!KEY_PAIR_TYPES.includes(type)) {
+    throw invalidArgValueError('type', type, 'must be a supported key type');
+  }
+
+  if (options === undefined && type === 'ed25519') {
+    options = {};
+  }
+
+  if (typeof options !== 'object' || options === null) {
+    throw invalidArgTypeError('options', 'of type object', options);
+  }
+
+  const publicEncoding = keyEncoding(options, 'publicKeyEncoding');
+  const privateEncoding = keyEncoding(options, 'privateKeyEncoding');
+  const key = generateKey(type, options);
+
+  return {
+    publicKey: publicEncoding
+      ? exportKey(keys.toPublic(key), publicEncoding, 'options.publicKeyEncoding')
+      : new PublicKeyObject(keys.toPublic(key)),
+    privateKey: privateEncoding
+      ? exportKey(key, privateEncoding, 'options.privateKeyEncoding')
+      : new PrivateKeyObject(key)
+  };
+}
+
+/**
+ * Callback form of generateKeyPairSync(). The work still runs on the
+ * calling thread, a tick later.
+ * @param {string} type
+ * @param {Object} [options]
+ * @param {Function} callback - Called with (err, publicKey, privateKey)
+ */
+function generateKeyPair(type, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+
+  validateFunction(callback, 'callback');
+
+  setTimeout(() => {
+    let pair;
+    try {
+      pair = generateKeyPairSync(type, options);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback(null, pair.publicKey, pair.privateKey);
+  }, 0);
+}
+
+/**
+ * @private
+ */
+function keyEncoding(options, name) {
+  const encoding = options[name];
+
+  if (encoding === undefined) {
+    return null;
+  }
+
+  if (typeof encoding !== 'object' || encoding === null) {
+    throw invalidArgValueError(`options.${name}`, encoding);
+  }
+
+  // Checked up front, so a bad encoding doesn't cost a key generation
+  if (encoding.format !== 'jwk') {
+    if (encoding.format !== 'pem' && encoding.format !== 'der') {
+      throw invalidArgValueError(`options.${name}.format`, encoding.format);
+    }
+
+    if (typeof encoding.type !== 'string') {
+      throw invalidArgValueError(`options.${name}.type`, encoding.type);
+    }
+  }
+  return encoding;
+}
+
+/**
+ * @private
+ * @returns {Object} Private key from ./crypto/keys.js
+ */
+function generateKey(type, options) {
+  switch (type) {
+    case 'rsa': {
+      const { modulusLength, publicExponent = 0x10001 } = options;
+      validateInteger(modulusLength, 'options.modulusLength', 0, 2 ** 32 - 1);
+      validateInteger(publicExponent, 'options.publicExponent', 0, 2 ** 32 - 1);
+
+      if (modulusLength < 512) {
+        throw opensslError('1C8000AB', 'Provider routines', 'key size too small');
+      }
+
+      if (publicExponent < 3 || publicExponent % 2 === 0) {
+        throw opensslError('020000B2', 'rsa routines', 'pub exponent out of range');
+      }
+
+      return { type: 'rsa', ...rsa.generate(modulusLength, BigInt(publicExponent)) };
+    }
+    case 'ec': {
+      const { namedCurve } = options;
+      if (typeof namedCurve !== 'string') {
+        throw invalidArgTypeError('options.namedCurve', 'of type string', namedCurve);
+      }
+
+      const curve = ec.getCurve(namedCurve);
+      if (!curve) {
+        throw codedError(TypeError, 'ERR_CRYPTO_INVALID_CURVE', 'Invalid EC curve name');
+      }
+      return { type: 'ec', ...ec.generate(curve) };
+    }
+    default: {
+      const seed = ed25519.generate();
+      return { type: 'ed25519', publicKey: ed25519.getPublicKey(seed), seed };
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function notInitialisedError() {
+  return codedError(Error, 'ERR_CRYPTO_INVALID_STATE', 'Not initialised');
+}
+
+/**
+ * @private
+ */
+function unsupportedOperationError() {
+  return codedError(Error, 'ERR_CRYPTO_UNSUPPORTED_OPERATION', 'Unsupported crypto operation');
+}
+
+// Prefixes OpenSSL libraries give their error codes
+const OPENSSL_CODE_PREFIXES = { 'rsa routines': 'RSA_' };
+
+/**
+ * Error shaped like the ones Node.js relays from OpenSSL
+ * @private
+ */
+function opensslError(id, library, reason) {
+  const error = new Error(`error:${id}:${library}::${reason}`);
+  error.library = library;
+  error.reason = reason;
+  error.code = `ERR_OSSL_${OPENSSL_CODE_PREFIXES[library] || ''}${reason.toUpperCase().replace(/ /g, '_')}`;
+  return error;
+}
+
+// Cipher names Node.js accepts for the supported modes: aes-256-gcm, the
+// aes256 alias for CBC and the id-aes256-GCM OID names, in any case
+const CIPHER_NAME = /^(?:aes-(128|192|256)-(cbc|ctr|gcm)|aes(128|192|256)|id-aes(128|192|256)-gcm)$/;
+
+/**
+ * @private
+ * @returns {{keyLength: number, mode: string}|null}
+ */
+function parseCipher(name) {
+  const match = CIPHER_NAME.exec(name.toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  if (match[1]) return { keyLength: match[1] / 8, mode: match[2] };
+  if (match[3]) return { keyLength: match[3] / 8, mode: 'cbc' };
+  return { keyLength: match[4] / 8, mode: 'gcm' };
+}
+
+/**
+ * Shared implementation of Cipheriv and Decipheriv
+ * @private
+ */
+class CipherBase {
+  constructor(algorithm, key, iv, options, decrypt) {
+    if (typeof algorithm !== 'string') {
+      throw invalidArgTypeError('cipher', 'of type string', algorithm);
+    }
+
+    const keyBytes = keyToBytes(key);
+    const ivBytes = iv === null ? null : binaryLikeToBytes(iv, 'iv');
+    const cipher = parseCipher(algorithm);
+
+    if (!cipher) {
+      throw codedError(Error, 'ERR_CRYPTO_UNKNOWN_CIPHER', 'Unknown cipher');
+    }
+
+    const authTagLength = options && options.authTagLength;
+    if (cipher.mode === 'gcm' && authTagLength !== undefined && !isValidAuthTagLength(authTagLength)) {
+      throw invalidAuthTagError(authTagLength);
+    }
+
+    if (!ivBytes || (cipher.mode === 'gcm' ? ivBytes.length === 0 : ivBytes.length !== 16)) {
+      throw codedError(TypeError, 'ERR_CRYPTO_INVALID_IV', 'Invalid initialization vector');
+    }
+
+    if (keyBytes.length !== cipher.keyLength) {
+      throw codedError(RangeError, 'ERR_CRYPTO_INVALID_KEYLEN', 'Invalid key length');
+    }
+
+    const aes = new AES(keyBytes);
+
+    if (cipher.mode === 'cbc') {
+      this._mode = new CBC(aes, ivBytes, decrypt);
+    } else if (cipher.mode === 'ctr') {
+      this._mode = new CTR(aes, ivBytes);
+    } else {
+      this._mode = new GCM(aes, ivBytes, decrypt);
+    }
+
+    this._gcm = cipher.mode === 'gcm';
+    this._authTagLength = authTagLength;
+    this._decoder = null;
+    this._started = false;
+    this._finalized = false;
+  }
+
+  /**
+   * @param {string|Buffer|TypedArray|DataView} data
+   * @param {string} [inputEncoding] - Encoding of a string `data`, 'utf8' by default
+   * @param {string} [outputEncoding] - Return a string in this encoding
+   * @returns {Buffer|string}
+   */
+  update(data, inputEncoding, outputEncoding) {
+    if (this._finalized) {
+      throw new Error('Trying to add data in unsupported state');
+    }
+
+    const bytes = toBytes(data, inputEncoding);
+    this._started = true;
+    return this._output(this._mode.update(bytes), outputEncoding, false);
+  }
+
+  /**
+   * Flush buffered blocks, adding or checking padding, or check the
+   * authentication tag when decrypting GCM
+   * @param {string} [outputEncoding] - Return a string in this encoding
+   * @returns {Buffer|string}
+   */
+  final(outputEncoding) {
+    if (this._finalized) {
+      throw invalidStateError();
+    }
+
+    this._finalized = true;
+    return this._output(this._mode.final(), outputEncoding, true);
+  }
+
+  /**
+   * Turn PKCS#7 padding off or on, for CBC; other modes ignore it
+   * @param {boolean} [autoPadding=true]
+   * @returns {this}
+   */
+  setAutoPadding(autoPadding = true) {
+    if (this._finalized) {
+      throw invalidStateError('setAutoPadding');
+    }
+
+    if (this._mode instanceof CBC) {
+      this._mode.autoPadding = Boolean(autoPadding);
+    }
+    return this;
+  }
+
+  /**
+   * Add GCM additional authenticated data, before any update()
+   * @param {Buffer|TypedArray|DataView|ArrayBuffer} buffer
+   * @returns {this}
+   */
+  setAAD(buffer) {
+    if (!this._gcm || this._started || this._finalized) {
+      throw invalidStateError('setAAD');
+    }
+
+    this._mode.setAAD(bufferSourceToBytes(buffer, 'buffer'));
+    return this;
+  }
+
+  /**
+   * @private
+   */
+  _output(bytes, outputEncoding, end) {
+    if (!outputEncoding || outputEncoding === 'buffer') {
+      return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+    }
+
+    if (!this._decoder) {
+      this._decoder = new OutputDecoder(outputEncoding);
+    }
+    return this._decoder.write(bytes, end);
+  }
+}
+
+/**
+ * Cipheriv class, matching Node.js's crypto.Cipheriv for AES in CBC, CTR
+ * and GCM modes
+ */
+class Cipheriv extends CipherBase {
+  /**
+   * @param {string} algorithm - e.g. 'aes-256-gcm'
+   * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} key - 16, 24 or 32 bytes
+   * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} iv - 16 bytes, or any non-empty length for GCM
+   * @param {Object} [options]
+   * @param {number} [options.authTagLength] - GCM tag length, 16 by default
+   */
+  constructor(algorithm, key, iv, options) {
+    super(algorithm, key, iv, options, false);
+  }
+
+  /**
+   * The GCM authentication tag, once final() has been called
+   * @returns {Buffer}
+   */
+  getAuthTag() {
+    if (!this._gcm || !this._finalized) {
+      throw invalidStateError('getAuthTag');
+    }
+
+    return Buffer.from(this._mode.tag.subarray(0, this._authTagLength || 16));
+  }
+}
+
+/**
+ * Decipheriv class, matching Node.js's crypto.Decipheriv for AES in CBC,
+ * CTR and GCM modes
+ */
+class Decipheriv extends CipherBase {
+  /**
+   * @param {string} algorithm - e.g. 'aes-256-gcm'
+   * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} key - 16, 24 or 32 bytes
+   * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} iv - 16 bytes, or any non-empty length for GCM
+   * @param {Object} [options]
+   * @param {number} [options.authTagLength] - Required length of the GCM tag
+   */
+  constructor(algorithm, key, iv, options) {
+    super(algorithm, key, iv, options, true);
+  }
+
+  /**
+   * Set the GCM tag that final() checks the data against
+   * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} tag
+   * @param {string} [encoding] - Encoding of a string `tag`
+   * @returns {this}
+   */
+  setAuthTag(tag, encoding) {
+    if (!this._gcm || this._finalized || this._mode.expectedTag) {
+      throw invalidStateError('setAuthTag');
+    }
+
+    const bytes = bufferSourceToBytes(typeof tag === 'string' ? Buffer.from(tag, encoding) : tag, 'buffer');
+    const required = this._authTagLength;
+
+    if (!isValidAuthTagLength(bytes.length) || (required !== undefined && bytes.length !== required)) {
+      throw invalidAuthTagError(bytes.length);
+    }
+
+    this._mode.expectedTag = Uint8Array.from(bytes);
+    return this;
+  }
+}
+
+/**
+ * Create a cipher
+ * @param {string} algorithm - aes-128-gcm, aes-256-cbc, aes-192-ctr...
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} key
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} iv
+ * @param {Object} [options] - Cipheriv options
+ * @returns {Cipheriv}
+ */
+function createCipheriv(algorithm, key, iv, options) {
+  return new Cipheriv(algorithm, key, iv, options);
+}
+
+/**
+ * Create a decipher
+ * @param {string} algorithm - aes-128-gcm, aes-256-cbc, aes-192-ctr...
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} key
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} iv
+ * @param {Object} [options] - Decipheriv options
+ * @returns {Decipheriv}
+ */
+function createDecipheriv(algorithm, key, iv, options) {
+  return new Decipheriv(algorithm, key, iv, options);
+}
+
+/**
+ * Decodes cipher output to strings across update() calls, holding back
+ * bytes that would split a character or a base64 group
+ * @private
+ */
+class OutputDecoder {
+  constructor(encoding) {
+    const normalized = String(encoding).toLowerCase();
+
+    this.encoding = encoding;
+    this._remainder = new Uint8Array(0);
+    this._text = normalized === 'utf8' || normalized === 'utf-8'
+      ? new TextDecoder('utf-8')
+      : null;
+    this._group = normalized === 'base64' || normalized === 'base64url' ? 3
+      : ['utf16le', 'utf-16le', 'ucs2', 'ucs-2'].includes(normalized) ? 2
+        : 1;
+  }
+
+  /**
+   * @param {Uint8Array} bytes
+   * @param {boolean} end - Flush held-back bytes
+   * @returns {string}
+   */
+  write(bytes, end) {
+    if (this._text) {
+      return this._text.decode(bytes, { stream: !end });
+    }
+
+    const input = Buffer.concat([this._remainder, bytes]);
+    const length = end ? input.length : input.length - input.length % this._group;
+
+    this._remainder = input.subarray(length);
+    return input.subarray(0, length).toString(this.encoding);
+  }
+}
+
+/**
+ * @private
+ */
+function isValidAuthTagLength(length) {
+  return length === 4 || length === 8 || (length >= 12 && length <= 16);
+}
+
+/**
+ * @private
+ */
+function invalidAuthTagError(length) {
+  return codedError(TypeError, 'ERR_CRYPTO_INVALID_AUTH_TAG', `Invalid authentication tag length: ${length}`);
+}
+
+/**
+ * @private
+ */
+function invalidStateError(operation) {
+  return codedError(Error, 'ERR_CRYPTO_INVALID_STATE',
+    operation ? `Invalid state for operation ${operation}` : 'Invalid state');
+}
+
+/**
+ * @private
+ */
+function codedError(Type, code, message) {
+  const error = new Type(message);
+  error.code = code;
+  return error;
+}
+
+// Web Crypto names for the digests it can run PBKDF2 with
+const SUBTLE_HASHES = new Map([[SHA1, 'SHA-1'], [SHA256, 'SHA-256'], [SHA384, 'SHA-384'], [SHA512, 'SHA-512']]);
+
+const SCRYPT_DEFAULTS = { N: 16384, r: 8, p: 1, maxmem: 32 << 20 };
+
+/**
+ * Derive a key with PBKDF2, off the main thread through Web Crypto when
+ * it supports the digest, in pure JS otherwise
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} password
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} salt
+ * @param {number} iterations
+ * @param {number} keylen - Bytes to derive
+ * @param {string} digest - Hash algorithm, see getHashes()
+ * @param {Function} callback - Called with (err, Buffer)
+ */
+function pbkdf2(password, salt, iterations, keylen, digest, callback) {
+  if (typeof digest === 'function') {
+    callback = digest;
+    digest = undefined;
+  }
+
+  validateFunction(callback, 'callback');
+  const args = pbkdf2Args(password, salt, iterations, keylen, digest);
+
+  subtlePbkdf2(args)
+    .then(bits => Buffer.from(bits), () => derivePbkdf2Buffer(args))
+    .then(key => setTimeout(() => callback(null, key), 0))
+    .catch(err => callback(err));
+}
+
+/**
+ * Derive a key with PBKDF2, synchronously
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} password
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} salt
+ * @param {number} iterations
+ * @param {number} keylen - Bytes to derive
+ * @param {string} digest - Hash algorithm, see getHashes()
+ * @returns {Buffer}
+ */
+function pbkdf2Sync(password, salt, iterations, keylen, digest) {
+  return derivePbkdf2Buffer(pbkdf2Args(password, salt, iterations, keylen, digest));
+}
+
+/**
+ * Validate pbkdf2() arguments as Node.js does
+ * @private
+ */
+function pbkdf2Args(password, salt, iterations, keylen, digest) {
+  if (typeof digest !== 'string') {
+    throw invalidArgTypeError('digest', 'of type string', digest);
+  }
+
+  password = binaryLikeToBytes(password, 'password');
+  salt = binaryLikeToBytes(salt, 'salt');
+  validateInteger(iterations, 'iterations', 1, 2147483647);
+  validateInteger(keylen, 'keylen', 0, 2147483647);
+
+  const Algorithm = getAlgorithm(digest);
+  if (!Algorithm) {
+    throw codedError(TypeError, 'ERR_CRYPTO_INVALID_DIGEST', `Invalid digest: ${digest}`);
+  }
+
+  return { Algorithm, password, salt, iterations, keylen };
+}
+
+/**
+ * @private
+ */
+function derivePbkdf2Buffer({ Algorithm, password, salt, iterations, keylen }) {
+  return Buffer.from(derivePbkdf2(Algorithm, password, salt, iterations, keylen).buffer);
+}
+
+/**
+ * PBKDF2 through Web Crypto, rejecting where it can't run
+ * @private
+ */
+function subtlePbkdf2({ Algorithm, password, salt, iterations, keylen }) {
+  const hash = SUBTLE_HASHES.get(Algorithm);
+
+  if (!hash || !keylen || typeof crypto === 'undefined' || !crypto.subtle) {
+    return Promise.reject(new Error('Web Crypto cannot derive this key'));
+  }
+
+  return crypto.subtle.importKey('raw', password, 'PBKDF2', false, ['deriveBits'])
+    .then(key => crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash }, key, keylen * 8));
+}
+
+/**
+ * Derive a key with scrypt. It runs in pure JS on the calling thread, after
+ * the arguments have been checked.
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} password
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} salt
+ * @param {number} keylen - Bytes to derive
+ * @param {Object} [options] - N (or cost), r (or blockSize), p (or
+ *   parallelization) and maxmem, as in Node.js
+ * @param {Function} callback - Called with (err, Buffer)
+ */
+function scrypt(password, salt, keylen, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = undefined;
+  }
+
+  validateFunction(callback, 'callback');
+  const args = scryptArgs(password, salt, keylen, options);
+
+  setTimeout(() => callback(null, deriveScryptBuffer(args)), 0);
+}
+
+/**
+ * Derive a key with scrypt, synchronously
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} password
+ * @param {string|Buffer|TypedArray|DataView|ArrayBuffer} salt
+ * @param {number} keylen - Bytes to derive
+ * @param {Object} [options] - See scrypt()
+ * @returns {Buffer}
+ */
+function scryptSync(password, salt, keylen, options) {
+  return deriveScryptBuffer(scryptArgs(password, salt, keylen, options));
+}
+
+/**
+ * Validate scrypt() arguments, and check the parameters and memory limit
+ * as OpenSSL does
+ * @private
+ */
+function scryptArgs(password, salt, keylen, options) {
+  password = binaryLikeToBytes(password, 'password');
+  salt = binaryLikeToBytes(salt, 'salt');
+  validateInteger(keylen, 'keylen', 0, 2147483647);
+
+  let { N, r, p, maxmem } = SCRYPT_DEFAULTS;
+
+  if (options) {
+    N = scryptOption(options, 'N', 'cost', N);
+    r = scryptOption(options, 'r', 'blockSize', r);
+    p = scryptOption(options, 'p', 'parallelization', p);
+
+    if (options.maxmem !== undefined) {
+      validateInteger(options.maxmem, 'maxmem', 0, Number.MAX_SAFE_INTEGER);
+      maxmem = options.maxmem || maxmem;
+    }
+  }
+
+  if (N < 2 || (N & (N - 1)) !== 0 || r * p >= 0x40000000) {
+    throw codedError(RangeError, 'ERR_CRYPTO_INVALID_SCRYPT_PARAMS', 'Invalid scrypt params');
+  }
+
+  if (128 * r * (N + 2 + p) > maxmem) {
+    throw codedError(RangeError, 'ERR_CRYPTO_INVALID_SCRYPT_PARAMS',
+      'Invalid scrypt params: error:030000AC:digital envelope routines::memory limit exceeded');
+  }
+
+  return { password, salt, keylen, N, r, p };
+}
+
+/**
+ * Read a scrypt option that has a long alias; 0 means the default
+ * @private
+ */
+function scryptOption(options, name, alias, defaultValue) {
+  let value = options[name];
+
+  if (options[alias] !== undefined) {
+    if (value !== undefined) {
+      throw codedError(Error, 'ERR_CRYPTO_SCRYPT_INVALID_PARAMETER', 'Invalid scrypt parameter');
+    }
+    value = options[alias];
+    name = alias;
+  }
+
+  if (value === undefined) {
+    return defaultValue;
+  }
+
+  validateInteger(value, name, 0, 4294967295);
+  return value || defaultValue;
+}
+
+/**
+ * @private
+ */
+function deriveScryptBuffer({ password, salt, keylen, N, r, p }) {
+  return Buffer.from(deriveScrypt(password, salt, N, r, p, keylen).buffer);
+}
+
+/**
+ * Convert a password, salt or IV to bytes
+ * @private
+ */
+function binaryLikeToBytes(value, name) {
+  if (typeof value === 'string') {
+    return Buffer.from(value, 'utf8');
+  }
+
+  if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+    return bufferSourceToBytes(value, name);
+  }
+
+  throw invalidArgTypeError(name, 'of type string or an instance of ArrayBuffer, Buffer, TypedArray, or DataView', value);
+}
+
+/**
+ * @private
+ */
+function validateInteger(value, name, min, max) {
+  if (typeof value !== 'number') {
+    throw invalidArgTypeError(name, 'of type number', value);
+  }
+
+  if (!Number.isInteger(value)) {
+    throw outOfRangeError(name, 'an integer', value);
+  }
+
+  if (value < min || value > max) {
+    throw outOfRangeError(name, `>= ${min} && <= ${max}`, value);
+  }
+}
+
+/**
+ * @private
+ */
+function outOfRangeError(name, range, value) {
+  // Node.js separates the digits of large integers: 281_474_976_710_656
+  const received = Number.isInteger(value) && Math.abs(value) > 2 ** 32
+    ? String(value).replace(/\B(?=(\d{3})+$)/g, '_')
+    : String(value);
+
+  return codedError(RangeError, 'ERR_OUT_OF_RANGE',
+    `The value of "${name}" is out of range. It must be ${range}. Received ${received}`);
+}
+
+/**
+ * @private
+ */
+function validateFunction(value, name) {
+  if (typeof value !== 'function') {
+    throw invalidArgTypeError(name, 'of type function', value);
+  }
 }
 
 // Export crypto methods
 module.exports = {
+  Hash,
+  Hmac,
+  Cipheriv,
+  Decipheriv,
+  Sign,
+  Verify,
+  KeyObject,
   createHash,
+  getHashes,
+  getCiphers,
   randomBytes,
+  randomFill,
+  randomFillSync,
+  randomInt,
+  randomUUID,
+  getRandomValues,
+  createSecretKey,
+  createPublicKey,
+  createPrivateKey,
+  createSign,
+  createVerify,
+  sign,
+  verify,
+  generateKeyPair,
+  generateKeyPairSync,
   createCipheriv,
   createDecipheriv,
   pbkdf2,
   pbkdf2Sync,
+  scrypt,
+  scryptSync,
   createHmac,
+  timingSafeEqual,
+  webcrypto: typeof crypto !== 'undefined' ? crypto : undefined,
   
   // Constants
   constants: {
     // Common OpenSSL constants
     OPENSSL_VERSION_NUMBER: 269488319,
-    SSL_OP_ALL: 0x80000BFF
+    SSL_OP_ALL: 0x80000BFF,
+    ...RSA_CONSTANTS
   }
 };
\ No newline at end of file
@@ -0,0 +1,186 @@
+/*!
+ * AES
+ * The AES block cipher (FIPS 197) for 128, 192 and 256-bit keys, using
+ * the usual 32-bit lookup tables. Modes of operation are in ./modes.js.
+ */
+
+'use strict';
+
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+
+// Round tables: SubBytes and MixColumns (TE) or their inverses (TD)
+// combined, one table per byte position
+const TE = [new Int32Array(256), new Int32Array(256), new Int32Array(256), new Int32Array(256)];
+const TD = [new Int32Array(256), new Int32Array(256), new Int32Array(256), new Int32Array(256)];
+
+// Multiply by x in GF(2^8)
+function xtime(a) {
+  return ((a << 1) ^ (a & 0x80 ? 0x1b : 0)) & 0xff;
+}
+
+function mul(a, b) {
+  let product = 0;
+  for (; b; b >>= 1, a = xtime(a)) {
+    if (b & 1) product ^= a;
+  }
+  return product;
+}
+
+function rotl8(x, n) {
+  return ((x << n) | (x >> (8 - n))) & 0xff;
+}
+
+// S-box: walk the multiplicative group with generator 3, pairing each
+// element p with its inverse q, then apply the affine transformation
+(function() {
+  let p = 1;
+  let q = 1;
+
+  do {
+    p = p ^ xtime(p);
+
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+
+    SBOX[p] = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4) ^ 0x63;
+  } while (p !== 1);
+
+  SBOX[0] = 0x63;
+
+  for (let i = 0; i < 256; i++) {
+    INV_SBOX[SBOX[i]] = i;
+  }
+
+  for (let i = 0; i < 256; i++) {
+    const s = SBOX[i];
+    const e = (mul(s, 2) << 24) | (s << 16) | (s << 8) | mul(s, 3);
+    const v = INV_SBOX[i];
+    const d = (mul(v, 14) << 24) | (mul(v, 9) << 16) | (mul(v, 13) << 8) | mul(v, 11);
+
+    for (let t = 0; t < 4; t++) {
+      TE[t][i] = (e >>> (8 * t)) | (e << (32 - 8 * t));
+      TD[t][i] = (d >>> (8 * t)) | (d << (32 - 8 * t));
+    }
+  }
+})();
+
+/**
+ * AES block cipher with an expanded key
+ */
+class AES {
+  /**
+   * @param {Uint8Array} key - 16, 24 or 32 bytes
+   */
+  constructor(key) {
+    if (key.length !== 16 && key.length !== 24 && key.length !== 32) {
+      throw new RangeError('Invalid key length');
+    }
+
+    const nk = key.length / 4;
+    const rounds = nk + 6;
+    const size = 4 * (rounds + 1);
+    const enc = new Int32Array(size);
+    const dec = new Int32Array(size);
+
+    for (let i = 0; i < nk; i++) {
+      enc[i] = readUint32BE(key, i * 4);
+    }
+
+    for (let i = nk, rcon = 1; i < size; i++) {
+      let t = enc[i - 1];
+
+      if (i % nk === 0) {
+        t = subWord((t << 8) | (t >>> 24)) ^ (rcon << 24);
+        rcon = xtime(rcon);
+      } else if (nk > 6 && i % nk === 4) {
+        t = subWord(t);
+      }
+
+      enc[i] = enc[i - nk] ^ t;
+    }
+
+    // Decryption keys for the equivalent inverse cipher: round keys in
+    // reverse, with InvMixColumns applied to all but the first and last
+    for (let round = 0; round <= rounds; round++) {
+      for (let j = 0; j < 4; j++) {
+        const w = enc[4 * (rounds - round) + j];
+
+        dec[4 * round + j] = round === 0 || round === rounds
+          ? w
+          : TD[0][SBOX[w >>> 24]] ^ TD[1][SBOX[(w >>> 16) & 0xff]] ^
+            TD[2][SBOX[(w >>> 8) & 0xff]] ^ TD[3][SBOX[w & 0xff]];
+      }
+    }
+
+    this.rounds = rounds;
+    this.encKey = enc;
+    this.decKey = dec;
+    this._state = [new Int32Array(4), new Int32Array(4)];
+  }
+
+  /**
+   * Encrypt the 16-byte block at `input[inOffset]` into `output[outOffset]`
+   */
+  encryptBlock(input, inOffset, output, outOffset) {
+    this._crypt(input, inOffset, output, outOffset, this.encKey, TE, SBOX, 1);
+  }
+
+  /**
+   * Decrypt the 16-byte block at `input[inOffset]` into `output[outOffset]`
+   */
+  decryptBlock(input, inOffset, output, outOffset) {
+    this._crypt(input, inOffset, output, outOffset, this.decKey, TD, INV_SBOX, 3);
+  }
+
+  /**
+   * Run the rounds over one block. Row r of output column j comes from
+   * column j + r * shift: ShiftRows for shift 1, InvShiftRows for 3.
+   * @private
+   */
+  _crypt(input, inOffset, output, outOffset, key, T, box, shift) {
+    const [t0, t1, t2, t3] = T;
+    let [s, t] = this._state;
+
+    for (let j = 0; j < 4; j++) {
+      s[j] = readUint32BE(input, inOffset + 4 * j) ^ key[j];
+    }
+
+    for (let k = 4; k < 4 * this.rounds; k += 4) {
+      for (let j = 0; j < 4; j++) {
+        t[j] = t0[s[j] >>> 24] ^ t1[(s[(j + shift) & 3] >>> 16) & 0xff] ^
+          t2[(s[(j + 2) & 3] >>> 8) & 0xff] ^ t3[s[(j + 3 * shift) & 3] & 0xff] ^ key[k + j];
+      }
+      [s, t] = [t, s];
+    }
+
+    // Final round: no MixColumns
+    const k = 4 * this.rounds;
+    for (let j = 0; j < 4; j++) {
+      const w = (box[s[j] >>> 24] << 24) | (box[(s[(j + shift) & 3] >>> 16) & 0xff] << 16) |
+        (box[(s[(j + 2) & 3] >>> 8) & 0xff] << 8) | box[s[(j + 3 * shift) & 3] & 0xff];
+      writeUint32BE(output, outOffset + 4 * j, w ^ key[k + j]);
+    }
+  }
+}
+
+function subWord(w) {
+  return (SBOX[w >>> 24] << 24) | (SBOX[(w >>> 16) & 0xff] << 16) |
+    (SBOX[(w >>> 8) & 0xff] << 8) | SBOX[w & 0xff];
+}
+
+function readUint32BE(data, i) {
+  return (data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3];
+}
+
+function writeUint32BE(data, i, value) {
+  data[i] = value >>> 24;
+  data[i + 1] = value >>> 16;
+  data[i + 2] = value >>> 8;
+  data[i + 3] = value;
+}
+
+module.exports = AES;
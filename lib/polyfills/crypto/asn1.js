@@ -0,0 +1,274 @@
+/*!
+ * ASN.1
+ * The DER subset key formats need, and PEM armor around it
+ */
+
+'use strict';
+
+const { fromBytes, toBytes } = require('./bigint');
+
+const TAG = {
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  SEQUENCE: 0x30
+};
+
+/**
+ * Parse one DER element. Constructed elements (SEQUENCE and context
+ * tags [n]) are parsed into `children`.
+ * @param {Uint8Array} data
+ * @returns {{tag: number, contents: Uint8Array, children: Object[]|undefined}}
+ * @throws {Error} On malformed input or trailing bytes
+ */
+function decode(data) {
+  const [element, end] = readElement(data, 0);
+  if (end !== data.length) {
+    throw new Error('Trailing data after DER element');
+  }
+  return element;
+}
+
+function readElement(data, offset) {
+  if (offset + 2 > data.length) {
+    throw new Error('Truncated DER element');
+  }
+
+  const tag = data[offset++];
+  let length = data[offset++];
+
+  if (length & 0x80) {
+    const count = length & 0x7f;
+    if (count === 0 || count > 4 || offset + count > data.length) {
+      throw new Error('Invalid DER length');
+    }
+
+    length = 0;
+    for (let i = 0; i < count; i++) {
+      length = length * 256 + data[offset++];
+    }
+  }
+
+  if (offset + length > data.length) {
+    throw new Error('Truncated DER element');
+  }
+
+  const contents = data.subarray(offset, offset + length);
+  const element = { tag, contents, children: undefined };
+
+  if (tag & 0x20) {
+    element.children = [];
+    for (let i = 0; i < contents.length;) {
+      const [child, next] = readElement(contents, i);
+      element.children.push(child);
+      i = next;
+    }
+  }
+
+  return [element, offset + length];
+}
+
+/**
+ * Check an element's tag and return it
+ * @param {Object} element - From decode()
+ * @param {number} tag
+ * @returns {Object}
+ */
+function expect(element, tag) {
+  if (!element || element.tag !== tag) {
+    throw new Error('Unexpected DER tag');
+  }
+  return element;
+}
+
+/**
+ * @param {Object} element - INTEGER element
+ * @returns {bigint} Non-negative value
+ */
+function readInteger(element) {
+  return fromBytes(expect(element, TAG.INTEGER).contents);
+}
+
+/**
+ * @param {Object} element - OBJECT IDENTIFIER element
+ * @returns {string} Dotted form, e.g. '1.2.840.10045.2.1'
+ */
+function readOid(element) {
+  const bytes = expect(element, TAG.OID).contents;
+  const parts = [];
+  let value = 0;
+
+  for (const byte of bytes) {
+    value = value * 128 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      if (!parts.length) {
+        const first = Math.min(Math.floor(value / 40), 2);
+        parts.push(first, value - first * 40);
+      } else {
+        parts.push(value);
+      }
+      value = 0;
+    }
+  }
+
+  return parts.join('.');
+}
+
+/**
+ * @param {Object} element - BIT STRING element
+ * @returns {Uint8Array} Contents, which must be whole bytes
+ */
+function readBitString(element) {
+  const contents = expect(element, TAG.BIT_STRING).contents;
+  if (contents[0] !== 0) {
+    throw new Error('Unsupported BIT STRING padding');
+  }
+  return contents.subarray(1);
+}
+
+/**
+ * Encode a DER element
+ * @param {number} tag
+ * @param {Uint8Array} contents
+ * @returns {Uint8Array}
+ */
+function encode(tag, contents) {
+  const length = contents.length;
+  const header = [tag];
+
+  if (length < 0x80) {
+    header.push(length);
+  } else {
+    const bytes = [];
+    for (let n = length; n > 0; n = Math.floor(n / 256)) {
+      bytes.unshift(n & 0xff);
+    }
+    header.push(0x80 | bytes.length, ...bytes);
+  }
+
+  const output = new Uint8Array(header.length + length);
+  output.set(header);
+  output.set(contents, header.length);
+  return output;
+}
+
+/**
+ * @param {...Uint8Array} elements - Encoded elements
+ * @returns {Uint8Array}
+ */
+function sequence(...elements) {
+  return encode(TAG.SEQUENCE, concat(elements));
+}
+
+/**
+ * Context-specific constructed tag [n] around encoded elements
+ */
+function explicit(n, ...elements) {
+  return encode(0xa0 | n, concat(elements));
+}
+
+/**
+ * @param {bigint} value - Non-negative
+ */
+function integer(value) {
+  let bytes = toBytes(value);
+  if (bytes.length === 0 || bytes[0] & 0x80) {
+    bytes = concat([new Uint8Array([0]), bytes]);
+  }
+  return encode(TAG.INTEGER, bytes);
+}
+
+function octetString(bytes) {
+  return encode(TAG.OCTET_STRING, bytes);
+}
+
+function bitString(bytes) {
+  return encode(TAG.BIT_STRING, concat([new Uint8Array([0]), bytes]));
+}
+
+function nul() {
+  return encode(TAG.NULL, new Uint8Array(0));
+}
+
+/**
+ * @param {string} dotted - e.g. '1.2.840.10045.2.1'
+ */
+function oid(dotted) {
+  const parts = dotted.split('.').map(Number);
+  const bytes = [];
+
+  [parts[0] * 40 + parts[1], ...parts.slice(2)].forEach(value => {
+    const chunk = [value & 0x7f];
+    for (value = Math.floor(value / 128); value > 0; value = Math.floor(value / 128)) {
+      chunk.unshift(0x80 | (value & 0x7f));
+    }
+    bytes.push(...chunk);
+  });
+
+  return encode(TAG.OID, new Uint8Array(bytes));
+}
+
+/**
+ * Find the first PEM block in text
+ * @param {string} text
+ * @returns {{label: string, der: Uint8Array}|null}
+ */
+function fromPem(text) {
+  const match = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/.exec(text);
+  if (!match) {
+    return null;
+  }
+
+  const base64 = match[2].replace(/\s+/g, '');
+  if (/[^A-Za-z0-9+/=]/.test(base64)) {
+    return null;
+  }
+
+  return { label: match[1], der: Uint8Array.from(atob(base64), c => c.charCodeAt(0)) };
+}
+
+/**
+ * @param {string} label - e.g. 'PUBLIC KEY'
+ * @param {Uint8Array} der
+ * @returns {string} PEM with 64-character lines
+ */
+function toPem(label, der) {
+  let binary = '';
+  for (const byte of der) binary += String.fromCharCode(byte);
+
+  const lines = btoa(binary).match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+function concat(arrays) {
+  const output = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+
+  for (const array of arrays) {
+    output.set(array, offset);
+    offset += array.length;
+  }
+  return output;
+}
+
+module.exports = {
+  TAG,
+  decode,
+  expect,
+  readInteger,
+  readOid,
+  readBitString,
+  encode,
+  sequence,
+  explicit,
+  integer,
+  octetString,
+  bitString,
+  nul,
+  oid,
+  fromPem,
+  toPem,
+  concat
+};
@@ -0,0 +1,148 @@
+/*!
+ * BigInt helpers
+ * Modular arithmetic and byte conversions for the public-key algorithms
+ */
+
+'use strict';
+
+/**
+ * @param {Uint8Array} bytes - Big-endian, unsigned
+ * @returns {bigint}
+ */
+function fromBytes(bytes) {
+  let value = 0n;
+  for (const byte of bytes) {
+    value = (value << 8n) | BigInt(byte);
+  }
+  return value;
+}
+
+/**
+ * @param {bigint} value - Non-negative
+ * @param {number} [length] - Left-pad to this many bytes
+ * @returns {Uint8Array} Big-endian
+ */
+function toBytes(value, length) {
+  const hex = value === 0n ? '' : value.toString(16);
+  const size = Math.max(length || 0, Math.ceil(hex.length / 2));
+  const bytes = new Uint8Array(size);
+
+  for (let i = size - 1, j = hex.length; j > 0; i--, j -= 2) {
+    bytes[i] = parseInt(hex.slice(Math.max(j - 2, 0), j), 16);
+  }
+  return bytes;
+}
+
+/**
+ * @param {Uint8Array} bytes - Little-endian, unsigned
+ * @returns {bigint}
+ */
+function fromBytesLE(bytes) {
+  return fromBytes(Uint8Array.from(bytes).reverse());
+}
+
+/**
+ * @param {bigint} value - Non-negative
+ * @param {number} length
+ * @returns {Uint8Array} Little-endian
+ */
+function toBytesLE(value, length) {
+  return toBytes(value, length).reverse();
+}
+
+/**
+ * @param {bigint} a
+ * @param {bigint} m - Positive
+ * @returns {bigint} a mod m, in [0, m)
+ */
+function mod(a, m) {
+  const r = a % m;
+  return r < 0n ? r + m : r;
+}
+
+/**
+ * @returns {bigint} base^exponent mod m
+ */
+function modPow(base, exponent, m) {
+  let result = 1n;
+  base = mod(base, m);
+
+  for (; exponent > 0n; exponent >>= 1n) {
+    if (exponent & 1n) result = (result * base) % m;
+    base = (base * base) % m;
+  }
+  return result;
+}
+
+/**
+ * @returns {bigint} a^-1 mod m
+ * @throws {RangeError} If a has no inverse
+ */
+function modInverse(a, m) {
+  let [r0, r1] = [mod(a, m), m];
+  let [s0, s1] = [1n, 0n];
+
+  while (r1 !== 0n) {
+    const q = r0 / r1;
+    [r0, r1] = [r1, r0 - q * r1];
+    [s0, s1] = [s1, s0 - q * s1];
+  }
+
+  if (r0 !== 1n) {
+    throw new RangeError('Not invertible');
+  }
+  return mod(s0, m);
+}
+
+function gcd(a, b) {
+  while (b !== 0n) [a, b] = [b, a % b];
+  return a;
+}
+
+/**
+ * @param {bigint} value - Non-negative
+ * @returns {number} Bits needed to represent value
+ */
+function bitLength(value) {
+  return value === 0n ? 0 : value.toString(2).length;
+}
+
+/**
+ * @param {number} length
+ * @returns {Uint8Array} Bytes from Web Crypto's getRandomValues()
+ */
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i += 65536) {
+    crypto.getRandomValues(bytes.subarray(i, i + 65536));
+  }
+  return bytes;
+}
+
+/**
+ * @param {bigint} max
+ * @returns {bigint} Uniform in [1, max)
+ */
+function randomBelow(max) {
+  const bits = bitLength(max);
+  const excess = BigInt(8 * Math.ceil(bits / 8) - bits);
+
+  for (;;) {
+    const value = fromBytes(randomBytes(Math.ceil(bits / 8))) >> excess;
+    if (value > 0n && value < max) return value;
+  }
+}
+
+module.exports = {
+  fromBytes,
+  toBytes,
+  fromBytesLE,
+  toBytesLE,
+  mod,
+  modPow,
+  modInverse,
+  gcd,
+  bitLength,
+  randomBytes,
+  randomBelow
+};
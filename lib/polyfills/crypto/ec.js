@@ -0,0 +1,309 @@
+/*!
+ * ECDSA
+ * FIPS 186 signatures over the NIST P-256 and P-384 curves, on BigInt.
+ * Nonces are derived deterministically as in RFC 6979. Keys are plain
+ * objects: { curve, x, y } for public keys, plus d for private ones.
+ */
+
+'use strict';
+
+const { fromBytes, toBytes, mod, modPow, modInverse, bitLength, randomBelow } = require('./bigint');
+const { concat } = require('./asn1');
+const HMAC = require('./hmac');
+
+/**
+ * Short Weierstrass curves y^2 = x^3 - 3x + b over GF(p), by OpenSSL name
+ */
+const CURVES = {
+  prime256v1: {
+    name: 'prime256v1',
+    jwk: 'P-256',
+    oid: '1.2.840.10045.3.1.7',
+    size: 32,
+    p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+    b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+    n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+    gx: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+    gy: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n
+  },
+  secp384r1: {
+    name: 'secp384r1',
+    jwk: 'P-384',
+    oid: '1.3.132.0.34',
+    size: 48,
+    p: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffeffffffff0000000000000000ffffffffn,
+    b: 0xb3312fa7e23ee7e4988e056be3f82d19181d9c6efe8141120314088f5013875ac656398d8a2ed19d2a85c8edd3ec2aefn,
+    n: 0xffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973n,
+    gx: 0xaa87ca22be8b05378eb1c71ef320ad746e1d3b628ba79b9859f741e082542a385502f25dbf55296c3a545e3872760ab7n,
+    gy: 0x3617de4a96262c6f5d9e98bf9292dc29f8f41dbd289a147ce9da3113b5f0b8c00a60b1ce1d7e819d7a431d7c90ea0e5fn
+  }
+};
+
+// Names Node.js accepts for each curve
+const CURVE_ALIASES = {
+  'prime256v1': 'prime256v1',
+  'P-256': 'prime256v1',
+  'secp256r1': 'prime256v1',
+  'secp384r1': 'secp384r1',
+  'P-384': 'secp384r1'
+};
+
+/**
+ * @param {string} name - e.g. 'P-256', 'prime256v1', 'secp384r1'
+ * @returns {Object|null}
+ */
+function getCurve(name) {
+  const canonical = Object.prototype.hasOwnProperty.call(CURVE_ALIASES, name) ? CURVE_ALIASES[name] : null;
+  return canonical && CURVES[canonical];
+}
+
+/**
+ * @param {string} oid
+ * @returns {Object|null}
+ */
+function getCurveByOid(oid) {
+  return Object.values(CURVES).find(curve => curve.oid === oid) || null;
+}
+
+/**
+ * Sign a digest
+ * @param {Object} key - Private key
+ * @param {Function} Algorithm - Hash class from ./hash.js, for the nonce
+ * @param {Uint8Array} digest
+ * @returns {{r: bigint, s: bigint}}
+ */
+function sign(key, Algorithm, digest) {
+  const curve = key.curve;
+  const z = bitsToInt(digest, curve.n);
+  const nonces = nonceGenerator(curve, Algorithm, key.d, z);
+
+  for (;;) {
+    const k = nonces();
+    const point = multiply(curve, k, [curve.gx, curve.gy]);
+    const r = point[0] % curve.n;
+    if (r === 0n) continue;
+
+    const s = (modInverse(k, curve.n) * (z + r * key.d)) % curve.n;
+    if (s !== 0n) return { r, s };
+  }
+}
+
+/**
+ * @param {Object} key - Public key
+ * @param {Uint8Array} digest
+ * @param {{r: bigint, s: bigint}} signature
+ * @returns {boolean}
+ */
+function verify(key, digest, { r, s }) {
+  const curve = key.curve;
+
+  if (r <= 0n || r >= curve.n || s <= 0n || s >= curve.n) {
+    return false;
+  }
+
+  const w = modInverse(s, curve.n);
+  const z = bitsToInt(digest, curve.n);
+  const point = add(curve,
+    toJacobian(multiply(curve, (z * w) % curve.n, [curve.gx, curve.gy])),
+    toJacobian(multiply(curve, (r * w) % curve.n, [key.x, key.y])));
+  const affine = toAffine(curve, point);
+
+  return affine !== null && affine[0] % curve.n === r;
+}
+
+/**
+ * @param {Object} curve
+ * @returns {Object} Private key
+ */
+function generate(curve) {
+  return fromPrivate(curve, randomBelow(curve.n));
+}
+
+/**
+ * Complete a private key with its public point
+ * @param {Object} curve
+ * @param {bigint} d
+ * @returns {Object}
+ */
+function fromPrivate(curve, d) {
+  const [x, y] = multiply(curve, d, [curve.gx, curve.gy]);
+  return { curve, x, y, d };
+}
+
+/**
+ * Decode an uncompressed or compressed SEC1 point
+ * @param {Object} curve
+ * @param {Uint8Array} bytes
+ * @returns {{x: bigint, y: bigint}}
+ * @throws {Error} If the point isn't on the curve
+ */
+function decodePoint(curve, bytes) {
+  const size = curve.size;
+  let x;
+  let y;
+
+  if (bytes[0] === 0x04 && bytes.length === 1 + 2 * size) {
+    x = fromBytes(bytes.subarray(1, 1 + size));
+    y = fromBytes(bytes.subarray(1 + size));
+  } else if ((bytes[0] === 0x02 || bytes[0] === 0x03) && bytes.length === 1 + size) {
+    // p = 3 mod 4 for both curves, so the square root is a power
+    x = fromBytes(bytes.subarray(1));
+    y = modPow(curveRhs(curve, x), (curve.p + 1n) / 4n, curve.p);
+    if ((y & 1n) !== BigInt(bytes[0] & 1)) y = curve.p - y;
+  } else {
+    throw new Error('Invalid EC point encoding');
+  }
+
+  if (x >= curve.p || y >= curve.p || mod(y * y, curve.p) !== curveRhs(curve, x)) {
+    throw new Error('Point is not on the curve');
+  }
+  return { x, y };
+}
+
+/**
+ * @param {Object} key
+ * @returns {Uint8Array} Uncompressed SEC1 point
+ */
+function encodePoint(key) {
+  return concat([new Uint8Array([0x04]), toBytes(key.x, key.curve.size), toBytes(key.y, key.curve.size)]);
+}
+
+function curveRhs(curve, x) {
+  return mod(x * x * x - 3n * x + curve.b, curve.p);
+}
+
+/**
+ * Leftmost bits of a digest as an integer, as ECDSA and RFC 6979 use it
+ */
+function bitsToInt(bytes, n) {
+  const value = fromBytes(bytes);
+  const excess = bytes.length * 8 - bitLength(n);
+  return excess > 0 ? value >> BigInt(excess) : value;
+}
+
+/**
+ * RFC 6979 section 3.2: successive nonces from HMAC-DRBG seeded with the
+ * private key and the message
+ */
+function nonceGenerator(curve, Algorithm, d, z) {
+  const size = Math.ceil(bitLength(curve.n) / 8);
+  const x = toBytes(d, size);
+  const h = toBytes(z % curve.n, size);
+  const hmac = key => new HMAC(Algorithm, key);
+  const outputSize = hmac(new Uint8Array(0)).outputSize;
+
+  let v = new Uint8Array(outputSize).fill(1);
+  let k = new Uint8Array(outputSize);
+
+  k = hmac(k).update(concat([v, [0], x, h])).digest();
+  v = hmac(k).update(v).digest();
+  k = hmac(k).update(concat([v, [1], x, h])).digest();
+  v = hmac(k).update(v).digest();
+
+  return () => {
+    for (;;) {
+      let t = new Uint8Array(0);
+      while (t.length < size) {
+        v = hmac(k).update(v).digest();
+        t = concat([t, v]);
+      }
+
+      const candidate = bitsToInt(t.subarray(0, size), curve.n);
+      k = hmac(k).update(concat([v, [0]])).digest();
+      v = hmac(k).update(v).digest();
+
+      if (candidate > 0n && candidate < curve.n) return candidate;
+    }
+  };
+}
+
+/**
+ * Scalar multiplication by double-and-add, in Jacobian coordinates
+ * @returns {bigint[]} Affine [x, y]
+ */
+function multiply(curve, k, point) {
+  let result = null;
+  const base = toJacobian(point);
+
+  for (let i = bitLength(k) - 1; i >= 0; i--) {
+    result = double(curve, result);
+    if ((k >> BigInt(i)) & 1n) result = add(curve, result, base);
+  }
+  return toAffine(curve, result);
+}
+
+function toJacobian(point) {
+  return point && [point[0], point[1], 1n];
+}
+
+function toAffine(curve, point) {
+  if (point === null) {
+    return null;
+  }
+
+  const p = curve.p;
+  const zInv = modInverse(point[2], p);
+  const zInv2 = (zInv * zInv) % p;
+  return [(point[0] * zInv2) % p, (point[1] * zInv2 * zInv) % p];
+}
+
+// Point doubling for a = -3; null is the point at infinity
+function double(curve, point) {
+  if (point === null || point[1] === 0n) {
+    return null;
+  }
+
+  const p = curve.p;
+  const [x, y, z] = point;
+  const zz = (z * z) % p;
+  const m = mod(3n * (x - zz) * (x + zz), p);
+  const yy = (y * y) % p;
+  const s = (4n * x * yy) % p;
+  const x3 = mod(m * m - 2n * s, p);
+  const y3 = mod(m * (s - x3) - 8n * yy * yy, p);
+  const z3 = (2n * y * z) % p;
+
+  return [x3, y3, z3];
+}
+
+function add(curve, a, b) {
+  if (a === null) return b;
+  if (b === null) return a;
+
+  const p = curve.p;
+  const [x1, y1, z1] = a;
+  const [x2, y2, z2] = b;
+  const z1z1 = (z1 * z1) % p;
+  const z2z2 = (z2 * z2) % p;
+  const u1 = (x1 * z2z2) % p;
+  const u2 = (x2 * z1z1) % p;
+  const s1 = (y1 * z2 * z2z2) % p;
+  const s2 = (y2 * z1 * z1z1) % p;
+
+  if (u1 === u2) {
+    return s1 === s2 ? double(curve, a) : null;
+  }
+
+  const h = mod(u2 - u1, p);
+  const r = mod(s2 - s1, p);
+  const hh = (h * h) % p;
+  const hhh = (h * hh) % p;
+  const v = (u1 * hh) % p;
+  const x3 = mod(r * r - hhh - 2n * v, p);
+  const y3 = mod(r * (v - x3) - s1 * hhh, p);
+  const z3 = (z1 * z2 * h) % p;
+
+  return [x3, y3, z3];
+}
+
+module.exports = {
+  CURVES,
+  getCurve,
+  getCurveByOid,
+  sign,
+  verify,
+  generate,
+  fromPrivate,
+  decodePoint,
+  encodePoint
+};
@@ -0,0 +1,181 @@
+/*!
+ * Ed25519
+ * RFC 8032 signatures on BigInt, in extended twisted Edwards coordinates.
+ * Keys are 32-byte strings: the seed for private keys and the encoded
+ * point for public keys.
+ */
+
+'use strict';
+
+const { fromBytesLE, toBytesLE, mod, modPow, modInverse, randomBytes } = require('./bigint');
+const { concat } = require('./asn1');
+const { SHA512 } = require('./hash');
+
+const P = 2n ** 255n - 19n;
+const L = 2n ** 252n + 27742317777372353535851937790883648493n;
+const D = mod(-121665n * modInverse(121666n, P), P);
+const SQRT_M1 = modPow(2n, (P - 1n) / 4n, P);
+
+// Base point: y = 4/5 with even x
+const BASE = (() => {
+  const y = mod(4n * modInverse(5n, P), P);
+  const x = recoverX(y, 0);
+  return [x, y, 1n, mod(x * y, P)];
+})();
+
+/**
+ * @param {Uint8Array} seed - 32-byte private key
+ * @returns {Uint8Array} 32-byte public key
+ */
+function getPublicKey(seed) {
+  return encode(multiply(BASE, expand(seed).scalar));
+}
+
+/**
+ * @returns {Uint8Array} Random 32-byte private key
+ */
+function generate() {
+  return randomBytes(32);
+}
+
+/**
+ * @param {Uint8Array} seed - 32-byte private key
+ * @param {Uint8Array} message
+ * @returns {Uint8Array} 64-byte signature
+ */
+function sign(seed, message) {
+  const { scalar, prefix } = expand(seed);
+  const publicKey = encode(multiply(BASE, scalar));
+  const r = mod(fromBytesLE(sha512(prefix, message)), L);
+  const encodedR = encode(multiply(BASE, r));
+  const k = mod(fromBytesLE(sha512(encodedR, publicKey, message)), L);
+  const s = mod(r + k * scalar, L);
+
+  return concat([encodedR, toBytesLE(s, 32)]);
+}
+
+/**
+ * @param {Uint8Array} publicKey - 32 bytes
+ * @param {Uint8Array} message
+ * @param {Uint8Array} signature - 64 bytes
+ * @returns {boolean}
+ */
+function verify(publicKey, message, signature) {
+  if (signature.length !== 64) {
+    return false;
+  }
+
+  const a = decode(publicKey);
+  const encodedR = signature.subarray(0, 32);
+  const s = fromBytesLE(signature.subarray(32));
+
+  if (!a || s >= L) {
+    return false;
+  }
+
+  // R' = [S]B - [k]A must encode to R
+  const k = mod(fromBytesLE(sha512(encodedR, publicKey, message)), L);
+  const negA = [P - a[0], a[1], a[2], P - a[3]];
+  const expected = encode(add(multiply(BASE, s), multiply(negA, k)));
+
+  return expected.every((byte, i) => byte === encodedR[i]);
+}
+
+/**
+ * Check that 32 bytes decode to a curve point
+ * @param {Uint8Array} publicKey
+ * @returns {boolean}
+ */
+function isValidPublicKey(publicKey) {
+  return publicKey.length === 32 && decode(publicKey) !== null;
+}
+
+function expand(seed) {
+  const h = sha512(seed);
+  const a = h.slice(0, 32);
+
+  a[0] &= 248;
+  a[31] &= 127;
+  a[31] |= 64;
+  return { scalar: fromBytesLE(a), prefix: h.subarray(32) };
+}
+
+function sha512(...parts) {
+  const hash = new SHA512();
+  parts.forEach(part => hash.update(part));
+  return hash.digest();
+}
+
+function add(a, b) {
+  const [x1, y1, z1, t1] = a;
+  const [x2, y2, z2, t2] = b;
+  const A = mod((y1 - x1) * (y2 - x2), P);
+  const B = mod((y1 + x1) * (y2 + x2), P);
+  const C = mod(2n * D * t1 * t2, P);
+  const Dz = mod(2n * z1 * z2, P);
+  const E = B - A;
+  const F = Dz - C;
+  const G = Dz + C;
+  const H = B + A;
+
+  return [mod(E * F, P), mod(G * H, P), mod(F * G, P), mod(E * H, P)];
+}
+
+function multiply(point, scalar) {
+  let result = [0n, 1n, 1n, 0n];
+
+  for (; scalar > 0n; scalar >>= 1n) {
+    if (scalar & 1n) result = add(result, point);
+    point = add(point, point);
+  }
+  return result;
+}
+
+function encode(point) {
+  const zInv = modInverse(point[2], P);
+  const x = mod(point[0] * zInv, P);
+  const y = mod(point[1] * zInv, P);
+  const bytes = toBytesLE(y, 32);
+
+  bytes[31] |= Number(x & 1n) << 7;
+  return bytes;
+}
+
+function decode(bytes) {
+  const copy = Uint8Array.from(bytes);
+  const sign = copy[31] >> 7;
+  copy[31] &= 0x7f;
+
+  const y = fromBytesLE(copy);
+  const x = y < P ? recoverX(y, sign) : null;
+  return x === null ? null : [x, y, 1n, mod(x * y, P)];
+}
+
+/**
+ * x from y and the sign bit, or null if y isn't on the curve
+ */
+function recoverX(y, sign) {
+  const u = mod(y * y - 1n, P);
+  const v = mod(D * y * y + 1n, P);
+  let x = mod(u * modPow(v, 3n, P) * modPow(u * modPow(v, 7n, P), (P - 5n) / 8n, P), P);
+  const vxx = mod(v * x * x, P);
+
+  if (vxx === mod(-u, P)) {
+    x = mod(x * SQRT_M1, P);
+  } else if (vxx !== u) {
+    return null;
+  }
+
+  if (x === 0n && sign) {
+    return null;
+  }
+  return Number(x & 1n) === sign ? x : P - x;
+}
+
+module.exports = {
+  getPublicKey,
+  generate,
+  sign,
+  verify,
+  isValidPublicKey
+};
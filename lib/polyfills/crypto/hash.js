@@ -0,0 +1,561 @@
+/*!
+ * Hash algorithms
+ * Synchronous pure-JS MD5, SHA-1 and SHA-2 digests for crypto-stub,
+ * since Web Crypto only offers async SHA digests
+ */
+
+'use strict';
+
+/**
+ * Merkle-Damgard construction shared by every algorithm here: input is
+ * buffered into blocks for `_compress()`, and `digest()` pads the last
+ * block with 0x80, zeros and the message length in bits.
+ */
+class BlockHash {
+  /**
+   * @param {number} blockSize - Block size in bytes
+   * @param {number} outputSize - Digest size in bytes
+   * @param {number} lengthSize - Bytes used to encode the message length
+   */
+  constructor(blockSize, outputSize, lengthSize) {
+    this.blockSize = blockSize;
+    this.outputSize = outputSize;
+    this.lengthSize = lengthSize;
+    this.block = new Uint8Array(blockSize);
+    this.blockLength = 0;
+    this.length = 0;
+  }
+
+  /**
+   * @param {Uint8Array} data
+   * @returns {this}
+   */
+  update(data) {
+    let offset = 0;
+    this.length += data.length;
+
+    // Top up a partial block first
+    if (this.blockLength > 0) {
+      const take = Math.min(this.blockSize - this.blockLength, data.length);
+      this.block.set(data.subarray(0, take), this.blockLength);
+      this.blockLength += take;
+      offset = take;
+
+      if (this.blockLength < this.blockSize) {
+        return this;
+      }
+
+      this._compress(this.block, 0);
+      this.blockLength = 0;
+    }
+
+    // Then hash whole blocks straight from the input
+    for (; offset + this.blockSize <= data.length; offset += this.blockSize) {
+      this._compress(data, offset);
+    }
+
+    this.block.set(data.subarray(offset), 0);
+    this.blockLength = data.length - offset;
+    return this;
+  }
+
+  /**
+   * Finish the hash. The instance can't be updated afterwards.
+   * @returns {Uint8Array}
+   */
+  digest() {
+    const bits = this.length * 8;
+    const block = this.block;
+
+    block[this.blockLength++] = 0x80;
+    if (this.blockLength > this.blockSize - this.lengthSize) {
+      block.fill(0, this.blockLength);
+      this._compress(block, 0);
+      this.blockLength = 0;
+    }
+    block.fill(0, this.blockLength);
+
+    // Lengths never reach 2^53 bits, so the high words stay zero
+    const high = Math.floor(bits / 0x100000000);
+    const low = bits >>> 0;
+    if (this.littleEndian) {
+      writeUint32LE(block, this.blockSize - this.lengthSize, low);
+      writeUint32LE(block, this.blockSize - this.lengthSize + 4, high);
+    } else {
+      writeUint32BE(block, this.blockSize - 8, high);
+      writeUint32BE(block, this.blockSize - 4, low);
+    }
+
+    this._compress(block, 0);
+    return this._output();
+  }
+
+  /**
+   * Copy the hash state, so a common prefix can be hashed once
+   * @returns {BlockHash}
+   */
+  copy() {
+    const copy = new this.constructor();
+    copy.state = this.state.slice();
+    copy.block = this.block.slice();
+    copy.blockLength = this.blockLength;
+    copy.length = this.length;
+    return copy;
+  }
+
+  /**
+   * Serialise the first `outputSize` bytes of the 32-bit state words
+   * @private
+   */
+  _output() {
+    const out = new Uint8Array(this.outputSize);
+    const write = this.littleEndian ? writeUint32LE : writeUint32BE;
+
+    for (let i = 0; i < this.outputSize; i += 4) {
+      write(out, i, this.state[i / 4]);
+    }
+    return out;
+  }
+}
+
+// Per-round additive constants, floor(abs(sin(i + 1)) * 2^32)
+const MD5_K = new Int32Array(64).map((_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000));
+
+const MD5_SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+/**
+ * MD5 (RFC 1321)
+ */
+class MD5 extends BlockHash {
+  constructor() {
+    super(64, 16, 8);
+    this.littleEndian = true;
+    this.state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]);
+    this.words = new Int32Array(16);
+  }
+
+  _compress(data, offset) {
+    const x = this.words;
+    const state = this.state;
+
+    for (let i = 0; i < 16; i++) {
+      x[i] = readUint32LE(data, offset + i * 4);
+    }
+
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) & 15;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) & 15;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) & 15;
+      }
+
+      const t = d;
+      d = c;
+      c = b;
+      b = (b + rotl(a + f + MD5_K[i] + x[g], MD5_SHIFTS[i])) | 0;
+      a = t;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+  }
+}
+
+/**
+ * SHA-1 (FIPS 180-4)
+ */
+class SHA1 extends BlockHash {
+  constructor() {
+    super(64, 20, 8);
+    this.state = new Int32Array([0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0]);
+    this.words = new Int32Array(80);
+  }
+
+  _compress(data, offset) {
+    const w = this.words;
+    const state = this.state;
+
+    for (let i = 0; i < 16; i++) {
+      w[i] = readUint32BE(data, offset + i * 4);
+    }
+    for (let i = 16; i < 80; i++) {
+      w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    let e = state[4];
+
+    for (let i = 0; i < 80; i++) {
+      let f;
+      let k;
+
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+
+      const t = (rotl(a, 5) + f + e + k + w[i]) | 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30);
+      b = a;
+      a = t;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+  }
+}
+
+// First 32 bits of the fractional parts of the cube roots of the first 64 primes
+const SHA256_K = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * SHA-256 (FIPS 180-4)
+ */
+class SHA256 extends BlockHash {
+  constructor() {
+    super(64, 32, 8);
+    this.state = new Int32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+    this.words = new Int32Array(64);
+  }
+
+  _compress(data, offset) {
+    const w = this.words;
+    const state = this.state;
+
+    for (let i = 0; i < 16; i++) {
+      w[i] = readUint32BE(data, offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    let e = state[4];
+    let f = state[5];
+    let g = state[6];
+    let h = state[7];
+
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + SHA256_K[i] + w[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) | 0;
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] = (state[0] + a) | 0;
+    state[1] = (state[1] + b) | 0;
+    state[2] = (state[2] + c) | 0;
+    state[3] = (state[3] + d) | 0;
+    state[4] = (state[4] + e) | 0;
+    state[5] = (state[5] + f) | 0;
+    state[6] = (state[6] + g) | 0;
+    state[7] = (state[7] + h) | 0;
+  }
+}
+
+/**
+ * SHA-224: SHA-256 with its own initial values, truncated to 28 bytes
+ */
+class SHA224 extends SHA256 {
+  constructor() {
+    super();
+    this.outputSize = 28;
+    this.state = new Int32Array([
+      0xc1059ed8, 0x367cd507, 0x3070dd17, 0xf70e5939, 0xffc00b31, 0x68581511, 0x64f98fa7, 0xbefa4fa4
+    ]);
+  }
+}
+
+// First 64 bits of the fractional parts of the cube roots of the first
+// 80 primes, as high/low 32-bit pairs
+const SHA512_K = new Int32Array([
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817
+]);
+
+/**
+ * SHA-512 (FIPS 180-4). 64-bit words are kept as high/low pairs of
+ * 32-bit integers, with carries propagated by hand.
+ */
+class SHA512 extends BlockHash {
+  constructor() {
+    super(128, 64, 16);
+    this.state = new Int32Array([
+      0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+      0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179
+    ]);
+    this.words = new Int32Array(160);
+  }
+
+  _compress(data, offset) {
+    const w = this.words;
+    const state = this.state;
+
+    for (let i = 0; i < 32; i++) {
+      w[i] = readUint32BE(data, offset + i * 4);
+    }
+    for (let i = 32; i < 160; i += 2) {
+      // s0 = rotr(w15, 1) ^ rotr(w15, 8) ^ (w15 >>> 7)
+      let xh = w[i - 30];
+      let xl = w[i - 29];
+      const s0h = rotr64h(xh, xl, 1) ^ rotr64h(xh, xl, 8) ^ (xh >>> 7);
+      const s0l = rotr64l(xh, xl, 1) ^ rotr64l(xh, xl, 8) ^ ((xl >>> 7) | (xh << 25));
+
+      // s1 = rotr(w2, 19) ^ rotr(w2, 61) ^ (w2 >>> 6)
+      xh = w[i - 4];
+      xl = w[i - 3];
+      const s1h = rotr64h(xh, xl, 19) ^ rotr64h(xh, xl, 61) ^ (xh >>> 6);
+      const s1l = rotr64l(xh, xl, 19) ^ rotr64l(xh, xl, 61) ^ ((xl >>> 6) | (xh << 26));
+
+      // w[i] = w16 + s0 + w7 + s1
+      const l = (w[i - 31] >>> 0) + (s0l >>> 0) + (w[i - 13] >>> 0) + (s1l >>> 0);
+      w[i] = (w[i - 32] + s0h + w[i - 14] + s1h + Math.floor(l / 0x100000000)) | 0;
+      w[i + 1] = l | 0;
+    }
+
+    let ah = state[0], al = state[1];
+    let bh = state[2], bl = state[3];
+    let ch = state[4], cl = state[5];
+    let dh = state[6], dl = state[7];
+    let eh = state[8], el = state[9];
+    let fh = state[10], fl = state[11];
+    let gh = state[12], gl = state[13];
+    let hh = state[14], hl = state[15];
+
+    for (let i = 0; i < 160; i += 2) {
+      // S1 = rotr(e, 14) ^ rotr(e, 18) ^ rotr(e, 41)
+      const s1h = rotr64h(eh, el, 14) ^ rotr64h(eh, el, 18) ^ rotr64h(eh, el, 41);
+      const s1l = rotr64l(eh, el, 14) ^ rotr64l(eh, el, 18) ^ rotr64l(eh, el, 41);
+      const chh = (eh & fh) ^ (~eh & gh);
+      const chl = (el & fl) ^ (~el & gl);
+
+      // t1 = h + S1 + ch + K[i] + w[i]
+      const t1l = (hl >>> 0) + (s1l >>> 0) + (chl >>> 0) + (SHA512_K[i + 1] >>> 0) + (w[i + 1] >>> 0);
+      const t1h = (hh + s1h + chh + SHA512_K[i] + w[i] + Math.floor(t1l / 0x100000000)) | 0;
+
+      // S0 = rotr(a, 28) ^ rotr(a, 34) ^ rotr(a, 39)
+      const s0h = rotr64h(ah, al, 28) ^ rotr64h(ah, al, 34) ^ rotr64h(ah, al, 39);
+      const s0l = rotr64l(ah, al, 28) ^ rotr64l(ah, al, 34) ^ rotr64l(ah, al, 39);
+      const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+      const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+
+      // t2 = S0 + maj
+      const t2l = (s0l >>> 0) + (majl >>> 0);
+      const t2h = (s0h + majh + Math.floor(t2l / 0x100000000)) | 0;
+
+      hh = gh; hl = gl;
+      gh = fh; gl = fl;
+      fh = eh; fl = el;
+
+      // e = d + t1
+      const el64 = (dl >>> 0) + (t1l >>> 0);
+      eh = (dh + t1h + Math.floor(el64 / 0x100000000)) | 0;
+      el = el64 | 0;
+
+      dh = ch; dl = cl;
+      ch = bh; cl = bl;
+      bh = ah; bl = al;
+
+      // a = t1 + t2
+      const al64 = (t1l >>> 0) + (t2l >>> 0);
+      ah = (t1h + t2h + Math.floor(al64 / 0x100000000)) | 0;
+      al = al64 | 0;
+    }
+
+    add64(state, 0, ah, al);
+    add64(state, 2, bh, bl);
+    add64(state, 4, ch, cl);
+    add64(state, 6, dh, dl);
+    add64(state, 8, eh, el);
+    add64(state, 10, fh, fl);
+    add64(state, 12, gh, gl);
+    add64(state, 14, hh, hl);
+  }
+}
+
+/**
+ * SHA-384: SHA-512 with its own initial values, truncated to 48 bytes
+ */
+class SHA384 extends SHA512 {
+  constructor() {
+    super();
+    this.outputSize = 48;
+    this.state = new Int32Array([
+      0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+      0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4
+    ]);
+  }
+}
+
+const ALGORITHMS = {
+  md5: MD5,
+  sha1: SHA1,
+  sha224: SHA224,
+  sha256: SHA256,
+  sha384: SHA384,
+  sha512: SHA512
+};
+
+/**
+ * Look up an algorithm by any of the names Node.js accepts for it,
+ * e.g. 'sha256', 'SHA256', 'sha-256', 'RSA-SHA256'
+ * @param {string} name
+ * @returns {Function|null} Algorithm class
+ */
+function getAlgorithm(name) {
+  const key = String(name).toLowerCase()
+    .replace(/^rsa-/, '')
+    .replace(/withrsaencryption$/, '')
+    .replace(/^sha2?-(\d+)$/, 'sha$1');
+
+  return Object.prototype.hasOwnProperty.call(ALGORITHMS, key) ? ALGORITHMS[key] : null;
+}
+
+/**
+ * @returns {string[]} Names of the supported algorithms
+ */
+function getHashNames() {
+  return Object.keys(ALGORITHMS);
+}
+
+function rotl(x, n) {
+  return (x << n) | (x >>> (32 - n));
+}
+
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+// High and low words of a 64-bit rotate right by n (0 < n < 64)
+function rotr64h(h, l, n) {
+  return n < 32 ? (h >>> n) | (l << (32 - n)) : (l >>> (n - 32)) | (h << (64 - n));
+}
+
+function rotr64l(h, l, n) {
+  return n < 32 ? (l >>> n) | (h << (32 - n)) : (h >>> (n - 32)) | (l << (64 - n));
+}
+
+// state[i..i+1] += (h, l)
+function add64(state, i, h, l) {
+  const low = (state[i + 1] >>> 0) + (l >>> 0);
+  state[i] = (state[i] + h + Math.floor(low / 0x100000000)) | 0;
+  state[i + 1] = low | 0;
+}
+
+function readUint32BE(data, i) {
+  return (data[i] << 24) | (data[i + 1] << 16) | (data[i + 2] << 8) | data[i + 3];
+}
+
+function readUint32LE(data, i) {
+  return data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24);
+}
+
+function writeUint32BE(data, i, value) {
+  data[i] = value >>> 24;
+  data[i + 1] = value >>> 16;
+  data[i + 2] = value >>> 8;
+  data[i + 3] = value;
+}
+
+function writeUint32LE(data, i, value) {
+  data[i] = value;
+  data[i + 1] = value >>> 8;
+  data[i + 2] = value >>> 16;
+  data[i + 3] = value >>> 24;
+}
+
+module.exports = {
+  getAlgorithm,
+  getHashNames,
+  MD5,
+  SHA1,
+  SHA224,
+  SHA256,
+  SHA384,
+  SHA512
+};
@@ -0,0 +1,74 @@
+/*!
+ * HMAC
+ * RFC 2104 keyed hashing over the algorithms in ./hash.js
+ */
+
+'use strict';
+
+const IPAD = 0x36;
+const OPAD = 0x5c;
+
+/**
+ * HMAC over a hash algorithm class from ./hash.js. The keyed inner and
+ * outer states are set up once, so copy() makes repeated MACs under the
+ * same key (as in PBKDF2) cheap.
+ */
+class HMAC {
+  /**
+   * @param {Function} Algorithm - Hash class, e.g. SHA256
+   * @param {Uint8Array} key
+   */
+  constructor(Algorithm, key) {
+    if (!Algorithm) return;
+
+    const inner = new Algorithm();
+    const blockSize = inner.blockSize;
+
+    // Keys longer than a block are hashed first, shorter ones zero-padded
+    if (key.length > blockSize) {
+      key = new Algorithm().update(key).digest();
+    }
+
+    const pad = new Uint8Array(blockSize);
+    pad.set(key);
+
+    for (let i = 0; i < blockSize; i++) pad[i] ^= IPAD;
+    inner.update(pad);
+
+    for (let i = 0; i < blockSize; i++) pad[i] ^= IPAD ^ OPAD;
+    this.outer = new Algorithm().update(pad);
+    this.inner = inner;
+    this.outputSize = inner.outputSize;
+  }
+
+  /**
+   * @param {Uint8Array} data
+   * @returns {this}
+   */
+  update(data) {
+    this.inner.update(data);
+    return this;
+  }
+
+  /**
+   * Finish the MAC. The instance can't be updated afterwards.
+   * @returns {Uint8Array}
+   */
+  digest() {
+    return this.outer.update(this.inner.digest()).digest();
+  }
+
+  /**
+   * Copy the keyed state
+   * @returns {HMAC}
+   */
+  copy() {
+    const copy = new HMAC();
+    copy.inner = this.inner.copy();
+    copy.outer = this.outer.copy();
+    copy.outputSize = this.outputSize;
+    return copy;
+  }
+}
+
+module.exports = HMAC;
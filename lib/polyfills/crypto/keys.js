@@ -0,0 +1,411 @@
+/*!
+ * Key formats
+ * Asymmetric keys to and from PEM, DER (SPKI, PKCS#8, PKCS#1, SEC1) and
+ * JWK. Keys are the plain objects ./rsa.js, ./ec.js and ./ed25519.js work
+ * on, tagged with `type`: 'rsa', 'ec' or 'ed25519'. Parsers return null
+ * for input they can't read.
+ */
+
+'use strict';
+
+const asn1 = require('./asn1');
+const ec = require('./ec');
+const ed25519 = require('./ed25519');
+const { fromFactors } = require('./rsa');
+const { fromBytes, toBytes } = require('./bigint');
+
+const { TAG } = asn1;
+
+const OID = {
+  rsa: '1.2.840.113549.1.1.1',
+  ec: '1.2.840.10045.2.1',
+  ed25519: '1.3.101.112'
+};
+
+// PEM labels: which DER structure each holds, and whether it's private
+const PEM_LABELS = {
+  'PUBLIC KEY': { type: 'spki', private: false },
+  'RSA PUBLIC KEY': { type: 'pkcs1', private: false },
+  'PRIVATE KEY': { type: 'pkcs8', private: true },
+  'RSA PRIVATE KEY': { type: 'pkcs1', private: true },
+  'EC PRIVATE KEY': { type: 'sec1', private: true },
+  'CERTIFICATE': { type: 'certificate', private: false }
+};
+
+/**
+ * @param {Object} key
+ * @returns {boolean}
+ */
+function isPrivate(key) {
+  return key.type === 'ed25519' ? Boolean(key.seed) : key.d !== undefined;
+}
+
+/**
+ * Drop the private parts of a key
+ * @param {Object} key
+ * @returns {Object}
+ */
+function toPublic(key) {
+  switch (key.type) {
+    case 'rsa':
+      return { type: 'rsa', n: key.n, e: key.e };
+    case 'ec':
+      return { type: 'ec', curve: key.curve, x: key.x, y: key.y };
+    default:
+      return { type: 'ed25519', publicKey: key.publicKey };
+  }
+}
+
+/**
+ * Read the first PEM block in text. X.509 certificates give their
+ * subject's public key.
+ * @param {string} text
+ * @returns {Object|null}
+ */
+function fromPem(text) {
+  const pem = asn1.fromPem(text);
+  const label = pem && PEM_LABELS[pem.label];
+
+  return label ? fromDer(pem.der, label.type, label.private) : null;
+}
+
+/**
+ * @param {Uint8Array} der
+ * @param {string} type - 'spki', 'pkcs8', 'pkcs1', 'sec1' or 'certificate'
+ * @param {boolean} [privateKey] - For pkcs1, which of the two structures
+ * @returns {Object|null}
+ */
+function fromDer(der, type, privateKey) {
+  try {
+    const root = asn1.decode(der);
+
+    switch (type) {
+      case 'spki':
+        return fromSpki(root);
+      case 'pkcs8':
+        return fromPkcs8(root);
+      case 'pkcs1':
+        return privateKey ? fromRsaPrivateKey(root) : fromRsaPublicKey(root);
+      case 'sec1':
+        return fromEcPrivateKey(root, null);
+      case 'certificate':
+        return fromCertificate(root);
+      default:
+        return null;
+    }
+  } catch (err) {
+    return null;
+  }
+}
+
+function fromSpki(root) {
+  const [algorithm, publicKey] = asn1.expect(root, TAG.SEQUENCE).children;
+  const [oid, parameters] = asn1.expect(algorithm, TAG.SEQUENCE).children;
+  const bits = asn1.readBitString(publicKey);
+
+  switch (asn1.readOid(oid)) {
+    case OID.rsa:
+      return fromRsaPublicKey(asn1.decode(bits));
+    case OID.ec: {
+      const curve = ec.getCurveByOid(asn1.readOid(parameters));
+      return curve && { type: 'ec', curve, ...ec.decodePoint(curve, bits) };
+    }
+    case OID.ed25519:
+      return ed25519.isValidPublicKey(bits) ? { type: 'ed25519', publicKey: Uint8Array.from(bits) } : null;
+    default:
+      return null;
+  }
+}
+
+function fromPkcs8(root) {
+  const [version, algorithm, privateKey] = asn1.expect(root, TAG.SEQUENCE).children;
+  const [oid, parameters] = asn1.expect(algorithm, TAG.SEQUENCE).children;
+  const contents = asn1.expect(privateKey, TAG.OCTET_STRING).contents;
+
+  if (asn1.readInteger(version) > 1n) {
+    return null;
+  }
+
+  switch (asn1.readOid(oid)) {
+    case OID.rsa:
+      return fromRsaPrivateKey(asn1.decode(contents));
+    case OID.ec:
+      return fromEcPrivateKey(asn1.decode(contents), ec.getCurveByOid(asn1.readOid(parameters)));
+    case OID.ed25519: {
+      const seed = asn1.expect(asn1.decode(contents), TAG.OCTET_STRING).contents;
+      if (seed.length !== 32) return null;
+      return { type: 'ed25519', publicKey: ed25519.getPublicKey(seed), seed: Uint8Array.from(seed) };
+    }
+    default:
+      return null;
+  }
+}
+
+function fromRsaPublicKey(root) {
+  const [n, e] = asn1.expect(root, TAG.SEQUENCE).children.map(asn1.readInteger);
+  return { type: 'rsa', n, e };
+}
+
+function fromRsaPrivateKey(root) {
+  const values = asn1.expect(root, TAG.SEQUENCE).children.map(asn1.readInteger);
+  if (values.length < 9 || values[0] !== 0n) {
+    return null;
+  }
+
+  const [, n, e, d, p, q, dp, dq, qi] = values;
+  return { type: 'rsa', n, e, d, p, q, dp, dq, qi };
+}
+
+// ECPrivateKey from SEC1, with the curve from its [0] parameters or,
+// inside PKCS#8, from the algorithm identifier
+function fromEcPrivateKey(root, curve) {
+  const [version, privateKey, ...optional] = asn1.expect(root, TAG.SEQUENCE).children;
+  const parameters = optional.find(element => element.tag === 0xa0);
+  const publicKey = optional.find(element => element.tag === 0xa1);
+
+  if (parameters) {
+    curve = ec.getCurveByOid(asn1.readOid(parameters.children[0]));
+  }
+
+  if (!curve || asn1.readInteger(version) !== 1n) {
+    return null;
+  }
+
+  const d = fromBytes(asn1.expect(privateKey, TAG.OCTET_STRING).contents);
+  if (d === 0n || d >= curve.n) {
+    return null;
+  }
+
+  const key = ec.fromPrivate(curve, d);
+  if (publicKey) {
+    const point = ec.decodePoint(curve, asn1.readBitString(publicKey.children[0]));
+    if (point.x !== key.x || point.y !== key.y) return null;
+  }
+
+  return { type: 'ec', ...key };
+}
+
+// The subjectPublicKeyInfo of an X.509 certificate
+function fromCertificate(root) {
+  const [tbs] = asn1.expect(root, TAG.SEQUENCE).children;
+  const fields = asn1.expect(tbs, TAG.SEQUENCE).children;
+  const offset = fields[0].tag === 0xa0 ? 1 : 0;
+
+  return fromSpki(fields[offset + 5]);
+}
+
+/**
+ * @param {Object} key
+ * @param {string} type - 'spki' or 'pkcs1' for public keys, 'pkcs8',
+ *   'pkcs1' or 'sec1' for private ones; pkcs1 is RSA-only, sec1 EC-only
+ * @returns {Uint8Array}
+ */
+function toDer(key, type) {
+  if (type === 'pkcs1') {
+    return isPrivate(key)
+      ? asn1.sequence(...[0n, key.n, key.e, key.d, key.p, key.q, key.dp, key.dq, key.qi].map(asn1.integer))
+      : asn1.sequence(asn1.integer(key.n), asn1.integer(key.e));
+  }
+
+  if (type === 'sec1') {
+    return ecPrivateKey(key, true);
+  }
+
+  if (type === 'spki') {
+    return asn1.sequence(algorithmIdentifier(key), asn1.bitString(publicKeyBytes(key)));
+  }
+
+  return asn1.sequence(asn1.integer(0n), algorithmIdentifier(key), asn1.octetString(privateKeyBytes(key)));
+}
+
+/**
+ * @param {Object} key
+ * @param {string} type - As for toDer()
+ * @returns {string}
+ */
+function toPem(key, type) {
+  const label = Object.keys(PEM_LABELS).find(name => {
+    const entry = PEM_LABELS[name];
+    return entry.type === type && entry.private === isPrivate(key);
+  });
+
+  return asn1.toPem(label, toDer(key, type));
+}
+
+function algorithmIdentifier(key) {
+  switch (key.type) {
+    case 'rsa':
+      return asn1.sequence(asn1.oid(OID.rsa), asn1.nul());
+    case 'ec':
+      return asn1.sequence(asn1.oid(OID.ec), asn1.oid(key.curve.oid));
+    default:
+      return asn1.sequence(asn1.oid(OID.ed25519));
+  }
+}
+
+function publicKeyBytes(key) {
+  switch (key.type) {
+    case 'rsa':
+      return toDer(toPublic(key), 'pkcs1');
+    case 'ec':
+      return ec.encodePoint(key);
+    default:
+      return key.publicKey;
+  }
+}
+
+function privateKeyBytes(key) {
+  switch (key.type) {
+    case 'rsa':
+      return toDer(key, 'pkcs1');
+    case 'ec':
+      return ecPrivateKey(key, false);
+    default:
+      return asn1.octetString(key.seed);
+  }
+}
+
+// SEC1 names the curve itself; inside PKCS#8 the algorithm identifier does
+function ecPrivateKey(key, withParameters) {
+  return asn1.sequence(
+    asn1.integer(1n),
+    asn1.octetString(toBytes(key.d, key.curve.size)),
+    ...(withParameters ? [asn1.explicit(0, asn1.oid(key.curve.oid))] : []),
+    asn1.explicit(1, asn1.bitString(ec.encodePoint(key)))
+  );
+}
+
+/**
+ * @param {Object} jwk
+ * @returns {Object|null} Private when `jwk` has private members
+ */
+function fromJwk(jwk) {
+  try {
+    switch (jwk.kty) {
+      case 'RSA':
+        return fromRsaJwk(jwk);
+      case 'EC':
+        return fromEcJwk(jwk);
+      case 'OKP':
+        return fromOkpJwk(jwk);
+      default:
+        return null;
+    }
+  } catch (err) {
+    return null;
+  }
+}
+
+function fromRsaJwk(jwk) {
+  const n = readJwkInteger(jwk.n);
+  const e = readJwkInteger(jwk.e);
+
+  if (jwk.d === undefined) {
+    return { type: 'rsa', n, e };
+  }
+
+  const [d, p, q, dp, dq, qi] = [jwk.d, jwk.p, jwk.q, jwk.dp, jwk.dq, jwk.qi].map(readJwkInteger);
+  const key = fromFactors(n, e, d, p, q);
+
+  return key.dp === dp && key.dq === dq && key.qi === qi ? { type: 'rsa', ...key } : null;
+}
+
+function fromEcJwk(jwk) {
+  const curve = ec.getCurve(jwk.crv);
+  const x = readJwkBytes(jwk.x);
+  const y = readJwkBytes(jwk.y);
+
+  if (x.length !== curve.size || y.length !== curve.size) {
+    return null;
+  }
+
+  const point = ec.decodePoint(curve, asn1.concat([[0x04], x, y]));
+  if (jwk.d === undefined) {
+    return { type: 'ec', curve, ...point };
+  }
+
+  const key = ec.fromPrivate(curve, fromBytes(readJwkBytes(jwk.d)));
+  return key.x === point.x && key.y === point.y ? { type: 'ec', ...key } : null;
+}
+
+function fromOkpJwk(jwk) {
+  const publicKey = readJwkBytes(jwk.x);
+
+  if (jwk.crv !== 'Ed25519' || !ed25519.isValidPublicKey(publicKey)) {
+    return null;
+  }
+
+  if (jwk.d === undefined) {
+    return { type: 'ed25519', publicKey };
+  }
+
+  const seed = readJwkBytes(jwk.d);
+  const derived = seed.length === 32 && ed25519.getPublicKey(seed);
+  return derived && derived.every((byte, i) => byte === publicKey[i])
+    ? { type: 'ed25519', publicKey, seed }
+    : null;
+}
+
+/**
+ * @param {Object} key
+ * @returns {Object} JWK, private if the key is
+ */
+function toJwk(key) {
+  const priv = isPrivate(key);
+
+  switch (key.type) {
+    case 'rsa': {
+      const jwk = { kty: 'RSA', n: jwkInteger(key.n), e: jwkInteger(key.e) };
+      if (priv) {
+        ['d', 'p', 'q', 'dp', 'dq', 'qi'].forEach(name => {
+          jwk[name] = jwkInteger(key[name]);
+        });
+      }
+      return jwk;
+    }
+    case 'ec': {
+      const size = key.curve.size;
+      const jwk = { kty: 'EC', x: base64url(toBytes(key.x, size)), y: base64url(toBytes(key.y, size)), crv: key.curve.jwk };
+      if (priv) jwk.d = base64url(toBytes(key.d, size));
+      return jwk;
+    }
+    default:
+      return priv
+        ? { crv: 'Ed25519', d: base64url(key.seed), x: base64url(key.publicKey), kty: 'OKP' }
+        : { crv: 'Ed25519', x: base64url(key.publicKey), kty: 'OKP' };
+  }
+}
+
+function readJwkBytes(value) {
+  if (typeof value !== 'string' || /[^A-Za-z0-9_-]/.test(value)) {
+    throw new TypeError('Invalid JWK member');
+  }
+
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat(-base64.length & 3)), c => c.charCodeAt(0));
+}
+
+function readJwkInteger(value) {
+  return fromBytes(readJwkBytes(value));
+}
+
+function jwkInteger(value) {
+  return base64url(toBytes(value));
+}
+
+function base64url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+module.exports = {
+  isPrivate,
+  toPublic,
+  fromPem,
+  fromDer,
+  fromJwk,
+  toDer,
+  toPem,
+  toJwk
+};
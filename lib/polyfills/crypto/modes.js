@@ -0,0 +1,418 @@
+/*!
+ * modes
+ * CBC (with PKCS#7 padding), CTR and GCM (NIST SP 800-38D) over the
+ * block cipher in ./aes.js. Each mode streams: update() returns whatever
+ * output is ready and final() flushes the rest.
+ */
+
+'use strict';
+
+const BLOCK = 16;
+const EMPTY = new Uint8Array(0);
+
+/**
+ * Cipher block chaining. Encryption holds back a partial block; decryption
+ * with padding also holds back the last full block, which final() unpads.
+ */
+class CBC {
+  /**
+   * @param {AES} cipher
+   * @param {Uint8Array} iv - 16 bytes
+   * @param {boolean} decrypt
+   */
+  constructor(cipher, iv, decrypt) {
+    this.cipher = cipher;
+    this.decrypt = decrypt;
+    this.autoPadding = true;
+    this._previous = Uint8Array.from(iv);
+    this._pending = EMPTY;
+  }
+
+  /**
+   * @param {Uint8Array} data
+   * @returns {Uint8Array}
+   */
+  update(data) {
+    const input = concat(this._pending, data);
+    let length = input.length - input.length % BLOCK;
+
+    if (this.decrypt && this.autoPadding && length === input.length && length > 0) {
+      length -= BLOCK;
+    }
+
+    this._pending = input.slice(length);
+    return this._process(input.subarray(0, length));
+  }
+
+  /**
+   * @returns {Uint8Array}
+   */
+  final() {
+    const pending = this._pending;
+    this._pending = EMPTY;
+
+    if (!this.autoPadding) {
+      if (pending.length) throw wrongFinalBlockLength();
+      return EMPTY;
+    }
+
+    if (!this.decrypt) {
+      const padded = new Uint8Array(pending.length + BLOCK - pending.length % BLOCK);
+      padded.set(pending);
+      padded.fill(padded.length - pending.length, pending.length);
+      return this._process(padded);
+    }
+
+    if (pending.length !== BLOCK) throw wrongFinalBlockLength();
+
+    const block = this._process(pending);
+    const pad = block[BLOCK - 1];
+    let bad = pad === 0 || pad > BLOCK ? 1 : 0;
+
+    for (let i = BLOCK - Math.min(pad, BLOCK); i < BLOCK; i++) {
+      bad |= block[i] ^ pad;
+    }
+
+    if (bad) throw badDecrypt();
+    return block.subarray(0, BLOCK - pad);
+  }
+
+  /**
+   * Run whole blocks through the chain
+   * @private
+   */
+  _process(input) {
+    const output = new Uint8Array(input.length);
+    const previous = this._previous;
+
+    for (let offset = 0; offset < input.length; offset += BLOCK) {
+      if (this.decrypt) {
+        this.cipher.decryptBlock(input, offset, output, offset);
+        for (let i = 0; i < BLOCK; i++) {
+          output[offset + i] ^= previous[i];
+          previous[i] = input[offset + i];
+        }
+      } else {
+        for (let i = 0; i < BLOCK; i++) {
+          previous[i] ^= input[offset + i];
+        }
+        this.cipher.encryptBlock(previous, 0, output, offset);
+        previous.set(output.subarray(offset, offset + BLOCK));
+      }
+    }
+
+    return output;
+  }
+}
+
+/**
+ * Counter mode keystream. The low `width` bytes of the counter block
+ * increment big-endian: all 16 for CTR, 4 for GCM's inc32.
+ */
+class Keystream {
+  /**
+   * @param {AES} cipher
+   * @param {Uint8Array} counter - Initial 16-byte counter block
+   * @param {number} width
+   */
+  constructor(cipher, counter, width) {
+    this.cipher = cipher;
+    this._counter = Uint8Array.from(counter);
+    this._width = width;
+    this._block = new Uint8Array(BLOCK);
+    this._used = BLOCK;
+  }
+
+  /**
+   * XOR `data` with the next bytes of keystream
+   * @param {Uint8Array} data
+   * @returns {Uint8Array}
+   */
+  xor(data) {
+    const output = new Uint8Array(data.length);
+
+    for (let i = 0; i < data.length; i++) {
+      if (this._used === BLOCK) {
+        this.cipher.encryptBlock(this._counter, 0, this._block, 0);
+        increment(this._counter, this._width);
+        this._used = 0;
+      }
+      output[i] = data[i] ^ this._block[this._used++];
+    }
+
+    return output;
+  }
+}
+
+/**
+ * Counter mode with a 128-bit big-endian counter, as OpenSSL's aes-*-ctr
+ */
+class CTR {
+  /**
+   * @param {AES} cipher
+   * @param {Uint8Array} iv - Initial counter block, 16 bytes
+   */
+  constructor(cipher, iv) {
+    this._keystream = new Keystream(cipher, iv, BLOCK);
+  }
+
+  update(data) {
+    return this._keystream.xor(data);
+  }
+
+  final() {
+    return EMPTY;
+  }
+}
+
+/**
+ * GHASH over GF(2^128), multiplying bit by bit in the reflected bit order
+ * of SP 800-38D. Input is absorbed in 16-byte blocks; pad() zero-fills a
+ * partial one.
+ */
+class GHASH {
+  /**
+   * @param {Uint8Array} h - Hash subkey, E(K, 0^128)
+   */
+  constructor(h) {
+    this._h = readBlock(h, 0);
+    this._y = new Int32Array(4);
+    this._buffer = new Uint8Array(BLOCK);
+    this._buffered = 0;
+  }
+
+  /**
+   * @param {Uint8Array} data
+   */
+  update(data) {
+    for (let i = 0; i < data.length; i++) {
+      this._buffer[this._buffered++] = data[i];
+      if (this._buffered === BLOCK) this._absorb();
+    }
+  }
+
+  pad() {
+    if (this._buffered) {
+      this._buffer.fill(0, this._buffered);
+      this._absorb();
+    }
+  }
+
+  /**
+   * @returns {Uint8Array}
+   */
+  digest() {
+    this.pad();
+    const output = new Uint8Array(BLOCK);
+    writeBlock(output, 0, this._y);
+    return output;
+  }
+
+  /**
+   * Y = (Y ^ X) * H
+   * @private
+   */
+  _absorb() {
+    const x = readBlock(this._buffer, 0);
+    const y = this._y;
+    let v0 = this._h[0];
+    let v1 = this._h[1];
+    let v2 = this._h[2];
+    let v3 = this._h[3];
+    let z0 = 0;
+    let z1 = 0;
+    let z2 = 0;
+    let z3 = 0;
+
+    for (let i = 0; i < 4; i++) x[i] ^= y[i];
+
+    for (let i = 0; i < 128; i++) {
+      if ((x[i >>> 5] >>> (31 - (i & 31))) & 1) {
+        z0 ^= v0;
+        z1 ^= v1;
+        z2 ^= v2;
+        z3 ^= v3;
+      }
+
+      const carry = v3 & 1;
+      v3 = (v3 >>> 1) | (v2 << 31);
+      v2 = (v2 >>> 1) | (v1 << 31);
+      v1 = (v1 >>> 1) | (v0 << 31);
+      v0 = (v0 >>> 1) ^ (carry ? 0xe1000000 : 0);
+    }
+
+    y[0] = z0;
+    y[1] = z1;
+    y[2] = z2;
+    y[3] = z3;
+    this._buffered = 0;
+  }
+}
+
+/**
+ * Galois/counter mode. Additional data must be added before the first
+ * update(); for decryption the expected tag must be set before final(),
+ * which throws if it doesn't match.
+ */
+class GCM {
+  /**
+   * @param {AES} cipher
+   * @param {Uint8Array} iv - Any non-empty length; 12 bytes is the fast path
+   * @param {boolean} decrypt
+   */
+  constructor(cipher, iv, decrypt) {
+    const h = new Uint8Array(BLOCK);
+    cipher.encryptBlock(h, 0, h, 0);
+
+    let j0;
+    if (iv.length === 12) {
+      j0 = new Uint8Array(BLOCK);
+      j0.set(iv);
+      j0[BLOCK - 1] = 1;
+    } else {
+      const ghash = new GHASH(h);
+      ghash.update(iv);
+      ghash.pad();
+      ghash.update(lengthBlock(0, iv.length));
+      j0 = ghash.digest();
+    }
+
+    this.cipher = cipher;
+    this.decrypt = decrypt;
+    this.expectedTag = null;
+    this._j0 = j0;
+    this._ghash = new GHASH(h);
+    this._aadLength = 0;
+    this._length = 0;
+
+    const counter = Uint8Array.from(j0);
+    increment(counter, 4);
+    this._keystream = new Keystream(cipher, counter, 4);
+  }
+
+  /**
+   * @param {Uint8Array} data - Additional authenticated data
+   */
+  setAAD(data) {
+    this._ghash.update(data);
+    this._aadLength += data.length;
+  }
+
+  update(data) {
+    if (this._length === 0) this._ghash.pad();
+
+    const output = this._keystream.xor(data);
+    this._ghash.update(this.decrypt ? data : output);
+    this._length += data.length;
+    return output;
+  }
+
+  /**
+   * Compute the tag, and compare it with `expectedTag` when decrypting
+   * @returns {Uint8Array} Always empty: GCM doesn't buffer
+   */
+  final() {
+    this._ghash.pad();
+    this._ghash.update(lengthBlock(this._aadLength, this._length));
+
+    const tag = this._ghash.digest();
+    const mask = new Uint8Array(BLOCK);
+    this.cipher.encryptBlock(this._j0, 0, mask, 0);
+    for (let i = 0; i < BLOCK; i++) tag[i] ^= mask[i];
+
+    this.tag = tag;
+
+    if (this.decrypt) {
+      const expected = this.expectedTag;
+      let diff = expected ? 0 : 1;
+
+      for (let i = 0; expected && i < expected.length; i++) {
+        diff |= tag[i] ^ expected[i];
+      }
+
+      if (diff) throw new Error('Unsupported state or unable to authenticate data');
+    }
+
+    return EMPTY;
+  }
+}
+
+/**
+ * The 64-bit bit lengths of the additional data and ciphertext
+ * @private
+ */
+function lengthBlock(aadLength, length) {
+  const block = new Uint8Array(BLOCK);
+  const view = new DataView(block.buffer);
+
+  view.setUint32(0, Math.floor(aadLength / 0x20000000));
+  view.setUint32(4, (aadLength * 8) >>> 0);
+  view.setUint32(8, Math.floor(length / 0x20000000));
+  view.setUint32(12, (length * 8) >>> 0);
+  return block;
+}
+
+/**
+ * Increment the low `width` bytes of a block, big-endian and wrapping
+ * @private
+ */
+function increment(block, width) {
+  for (let i = BLOCK - 1; i >= BLOCK - width; i--) {
+    block[i] = (block[i] + 1) & 0xff;
+    if (block[i]) break;
+  }
+}
+
+function readBlock(data, offset) {
+  const words = new Int32Array(4);
+  for (let i = 0; i < 4; i++) {
+    const j = offset + 4 * i;
+    words[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+  }
+  return words;
+}
+
+function writeBlock(data, offset, words) {
+  for (let i = 0; i < 4; i++) {
+    const j = offset + 4 * i;
+    data[j] = words[i] >>> 24;
+    data[j + 1] = words[i] >>> 16;
+    data[j + 2] = words[i] >>> 8;
+    data[j + 3] = words[i];
+  }
+}
+
+function concat(a, b) {
+  if (!a.length) return b;
+
+  const output = new Uint8Array(a.length + b.length);
+  output.set(a);
+  output.set(b, a.length);
+  return output;
+}
+
+/**
+ * Errors shaped like the OpenSSL ones Node.js reports
+ * @private
+ */
+function providerError(id, reason) {
+  const error = new Error(`error:${id}:Provider routines::${reason}`);
+  error.library = 'Provider routines';
+  error.reason = reason;
+  error.code = `ERR_OSSL_${reason.toUpperCase().replace(/ /g, '_')}`;
+  return error;
+}
+
+function wrongFinalBlockLength() {
+  return providerError('1C80006B', 'wrong final block length');
+}
+
+function badDecrypt() {
+  return providerError('1C800064', 'bad decrypt');
+}
+
+module.exports = {
+  CBC,
+  CTR,
+  GCM
+};
@@ -0,0 +1,46 @@
+/*!
+ * PBKDF2
+ * RFC 8018 password-based key derivation over ./hmac.js
+ */
+
+'use strict';
+
+const HMAC = require('./hmac');
+
+/**
+ * Derive `keylen` bytes from a password
+ * @param {Function} Algorithm - Hash class from ./hash.js
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @param {number} keylen
+ * @returns {Uint8Array}
+ */
+function pbkdf2(Algorithm, password, salt, iterations, keylen) {
+  const prf = new HMAC(Algorithm, password);
+  const output = new Uint8Array(keylen);
+  const index = new Uint8Array(4);
+
+  for (let block = 1, offset = 0; offset < keylen; block++, offset += prf.outputSize) {
+    index[0] = block >>> 24;
+    index[1] = block >>> 16;
+    index[2] = block >>> 8;
+    index[3] = block;
+
+    // T = U1 ^ U2 ^ ... ^ Uc, where U1 = PRF(salt || INT(block)) and
+    // each later U is the PRF of the one before
+    let u = prf.copy().update(salt).update(index).digest();
+    const t = u.slice();
+
+    for (let i = 1; i < iterations; i++) {
+      u = prf.copy().update(u).digest();
+      for (let j = 0; j < t.length; j++) t[j] ^= u[j];
+    }
+
+    output.set(t.subarray(0, keylen - offset), offset);
+  }
+
+  return output;
+}
+
+module.exports = pbkdf2;
@@ -0,0 +1,299 @@
+/*!
+ * RSA
+ * RFC 8017 signatures (RSASSA-PKCS1-v1_5 and RSASSA-PSS) and key
+ * generation, on BigInt. Keys are plain objects: { n, e } for public keys,
+ * plus d, p, q, dp, dq and qi for private ones.
+ */
+
+'use strict';
+
+const { fromBytes, toBytes, mod, modPow, modInverse, gcd, bitLength, randomBytes, randomBelow } = require('./bigint');
+const { concat } = require('./asn1');
+
+// DER DigestInfo headers for EMSA-PKCS1-v1_5, to prepend to the digest
+const DIGEST_INFO = {
+  md5: '3020300c06082a864886f70d020505000410',
+  sha1: '3021300906052b0e03021a05000414',
+  sha224: '302d300d06096086480165030402040500041c',
+  sha256: '3031300d060960864801650304020105000420',
+  sha384: '3041300d060960864801650304020205000430',
+  sha512: '3051300d060960864801650304020305000440'
+};
+
+// Primes for trial division ahead of Miller-Rabin
+const SMALL_PRIMES = [];
+for (let n = 3; n < 2000; n += 2) {
+  if (SMALL_PRIMES.every(p => n % p !== 0)) SMALL_PRIMES.push(n);
+}
+
+/**
+ * @param {Object} key
+ * @returns {number} Modulus size in bytes
+ */
+function byteLength(key) {
+  return Math.ceil(bitLength(key.n) / 8);
+}
+
+/**
+ * Sign a digest with RSASSA-PKCS1-v1_5
+ * @param {Object} key - Private key
+ * @param {string} hashName - Canonical name: 'sha256'...
+ * @param {Uint8Array} digest
+ * @returns {Uint8Array}
+ */
+function signPkcs1(key, hashName, digest) {
+  const k = byteLength(key);
+  const t = concat([hexToBytes(DIGEST_INFO[hashName]), digest]);
+
+  if (k < t.length + 11) {
+    throw new RangeError('Digest too big for RSA key');
+  }
+
+  const em = new Uint8Array(k);
+  em[1] = 0x01;
+  em.fill(0xff, 2, k - t.length - 1);
+  em.set(t, k - t.length);
+
+  return toBytes(privateOp(key, fromBytes(em)), k);
+}
+
+/**
+ * @param {Object} key - Public key
+ * @param {string} hashName
+ * @param {Uint8Array} digest
+ * @param {Uint8Array} signature
+ * @returns {boolean}
+ */
+function verifyPkcs1(key, hashName, digest, signature) {
+  const em = publicOp(key, signature);
+  if (!em) {
+    return false;
+  }
+
+  const k = em.length;
+  const t = concat([hexToBytes(DIGEST_INFO[hashName]), digest]);
+  const expected = new Uint8Array(k);
+
+  if (k < t.length + 11) {
+    return false;
+  }
+
+  expected[1] = 0x01;
+  expected.fill(0xff, 2, k - t.length - 1);
+  expected.set(t, k - t.length);
+  return equal(em, expected);
+}
+
+/**
+ * Sign a digest with RSASSA-PSS, using MGF1 with the same hash
+ * @param {Object} key - Private key
+ * @param {Function} Algorithm - Hash class from ./hash.js
+ * @param {Uint8Array} digest
+ * @param {number} saltLength - Bytes, or -1 for the digest length and
+ *   -2 for the maximum
+ * @returns {Uint8Array}
+ */
+function signPss(key, Algorithm, digest, saltLength) {
+  const emBits = bitLength(key.n) - 1;
+  const emLen = Math.ceil(emBits / 8);
+  const hLen = digest.length;
+  const maxSalt = emLen - hLen - 2;
+
+  if (saltLength === -1) saltLength = hLen;
+  if (saltLength === -2) saltLength = maxSalt;
+
+  if (saltLength < 0 || saltLength > maxSalt) {
+    throw new RangeError('Salt length too large for RSA key');
+  }
+
+  const salt = randomBytes(saltLength);
+  const h = hash(Algorithm, new Uint8Array(8), digest, salt);
+  const db = new Uint8Array(emLen - hLen - 1);
+
+  db[emLen - saltLength - hLen - 2] = 0x01;
+  db.set(salt, db.length - saltLength);
+  xorInto(db, mgf1(Algorithm, h, db.length));
+  db[0] &= 0xff >> (8 * emLen - emBits);
+
+  const em = concat([db, h, new Uint8Array([0xbc])]);
+  return toBytes(privateOp(key, fromBytes(em)), byteLength(key));
+}
+
+/**
+ * @param {Object} key - Public key
+ * @param {Function} Algorithm
+ * @param {Uint8Array} digest
+ * @param {Uint8Array} signature
+ * @param {number} saltLength - Bytes, or -1 for the digest length and
+ *   -2 to accept any
+ * @returns {boolean}
+ */
+function verifyPss(key, Algorithm, digest, signature, saltLength) {
+  const decoded = publicOp(key, signature);
+  if (!decoded) {
+    return false;
+  }
+
+  const emBits = bitLength(key.n) - 1;
+  const emLen = Math.ceil(emBits / 8);
+  const hLen = digest.length;
+  const em = decoded.subarray(decoded.length - emLen);
+  const topBits = (0xff << (8 - (8 * emLen - emBits))) & 0xff;
+
+  if (decoded.length > emLen && decoded[0] !== 0) return false;
+  if (emLen < hLen + 2 || em[emLen - 1] !== 0xbc || (em[0] & topBits)) return false;
+
+  const h = em.subarray(emLen - hLen - 1, emLen - 1);
+  const db = em.slice(0, emLen - hLen - 1);
+  xorInto(db, mgf1(Algorithm, h, db.length));
+  db[0] &= 0xff >> (8 * emLen - emBits);
+
+  const separator = db.indexOf(0x01);
+  if (separator === -1 || db.subarray(0, separator).some(Boolean)) return false;
+
+  const salt = db.subarray(separator + 1);
+  if (saltLength === -1 && salt.length !== hLen) return false;
+  if (saltLength >= 0 && salt.length !== saltLength) return false;
+
+  return equal(hash(Algorithm, new Uint8Array(8), digest, salt), h);
+}
+
+/**
+ * Generate a private key. Primes have their top two bits set, so n has
+ * exactly `modulusLength` bits.
+ * @param {number} modulusLength - Bits
+ * @param {bigint} e - Public exponent
+ * @returns {Object}
+ */
+function generate(modulusLength, e) {
+  const pBits = Math.ceil(modulusLength / 2);
+
+  for (;;) {
+    const p = randomPrime(pBits, e);
+    const q = randomPrime(modulusLength - pBits, e);
+    const n = p * q;
+
+    if (p === q || bitLength(n) !== modulusLength) continue;
+
+    const lambda = (p - 1n) * (q - 1n) / gcd(p - 1n, q - 1n);
+    const d = modInverse(e, lambda);
+    return fromFactors(n, e, d, p, q);
+  }
+}
+
+/**
+ * Fill in the CRT values of a private key
+ */
+function fromFactors(n, e, d, p, q) {
+  return { n, e, d, p, q, dp: d % (p - 1n), dq: d % (q - 1n), qi: modInverse(q, p) };
+}
+
+/**
+ * s = m^d mod n by the CRT, with the input blinded so timing doesn't
+ * depend on it directly
+ * @private
+ */
+function privateOp(key, m) {
+  const r = randomBelow(key.n);
+  const blinded = (m * modPow(r, key.e, key.n)) % key.n;
+
+  const s1 = modPow(blinded, key.dp, key.p);
+  const s2 = modPow(blinded, key.dq, key.q);
+  const h = mod(key.qi * (s1 - s2), key.p);
+  const s = s2 + h * key.q;
+
+  return (s * modInverse(r, key.n)) % key.n;
+}
+
+/**
+ * Recover the encoded message from a signature, or null if it's out of range
+ * @private
+ */
+function publicOp(key, signature) {
+  const k = byteLength(key);
+  const s = fromBytes(signature);
+
+  if (signature.length !== k || s >= key.n) {
+    return null;
+  }
+  return toBytes(modPow(s, key.e, key.n), k);
+}
+
+function randomPrime(bits, e) {
+  for (;;) {
+    const bytes = randomBytes(Math.ceil(bits / 8));
+    let candidate = fromBytes(bytes) >> BigInt(8 * bytes.length - bits);
+    candidate |= (3n << BigInt(bits - 2)) | 1n;
+
+    if (SMALL_PRIMES.some(p => candidate % BigInt(p) === 0n)) continue;
+    if (gcd(candidate - 1n, e) !== 1n) continue;
+    if (isProbablePrime(candidate, bits >= 1024 ? 4 : 8)) return candidate;
+  }
+}
+
+/**
+ * Miller-Rabin with random bases
+ */
+function isProbablePrime(n, rounds) {
+  let d = n - 1n;
+  let s = 0;
+  while (!(d & 1n)) {
+    d >>= 1n;
+    s++;
+  }
+
+  witness: for (let i = 0; i < rounds; i++) {
+    let x = modPow(randomBelow(n - 2n) + 1n, d, n);
+    if (x === 1n || x === n - 1n) continue;
+
+    for (let j = 1; j < s; j++) {
+      x = (x * x) % n;
+      if (x === n - 1n) continue witness;
+    }
+    return false;
+  }
+  return true;
+}
+
+function mgf1(Algorithm, seed, length) {
+  const output = new Uint8Array(length);
+  const counter = new Uint8Array(4);
+
+  for (let offset = 0, i = 0; offset < length; i++) {
+    new DataView(counter.buffer).setUint32(0, i);
+    const block = new Algorithm().update(seed).update(counter).digest();
+    output.set(block.subarray(0, length - offset), offset);
+    offset += block.length;
+  }
+  return output;
+}
+
+function hash(Algorithm, ...parts) {
+  const h = new Algorithm();
+  parts.forEach(part => h.update(part));
+  return h.digest();
+}
+
+function xorInto(target, mask) {
+  for (let i = 0; i < target.length; i++) target[i] ^= mask[i];
+}
+
+function equal(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length && i < b.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+function hexToBytes(hex) {
+  return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+}
+
+module.exports = {
+  DIGEST_INFO,
+  signPkcs1,
+  verifyPkcs1,
+  signPss,
+  verifyPss,
+  generate,
+  fromFactors
+};
@@ -0,0 +1,123 @@
+/*!
+ * scrypt
+ * RFC 7914 memory-hard key derivation, using ./pbkdf2.js with SHA-256
+ */
+
+'use strict';
+
+const pbkdf2 = require('./pbkdf2');
+const { SHA256 } = require('./hash');
+
+/**
+ * Derive `keylen` bytes from a password. Parameters are assumed valid:
+ * `N` a power of two greater than 1, `r` and `p` positive.
+ * @param {Uint8Array} password
+ * @param {Uint8Array} salt
+ * @param {number} N - CPU/memory cost
+ * @param {number} r - Block size
+ * @param {number} p - Parallelization
+ * @param {number} keylen
+ * @returns {Uint8Array}
+ */
+function scrypt(password, salt, N, r, p, keylen) {
+  const words = 32 * r;
+  const bytes = pbkdf2(SHA256, password, salt, 1, p * 4 * words);
+  const x = new Int32Array(words);
+  const y = new Int32Array(words);
+  const v = new Int32Array(words * N);
+  const t = new Int32Array(16);
+
+  for (let i = 0; i < p; i++) {
+    const offset = i * 4 * words;
+
+    for (let k = 0; k < words; k++) {
+      x[k] = readUint32LE(bytes, offset + 4 * k);
+    }
+
+    // ROMix: fill V with successive mixes of X, then mix X with
+    // pseudo-randomly chosen entries of V
+    for (let j = 0; j < N; j++) {
+      v.set(x, j * words);
+      blockMix(x, y, r, t);
+    }
+
+    for (let j = 0; j < N; j++) {
+      const base = (x[words - 16] & (N - 1)) * words;
+      for (let k = 0; k < words; k++) x[k] ^= v[base + k];
+      blockMix(x, y, r, t);
+    }
+
+    for (let k = 0; k < words; k++) {
+      writeUint32LE(bytes, offset + 4 * k, x[k]);
+    }
+  }
+
+  return pbkdf2(SHA256, password, bytes, 1, keylen);
+}
+
+/**
+ * BlockMix with Salsa20/8 over the 2r 64-byte blocks of `x`, in place.
+ * Output blocks are interleaved: even ones first, then odd.
+ */
+function blockMix(x, y, r, t) {
+  t.set(x.subarray(x.length - 16));
+
+  for (let i = 0; i < 2 * r; i++) {
+    for (let k = 0; k < 16; k++) t[k] ^= x[i * 16 + k];
+    salsa20_8(t);
+    y.set(t, ((i >> 1) + (i & 1) * r) * 16);
+  }
+
+  x.set(y);
+}
+
+function salsa20_8(b) {
+  let x0 = b[0], x1 = b[1], x2 = b[2], x3 = b[3];
+  let x4 = b[4], x5 = b[5], x6 = b[6], x7 = b[7];
+  let x8 = b[8], x9 = b[9], x10 = b[10], x11 = b[11];
+  let x12 = b[12], x13 = b[13], x14 = b[14], x15 = b[15];
+
+  for (let i = 0; i < 8; i += 2) {
+    // Columns
+    x4 ^= rotl(x0 + x12, 7); x8 ^= rotl(x4 + x0, 9);
+    x12 ^= rotl(x8 + x4, 13); x0 ^= rotl(x12 + x8, 18);
+    x9 ^= rotl(x5 + x1, 7); x13 ^= rotl(x9 + x5, 9);
+    x1 ^= rotl(x13 + x9, 13); x5 ^= rotl(x1 + x13, 18);
+    x14 ^= rotl(x10 + x6, 7); x2 ^= rotl(x14 + x10, 9);
+    x6 ^= rotl(x2 + x14, 13); x10 ^= rotl(x6 + x2, 18);
+    x3 ^= rotl(x15 + x11, 7); x7 ^= rotl(x3 + x15, 9);
+    x11 ^= rotl(x7 + x3, 13); x15 ^= rotl(x11 + x7, 18);
+
+    // Rows
+    x1 ^= rotl(x0 + x3, 7); x2 ^= rotl(x1 + x0, 9);
+    x3 ^= rotl(x2 + x1, 13); x0 ^= rotl(x3 + x2, 18);
+    x6 ^= rotl(x5 + x4, 7); x7 ^= rotl(x6 + x5, 9);
+    x4 ^= rotl(x7 + x6, 13); x5 ^= rotl(x4 + x7, 18);
+    x11 ^= rotl(x10 + x9, 7); x8 ^= rotl(x11 + x10, 9);
+    x9 ^= rotl(x8 + x11, 13); x10 ^= rotl(x9 + x8, 18);
+    x12 ^= rotl(x15 + x14, 7); x13 ^= rotl(x12 + x15, 9);
+    x14 ^= rotl(x13 + x12, 13); x15 ^= rotl(x14 + x13, 18);
+  }
+
+  b[0] += x0; b[1] += x1; b[2] += x2; b[3] += x3;
+  b[4] += x4; b[5] += x5; b[6] += x6; b[7] += x7;
+  b[8] += x8; b[9] += x9; b[10] += x10; b[11] += x11;
+  b[12] += x12; b[13] += x13; b[14] += x14; b[15] += x15;
+}
+
+function rotl(x, n) {
+  return (x << n) | (x >>> (32 - n));
+}
+
+function readUint32LE(data, i) {
+  return data[i] | (data[i + 1] << 8) | (data[i + 2] << 16) | (data[i + 3] << 24);
+}
+
+function writeUint32LE(data, i, value) {
+  data[i] = value;
+  data[i + 1] = value >>> 8;
+  data[i + 2] = value >>> 16;
+  data[i + 3] = value >>> 24;
+}
+
+module.exports = scrypt;
@@ -6,6 +6,15 @@
 
 'use strict';
 
+const { Buffer } = require('node:buffer');
+const { createDescriptors } = require('./fs/descriptors');
+const { createOperations } = require('./fs/operations');
+const fsErrors = require('./fs/errors');
+const fileHandle = require('./fs/file-handle');
+const { constants: flagConstants } = require('./fs/flags');
+const { Dirent, Stats } = require('./fs/stats');
+const { ReadStream, WriteStream } = require('./fs/streams');
+
 // Import worker as a URL (webpack will handle this)
 // This will be configured in webpack to use worker-loader
 let WorkerFactory;
@@ -39,438 +48,631 @@ function initWorker() {
       const blob = new Blob([WorkerFactory.toString()], { type: 'application/javascript' });
       worker = new Worker(URL.createObjectURL(blob));
     }
-    
-    // Handle worker responses
-    worker.onmessage = (event) => {
-      const { id, result, error } = event.data;
-      const pending = pendingOperations.get(id);
-      if (pending) {
-        pending.result = result;
-        pending.error = error;
-        pendingOperations.delete(id);
-      }
-    };
   }
   return worker;
 }
 
-// Pending operations map
-const pendingOperations = new Map();
+// Layout of the shared memory the fs worker answers in. The calling
+// thread is blocked in Atomics.wait, so it can't receive a postMessage:
+// the worker writes [status, kind, length] into the signal buffer and
+// the result bytes into the result buffer, then wakes it up.
+const STATUS_PENDING = 0;
+const STATUS_ERROR = 2;
+const STATUS_RESIZE = 3;
+const KIND_BYTES = 1;
+const SIGNAL_BYTES = 12;
+const INITIAL_RESULT_BYTES = 64 * 1024;
+
+let resultBuffer = null;
 
 // Synchronous operation helper
 function syncOperation(method, args) {
   const worker = initWorker();
   const id = ++workerId;
+  const transfer = [];
   
-  // Create shared buffer for synchronization
-  const sharedBuffer = new SharedArrayBuffer(4);
-  const view = new Int32Array(sharedBuffer);
+  if (!resultBuffer) {
+    resultBuffer = new SharedArrayBuffer(INITIAL_RESULT_BYTES);
+  }
   
-  // Store pending operation
-  const pending = { result: undefined, error: undefined };
-  pendingOperations.set(id, pending);
+  // Bytes to write go as a transferred copy of just the view: cloning
+  // the view would copy the whole buffer behind it, which for a Buffer
+  // may be the shared pool or a much larger allocation
+  if (ArrayBuffer.isView(args.data)) {
+    const { buffer, byteOffset, byteLength } = args.data;
+    args = { ...args, data: new Uint8Array(buffer, byteOffset, byteLength).slice() };
+    transfer.push(args.data.buffer);
+  }
   
-  // Send operation to worker
-  worker.postMessage({
-    id,
-    method,
-    args,
-    signal: sharedBuffer
-  });
+  let header = waitForWorker(worker, { id, method, args }, transfer);
   
-  // Wait for completion
-  Atomics.wait(view, 0, 0);
+  // Result didn't fit: grow the buffer and collect it
+  if (header[0] === STATUS_RESIZE) {
+    resultBuffer = new SharedArrayBuffer(header[2]);
+    header = waitForWorker(worker, { id, collect: true });
+  }
   
-  // Check status
-  const status = Atomics.load(view, 0);
+  // TextDecoder refuses views on shared memory, so copy first
+  const bytes = new Uint8Array(resultBuffer, 0, header[2]).slice();
   
-  if (status === 2) { // error
-    const error = new Error(pending.error);
-    error.code = extractErrorCode(pending.error);
-    throw error;
+  if (header[0] === STATUS_ERROR) {
+    throw fsErrors.deserialize(JSON.parse(new TextDecoder().decode(bytes)));
   }
   
-  return pending.result;
+  if (header[1] === KIND_BYTES) {
+    return bytes;
+  }
+  
+  return bytes.length ? JSON.parse(new TextDecoder().decode(bytes)) : undefined;
+}
+
+// Post a message to the fs worker and block until it answers
+function waitForWorker(worker, message, transfer = []) {
+  const signal = new SharedArrayBuffer(SIGNAL_BYTES);
+  const header = new Int32Array(signal);
+  
+  worker.postMessage(Object.assign(message, { signal, buffer: resultBuffer }), transfer);
+  Atomics.wait(header, 0, STATUS_PENDING);
+  
+  return header;
+}
+
+// The same operations the fs worker runs, against this thread's own
+// OPFS root: the main thread can't block on the worker, and FileHandles
+// need handles that can't be sent back from it
+const localOperations = createOperations(() => navigator.storage.getDirectory());
+Object.assign(localOperations, createDescriptors(localOperations));
+
+function hasNativeOPFS() {
+  return isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory;
 }
 
-// Extract error code from error message
-function extractErrorCode(message) {
-  const match = message.match(/^(\w+):/);
-  return match ? match[1] : 'UNKNOWN';
+// Run an operation for the callback and promise forms
+function asyncOperation(method, args) {
+  if (hasNativeOPFS()) {
+    return localOperations[method](args);
+  }
+  return new Promise((resolve) => resolve(syncOperation(method, args)));
 }
 
+// Call back with the result when given a callback, otherwise return
+// the promise. `spread` turns the result into the callback's arguments.
+function callbackOrPromise(promise, callback, spread = (result) => [result]) {
+  if (typeof callback !== 'function') {
+    return promise;
+  }
+  promise.then(
+    (result) => process.nextTick(callback, null, ...spread(result)),
+    (err) => process.nextTick(callback, err)
+  );
+}
+
+// Split a trailing callback off the arguments
+function popCallback(args) {
+  return typeof args[args.length - 1] === 'function' ? args.pop() : undefined;
+}
+
+function getEncoding(options) {
+  return typeof options === 'string' ? options : options?.encoding;
+}
+
+// A Buffer, or a string when an encoding is asked for
+function decode(bytes, encoding) {
+  const buffer = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return encoding && encoding !== 'buffer' ? buffer.toString(encoding) : buffer;
+}
+
+function toDirents(entries, options) {
+  return options?.withFileTypes
+    ? entries.map(({ name, kind }) => new Dirent(name, kind))
+    : entries;
+}
+
+function invalidArgType(name, expected, value) {
+  const received = value === null ? 'null' : typeof value;
+  const error = new TypeError(`The "${name}" argument must be ${expected}. Received ${received}`);
+  error.code = 'ERR_INVALID_ARG_TYPE';
+  return error;
+}
+
+// Paths may be strings, Buffers or file: URLs
+function toPath(path, name = 'path') {
+  if (typeof path === 'string') {
+    return path;
+  }
+  if (path instanceof Uint8Array) {
+    return new TextDecoder().decode(path);
+  }
+  if (path && typeof path.href === 'string' && path.protocol === 'file:') {
+    return decodeURIComponent(path.pathname);
+  }
+  throw invalidArgType(name, 'of type string or an instance of Buffer or URL', path);
+}
+
+// Bytes for appendFile(), honouring the encoding of string data
+function toBytes(data, options) {
+  const encoding = getEncoding(options);
+
+  if (typeof data === 'string') {
+    return encoding && encoding !== 'utf8' && encoding !== 'utf-8'
+      ? new Uint8Array(Buffer.from(data, encoding))
+      : data;
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw invalidArgType('data', 'of type string or an instance of Buffer, TypedArray, or DataView', data);
+}
+
+// utimes() takes Dates, seconds, or numeric strings of seconds
+function toTime(time, name) {
+  if (time instanceof Date) {
+    return time.getTime();
+  }
+  if (typeof time === 'number' || (typeof time === 'string' && time.trim() !== '' && !isNaN(time))) {
+    return Number(time) * 1000;
+  }
+  throw invalidArgType(name, 'of type number or an instance of Date', time);
+}
+
+function toFd(fd) {
+  if (!Number.isInteger(fd) || fd < 0) {
+    throw invalidArgType('fd', 'of type number', fd);
+  }
+  return fd;
+}
+
+// A null position reads or writes at, and advances, the current position
+function toPosition(position) {
+  return typeof position === 'number' && position >= 0 ? position : null;
+}
+
+// read() arguments: (buffer, offset, length, position), (buffer, options)
+// or (options)
+function readArgs(buffer, offset, length, position) {
+  if (buffer && !ArrayBuffer.isView(buffer)) {
+    ({ buffer, offset, length, position } = buffer);
+  } else if (offset !== null && typeof offset === 'object') {
+    ({ offset, length, position } = offset);
+  }
+
+  buffer = buffer || Buffer.alloc(16 * 1024);
+  offset = offset || 0;
+  length = length === undefined ? buffer.byteLength - offset : length;
+
+  return { buffer, offset, length, position: toPosition(position) };
+}
+
+// write() arguments: (buffer, offset, length, position), (buffer,
+// options) or (string, position, encoding)
+function writeArgs(buffer, offset, length, position) {
+  if (typeof buffer === 'string') {
+    const encoding = typeof length === 'string' ? length : 'utf8';
+    return { data: Buffer.from(buffer, encoding), position: toPosition(offset) };
+  }
+  if (!ArrayBuffer.isView(buffer)) {
+    throw invalidArgType('buffer', 'of type string or an instance of Buffer, TypedArray, or DataView', buffer);
+  }
+  if (offset !== null && typeof offset === 'object') {
+    ({ offset, length, position } = offset);
+  }
+
+  offset = offset || 0;
+  length = length === undefined ? buffer.byteLength - offset : length;
+
+  return { data: new Uint8Array(buffer.buffer, buffer.byteOffset + offset, length), position: toPosition(position) };
+}
+
+function copyInto(buffer, offset, bytes) {
+  new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength).set(bytes, offset);
+  return bytes.length;
+}
+
+function cpOptions(options = {}) {
+  // filter() can't be sent to the fs worker
+  const { recursive = false, force = true, errorOnExist = false } = options;
+  return { recursive, force, errorOnExist };
+}
+
+// The callback and promise forms, past their optional arguments. Each
+// checks its arguments, throwing as the callback forms do, and returns
+// the promise of the operation.
+const calls = {
+  readFile(path, options) {
+    return asyncOperation('readFileSync', { path: toPath(path) })
+      .then((bytes) => decode(bytes, getEncoding(options)));
+  },
+
+  writeFile(path, data, options) {
+    const args = { path: toPath(path), data: toBytes(data, options), flag: options?.flag || 'w' };
+    return asyncOperation('writeFileSync', args).then(() => undefined);
+  },
+
+  appendFile(path, data, options) {
+    const args = { path: toPath(path), data: toBytes(data, options) };
+    return asyncOperation('appendFileSync', args).then(() => undefined);
+  },
+
+  stat(path) {
+    return asyncOperation('statSync', { path: toPath(path) }).then((stats) => new Stats(stats));
+  },
+
+  mkdir(path, options) {
+    const recursive = Boolean(options?.recursive);
+    return asyncOperation('mkdirSync', { path: toPath(path), options: { recursive } })
+      .then((first) => first ?? undefined);
+  },
+
+  readdir(path, options) {
+    const args = { path: toPath(path), withFileTypes: Boolean(options?.withFileTypes) };
+    return asyncOperation('readdirSync', args).then((entries) => toDirents(entries, options));
+  },
+
+  unlink(path) {
+    return asyncOperation('unlinkSync', { path: toPath(path) }).then(() => undefined);
+  },
+
+  rmdir(path) {
+    return asyncOperation('rmdirSync', { path: toPath(path) }).then(() => undefined);
+  },
+
+  rename(oldPath, newPath) {
+    const args = { path: toPath(oldPath, 'oldPath'), dest: toPath(newPath, 'newPath') };
+    return asyncOperation('renameSync', args).then(() => undefined);
+  },
+
+  copyFile(src, dest, mode) {
+    const args = { path: toPath(src, 'src'), dest: toPath(dest, 'dest'), mode: mode || 0 };
+    return asyncOperation('copyFileSync', args).then(() => undefined);
+  },
+
+  cp(src, dest, options) {
+    const args = { path: toPath(src, 'src'), dest: toPath(dest, 'dest'), options: cpOptions(options) };
+    return asyncOperation('cpSync', args).then(() => undefined);
+  },
+
+  rm(path, options) {
+    const args = { path: toPath(path), options: { recursive: options?.recursive, force: options?.force } };
+    return asyncOperation('rmSync', args).then(() => undefined);
+  },
+
+  truncate(path, len) {
+    return asyncOperation('truncateSync', { path: toPath(path), len: len || 0 }).then(() => undefined);
+  },
+
+  access(path, mode) {
+    return asyncOperation('accessSync', { path: toPath(path), mode: mode || 0 }).then(() => undefined);
+  },
+
+  utimes(path, atime, mtime) {
+    const args = { path: toPath(path), atime: toTime(atime, 'atime'), mtime: toTime(mtime, 'mtime') };
+    return asyncOperation('utimesSync', args).then(() => undefined);
+  },
+
+  realpath(path) {
+    return asyncOperation('realpathSync', { path: toPath(path) });
+  },
+
+  mkdtemp(prefix) {
+    return asyncOperation('mkdtempSync', { prefix: toPath(prefix, 'prefix') });
+  },
+
+  open(path, flags) {
+    return fileHandle.open(localOperations, toPath(path), flags || 'r');
+  }
+};
+
 // File System API Implementation
 const fs = {
-  readFileSync(path, options = {}) {
-    const encoding = typeof options === 'string' ? options : options.encoding;
-    const result = syncOperation('readFileSync', { path, encoding });
-    
-    if (!encoding && Array.isArray(result)) {
-      // Convert array back to Buffer if available, otherwise return Uint8Array
-      if (typeof Buffer !== 'undefined') {
-        return Buffer.from(result);
-      } else {
-        return new Uint8Array(result);
-      }
-    }
-    
-    return result;
+  readFileSync(path, options) {
+    return decode(syncOperation('readFileSync', { path: toPath(path) }), getEncoding(options));
   },
 
-  writeFileSync(path, data, options = {}) {
-    const encoding = typeof options === 'string' ? options : options.encoding;
-    
-    // Convert Buffer/Uint8Array to array for transfer
-    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(data)) {
-      data = Array.from(data);
-    } else if (data instanceof Uint8Array) {
-      data = Array.from(data);
-    }
-    
-    return syncOperation('writeFileSync', { path, data, encoding });
+  writeFileSync(path, data, options) {
+    const args = { path: toPath(path), data: toBytes(data, options), flag: options?.flag || 'w' };
+    syncOperation('writeFileSync', args);
   },
 
   statSync(path) {
-    const stats = syncOperation('statSync', { path });
-    
-    // Create a Stats-like object
-    return {
-      isFile() { return stats.isFile; },
-      isDirectory() { return stats.isDirectory; },
-      size: stats.size,
-      mtime: stats.mtime,
-      mode: stats.mode
-    };
+    return new Stats(syncOperation('statSync', { path: toPath(path) }));
   },
 
   existsSync(path) {
-    return syncOperation('existsSync', { path });
+    try {
+      return syncOperation('existsSync', { path: toPath(path) });
+    } catch (err) {
+      if (err.code === 'ERR_INVALID_ARG_TYPE') return false;
+      throw err;
+    }
   },
 
-  mkdirSync(path, options = {}) {
-    return syncOperation('mkdirSync', { path, options });
+  mkdirSync(path, options) {
+    const recursive = Boolean(options?.recursive);
+    return syncOperation('mkdirSync', { path: toPath(path), options: { recursive } }) ?? undefined;
   },
 
-  readdirSync(path, options = {}) {
-    return syncOperation('readdirSync', { path });
+  readdirSync(path, options) {
+    const withFileTypes = Boolean(options?.withFileTypes);
+    return toDirents(syncOperation('readdirSync', { path: toPath(path), withFileTypes }), options);
   },
 
   unlinkSync(path) {
-    return syncOperation('unlinkSync', { path });
+    syncOperation('unlinkSync', { path: toPath(path) });
   },
 
   rmdirSync(path) {
-    return syncOperation('rmdirSync', { path });
+    syncOperation('rmdirSync', { path: toPath(path) });
+  },
+
+  renameSync(oldPath, newPath) {
+    syncOperation('renameSync', { path: toPath(oldPath, 'oldPath'), dest: toPath(newPath, 'newPath') });
+  },
+
+  copyFileSync(src, dest, mode = 0) {
+    syncOperation('copyFileSync', { path: toPath(src, 'src'), dest: toPath(dest, 'dest'), mode });
+  },
+
+  cpSync(src, dest, options) {
+    syncOperation('cpSync', { path: toPath(src, 'src'), dest: toPath(dest, 'dest'), options: cpOptions(options) });
+  },
+
+  appendFileSync(path, data, options) {
+    syncOperation('appendFileSync', { path: toPath(path), data: toBytes(data, options) });
+  },
+
+  rmSync(path, options = {}) {
+    syncOperation('rmSync', { path: toPath(path), options: { recursive: options.recursive, force: options.force } });
+  },
+
+  truncateSync(path, len = 0) {
+    syncOperation('truncateSync', { path: toPath(path), len });
+  },
+
+  accessSync(path, mode = fs.constants.F_OK) {
+    syncOperation('accessSync', { path: toPath(path), mode });
+  },
+
+  utimesSync(path, atime, mtime) {
+    syncOperation('utimesSync', { path: toPath(path), atime: toTime(atime, 'atime'), mtime: toTime(mtime, 'mtime') });
+  },
+
+  realpathSync(path, options) {
+    return syncOperation('realpathSync', { path: toPath(path) });
+  },
+
+  mkdtempSync(prefix, options) {
+    return syncOperation('mkdtempSync', { prefix: toPath(prefix, 'prefix') });
+  },
+
+  // Descriptors live in the fs worker, which reads and writes them in
+  // place through sync access handles
+  openSync(path, flags = 'r', mode) {
+    return syncOperation('openSync', { path: toPath(path), flags });
+  },
+
+  readSync(fd, buffer, offset, length, position) {
+    const args = readArgs(buffer, offset, length, position);
+    const bytes = syncOperation('readSync', { fd: toFd(fd), length: args.length, position: args.position });
+    return copyInto(args.buffer, args.offset, bytes);
+  },
+
+  writeSync(fd, buffer, offset, length, position) {
+    const { data, position: at } = writeArgs(buffer, offset, length, position);
+    return syncOperation('writeSync', { fd: toFd(fd), data, position: at });
+  },
+
+  fstatSync(fd) {
+    return new Stats(syncOperation('fstatSync', { fd: toFd(fd) }));
   },
 
-  // Async versions with proper main thread support
-  async readFile(path, options, callback) {
+  closeSync(fd) {
+    syncOperation('closeSync', { fd: toFd(fd) });
+  },
+
+  // Callback forms. Without a callback they return a promise instead.
+  readFile(path, options, callback) {
     if (typeof options === 'function') {
       callback = options;
       options = {};
     }
-    
-    try {
-      let result;
-      if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-        // Main thread: Use native async OPFS
-        const data = await nativeReadFile(path);
-        const encoding = typeof options === 'string' ? options : options?.encoding;
-        
-        result = data;
-        if (encoding) {
-          result = new TextDecoder(encoding).decode(data);
-        } else if (typeof Buffer !== 'undefined') {
-          result = Buffer.from(data);
-        }
-      } else {
-        // Worker thread: Use sync version
-        result = fs.readFileSync(path, options);
-      }
-      
-      if (callback) callback(null, result);
-      return result;
-    } catch (err) {
-      if (callback) callback(err);
-      throw err;
+
+    return callbackOrPromise(calls.readFile(path, options), callback);
+  },
+
+  writeFile(path, data, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
     }
+
+    return callbackOrPromise(calls.writeFile(path, data, options), callback);
   },
 
-  async writeFile(path, data, options, callback) {
+  appendFile(path, data, options, callback) {
     if (typeof options === 'function') {
       callback = options;
       options = {};
     }
-    
-    try {
-      if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-        // Main thread: Use native async OPFS
-        await nativeWriteFile(path, data);
-      } else {
-        // Worker thread: Use sync version
-        fs.writeFileSync(path, data, options);
-      }
-      
-      if (callback) callback(null);
-    } catch (err) {
-      if (callback) callback(err);
-      throw err;
+
+    return callbackOrPromise(calls.appendFile(path, data, options), callback);
+  },
+
+  stat(path, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
     }
+
+    return callbackOrPromise(calls.stat(path), callback);
   },
 
-  async stat(path, callback) {
-    try {
-      let result;
-      if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-        // Main thread: Use native async OPFS
-        result = await nativeStat(path);
-      } else {
-        // Worker thread: Use sync version
-        result = fs.statSync(path);
-      }
-      
-      if (callback) callback(null, result);
-      return result;
-    } catch (err) {
-      if (callback) callback(err);
-      throw err;
+  // Calls back with a single boolean, as Node's deprecated exists() does
+  exists(path, callback) {
+    const promise = calls.stat(path).then(() => true, () => false);
+
+    if (typeof callback === 'function') {
+      promise.then((result) => process.nextTick(callback, result));
     }
+    return promise;
   },
 
-  async exists(path, callback) {
-    let result;
-    if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-      // Main thread: Use native async OPFS
-      try {
-        await nativeStat(path);
-        result = true;
-      } catch (err) {
-        result = false;
-      }
-    } else {
-      // Worker thread: Use sync version
-      result = fs.existsSync(path);
+  mkdir(path, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
     }
-    
-    if (callback) callback(result);
-    return result;
+
+    return callbackOrPromise(calls.mkdir(path, options), callback);
   },
 
-  async mkdir(path, options, callback) {
+  readdir(path, options, callback) {
     if (typeof options === 'function') {
       callback = options;
       options = {};
     }
-    
-    try {
-      if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-        // Main thread: Use native async OPFS
-        const recursive = options?.recursive || false;
-        const root = await navigator.storage.getDirectory();
-        const parts = path.split('/').filter(p => p);
-        let dir = root;
-        
-        for (let i = 0; i < parts.length; i++) {
-          try {
-            dir = await dir.getDirectoryHandle(parts[i], { create: recursive });
-          } catch (err) {
-            if (!recursive) {
-              throw err;
-            }
-            dir = await dir.getDirectoryHandle(parts[i], { create: true });
-          }
-        }
-      } else {
-        // Worker thread: Use sync version
-        fs.mkdirSync(path, options);
-      }
-      
-      if (callback) callback(null);
-    } catch (err) {
-      const error = new Error(err.message);
-      error.code = err.name === 'NotFoundError' ? 'ENOENT' : 'UNKNOWN';
-      if (callback) callback(error);
-      else throw error;
+
+    return callbackOrPromise(calls.readdir(path, options), callback);
+  },
+
+  unlink(path, callback) {
+    return callbackOrPromise(calls.unlink(path), callback);
+  },
+
+  rmdir(path, callback) {
+    return callbackOrPromise(calls.rmdir(path), callback);
+  },
+
+  rename(oldPath, newPath, callback) {
+    return callbackOrPromise(calls.rename(oldPath, newPath), callback);
+  },
+
+  copyFile(src, dest, mode, callback) {
+    if (typeof mode === 'function') {
+      callback = mode;
+      mode = 0;
     }
+
+    return callbackOrPromise(calls.copyFile(src, dest, mode), callback);
   },
 
-  async readdir(path, options, callback) {
+  cp(src, dest, options, callback) {
     if (typeof options === 'function') {
       callback = options;
       options = {};
     }
-    
-    try {
-      let result;
-      if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-        // Main thread: Use native async OPFS
-        const root = await navigator.storage.getDirectory();
-        const parts = path.split('/').filter(p => p);
-        let dir = root;
-        
-        for (let i = 0; i < parts.length; i++) {
-          dir = await dir.getDirectoryHandle(parts[i], { create: false });
-        }
-        
-        result = [];
-        for await (const entry of dir.values()) {
-          result.push(entry.name);
-        }
-      } else {
-        // Worker thread: Use sync version
-        result = fs.readdirSync(path, options);
-      }
-      
-      if (callback) callback(null, result);
-      return result;
-    } catch (err) {
-      const error = new Error(err.message);
-      error.code = err.name === 'NotFoundError' ? 'ENOENT' : 'UNKNOWN';
-      if (callback) callback(error);
-      else throw error;
+
+    return callbackOrPromise(calls.cp(src, dest, options), callback);
+  },
+
+  rm(path, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
     }
+
+    return callbackOrPromise(calls.rm(path, options), callback);
   },
 
-  async unlink(path, callback) {
-    try {
-      if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-        // Main thread: Use native async OPFS
-        const root = await navigator.storage.getDirectory();
-        const parts = path.split('/').filter(p => p);
-        let dir = root;
-        
-        // Navigate to parent directory
-        for (let i = 0; i < parts.length - 1; i++) {
-          dir = await dir.getDirectoryHandle(parts[i], { create: false });
-        }
-        
-        // Remove the file
-        const fileName = parts[parts.length - 1];
-        await dir.removeEntry(fileName);
-      } else {
-        // Worker thread: Use sync version
-        fs.unlinkSync(path);
-      }
-      
-      if (callback) callback(null);
-    } catch (err) {
-      const error = new Error(err.message);
-      error.code = err.name === 'NotFoundError' ? 'ENOENT' : 'UNKNOWN';
-      if (callback) callback(error);
-      else throw error;
+  truncate(path, len, callback) {
+    if (typeof len === 'function') {
+      callback = len;
+      len = 0;
     }
+
+    return callbackOrPromise(calls.truncate(path, len), callback);
   },
 
-  async rmdir(path, callback) {
-    try {
-      if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
-        // Main thread: Use native async OPFS
-        const root = await navigator.storage.getDirectory();
-        const parts = path.split('/').filter(p => p);
-        let dir = root;
-        
-        // Navigate to parent directory
-        for (let i = 0; i < parts.length - 1; i++) {
-          dir = await dir.getDirectoryHandle(parts[i], { create: false });
-        }
-        
-        // Remove the directory
-        const dirName = parts[parts.length - 1];
-        await dir.removeEntry(dirName);
-      } else {
-        // Worker thread: Use sync version
-        fs.rmdirSync(path);
-      }
-      
-      if (callback) callback(null);
-    } catch (err) {
-      const error = new Error(err.message);
-      error.code = err.name === 'NotFoundError' ? 'ENOENT' : 'UNKNOWN';
-      if (callback) callback(error);
-      else throw error;
+  access(path, mode, callback) {
+    if (typeof mode === 'function') {
+      callback = mode;
+      mode = fs.constants.F_OK;
     }
+
+    return callbackOrPromise(calls.access(path, mode), callback);
   },
 
-  // Stream creation (basic implementation)
-  createReadStream(path, options = {}) {
-    // Return a readable stream-like object
-    const stream = new EventTarget();
-    
-    // Add pipe method for Express compatibility
-    stream.pipe = function(destination, options) {
-      this.addEventListener('data', (event) => {
-        if (destination.write) {
-          destination.write(event.detail);
-        }
-      });
-      
-      this.addEventListener('end', () => {
-        if (destination.end) {
-          destination.end();
-        }
-      });
-      
-      this.addEventListener('error', (event) => {
-        if (destination.destroy) {
-          destination.destroy(event.detail);
-        } else if (destination.emit) {
-          destination.emit('error', event.detail);
-        }
-      });
-      
-      return destination;
-    };
-    
-    // Read file asynchronously and emit data
-    setTimeout(async () => {
-      try {
-        const data = await fs.readFile(path);
-        stream.dispatchEvent(new CustomEvent('data', { detail: data }));
-        stream.dispatchEvent(new Event('end'));
-      } catch (err) {
-        stream.dispatchEvent(new CustomEvent('error', { detail: err }));
-      }
-    }, 0);
-    
-    return stream;
-  },
-
-  createWriteStream(path, options = {}) {
-    // Return a writable stream-like object
-    const chunks = [];
-    const stream = {
-      write(chunk) {
-        chunks.push(chunk);
-        return true;
-      },
-      end(chunk) {
-        if (chunk) chunks.push(chunk);
-        // Concatenate chunks - handle both Buffer and Uint8Array
-        let totalLength = 0;
-        chunks.forEach(chunk => {
-          totalLength += chunk.length || chunk.byteLength || 0;
-        });
-        
-        const data = new Uint8Array(totalLength);
-        let offset = 0;
-        chunks.forEach(chunk => {
-          if (chunk instanceof Uint8Array || (typeof Buffer !== 'undefined' && Buffer.isBuffer(chunk))) {
-            data.set(chunk, offset);
-            offset += chunk.length;
-          } else if (typeof chunk === 'string') {
-            const encoder = new TextEncoder();
-            const encoded = encoder.encode(chunk);
-            data.set(encoded, offset);
-            offset += encoded.length;
-          }
-        });
-        
-        fs.writeFileSync(path, data);
-      }
-    };
-    
-    return stream;
-  }
+  utimes(path, atime, mtime, callback) {
+    return callbackOrPromise(calls.utimes(path, atime, mtime), callback);
+  },
+
+  realpath(path, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+    }
+
+    return callbackOrPromise(calls.realpath(path), callback);
+  },
+
+  mkdtemp(prefix, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+    }
+
+    return callbackOrPromise(calls.mkdtemp(prefix), callback);
+  },
+
+  open(path, ...args) {
+    const callback = popCallback(args);
+    const [flags = 'r'] = args;
+    return callbackOrPromise(asyncOperation('openSync', { path: toPath(path), flags }), callback);
+  },
+
+  // Calls back with (err, bytesRead, buffer)
+  read(fd, ...args) {
+    const callback = popCallback(args);
+    const { buffer, offset, length, position } = readArgs(...args);
+    const promise = asyncOperation('readSync', { fd: toFd(fd), length, position })
+      .then((bytes) => ({ bytesRead: copyInto(buffer, offset, bytes), buffer }));
+
+    return callbackOrPromise(promise, callback, (result) => [result.bytesRead, result.buffer]);
+  },
+
+  // Calls back with (err, bytesWritten, buffer)
+  write(fd, buffer, ...args) {
+    const callback = popCallback(args);
+    const { data, position } = writeArgs(buffer, ...args);
+    const promise = asyncOperation('writeSync', { fd: toFd(fd), data, position })
+      .then((bytesWritten) => ({ bytesWritten, buffer }));
+
+    return callbackOrPromise(promise, callback, (result) => [result.bytesWritten, result.buffer]);
+  },
+
+  fstat(fd, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+    }
+
+    const promise = asyncOperation('fstatSync', { fd: toFd(fd) }).then((stats) => new Stats(stats));
+    return callbackOrPromise(promise, callback);
+  },
+
+  close(fd, callback) {
+    return callbackOrPromise(asyncOperation('closeSync', { fd: toFd(fd) }).then(() => undefined), callback);
+  },
+
+  Stats,
+  Dirent,
+
+  constants: {
+    F_OK: 0,
+    R_OK: 4,
+    W_OK: 2,
+    X_OK: 1,
+    COPYFILE_EXCL: 1,
+    COPYFILE_FICLONE: 2,
+    COPYFILE_FICLONE_FORCE: 4,
+    ...flagConstants
+  },
+
+  createReadStream(path, options) {
+    return new ReadStream(path, options);
+  },
+
+  createWriteStream(path, options) {
+    return new WriteStream(path, options);
+  },
+
+  ReadStream,
+  WriteStream
 };
 
 // Check if we're in a Worker context
@@ -487,9 +689,10 @@ if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDi
   };
   
   // Override other sync methods to throw clear errors
-  const syncMethods = ['readFileSync', 'writeFileSync', 'statSync', 'mkdirSync', 'readdirSync', 'unlinkSync', 'rmdirSync'];
+  const syncMethods = ['readFileSync', 'writeFileSync', 'statSync', 'mkdirSync', 'readdirSync', 'unlinkSync', 'rmdirSync',
+    'renameSync', 'copyFileSync', 'cpSync', 'appendFileSync', 'rmSync', 'truncateSync', 'accessSync', 'utimesSync',
+    'realpathSync', 'mkdtempSync', 'openSync', 'readSync', 'writeSync', 'fstatSync', 'closeSync'];
   syncMethods.forEach(method => {
-    const original = fs[method];
     fs[method] = function(...args) {
       console.error(`fs.${method} called on main thread. This would block the UI.`);
       throw new Error(`Cannot use synchronous fs.${method} on the main thread. Use the async version instead.`);
@@ -497,107 +700,17 @@ if (isMainThread && typeof navigator !== 'undefined' && navigator.storage?.getDi
   });
 }
 
-// Native OPFS async operations for main thread
-async function nativeReadFile(path) {
-  try {
-    const root = await navigator.storage.getDirectory();
-    const parts = path.split('/').filter(p => p);
-    let dir = root;
-    
-    // Navigate to the file's directory
-    for (let i = 0; i < parts.length - 1; i++) {
-      dir = await dir.getDirectoryHandle(parts[i], { create: false });
-    }
-    
-    // Get the file
-    const fileName = parts[parts.length - 1];
-    const fileHandle = await dir.getFileHandle(fileName);
-    const file = await fileHandle.getFile();
-    const arrayBuffer = await file.arrayBuffer();
-    return new Uint8Array(arrayBuffer);
-  } catch (err) {
-    const error = new Error(err.message);
-    error.code = err.name === 'NotFoundError' ? 'ENOENT' : 'UNKNOWN';
-    throw error;
-  }
-}
+fs.realpath.native = fs.realpath;
+fs.realpathSync.native = fs.realpathSync;
 
-async function nativeWriteFile(path, data) {
-  try {
-    const root = await navigator.storage.getDirectory();
-    const parts = path.split('/').filter(p => p);
-    let dir = root;
-    
-    // Create directories if needed
-    for (let i = 0; i < parts.length - 1; i++) {
-      dir = await dir.getDirectoryHandle(parts[i], { create: true });
-    }
-    
-    // Write the file
-    const fileName = parts[parts.length - 1];
-    const fileHandle = await dir.getFileHandle(fileName, { create: true });
-    const writable = await fileHandle.createWritable();
-    
-    if (typeof data === 'string') {
-      await writable.write(new TextEncoder().encode(data));
-    } else if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
-      await writable.write(data);
-    } else {
-      await writable.write(new Uint8Array(data));
-    }
-    
-    await writable.close();
-  } catch (err) {
-    const error = new Error(err.message);
-    error.code = 'UNKNOWN';
-    throw error;
-  }
-}
+// fs.promises, also the fs/promises module. Argument errors reject
+// rather than throw.
+fs.promises = { constants: fs.constants };
 
-async function nativeStat(path) {
-  try {
-    const root = await navigator.storage.getDirectory();
-    const parts = path.split('/').filter(p => p);
-    let current = root;
-    
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
-      try {
-        current = await current.getDirectoryHandle(part);
-      } catch (e) {
-        // Try as file
-        if (i === parts.length - 1) {
-          const fileHandle = await current.getFileHandle(part);
-          const file = await fileHandle.getFile();
-          return {
-            isFile: () => true,
-            isDirectory: () => false,
-            size: file.size,
-            mtime: new Date(file.lastModified),
-            mode: 0o644
-          };
-        }
-        throw e;
-      }
-    }
-    
-    // It's a directory
-    return {
-      isFile: () => false,
-      isDirectory: () => true,
-      size: 0,
-      mtime: new Date(),
-      mode: 0o755
-    };
-  } catch (err) {
-    const error = new Error(err.message);
-    error.code = err.name === 'NotFoundError' ? 'ENOENT' : 'UNKNOWN';
-    throw error;
-  }
+for (const [name, call] of Object.entries(calls)) {
+  fs.promises[name] = (...args) => new Promise((resolve) => resolve(call(...args)));
 }
 
-// No longer need overrides - async methods now handle main thread logic internally
-
 // Check for SharedArrayBuffer support (only matters for sync operations)
 if (typeof SharedArrayBuffer === 'undefined' && !isMainThread) {
   console.warn('SharedArrayBuffer is not available. OPFS synchronous operations require cross-origin isolation.');
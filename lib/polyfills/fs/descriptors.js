@@ -0,0 +1,63 @@
+/*!
+ * File descriptors
+ * The table behind fs.open(), fs.read(), fs.write(), fs.fstat() and
+ * fs.close(): each descriptor is an open FileHandle, so in the fs worker
+ * one opened for writing works in place through an OPFS sync access
+ * handle.
+ */
+
+'use strict';
+
+const { uvException } = require('./errors');
+const { open } = require('./file-handle');
+
+/**
+ * @param {Object} operations - createOperations() result to open files with
+ * @returns {Object} Operations by the name of the fs method they implement
+ */
+function createDescriptors(operations) {
+  const table = new Map();
+
+  function get(fd, syscall) {
+    const handle = table.get(fd);
+    if (!handle) throw uvException('EBADF', syscall);
+    return handle;
+  }
+
+  return {
+    async openSync({ path, flags = 'r' }) {
+      const handle = await open(operations, path, flags);
+      table.set(handle.fd, handle);
+      return handle.fd;
+    },
+
+    // The bytes read, which the caller copies into its own buffer
+    async readSync({ fd, length, position = null }) {
+      const handle = get(fd, 'read');
+      const { bytesRead, buffer } = await handle.read(new Uint8Array(length), 0, length, position);
+      return buffer.subarray(0, bytesRead);
+    },
+
+    async writeSync({ fd, data, position = null }) {
+      const handle = get(fd, 'write');
+      const { bytesWritten } = await handle.write(data, 0, data.byteLength, position);
+      return bytesWritten;
+    },
+
+    async fstatSync({ fd }) {
+      const stats = await get(fd, 'fstat').stat();
+      return { mode: stats.mode, size: stats.size, atime: stats.atimeMs, mtime: stats.mtimeMs };
+    },
+
+    async closeSync({ fd }) {
+      const handle = get(fd, 'close');
+      table.delete(fd);
+      await handle.close();
+      return null;
+    }
+  };
+}
+
+module.exports = {
+  createDescriptors
+};
@@ -0,0 +1,128 @@
+/*!
+ * fs errors
+ * Errors shaped like the ones Node.js fs throws, with code, errno,
+ * syscall, path and dest, and a plain-object form that survives
+ * postMessage between the fs worker and its callers
+ */
+
+'use strict';
+
+// libuv error numbers and descriptions, as on Linux
+const UV_ERRORS = {
+  EPERM: [-1, 'operation not permitted'],
+  ENOENT: [-2, 'no such file or directory'],
+  EIO: [-5, 'i/o error'],
+  EBADF: [-9, 'bad file descriptor'],
+  EACCES: [-13, 'permission denied'],
+  EBUSY: [-16, 'resource busy or locked'],
+  EEXIST: [-17, 'file already exists'],
+  EXDEV: [-18, 'cross-device link not permitted'],
+  ENOTDIR: [-20, 'not a directory'],
+  EISDIR: [-21, 'illegal operation on a directory'],
+  EINVAL: [-22, 'invalid argument'],
+  ENOSPC: [-28, 'no space left on device'],
+  ENOTEMPTY: [-39, 'directory not empty']
+};
+
+// Node's SystemErrors for fs.cp() and fs.rm(): [prefix, errno, uv code]
+const SYSTEM_ERRORS = {
+  ERR_FS_EISDIR: ['Path is a directory', 21, 'EISDIR'],
+  ERR_FS_CP_EINVAL: ['Invalid src or dest', 22, 'EINVAL'],
+  ERR_FS_CP_EEXIST: ['Target already exists', 17, 'EEXIST'],
+  ERR_FS_CP_DIR_TO_NON_DIR: ['Cannot overwrite non-directory with directory', 21, 'EISDIR'],
+  ERR_FS_CP_NON_DIR_TO_DIR: ['Cannot overwrite directory with non-directory', 20, 'ENOTDIR']
+};
+
+class SystemError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SystemError';
+  }
+}
+
+/**
+ * An error like those from Node's fs bindings, e.g.
+ * "ENOENT: no such file or directory, rename 'a' -> 'b'"
+ * @param {string} code - ENOENT, EEXIST, ...
+ * @param {string} syscall
+ * @param {string} [path]
+ * @param {string} [dest]
+ * @returns {Error}
+ */
+function uvException(code, syscall, path, dest) {
+  const [errno, description] = UV_ERRORS[code] || UV_ERRORS.EIO;
+  let message = `${code}: ${description}, ${syscall}`;
+
+  if (path !== undefined) {
+    message += ` '${path}'`;
+    if (dest !== undefined) {
+      message += ` -> '${dest}'`;
+    }
+  }
+
+  const err = new Error(message);
+  err.errno = errno;
+  err.code = code;
+  err.syscall = syscall;
+  if (path !== undefined) err.path = path;
+  if (dest !== undefined) err.dest = dest;
+  return err;
+}
+
+/**
+ * One of the ERR_FS_* SystemErrors fs.cp() and fs.rm() throw
+ * @param {string} code
+ * @param {string} syscall
+ * @param {string} path
+ * @param {string} detail - Explanation shown in parentheses
+ * @returns {SystemError}
+ */
+function systemError(code, syscall, path, detail) {
+  const [prefix, errno, uvCode] = SYSTEM_ERRORS[code];
+  const err = new SystemError(`${prefix}: ${syscall} returned ${uvCode} (${detail}) ${path}`);
+  err.code = code;
+  err.errno = errno;
+  err.syscall = syscall;
+  err.path = path;
+  err.info = { code: uvCode, errno, message: detail, path, syscall };
+  return err;
+}
+
+/**
+ * Plain-object form of an error, for postMessage
+ * @param {Error} err
+ * @returns {Object}
+ */
+function serialize(err) {
+  const info = { name: err.name, message: err.message };
+
+  for (const key of ['code', 'errno', 'syscall', 'path', 'dest', 'info']) {
+    if (err[key] !== undefined) info[key] = err[key];
+  }
+
+  return info;
+}
+
+/**
+ * Rebuild an error from serialize()
+ * @param {Object} info
+ * @returns {Error}
+ */
+function deserialize(info) {
+  const Ctor = info.name === 'SystemError' ? SystemError : info.name === 'TypeError' ? TypeError : Error;
+  const err = new Ctor(info.message);
+
+  for (const key of Object.keys(info)) {
+    if (key !== 'name' && key !== 'message') err[key] = info[key];
+  }
+
+  return err;
+}
+
+module.exports = {
+  SystemError,
+  deserialize,
+  serialize,
+  systemError,
+  uvException
+};
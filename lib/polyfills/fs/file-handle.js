@@ -0,0 +1,339 @@
+/*!
+ * FileHandle
+ * The objects fs.promises.open() resolves to. In workers, handles opened
+ * for writing go through an OPFS sync access handle; read-only handles,
+ * and every handle on the main thread, which has none, through File
+ * snapshots and writable streams.
+ */
+
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const EventEmitter = require('node:events').EventEmitter;
+const { uvException } = require('./errors');
+const { parseFlags } = require('./flags');
+const { toFsError } = require('./operations');
+const { FILE_MODE, Stats } = require('./stats');
+
+const DEFAULT_READ_SIZE = 16 * 1024;
+
+// FileHandles aren't backed by real descriptors; number them from
+// after stdio, like the fds Node hands out
+let nextFd = 3;
+
+// Reads and writes through a FileSystemSyncAccessHandle. Older browsers
+// return promises from getSize(), truncate(), flush() and close(), so
+// callers await them all.
+class SyncAccessBackend {
+  constructor(access) {
+    this.access = access;
+  }
+
+  read(bytes, position) {
+    return this.access.read(bytes, { at: position });
+  }
+
+  write(bytes, position) {
+    return this.access.write(bytes, { at: position });
+  }
+
+  getSize() {
+    return this.access.getSize();
+  }
+
+  truncate(size) {
+    return this.access.truncate(size);
+  }
+
+  flush() {
+    return this.access.flush();
+  }
+
+  async close() {
+    await this.access.flush();
+    await this.access.close();
+  }
+}
+
+// Reads from File snapshots and writes through one writable stream, kept
+// open from the first write until a read, sync() or close() commits it.
+// Reopening the stream per write would copy the whole file every time.
+class AsyncBackend {
+  constructor(handle) {
+    this.handle = handle;
+    // Promise of the open writable stream, shared by concurrent writes
+    this.writable = null;
+    this.size = 0;
+  }
+
+  async read(bytes, position) {
+    await this.flush();
+
+    const file = await this.handle.getFile();
+    const data = new Uint8Array(await file.slice(position, position + bytes.length).arrayBuffer());
+    bytes.set(data);
+    return data.length;
+  }
+
+  async write(bytes, position) {
+    const writable = await this.open();
+    await writable.write({ type: 'write', position, data: bytes });
+    this.size = Math.max(this.size, position + bytes.length);
+    return bytes.length;
+  }
+
+  async getSize() {
+    if (this.writable) {
+      await this.writable;
+      return this.size;
+    }
+
+    const file = await this.handle.getFile();
+    return file.size;
+  }
+
+  async truncate(size) {
+    const writable = await this.open();
+    await writable.truncate(size);
+    this.size = size;
+  }
+
+  // The writable stream, opened over the file as it is now
+  open() {
+    if (!this.writable) {
+      const writable = this.createWritable();
+
+      // Let the next write try again
+      writable.catch(() => {
+        if (this.writable === writable) this.writable = null;
+      });
+      this.writable = writable;
+    }
+
+    return this.writable;
+  }
+
+  async createWritable() {
+    const file = await this.handle.getFile();
+
+    this.size = file.size;
+    return this.handle.createWritable({ keepExistingData: true });
+  }
+
+  // Commit pending writes to the file
+  async flush() {
+    const writable = this.writable;
+
+    if (writable) {
+      this.writable = null;
+      await (await writable).close();
+    }
+  }
+
+  close() {
+    return this.flush();
+  }
+}
+
+function closedError(syscall) {
+  const err = new Error('file closed');
+  err.code = 'EBADF';
+  err.syscall = syscall;
+  return err;
+}
+
+function toUint8Array(buffer) {
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+}
+
+class FileHandle extends EventEmitter {
+  /**
+   * @param {Object} backend - SyncAccessBackend or AsyncBackend
+   * @param {Object} flags - parseFlags() result
+   * @param {number} mtime - Last modified time when opened
+   */
+  constructor(backend, flags, mtime) {
+    super();
+    this._fd = nextFd++;
+    this._backend = backend;
+    this._flags = flags;
+    this._mtime = mtime;
+    this._position = 0;
+    this._closed = false;
+  }
+
+  get fd() {
+    return this._closed ? -1 : this._fd;
+  }
+
+  /**
+   * read(buffer, offset, length, position), read(buffer, options) or
+   * read(options). A null position reads from, and advances, the
+   * current position.
+   * @returns {Promise<{bytesRead: number, buffer: Buffer}>}
+   */
+  async read(buffer, offset, length, position) {
+    if (buffer && !ArrayBuffer.isView(buffer)) {
+      ({ buffer, offset, length, position } = buffer);
+    } else if (offset !== null && typeof offset === 'object') {
+      ({ offset, length, position } = offset);
+    }
+
+    if (this._closed) throw closedError('read');
+    if (!this._flags.readable) throw uvException('EBADF', 'read');
+
+    buffer = buffer || Buffer.alloc(DEFAULT_READ_SIZE);
+    offset = offset || 0;
+    length = length === undefined ? buffer.byteLength - offset : length;
+
+    const usePosition = typeof position === 'number' && position >= 0;
+    const at = usePosition ? position : this._position;
+    const target = toUint8Array(buffer).subarray(offset, offset + length);
+    const bytesRead = await this._backend.read(target, at);
+
+    if (!usePosition) this._position = at + bytesRead;
+    return { bytesRead, buffer };
+  }
+
+  /**
+   * write(buffer, offset, length, position), write(buffer, options) or
+   * write(string, position, encoding). In append mode every write goes
+   * to the end of the file.
+   * @returns {Promise<{bytesWritten: number, buffer: Buffer|string}>}
+   */
+  async write(buffer, offset, length, position) {
+    let bytes;
+
+    if (typeof buffer === 'string') {
+      position = offset;
+      bytes = Buffer.from(buffer, typeof length === 'string' ? length : 'utf8');
+    } else {
+      if (offset !== null && typeof offset === 'object') {
+        ({ offset, length, position } = offset);
+      }
+      offset = offset || 0;
+      length = length === undefined ? buffer.byteLength - offset : length;
+      bytes = toUint8Array(buffer).subarray(offset, offset + length);
+    }
+
+    if (this._closed) throw closedError('write');
+    if (!this._flags.writable) throw uvException('EBADF', 'write');
+
+    const usePosition = typeof position === 'number' && position >= 0;
+    const at = this._flags.append
+      ? await this._backend.getSize()
+      : usePosition ? position : this._position;
+    const bytesWritten = await this._backend.write(bytes, at);
+
+    this._mtime = Date.now();
+    if (!usePosition) this._position = at + bytesWritten;
+    return { bytesWritten, buffer };
+  }
+
+  /**
+   * Read from the current position to the end of the file
+   * @param {Object|string} [options] - Encoding, or { encoding }
+   * @returns {Promise<Buffer|string>}
+   */
+  async readFile(options) {
+    const encoding = typeof options === 'string' ? options : options?.encoding;
+
+    if (this._closed) throw closedError('read');
+
+    const size = await this._backend.getSize();
+    const buffer = Buffer.alloc(Math.max(0, size - this._position));
+    const { bytesRead } = await this.read(buffer, 0, buffer.length, null);
+    const data = buffer.subarray(0, bytesRead);
+
+    return encoding ? data.toString(encoding) : data;
+  }
+
+  /**
+   * Write from the current position
+   * @param {string|Buffer|TypedArray} data
+   * @param {Object|string} [options] - Encoding, or { encoding }
+   */
+  async writeFile(data, options) {
+    const encoding = typeof options === 'string' ? options : options?.encoding;
+    const bytes = typeof data === 'string' ? Buffer.from(data, encoding || 'utf8') : data;
+
+    await this.write(bytes, 0, bytes.byteLength, null);
+  }
+
+  async truncate(len = 0) {
+    if (this._closed) throw closedError('ftruncate');
+    if (!this._flags.writable) throw uvException('EINVAL', 'ftruncate');
+
+    await this._backend.truncate(Math.max(0, len));
+    this._mtime = Date.now();
+  }
+
+  /**
+   * Commit written data to the file
+   */
+  async sync() {
+    if (this._closed) throw closedError('fsync');
+
+    await this._backend.flush();
+  }
+
+  async datasync() {
+    if (this._closed) throw closedError('fdatasync');
+
+    await this._backend.flush();
+  }
+
+  async stat() {
+    if (this._closed) throw closedError('fstat');
+
+    return new Stats({
+      mode: FILE_MODE,
+      size: await this._backend.getSize(),
+      atime: this._mtime,
+      mtime: this._mtime
+    });
+  }
+
+  async close() {
+    if (this._closed) return;
+
+    this._closed = true;
+    await this._backend.close();
+    this.emit('close');
+  }
+}
+
+/**
+ * Open a file for fs.promises.open()
+ * @param {Object} operations - createOperations() over this thread's
+ *   OPFS root
+ * @param {string} path
+ * @param {string} [flags='r']
+ * @returns {Promise<FileHandle>}
+ */
+async function open(operations, path, flags = 'r') {
+  const parsed = parseFlags(flags);
+  const handle = await operations.openFile({ path, flags });
+  const { lastModified } = await handle.getFile();
+
+  let backend;
+
+  // A sync access handle locks out every other opener of the file, and
+  // createWritable() with it, so readers share the file through File
+  // snapshots as they would in Node
+  try {
+    backend = parsed.writable && typeof handle.createSyncAccessHandle === 'function'
+      ? new SyncAccessBackend(await handle.createSyncAccessHandle())
+      : new AsyncBackend(handle);
+  } catch (err) {
+    // Another sync access handle has the file
+    throw toFsError(err, 'open', path);
+  }
+
+  return new FileHandle(backend, parsed, lastModified);
+}
+
+module.exports = {
+  FileHandle,
+  open
+};
@@ -0,0 +1,92 @@
+/*!
+ * fs open flags
+ * Node's string flags ('r', 'w+', 'ax', ...) and O_* flags as the
+ * access they grant
+ */
+
+'use strict';
+
+// As on Linux
+const constants = {
+  O_RDONLY: 0,
+  O_WRONLY: 1,
+  O_RDWR: 2,
+  O_CREAT: 0o100,
+  O_EXCL: 0o200,
+  O_TRUNC: 0o1000,
+  O_APPEND: 0o2000
+};
+
+const O_ACCMODE = 3;
+
+const FLAGS = {
+  'r': { readable: true },
+  'rs': { readable: true },
+  'sr': { readable: true },
+  'r+': { readable: true, writable: true },
+  'rs+': { readable: true, writable: true },
+  'sr+': { readable: true, writable: true },
+  'w': { writable: true, create: true, truncate: true },
+  'wx': { writable: true, create: true, truncate: true, exclusive: true },
+  'xw': { writable: true, create: true, truncate: true, exclusive: true },
+  'w+': { readable: true, writable: true, create: true, truncate: true },
+  'wx+': { readable: true, writable: true, create: true, truncate: true, exclusive: true },
+  'xw+': { readable: true, writable: true, create: true, truncate: true, exclusive: true },
+  'a': { writable: true, create: true, append: true },
+  'as': { writable: true, create: true, append: true },
+  'sa': { writable: true, create: true, append: true },
+  'ax': { writable: true, create: true, append: true, exclusive: true },
+  'xa': { writable: true, create: true, append: true, exclusive: true },
+  'a+': { readable: true, writable: true, create: true, append: true },
+  'as+': { readable: true, writable: true, create: true, append: true },
+  'sa+': { readable: true, writable: true, create: true, append: true },
+  'ax+': { readable: true, writable: true, create: true, append: true, exclusive: true },
+  'xa+': { readable: true, writable: true, create: true, append: true, exclusive: true }
+};
+
+function parseNumericFlags(flags) {
+  const access = flags & O_ACCMODE;
+
+  return {
+    readable: access !== constants.O_WRONLY,
+    writable: access !== constants.O_RDONLY,
+    create: Boolean(flags & constants.O_CREAT),
+    truncate: Boolean(flags & constants.O_TRUNC),
+    exclusive: Boolean(flags & constants.O_EXCL),
+    append: Boolean(flags & constants.O_APPEND)
+  };
+}
+
+/**
+ * @param {string|number} [flags='r']
+ * @returns {{readable: boolean, writable: boolean, create: boolean,
+ *   truncate: boolean, exclusive: boolean, append: boolean}}
+ */
+function parseFlags(flags = 'r') {
+  if (Number.isInteger(flags) && flags >= 0 && (flags & O_ACCMODE) !== O_ACCMODE) {
+    return parseNumericFlags(flags);
+  }
+
+  const parsed = Object.prototype.hasOwnProperty.call(FLAGS, flags) ? FLAGS[flags] : null;
+
+  if (!parsed) {
+    const err = new TypeError(`The argument 'flags' is invalid. Received ${typeof flags === 'string' ? `'${flags}'` : flags}`);
+    err.code = 'ERR_INVALID_ARG_VALUE';
+    throw err;
+  }
+
+  return {
+    readable: false,
+    writable: false,
+    create: false,
+    truncate: false,
+    exclusive: false,
+    append: false,
+    ...parsed
+  };
+}
+
+module.exports = {
+  constants,
+  parseFlags
+};
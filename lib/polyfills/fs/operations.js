@@ -0,0 +1,646 @@
+/*!
+ * OPFS operations
+ * The file system operations behind the fs adapter, written against the
+ * OPFS handle API. The fs worker runs them for the *Sync() methods; on
+ * the main thread the callback and promise forms call them directly.
+ */
+
+'use strict';
+
+const { systemError, uvException } = require('./errors');
+const { parseFlags } = require('./flags');
+const { DIR_MODE, FILE_MODE } = require('./stats');
+
+const X_OK = 1;
+const COPYFILE_EXCL = 1;
+
+const TEMP_CHARS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+// Path components from the root, with '.' and '..' resolved. Relative
+// paths are taken from the root, as there is no working directory.
+function splitPath(path) {
+  const parts = [];
+
+  for (const part of String(path).split('/')) {
+    if (part === '' || part === '.') continue;
+    if (part === '..') {
+      parts.pop();
+    } else {
+      parts.push(part);
+    }
+  }
+
+  return parts;
+}
+
+function toKey(parts) {
+  return '/' + parts.join('/');
+}
+
+// Map an OPFS DOMException to the closest fs error
+function toFsError(err, syscall, path, dest) {
+  if (err && err.code && err.syscall) return err;
+
+  switch (err && err.name) {
+    case 'NotFoundError':
+      return uvException('ENOENT', syscall, path, dest);
+    case 'TypeMismatchError':
+      return uvException('ENOTDIR', syscall, path, dest);
+    case 'InvalidModificationError':
+      return uvException('ENOTEMPTY', syscall, path, dest);
+    case 'NoModificationAllowedError':
+      return uvException('EBUSY', syscall, path, dest);
+    case 'QuotaExceededError':
+      return uvException('ENOSPC', syscall, path, dest);
+    case 'TypeError':
+      return uvException('EINVAL', syscall, path, dest);
+    default:
+      return uvException('EIO', syscall, path, dest);
+  }
+}
+
+function toBytes(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return data;
+}
+
+// The handle called `name` in `dir`, or null
+async function getEntry(dir, name) {
+  try {
+    return await dir.getFileHandle(name);
+  } catch (err) {
+    if (err.name === 'TypeMismatchError') {
+      return dir.getDirectoryHandle(name);
+    }
+    if (err.name === 'NotFoundError') {
+      return null;
+    }
+    throw err;
+  }
+}
+
+async function isEmptyDirectory(dir) {
+  const { done } = await dir.keys().next();
+  return done;
+}
+
+async function copyFileHandle(src, destDir, name) {
+  const dest = await destDir.getFileHandle(name, { create: true });
+  const writable = await dest.createWritable();
+  await writable.write(await src.getFile());
+  await writable.close();
+}
+
+/**
+ * @param {Function} getRoot - Resolves to the OPFS root directory handle
+ * @returns {Object} Operations by the name of the fs method they implement
+ */
+function createOperations(getRoot) {
+  // OPFS has no way to set a file's times, so utimes() keeps them here,
+  // by path, until the file is next written
+  const times = new Map();
+
+  function forgetTimes(parts) {
+    const key = toKey(parts);
+    for (const path of times.keys()) {
+      if (path === key || path.startsWith(key + '/')) times.delete(path);
+    }
+  }
+
+  function moveTimes(from, to) {
+    const fromKey = toKey(from);
+    const toKeyStr = toKey(to);
+    for (const [path, value] of Array.from(times)) {
+      if (path === fromKey || path.startsWith(fromKey + '/')) {
+        times.delete(path);
+        times.set(toKeyStr + path.slice(fromKey.length), value);
+      }
+    }
+  }
+
+  // The directory at `parts`, failing with ENOENT or ENOTDIR
+  async function getDirectory(parts, syscall, path, dest) {
+    let dir = await getRoot();
+
+    for (const part of parts) {
+      const entry = await getEntry(dir, part);
+      if (!entry) throw uvException('ENOENT', syscall, path, dest);
+      if (entry.kind !== 'directory') throw uvException('ENOTDIR', syscall, path, dest);
+      dir = entry;
+    }
+
+    return dir;
+  }
+
+  /**
+   * Look up a path. `handle` is null when the entry doesn't exist; the
+   * parent directory must. Errors name `errorPath` and `errorDest`,
+   * so two-path calls like rename() report both.
+   */
+  async function lookup(path, syscall, errorPath = path, errorDest) {
+    const parts = splitPath(path);
+
+    if (parts.length === 0) {
+      return { parts, parent: null, name: '', handle: await getRoot() };
+    }
+
+    const parent = await getDirectory(parts.slice(0, -1), syscall, errorPath, errorDest);
+    const name = parts[parts.length - 1];
+    return { parts, parent, name, handle: await getEntry(parent, name) };
+  }
+
+  async function copyTree(src, dest, options, srcPath, destPath) {
+    for await (const [name, handle] of src.entries()) {
+      const target = await getEntry(dest, name);
+      const srcChild = srcPath + '/' + name;
+      const destChild = destPath + '/' + name;
+
+      if (handle.kind === 'directory') {
+        if (target && target.kind !== 'directory') {
+          throw systemError('ERR_FS_CP_DIR_TO_NON_DIR', 'cp', destChild,
+            `cannot overwrite non-directory ${destChild} with directory ${srcChild}`);
+        }
+        const dir = target || await dest.getDirectoryHandle(name, { create: true });
+        await copyTree(handle, dir, options, srcChild, destChild);
+      } else {
+        if (target && target.kind === 'directory') {
+          throw systemError('ERR_FS_CP_NON_DIR_TO_DIR', 'cp', destChild,
+            `cannot overwrite directory ${destChild} with non-directory ${srcChild}`);
+        }
+        if (target && !options.force) {
+          if (options.errorOnExist) {
+            throw systemError('ERR_FS_CP_EEXIST', 'cp', destChild, `${destChild} already exists`);
+          }
+          continue;
+        }
+        await copyFileHandle(handle, dest, name);
+      }
+    }
+  }
+
+  return {
+    async readFileSync({ path, encoding }) {
+      try {
+        const { handle } = await lookup(path, 'open');
+        if (!handle) throw uvException('ENOENT', 'open', path);
+        if (handle.kind === 'directory') throw uvException('EISDIR', 'read');
+
+        const file = await handle.getFile();
+        const buffer = await file.arrayBuffer();
+
+        if (encoding === 'utf8' || encoding === 'utf-8') {
+          return new TextDecoder().decode(buffer);
+        }
+
+        return new Uint8Array(buffer);
+      } catch (err) {
+        throw toFsError(err, 'open', path);
+      }
+    },
+
+    async writeFileSync({ path, data, flag = 'w' }) {
+      const { exclusive, append } = parseFlags(flag);
+
+      try {
+        const { parts, parent, name, handle } = await lookup(path, 'open');
+        if (handle && handle.kind === 'directory') throw uvException('EISDIR', 'open', path);
+        if (handle && exclusive) throw uvException('EEXIST', 'open', path);
+
+        const fileHandle = handle || await parent.getFileHandle(name, { create: true });
+
+        if (append) {
+          const { size } = await fileHandle.getFile();
+          const writable = await fileHandle.createWritable({ keepExistingData: true });
+          await writable.write({ type: 'write', position: size, data: toBytes(data) });
+          await writable.close();
+        } else {
+          const writable = await fileHandle.createWritable();
+          await writable.write(toBytes(data));
+          await writable.close();
+        }
+
+        forgetTimes(parts);
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'open', path);
+      }
+    },
+
+    async appendFileSync({ path, data }) {
+      return this.writeFileSync({ path, data, flag: 'a' });
+    },
+
+    /**
+     * The FileSystemFileHandle for fs.promises.open(), created or
+     * truncated as the flags ask. Handles don't survive the trip back
+     * from the fs worker, so this only runs on the calling thread.
+     */
+    async openFile({ path, flags = 'r' }) {
+      const { create, exclusive, truncate } = parseFlags(flags);
+
+      try {
+        const { parts, parent, name, handle } = await lookup(path, 'open');
+        if (handle && handle.kind === 'directory') throw uvException('EISDIR', 'open', path);
+        if (handle && exclusive) throw uvException('EEXIST', 'open', path);
+        if (!handle && !create) throw uvException('ENOENT', 'open', path);
+
+        const fileHandle = handle || await parent.getFileHandle(name, { create: true });
+
+        if (handle && truncate) {
+          const writable = await fileHandle.createWritable();
+          await writable.close();
+          forgetTimes(parts);
+        }
+
+        return fileHandle;
+      } catch (err) {
+        throw toFsError(err, 'open', path);
+      }
+    },
+
+    async truncateSync({ path, len = 0 }) {
+      try {
+        const { parts, handle } = await lookup(path, 'open');
+        if (!handle) throw uvException('ENOENT', 'open', path);
+        if (handle.kind === 'directory') throw uvException('EISDIR', 'open', path);
+
+        const writable = await handle.createWritable({ keepExistingData: true });
+        await writable.truncate(Math.max(0, len));
+        await writable.close();
+        forgetTimes(parts);
+
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'open', path);
+      }
+    },
+
+    async statSync({ path }) {
+      try {
+        const { parts, handle } = await lookup(path, 'stat');
+        if (!handle) throw uvException('ENOENT', 'stat', path);
+
+        const isFile = handle.kind === 'file';
+        let size = 0;
+        let mtime = new Date();
+
+        if (isFile) {
+          const file = await handle.getFile();
+          size = file.size;
+          mtime = new Date(file.lastModified);
+        }
+
+        const set = times.get(toKey(parts));
+
+        return {
+          isFile,
+          isDirectory: !isFile,
+          size,
+          atime: set ? new Date(set.atime) : mtime,
+          mtime: set ? new Date(set.mtime) : mtime,
+          mode: isFile ? FILE_MODE : DIR_MODE
+        };
+      } catch (err) {
+        throw toFsError(err, 'stat', path);
+      }
+    },
+
+    async existsSync({ path }) {
+      try {
+        await this.statSync({ path });
+        return true;
+      } catch (e) {
+        return false;
+      }
+    },
+
+    async accessSync({ path, mode = 0 }) {
+      try {
+        const { handle } = await lookup(path, 'access');
+        if (!handle) throw uvException('ENOENT', 'access', path);
+
+        // Everything is readable and writable; only directories are
+        // executable, going by the modes statSync() reports
+        if ((mode & X_OK) && handle.kind === 'file') {
+          throw uvException('EACCES', 'access', path);
+        }
+
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'access', path);
+      }
+    },
+
+    async utimesSync({ path, atime, mtime }) {
+      try {
+        const { parts, handle } = await lookup(path, 'utime');
+        if (!handle) throw uvException('ENOENT', 'utime', path);
+
+        times.set(toKey(parts), { atime, mtime });
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'utime', path);
+      }
+    },
+
+    async realpathSync({ path }) {
+      try {
+        const { parts, handle } = await lookup(path, 'lstat');
+        if (!handle) throw uvException('ENOENT', 'lstat', toKey(parts));
+
+        return toKey(parts);
+      } catch (err) {
+        throw toFsError(err, 'lstat', path);
+      }
+    },
+
+    async mkdirSync({ path, options = {} }) {
+      const { recursive = false } = options;
+
+      try {
+        if (!recursive) {
+          const { parent, name, handle } = await lookup(path, 'mkdir');
+          if (handle) throw uvException('EEXIST', 'mkdir', path);
+
+          await parent.getDirectoryHandle(name, { create: true });
+          return null;
+        }
+
+        // Recursive: returns the first directory created, if any
+        let dir = await getRoot();
+        let first;
+        const done = [];
+
+        for (const part of splitPath(path)) {
+          done.push(part);
+          const entry = await getEntry(dir, part);
+
+          if (entry && entry.kind !== 'directory') {
+            throw uvException(done.length === splitPath(path).length ? 'EEXIST' : 'ENOTDIR', 'mkdir', path);
+          }
+
+          if (!entry && first === undefined) {
+            first = toKey(done);
+          }
+
+          dir = entry || await dir.getDirectoryHandle(part, { create: true });
+        }
+
+        return first === undefined ? null : first;
+      } catch (err) {
+        throw toFsError(err, 'mkdir', path);
+      }
+    },
+
+    async mkdtempSync({ prefix }) {
+      const random = new Uint8Array(6);
+
+      try {
+        for (;;) {
+          crypto.getRandomValues(random);
+
+          let suffix = '';
+          for (const byte of random) {
+            suffix += TEMP_CHARS[byte % TEMP_CHARS.length];
+          }
+
+          const path = prefix + suffix;
+          const { parent, name, handle } = await lookup(path, 'mkdtemp', prefix + 'XXXXXX');
+
+          if (!handle) {
+            await parent.getDirectoryHandle(name, { create: true });
+            return path;
+          }
+        }
+      } catch (err) {
+        throw toFsError(err, 'mkdtemp', prefix + 'XXXXXX');
+      }
+    },
+
+    async readdirSync({ path, withFileTypes = false }) {
+      try {
+        const { handle } = await lookup(path, 'scandir');
+        if (!handle) throw uvException('ENOENT', 'scandir', path);
+        if (handle.kind !== 'directory') throw uvException('ENOTDIR', 'scandir', path);
+
+        // With file types, entries are { name, kind } for Dirents
+        const entries = [];
+        for await (const [name, child] of handle.entries()) {
+          entries.push(withFileTypes ? { name, kind: child.kind } : name);
+        }
+
+        return entries;
+      } catch (err) {
+        throw toFsError(err, 'scandir', path);
+      }
+    },
+
+    async unlinkSync({ path }) {
+      try {
+        const { parts, parent, name, handle } = await lookup(path, 'unlink');
+        if (!handle) throw uvException('ENOENT', 'unlink', path);
+        if (handle.kind === 'directory') throw uvException('EISDIR', 'unlink', path);
+
+        await parent.removeEntry(name);
+        forgetTimes(parts);
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'unlink', path);
+      }
+    },
+
+    async rmdirSync({ path }) {
+      try {
+        const { parts, parent, name, handle } = await lookup(path, 'rmdir');
+        if (!handle) throw uvException('ENOENT', 'rmdir', path);
+        if (handle.kind !== 'directory') throw uvException('ENOTDIR', 'rmdir', path);
+        if (!parent) throw uvException('EBUSY', 'rmdir', path);
+        if (!await isEmptyDirectory(handle)) throw uvException('ENOTEMPTY', 'rmdir', path);
+
+        await parent.removeEntry(name);
+        forgetTimes(parts);
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'rmdir', path);
+      }
+    },
+
+    async rmSync({ path, options = {} }) {
+      const { recursive = false, force = false } = options;
+
+      try {
+        const { parts, parent, name, handle } = await lookup(path, 'lstat');
+
+        if (!handle) {
+          if (force) return null;
+          throw uvException('ENOENT', 'lstat', path);
+        }
+
+        if (handle.kind === 'directory' && !recursive) {
+          throw systemError('ERR_FS_EISDIR', 'rm', path, 'is a directory');
+        }
+
+        if (parent) {
+          await parent.removeEntry(name, { recursive: true });
+        } else {
+          // The root itself can't go, so empty it
+          const children = [];
+          for await (const child of handle.keys()) {
+            children.push(child);
+          }
+          for (const child of children) {
+            await handle.removeEntry(child, { recursive: true });
+          }
+        }
+
+        forgetTimes(parts);
+        return null;
+      } catch (err) {
+        if (force && err.code === 'ENOENT') return null;
+        throw toFsError(err, 'rm', path);
+      }
+    },
+
+    async renameSync({ path, dest }) {
+      try {
+        const from = await lookup(path, 'rename', path, dest);
+        if (!from.handle) throw uvException('ENOENT', 'rename', path, dest);
+
+        const to = await lookup(dest, 'rename', path, dest);
+        const fromKey = toKey(from.parts);
+        const toKeyStr = toKey(to.parts);
+
+        if (fromKey === toKeyStr) return null;
+
+        if (!from.parent || !to.parent ||
+            (from.handle.kind === 'directory' && toKeyStr.startsWith(fromKey + '/'))) {
+          throw uvException('EINVAL', 'rename', path, dest);
+        }
+
+        if (to.handle) {
+          if (from.handle.kind === 'file' && to.handle.kind === 'directory') {
+            throw uvException('EISDIR', 'rename', path, dest);
+          }
+          if (from.handle.kind === 'directory' && to.handle.kind === 'file') {
+            throw uvException('ENOTDIR', 'rename', path, dest);
+          }
+          if (to.handle.kind === 'directory' && !await isEmptyDirectory(to.handle)) {
+            throw uvException('ENOTEMPTY', 'rename', path, dest);
+          }
+          await to.parent.removeEntry(to.name);
+        }
+
+        // Files move in place where supported; otherwise, and for
+        // directories, copy then remove the original
+        if (from.handle.kind === 'file' && typeof from.handle.move === 'function') {
+          await from.handle.move(to.parent, to.name);
+        } else if (from.handle.kind === 'file') {
+          await copyFileHandle(from.handle, to.parent, to.name);
+          await from.parent.removeEntry(from.name);
+        } else {
+          const dir = await to.parent.getDirectoryHandle(to.name, { create: true });
+          await copyTree(from.handle, dir, { force: true }, fromKey, toKeyStr);
+          await from.parent.removeEntry(from.name, { recursive: true });
+        }
+
+        forgetTimes(to.parts);
+        moveTimes(from.parts, to.parts);
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'rename', path, dest);
+      }
+    },
+
+    async copyFileSync({ path, dest, mode = 0 }) {
+      try {
+        const from = await lookup(path, 'copyfile', path, dest);
+        if (!from.handle) throw uvException('ENOENT', 'copyfile', path, dest);
+        if (from.handle.kind === 'directory') throw uvException('EISDIR', 'copyfile', path, dest);
+
+        const to = await lookup(dest, 'copyfile', path, dest);
+        if (to.handle && (mode & COPYFILE_EXCL)) throw uvException('EEXIST', 'copyfile', path, dest);
+        if (to.handle && to.handle.kind === 'directory') throw uvException('EISDIR', 'copyfile', path, dest);
+
+        if (toKey(from.parts) !== toKey(to.parts)) {
+          await copyFileHandle(from.handle, to.parent, to.name);
+          forgetTimes(to.parts);
+        }
+
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'copyfile', path, dest);
+      }
+    },
+
+    async cpSync({ path, dest, options = {} }) {
+      const { recursive = false, force = true, errorOnExist = false } = options;
+
+      try {
+        const from = await lookup(path, 'lstat');
+        if (!from.handle) throw uvException('ENOENT', 'lstat', path);
+
+        const fromKey = toKey(from.parts);
+        const destParts = splitPath(dest);
+        const destKey = toKey(destParts);
+
+        if (fromKey === destKey) {
+          throw systemError('ERR_FS_CP_EINVAL', 'cp', dest, 'src and dest cannot be the same');
+        }
+
+        if (from.handle.kind === 'directory') {
+          if (!recursive) {
+            throw systemError('ERR_FS_EISDIR', 'cp', path, `${path} is a directory (not copied)`);
+          }
+          if (destKey.startsWith(fromKey + '/') || fromKey === '/') {
+            throw systemError('ERR_FS_CP_EINVAL', 'cp', dest,
+              `cannot copy ${path} to a subdirectory of self ${dest}`);
+          }
+        }
+
+        // The destination's parents are created as needed
+        await this.mkdirSync({ path: toKey(destParts.slice(0, -1)), options: { recursive: true } });
+        const to = await lookup(dest, 'cp');
+
+        if (from.handle.kind === 'directory') {
+          if (to.handle && to.handle.kind !== 'directory') {
+            throw systemError('ERR_FS_CP_DIR_TO_NON_DIR', 'cp', dest,
+              `cannot overwrite non-directory ${dest} with directory ${path}`);
+          }
+          const dir = to.handle || await to.parent.getDirectoryHandle(to.name, { create: true });
+          await copyTree(from.handle, dir, { force, errorOnExist }, path, dest);
+          forgetTimes(destParts);
+          return null;
+        }
+
+        if (to.handle && to.handle.kind === 'directory') {
+          throw systemError('ERR_FS_CP_NON_DIR_TO_DIR', 'cp', dest,
+            `cannot overwrite directory ${dest} with non-directory ${path}`);
+        }
+
+        if (to.handle && !force) {
+          if (errorOnExist) {
+            throw systemError('ERR_FS_CP_EEXIST', 'cp', dest, `${dest} already exists`);
+          }
+          return null;
+        }
+
+        await copyFileHandle(from.handle, to.parent, to.name);
+        forgetTimes(destParts);
+        return null;
+      } catch (err) {
+        throw toFsError(err, 'cp', path);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createOperations,
+  splitPath,
+  toFsError
+};
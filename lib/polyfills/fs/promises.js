@@ -0,0 +1,8 @@
+/*!
+ * fs/promises
+ * The promise API of the OPFS fs adapter
+ */
+
+'use strict';
+
+module.exports = require('../fs-opfs-adapter').promises;
@@ -0,0 +1,80 @@
+/*!
+ * fs Stats and Dirent
+ * The objects stat() and readdir({ withFileTypes: true }) return, built
+ * from the plain results of the OPFS operations
+ */
+
+'use strict';
+
+const S_IFMT = 0o170000;
+const S_IFREG = 0o100000;
+const S_IFDIR = 0o040000;
+
+// OPFS has no permissions; these are what stat() reports
+const FILE_MODE = S_IFREG | 0o644;
+const DIR_MODE = S_IFDIR | 0o755;
+
+class Stats {
+  /**
+   * @param {Object} stats
+   * @param {number} stats.mode
+   * @param {number} stats.size
+   * @param {Date|string|number} stats.atime
+   * @param {Date|string|number} stats.mtime
+   */
+  constructor({ mode, size, atime, mtime }) {
+    this.mode = mode;
+    this.size = size;
+    this.atimeMs = new Date(atime).getTime();
+    this.mtimeMs = new Date(mtime).getTime();
+    // OPFS keeps no change or creation time
+    this.ctimeMs = this.mtimeMs;
+    this.birthtimeMs = this.mtimeMs;
+    this.atime = new Date(this.atimeMs);
+    this.mtime = new Date(this.mtimeMs);
+    this.ctime = new Date(this.ctimeMs);
+    this.birthtime = new Date(this.birthtimeMs);
+  }
+
+  isFile() {
+    return (this.mode & S_IFMT) === S_IFREG;
+  }
+
+  isDirectory() {
+    return (this.mode & S_IFMT) === S_IFDIR;
+  }
+
+  isSymbolicLink() {
+    return false;
+  }
+}
+
+class Dirent {
+  /**
+   * @param {string} name
+   * @param {string} kind - 'file' or 'directory', as on OPFS handles
+   */
+  constructor(name, kind) {
+    this.name = name;
+    this._kind = kind;
+  }
+
+  isFile() {
+    return this._kind === 'file';
+  }
+
+  isDirectory() {
+    return this._kind === 'directory';
+  }
+
+  isSymbolicLink() {
+    return false;
+  }
+}
+
+module.exports = {
+  DIR_MODE,
+  Dirent,
+  FILE_MODE,
+  Stats
+};
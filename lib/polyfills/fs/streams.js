@@ -0,0 +1,355 @@
+/*!
+ * fs streams
+ * fs.ReadStream and fs.WriteStream, after Node's: files are opened in
+ * _construct(), then read in highWaterMark-sized chunks between start
+ * and end, or written a chunk at a time, through the fs callback API.
+ */
+
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { Readable, Writable, finished } = require('stream');
+const { FileHandle } = require('./file-handle');
+
+const kFileHandle = Symbol('kFileHandle');
+const kFs = Symbol('kFs');
+const kIoDone = Symbol('kIoDone');
+const kIsPerformingIO = Symbol('kIsPerformingIO');
+
+// The fs adapter, required late as it requires this module
+let defaultFs;
+
+function getDefaultFs() {
+  if (!defaultFs) defaultFs = require('../fs-opfs-adapter');
+  return defaultFs;
+}
+
+function getOptions(options) {
+  if (options == null) return {};
+  if (typeof options === 'string') return { encoding: options };
+  return { ...options };
+}
+
+function validateInteger(value, name) {
+  if (typeof value !== 'number') {
+    const err = new TypeError(`The "${name}" argument must be of type number. Received ${typeof value}`);
+    err.code = 'ERR_INVALID_ARG_TYPE';
+    throw err;
+  }
+  if (!Number.isInteger(value) || value < 0 || value > Number.MAX_SAFE_INTEGER) {
+    const err = new RangeError(
+      `The value of "${name}" is out of range. It must be >= 0 && <= ${Number.MAX_SAFE_INTEGER}. Received ${value}`);
+    err.code = 'ERR_OUT_OF_RANGE';
+    throw err;
+  }
+}
+
+function errorOrDestroy(stream, err) {
+  const state = stream._readableState || stream._writableState;
+
+  if (state.autoDestroy) {
+    stream.destroy(err);
+  } else {
+    stream.emit('error', err);
+  }
+}
+
+// The fs calls the streams make, on a FileHandle instead of an fd
+function fileHandleOperations(handle) {
+  return {
+    close(fd, cb) {
+      handle.close().then(() => cb(), cb);
+    },
+    read(fd, buffer, offset, length, position, cb) {
+      handle.read(buffer, offset, length, position)
+        .then((result) => cb(null, result.bytesRead, result.buffer), (err) => cb(err, 0, buffer));
+    },
+    write(fd, buffer, offset, length, position, cb) {
+      handle.write(buffer, offset, length, position)
+        .then((result) => cb(null, result.bytesWritten, result.buffer), (err) => cb(err, 0, buffer));
+    }
+  };
+}
+
+// Take the fd, or FileHandle, given in options
+function importFd(stream, options) {
+  if (options.fd instanceof FileHandle) {
+    stream[kFileHandle] = options.fd;
+    stream[kFs] = fileHandleOperations(options.fd);
+    return options.fd.fd;
+  }
+
+  validateInteger(options.fd, 'fd');
+  stream[kFs] = options.fs || getDefaultFs();
+  return options.fd;
+}
+
+// Set up what both streams share, before the base constructor runs
+function init(stream, path, options, defaultFlags) {
+  if (options.fd == null) {
+    stream.fd = null;
+    stream[kFs] = options.fs || getDefaultFs();
+    // Ignored when fd is given, so it may be anything then
+    stream.path = path;
+    stream.flags = options.flags === undefined ? defaultFlags : options.flags;
+    stream.mode = options.mode === undefined ? 0o666 : options.mode;
+  } else {
+    stream.fd = importFd(stream, options);
+  }
+
+  options.autoDestroy = options.autoClose === undefined ? true : options.autoClose;
+
+  stream.start = options.start;
+  stream.pos = undefined;
+  stream[kIsPerformingIO] = false;
+
+  if (stream.start !== undefined) {
+    validateInteger(stream.start, 'start');
+    stream.pos = stream.start;
+  }
+}
+
+// Open the file, unless given an fd; 'open' and 'ready' follow
+function construct(stream, callback) {
+  if (stream[kFileHandle]) {
+    // Closing the FileHandle elsewhere ends the stream too
+    stream[kFileHandle].on('close', () => stream.close());
+  }
+
+  if (typeof stream.fd === 'number') {
+    callback();
+    return;
+  }
+
+  stream[kFs].open(stream.path, stream.flags, stream.mode, (err, fd) => {
+    if (err) {
+      callback(err);
+    } else {
+      stream.fd = fd;
+      callback();
+      stream.emit('open', stream.fd);
+      stream.emit('ready');
+    }
+  });
+}
+
+function close(stream, err, cb) {
+  if (stream.fd === null || stream.fd === undefined) {
+    cb(err);
+    return;
+  }
+
+  stream[kFs].close(stream.fd, (closeErr) => cb(closeErr || err));
+  stream.fd = null;
+}
+
+// Wait for a read or write in flight before closing its fd
+function destroy(stream, err, cb) {
+  if (stream[kIsPerformingIO]) {
+    stream.once(kIoDone, (ioErr) => close(stream, err || ioErr, cb));
+  } else {
+    close(stream, err, cb);
+  }
+}
+
+class ReadStream extends Readable {
+  /**
+   * @param {string|Buffer|URL} path
+   * @param {Object|string} [options] - Or the encoding
+   * @param {string} [options.flags='r']
+   * @param {number|FileHandle} [options.fd] - Read this instead of opening path
+   * @param {number} [options.start] - First byte to read
+   * @param {number} [options.end=Infinity] - Last byte to read, inclusive
+   * @param {number} [options.highWaterMark=65536] - Bytes per read
+   * @param {boolean} [options.autoClose=true] - Close the fd when done
+   * @param {Object} [options.fs] - open(), read() and close() to use
+   */
+  constructor(path, options) {
+    // Set up on a plain object, as `this` isn't there until super()
+    const self = {};
+    options = getOptions(options);
+
+    if (options.highWaterMark === undefined) {
+      options.highWaterMark = 64 * 1024;
+    }
+
+    init(self, path, options, 'r');
+
+    const end = options.end === undefined ? Infinity : options.end;
+
+    if (end !== Infinity) {
+      validateInteger(end, 'end');
+
+      if (self.start !== undefined && self.start > end) {
+        const err = new RangeError(
+          `The value of "start" is out of range. It must be <= "end" (here: ${end}). Received ${self.start}`);
+        err.code = 'ERR_OUT_OF_RANGE';
+        throw err;
+      }
+    }
+
+    super(options);
+
+    Object.assign(this, self);
+    this.end = end;
+    this.bytesRead = 0;
+  }
+
+  get pending() {
+    return this.fd === null;
+  }
+
+  get autoClose() {
+    return this._readableState.autoDestroy;
+  }
+
+  set autoClose(value) {
+    this._readableState.autoDestroy = value;
+  }
+
+  _construct(callback) {
+    construct(this, callback);
+  }
+
+  _read(n) {
+    n = this.pos !== undefined
+      ? Math.min(this.end - this.pos + 1, n)
+      : Math.min(this.end - this.bytesRead + 1, n);
+
+    if (n <= 0) {
+      this.push(null);
+      return;
+    }
+
+    this[kIsPerformingIO] = true;
+    this[kFs].read(this.fd, Buffer.alloc(n), 0, n, this.pos ?? null, (err, bytesRead, buffer) => {
+      this[kIsPerformingIO] = false;
+
+      // Let _destroy() close the fd now
+      if (this.destroyed) {
+        this.emit(kIoDone, err);
+        return;
+      }
+
+      if (err) {
+        errorOrDestroy(this, err);
+      } else if (bytesRead > 0) {
+        if (this.pos !== undefined) {
+          this.pos += bytesRead;
+        }
+        this.bytesRead += bytesRead;
+
+        // Copy short reads rather than keep the whole buffer alive
+        this.push(bytesRead === buffer.length ? buffer : Buffer.from(buffer.subarray(0, bytesRead)));
+      } else {
+        this.push(null);
+      }
+    });
+  }
+
+  _destroy(err, cb) {
+    destroy(this, err, cb);
+  }
+
+  close(cb) {
+    if (typeof cb === 'function') finished(this, cb);
+    this.destroy();
+  }
+}
+
+class WriteStream extends Writable {
+  /**
+   * @param {string|Buffer|URL} path
+   * @param {Object|string} [options] - Or the encoding
+   * @param {string} [options.flags='w'] - 'a' to append
+   * @param {number|FileHandle} [options.fd] - Write this instead of opening path
+   * @param {number} [options.start] - Position to write from
+   * @param {string} [options.encoding] - Default encoding for strings
+   * @param {boolean} [options.autoClose=true] - Close the fd when done
+   * @param {Object} [options.fs] - open(), write() and close() to use
+   */
+  constructor(path, options) {
+    const self = {};
+    options = getOptions(options);
+
+    // Only buffers are written
+    options.decodeStrings = true;
+
+    init(self, path, options, 'w');
+    super(options);
+
+    Object.assign(this, self);
+    this.bytesWritten = 0;
+
+    if (options.encoding) {
+      this.setDefaultEncoding(options.encoding);
+    }
+  }
+
+  get pending() {
+    return this.fd === null;
+  }
+
+  get autoClose() {
+    return this._writableState.autoDestroy;
+  }
+
+  set autoClose(value) {
+    this._writableState.autoDestroy = value;
+  }
+
+  _construct(callback) {
+    construct(this, callback);
+  }
+
+  _write(data, encoding, cb) {
+    this[kIsPerformingIO] = true;
+    this[kFs].write(this.fd, data, 0, data.length, this.pos ?? null, (err, bytesWritten) => {
+      this[kIsPerformingIO] = false;
+
+      if (!err) {
+        this.bytesWritten += bytesWritten;
+      }
+
+      cb(err);
+
+      // Let _destroy() close the fd now
+      if (this.destroyed) {
+        this.emit(kIoDone, err);
+      }
+    });
+
+    if (this.pos !== undefined) {
+      this.pos += data.length;
+    }
+  }
+
+  _destroy(err, cb) {
+    destroy(this, err, cb);
+  }
+
+  close(cb) {
+    if (cb) {
+      if (this.closed) {
+        process.nextTick(cb);
+        return;
+      }
+      this.on('close', cb);
+    }
+
+    // Without autoClose, 'finish' alone wouldn't close the fd
+    if (!this.autoClose) {
+      this.on('finish', this.destroy);
+    }
+
+    this.end();
+  }
+}
+
+// There is no shutdown() for files
+WriteStream.prototype.destroySoon = WriteStream.prototype.end;
+
+module.exports = {
+  ReadStream,
+  WriteStream
+};
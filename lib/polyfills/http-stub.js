@@ -8,6 +8,12 @@
 
 // Import EventEmitter
 const EventEmitter = require('node:events').EventEmitter;
+const { Buffer } = require('node:buffer');
+const Readable = require('./stream-stub').Readable;
+
+// Polyfill for process.nextTick if not available
+const nextTick = (typeof process !== 'undefined' && process.nextTick) ||
+                 function(fn, ...args) { setTimeout(() => fn(...args), 0); };
 
 // HTTP methods from Node.js
 const METHODS = [
@@ -49,8 +55,8 @@ const METHODS = [
 ];
 
 // Base class for IncomingMessage
-class IncomingMessage extends EventEmitter {
-  constructor() {
+class IncomingMessage extends Readable {
+  constructor(socket) {
     super();
     this.headers = {};
     this.method = 'GET';
@@ -60,7 +66,7 @@ class IncomingMessage extends EventEmitter {
     this.httpVersionMinor = 1;
     this.complete = false;
     this.readable = true;
-    this.socket = {
+    this.socket = socket || {
       remoteAddress: '127.0.0.1',
       remotePort: null,
       localAddress: '127.0.0.1',
@@ -76,41 +82,9 @@ class IncomingMessage extends EventEmitter {
     this.upgrade = false;
   }
   
-  // Stream-like methods
-  pipe(destination, options) {
-    // Simple pipe implementation
-    this.on('data', (chunk) => {
-      if (destination.write) {
-        destination.write(chunk);
-      }
-    });
-    this.on('end', () => {
-      if (destination.end) {
-        destination.end();
-      }
-    });
-    return destination;
-  }
-  
-  pause() {
-    this.isPaused = true;
-    return this;
-  }
-  
-  resume() {
-    this.isPaused = false;
-    return this;
-  }
-  
-  read(size) {
-    // Stub implementation
-    return null;
-  }
-  
-  setEncoding(encoding) {
-    this.encoding = encoding;
-    return this;
-  }
+  // Transports push the body as it arrives; createExchange() swaps in a
+  // read() that asks for more when the transport supports flow control
+  _read(size) {}
   
   setTimeout(msecs, callback) {
     // Stub implementation
@@ -119,55 +93,125 @@ class IncomingMessage extends EventEmitter {
     }
     return this;
   }
-  
-  destroy(error) {
-    this.destroyed = true;
-    if (error) {
-      this.emit('error', error);
-    }
-    this.emit('close');
-    return this;
-  }
 }
 
-// Simple status code to message mapping
+// Status code to message mapping, as in Node.js
 const STATUS_CODES = {
+  100: 'Continue',
+  101: 'Switching Protocols',
+  102: 'Processing',
+  103: 'Early Hints',
   200: 'OK',
   201: 'Created',
+  202: 'Accepted',
+  203: 'Non-Authoritative Information',
   204: 'No Content',
+  205: 'Reset Content',
+  206: 'Partial Content',
+  207: 'Multi-Status',
+  208: 'Already Reported',
+  226: 'IM Used',
+  300: 'Multiple Choices',
   301: 'Moved Permanently',
   302: 'Found',
+  303: 'See Other',
   304: 'Not Modified',
+  305: 'Use Proxy',
+  307: 'Temporary Redirect',
+  308: 'Permanent Redirect',
   400: 'Bad Request',
   401: 'Unauthorized',
+  402: 'Payment Required',
   403: 'Forbidden',
   404: 'Not Found',
   405: 'Method Not Allowed',
+  406: 'Not Acceptable',
+  407: 'Proxy Authentication Required',
+  408: 'Request Timeout',
   409: 'Conflict',
+  410: 'Gone',
+  411: 'Length Required',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  414: 'URI Too Long',
+  415: 'Unsupported Media Type',
+  416: 'Range Not Satisfiable',
+  417: 'Expectation Failed',
+  418: 'I\'m a Teapot',
+  421: 'Misdirected Request',
+  422: 'Unprocessable Entity',
+  423: 'Locked',
+  424: 'Failed Dependency',
+  425: 'Too Early',
+  426: 'Upgrade Required',
+  428: 'Precondition Required',
+  429: 'Too Many Requests',
+  431: 'Request Header Fields Too Large',
+  451: 'Unavailable For Legal Reasons',
   500: 'Internal Server Error',
   501: 'Not Implemented',
   502: 'Bad Gateway',
-  503: 'Service Unavailable'
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout',
+  505: 'HTTP Version Not Supported',
+  506: 'Variant Also Negotiates',
+  507: 'Insufficient Storage',
+  508: 'Loop Detected',
+  509: 'Bandwidth Limit Exceeded',
+  510: 'Not Extended',
+  511: 'Network Authentication Required'
 };
 
-// Base class for ServerResponse  
+/**
+ * Base class for ServerResponse
+ *
+ * There is no TCP socket to write raw HTTP to in the browser. Output is
+ * handed to the socket assigned with assignSocket() as a head and body
+ * chunks instead:
+ *
+ *   socket.writeHead({ statusCode, statusMessage, headers })
+ *   socket.write(chunk)
+ *   socket.end(chunk, head)
+ *
+ * `head` is only passed to end() when the whole response is sent at once,
+ * i.e. end() was called before any write() or flushHeaders(). Header names
+ * keep the case they were set with, and chunks are Buffers.
+ */
 class ServerResponse extends EventEmitter {
-  constructor() {
+  constructor(req) {
     super();
+    this.req = req || null;
     this.statusCode = 200;
-    this.statusMessage = STATUS_CODES[200] || 'OK';
+    this.statusMessage = undefined;
     this.headers = {};
     this.headersSent = false;
     this.finished = false;
     this.writableEnded = false;
     this.writableFinished = false;
+    this.destroyed = false;
     this.socket = null;
     this.connection = null;
-    this._headers = null;
     this._headerNames = {};
+    this._hasBody = !req || req.method !== 'HEAD';
+    this._headFlushed = false;
+  }
+  
+  assignSocket(socket) {
+    this.socket = socket;
+    this.connection = socket;
+    this.emit('socket', socket);
+  }
+  
+  detachSocket(socket) {
+    this.socket = null;
+    this.connection = null;
   }
   
   setHeader(name, value) {
+    if (this.headersSent) {
+      throw headersSentError('set');
+    }
+    
     const key = name.toLowerCase();
     this.headers[key] = value;
     this._headerNames[key] = name;
@@ -191,6 +235,10 @@ class ServerResponse extends EventEmitter {
   }
   
   removeHeader(name) {
+    if (this.headersSent) {
+      throw headersSentError('remove');
+    }
+    
     const key = name.toLowerCase();
     delete this.headers[key];
     delete this._headerNames[key];
@@ -199,7 +247,7 @@ class ServerResponse extends EventEmitter {
   
   writeHead(statusCode, statusMessage, headers) {
     if (this.headersSent) {
-      throw new Error('Can\'t set headers after they are sent');
+      throw headersSentError('set');
     }
     
     // Handle different argument patterns
@@ -209,7 +257,7 @@ class ServerResponse extends EventEmitter {
     }
     
     this.statusCode = statusCode;
-    this.statusMessage = statusMessage || STATUS_CODES[statusCode] || 'unknown';
+    this.statusMessage = statusMessage || this.statusMessage || STATUS_CODES[statusCode] || 'unknown';
     
     if (headers) {
       for (const name in headers) {
@@ -217,27 +265,58 @@ class ServerResponse extends EventEmitter {
       }
     }
     
+    // These responses never carry a body
+    if (statusCode === 204 || statusCode === 304 || (statusCode >= 100 && statusCode < 200)) {
+      this._hasBody = false;
+    }
+    
+    // Like Node.js, the head is stored now and goes out with the body
     this.headersSent = true;
     return this;
   }
   
+  flushHeaders() {
+    if (!this.headersSent) {
+      this.writeHead(this.statusCode);
+    }
+    
+    if (!this._headFlushed) {
+      this._headFlushed = true;
+      if (this.socket) {
+        this.socket.writeHead(this._head());
+      }
+    }
+  }
+  
   write(chunk, encoding, callback) {
     if (typeof encoding === 'function') {
       callback = encoding;
       encoding = null;
     }
     
-    if (!this.headersSent) {
-      this.headersSent = true;
+    if (this.destroyed) {
+      if (callback) nextTick(callback, destroyedError());
+      return false;
+    }
+    
+    if (this.finished) {
+      const err = new Error('write after end');
+      err.code = 'ERR_STREAM_WRITE_AFTER_END';
+      nextTick(() => {
+        if (callback) callback(err);
+        this.emit('error', err);
+      });
+      return true;
     }
     
-    // Emit drain event on next tick
-    setTimeout(() => {
-      this.emit('drain');
-    }, 0);
+    this.flushHeaders();
+    
+    if (this._hasBody && chunk != null && chunk.length !== 0 && this.socket) {
+      this.socket.write(toBuffer(chunk, encoding));
+    }
     
     if (callback) {
-      setTimeout(callback, 0);
+      nextTick(callback);
     }
     
     return true;
@@ -253,24 +332,40 @@ class ServerResponse extends EventEmitter {
       encoding = null;
     }
     
-    if (data) {
-      this.write(data, encoding);
+    if (this.finished || this.destroyed) {
+      if (callback) nextTick(callback);
+      return this;
+    }
+    
+    if (!this.headersSent) {
+      this.writeHead(this.statusCode);
+    }
+    
+    const body = this._hasBody && data != null ? toBuffer(data, encoding) : null;
+    
+    if (this.socket) {
+      if (this._headFlushed) {
+        this.socket.end(body);
+      } else {
+        this._headFlushed = true;
+        this.socket.end(body, this._head());
+      }
     }
     
     this.finished = true;
     this.writableEnded = true;
-    this.writableFinished = true;
-    
-    // Emit finish event on next tick
-    setTimeout(() => {
-      this.emit('finish');
-      this.emit('close');
-    }, 0);
     
     if (callback) {
       this.once('finish', callback);
     }
     
+    // Emit finish event on next tick
+    nextTick(() => {
+      this.writableFinished = true;
+      this.emit('finish');
+      this.emit('close');
+    });
+    
     return this;
   }
   
@@ -298,26 +393,62 @@ class ServerResponse extends EventEmitter {
   }
   
   destroy(error) {
+    if (this.destroyed) {
+      return this;
+    }
+    
     this.destroyed = true;
-    if (error) {
-      this.emit('error', error);
+    if (this.socket && typeof this.socket.destroy === 'function') {
+      this.socket.destroy(error);
     }
-    this.emit('close');
+    
+    nextTick(() => {
+      if (error) {
+        this.emit('error', error);
+      }
+      this.emit('close');
+    });
     return this;
   }
   
-  // Override statusCode setter to update statusMessage
-  get statusCode() {
-    return this._statusCode || 200;
-  }
-  
-  set statusCode(code) {
-    this._statusCode = code;
-    // Auto-set statusMessage based on code
-    if (STATUS_CODES[code]) {
-      this.statusMessage = STATUS_CODES[code];
+  // The stored head, with header names in the case they were set
+  _head() {
+    const headers = {};
+    for (const key in this.headers) {
+      headers[this._headerNames[key] || key] = this.headers[key];
     }
+    
+    return {
+      statusCode: this.statusCode,
+      statusMessage: this.statusMessage,
+      headers
+    };
+  }
+}
+
+function headersSentError(action) {
+  const err = new Error(`Cannot ${action} headers after they are sent to the client`);
+  err.code = 'ERR_HTTP_HEADERS_SENT';
+  return err;
+}
+
+function destroyedError() {
+  const err = new Error('Cannot call write after a stream was destroyed');
+  err.code = 'ERR_STREAM_DESTROYED';
+  return err;
+}
+
+function toBuffer(chunk, encoding) {
+  if (typeof chunk === 'string') {
+    return Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+  }
+  if (Buffer.isBuffer(chunk)) {
+    return chunk;
+  }
+  if (ArrayBuffer.isView(chunk)) {
+    return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
   }
+  return Buffer.from(String(chunk));
 }
 
 // Stub createServer for Express compatibility
@@ -332,6 +463,7 @@ function createServer(requestListener) {
 
 module.exports = {
   METHODS,
+  STATUS_CODES,
   IncomingMessage,
   ServerResponse,
   createServer
@@ -0,0 +1,37 @@
+/*!
+ * addAbortSignal()
+ */
+
+'use strict';
+
+var errors = require('./errors');
+var eos = require('./end-of-stream');
+
+/**
+ * Destroy `stream` with an AbortError when `signal` aborts
+ * @param {AbortSignal} signal
+ * @param {Stream} stream
+ * @returns {Stream}
+ */
+function addAbortSignal(signal, stream) {
+  if (!signal || typeof signal.aborted !== 'boolean') {
+    throw errors.streamError('ERR_INVALID_ARG_TYPE', 'signal', 'an instance of AbortSignal', signal);
+  }
+
+  function onAbort() {
+    stream.destroy(new errors.AbortError(undefined, { cause: signal.reason }));
+  }
+
+  if (signal.aborted) {
+    onAbort();
+  } else {
+    signal.addEventListener('abort', onAbort);
+    eos(stream, function() {
+      signal.removeEventListener('abort', onAbort);
+    });
+  }
+
+  return stream;
+}
+
+module.exports = addAbortSignal;
@@ -0,0 +1,99 @@
+/*!
+ * String decoder
+ * Turns a byte stream into strings for setEncoding(), holding back
+ * characters split across chunks. The browser build has no string_decoder.
+ */
+
+'use strict';
+
+var Buffer = require('node:buffer').Buffer;
+var streamError = require('./errors').streamError;
+
+/**
+ * Canonical name of an encoding, as StringDecoder reports it
+ * @param {string} encoding
+ * @returns {string}
+ */
+function normalizeEncoding(encoding) {
+  var name = String(encoding || 'utf8').toLowerCase();
+
+  switch (name) {
+    case 'utf8':
+    case 'utf-8':
+      return 'utf8';
+    case 'ucs2':
+    case 'ucs-2':
+    case 'utf16le':
+    case 'utf-16le':
+      return 'utf16le';
+    case 'latin1':
+    case 'binary':
+      return 'latin1';
+    case 'base64':
+    case 'base64url':
+    case 'hex':
+    case 'ascii':
+      return name;
+    default:
+      throw streamError('ERR_UNKNOWN_ENCODING', encoding);
+  }
+}
+
+/**
+ * Create a decoder for an encoding. write() returns the complete
+ * characters so far; end() returns whatever is left.
+ * @param {string} encoding
+ * @returns {{encoding: string, write: Function, end: Function}}
+ */
+function createDecoder(encoding) {
+  encoding = normalizeEncoding(encoding);
+
+  if (encoding === 'utf8' || encoding === 'utf16le') {
+    var decoder = new TextDecoder(encoding === 'utf8' ? 'utf-8' : 'utf-16le');
+
+    return {
+      encoding: encoding,
+      write: function(chunk) {
+        return decoder.decode(chunk, { stream: true });
+      },
+      end: function() {
+        return decoder.decode();
+      }
+    };
+  }
+
+  if (encoding === 'base64' || encoding === 'base64url') {
+    // Encode whole 3-byte groups so no padding lands mid-stream
+    var rest = Buffer.alloc(0);
+
+    return {
+      encoding: encoding,
+      write: function(chunk) {
+        var bytes = rest.length ? Buffer.concat([rest, chunk]) : chunk;
+        var whole = bytes.length - bytes.length % 3;
+        rest = Buffer.from(bytes.subarray(whole));
+        return Buffer.from(bytes.buffer, bytes.byteOffset, whole).toString(encoding);
+      },
+      end: function() {
+        var last = rest.toString(encoding);
+        rest = Buffer.alloc(0);
+        return last;
+      }
+    };
+  }
+
+  return {
+    encoding: encoding,
+    write: function(chunk) {
+      return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.length).toString(encoding);
+    },
+    end: function() {
+      return '';
+    }
+  };
+}
+
+module.exports = {
+  createDecoder: createDecoder,
+  normalizeEncoding: normalizeEncoding
+};
@@ -0,0 +1,276 @@
+/*!
+ * Stream destruction
+ * destroy(), _construct() and error handling shared by Readable and
+ * Writable, emitting 'error' and 'close' in the order Node.js does
+ */
+
+'use strict';
+
+var errors = require('./errors');
+var utils = require('./utils');
+
+var aggregateTwoErrors = errors.aggregateTwoErrors;
+var streamError = errors.streamError;
+
+// Internal events fired once _construct() calls back
+var kConstruct = Symbol('kConstruct');
+var kDestroy = Symbol('kDestroy');
+
+function checkError(err, w, r) {
+  if (err) {
+    if (w && !w.errored) w.errored = err;
+    if (r && !r.errored) r.errored = err;
+  }
+}
+
+/**
+ * Stream.prototype.destroy: run _destroy(), then emit 'error' if given an
+ * error and 'close'
+ * @param {Error} [err]
+ * @param {Function} [cb] - Called with the error _destroy() reports
+ * @returns {Stream}
+ */
+function destroy(err, cb) {
+  var r = this._readableState;
+  var w = this._writableState;
+  var s = w || r;
+
+  if ((w && w.destroyed) || (r && r.destroyed)) {
+    if (typeof cb === 'function') cb();
+    return this;
+  }
+
+  checkError(err, w, r);
+
+  if (w) w.destroyed = true;
+  if (r) r.destroyed = true;
+
+  // Wait for _construct() before tearing down what it set up
+  if (!s.constructed) {
+    this.once(kDestroy, function(er) {
+      _destroy(this, aggregateTwoErrors(er, err), cb);
+    });
+  } else {
+    _destroy(this, err, cb);
+  }
+
+  return this;
+}
+
+function _destroy(self, err, cb) {
+  var called = false;
+
+  function onDestroy(err) {
+    if (called) return;
+    called = true;
+
+    var r = self._readableState;
+    var w = self._writableState;
+
+    checkError(err, w, r);
+
+    if (w) w.closed = true;
+    if (r) r.closed = true;
+
+    if (typeof cb === 'function') cb(err);
+
+    if (err) {
+      process.nextTick(emitErrorCloseNT, self, err);
+    } else {
+      process.nextTick(emitCloseNT, self);
+    }
+  }
+
+  try {
+    self._destroy(err || null, onDestroy);
+  } catch (err) {
+    onDestroy(err);
+  }
+}
+
+function emitErrorCloseNT(self, err) {
+  emitErrorNT(self, err);
+  emitCloseNT(self);
+}
+
+function emitCloseNT(self) {
+  var r = self._readableState;
+  var w = self._writableState;
+
+  if (w) w.closeEmitted = true;
+  if (r) r.closeEmitted = true;
+
+  if ((w && w.emitClose) || (r && r.emitClose)) {
+    self.emit('close');
+  }
+}
+
+function emitErrorNT(self, err) {
+  var r = self._readableState;
+  var w = self._writableState;
+
+  if ((w && w.errorEmitted) || (r && r.errorEmitted)) return;
+
+  if (w) w.errorEmitted = true;
+  if (r) r.errorEmitted = true;
+
+  self.emit('error', err);
+}
+
+/**
+ * Reset a destroyed stream so it can be used again
+ */
+function undestroy() {
+  var r = this._readableState;
+  var w = this._writableState;
+
+  if (r) {
+    r.constructed = true;
+    r.closed = false;
+    r.closeEmitted = false;
+    r.destroyed = false;
+    r.errored = null;
+    r.errorEmitted = false;
+    r.reading = false;
+    r.ended = r.readable === false;
+    r.endEmitted = r.readable === false;
+  }
+
+  if (w) {
+    w.constructed = true;
+    w.destroyed = false;
+    w.closed = false;
+    w.closeEmitted = false;
+    w.errored = null;
+    w.errorEmitted = false;
+    w.finalCalled = false;
+    w.prefinished = false;
+    w.ended = w.writable === false;
+    w.ending = w.writable === false;
+    w.finished = w.writable === false;
+  }
+}
+
+/**
+ * Fail a stream: destroy it if it is autoDestroy, otherwise just emit
+ * 'error'
+ * @param {Stream} stream
+ * @param {Error} err
+ * @param {boolean} [sync] - Called synchronously from a stream method, so
+ *   the error must wait a tick
+ */
+function errorOrDestroy(stream, err, sync) {
+  var r = stream._readableState;
+  var w = stream._writableState;
+
+  if ((w && w.destroyed) || (r && r.destroyed)) return;
+
+  if ((r && r.autoDestroy) || (w && w.autoDestroy)) {
+    stream.destroy(err);
+  } else if (err) {
+    checkError(err, w, r);
+
+    if (sync) {
+      process.nextTick(emitErrorNT, stream, err);
+    } else {
+      emitErrorNT(stream, err);
+    }
+  }
+}
+
+/**
+ * Run the stream's _construct() on the next tick, holding reads and
+ * writes until it calls back. `cb` runs once it succeeds.
+ * @param {Stream} stream
+ * @param {Function} cb
+ */
+function construct(stream, cb) {
+  if (typeof stream._construct !== 'function') return;
+
+  var r = stream._readableState;
+  var w = stream._writableState;
+
+  if (r) r.constructed = false;
+  if (w) w.constructed = false;
+
+  stream.once(kConstruct, cb);
+
+  // A Duplex constructs once for both sides
+  if (stream.listenerCount(kConstruct) > 1) return;
+
+  process.nextTick(constructNT, stream);
+}
+
+function constructNT(stream) {
+  var called = false;
+
+  function onConstruct(err) {
+    if (called) {
+      errorOrDestroy(stream, err || streamError('ERR_MULTIPLE_CALLBACK'));
+      return;
+    }
+    called = true;
+
+    var r = stream._readableState;
+    var w = stream._writableState;
+    var s = w || r;
+
+    if (r) r.constructed = true;
+    if (w) w.constructed = true;
+
+    if (s.destroyed) {
+      stream.emit(kDestroy, err);
+    } else if (err) {
+      errorOrDestroy(stream, err, true);
+    } else {
+      stream.emit(kConstruct);
+    }
+  }
+
+  try {
+    stream._construct(function(err) {
+      process.nextTick(onConstruct, err);
+    });
+  } catch (err) {
+    process.nextTick(onConstruct, err);
+  }
+}
+
+/**
+ * Destroy any stream-like object, as pipeline() does on failure
+ * @param {Stream} stream
+ * @param {Error} [err]
+ */
+function destroyer(stream, err) {
+  if (!stream || utils.isDestroyed(stream)) return;
+
+  if (!err && !utils.isFinished(stream)) {
+    err = new errors.AbortError();
+  }
+
+  if (typeof stream.destroy === 'function') {
+    stream.destroy(err);
+  } else if (typeof stream.close === 'function') {
+    stream.close();
+  } else if (err) {
+    process.nextTick(function() {
+      stream.emit('error', err);
+    });
+  } else {
+    process.nextTick(function() {
+      stream.emit('close');
+    });
+  }
+
+  if (!stream.destroyed) {
+    stream[utils.kIsDestroyed] = true;
+  }
+}
+
+module.exports = {
+  construct: construct,
+  destroy: destroy,
+  destroyer: destroyer,
+  errorOrDestroy: errorOrDestroy,
+  undestroy: undestroy
+};
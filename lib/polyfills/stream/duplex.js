@@ -0,0 +1,91 @@
+/*!
+ * Duplex
+ * A stream that is both Readable and Writable, each side with its own
+ * state
+ */
+
+'use strict';
+
+var util = require('util');
+var Readable = require('./readable');
+var Writable = require('./writable');
+var addAbortSignal = require('./add-abort-signal');
+var destroyImpl = require('./destroy');
+var web = require('./web');
+
+function Duplex(options) {
+  if (!(this instanceof Duplex)) {
+    return new Duplex(options);
+  }
+
+  Readable.call(this, options);
+  Writable.call(this, options);
+
+  if (options) {
+    // End the writable side once the readable side ends unless true
+    this.allowHalfOpen = options.allowHalfOpen !== false;
+
+    if (options.readable === false) {
+      this._readableState.readable = false;
+      this._readableState.ended = true;
+      this._readableState.endEmitted = true;
+    }
+
+    if (options.writable === false) {
+      this._writableState.writable = false;
+      this._writableState.ending = true;
+      this._writableState.ended = true;
+      this._writableState.finished = true;
+    }
+
+    if (options.signal) {
+      addAbortSignal(options.signal, this);
+    }
+  } else {
+    this.allowHalfOpen = true;
+  }
+}
+util.inherits(Duplex, Readable);
+
+// Take the Writable methods Readable doesn't have
+Object.keys(Writable.prototype).forEach(function(method) {
+  if (!Duplex.prototype[method]) {
+    Duplex.prototype[method] = Writable.prototype[method];
+  }
+});
+
+['writable', 'writableHighWaterMark', 'writableObjectMode', 'writableBuffer', 'writableLength',
+  'writableFinished', 'writableCorked', 'writableEnded', 'writableNeedDrain', 'writableAborted'].forEach(function(name) {
+  Object.defineProperty(Duplex.prototype, name, Object.getOwnPropertyDescriptor(Writable.prototype, name));
+});
+
+Object.defineProperty(Duplex.prototype, 'destroyed', {
+  get: function() {
+    if (this._readableState === undefined || this._writableState === undefined) {
+      return false;
+    }
+    return this._readableState.destroyed && this._writableState.destroyed;
+  },
+  set: function(value) {
+    if (this._readableState && this._writableState) {
+      this._readableState.destroyed = value;
+      this._writableState.destroyed = value;
+    }
+  }
+});
+
+Duplex.prototype.destroy = Writable.prototype.destroy;
+Duplex.prototype._undestroy = destroyImpl.undestroy;
+
+/**
+ * A Duplex over a WHATWG `{ readable, writable }` pair, such as a
+ * TransformStream
+ * @param {{ readable: ReadableStream, writable: WritableStream }} pair
+ * @param {Object} [options]
+ * @returns {Duplex}
+ */
+Duplex.fromWeb = function(pair, options) {
+  return web.newStreamDuplexFromReadableWritablePair(pair, options);
+};
+
+module.exports = Duplex;
@@ -0,0 +1,224 @@
+/*!
+ * finished()
+ * Call back once a stream has ended, finished, errored or closed
+ * prematurely, whichever applies to it
+ */
+
+'use strict';
+
+var errors = require('./errors');
+var utils = require('./utils');
+
+var streamError = errors.streamError;
+
+function nop() {}
+
+/**
+ * Call `callback` when the stream is done: after 'end' for a readable
+ * stream, after 'finish' for a writable one, with the error if it fails,
+ * and with ERR_STREAM_PREMATURE_CLOSE if it closes before either.
+ *
+ * @param {Stream} stream
+ * @param {Object} [options]
+ * @param {boolean} [options.readable] - Wait for the readable side
+ * @param {boolean} [options.writable] - Wait for the writable side
+ * @param {boolean} [options.error=true] - Listen for 'error'
+ * @param {AbortSignal} [options.signal] - Stop waiting, calling back
+ *   with an AbortError
+ * @param {Function} callback
+ * @returns {Function} Removes the listeners without calling back
+ */
+function eos(stream, options, callback) {
+  if (arguments.length === 2) {
+    callback = options;
+    options = {};
+  } else if (options == null) {
+    options = {};
+  } else if (typeof options !== 'object') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'options', 'of type object', options);
+  }
+
+  if (typeof callback !== 'function') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'callback', 'of type function', callback);
+  }
+
+  if (!utils.isNodeStream(stream)) {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'stream', 'an instance of Stream', stream);
+  }
+
+  var done = false;
+  var userCallback = callback;
+  callback = function(err) {
+    if (done) return;
+    done = true;
+    userCallback.call(stream, err);
+  };
+
+  var readable = options.readable != null ? options.readable : utils.isReadableNodeStream(stream);
+  var writable = options.writable != null ? options.writable : utils.isWritableNodeStream(stream);
+
+  var wState = stream._writableState;
+  var rState = stream._readableState;
+
+  // Streams that will emit 'close' are done then, not at 'end'/'finish'
+  var willEmitClose = utils.willEmitClose(stream) &&
+    utils.isReadableNodeStream(stream) === readable &&
+    utils.isWritableNodeStream(stream) === writable;
+
+  var writableFinished = utils.isWritableFinished(stream, false);
+  var readableFinished = utils.isReadableFinished(stream, false);
+  var closed = utils.isClosed(stream);
+
+  function onlegacyfinish() {
+    if (!stream.writable) onfinish();
+  }
+
+  function onfinish() {
+    writableFinished = true;
+    if (stream.destroyed) willEmitClose = false;
+    if (willEmitClose && (!stream.readable || readable)) return;
+    if (!readable || readableFinished) callback();
+  }
+
+  function onend() {
+    readableFinished = true;
+    if (stream.destroyed) willEmitClose = false;
+    if (willEmitClose && (!stream.writable || writable)) return;
+    if (!writable || writableFinished) callback();
+  }
+
+  function onerror(err) {
+    callback(err);
+  }
+
+  function onclose() {
+    closed = true;
+
+    var errored = utils.isWritableErrored(stream) || utils.isReadableErrored(stream);
+    if (errored && typeof errored !== 'boolean') {
+      callback(errored);
+      return;
+    }
+
+    if (readable && !readableFinished && utils.isReadableNodeStream(stream, true) &&
+        !utils.isReadableFinished(stream, false)) {
+      callback(streamError('ERR_STREAM_PREMATURE_CLOSE'));
+      return;
+    }
+
+    if (writable && !writableFinished && !utils.isWritableFinished(stream, false)) {
+      callback(streamError('ERR_STREAM_PREMATURE_CLOSE'));
+      return;
+    }
+
+    callback();
+  }
+
+  function onclosed() {
+    closed = true;
+
+    var errored = utils.isWritableErrored(stream) || utils.isReadableErrored(stream);
+    if (errored && typeof errored !== 'boolean') {
+      callback(errored);
+      return;
+    }
+
+    callback();
+  }
+
+  // Streams without state, such as the legacy Stream, signal with 'end'
+  if (writable && !wState) {
+    stream.on('end', onlegacyfinish);
+    stream.on('close', onlegacyfinish);
+  }
+
+  // http.IncomingMessage
+  if (!willEmitClose && typeof stream.aborted === 'boolean') {
+    stream.on('aborted', onclose);
+  }
+
+  stream.on('end', onend);
+  stream.on('finish', onfinish);
+  if (options.error !== false) {
+    stream.on('error', onerror);
+  }
+  stream.on('close', onclose);
+
+  // Already done: call back on the next tick
+  if (closed) {
+    process.nextTick(onclose);
+  } else if ((wState && wState.errorEmitted) || (rState && rState.errorEmitted)) {
+    if (!willEmitClose) {
+      process.nextTick(onclosed);
+    }
+  } else if (!readable && (!willEmitClose || utils.isReadable(stream)) &&
+             (writableFinished || utils.isWritable(stream) === false)) {
+    process.nextTick(onclosed);
+  } else if (!writable && (!willEmitClose || utils.isWritable(stream)) &&
+             (readableFinished || utils.isReadable(stream) === false)) {
+    process.nextTick(onclosed);
+  }
+
+  function cleanup() {
+    callback = nop;
+    stream.removeListener('aborted', onclose);
+    stream.removeListener('end', onlegacyfinish);
+    stream.removeListener('close', onlegacyfinish);
+    stream.removeListener('end', onend);
+    stream.removeListener('finish', onfinish);
+    stream.removeListener('error', onerror);
+    stream.removeListener('close', onclose);
+  }
+
+  if (options.signal && !closed) {
+    var signal = options.signal;
+
+    var abort = function() {
+      var endCallback = callback;
+      cleanup();
+      endCallback.call(stream, new errors.AbortError(undefined, { cause: signal.reason }));
+    };
+
+    if (signal.aborted) {
+      process.nextTick(abort);
+    } else {
+      signal.addEventListener('abort', abort);
+      var originalCallback = callback;
+      callback = function(err) {
+        signal.removeEventListener('abort', abort);
+        originalCallback(err);
+      };
+    }
+  }
+
+  return cleanup;
+}
+
+/**
+ * Promise form of finished(), as in stream/promises
+ * @param {Stream} stream
+ * @param {Object} [options]
+ * @returns {Promise<void>}
+ */
+function finished(stream, options) {
+  var autoCleanup = false;
+  if (options && options.cleanup) {
+    autoCleanup = true;
+  }
+
+  return new Promise(function(resolve, reject) {
+    var cleanup = eos(stream, options, function(err) {
+      if (autoCleanup) cleanup();
+
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+eos.finished = finished;
+
+module.exports = eos;
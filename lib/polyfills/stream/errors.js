@@ -0,0 +1,139 @@
+/*!
+ * Stream errors
+ * The coded errors Node.js streams throw and emit, with the same codes
+ * and messages
+ */
+
+'use strict';
+
+var inspect = require('util').inspect;
+
+var MESSAGES = {
+  ERR_INVALID_ARG_TYPE: [TypeError, function(name, expected, value) {
+    var kind = name.indexOf('.') === -1 ? 'argument' : 'property';
+    return 'The "' + name + '" ' + kind + ' must be ' + expected + '. Received ' + describe(value);
+  }],
+  ERR_INVALID_ARG_VALUE: [TypeError, function(name, value) {
+    var kind = name.indexOf('.') === -1 ? 'argument' : 'property';
+    return 'The ' + kind + " '" + name + "' is invalid. Received " + inspect(value);
+  }],
+  ERR_INVALID_RETURN_VALUE: [TypeError, function(expected, name, value) {
+    return 'Expected ' + expected + ' to be returned from the "' + name + '" function but got ' + describe(value) + '.';
+  }],
+  ERR_METHOD_NOT_IMPLEMENTED: [Error, function(name) {
+    return 'The ' + name + ' method is not implemented';
+  }],
+  ERR_MISSING_ARGS: [TypeError, function(name) {
+    return 'The "' + name + '" argument must be specified';
+  }],
+  ERR_MULTIPLE_CALLBACK: [Error, function() {
+    return 'Callback called multiple times';
+  }],
+  ERR_OUT_OF_RANGE: [RangeError, function(name, range, value) {
+    return 'The value of "' + name + '" is out of range. It must be ' + range + '. Received ' + value;
+  }],
+  ERR_STREAM_ALREADY_FINISHED: [Error, function(method) {
+    return 'Cannot call ' + method + ' after a stream was finished';
+  }],
+  ERR_STREAM_CANNOT_PIPE: [Error, function() {
+    return 'Cannot pipe, not readable';
+  }],
+  ERR_STREAM_DESTROYED: [Error, function(method) {
+    return 'Cannot call ' + method + ' after a stream was destroyed';
+  }],
+  ERR_STREAM_NULL_VALUES: [TypeError, function() {
+    return 'May not write null values to stream';
+  }],
+  ERR_STREAM_PREMATURE_CLOSE: [Error, function() {
+    return 'Premature close';
+  }],
+  ERR_STREAM_PUSH_AFTER_EOF: [Error, function() {
+    return 'stream.push() after EOF';
+  }],
+  ERR_STREAM_UNSHIFT_AFTER_END_EVENT: [Error, function() {
+    return 'stream.unshift() after end event';
+  }],
+  ERR_STREAM_WRITE_AFTER_END: [Error, function() {
+    return 'write after end';
+  }],
+  ERR_UNKNOWN_ENCODING: [TypeError, function(encoding) {
+    return 'Unknown encoding: ' + encoding;
+  }]
+};
+
+/**
+ * Create the error for a code, passing the rest of the arguments to its
+ * message
+ * @param {string} code - e.g. 'ERR_STREAM_DESTROYED'
+ * @returns {Error}
+ */
+function streamError(code) {
+  var entry = MESSAGES[code];
+  var args = Array.prototype.slice.call(arguments, 1);
+  var err = new entry[0](entry[1].apply(null, args));
+  err.code = code;
+  return err;
+}
+
+/**
+ * The error for an operation cancelled through an AbortSignal
+ */
+class AbortError extends Error {
+  constructor(message, options) {
+    super(message || 'The operation was aborted', options);
+    this.code = 'ABORT_ERR';
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Combine the errors of two failures, keeping the first when the second
+ * is missing or the same
+ * @param {Error} [first]
+ * @param {Error} [second]
+ * @returns {Error}
+ */
+function aggregateTwoErrors(first, second) {
+  if (first && second && first !== second) {
+    if (Array.isArray(second.errors)) {
+      second.errors.push(first);
+      return second;
+    }
+
+    var err = new AggregateError([second, first], second.message);
+    err.code = second.code;
+    return err;
+  }
+
+  return first || second;
+}
+
+/**
+ * Describe a value for an error message, as Node.js does
+ * @private
+ */
+function describe(value) {
+  if (value == null) {
+    return String(value);
+  }
+
+  if (typeof value === 'function') {
+    return 'function ' + (value.name || '<anonymous>');
+  }
+
+  if (typeof value === 'object') {
+    return value.constructor && value.constructor.name
+      ? 'an instance of ' + value.constructor.name
+      : 'an object';
+  }
+
+  return typeof value === 'string'
+    ? "type string ('" + value + "')"
+    : 'type ' + typeof value + ' (' + String(value) + ')';
+}
+
+module.exports = {
+  AbortError: AbortError,
+  aggregateTwoErrors: aggregateTwoErrors,
+  streamError: streamError
+};
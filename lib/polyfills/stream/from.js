@@ -0,0 +1,166 @@
+/*!
+ * Readable.from()
+ * A Readable over an iterable or async iterable, pulling the next value
+ * whenever the stream wants more
+ */
+
+'use strict';
+
+var Buffer = require('node:buffer').Buffer;
+var streamError = require('./errors').streamError;
+
+/**
+ * @param {Function} Readable
+ * @param {Iterable|AsyncIterable|string|Buffer} iterable
+ * @param {Object} [opts]
+ * @returns {Readable}
+ */
+function from(Readable, iterable, opts) {
+  // Strings and Buffers are one chunk, not iterated by character or byte
+  if (typeof iterable === 'string' || Buffer.isBuffer(iterable)) {
+    return new Readable(Object.assign({ objectMode: true }, opts, {
+      read: function() {
+        this.push(iterable);
+        this.push(null);
+      }
+    }));
+  }
+
+  var iterator;
+  var isAsync;
+
+  if (iterable && typeof iterable[Symbol.asyncIterator] === 'function') {
+    isAsync = true;
+    iterator = iterable[Symbol.asyncIterator]();
+  } else if (iterable && typeof iterable[Symbol.iterator] === 'function') {
+    isAsync = false;
+    iterator = iterable[Symbol.iterator]();
+  } else {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'iterable', 'an instance of Iterable', iterable);
+  }
+
+  var readable = new Readable(Object.assign({ objectMode: true, highWaterMark: 1 }, opts));
+
+  // Whether a next() is in progress
+  var reading = false;
+  // A sync iterator that yielded a promise is awaited from then on
+  var isAsyncValues = false;
+
+  readable._read = function() {
+    if (!reading) {
+      reading = true;
+
+      if (isAsync || isAsyncValues) {
+        nextAsync();
+      } else {
+        nextSync();
+      }
+    }
+  };
+
+  readable._destroy = function(error, cb) {
+    close(error).then(
+      function() { process.nextTick(cb, error); },
+      function(e) { process.nextTick(cb, e || error); }
+    );
+  };
+
+  // Let the iterator clean up, e.g. a generator's finally blocks
+  async function close(error) {
+    var hadError = error !== undefined && error !== null;
+
+    if (hadError && typeof iterator.throw === 'function') {
+      var result = await iterator.throw(error);
+      await result.value;
+      if (result.done) return;
+    }
+
+    if (typeof iterator.return === 'function') {
+      var returned = await iterator.return();
+      await returned.value;
+    }
+  }
+
+  function nextSync() {
+    for (;;) {
+      try {
+        var result = iterator.next();
+
+        if (result.done) {
+          readable.push(null);
+          return;
+        }
+
+        var value = result.value;
+
+        if (value && typeof value.then === 'function') {
+          isAsyncValues = true;
+          value.then(function(value) {
+            pushValue(value);
+          }, function(err) {
+            readable.destroy(err);
+          });
+          return;
+        }
+
+        if (value === null) {
+          reading = false;
+          throw streamError('ERR_STREAM_NULL_VALUES');
+        }
+
+        if (readable.push(value)) {
+          continue;
+        }
+
+        reading = false;
+      } catch (err) {
+        readable.destroy(err);
+      }
+      break;
+    }
+  }
+
+  async function nextAsync() {
+    for (;;) {
+      try {
+        var result = isAsync ? await iterator.next() : iterator.next();
+
+        if (result.done) {
+          readable.push(null);
+          return;
+        }
+
+        var value = await result.value;
+
+        if (value === null) {
+          reading = false;
+          throw streamError('ERR_STREAM_NULL_VALUES');
+        }
+
+        if (readable.push(value)) {
+          continue;
+        }
+
+        reading = false;
+      } catch (err) {
+        readable.destroy(err);
+      }
+      break;
+    }
+  }
+
+  function pushValue(value) {
+    if (value === null) {
+      reading = false;
+      readable.destroy(streamError('ERR_STREAM_NULL_VALUES'));
+    } else if (readable.push(value)) {
+      nextAsync();
+    } else {
+      reading = false;
+    }
+  }
+
+  return readable;
+}
+
+module.exports = from;
@@ -0,0 +1,99 @@
+/*!
+ * Legacy Stream
+ * The Stream base class and its pre-streams2 pipe(), which just forwards
+ * 'data' events
+ */
+
+'use strict';
+
+var EventEmitter = require('events').EventEmitter;
+var util = require('util');
+
+// Base Stream class
+function Stream(options) {
+  EventEmitter.call(this, options);
+}
+
+util.inherits(Stream, EventEmitter);
+
+Stream.prototype.pipe = function(dest, options) {
+  var source = this;
+
+  function ondata(chunk) {
+    if (dest.writable) {
+      // Respect backpressure from the destination
+      if (dest.write(chunk) === false && source.pause) {
+        source.pause();
+      }
+    }
+  }
+
+  source.on('data', ondata);
+
+  function ondrain() {
+    if (source.readable && source.resume) {
+      source.resume();
+    }
+  }
+
+  dest.on('drain', ondrain);
+
+  // End handling
+  if (!options || options.end !== false) {
+    source.on('end', onend);
+    source.on('close', onclose);
+  }
+
+  function onend() {
+    if (dest.end) {
+      dest.end();
+    }
+  }
+
+  function onclose() {
+    if (dest.destroy) {
+      dest.destroy();
+    }
+  }
+
+  // Error handling
+  source.on('error', onerror);
+  dest.on('error', onerror);
+
+  function onerror(er) {
+    cleanup();
+    if (!this.listenerCount('error')) {
+      throw er;
+    }
+  }
+
+  // Cleanup function
+  function cleanup() {
+    source.removeListener('data', ondata);
+    dest.removeListener('drain', ondrain);
+
+    source.removeListener('end', onend);
+    source.removeListener('close', onclose);
+
+    source.removeListener('error', onerror);
+    dest.removeListener('error', onerror);
+
+    source.removeListener('end', cleanup);
+    source.removeListener('close', cleanup);
+
+    dest.removeListener('end', cleanup);
+    dest.removeListener('close', cleanup);
+  }
+
+  source.on('end', cleanup);
+  source.on('close', cleanup);
+
+  dest.on('end', cleanup);
+  dest.on('close', cleanup);
+
+  dest.emit('pipe', source);
+
+  return dest;
+};
+
+module.exports = Stream;
@@ -0,0 +1,24 @@
+/*!
+ * PassThrough
+ * A Transform that passes chunks through unchanged
+ */
+
+'use strict';
+
+var util = require('util');
+var Transform = require('./transform');
+
+function PassThrough(options) {
+  if (!(this instanceof PassThrough)) {
+    return new PassThrough(options);
+  }
+
+  Transform.call(this, options);
+}
+util.inherits(PassThrough, Transform);
+
+PassThrough.prototype._transform = function(chunk, encoding, cb) {
+  cb(null, chunk);
+};
+
+module.exports = PassThrough;
@@ -0,0 +1,362 @@
+/*!
+ * pipeline()
+ * Pipe streams together, destroying them all if any fails and calling
+ * back once the last is done. Sources may also be iterables, and steps
+ * async generator functions that take the previous step's output.
+ */
+
+'use strict';
+
+var destroyImpl = require('./destroy');
+var eos = require('./end-of-stream');
+var errors = require('./errors');
+var utils = require('./utils');
+
+var aggregateTwoErrors = errors.aggregateTwoErrors;
+var streamError = errors.streamError;
+
+// Loaded when first needed, as they require modules that require this one
+var PassThrough;
+var Readable;
+
+/**
+ * @param {...(Stream|Iterable|AsyncIterable|Function)} streams
+ * @param {Function} callback - Called with the first error, if any
+ * @returns {Stream} The last stream
+ */
+function pipeline() {
+  var streams = Array.prototype.slice.call(arguments);
+  var callback = streams.pop();
+
+  if (typeof callback !== 'function') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'callback', 'of type function', callback);
+  }
+
+  return pipelineImpl(streams, callback);
+}
+
+function pipelineImpl(streams, callback, opts) {
+  if (streams.length === 1 && Array.isArray(streams[0])) {
+    streams = streams[0];
+  }
+
+  if (streams.length < 2) {
+    throw streamError('ERR_MISSING_ARGS', 'streams');
+  }
+
+  var ac = new AbortController();
+  var signal = ac.signal;
+  var outerSignal = opts && opts.signal;
+
+  var lastStreamCleanup = [];
+
+  function abort() {
+    finishImpl(new errors.AbortError());
+  }
+
+  if (outerSignal) {
+    if (outerSignal.aborted) {
+      process.nextTick(abort);
+    } else {
+      outerSignal.addEventListener('abort', abort);
+    }
+  }
+
+  var error;
+  var value;
+  var destroys = [];
+  var finishCount = 0;
+
+  function finish(err) {
+    finishImpl(err, --finishCount === 0);
+  }
+
+  function onError(err) {
+    if (err && err.name !== 'AbortError' && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      finish(err);
+    }
+  }
+
+  function finishImpl(err, final) {
+    if (err && (!error || error.code === 'ERR_STREAM_PREMATURE_CLOSE')) {
+      error = err;
+    }
+
+    if (!error && !final) {
+      return;
+    }
+
+    while (destroys.length) {
+      destroys.shift()(error);
+    }
+
+    if (outerSignal) {
+      outerSignal.removeEventListener('abort', abort);
+    }
+    ac.abort();
+
+    if (final) {
+      if (!error) {
+        lastStreamCleanup.forEach(function(fn) { fn(); });
+      }
+      process.nextTick(callback, error, value);
+    }
+  }
+
+  var ret;
+
+  for (var i = 0; i < streams.length; i++) {
+    var stream = streams[i];
+    var reading = i < streams.length - 1;
+    var writing = i > 0;
+    var end = reading || !opts || opts.end !== false;
+    var isLastStream = i === streams.length - 1;
+
+    if (utils.isNodeStream(stream)) {
+      if (end) {
+        var d = destroyer(stream, reading, writing);
+        destroys.push(d.destroy);
+        if (utils.isReadable(stream) && isLastStream) {
+          lastStreamCleanup.push(d.cleanup);
+        }
+      }
+
+      // Catch errors from streams that pipe() has already finished with
+      stream.on('error', onError);
+      if (utils.isReadable(stream) && isLastStream) {
+        lastStreamCleanup.push(removeOnError(stream, onError));
+      }
+    }
+
+    if (i === 0) {
+      if (typeof stream === 'function') {
+        ret = stream({ signal: signal });
+        if (!utils.isIterable(ret)) {
+          throw streamError('ERR_INVALID_RETURN_VALUE', 'Iterable, AsyncIterable or Stream', 'source', ret);
+        }
+      } else if (utils.isIterable(stream) || utils.isReadableNodeStream(stream)) {
+        ret = stream;
+      } else {
+        throw streamError('ERR_INVALID_ARG_TYPE', 'source', 'an instance of Stream, Iterable or AsyncIterable', stream);
+      }
+    } else if (typeof stream === 'function') {
+      ret = makeAsyncIterable(ret);
+      ret = stream(ret, { signal: signal });
+
+      if (reading) {
+        if (!utils.isIterable(ret, true)) {
+          throw streamError('ERR_INVALID_RETURN_VALUE', 'AsyncIterable', 'transform[' + (i - 1) + ']', ret);
+        }
+      } else {
+        if (PassThrough === undefined) PassThrough = require('./passthrough');
+
+        // The last function's result goes through a PassThrough, so
+        // pipeline() still returns a stream
+        var pt = new PassThrough({ objectMode: true });
+
+        if (ret && typeof ret.then === 'function') {
+          finishCount++;
+          ret.then(function(val) {
+            value = val;
+            if (val != null) {
+              pt.write(val);
+            }
+            if (end) {
+              pt.end();
+            }
+            process.nextTick(finish);
+          }, function(err) {
+            pt.destroy(err);
+            process.nextTick(finish, err);
+          });
+        } else if (utils.isIterable(ret, true)) {
+          finishCount++;
+          pumpToNode(ret, pt, finish, end);
+        } else {
+          throw streamError('ERR_INVALID_RETURN_VALUE', 'AsyncIterable or Promise', 'destination', ret);
+        }
+
+        ret = pt;
+
+        var ptDestroy = destroyer(ret, false, true);
+        destroys.push(ptDestroy.destroy);
+        if (isLastStream) {
+          lastStreamCleanup.push(ptDestroy.cleanup);
+        }
+      }
+    } else if (utils.isNodeStream(stream)) {
+      if (utils.isReadableNodeStream(ret)) {
+        finishCount += 2;
+        var cleanup = pipe(ret, stream, finish, end);
+        if (utils.isReadable(stream) && isLastStream) {
+          lastStreamCleanup.push(cleanup);
+        }
+      } else if (utils.isIterable(ret)) {
+        finishCount++;
+        pumpToNode(ret, stream, finish, end);
+      } else {
+        throw streamError('ERR_INVALID_ARG_TYPE', 'val', 'an instance of Readable, Iterable or AsyncIterable', ret);
+      }
+      ret = stream;
+    } else {
+      throw streamError('ERR_INVALID_ARG_TYPE', 'val', 'an instance of Stream or a function', stream);
+    }
+  }
+
+  if ((signal && signal.aborted) || (outerSignal && outerSignal.aborted)) {
+    process.nextTick(abort);
+  }
+
+  return ret;
+}
+
+function removeOnError(stream, onError) {
+  return function() {
+    stream.removeListener('error', onError);
+  };
+}
+
+// Destroy a stream on failure, unless it already finished cleanly
+function destroyer(stream, reading, writing) {
+  var finished = false;
+
+  stream.on('close', function() {
+    finished = true;
+  });
+
+  var cleanup = eos(stream, { readable: reading, writable: writing }, function(err) {
+    finished = !err;
+  });
+
+  return {
+    destroy: function(err) {
+      if (finished) return;
+      finished = true;
+      destroyImpl.destroyer(stream, err || streamError('ERR_STREAM_DESTROYED', 'pipe'));
+    },
+    cleanup: cleanup
+  };
+}
+
+function pipe(src, dst, finish, end) {
+  var ended = false;
+
+  dst.on('close', function() {
+    if (!ended) {
+      // Finish if the destination closes before the source has ended
+      finish(streamError('ERR_STREAM_PREMATURE_CLOSE'));
+    }
+  });
+
+  src.pipe(dst, { end: false });
+
+  if (end) {
+    var endFn = function() {
+      ended = true;
+      dst.end();
+    };
+
+    if (utils.isReadableFinished(src)) {
+      process.nextTick(endFn);
+    } else {
+      src.once('end', endFn);
+    }
+  } else {
+    finish();
+  }
+
+  eos(src, { readable: true, writable: false }, function(err) {
+    var rState = src._readableState;
+
+    // Some streams close before 'end', which still follows if the
+    // source ended without error
+    if (err && err.code === 'ERR_STREAM_PREMATURE_CLOSE' && rState && rState.ended &&
+        !rState.errored && !rState.errorEmitted) {
+      src.once('end', finish).once('error', finish);
+    } else {
+      finish(err);
+    }
+  });
+
+  return eos(dst, { readable: false, writable: true }, finish);
+}
+
+// Write an iterable to a Node.js stream, respecting backpressure
+async function pumpToNode(iterable, writable, finish, end) {
+  var error;
+  var onresolve = null;
+
+  function resume(err) {
+    if (err) {
+      error = err;
+    }
+
+    if (onresolve) {
+      var callback = onresolve;
+      onresolve = null;
+      callback();
+    }
+  }
+
+  function wait() {
+    return new Promise(function(resolve, reject) {
+      if (error) {
+        reject(error);
+      } else {
+        onresolve = function() {
+          if (error) {
+            reject(error);
+          } else {
+            resolve();
+          }
+        };
+      }
+    });
+  }
+
+  writable.on('drain', resume);
+  var cleanup = eos(writable, { readable: false }, resume);
+
+  try {
+    if (writable.writableNeedDrain) {
+      await wait();
+    }
+
+    for await (var chunk of iterable) {
+      if (!writable.write(chunk)) {
+        await wait();
+      }
+    }
+
+    if (end) {
+      writable.end();
+      await wait();
+    }
+
+    finish();
+  } catch (err) {
+    finish(error !== err ? aggregateTwoErrors(error, err) : err);
+  } finally {
+    cleanup();
+    writable.off('drain', resume);
+  }
+}
+
+// Functions in a pipeline read the previous step as an async iterable
+function makeAsyncIterable(val) {
+  if (utils.isIterable(val)) {
+    return val;
+  }
+
+  if (utils.isReadableNodeStream(val)) {
+    if (Readable === undefined) Readable = require('./readable');
+    return Readable.prototype[Symbol.asyncIterator].call(val);
+  }
+
+  throw streamError('ERR_INVALID_ARG_TYPE', 'val', 'an instance of Readable, Iterable or AsyncIterable', val);
+}
+
+module.exports = {
+  pipeline: pipeline,
+  pipelineImpl: pipelineImpl
+};
@@ -0,0 +1,43 @@
+/*!
+ * stream/promises
+ * Promise forms of pipeline() and finished()
+ */
+
+'use strict';
+
+var finished = require('./end-of-stream').finished;
+var pipelineImpl = require('./pipeline').pipelineImpl;
+var utils = require('./utils');
+
+/**
+ * @param {...(Stream|Iterable|AsyncIterable|Function)} streams
+ * @param {Object} [options] - Last argument
+ * @param {AbortSignal} [options.signal]
+ * @param {boolean} [options.end=true] - End the last stream
+ * @returns {Promise} Resolves with the last function's result, if any
+ */
+function pipeline() {
+  var streams = Array.prototype.slice.call(arguments);
+
+  return new Promise(function(resolve, reject) {
+    var options;
+    var last = streams[streams.length - 1];
+
+    if (last && typeof last === 'object' && !utils.isNodeStream(last) && !utils.isIterable(last)) {
+      options = streams.pop();
+    }
+
+    pipelineImpl(streams, function(err, value) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(value);
+      }
+    }, options);
+  });
+}
+
+module.exports = {
+  finished: finished,
+  pipeline: pipeline
+};
@@ -0,0 +1,1128 @@
+/*!
+ * Readable
+ * Node.js readable streams: paused and flowing modes, 'readable' events,
+ * highWaterMark buffering, object mode, setEncoding(), pipe() with
+ * backpressure and async iteration
+ */
+
+'use strict';
+
+var Buffer = require('node:buffer').Buffer;
+var util = require('util');
+var Stream = require('./legacy');
+var destroyImpl = require('./destroy');
+var addAbortSignal = require('./add-abort-signal');
+var eos = require('./end-of-stream');
+var errors = require('./errors');
+var from = require('./from');
+var getHighWaterMark = require('./state').getHighWaterMark;
+var createDecoder = require('./decoder').createDecoder;
+var web = require('./web');
+
+var aggregateTwoErrors = errors.aggregateTwoErrors;
+var errorOrDestroy = destroyImpl.errorOrDestroy;
+var streamError = errors.streamError;
+
+// Loaded when first needed, as duplex.js requires this module
+var Duplex;
+
+function nop() {}
+
+function ReadableState(options, stream, isDuplex) {
+  options = options || {};
+
+  // Object streams hand back each value as pushed instead of bytes
+  this.objectMode = Boolean(options.objectMode || (isDuplex && options.readableObjectMode));
+
+  // Buffer up to this much before _read() stops being called
+  this.highWaterMark = getHighWaterMark(this, options, 'readableHighWaterMark', isDuplex);
+
+  this.buffer = [];
+  this.length = 0;
+  this.pipes = [];
+  this.flowing = null;
+  this.paused = null;
+  this.ended = false;
+  this.endEmitted = false;
+  this.reading = false;
+
+  // Held false until _construct() calls back
+  this.constructed = true;
+
+  // Whether push() is being called from inside _read(), so events must
+  // wait a tick
+  this.sync = true;
+
+  this.needReadable = false;
+  this.emittedReadable = false;
+  this.readableListening = false;
+  this.resumeScheduled = false;
+
+  this.errorEmitted = false;
+  this.emitClose = options.emitClose !== false;
+  this.autoDestroy = options.autoDestroy !== false;
+  this.destroyed = false;
+  this.errored = null;
+  this.closed = false;
+  this.closeEmitted = false;
+
+  this.defaultEncoding = options.defaultEncoding || 'utf8';
+
+  // Destinations pipe() is waiting on for 'drain'
+  this.awaitDrainWriters = null;
+  this.multiAwaitDrain = false;
+
+  this.readingMore = false;
+  this.dataEmitted = false;
+
+  this.decoder = null;
+  this.encoding = null;
+  if (options.encoding) {
+    this.decoder = createDecoder(options.encoding);
+    this.encoding = this.decoder.encoding;
+  }
+}
+
+function Readable(options) {
+  if (Duplex === undefined) Duplex = require('./duplex');
+
+  var isDuplex = this instanceof Duplex;
+  if (!isDuplex && !(this instanceof Readable)) {
+    return new Readable(options);
+  }
+
+  this._readableState = new ReadableState(options, this, isDuplex);
+
+  if (options) {
+    if (typeof options.read === 'function') this._read = options.read;
+    if (typeof options.destroy === 'function') this._destroy = options.destroy;
+    if (typeof options.construct === 'function') this._construct = options.construct;
+    if (options.signal && !isDuplex) addAbortSignal(options.signal, this);
+  }
+
+  Stream.call(this, options);
+
+  var self = this;
+  destroyImpl.construct(this, function() {
+    if (self._readableState.needReadable) {
+      maybeReadMore(self, self._readableState);
+    }
+  });
+}
+util.inherits(Readable, Stream);
+
+Readable.ReadableState = ReadableState;
+
+Readable.prototype.destroy = destroyImpl.destroy;
+Readable.prototype._undestroy = destroyImpl.undestroy;
+Readable.prototype._destroy = function(err, cb) {
+  cb(err);
+};
+
+/**
+ * Add a chunk to the read buffer, or end the stream with null. Returns
+ * false once the buffer reaches the high water mark.
+ * @param {*} chunk
+ * @param {string} [encoding] - Of a string chunk
+ * @returns {boolean}
+ */
+Readable.prototype.push = function(chunk, encoding) {
+  return readableAddChunk(this, chunk, encoding, false);
+};
+
+/**
+ * Put a chunk back at the front of the read buffer
+ * @param {*} chunk
+ * @param {string} [encoding]
+ * @returns {boolean}
+ */
+Readable.prototype.unshift = function(chunk, encoding) {
+  return readableAddChunk(this, chunk, encoding, true);
+};
+
+function readableAddChunk(stream, chunk, encoding, addToFront) {
+  var state = stream._readableState;
+  var err;
+
+  if (!state.objectMode) {
+    if (typeof chunk === 'string') {
+      encoding = encoding || state.defaultEncoding;
+      if (state.encoding !== encoding) {
+        if (addToFront && state.encoding) {
+          // Unshifted strings go back in the decoded form
+          chunk = Buffer.from(chunk, encoding).toString(state.encoding);
+        } else {
+          chunk = Buffer.from(chunk, encoding);
+          encoding = '';
+        }
+      }
+    } else if (Buffer.isBuffer(chunk)) {
+      encoding = '';
+    } else if (chunk instanceof Uint8Array) {
+      chunk = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      encoding = '';
+    } else if (chunk != null) {
+      err = streamError('ERR_INVALID_ARG_TYPE', 'chunk', 'of type string or an instance of Buffer or Uint8Array', chunk);
+    }
+  }
+
+  if (err) {
+    errorOrDestroy(stream, err);
+  } else if (chunk === null) {
+    state.reading = false;
+    onEofChunk(stream, state);
+  } else if (state.objectMode || (chunk && chunk.length > 0)) {
+    if (addToFront) {
+      if (state.endEmitted) {
+        errorOrDestroy(stream, streamError('ERR_STREAM_UNSHIFT_AFTER_END_EVENT'));
+      } else if (state.destroyed || state.errored) {
+        return false;
+      } else {
+        addChunk(stream, state, chunk, true);
+      }
+    } else if (state.ended) {
+      errorOrDestroy(stream, streamError('ERR_STREAM_PUSH_AFTER_EOF'));
+    } else if (state.destroyed || state.errored) {
+      return false;
+    } else {
+      state.reading = false;
+      if (state.decoder && !encoding) {
+        chunk = state.decoder.write(chunk);
+        if (state.objectMode || chunk.length !== 0) {
+          addChunk(stream, state, chunk, false);
+        } else {
+          maybeReadMore(stream, state);
+        }
+      } else {
+        addChunk(stream, state, chunk, false);
+      }
+    }
+  } else if (!addToFront) {
+    state.reading = false;
+    maybeReadMore(stream, state);
+  }
+
+  return !state.ended && (state.length < state.highWaterMark || state.length === 0);
+}
+
+function addChunk(stream, state, chunk, addToFront) {
+  // Hand the chunk straight to 'data' listeners when nothing is queued
+  if (state.flowing && state.length === 0 && !state.sync && stream.listenerCount('data') > 0) {
+    clearAwaitDrain(state);
+    state.dataEmitted = true;
+    stream.emit('data', chunk);
+  } else {
+    state.length += state.objectMode ? 1 : chunk.length;
+    if (addToFront) {
+      state.buffer.unshift(chunk);
+    } else {
+      state.buffer.push(chunk);
+    }
+
+    if (state.needReadable) {
+      emitReadable(stream);
+    }
+  }
+
+  maybeReadMore(stream, state);
+}
+
+function clearAwaitDrain(state) {
+  if (state.multiAwaitDrain) {
+    state.awaitDrainWriters.clear();
+  } else {
+    state.awaitDrainWriters = null;
+  }
+}
+
+Readable.prototype.isPaused = function() {
+  var state = this._readableState;
+  return state.paused === true || state.flowing === false;
+};
+
+/**
+ * Decode the data as strings in `encoding` from now on
+ * @param {string} encoding
+ * @returns {Readable}
+ */
+Readable.prototype.setEncoding = function(encoding) {
+  var state = this._readableState;
+  var decoder = createDecoder(encoding);
+
+  state.decoder = decoder;
+  state.encoding = decoder.encoding;
+
+  // Decode what's already buffered
+  var content = '';
+  for (var i = 0; i < state.buffer.length; i++) {
+    content += decoder.write(state.buffer[i]);
+  }
+
+  state.buffer = content !== '' ? [content] : [];
+  state.length = content.length;
+  return this;
+};
+
+var MAX_HWM = 0x40000000;
+
+function computeNewHighWaterMark(n) {
+  if (n > MAX_HWM) {
+    throw streamError('ERR_OUT_OF_RANGE', 'size', '<= 1GiB', n);
+  }
+
+  // Round up to the next power of 2
+  n--;
+  n |= n >>> 1;
+  n |= n >>> 2;
+  n |= n >>> 4;
+  n |= n >>> 8;
+  n |= n >>> 16;
+  n++;
+  return n;
+}
+
+// How much of the buffer read(n) should return
+function howMuchToRead(n, state) {
+  if (n <= 0 || (state.length === 0 && state.ended)) return 0;
+  if (state.objectMode) return 1;
+
+  if (Number.isNaN(n)) {
+    // In flowing mode hand out one chunk at a time
+    if (state.flowing && state.length) return state.buffer[0].length;
+    return state.length;
+  }
+
+  if (n <= state.length) return n;
+  return state.ended ? state.length : 0;
+}
+
+/**
+ * Take data from the buffer, calling _read() to refill it. Returns null
+ * when there isn't enough; 'readable' follows once there is.
+ * @param {number} [n] - Bytes (or characters) to read, all by default
+ * @returns {*}
+ */
+Readable.prototype.read = function(n) {
+  if (n === undefined) {
+    n = NaN;
+  } else if (!Number.isInteger(n)) {
+    n = parseInt(n, 10);
+  }
+
+  var state = this._readableState;
+  var nOrig = n;
+
+  if (n > state.highWaterMark) {
+    state.highWaterMark = computeNewHighWaterMark(n);
+  }
+
+  if (n !== 0) {
+    state.emittedReadable = false;
+  }
+
+  // read(0) with a full buffer just triggers 'readable' (or 'end')
+  if (n === 0 && state.needReadable &&
+      ((state.highWaterMark !== 0 ? state.length >= state.highWaterMark : state.length > 0) || state.ended)) {
+    if (state.length === 0 && state.ended) {
+      endReadable(this);
+    } else {
+      emitReadable(this);
+    }
+    return null;
+  }
+
+  n = howMuchToRead(n, state);
+
+  if (n === 0 && state.ended) {
+    if (state.length === 0) {
+      endReadable(this);
+    }
+    return null;
+  }
+
+  // Refill below the high water mark, unless a read is already pending
+  var doRead = state.needReadable;
+
+  if (state.length === 0 || state.length - n < state.highWaterMark) {
+    doRead = true;
+  }
+
+  if (state.ended || state.reading || state.destroyed || state.errored || !state.constructed) {
+    doRead = false;
+  } else if (doRead) {
+    state.reading = true;
+    state.sync = true;
+
+    if (state.length === 0) {
+      state.needReadable = true;
+    }
+
+    try {
+      this._read(state.highWaterMark);
+    } catch (err) {
+      errorOrDestroy(this, err);
+    }
+    state.sync = false;
+
+    // _read() may have pushed synchronously
+    if (!state.reading) {
+      n = howMuchToRead(nOrig, state);
+    }
+  }
+
+  var ret = n > 0 ? fromList(n, state) : null;
+
+  if (ret === null) {
+    state.needReadable = state.length <= state.highWaterMark;
+    n = 0;
+  } else {
+    state.length -= n;
+    clearAwaitDrain(state);
+  }
+
+  if (state.length === 0) {
+    if (!state.ended) {
+      state.needReadable = true;
+    }
+
+    if (nOrig !== n && state.ended) {
+      endReadable(this);
+    }
+  }
+
+  if (ret !== null && !state.errorEmitted && !state.closeEmitted) {
+    state.dataEmitted = true;
+    this.emit('data', ret);
+  }
+
+  return ret;
+};
+
+function onEofChunk(stream, state) {
+  if (state.ended) return;
+
+  if (state.decoder) {
+    var chunk = state.decoder.end();
+    if (chunk && chunk.length) {
+      state.buffer.push(chunk);
+      state.length += state.objectMode ? 1 : chunk.length;
+    }
+  }
+
+  state.ended = true;
+
+  if (state.sync) {
+    emitReadable(stream);
+  } else {
+    state.needReadable = false;
+    state.emittedReadable = true;
+    emitReadable_(stream);
+  }
+}
+
+// Emit 'readable' on the next tick, once
+function emitReadable(stream) {
+  var state = stream._readableState;
+  state.needReadable = false;
+
+  if (!state.emittedReadable) {
+    state.emittedReadable = true;
+    process.nextTick(emitReadable_, stream);
+  }
+}
+
+function emitReadable_(stream) {
+  var state = stream._readableState;
+
+  if (!state.destroyed && !state.errored && (state.length || state.ended)) {
+    stream.emit('readable');
+    state.emittedReadable = false;
+  }
+
+  state.needReadable = !state.flowing && !state.ended && state.length <= state.highWaterMark;
+  flow(stream);
+}
+
+// Fill the buffer up to the high water mark ahead of reads
+function maybeReadMore(stream, state) {
+  if (!state.readingMore && state.constructed) {
+    state.readingMore = true;
+    process.nextTick(maybeReadMore_, stream, state);
+  }
+}
+
+function maybeReadMore_(stream, state) {
+  while (!state.reading && !state.ended &&
+         (state.length < state.highWaterMark || (state.flowing && state.length === 0))) {
+    var len = state.length;
+    stream.read(0);
+    if (len === state.length) break;
+  }
+  state.readingMore = false;
+}
+
+// Push data into the stream with push(); override or pass options.read
+Readable.prototype._read = function(size) {
+  throw streamError('ERR_METHOD_NOT_IMPLEMENTED', '_read()');
+};
+
+/**
+ * Write everything read to `dest`, pausing while it needs to drain
+ * @param {Writable} dest
+ * @param {Object} [pipeOpts]
+ * @param {boolean} [pipeOpts.end=true] - End `dest` at the end
+ * @returns {Writable} dest
+ */
+Readable.prototype.pipe = function(dest, pipeOpts) {
+  var src = this;
+  var state = this._readableState;
+
+  if (state.pipes.length === 1 && !state.multiAwaitDrain) {
+    state.multiAwaitDrain = true;
+    state.awaitDrainWriters = new Set(state.awaitDrainWriters ? [state.awaitDrainWriters] : []);
+  }
+
+  state.pipes.push(dest);
+
+  var doEnd = !pipeOpts || pipeOpts.end !== false;
+  var endFn = doEnd ? onend : unpipe;
+
+  if (state.endEmitted) {
+    process.nextTick(endFn);
+  } else {
+    src.once('end', endFn);
+  }
+
+  dest.on('unpipe', onunpipe);
+
+  function onunpipe(readable, unpipeInfo) {
+    if (readable === src && unpipeInfo && unpipeInfo.hasUnpiped === false) {
+      unpipeInfo.hasUnpiped = true;
+      cleanup();
+    }
+  }
+
+  function onend() {
+    dest.end();
+  }
+
+  var ondrain;
+  var cleanedUp = false;
+
+  function cleanup() {
+    dest.removeListener('close', onclose);
+    dest.removeListener('finish', onfinish);
+    if (ondrain) {
+      dest.removeListener('drain', ondrain);
+    }
+    dest.removeListener('error', onerror);
+    dest.removeListener('unpipe', onunpipe);
+    src.removeListener('end', onend);
+    src.removeListener('end', unpipe);
+    src.removeListener('data', ondata);
+
+    cleanedUp = true;
+
+    // Don't leave the source waiting on a drain that no longer matters
+    if (ondrain && state.awaitDrainWriters && (!dest._writableState || dest._writableState.needDrain)) {
+      ondrain();
+    }
+  }
+
+  function pause() {
+    if (!cleanedUp) {
+      if (state.pipes.length === 1 && state.pipes[0] === dest) {
+        state.awaitDrainWriters = dest;
+        state.multiAwaitDrain = false;
+      } else if (state.pipes.length > 1 && state.pipes.indexOf(dest) !== -1) {
+        state.awaitDrainWriters.add(dest);
+      }
+      src.pause();
+    }
+
+    if (!ondrain) {
+      ondrain = pipeOnDrain(src, dest);
+      dest.on('drain', ondrain);
+    }
+  }
+
+  src.on('data', ondata);
+
+  function ondata(chunk) {
+    if (dest.write(chunk) === false) {
+      pause();
+    }
+  }
+
+  // Stop piping when dest fails, and make the error throw if nothing
+  // else handles it
+  function onerror(er) {
+    unpipe();
+    dest.removeListener('error', onerror);
+
+    if (dest.listenerCount('error') === 0) {
+      var s = dest._writableState || dest._readableState;
+      if (s && !s.errorEmitted) {
+        errorOrDestroy(dest, er);
+      } else {
+        dest.emit('error', er);
+      }
+    }
+  }
+
+  prependListener(dest, 'error', onerror);
+
+  function onclose() {
+    dest.removeListener('finish', onfinish);
+    unpipe();
+  }
+  dest.once('close', onclose);
+
+  function onfinish() {
+    dest.removeListener('close', onclose);
+    unpipe();
+  }
+  dest.once('finish', onfinish);
+
+  function unpipe() {
+    src.unpipe(dest);
+  }
+
+  dest.emit('pipe', src);
+
+  if (dest.writableNeedDrain === true) {
+    pause();
+  } else if (!state.flowing) {
+    src.resume();
+  }
+
+  return dest;
+};
+
+function pipeOnDrain(src, dest) {
+  return function pipeOnDrainFunctionResult() {
+    var state = src._readableState;
+
+    if (state.awaitDrainWriters === dest) {
+      state.awaitDrainWriters = null;
+    } else if (state.multiAwaitDrain) {
+      state.awaitDrainWriters.delete(dest);
+    }
+
+    if ((!state.awaitDrainWriters || state.awaitDrainWriters.size === 0) && src.listenerCount('data')) {
+      src.resume();
+    }
+  };
+}
+
+function prependListener(emitter, event, fn) {
+  if (typeof emitter.prependListener === 'function') {
+    emitter.prependListener(event, fn);
+  } else {
+    emitter.on(event, fn);
+  }
+}
+
+/**
+ * Stop piping to `dest`, or to every destination
+ * @param {Writable} [dest]
+ * @returns {Readable}
+ */
+Readable.prototype.unpipe = function(dest) {
+  var state = this._readableState;
+
+  if (state.pipes.length === 0) return this;
+
+  if (!dest) {
+    var dests = state.pipes;
+    state.pipes = [];
+    this.pause();
+
+    for (var i = 0; i < dests.length; i++) {
+      dests[i].emit('unpipe', this, { hasUnpiped: false });
+    }
+    return this;
+  }
+
+  var index = state.pipes.indexOf(dest);
+  if (index === -1) return this;
+
+  state.pipes.splice(index, 1);
+
+  if (state.pipes.length === 0) {
+    this.pause();
+  }
+
+  dest.emit('unpipe', this, { hasUnpiped: false });
+  return this;
+};
+
+// 'data' listeners switch to flowing mode; 'readable' listeners take
+// over from them
+Readable.prototype.on = function(ev, fn) {
+  var res = Stream.prototype.on.call(this, ev, fn);
+  var state = this._readableState;
+
+  if (ev === 'data') {
+    state.readableListening = this.listenerCount('readable') > 0;
+
+    if (state.flowing !== false) {
+      this.resume();
+    }
+  } else if (ev === 'readable') {
+    if (!state.endEmitted && !state.readableListening) {
+      state.readableListening = state.needReadable = true;
+      state.flowing = false;
+      state.emittedReadable = false;
+
+      if (state.length) {
+        emitReadable(this);
+      } else if (!state.reading) {
+        process.nextTick(nReadingNextTick, this);
+      }
+    }
+  }
+
+  return res;
+};
+Readable.prototype.addListener = Readable.prototype.on;
+
+Readable.prototype.removeListener = function(ev, fn) {
+  var res = Stream.prototype.removeListener.call(this, ev, fn);
+
+  if (ev === 'readable') {
+    process.nextTick(updateReadableListening, this);
+  }
+
+  return res;
+};
+Readable.prototype.off = Readable.prototype.removeListener;
+
+Readable.prototype.removeAllListeners = function(ev) {
+  var res = Stream.prototype.removeAllListeners.apply(this, arguments);
+
+  if (ev === 'readable' || ev === undefined) {
+    process.nextTick(updateReadableListening, this);
+  }
+
+  return res;
+};
+
+function updateReadableListening(self) {
+  var state = self._readableState;
+  state.readableListening = self.listenerCount('readable') > 0;
+
+  if (state.resumeScheduled && state.paused === false) {
+    state.flowing = true;
+  } else if (self.listenerCount('data') > 0) {
+    self.resume();
+  } else if (!state.readableListening) {
+    state.flowing = null;
+  }
+}
+
+function nReadingNextTick(self) {
+  self.read(0);
+}
+
+/**
+ * Switch to flowing mode, emitting 'data' as chunks arrive
+ * @returns {Readable}
+ */
+Readable.prototype.resume = function() {
+  var state = this._readableState;
+
+  if (!state.flowing) {
+    // 'readable' listeners keep the stream in paused mode
+    state.flowing = !state.readableListening;
+
+    if (!state.resumeScheduled) {
+      state.resumeScheduled = true;
+      process.nextTick(resume_, this, state);
+    }
+  }
+
+  state.paused = false;
+  return this;
+};
+
+function resume_(stream, state) {
+  if (!state.reading) {
+    stream.read(0);
+  }
+
+  state.resumeScheduled = false;
+  stream.emit('resume');
+  flow(stream);
+
+  if (state.flowing && !state.reading) {
+    stream.read(0);
+  }
+}
+
+/**
+ * Stop emitting 'data', buffering up to the high water mark instead
+ * @returns {Readable}
+ */
+Readable.prototype.pause = function() {
+  var state = this._readableState;
+
+  if (state.flowing !== false) {
+    state.flowing = false;
+    this.emit('pause');
+  }
+
+  state.paused = true;
+  return this;
+};
+
+function flow(stream) {
+  var state = stream._readableState;
+  while (state.flowing && stream.read() !== null);
+}
+
+/**
+ * Read from an old-style stream that only emits 'data' and 'end'
+ * @param {Stream} stream
+ * @returns {Readable}
+ */
+Readable.prototype.wrap = function(stream) {
+  var self = this;
+  var paused = false;
+
+  stream.on('data', function(chunk) {
+    if (!self.push(chunk) && stream.pause) {
+      paused = true;
+      stream.pause();
+    }
+  });
+
+  stream.on('end', function() {
+    self.push(null);
+  });
+
+  stream.on('error', function(err) {
+    errorOrDestroy(self, err);
+  });
+
+  stream.on('close', function() {
+    self.destroy();
+  });
+
+  stream.on('destroy', function() {
+    self.destroy();
+  });
+
+  this._read = function() {
+    if (paused && stream.resume) {
+      paused = false;
+      stream.resume();
+    }
+  };
+
+  // Pass the other methods through
+  Object.keys(stream).forEach(function(key) {
+    if (self[key] === undefined && typeof stream[key] === 'function') {
+      self[key] = stream[key].bind(stream);
+    }
+  });
+
+  return this;
+};
+
+Readable.prototype[Symbol.asyncIterator] = function() {
+  return createAsyncIterator(this);
+};
+
+/**
+ * Async iterator over the stream's chunks
+ * @param {Object} [options]
+ * @param {boolean} [options.destroyOnReturn=true] - Destroy the stream
+ *   when the loop exits early
+ * @returns {AsyncIterator}
+ */
+Readable.prototype.iterator = function(options) {
+  return createAsyncIterator(this, options);
+};
+
+async function* createAsyncIterator(stream, options) {
+  var callback = nop;
+
+  function next(resolve) {
+    if (this === stream) {
+      callback();
+      callback = nop;
+    } else {
+      callback = resolve;
+    }
+  }
+
+  stream.on('readable', next);
+
+  var error;
+  var cleanup = eos(stream, { writable: false }, function(err) {
+    error = err ? aggregateTwoErrors(error, err) : null;
+    callback();
+    callback = nop;
+  });
+
+  try {
+    while (true) {
+      var chunk = stream.destroyed ? null : stream.read();
+      if (chunk !== null) {
+        yield chunk;
+      } else if (error) {
+        throw error;
+      } else if (error === null) {
+        return;
+      } else {
+        await new Promise(next);
+      }
+    }
+  } catch (err) {
+    error = aggregateTwoErrors(error, err);
+    throw error;
+  } finally {
+    if ((error || !options || options.destroyOnReturn !== false) &&
+        (error === undefined || stream._readableState.autoDestroy)) {
+      destroyImpl.destroyer(stream, null);
+    } else {
+      stream.off('readable', next);
+      cleanup();
+    }
+  }
+}
+
+Object.defineProperties(Readable.prototype, {
+  readable: {
+    get: function() {
+      var r = this._readableState;
+      return Boolean(r) && r.readable !== false && !r.destroyed && !r.errorEmitted && !r.endEmitted;
+    },
+    set: function(val) {
+      if (this._readableState) {
+        this._readableState.readable = Boolean(val);
+      }
+    }
+  },
+  readableDidRead: {
+    enumerable: false,
+    get: function() {
+      return this._readableState.dataEmitted;
+    }
+  },
+  readableAborted: {
+    enumerable: false,
+    get: function() {
+      var r = this._readableState;
+      return Boolean(r.readable !== false && (r.destroyed || r.errored) && !r.endEmitted);
+    }
+  },
+  readableHighWaterMark: {
+    enumerable: false,
+    get: function() {
+      return this._readableState.highWaterMark;
+    }
+  },
+  readableBuffer: {
+    enumerable: false,
+    get: function() {
+      return this._readableState && this._readableState.buffer;
+    }
+  },
+  readableFlowing: {
+    enumerable: false,
+    get: function() {
+      return this._readableState.flowing;
+    },
+    set: function(state) {
+      if (this._readableState) {
+        this._readableState.flowing = state;
+      }
+    }
+  },
+  readableLength: {
+    enumerable: false,
+    get: function() {
+      return this._readableState.length;
+    }
+  },
+  readableObjectMode: {
+    enumerable: false,
+    get: function() {
+      return this._readableState ? this._readableState.objectMode : false;
+    }
+  },
+  readableEncoding: {
+    enumerable: false,
+    get: function() {
+      return this._readableState ? this._readableState.encoding : null;
+    }
+  },
+  errored: {
+    enumerable: false,
+    get: function() {
+      return this._readableState ? this._readableState.errored : null;
+    }
+  },
+  closed: {
+    get: function() {
+      return this._readableState ? this._readableState.closed : false;
+    }
+  },
+  destroyed: {
+    enumerable: false,
+    get: function() {
+      return this._readableState ? this._readableState.destroyed : false;
+    },
+    set: function(value) {
+      if (this._readableState) {
+        this._readableState.destroyed = value;
+      }
+    }
+  },
+  readableEnded: {
+    enumerable: false,
+    get: function() {
+      return this._readableState ? this._readableState.endEmitted : false;
+    }
+  }
+});
+
+// Take n bytes (or characters, or one object) off the front of the buffer
+function fromList(n, state) {
+  if (state.length === 0) return null;
+
+  var buffer = state.buffer;
+  var ret;
+
+  if (state.objectMode) {
+    ret = buffer.shift();
+  } else if (!n || n >= state.length) {
+    if (state.decoder) {
+      ret = buffer.join('');
+    } else if (buffer.length === 1) {
+      ret = buffer[0];
+    } else {
+      ret = Buffer.concat(buffer, state.length);
+    }
+    state.buffer = [];
+  } else {
+    ret = consume(n, buffer, state.decoder);
+  }
+
+  return ret;
+}
+
+function consume(n, buffer, hasStrings) {
+  var first = buffer[0];
+
+  if (n < first.length) {
+    buffer[0] = first.slice(n);
+    return first.slice(0, n);
+  }
+
+  if (n === first.length) {
+    return buffer.shift();
+  }
+
+  if (hasStrings) {
+    var str = '';
+    while (str.length < n) {
+      var chunk = buffer[0];
+      var need = n - str.length;
+      if (need < chunk.length) {
+        str += chunk.slice(0, need);
+        buffer[0] = chunk.slice(need);
+      } else {
+        str += chunk;
+        buffer.shift();
+      }
+    }
+    return str;
+  }
+
+  var ret = Buffer.allocUnsafe(n);
+  var offset = 0;
+  while (offset < n) {
+    var buf = buffer[0];
+    var take = Math.min(n - offset, buf.length);
+    ret.set(buf.subarray(0, take), offset);
+    offset += take;
+    if (take < buf.length) {
+      buffer[0] = buf.subarray(take);
+    } else {
+      buffer.shift();
+    }
+  }
+  return ret;
+}
+
+function endReadable(stream) {
+  var state = stream._readableState;
+
+  if (!state.endEmitted) {
+    state.ended = true;
+    process.nextTick(endReadableNT, state, stream);
+  }
+}
+
+function endReadableNT(state, stream) {
+  if (!state.errored && !state.closeEmitted && !state.endEmitted && state.length === 0) {
+    state.endEmitted = true;
+    stream.emit('end');
+
+    if (stream.writable && stream.allowHalfOpen === false) {
+      process.nextTick(endWritableNT, stream);
+    } else if (state.autoDestroy) {
+      // Destroy once the writable side of a Duplex is done too
+      var wState = stream._writableState;
+      var autoDestroy = !wState || (wState.autoDestroy && (wState.finished || wState.writable === false));
+
+      if (autoDestroy) {
+        stream.destroy();
+      }
+    }
+  }
+}
+
+function endWritableNT(stream) {
+  if (stream.writable && !stream.writableEnded && !stream.destroyed) {
+    stream.end();
+  }
+}
+
+/**
+ * Create a Readable from an iterable, async iterable or string
+ * @param {Iterable|AsyncIterable|string|Buffer} iterable
+ * @param {Object} [opts] - Readable options; objectMode by default
+ * @returns {Readable}
+ */
+Readable.from = function(iterable, opts) {
+  return from(Readable, iterable, opts);
+};
+
+/**
+ * A Readable over a WHATWG ReadableStream, such as `fetch().body` or
+ * `File.stream()`
+ * @param {ReadableStream} readableStream
+ * @param {Object} [options]
+ * @returns {Readable}
+ */
+Readable.fromWeb = function(readableStream, options) {
+  return web.newStreamReadableFromReadableStream(readableStream, options);
+};
+
+/**
+ * A WHATWG ReadableStream over a Readable
+ * @param {Readable} streamReadable
+ * @param {Object} [options]
+ * @returns {ReadableStream}
+ */
+Readable.toWeb = function(streamReadable, options) {
+  return web.newReadableStreamFromStreamReadable(streamReadable, options);
+};
+
+Readable.addAbortSignal = addAbortSignal;
+
+module.exports = Readable;
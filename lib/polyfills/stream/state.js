@@ -0,0 +1,65 @@
+/*!
+ * Stream high water marks
+ */
+
+'use strict';
+
+var streamError = require('./errors').streamError;
+
+var defaultHighWaterMark = 16 * 1024;
+var defaultObjectHighWaterMark = 16;
+
+/**
+ * @param {boolean} objectMode
+ * @returns {number}
+ */
+function getDefaultHighWaterMark(objectMode) {
+  return objectMode ? defaultObjectHighWaterMark : defaultHighWaterMark;
+}
+
+/**
+ * Change the default for streams created from now on
+ * @param {boolean} objectMode
+ * @param {number} value
+ */
+function setDefaultHighWaterMark(objectMode, value) {
+  if (!Number.isInteger(value) || value < 0) {
+    throw streamError('ERR_INVALID_ARG_VALUE', 'value', value);
+  }
+
+  if (objectMode) {
+    defaultObjectHighWaterMark = value;
+  } else {
+    defaultHighWaterMark = value;
+  }
+}
+
+/**
+ * The high water mark for one side of a stream, from `highWaterMark` or,
+ * for a Duplex, `readableHighWaterMark`/`writableHighWaterMark`
+ * @param {Object} state - The side's state, for its objectMode
+ * @param {Object} options
+ * @param {string} duplexKey
+ * @param {boolean} isDuplex
+ * @returns {number}
+ */
+function getHighWaterMark(state, options, duplexKey, isDuplex) {
+  var hwm = options.highWaterMark != null
+    ? options.highWaterMark
+    : isDuplex ? options[duplexKey] : null;
+
+  if (hwm != null) {
+    if (!Number.isInteger(hwm) || hwm < 0) {
+      throw streamError('ERR_INVALID_ARG_VALUE', isDuplex ? 'options.' + duplexKey : 'options.highWaterMark', hwm);
+    }
+    return hwm;
+  }
+
+  return getDefaultHighWaterMark(state.objectMode);
+}
+
+module.exports = {
+  getDefaultHighWaterMark: getDefaultHighWaterMark,
+  getHighWaterMark: getHighWaterMark,
+  setDefaultHighWaterMark: setDefaultHighWaterMark
+};
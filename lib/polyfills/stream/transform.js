@@ -0,0 +1,130 @@
+/*!
+ * Transform
+ * A Duplex whose readable side is computed from what is written: each
+ * chunk goes through _transform(), and _flush() runs at the end
+ */
+
+'use strict';
+
+var util = require('util');
+var Duplex = require('./duplex');
+var getHighWaterMark = require('./state').getHighWaterMark;
+var streamError = require('./errors').streamError;
+
+// The write callback held until the readable side is read from
+var kCallback = Symbol('kCallback');
+
+function Transform(options) {
+  if (!(this instanceof Transform)) {
+    return new Transform(options);
+  }
+
+  // A readable highWaterMark of 0 would stall writes, so also let the
+  // writable side buffer nothing
+  var readableHighWaterMark = options ? getHighWaterMark(this, options, 'readableHighWaterMark', true) : null;
+  if (readableHighWaterMark === 0) {
+    options = Object.assign({}, options, {
+      highWaterMark: null,
+      readableHighWaterMark: readableHighWaterMark,
+      writableHighWaterMark: options.writableHighWaterMark || 0
+    });
+  }
+
+  Duplex.call(this, options);
+
+  // push() calls from _transform() are never from inside _read()
+  this._readableState.sync = false;
+
+  this[kCallback] = null;
+
+  if (options) {
+    if (typeof options.transform === 'function') this._transform = options.transform;
+    if (typeof options.flush === 'function') this._flush = options.flush;
+  }
+
+  // Subclasses that override _final() still get _flush() at the end
+  this.on('prefinish', prefinish);
+}
+util.inherits(Transform, Duplex);
+
+function final(cb) {
+  var self = this;
+
+  if (typeof this._flush === 'function' && !this.destroyed) {
+    this._flush(function(er, data) {
+      if (er) {
+        if (cb) {
+          cb(er);
+        } else {
+          self.destroy(er);
+        }
+        return;
+      }
+
+      if (data != null) {
+        self.push(data);
+      }
+      self.push(null);
+      if (cb) {
+        cb();
+      }
+    });
+  } else {
+    this.push(null);
+    if (cb) {
+      cb();
+    }
+  }
+}
+
+function prefinish() {
+  if (this._final !== final) {
+    final.call(this);
+  }
+}
+
+Transform.prototype._final = final;
+
+// Transform a chunk, passing the result to the callback or to push();
+// override or pass options.transform
+Transform.prototype._transform = function(chunk, encoding, callback) {
+  throw streamError('ERR_METHOD_NOT_IMPLEMENTED', '_transform()');
+};
+
+Transform.prototype._write = function(chunk, encoding, callback) {
+  var self = this;
+  var rState = this._readableState;
+  var wState = this._writableState;
+  var length = rState.length;
+
+  this._transform(chunk, encoding, function(err, val) {
+    if (err) {
+      callback(err);
+      return;
+    }
+
+    if (val != null) {
+      self.push(val);
+    }
+
+    if (rState.ended) {
+      // Nothing will read the output, so don't wait for it
+      process.nextTick(callback);
+    } else if (wState.ended || length === rState.length || rState.length < rState.highWaterMark) {
+      callback();
+    } else {
+      // Hold further writes until the consumer drains the readable side
+      self[kCallback] = callback;
+    }
+  });
+};
+
+Transform.prototype._read = function() {
+  if (this[kCallback]) {
+    var callback = this[kCallback];
+    this[kCallback] = null;
+    callback();
+  }
+};
+
+module.exports = Transform;
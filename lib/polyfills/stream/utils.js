@@ -0,0 +1,165 @@
+/*!
+ * Stream utilities
+ * Duck-typed checks on the state of Node.js streams, shared by finished(),
+ * pipeline() and the stream classes
+ */
+
+'use strict';
+
+// Marks streams destroyed by pipeline() that have no destroyed flag
+var kIsDestroyed = Symbol('kIsDestroyed');
+
+function isReadableNodeStream(obj, strict) {
+  return Boolean(obj && typeof obj.pipe === 'function' && typeof obj.on === 'function' &&
+    (!strict || (typeof obj.pause === 'function' && typeof obj.resume === 'function')) &&
+    (!obj._writableState || (obj._readableState && obj._readableState.readable !== false)));
+}
+
+function isWritableNodeStream(obj) {
+  return Boolean(obj && typeof obj.write === 'function' && typeof obj.on === 'function' &&
+    (!obj._readableState || (obj._writableState && obj._writableState.writable !== false)));
+}
+
+function isNodeStream(obj) {
+  return Boolean(obj && (obj._readableState || obj._writableState ||
+    (typeof obj.write === 'function' && typeof obj.on === 'function') ||
+    (typeof obj.pipe === 'function' && typeof obj.on === 'function')));
+}
+
+/**
+ * @param {*} obj
+ * @param {boolean} [isAsync] - Only async (true) or sync (false) iterables
+ * @returns {boolean}
+ */
+function isIterable(obj, isAsync) {
+  if (obj == null) return false;
+  if (isAsync === true) return typeof obj[Symbol.asyncIterator] === 'function';
+  if (isAsync === false) return typeof obj[Symbol.iterator] === 'function';
+  return typeof obj[Symbol.asyncIterator] === 'function' || typeof obj[Symbol.iterator] === 'function';
+}
+
+function isDestroyed(stream) {
+  if (!isNodeStream(stream)) return null;
+  var state = stream._writableState || stream._readableState;
+  return Boolean(stream.destroyed || stream[kIsDestroyed] || (state && state.destroyed));
+}
+
+function isWritableEnded(stream) {
+  if (!isWritableNodeStream(stream)) return null;
+  if (stream.writableEnded === true) return true;
+  var state = stream._writableState;
+  if (state && state.errored) return false;
+  if (!state || typeof state.ended !== 'boolean') return null;
+  return state.ended;
+}
+
+/**
+ * @param {Stream} stream
+ * @param {boolean} [strict] - false to count an ended stream with nothing
+ *   left to write as finished
+ * @returns {boolean|null}
+ */
+function isWritableFinished(stream, strict) {
+  if (!isWritableNodeStream(stream)) return null;
+  if (stream.writableFinished === true) return true;
+  var state = stream._writableState;
+  if (state && state.errored) return false;
+  if (!state || typeof state.finished !== 'boolean') return null;
+  return Boolean(state.finished || (strict === false && state.ended === true && state.length === 0));
+}
+
+/**
+ * @param {Stream} stream
+ * @param {boolean} [strict] - false to count an ended stream with nothing
+ *   left to read as finished
+ * @returns {boolean|null}
+ */
+function isReadableFinished(stream, strict) {
+  if (!isReadableNodeStream(stream)) return null;
+  var state = stream._readableState;
+  if (state && state.errored) return false;
+  if (!state || typeof state.endEmitted !== 'boolean') return null;
+  return Boolean(state.endEmitted || (strict === false && state.ended === true && state.length === 0));
+}
+
+function isReadable(stream) {
+  if (!stream || typeof stream.readable !== 'boolean') return null;
+  if (isDestroyed(stream)) return false;
+  return isReadableNodeStream(stream) && stream.readable && !isReadableFinished(stream);
+}
+
+function isWritable(stream) {
+  if (!stream || typeof stream.writable !== 'boolean') return null;
+  if (isDestroyed(stream)) return false;
+  return isWritableNodeStream(stream) && stream.writable && !isWritableEnded(stream);
+}
+
+function isFinished(stream, options) {
+  if (!isNodeStream(stream)) return null;
+  if (isDestroyed(stream)) return true;
+  if ((!options || options.readable !== false) && isReadable(stream)) return false;
+  if ((!options || options.writable !== false) && isWritable(stream)) return false;
+  return true;
+}
+
+function isWritableErrored(stream) {
+  if (!isNodeStream(stream)) return null;
+  if (stream.writableErrored) return stream.writableErrored;
+  return (stream._writableState && stream._writableState.errored) || null;
+}
+
+function isReadableErrored(stream) {
+  if (!isNodeStream(stream)) return null;
+  if (stream.readableErrored) return stream.readableErrored;
+  return (stream._readableState && stream._readableState.errored) || null;
+}
+
+function isErrored(stream) {
+  return Boolean(stream && (stream.readableErrored || stream.writableErrored ||
+    (stream._readableState && stream._readableState.errored) ||
+    (stream._writableState && stream._writableState.errored)));
+}
+
+function isDisturbed(stream) {
+  return Boolean(stream && (stream.readableDidRead || stream.readableAborted));
+}
+
+function isClosed(stream) {
+  if (!isNodeStream(stream)) return null;
+  if (typeof stream.closed === 'boolean') return stream.closed;
+
+  var wState = stream._writableState;
+  var rState = stream._readableState;
+  if ((wState && typeof wState.closed === 'boolean') || (rState && typeof rState.closed === 'boolean')) {
+    return Boolean((wState && wState.closed) || (rState && rState.closed));
+  }
+  return null;
+}
+
+// Whether the stream is sure to emit 'close' once it is done
+function willEmitClose(stream) {
+  if (!isNodeStream(stream)) return null;
+  var state = stream._writableState || stream._readableState;
+  return Boolean(state && state.autoDestroy && state.emitClose && state.closed === false);
+}
+
+module.exports = {
+  kIsDestroyed: kIsDestroyed,
+  isClosed: isClosed,
+  isDestroyed: isDestroyed,
+  isDisturbed: isDisturbed,
+  isErrored: isErrored,
+  isFinished: isFinished,
+  isIterable: isIterable,
+  isNodeStream: isNodeStream,
+  isReadable: isReadable,
+  isReadableErrored: isReadableErrored,
+  isReadableFinished: isReadableFinished,
+  isReadableNodeStream: isReadableNodeStream,
+  isWritable: isWritable,
+  isWritableEnded: isWritableEnded,
+  isWritableErrored: isWritableErrored,
+  isWritableFinished: isWritableFinished,
+  isWritableNodeStream: isWritableNodeStream,
+  willEmitClose: willEmitClose
+};
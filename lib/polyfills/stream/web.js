@@ -0,0 +1,566 @@
+/*!
+ * Web streams adapters
+ * Convert between WHATWG ReadableStream/WritableStream and Node.js
+ * streams, in both directions, carrying backpressure and errors across
+ */
+
+'use strict';
+
+var Buffer = require('node:buffer').Buffer;
+var destroyer = require('./destroy').destroyer;
+var eos = require('./end-of-stream');
+var errors = require('./errors');
+var normalizeEncoding = require('./decoder').normalizeEncoding;
+var utils = require('./utils');
+
+var streamError = errors.streamError;
+
+// Loaded when first needed, as they require modules that require this one
+var Duplex;
+var Readable;
+var Writable;
+
+var encoder = new TextEncoder();
+
+function isReadableStream(obj) {
+  return Boolean(obj && typeof obj.getReader === 'function' && typeof obj.pipeTo === 'function');
+}
+
+function isWritableStream(obj) {
+  return Boolean(obj && typeof obj.getWriter === 'function' && typeof obj.abort === 'function');
+}
+
+function createDeferredPromise() {
+  var deferred = {};
+  deferred.promise = new Promise(function(resolve, reject) {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  return deferred;
+}
+
+function validateOptions(options) {
+  if (options === undefined) {
+    return {};
+  }
+
+  if (options === null || typeof options !== 'object') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'options', 'of type object', options);
+  }
+
+  if (options.objectMode !== undefined && typeof options.objectMode !== 'boolean') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'options.objectMode', 'of type boolean', options.objectMode);
+  }
+
+  if (options.decodeStrings !== undefined && typeof options.decodeStrings !== 'boolean') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'options.decodeStrings', 'of type boolean', options.decodeStrings);
+  }
+
+  if (options.encoding !== undefined && !Buffer.isEncoding(options.encoding)) {
+    throw streamError('ERR_INVALID_ARG_VALUE', 'options.encoding', options.encoding);
+  }
+
+  return options;
+}
+
+// Callbacks run inside promise reactions, so anything they throw is
+// moved out to a later tick instead of becoming an unhandled rejection
+function callSafely(callback, error, stream) {
+  try {
+    callback(error);
+  } catch (err) {
+    process.nextTick(function() {
+      if (stream) {
+        destroyer(stream, err);
+      } else {
+        throw err;
+      }
+    });
+  }
+}
+
+// Web streams take bytes as Uint8Array, never a string or a pooled Buffer
+function toUint8Array(chunk, encoding) {
+  if (normalizeEncoding(encoding) === 'utf8') {
+    return encoder.encode(chunk);
+  }
+  return new Uint8Array(Buffer.from(chunk, encoding));
+}
+
+/**
+ * The write half of a Writable or Duplex over a WritableStreamDefaultWriter
+ * @private
+ */
+function writerMethods(writer, options, getStream, isClosed) {
+  var decodeStrings = options.decodeStrings !== false;
+  var objectMode = Boolean(options.objectMode);
+
+  return {
+    writev: function(chunks, callback) {
+      function done(error) {
+        callSafely(callback, error, getStream());
+      }
+
+      writer.ready.then(function() {
+        return Promise.all(chunks.map(function(data) {
+          return writer.write(data.chunk);
+        })).then(function() {
+          done();
+        }, done);
+      }, done);
+    },
+
+    write: function(chunk, encoding, callback) {
+      if (typeof chunk === 'string' && decodeStrings && !objectMode) {
+        chunk = toUint8Array(chunk, encoding);
+      }
+
+      function done(error) {
+        callSafely(callback, error, getStream());
+      }
+
+      writer.ready.then(function() {
+        return writer.write(chunk).then(function() {
+          done();
+        }, done);
+      }, done);
+    },
+
+    final: function(callback) {
+      if (!isClosed()) {
+        writer.close().then(function() {
+          callSafely(callback, undefined, getStream());
+        }, function(error) {
+          callSafely(callback, error, getStream());
+        });
+      }
+    }
+  };
+}
+
+/**
+ * A Node.js Readable over a ReadableStream. Each _read() pulls one chunk
+ * from the reader, so the web stream is only read as fast as the Readable
+ * is consumed; destroying the Readable cancels the ReadableStream.
+ *
+ * @param {ReadableStream} readableStream
+ * @param {Object} [options] - highWaterMark, encoding, objectMode and signal
+ * @returns {Readable}
+ */
+function newStreamReadableFromReadableStream(readableStream, options) {
+  if (!isReadableStream(readableStream)) {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'readableStream', 'an instance of ReadableStream', readableStream);
+  }
+
+  options = validateOptions(options);
+
+  if (Readable === undefined) Readable = require('./readable');
+
+  var reader = readableStream.getReader();
+  var closed = false;
+
+  var readable = new Readable({
+    objectMode: Boolean(options.objectMode),
+    highWaterMark: options.highWaterMark,
+    encoding: options.encoding,
+    signal: options.signal,
+
+    read: function() {
+      reader.read().then(function(result) {
+        if (result.done) {
+          readable.push(null);
+        } else {
+          readable.push(result.value);
+        }
+      }, function(error) {
+        destroyer(readable, error);
+      });
+    },
+
+    destroy: function(error, callback) {
+      function done() {
+        callSafely(callback, error);
+      }
+
+      if (!closed) {
+        reader.cancel(error).then(done, done);
+        return;
+      }
+
+      done();
+    }
+  });
+
+  reader.closed.then(function() {
+    closed = true;
+  }, function(error) {
+    closed = true;
+    destroyer(readable, error);
+  });
+
+  return readable;
+}
+
+/**
+ * A ReadableStream over a Node.js Readable. The Readable is paused
+ * whenever the ReadableStream's queue is full and resumed on pull().
+ *
+ * @param {Readable} streamReadable
+ * @param {Object} [options]
+ * @param {Object} [options.strategy] - Queuing strategy for the ReadableStream
+ * @returns {ReadableStream}
+ */
+function newReadableStreamFromStreamReadable(streamReadable, options) {
+  // A Duplex with readable: false still passes, and gives a closed stream
+  if (!streamReadable || typeof streamReadable._readableState !== 'object') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'streamReadable', 'an instance of stream.Readable', streamReadable);
+  }
+
+  if (utils.isDestroyed(streamReadable) || !utils.isReadable(streamReadable)) {
+    var cancelled = new ReadableStream();
+    cancelled.cancel();
+    return cancelled;
+  }
+
+  var objectMode = streamReadable.readableObjectMode;
+  var highWaterMark = streamReadable.readableHighWaterMark;
+  var strategy = options && options.strategy;
+
+  if (!strategy) {
+    strategy = objectMode
+      ? new CountQueuingStrategy({ highWaterMark: highWaterMark })
+      : new ByteLengthQueuingStrategy({ highWaterMark: highWaterMark });
+  }
+
+  var controller;
+  var wasCanceled = false;
+
+  function onData(chunk) {
+    // Copy Buffers so the consumer doesn't see a shared pool
+    if (Buffer.isBuffer(chunk) && !objectMode) {
+      chunk = new Uint8Array(chunk);
+    }
+
+    controller.enqueue(chunk);
+
+    if (controller.desiredSize <= 0) {
+      streamReadable.pause();
+    }
+  }
+
+  streamReadable.pause();
+
+  var cleanup = eos(streamReadable, function(error) {
+    if (error && error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      error = new errors.AbortError(undefined, { cause: error });
+    }
+
+    cleanup();
+
+    // Legacy streams may emit 'error' again after finishing
+    streamReadable.on('error', function() {});
+
+    if (error) {
+      controller.error(error);
+    } else if (!wasCanceled) {
+      controller.close();
+    }
+  });
+
+  streamReadable.on('data', onData);
+
+  return new ReadableStream({
+    start: function(c) {
+      controller = c;
+    },
+
+    pull: function() {
+      streamReadable.resume();
+    },
+
+    cancel: function(reason) {
+      wasCanceled = true;
+      destroyer(streamReadable, reason);
+    }
+  }, strategy);
+}
+
+/**
+ * A Node.js Writable over a WritableStream. Writes wait for the writer to
+ * be ready, so the Writable reports backpressure while the web stream's
+ * queue is full.
+ *
+ * @param {WritableStream} writableStream
+ * @param {Object} [options] - highWaterMark, decodeStrings, objectMode and signal
+ * @returns {Writable}
+ */
+function newStreamWritableFromWritableStream(writableStream, options) {
+  if (!isWritableStream(writableStream)) {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'writableStream', 'an instance of WritableStream', writableStream);
+  }
+
+  options = validateOptions(options);
+
+  if (Writable === undefined) Writable = require('./writable');
+
+  var writer = writableStream.getWriter();
+  var closed = false;
+  var writable;
+
+  var methods = writerMethods(writer, options, function() {
+    return writable;
+  }, function() {
+    return closed;
+  });
+
+  writable = new Writable({
+    highWaterMark: options.highWaterMark,
+    objectMode: Boolean(options.objectMode),
+    decodeStrings: options.decodeStrings !== false,
+    signal: options.signal,
+    writev: methods.writev,
+    write: methods.write,
+    final: methods.final,
+
+    destroy: function(error, callback) {
+      function done() {
+        callSafely(callback, error);
+      }
+
+      if (!closed) {
+        if (error != null) {
+          writer.abort(error).then(done, done);
+        } else {
+          writer.close().then(done, done);
+        }
+        return;
+      }
+
+      done();
+    }
+  });
+
+  writer.closed.then(function() {
+    // The WritableStream closing before the Writable ended is premature
+    closed = true;
+    if (!utils.isWritableEnded(writable)) {
+      destroyer(writable, streamError('ERR_STREAM_PREMATURE_CLOSE'));
+    }
+  }, function(error) {
+    closed = true;
+    destroyer(writable, error);
+  });
+
+  return writable;
+}
+
+/**
+ * A WritableStream over a Node.js Writable. A write() that returns false
+ * holds the WritableStream's write promise until 'drain'.
+ *
+ * @param {Writable} streamWritable
+ * @returns {WritableStream}
+ */
+function newWritableStreamFromStreamWritable(streamWritable) {
+  // http.OutgoingMessage-like objects pass as well as Writables
+  if (!streamWritable || typeof streamWritable.write !== 'function' || typeof streamWritable.on !== 'function') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'streamWritable', 'an instance of stream.Writable', streamWritable);
+  }
+
+  if (utils.isDestroyed(streamWritable) || !utils.isWritable(streamWritable)) {
+    var closedStream = new WritableStream();
+    closedStream.close();
+    return closedStream;
+  }
+
+  var highWaterMark = streamWritable.writableHighWaterMark;
+  var strategy = streamWritable.writableObjectMode
+    ? new CountQueuingStrategy({ highWaterMark: highWaterMark })
+    : { highWaterMark: highWaterMark };
+
+  var controller;
+  var backpressurePromise;
+  var closed;
+
+  function onDrain() {
+    if (backpressurePromise !== undefined) {
+      backpressurePromise.resolve();
+    }
+  }
+
+  var cleanup = eos(streamWritable, function(error) {
+    if (error && error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+      error = new errors.AbortError(undefined, { cause: error });
+    }
+
+    cleanup();
+
+    // Legacy streams may emit 'error' again after finishing
+    streamWritable.on('error', function() {});
+
+    if (error != null) {
+      if (backpressurePromise !== undefined) {
+        backpressurePromise.reject(error);
+      }
+
+      // An error after close() started rejects the close() promise too
+      if (closed !== undefined) {
+        closed.reject(error);
+        closed = undefined;
+      }
+
+      controller.error(error);
+      controller = undefined;
+      return;
+    }
+
+    if (closed !== undefined) {
+      closed.resolve();
+      closed = undefined;
+      return;
+    }
+
+    controller.error(new errors.AbortError());
+    controller = undefined;
+  });
+
+  streamWritable.on('drain', onDrain);
+
+  return new WritableStream({
+    start: function(c) {
+      controller = c;
+    },
+
+    write: function(chunk) {
+      if (streamWritable.writableNeedDrain || !streamWritable.write(chunk)) {
+        backpressurePromise = createDeferredPromise();
+        return backpressurePromise.promise.finally(function() {
+          backpressurePromise = undefined;
+        });
+      }
+    },
+
+    abort: function(reason) {
+      destroyer(streamWritable, reason);
+    },
+
+    close: function() {
+      if (closed === undefined && !utils.isWritableEnded(streamWritable)) {
+        closed = createDeferredPromise();
+        streamWritable.end();
+        return closed.promise;
+      }
+
+      controller = undefined;
+      return Promise.resolve();
+    }
+  }, strategy);
+}
+
+/**
+ * A Node.js Duplex over a { readable, writable } pair of web streams,
+ * such as a TransformStream or a WebTransport bidirectional stream
+ *
+ * @param {{ readable: ReadableStream, writable: WritableStream }} pair
+ * @param {Object} [options] - allowHalfOpen, decodeStrings, encoding,
+ *   highWaterMark, objectMode and signal
+ * @returns {Duplex}
+ */
+function newStreamDuplexFromReadableWritablePair(pair, options) {
+  if (pair === null || typeof pair !== 'object') {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'pair', 'of type object', pair);
+  }
+
+  if (!isReadableStream(pair.readable)) {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'pair.readable', 'an instance of ReadableStream', pair.readable);
+  }
+
+  if (!isWritableStream(pair.writable)) {
+    throw streamError('ERR_INVALID_ARG_TYPE', 'pair.writable', 'an instance of WritableStream', pair.writable);
+  }
+
+  options = validateOptions(options);
+
+  if (Duplex === undefined) Duplex = require('./duplex');
+
+  var writer = pair.writable.getWriter();
+  var reader = pair.readable.getReader();
+  var writableClosed = false;
+  var readableClosed = false;
+  var duplex;
+
+  var methods = writerMethods(writer, options, function() {
+    return duplex;
+  }, function() {
+    return writableClosed;
+  });
+
+  duplex = new Duplex({
+    allowHalfOpen: Boolean(options.allowHalfOpen),
+    highWaterMark: options.highWaterMark,
+    objectMode: Boolean(options.objectMode),
+    encoding: options.encoding,
+    decodeStrings: options.decodeStrings !== false,
+    signal: options.signal,
+    writev: methods.writev,
+    write: methods.write,
+    final: methods.final,
+
+    read: function() {
+      reader.read().then(function(result) {
+        if (result.done) {
+          duplex.push(null);
+        } else {
+          duplex.push(result.value);
+        }
+      }, function(error) {
+        destroyer(duplex, error);
+      });
+    },
+
+    destroy: function(error, callback) {
+      function done() {
+        callSafely(callback, error);
+      }
+
+      if (writableClosed && readableClosed) {
+        done();
+        return;
+      }
+
+      Promise.all([
+        writableClosed ? undefined : writer.abort(error),
+        readableClosed ? undefined : reader.cancel(error)
+      ]).then(done, done);
+    }
+  });
+
+  writer.closed.then(function() {
+    writableClosed = true;
+    if (!utils.isWritableEnded(duplex)) {
+      destroyer(duplex, streamError('ERR_STREAM_PREMATURE_CLOSE'));
+    }
+  }, function(error) {
+    writableClosed = true;
+    readableClosed = true;
+    destroyer(duplex, error);
+  });
+
+  reader.closed.then(function() {
+    readableClosed = true;
+  }, function(error) {
+    writableClosed = true;
+    readableClosed = true;
+    destroyer(duplex, error);
+  });
+
+  return duplex;
+}
+
+module.exports = {
+  newReadableStreamFromStreamReadable: newReadableStreamFromStreamReadable,
+  newStreamDuplexFromReadableWritablePair: newStreamDuplexFromReadableWritablePair,
+  newStreamReadableFromReadableStream: newStreamReadableFromReadableStream,
+  newStreamWritableFromWritableStream: newStreamWritableFromWritableStream,
+  newWritableStreamFromStreamWritable: newWritableStreamFromStreamWritable
+};
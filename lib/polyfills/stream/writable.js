@@ -0,0 +1,757 @@
+/*!
+ * Writable
+ * Node.js writable streams: buffered writes with highWaterMark
+ * backpressure and 'drain', cork()/uncork() with _writev(), _final()
+ * and 'finish'
+ */
+
+'use strict';
+
+var Buffer = require('node:buffer').Buffer;
+var util = require('util');
+var Stream = require('./legacy');
+var addAbortSignal = require('./add-abort-signal');
+var destroyImpl = require('./destroy');
+var getHighWaterMark = require('./state').getHighWaterMark;
+var streamError = require('./errors').streamError;
+var web = require('./web');
+
+var errorOrDestroy = destroyImpl.errorOrDestroy;
+
+// Loaded when first needed, as duplex.js requires this module
+var Duplex;
+
+function nop() {}
+
+function WritableState(options, stream, isDuplex) {
+  options = options || {};
+
+  // Object streams take any value but null, counting each as 1
+  this.objectMode = Boolean(options.objectMode || (isDuplex && options.writableObjectMode));
+
+  // write() returns false once this much is buffered
+  this.highWaterMark = getHighWaterMark(this, options, 'writableHighWaterMark', isDuplex);
+
+  this.finalCalled = false;
+  this.needDrain = false;
+  // end() was called
+  this.ending = false;
+  // end() has returned
+  this.ended = false;
+  // 'finish' was emitted
+  this.finished = false;
+  this.destroyed = false;
+
+  // Strings are turned into Buffers before _write() unless this is false
+  this.decodeStrings = options.decodeStrings !== false;
+  this.defaultEncoding = options.defaultEncoding || 'utf8';
+
+  // Bytes (or objects) written but not yet passed through _write()
+  this.length = 0;
+  this.writing = false;
+  this.corked = 0;
+
+  // Whether _write() called back synchronously, so callbacks and
+  // 'drain' must wait a tick
+  this.sync = true;
+  this.bufferProcessing = false;
+
+  this.onwrite = onwrite.bind(undefined, stream);
+  this.writecb = null;
+  this.writelen = 0;
+
+  // Batches the callbacks of synchronous writes into one tick
+  this.afterWriteTickInfo = null;
+
+  resetBuffer(this);
+
+  // Write and final callbacks still to run; 'finish' waits for them
+  this.pendingcb = 0;
+
+  // Held false until _construct() calls back
+  this.constructed = true;
+  this.prefinished = false;
+
+  this.errorEmitted = false;
+  this.emitClose = options.emitClose !== false;
+  this.autoDestroy = options.autoDestroy !== false;
+  this.errored = null;
+  this.closed = false;
+  this.closeEmitted = false;
+
+  // end() callbacks, run at 'finish'
+  this.onFinished = [];
+}
+
+function resetBuffer(state) {
+  state.buffered = [];
+  state.bufferedIndex = 0;
+  state.allBuffers = true;
+  state.allNoop = true;
+}
+
+WritableState.prototype.getBuffer = function() {
+  return this.buffered.slice(this.bufferedIndex);
+};
+
+Object.defineProperty(WritableState.prototype, 'bufferedRequestCount', {
+  get: function() {
+    return this.buffered.length - this.bufferedIndex;
+  }
+});
+
+function Writable(options) {
+  if (Duplex === undefined) Duplex = require('./duplex');
+
+  var isDuplex = this instanceof Duplex;
+  if (!isDuplex && !Function.prototype[Symbol.hasInstance].call(Writable, this)) {
+    return new Writable(options);
+  }
+
+  this._writableState = new WritableState(options, this, isDuplex);
+
+  if (options) {
+    if (typeof options.write === 'function') this._write = options.write;
+    if (typeof options.writev === 'function') this._writev = options.writev;
+    if (typeof options.destroy === 'function') this._destroy = options.destroy;
+    if (typeof options.final === 'function') this._final = options.final;
+    if (typeof options.construct === 'function') this._construct = options.construct;
+    if (options.signal) addAbortSignal(options.signal, this);
+  }
+
+  Stream.call(this, options);
+
+  var self = this;
+  destroyImpl.construct(this, function() {
+    var state = self._writableState;
+
+    if (!state.writing) {
+      clearBuffer(self, state);
+    }
+
+    finishMaybe(self, state);
+  });
+}
+util.inherits(Writable, Stream);
+
+Writable.WritableState = WritableState;
+
+// A Duplex is a Writable too, though it only inherits from Readable
+Object.defineProperty(Writable, Symbol.hasInstance, {
+  value: function(object) {
+    if (Function.prototype[Symbol.hasInstance].call(this, object)) return true;
+    if (this !== Writable) return false;
+    return Boolean(object && object._writableState instanceof WritableState);
+  }
+});
+
+// Legacy streams can't be piped from
+Writable.prototype.pipe = function() {
+  errorOrDestroy(this, streamError('ERR_STREAM_CANNOT_PIPE'));
+};
+
+function _write(stream, chunk, encoding, cb) {
+  var state = stream._writableState;
+
+  if (typeof encoding === 'function') {
+    cb = encoding;
+    encoding = state.defaultEncoding;
+  } else {
+    if (!encoding) {
+      encoding = state.defaultEncoding;
+    } else if (encoding !== 'buffer' && !Buffer.isEncoding(encoding)) {
+      throw streamError('ERR_UNKNOWN_ENCODING', encoding);
+    }
+
+    if (typeof cb !== 'function') {
+      cb = nop;
+    }
+  }
+
+  if (chunk === null) {
+    throw streamError('ERR_STREAM_NULL_VALUES');
+  } else if (!state.objectMode) {
+    if (typeof chunk === 'string') {
+      if (state.decodeStrings !== false) {
+        chunk = Buffer.from(chunk, encoding);
+        encoding = 'buffer';
+      }
+    } else if (Buffer.isBuffer(chunk)) {
+      encoding = 'buffer';
+    } else if (chunk instanceof Uint8Array) {
+      chunk = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+      encoding = 'buffer';
+    } else {
+      throw streamError('ERR_INVALID_ARG_TYPE', 'chunk', 'of type string or an instance of Buffer or Uint8Array', chunk);
+    }
+  }
+
+  var err;
+  if (state.ending) {
+    err = streamError('ERR_STREAM_WRITE_AFTER_END');
+  } else if (state.destroyed) {
+    err = streamError('ERR_STREAM_DESTROYED', 'write');
+  }
+
+  if (err) {
+    process.nextTick(cb, err);
+    errorOrDestroy(stream, err, true);
+    return err;
+  }
+
+  state.pendingcb++;
+  return writeOrBuffer(stream, state, chunk, encoding, cb);
+}
+
+/**
+ * Write a chunk. Returns false once the buffer reaches the high water
+ * mark; wait for 'drain' before writing more.
+ * @param {*} chunk
+ * @param {string} [encoding]
+ * @param {Function} [cb] - Called once the chunk is handled
+ * @returns {boolean}
+ */
+Writable.prototype.write = function(chunk, encoding, cb) {
+  return _write(this, chunk, encoding, cb) === true;
+};
+
+/**
+ * Buffer writes until uncork(), so _writev() can take them together
+ */
+Writable.prototype.cork = function() {
+  this._writableState.corked++;
+};
+
+Writable.prototype.uncork = function() {
+  var state = this._writableState;
+
+  if (state.corked) {
+    state.corked--;
+
+    if (!state.writing) {
+      clearBuffer(this, state);
+    }
+  }
+};
+
+Writable.prototype.setDefaultEncoding = function(encoding) {
+  if (typeof encoding === 'string') {
+    encoding = encoding.toLowerCase();
+  }
+
+  if (!Buffer.isEncoding(encoding)) {
+    throw streamError('ERR_UNKNOWN_ENCODING', encoding);
+  }
+
+  this._writableState.defaultEncoding = encoding;
+  return this;
+};
+
+// Write now if idle, otherwise queue the chunk
+function writeOrBuffer(stream, state, chunk, encoding, callback) {
+  var len = state.objectMode ? 1 : chunk.length;
+
+  state.length += len;
+
+  var ret = state.length < state.highWaterMark;
+  if (!ret) {
+    state.needDrain = true;
+  }
+
+  if (state.writing || state.corked || state.errored || !state.constructed) {
+    state.buffered.push({ chunk: chunk, encoding: encoding, callback: callback });
+
+    if (state.allBuffers && encoding !== 'buffer') {
+      state.allBuffers = false;
+    }
+    if (state.allNoop && callback !== nop) {
+      state.allNoop = false;
+    }
+  } else {
+    state.writelen = len;
+    state.writecb = callback;
+    state.writing = true;
+    state.sync = true;
+    stream._write(chunk, encoding, state.onwrite);
+    state.sync = false;
+  }
+
+  return ret && !state.errored && !state.destroyed;
+}
+
+function doWrite(stream, state, writev, len, chunk, encoding, cb) {
+  state.writelen = len;
+  state.writecb = cb;
+  state.writing = true;
+  state.sync = true;
+
+  if (state.destroyed) {
+    state.onwrite(streamError('ERR_STREAM_DESTROYED', 'write'));
+  } else if (writev) {
+    stream._writev(chunk, state.onwrite);
+  } else {
+    stream._write(chunk, encoding, state.onwrite);
+  }
+
+  state.sync = false;
+}
+
+function onwriteError(stream, state, er, cb) {
+  --state.pendingcb;
+
+  cb(er);
+  errorBuffer(state);
+  errorOrDestroy(stream, er);
+}
+
+// The callback _write() and _writev() get
+function onwrite(stream, er) {
+  var state = stream._writableState;
+  var sync = state.sync;
+  var cb = state.writecb;
+
+  if (typeof cb !== 'function') {
+    errorOrDestroy(stream, streamError('ERR_MULTIPLE_CALLBACK'));
+    return;
+  }
+
+  state.writing = false;
+  state.writecb = null;
+  state.length -= state.writelen;
+  state.writelen = 0;
+
+  if (er) {
+    if (!state.errored) {
+      state.errored = er;
+    }
+
+    // A Duplex can't be read from once its writable side has failed
+    if (stream._readableState && !stream._readableState.errored) {
+      stream._readableState.errored = er;
+    }
+
+    if (sync) {
+      process.nextTick(onwriteError, stream, state, er, cb);
+    } else {
+      onwriteError(stream, state, er, cb);
+    }
+  } else {
+    if (state.buffered.length > state.bufferedIndex) {
+      clearBuffer(stream, state);
+    }
+
+    if (sync) {
+      // Run the callbacks of back-to-back synchronous writes in one tick
+      if (state.afterWriteTickInfo !== null && state.afterWriteTickInfo.cb === cb) {
+        state.afterWriteTickInfo.count++;
+      } else {
+        state.afterWriteTickInfo = { count: 1, cb: cb, stream: stream, state: state };
+        process.nextTick(afterWriteTick, state.afterWriteTickInfo);
+      }
+    } else {
+      afterWrite(stream, state, 1, cb);
+    }
+  }
+}
+
+function afterWriteTick(info) {
+  info.state.afterWriteTickInfo = null;
+  return afterWrite(info.stream, info.state, info.count, info.cb);
+}
+
+function afterWrite(stream, state, count, cb) {
+  var needDrain = !state.ending && !stream.destroyed && state.length === 0 && state.needDrain;
+
+  if (needDrain) {
+    state.needDrain = false;
+    stream.emit('drain');
+  }
+
+  while (count-- > 0) {
+    state.pendingcb--;
+    cb();
+  }
+
+  if (state.destroyed) {
+    errorBuffer(state);
+  }
+
+  finishMaybe(stream, state);
+}
+
+// Fail every buffered write once the stream is destroyed
+function errorBuffer(state) {
+  if (state.writing) {
+    return;
+  }
+
+  for (var n = state.bufferedIndex; n < state.buffered.length; ++n) {
+    var entry = state.buffered[n];
+    var len = state.objectMode ? 1 : entry.chunk.length;
+    state.length -= len;
+    entry.callback(state.errored || streamError('ERR_STREAM_DESTROYED', 'write'));
+  }
+
+  var onfinishCallbacks = state.onFinished.splice(0);
+  for (var i = 0; i < onfinishCallbacks.length; i++) {
+    onfinishCallbacks[i](state.errored || streamError('ERR_STREAM_DESTROYED', 'end'));
+  }
+
+  resetBuffer(state);
+}
+
+// Pass buffered writes to _writev() together, or to _write() one by one
+function clearBuffer(stream, state) {
+  if (state.corked || state.bufferProcessing || state.destroyed || !state.constructed) {
+    return;
+  }
+
+  var buffered = state.buffered;
+  var bufferedIndex = state.bufferedIndex;
+  var objectMode = state.objectMode;
+  var bufferedLength = buffered.length - bufferedIndex;
+
+  if (!bufferedLength) {
+    return;
+  }
+
+  var i = bufferedIndex;
+
+  state.bufferProcessing = true;
+
+  if (bufferedLength > 1 && stream._writev) {
+    state.pendingcb -= bufferedLength - 1;
+
+    var callback = state.allNoop ? nop : function(err) {
+      for (var n = i; n < buffered.length; ++n) {
+        buffered[n].callback(err);
+      }
+    };
+
+    var chunks = state.allNoop && i === 0 ? buffered : buffered.slice(i);
+    chunks.allBuffers = state.allBuffers;
+
+    doWrite(stream, state, true, state.length, chunks, '', callback);
+
+    resetBuffer(state);
+  } else {
+    do {
+      var entry = buffered[i];
+      buffered[i++] = null;
+      var len = objectMode ? 1 : entry.chunk.length;
+      doWrite(stream, state, false, len, entry.chunk, entry.encoding, entry.callback);
+    } while (i < buffered.length && !state.writing);
+
+    if (i === buffered.length) {
+      resetBuffer(state);
+    } else if (i > 256) {
+      buffered.splice(0, i);
+      state.bufferedIndex = 0;
+    } else {
+      state.bufferedIndex = i;
+    }
+  }
+
+  state.bufferProcessing = false;
+}
+
+// Write one chunk, calling back when done; override or pass options.write
+Writable.prototype._write = function(chunk, encoding, cb) {
+  if (this._writev) {
+    this._writev([{ chunk: chunk, encoding: encoding }], cb);
+  } else {
+    throw streamError('ERR_METHOD_NOT_IMPLEMENTED', '_write()');
+  }
+};
+
+Writable.prototype._writev = null;
+
+/**
+ * Write an optional last chunk, then emit 'finish' once everything is
+ * written
+ * @param {*} [chunk]
+ * @param {string} [encoding]
+ * @param {Function} [cb] - Called at 'finish', or with the error
+ * @returns {Writable}
+ */
+Writable.prototype.end = function(chunk, encoding, cb) {
+  var state = this._writableState;
+
+  if (typeof chunk === 'function') {
+    cb = chunk;
+    chunk = null;
+    encoding = null;
+  } else if (typeof encoding === 'function') {
+    cb = encoding;
+    encoding = null;
+  }
+
+  var err;
+
+  if (chunk !== null && chunk !== undefined) {
+    var ret = _write(this, chunk, encoding);
+    if (ret instanceof Error) {
+      err = ret;
+    }
+  }
+
+  // end() uncorks completely
+  if (state.corked) {
+    state.corked = 1;
+    this.uncork();
+  }
+
+  if (err) {
+    // The write already failed
+  } else if (!state.errored && !state.ending) {
+    state.ending = true;
+    finishMaybe(this, state, true);
+    state.ended = true;
+  } else if (state.finished) {
+    err = streamError('ERR_STREAM_ALREADY_FINISHED', 'end');
+  } else if (state.destroyed) {
+    err = streamError('ERR_STREAM_DESTROYED', 'end');
+  }
+
+  if (typeof cb === 'function') {
+    if (err || state.finished) {
+      process.nextTick(cb, err);
+    } else {
+      state.onFinished.push(cb);
+    }
+  }
+
+  return this;
+};
+
+function needFinish(state) {
+  return state.ending &&
+    !state.destroyed &&
+    state.constructed &&
+    state.length === 0 &&
+    !state.errored &&
+    state.buffered.length === 0 &&
+    !state.finished &&
+    !state.writing &&
+    !state.errorEmitted &&
+    !state.closeEmitted;
+}
+
+function callFinal(stream, state) {
+  var called = false;
+
+  function onFinish(err) {
+    if (called) {
+      errorOrDestroy(stream, err || streamError('ERR_MULTIPLE_CALLBACK'));
+      return;
+    }
+    called = true;
+
+    state.pendingcb--;
+
+    if (err) {
+      var onfinishCallbacks = state.onFinished.splice(0);
+      for (var i = 0; i < onfinishCallbacks.length; i++) {
+        onfinishCallbacks[i](err);
+      }
+      errorOrDestroy(stream, err, state.sync);
+    } else if (needFinish(state)) {
+      state.prefinished = true;
+      stream.emit('prefinish');
+
+      // Backwards compat: 'finish' always follows _final() a tick later
+      state.pendingcb++;
+      process.nextTick(finish, stream, state);
+    }
+  }
+
+  state.sync = true;
+  state.pendingcb++;
+
+  try {
+    stream._final(onFinish);
+  } catch (err) {
+    onFinish(err);
+  }
+
+  state.sync = false;
+}
+
+function prefinish(stream, state) {
+  if (!state.prefinished && !state.finalCalled) {
+    if (typeof stream._final === 'function' && !state.destroyed) {
+      state.finalCalled = true;
+      callFinal(stream, state);
+    } else {
+      state.prefinished = true;
+      stream.emit('prefinish');
+    }
+  }
+}
+
+function finishMaybe(stream, state, sync) {
+  if (needFinish(state)) {
+    prefinish(stream, state);
+
+    if (state.pendingcb === 0) {
+      if (sync) {
+        state.pendingcb++;
+        process.nextTick(function() {
+          if (needFinish(state)) {
+            finish(stream, state);
+          } else {
+            state.pendingcb--;
+          }
+        });
+      } else if (needFinish(state)) {
+        state.pendingcb++;
+        finish(stream, state);
+      }
+    }
+  }
+}
+
+function finish(stream, state) {
+  state.pendingcb--;
+  state.finished = true;
+
+  var onfinishCallbacks = state.onFinished.splice(0);
+  for (var i = 0; i < onfinishCallbacks.length; i++) {
+    onfinishCallbacks[i]();
+  }
+
+  stream.emit('finish');
+
+  if (state.autoDestroy) {
+    // Destroy once the readable side of a Duplex is done too
+    var rState = stream._readableState;
+    var autoDestroy = !rState || (rState.autoDestroy && (rState.endEmitted || rState.readable === false));
+
+    if (autoDestroy) {
+      stream.destroy();
+    }
+  }
+}
+
+Object.defineProperties(Writable.prototype, {
+  closed: {
+    get: function() {
+      return this._writableState ? this._writableState.closed : false;
+    }
+  },
+  destroyed: {
+    get: function() {
+      return this._writableState ? this._writableState.destroyed : false;
+    },
+    set: function(value) {
+      if (this._writableState) {
+        this._writableState.destroyed = value;
+      }
+    }
+  },
+  writable: {
+    get: function() {
+      var w = this._writableState;
+      return Boolean(w) && w.writable !== false && !w.destroyed && !w.errored && !w.ending && !w.ended;
+    },
+    set: function(val) {
+      if (this._writableState) {
+        this._writableState.writable = Boolean(val);
+      }
+    }
+  },
+  writableFinished: {
+    get: function() {
+      return this._writableState ? this._writableState.finished : false;
+    }
+  },
+  writableObjectMode: {
+    get: function() {
+      return this._writableState ? this._writableState.objectMode : false;
+    }
+  },
+  writableBuffer: {
+    get: function() {
+      return this._writableState && this._writableState.getBuffer();
+    }
+  },
+  writableEnded: {
+    get: function() {
+      return this._writableState ? this._writableState.ending : false;
+    }
+  },
+  writableNeedDrain: {
+    get: function() {
+      var wState = this._writableState;
+      if (!wState) return false;
+      return !wState.destroyed && !wState.ending && wState.needDrain;
+    }
+  },
+  writableHighWaterMark: {
+    get: function() {
+      return this._writableState && this._writableState.highWaterMark;
+    }
+  },
+  writableCorked: {
+    get: function() {
+      return this._writableState ? this._writableState.corked : 0;
+    }
+  },
+  writableLength: {
+    get: function() {
+      return this._writableState && this._writableState.length;
+    }
+  },
+  errored: {
+    enumerable: false,
+    get: function() {
+      return this._writableState ? this._writableState.errored : null;
+    }
+  },
+  writableAborted: {
+    enumerable: false,
+    get: function() {
+      var w = this._writableState;
+      return Boolean(w.writable !== false && (w.destroyed || w.errored) && !w.finished);
+    }
+  }
+});
+
+Writable.prototype.destroy = function(err, cb) {
+  var state = this._writableState;
+
+  // Fail pending writes now rather than when the stream is destroyed
+  if (!state.destroyed && (state.bufferedIndex < state.buffered.length || state.onFinished.length)) {
+    process.nextTick(errorBuffer, state);
+  }
+
+  destroyImpl.destroy.call(this, err, cb);
+  return this;
+};
+
+Writable.prototype._undestroy = destroyImpl.undestroy;
+Writable.prototype._destroy = function(err, cb) {
+  cb(err);
+};
+
+/**
+ * A Writable over a WHATWG WritableStream, such as an OPFS
+ * `FileSystemWritableFileStream`
+ * @param {WritableStream} writableStream
+ * @param {Object} [options]
+ * @returns {Writable}
+ */
+Writable.fromWeb = function(writableStream, options) {
+  return web.newStreamWritableFromWritableStream(writableStream, options);
+};
+
+/**
+ * A WHATWG WritableStream over a Writable
+ * @param {Writable} streamWritable
+ * @returns {WritableStream}
+ */
+Writable.toWeb = function(streamWritable) {
+  return web.newWritableStreamFromStreamWritable(streamWritable);
+};
+
+module.exports = Writable;
@@ -1,40 +1,600 @@
 /*!
  * zlib-stub
- * Minimal zlib stub for browser
+ * Browser-compatible implementation of the Node.js zlib module
+ *
+ * Compression and decompression run in pure JS (see ./zlib/), producing
+ * and accepting the same bytes as Node.js. Brotli is decode only.
  */
 
 'use strict';
 
-// Stub implementation - no actual compression in browser
-function Gzip() {}
-Gzip.prototype.write = function() {};
-Gzip.prototype.end = function() {};
-Gzip.prototype.on = function() { return this; };
-Gzip.prototype.removeListener = function() { return this; };
-
-function Gunzip() {}
-Gunzip.prototype.write = function() {};
-Gunzip.prototype.end = function() {};
-Gunzip.prototype.on = function() { return this; };
-Gunzip.prototype.removeListener = function() { return this; };
-
-function Deflate() {}
-Deflate.prototype.write = function() {};
-Deflate.prototype.end = function() {};
-Deflate.prototype.on = function() { return this; };
-Deflate.prototype.removeListener = function() { return this; };
-
-function Inflate() {}
-Inflate.prototype.write = function() {};
-Inflate.prototype.end = function() {};
-Inflate.prototype.on = function() { return this; };
-Inflate.prototype.removeListener = function() { return this; };
-
-exports.createGzip = function() { return new Gzip(); };
-exports.createGunzip = function() { return new Gunzip(); };
-exports.createDeflate = function() { return new Deflate(); };
-exports.createInflate = function() { return new Inflate(); };
-exports.gzip = function(buf, cb) { cb(null, buf); };
-exports.gunzip = function(buf, cb) { cb(null, buf); };
-exports.deflate = function(buf, cb) { cb(null, buf); };
-exports.inflate = function(buf, cb) { cb(null, buf); };
\ No newline at end of file
+const { Buffer, kMaxLength } = require('node:buffer');
+const { Transform } = require('./stream-stub');
+const { Deflater } = require('./zlib/deflate');
+const { Inflater } = require('./zlib/inflate');
+const { BrotliDecoder } = require('./zlib/brotli');
+const checksum = require('./zlib/checksum');
+
+const constants = Object.freeze({
+  Z_NO_FLUSH: 0,
+  Z_PARTIAL_FLUSH: 1,
+  Z_SYNC_FLUSH: 2,
+  Z_FULL_FLUSH: 3,
+  Z_FINISH: 4,
+  Z_BLOCK: 5,
+  Z_OK: 0,
+  Z_STREAM_END: 1,
+  Z_NEED_DICT: 2,
+  Z_ERRNO: -1,
+  Z_STREAM_ERROR: -2,
+  Z_DATA_ERROR: -3,
+  Z_MEM_ERROR: -4,
+  Z_BUF_ERROR: -5,
+  Z_VERSION_ERROR: -6,
+  Z_NO_COMPRESSION: 0,
+  Z_BEST_SPEED: 1,
+  Z_BEST_COMPRESSION: 9,
+  Z_DEFAULT_COMPRESSION: -1,
+  Z_FILTERED: 1,
+  Z_HUFFMAN_ONLY: 2,
+  Z_RLE: 3,
+  Z_FIXED: 4,
+  Z_DEFAULT_STRATEGY: 0,
+  DEFLATE: 1,
+  INFLATE: 2,
+  GZIP: 3,
+  GUNZIP: 4,
+  DEFLATERAW: 5,
+  INFLATERAW: 6,
+  UNZIP: 7,
+  BROTLI_DECODE: 8,
+  BROTLI_ENCODE: 9,
+  Z_MIN_WINDOWBITS: 8,
+  Z_MAX_WINDOWBITS: 15,
+  Z_DEFAULT_WINDOWBITS: 15,
+  Z_MIN_CHUNK: 64,
+  Z_MAX_CHUNK: Infinity,
+  Z_DEFAULT_CHUNK: 16384,
+  Z_MIN_MEMLEVEL: 1,
+  Z_MAX_MEMLEVEL: 9,
+  Z_DEFAULT_MEMLEVEL: 8,
+  Z_MIN_LEVEL: -1,
+  Z_MAX_LEVEL: 9,
+  Z_DEFAULT_LEVEL: -1,
+  BROTLI_OPERATION_PROCESS: 0,
+  BROTLI_OPERATION_FLUSH: 1,
+  BROTLI_OPERATION_FINISH: 2,
+  BROTLI_OPERATION_EMIT_METADATA: 3,
+  BROTLI_DECODER_RESULT_ERROR: 0,
+  BROTLI_DECODER_RESULT_SUCCESS: 1,
+  BROTLI_DECODER_RESULT_NEEDS_MORE_INPUT: 2,
+  BROTLI_DECODER_RESULT_NEEDS_MORE_OUTPUT: 3,
+  BROTLI_DECODER_PARAM_DISABLE_RING_BUFFER_REALLOCATION: 0,
+  BROTLI_DECODER_PARAM_LARGE_WINDOW: 1
+});
+
+const codes = {
+  Z_OK: constants.Z_OK,
+  Z_STREAM_END: constants.Z_STREAM_END,
+  Z_NEED_DICT: constants.Z_NEED_DICT,
+  Z_ERRNO: constants.Z_ERRNO,
+  Z_STREAM_ERROR: constants.Z_STREAM_ERROR,
+  Z_DATA_ERROR: constants.Z_DATA_ERROR,
+  Z_MEM_ERROR: constants.Z_MEM_ERROR,
+  Z_BUF_ERROR: constants.Z_BUF_ERROR,
+  Z_VERSION_ERROR: constants.Z_VERSION_ERROR
+};
+for (const name of Object.keys(codes)) {
+  codes[codes[name]] = name;
+}
+Object.freeze(codes);
+
+// Container format each zlib mode reads or writes
+const FORMATS = {
+  [constants.DEFLATE]: 'zlib',
+  [constants.INFLATE]: 'zlib',
+  [constants.GZIP]: 'gzip',
+  [constants.GUNZIP]: 'gzip',
+  [constants.DEFLATERAW]: 'raw',
+  [constants.INFLATERAW]: 'raw',
+  [constants.UNZIP]: 'auto'
+};
+
+const COMPRESS_MODES = [constants.DEFLATE, constants.GZIP, constants.DEFLATERAW];
+
+// Modes that take windowBits 0 to use the size from the zlib header
+const HEADER_WINDOW_MODES = [constants.INFLATE, constants.GUNZIP, constants.UNZIP];
+
+// Marks a zero-length chunk written by flush() with its flush mode
+const kFlushFlag = Symbol('kFlushFlag');
+
+const EMPTY = Buffer.alloc(0);
+
+/**
+ * Transform stream base shared by the zlib and Brotli classes. Each
+ * written chunk goes through the engine with the stream's flush mode, and
+ * the end of input with its finish flush mode.
+ */
+class ZlibBase extends Transform {
+  /**
+   * @param {Object} options
+   * @param {{full: number, finish: number, max: number}} flushModes - The
+   *   flush() default, the finishFlush default and the largest valid mode
+   */
+  constructor(options, flushModes) {
+    options = options || {};
+    super(options);
+
+    this._chunkSize = checkRange(options, 'chunkSize', constants.Z_MIN_CHUNK, Infinity, constants.Z_DEFAULT_CHUNK);
+    this._defaultFlushFlag = checkRange(options, 'flush', 0, flushModes.max, 0);
+    this._finishFlushFlag = checkRange(options, 'finishFlush', 0, flushModes.max, flushModes.finish);
+    this._defaultFullFlushFlag = flushModes.full;
+    this._maxOutputLength = checkRange(options, 'maxOutputLength', 1, kMaxLength, kMaxLength);
+    this._info = Boolean(options.info);
+    this._engine = null;
+    this.bytesWritten = 0;
+  }
+
+  /**
+   * Push out everything written so far
+   * @param {number} [kind] - Flush mode, a full flush by default
+   * @param {Function} [callback]
+   */
+  flush(kind, callback) {
+    if (typeof kind === 'function' || kind === undefined) {
+      callback = kind;
+      kind = this._defaultFullFlushFlag;
+    }
+
+    const state = this._writableState;
+    if (state.finished) {
+      if (callback) setTimeout(callback, 0);
+    } else if (state.ending) {
+      if (callback) this.once('end', callback);
+    } else {
+      const flushBuffer = Buffer.alloc(0);
+      flushBuffer[kFlushFlag] = kind;
+      this.write(flushBuffer, callback);
+    }
+  }
+
+  /**
+   * Destroy the stream
+   * @param {Function} [callback] - Called on 'close'
+   */
+  close(callback) {
+    if (callback) this.once('close', callback);
+    this.destroy();
+  }
+
+  /**
+   * Start over with a fresh engine, discarding any buffered state
+   */
+  reset() {
+    this._engine = this._createEngine();
+  }
+
+  _transform(chunk, encoding, callback) {
+    const flushFlag = chunk[kFlushFlag] !== undefined ? chunk[kFlushFlag] : this._defaultFlushFlag;
+    this._pushOutput(chunk, flushFlag, callback);
+  }
+
+  _flush(callback) {
+    this._pushOutput(EMPTY, this._finishFlushFlag, callback);
+  }
+
+  // Push the engine's output in chunkSize pieces, as Node.js does
+  _pushOutput(chunk, flushFlag, callback) {
+    let output;
+    try {
+      output = this._processChunk(chunk, flushFlag);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+
+    for (let offset = 0; offset < output.length; offset += this._chunkSize) {
+      this.push(Buffer.from(output.subarray(offset, offset + this._chunkSize)));
+    }
+    callback();
+  }
+
+  /**
+   * Run a chunk through the engine
+   * @private
+   * @param {Uint8Array} chunk
+   * @param {number} flushFlag
+   * @returns {Buffer}
+   */
+  _processChunk(chunk, flushFlag) {
+    // Like zlib, decoders ignore whatever follows the end of the stream
+    if (this._engine.ended) {
+      return EMPTY;
+    }
+
+    const output = this._engine.write(chunk, this._engineFlush(flushFlag));
+    this.bytesWritten += chunk.length;
+    return Buffer.from(output.buffer, output.byteOffset, output.length);
+  }
+
+  _engineFlush(flushFlag) {
+    return flushFlag;
+  }
+}
+
+/**
+ * Deflate, gzip and raw deflate streams, and their decompressors
+ */
+class Zlib extends ZlibBase {
+  /**
+   * @param {Object} [options]
+   * @param {number} mode - One of the mode constants, e.g. GZIP
+   */
+  constructor(options, mode) {
+    options = options || {};
+    super(options, { full: constants.Z_FULL_FLUSH, finish: constants.Z_FINISH, max: constants.Z_BLOCK });
+
+    const minWindowBits = mode === constants.GZIP ? 9 : constants.Z_MIN_WINDOWBITS;
+    this._windowBits = HEADER_WINDOW_MODES.includes(mode) && options.windowBits === 0
+      ? 0
+      : checkRange(options, 'windowBits', minWindowBits, constants.Z_MAX_WINDOWBITS, constants.Z_DEFAULT_WINDOWBITS);
+    this._level = checkRange(options, 'level', constants.Z_MIN_LEVEL, constants.Z_MAX_LEVEL, constants.Z_DEFAULT_COMPRESSION);
+    this._memLevel = checkRange(options, 'memLevel', constants.Z_MIN_MEMLEVEL, constants.Z_MAX_MEMLEVEL,
+      constants.Z_DEFAULT_MEMLEVEL);
+    this._strategy = checkRange(options, 'strategy', constants.Z_DEFAULT_STRATEGY, constants.Z_FIXED,
+      constants.Z_DEFAULT_STRATEGY);
+
+    if (options.dictionary !== undefined && !isBufferSource(options.dictionary)) {
+      throw invalidArgTypeError('options.dictionary', 'an instance of Buffer, TypedArray, DataView, or ArrayBuffer',
+        options.dictionary);
+    }
+
+    this._mode = mode;
+    this._dictionary = options.dictionary === undefined ? null : toBytes(options.dictionary);
+    this._engine = this._createEngine();
+  }
+
+  /**
+   * Change the compression level and strategy, after flushing what was
+   * written with the old ones
+   * @param {number} level
+   * @param {number} strategy
+   * @param {Function} [callback]
+   */
+  params(level, strategy, callback) {
+    level = checkRange({ level }, 'level', constants.Z_MIN_LEVEL, constants.Z_MAX_LEVEL, level);
+    strategy = checkRange({ strategy }, 'strategy', constants.Z_DEFAULT_STRATEGY, constants.Z_FIXED, strategy);
+
+    if (this._level === level && this._strategy === strategy) {
+      if (callback) setTimeout(callback, 0);
+      return;
+    }
+
+    this.flush(constants.Z_SYNC_FLUSH, () => {
+      this._level = level;
+      this._strategy = strategy;
+      if (this._engine.params) this._engine.params(level, strategy);
+      if (callback) callback();
+    });
+  }
+
+  _createEngine() {
+    const format = FORMATS[this._mode];
+
+    if (COMPRESS_MODES.includes(this._mode)) {
+      return new Deflater({
+        format,
+        level: this._level,
+        windowBits: this._windowBits,
+        memLevel: this._memLevel,
+        strategy: this._strategy,
+        dictionary: format === 'gzip' ? null : this._dictionary
+      });
+    }
+
+    return new Inflater({ format, windowBits: this._windowBits, dictionary: this._dictionary });
+  }
+}
+
+class Deflate extends Zlib {
+  constructor(options) {
+    super(options, constants.DEFLATE);
+  }
+}
+
+class Inflate extends Zlib {
+  constructor(options) {
+    super(options, constants.INFLATE);
+  }
+}
+
+class Gzip extends Zlib {
+  constructor(options) {
+    super(options, constants.GZIP);
+  }
+}
+
+class Gunzip extends Zlib {
+  constructor(options) {
+    super(options, constants.GUNZIP);
+  }
+}
+
+class DeflateRaw extends Zlib {
+  constructor(options) {
+    super(options, constants.DEFLATERAW);
+  }
+}
+
+class InflateRaw extends Zlib {
+  constructor(options) {
+    super(options, constants.INFLATERAW);
+  }
+}
+
+/**
+ * Decompresses either a zlib or a gzip stream, going by its header
+ */
+class Unzip extends Zlib {
+  constructor(options) {
+    super(options, constants.UNZIP);
+  }
+}
+
+/**
+ * Brotli decompression stream
+ */
+class BrotliDecompress extends ZlibBase {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.params] - Decoder parameters keyed by
+   *   BROTLI_DECODER_PARAM_* constants
+   */
+  constructor(options) {
+    options = options || {};
+    super(options, {
+      full: constants.BROTLI_OPERATION_FLUSH,
+      finish: constants.BROTLI_OPERATION_FINISH,
+      max: constants.BROTLI_OPERATION_EMIT_METADATA
+    });
+
+    for (const key of Object.keys(options.params || {})) {
+      const param = Number(key);
+      if (param !== constants.BROTLI_DECODER_PARAM_DISABLE_RING_BUFFER_REALLOCATION &&
+          param !== constants.BROTLI_DECODER_PARAM_LARGE_WINDOW) {
+        throw codedError(RangeError, 'ERR_BROTLI_INVALID_PARAM', `${key} is not a valid Brotli parameter`);
+      }
+    }
+
+    this._engine = this._createEngine();
+  }
+
+  _createEngine() {
+    return new BrotliDecoder();
+  }
+
+  _engineFlush(flushFlag) {
+    return flushFlag === constants.BROTLI_OPERATION_FINISH ? constants.Z_FINISH : constants.Z_NO_FLUSH;
+  }
+}
+
+/**
+ * @private
+ */
+function zlibBufferSync(engine, buffer) {
+  const output = engine._processChunk(toBytes(buffer), engine._finishFlushFlag);
+
+  if (output.length > engine._maxOutputLength) {
+    throw codedError(RangeError, 'ERR_BUFFER_TOO_LARGE',
+      `Cannot create a Buffer larger than ${engine._maxOutputLength} bytes`);
+  }
+
+  return engine._info ? { buffer: output, engine } : output;
+}
+
+/**
+ * @private
+ */
+function zlibBuffer(engine, buffer, callback) {
+  validateFunction(callback, 'callback');
+  const bytes = toBytes(buffer);
+
+  setTimeout(() => {
+    let result;
+    try {
+      result = zlibBufferSync(engine, bytes);
+    } catch (err) {
+      callback(err);
+      return;
+    }
+    callback(null, result);
+  }, 0);
+}
+
+// Pairs of callback and sync one-shot helpers, e.g. gzip() and gzipSync()
+function oneShot(Engine) {
+  return [
+    function(buffer, options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = {};
+      }
+      return zlibBuffer(new Engine(options), buffer, callback);
+    },
+    function(buffer, options) {
+      return zlibBufferSync(new Engine(options), buffer);
+    }
+  ];
+}
+
+const [deflate, deflateSync] = oneShot(Deflate);
+const [inflate, inflateSync] = oneShot(Inflate);
+const [gzip, gzipSync] = oneShot(Gzip);
+const [gunzip, gunzipSync] = oneShot(Gunzip);
+const [deflateRaw, deflateRawSync] = oneShot(DeflateRaw);
+const [inflateRaw, inflateRawSync] = oneShot(InflateRaw);
+const [unzip, unzipSync] = oneShot(Unzip);
+const [brotliDecompress, brotliDecompressSync] = oneShot(BrotliDecompress);
+
+/**
+ * CRC-32 of data, as used by gzip
+ * @param {string|Buffer|TypedArray|DataView} data
+ * @param {number} [value=0] - Running value from a previous call
+ * @returns {number}
+ */
+function crc32(data, value = 0) {
+  if (typeof data !== 'string' && !ArrayBuffer.isView(data)) {
+    throw invalidArgTypeError('data', 'of type string or an instance of Buffer, TypedArray, or DataView', data);
+  }
+  if (typeof value !== 'number') {
+    throw invalidArgTypeError('value', 'of type number', value);
+  }
+  return checksum.crc32(toBytes(data), value);
+}
+
+/**
+ * @private
+ */
+function isBufferSource(value) {
+  return ArrayBuffer.isView(value) || value instanceof ArrayBuffer;
+}
+
+/**
+ * Bytes of a string (as UTF-8), ArrayBuffer or ArrayBuffer view
+ * @private
+ * @returns {Uint8Array}
+ */
+function toBytes(buffer) {
+  if (typeof buffer === 'string') {
+    return Buffer.from(buffer);
+  }
+
+  if (buffer instanceof ArrayBuffer) {
+    return new Uint8Array(buffer);
+  }
+
+  if (ArrayBuffer.isView(buffer)) {
+    return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+  }
+
+  throw invalidArgTypeError('buffer', 'of type string or an instance of Buffer, TypedArray, DataView, or ArrayBuffer',
+    buffer);
+}
+
+/**
+ * Read a numeric option, as Node.js's checkRangesOrGetDefault() does
+ * @private
+ */
+function checkRange(options, key, min, max, defaultValue) {
+  const value = options[key];
+  const name = `options.${key}`;
+
+  if (value === undefined || Number.isNaN(value)) {
+    return defaultValue;
+  }
+
+  if (typeof value !== 'number') {
+    throw invalidArgTypeError(name, 'of type number', value);
+  }
+
+  if (!Number.isFinite(value)) {
+    throw outOfRangeError(name, 'a finite number', value);
+  }
+
+  if (value < min || value > max) {
+    throw outOfRangeError(name, max === Infinity ? `>= ${min}` : `>= ${min} and <= ${max}`, value);
+  }
+
+  return Math.trunc(value);
+}
+
+/**
+ * @private
+ */
+function validateFunction(value, name) {
+  if (typeof value !== 'function') {
+    throw invalidArgTypeError(name, 'of type function', value);
+  }
+}
+
+/**
+ * @private
+ */
+function invalidArgTypeError(name, expected, value) {
+  const kind = name.includes('.') ? 'property' : 'argument';
+  return codedError(TypeError, 'ERR_INVALID_ARG_TYPE', `The "${name}" ${kind} must be ${expected}. Received ${describe(value)}`);
+}
+
+/**
+ * @private
+ */
+function outOfRangeError(name, range, value) {
+  return codedError(RangeError, 'ERR_OUT_OF_RANGE', `The value of "${name}" is out of range. It must be ${range}. Received ${value}`);
+}
+
+/**
+ * Describe a value for an ERR_INVALID_ARG_TYPE message
+ * @private
+ */
+function describe(value) {
+  if (value == null) {
+    return String(value);
+  }
+
+  if (typeof value === 'object') {
+    return value.constructor && value.constructor.name
+      ? `an instance of ${value.constructor.name}`
+      : 'an object';
+  }
+
+  return typeof value === 'string'
+    ? `type string ('${value}')`
+    : `type ${typeof value} (${String(value)})`;
+}
+
+/**
+ * @private
+ */
+function codedError(Type, code, message) {
+  const error = new Type(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  Deflate,
+  Inflate,
+  Gzip,
+  Gunzip,
+  DeflateRaw,
+  InflateRaw,
+  Unzip,
+  BrotliDecompress,
+  createDeflate: options => new Deflate(options),
+  createInflate: options => new Inflate(options),
+  createGzip: options => new Gzip(options),
+  createGunzip: options => new Gunzip(options),
+  createDeflateRaw: options => new DeflateRaw(options),
+  createInflateRaw: options => new InflateRaw(options),
+  createUnzip: options => new Unzip(options),
+  createBrotliDecompress: options => new BrotliDecompress(options),
+  deflate,
+  deflateSync,
+  inflate,
+  inflateSync,
+  gzip,
+  gzipSync,
+  gunzip,
+  gunzipSync,
+  deflateRaw,
+  deflateRawSync,
+  inflateRaw,
+  inflateRawSync,
+  unzip,
+  unzipSync,
+  brotliDecompress,
+  brotliDecompressSync,
+  crc32,
+  constants,
+  codes
+};
@@ -0,0 +1,794 @@
+/*!
+ * Brotli static dictionary
+ * The 122,784-byte dictionary of RFC 7932 appendix A, raw-deflated and
+ * base64-encoded
+ */
+
+'use strict';
+
+module.exports = [
+  'PLx5UxtJuj769xDR30HDnDPdnNNgCbcXjM1ErzNz7ix92p5z7pmJiY5UVUqVkFVZnZmFkKc7gsXsZnEbG2PAGBsMXtgM2CCxRFx/',
+  'Afk/8V/H76qqpIj7IW48qZ4T08FgIZVyedfnfd5XM5faIudxlqGcZnSaWF2WsKlNNFGOyAmP5xXT1GI6L3zqdQZKc9ZFM5LSnJBd',
+  'mvboPCVSdFOZFnaei26aEdJNC9Hlc5LnrJty5lGHct8RLlXMpq6Q+KzNhZfVDnW7Gc1lmGf7JEttkleZgHOHEltT6VJiOURSkpHC',
+  '1TKgLpFdJM1p4AvPYVnHJppy4tkezSnaTT2P9miLKJoW2vGF0oGitkts6hDPdqikOYdoj7j0D8zrSnORVewmTROF9dku6aIuYV6g',
+  'qPywKfHvjuA29WyVY9r5E80pSYmdo5IqlvU06aIO6aZZ4lJFqWcRzn2inRzl3OeBcqkXZBh3fSJ1p2CedpjiTOmsELZHqZ0jeZWj',
+  'SneKtHKZZxOuBBdZIZnlBIoqTpTWlLhEuvmMEHYX87I5xjklSueItNNU6QyT9GuSpV2eyJEcybf4XtYV3VQ7xOOC2FnWTRXlGU9o',
+  '6gaWk6E4Cy8vhdXFLOEJz6JciC6H2dRm1P6dcKkMOHWE0qST9DAvIywepDnJKU6VcgjPKNxhYDk3hUdTyeS/Co8qi0h6g7lUEoum',
+  'eUAzIpA5SrsyxKKO8GmWdFOH4L6VzjnU84ns6qK+9olSymG+FML93Y0//sHnxLuR96mNh5Ju2kWpn+Eky5nXpQS3M6ybaiG6JNFU',
+  'i5zXGbi+dgJlE9llEWlnGKcZSqTSJN/FONcO0RnCOQm0oN1UtljC1YR3KUf43UJTm1LfFTZuVOtAemkhvTTx7AzlXApFA8k/Ul3M',
+  'k4JTS0AUtSJZqlxKdVZwu6XTzzJN3W4i8xnKtXaop6hn21L4/8VozhJ+PtWSbLx6jnQoLXzKFeWMKi0C6ROrqyXLMj5R2lLqN1lJ',
+  '8i4l3q+zul0ymypHaE40VYTZUhC7m8hEhlLeKRxPMqvLF1JniNIf/uXTZpsS++q5dIcvhExj33mf/qXlektOCNsNlG71e9p/72WE',
+  'JF5Xjtk0RzydIxzCZP8t+fd2nwQ8R7qpCiT9l48+/FWOMO0SpYh0VVZQlSXM48TL+oTZv2xuTnBhdQUe01IIPKcrw6SbYxna4/JG',
+  'BZ2mSrcm/Z4u5tlS5JQWgmeEp13CuCIZqjSRLvGVJSSVhHkZLnJpks4rn3iK5NUnfk/7Rb+nnUitMkJoSQnPsS7mUKKVpr6WzBcy',
+  'e46TLpqjpEsLbn8lpGsRpTPEU2nidXVTmZeBpzoDntdEdaX8nvasIDwraU5xkaN2ljL7WqOiWl3we9pbOtVvPkn6PSyT+EgJ4SlK',
+  'tCc8qoM0vUkhDZ6WlNoZYmnmaZFlGe0Q6aYu+z0WcanDOE8Lbt8Uwu0WzKZE5SXzshnGuU9JF/OYtoTS5/2e9k5idWmSVWmmlRSc',
+  'U5vpLo/mPErk1V82N2elyP3H9T//yQ50/k+wL4TTvAgSXGjlE+Z1kps3LdimPFUZppxcLtcimerSJK18SbtTSb9HMkVbL/g9n/GA',
+  '2szLnk8mP04TzjNC2pRIL8e4nRY9LRnCJCcWzgvPlp2BRzW1HJb56Jc+s7poN+P/8lHjr3JEulxI2xZU+QHnHyeTSezSliTnBFmq',
+  'fKEzgWenA+k5kmYsynkXzSvNrC5HBJILpTIB5alWv0cFTNuU8G+uX2+Eyc9Kmv/tlzcaKVGUMFdlsSRmq8t+T7tHuvNZyWzNfPWr',
+  'tra2HJGKEztvEama2hM/+I7/G4dyrgnnOUe4N50r4b+d+6AhkUomHcJ5S0PDp5f8nnY/UI7lEJ30e9otSXP/du7qOYco59IFvyfD',
+  'iZZE0sSvf53QlHOLuL7wtMAiXKaU6mK+pp7OMI+6hNMs1crnQn+STH78QcMHDRbkm1Ld4jv+1bTsoJJZrlA6GzA7TTm3qbIcwqRL',
+  'YJGEe4652V//6nIrD6wui3o6mUy2a+bls8KjjnZhJbgtg+xX33z5pSds6jGr6zfMvsYhhQHn3fABzLO/uX49kaNESsrzaUo9RVxq',
+  'B13UI4pYxKc5ppxswDM3Ws9fcZhWigudJZp2MasrzQOpHZpPXfB7Pvywqb2pvbHDVYzmmKfSTNpKSJ2mmihKu26kLl8R0lZQAJdw',
+  'fjHp92SIdP9P75xKi7z6W/LvLR82tTd+/efrN9KUyC5mq6b2H35wicxr6tkf/eX/avouIPZN50rUrNjN5ubmZl8K/8Om9g84y+gb',
+  'qbYr3cyixLPzNk3rjm+uX/eF4B7FOkXuRuriFVsISbsJv5G6dIVTrTKEcSEJ9wXnnugmluAqSz2a+D+9M0pktBQu1czYcXXVOd/h',
+  'i0BmiE195nVd1bLDZR5r+v6XH7nMozedK9U0kcqhRCaTTe0u412J5uYOJoWXkdS2merKUU8rwbgfaHWuU51zBM/faG298vvrn/3p',
+  'RmvyCrGJqyhVV53Wjk4lvA8/TnxoCU/faE1dSXxz/ToXwieKEVcI7+o5v0OJgP/h93/6MiOktojUN1KfXLnqpDouJ/2eXzY3X23z',
+  'e9pvJD+54rIueuWTi3/1mEWZZzn/I2SXZBbWXPmwqandDyR1SZb6RBItPJoWnn3l/KW/fisy337496b2ZDL58U3nSqyJ15VH3CBy',
+  'PB0o58qFi3/9D9JNzif9nobvf2j418/P/+uV85/8tZNmMl/+31//3iLK6WaKZAXPKE/kbjpXat8F8KFKKWZ1uZRol3ktaebZNuXc',
+  'YZL6zFKSevrK+Yt//d2NG183tyZTGaFFTvDMl3/6ItGTFj1XLnzy18/+/MX/2Mzqam/4oYH2MH3l/IW/dhOp0pToD39oarcZ1W1t',
+  'be3E8+gPP1w99zf295Y/EC/b5f4/r3NMUi3yiti2UpRwwmlPe8MvfqCWIzzm0RYhs8nkhSYtvHwnzSlFPJvTrJJCZJLJZFOiNZnM',
+  'MY9mKZG2yKq0gE7IvBVopfOcaur6mgmvpcfllrC6ssTL/stHH7ZcSPo9XzstX7hMWYSb+MqzqepyGacyT7zAYz02U1ZT+w8NdqC0',
+  'xZnf1NLQcCnp9zS3JpNf/NcX6tLfO65q4lNEwOzf/70pR7KUBlL4DuPC18oRnH716X8qopjX3HrxBoc9p1r95Zs/JNIB77KE6Gr/',
+  '4YOG33356Rd/S/69iaTTsjMg3keptsucKgdG4eo51qGEl88GiKOtLp/59Pvmhl8mk61Nni1yf0v9vf1vf29v+IPIJhTh+oOGX/wi',
+  'TbyslsxNE+00/eODhiRk4oem9i5x5f/LUKqI3fGBunLuXOJvf2/XwsS32Y+a/tHwjw8aEi2d6sPWZNK3A8LTguiW//j6t03tDT98',
+  'Fwjd1N7Q8GFTe8MHDT980JpMfdKaTF1oTaYutiZTl1qTqcutyVRba9L8L9WabG1tTbaeb022ftKabL3Qmmy92JpsvdSabL3cmmxt',
+  'a02eT7Ymz6dak+dbW5Pnz7cmz3/Smjx/oTV5/mJr8jyed741mWptTaZSrclUsjWZbGtNJi+3JpOXWpPJi63J5IXWZPKT1mTyfGsy',
+  '2dqaTKZak8lkqq2tLdXWdjnV1nYp1dZ2MdXWdiHV1vZJqq3tfKqtrTXV1pZKtbUlU22X21Jtly+n2i5fSrVdvphqu3wh1Xb5k1Tb',
+  '5fOptsutqbbLqVTb5WSq7VJbqu3S5VTbpUuptksXU22XLqTaLn2Sart0PtV2qTXVdimVaruUTLVdbEu1Xbycart4KdV28WKq7eKF',
+  'VNvFT1JtF8+n2i62ptouplJtF5OptgttqbYLl1NtFy6l2i5cTLVduJBqu/BJqu3C+VTbhdZU24VUqu1CMoW9JFs/SZ1v+ySZTCbb',
+  '2traLOEK992yokpTBF0+lUILWzjEohaxCXm3I9KMeva7DULUu41uZhOLKERcIiOkQEYitCRWQLjNOoVitshK4mnmI6MgNk1TwrPi',
+  'u+Ddc0S1HrGJlggFLGERRdKkE98HcRYkGxA/oCrwhCKepjazKA8YXB1xSV7cFB4hrpA+U0KkJbE43sCFzYRyhMS6WOltabt0XNou',
+  'nZSO3veWtt/3vh94329e2y+dlk5KJ+/7Swelt6Xj0klpz/zrpPSmtF86KR2XDt4PlhZL26X90n5p5/146ej9eOnH9+Pv+0onpdfv',
+  'x0uvSyelRTyjtFNaKp2UiqUDfKr0uLRSWiztlxbej7/vfz9eemRePSrtlbZLs6Xt0kxpu7T4fqD0qLTzvr+0X3pQelvaLx2Wjt8P',
+  'lI5KR6Un78ffD5TenPWdjZWfng2dDZbXzgbLh2cDZ7fKT89GyjvlrbOx8tpZ39no2fDZyNmts8GzW2cD5TXz+3B5vbxbXju7VV49',
+  'GzobNs8YO+svb50Nn90qvzwbLK/jN/PesfL62a3ymvn/gfKeeepg+enZ4NlQ+UV5/Wzs7NbZUHnDfGLwbLC8dzZS3sswqXQ3s6ng',
+  'LOvonJDcdqnNSM5B1o+QI434UOKvCt4fmb3yObGoGyhmZRjlNoJK6SPN7SY8oJx2U66RpqcFkbYjAkWzUgQ+EAMFuEApbZI4m+Rz',
+  'RFOkbLJugG1KkLnnqPQd4VEP30ulFJJ5fqBJWgQauIDSTHNkg9yk/ZoLi3DNXGTOMmvgBWVyc0gPwmaLZoQVKItTIpH08TTSGIRo',
+  'VBIjZQSohEs9gnzHFR7NM3hWoAUqLwIPeSger6m0BBcyKyn1MlJ4+tfE9dtzRFtORkiL+nDQSKRVmmaZRzKaym6mmGZKBRRohkpT',
+  'LhDC0R4tNOGIkBUnacp9yTztS6pUOmBcm9RX+ZTaSgd2XktiI732bIVUM/BsKoHSILlzlSRelhLbxpsZ54ACbOAUHkkDleFEORnW',
+  'Q22R0dQT2sGqaE5ZDrW6OM0SLlk3lcho1XcBs7qUQ3zqBC7xaI+BLpjBFxjVDpN2mihm+ZRYMC1ZmmO2drjIMs8kPzkpNAWgo4Cm',
+  'KBuPVlpImpaUdCkRaKdbMIsCW1Ku8LSTAzyDTds5h1mIxTSOM3C1IymMitQAU/Kfc2Z1IYOTwJaUxYlSnOQpIg+Zx3fkA5Om45gs',
+  'EUidF4FMpJmEXPmBj/RYEd/n+d/jftOUednA96kETgJpknmcqUI6rmiPlsTF1cIQdgFqQZqGgDtLPBX4VPrEfFZqB7LlAXXxIDTA',
+  'jqh9A8KKhavfQgPSknh2oIDmCJd4GcIVBa6UJ4HNBG5L5RzGKbCKc9igDTRL2YTxvOUwjmSJ6M7AzlLtAKPwmFYeFp0GTGAJ4AkA',
+  '47BBCkREWXkLP6lHAbAoWNauHK75u4BSz2fUQljPeEYSlyKthOZpwZnLtEUgHaybcYQ9lHqaIm1wKaSHahFYThrnLEWecKK6qJ1D',
+  'FKOYB7EQVlcCJ5EhTDvmRhFd5UUmQ6WyhE9xmLYLFSc8jZuuo3LCJhJ4COkUUktEU8QTCLGEZ4nAGBlmw+HQ6zAZf4DUOcT388Ky',
+  'AgkY80pGUuV8FzCNM3BVFooD3E0FMk28DL4SAqwcc1aBFu1SBJq2IP9yoSQZ5hH+P5AcxZlNtfCZlZYi5xEuPIq011M+ZwAnLOcb',
+  'PA9QpHKJtBwEPxRInwLMqGwRpDVRec/STuAiCxc5y2E0k4caeKKbcqTs7YrKbhp4mnGglepz6OV1WC4E3vlOgzR+FxCuc8yiSWTg',
+  '12E2feJRDtxFSVwFNZbaYRkY8zoIqoD0KEByigCc0A5VFJEr7LhnFq0J9x2Cf2pArAoYG/6ah4IxFxCEAtYLwy2h3V726jnnfAeu',
+  'LIug+5wbcA2IRtpfQzmVJp6tRRf1lODM/ggAaBqICBA/PCWT0ZJBvDk3iG8+8zO+5ukbDlOJc+eamzuIjQQtm/f1l7DyyFbbv4Sw',
+  'AgtutJDdKZ962kC5adHT2AEltjkl3QAxPAJ8V2UDqvTVc84nHVIAGKakO48HfGx8B0Ia25LwHSzrKZIjktrEs6jvEEU7gMhQ79u/',
+  'XP/1r863tSPW7fkWQs2JZh71OkUeWGkLQdagXKYdQG8JYMcI3qlkns2IR7obOwACeAb1ApqobNhTXzIhr8P3IMpUEkYBOLHqJL4x',
+  'D1xpyQiHpkgCl3P1nNPaQdIBsh8qAStK0th87tx/AwJVwKEUgGP1NZRYy0A78HkewInfKMI87VKAJSJgxsJpwK+ZtGQ0I0WusSNL',
+  'PUm1DGBjRZf6L/jzr2AZWjyqcSUNV7XMJ/7RAEQSiLkCrAVRYR6xA66/w2FraTDDtJAA/pVFAoU0FbiIhlRSJluRUhk8G5ie+hyK',
+  'bYmA21lYdNQJFAAlAKGU41JsF+oCrwZ7ypSBt+0Appn2EJWRAdOARz7+/nuTqPiNHQ24PMASjQLwwtW0PNeR4UJIBUzOpr52EvUK',
+  'gNelLFh5VBsMeNlOOMt6gKlUDqvCatsDya81Ar5WLmKaPwqlEy0tLVfPEVd42TQ2jSJIAshhO8oKtkWkzNuSZLSkGfiKLP0WdZAW',
+  'F7JhU07ytqTE9VFBMYWCq+e07AD8o7D4BPElgwFCqsupR3uIpQEaOKjSKDhcC1hzQlHqqjQnnoGGVeKj1mQSILr9LWIIQJ/KxO4Q',
+  'oS5TiTHKCD23AQK05+BOfCIV/aipvTHxGcIjzrygpxNwvM96KAfI09HUzjIfNcPI2qSb2Y6Qin6F0EoShrpLD1U34CqpS7EZ6nak',
+  'iWzsaFHSuqZhGQjX1xotRIcO9WS+9RNj+nTgM014HnGY7zL4U6K0waoVbEeLpIqifEA58EF1zlLqHCoQ7ShRKKWDTCbN0pwC2VeA',
+  '/5JdQlLyQ1P7Bw1A9dV3AQ3otcQ/fmi/bFBAlFT+gfyXoNhkYb9MMuWgvJWQ0GcEqQrIcmOeOEI0ASz/FBEoqlXq6jkn1WHTdJAF',
+  'wGyy9GvIWdQPTR81tQPobPdhVQApKtQXVLLnYjKJqkGjwXHTcB2a9FDlMksKRG+8ubnj6jmAy0pp2k2bcXkQqZYfmtobfuFCSRIf',
+  'pdravvr0P6+ekyJLZQaw/ufQmVYApijyKCBJV5UltAYWr1qxFlsyr6sp8f33CQ5kENUc/qvk+bb2REbIBOp2dg4nDgPX3kmu/L/9',
+  'irnCuwrkXlKf51H2UAEiAERnvoaf+Qy2synxy2sJGzErUA9ALa4SXhfNuyLNOCpqLYCxEz5i50zgeXkgiQoRTmMKx5FDQA4Ey71+',
+  '49NvbkC2Esy2qfdxojWZApzQgAC3pZvJoA6lakk8lRNSaRTAEFoLz4f+QmcaRLNFLFQlTKlFwVMmAL55QF3+QWyRph/iMpl9LZWE',
+  'Q2hHuS7R0triMhTRGgF7e5YglvM5Yq60DCzaipX+5Zs/NP07fvkeIDZVyFIdqHiqNdmYgIvVWnZ80AAHcc1mNCug8QmFA4ftbPhV',
+  'JpNpb+z4g8giwmtE+KCVQ6luAvqcMrrAKfW9OuDMqY2rGECpwsIhNmLTpjqkmtOip9lGotXwa67bgbyqK59c/utV1G6bZSAJR+Up',
+  'AQdpp0mXSRV8dS3R2NjuO35jh4VTS6EikZaMeIDRBazhNXHtX1u/SsAauSSfpleZm00wN9vY8XEi06nwW6IR5/fHG8L/DBW7Ro/m',
+  'eP4L4qku6yY1sTLjiJWhJBc6MuS7xo6bTrPlpZJN7Q3NqcamdkTh11AtVFoGPA9bogAmtXd80HD1l0AseAJFD6e14wNz+4lO5BLQ',
+  '+ARuq+WDhl980JBDXILahwpgbmyUOtLNnHVp6FaWZRoTqNEqG0sDCMKU8x3zVSBcpkRaUpsqm5raDpAR5QdIQN/tCIAm75Y1ox51',
+  'iNIEmIgJ41GdtKkX0G6Do0gsjbhMucKlnUK6gWcL8l3wbgOoilLvdrkg+cAmGYryA9AQTTyNPFMom2ihgLAoI8Go0QoCtIMHWZTI',
+  '8gKlyToAojRFBOBpqoCpYn1E+eTdhsJaiCI8sA1og+xdfBcw6iFeVD4KnMgcqKLy3XI3tbBji8lOoQxsQyQiK5KVgS8cwKhGDDT1',
+  'soK4LCssoYjyUMZHaEaxVUKYpCitMYMDKYdYjGRIt0D5iAnO0pL6gadFOqCeQHQtSVoyjn8SRJHCJfKmUCSNJE5pxBhZYb3bdQU2',
+  'KTrxT5/KdwUHb8EZ5L3As4gbdFLZTbiQmQCOhKWlyAZKE5YNCO/GuQDAUtng3QbgJlso4QoF2RKB0tQGZOV5wnJoOlAWyRCuCSBY',
+  'pSiCUWY5wgqkEhZHAEkUUZy+2/V8Tm4KAAsGm1LdWDPxRV50YpdaEo2v0MKSlEhTPnKoK5QFI2LhY4C1FFASD0LjvVtGzsdMDmRL',
+  'YVFpmeUS5JIcsiHfFTTjFidSdAqZpQiTqS88KjXBY4jNwIUALJYNKFA0pViWA3nDV2uhXGJLiuy4foAee7cjvqt/hyJIgizhANTr',
+  'ZqST+iTNxbvn8DkQeUkZCk+dRGaEZwuLeITDI1NOkQaTQBFzhy7xhOIByvWBxqM4zs2zBTJsCZzQCBJoDBYKnd3Ex6oCj9mim7hC',
+  'AfZTxE0LFG1tvI8RxLZGF4gK0kxKJjpJN+tmEkmcsBxmEcL5u41Oga9ilkOo0SmYAkU4kyqgHCsQKmMQGyCMuG6zQZxjlnjAo3Cr',
+  'xAmAOpIsgexq+AZOGegXacEBYb7bEQ5Jc8KxoHd95t4s8GCyBIABUd14Iha0jJsmNqAhA33CgjyHdELZoSeSCTglgoBZZLBweETi',
+  'iCyRsCyKo6JLvgsodwNFBQJIA6YirSC2xSg32xcuo7bIEo9IYKmCahwrTdcTNmKMmmIo4+LKkG8QO7CJsqmigG86ETlSAkhW/Rq5',
+  'arst4KUt4brCQ9AT1EE15cLsSJVXWL5xF2kUZaSkJgy3UL0OfCS+WS7ShMP2BG6GcU2lF7hpWB6ENZKqgGs/SHNmKQu4meUIVDNh',
+  'PLmWBCQhgGNKiUBaVAPD0wpgWNYVdsCpCSUoqDiWY+AJlTago6RZJoCBUHBTLEY41tlNLcED10OmJe2MQMZtAMMOyoBccArmUYa4',
+  'jOczEhA4J0jGSaAdIaHFmkpq0LHAdak0mbnE6VLbr4NNPT7xbF9wZuWNC9DI8qGizNN1a6J8KpXwOOtmXtY2yaUBupQBCVXgse8C',
+  'mjPpuk+FD3SFymzeIzpArAsgIcOygQTPiHlZy0iSyGQUBfKpqQSAKHIqSLuAIYAFGpBVBT7YPw4lXDtAaoRtAF6lcOg8E5jnO8QW',
+  'OZumiaYGs1V/TndSSxtYUNXRXk5JNqCWIw1vy/U5UENgdo6RMQ/OVlGihCcpkg7s1aPqu4AAyNOwOQDYFABI3CB2YTgtKFRpKr+S',
+  'JsumkgkUl4WXldSnRP8BNsezqQYoJaQLs+0igqdWIClYQ9TWIpvl1MDQyqaoHkNumWUxzahCqZq4eXiyHNGaWF2meK0zBuR2TGwJ',
+  'dlNjBzht1A4UzQTcaHLe5KoGMcG9W5JqRS3h2bBO2ToOqWiPBRoKEIAs7pXaBgdRNJOhljaQeB3hViKTYRbtZioghuchZDckk35j',
+  'TgxqHrgGU0VwAT9sWVQpsAd43jWX0ZhA8AdQhuqsQXigUxAg2U3zabDtqMq7acFdY2iAFluOK6CtzDN8OwJp+dyAd8LcssFzlcts',
+  'm9MvUYGEOcwBwMwSK+8aHaeeCLIOuF3UBNsUGHyWeVg34RZn+C7KqYVY3BauqRXYBidDaA/uC8H6hamnGvnJmxQRdAjiI9JQsAOB',
+  'tBybwlJLI0uWkIgBAu0H2gVXMM8MMml0jRroXv3J2BY7gH2oo4mmdqDA+qI2Qoo6sERtxXg3lS6RWaDtqO+mje4AygMby2Va/dbY',
+  'LmCyyIyArFrmrNIGZfVEThLfkri9OhZGvSzknGSozluOQbF9Jpluri/Ch711QfnJAnGktgyUYsQH1kFpDwL765Zkvk5LwGMGDkRW',
+  'I7PUZtBUAGEQe+yx2aAI2qFC5i0B4JIYGUAlhdoAV6j9uTlD5voA0ByAFYSDXwg+YWMiLbQWLs6ksaPpH0BtfEkzrEeYcsHvjJy3',
+  'gB7zkSUCHxKA+CItcRCcBJ7lfGMsoTY7Qh0Deq41B0eUednPjKanKQl03kDDsG9Zoa8bC0Zg6SXhRqIFsbHaukcwGbHGDUqKv/zR',
+  'WHjjhagKAM9fN77AmHmFFVD7115a+e0A9RU1iXgCrtqzrwK2TaA+zky95lojcclN4Rl2n0fsbsOeQDZ0JXHDoQkbiFrW1KXUZ1/+',
+  '9vd/SvyR9jD4ZQD1lskHHGOZiUkpfm++BYZHqy9dn0l63dhSmgEUYzNJLV0vC7jECwi/bvSipaHhz54BdaiNlKWx42uHceYbMEs5',
+  'hpnAXOjTn42VkObsjRArz+CJ1421sSlAG8C3PJ/4iLZkW9LUAe9CQE64yGapjToANSzAq+dM1clAu1ohLDS7YqpefrLPI8H/HiGd',
+  'TYC2WnlUgFwqDff1M0lugqUHa2/kpyNN88Kzmw3+D+vka+MNbcQzHv1KCAACBOxPA4g0fAuT3WgQWGOHlWpMnOv4oKHFZGPCMFON',
+  'JMg/94CNhvVRCWvGuo3mehnDsvqiDsciH20kvg9vRnt0Y4cpLipwXLsUGMAmBbOA2DIXzIy88OinGYkoEceGIJh6+mvjYa+mZeJc',
+  'Rw7ORZoqncFlqP3994CFsP/GDlb3YoGH2qQkfmMHuEbUtqinAnB1A9gQYgnPwPwqBWTwe+N+cIZC16spjUBuqG08aTt2QowvIzxl',
+  'agx4JfAR4Fg0wwXRVwzwkDAVr5ZPjRcwhSWl6uU+2A37d3VwH3ig/MuNr5ovN5rSY+Iz4wVaEv/NtINCIRMGL1Yu8cANkiLDdOd/',
+  'BoapAvk0WItKw8DrDAGWmRUiixuHagIlSfyDKUkoVyRvoheL2RSoYWOHYywGDgPFPOi3KSEpU09tN8dgG/D1qiSW0W7cYXMzmK0+',
+  'AY9c0R6wRQJJSWDQsETKVDNEWgOfRpymiIG6Pk783rMAlFA7bzQowfOSWcoUjltg0altKkL5byGsLV+ZiA7ANbX/aDwmVzTBMl+b',
+  'mE0Hsovmm9oNl9ak1lkTm5nysvrCxMA/gKT7D+YpKvVnXGSvnssYCTeVzZaMiYdNjUJdNUgvCjeJpC9J1iUZyWySNymwtAXnRJr4',
+  'xDb1OAXWDPMuGDAKoFBjRxp5gNeCgOgj0k20yQE0tb81WzKSoIxuElMp/jhjvJuJvgwXHRkwlfojox3yuokDIbt4sp1v7Gj4Nxi7',
+  'Gw6uWVGUOTsR0uTBZb96DqXeTJ72+FRq5nUGMm9KuNc+N1bUAHEJYios35owDmVYYsMudVNfWF1Um3pLw3WTHSS+ABhsITCRpvKv',
+  'DKJtfwr4OgEGL8/b/1tfbuxADwDWCYNnqukKaXOgDB8BIOXf/t5ueAgt2YBpIjPMA9MVK7yC6iy1/4zgIoGyRmOCKOA/5pJVjqEY',
+  'ZmrNSoJvnVE5RKuf1zMxohjPJ0xJ+LrxPg0N/+0wrkmeC2nYAVckBfsxIxGdaHN6jU2Jf080mhvvSAfQCFPHVX80PhoeB5Gkb0JA',
+  '2GSUqRo7ug3twOTA0tQyExaCFWSCGtCaNrG971Pv6jmPdHd0gf6sYDcaO0xpWl0z9WFTEE445mnJusI3NPzeSyQMTeJrwVUXazaH',
+  '2CmkTbzPjMc3tcFEs5GlVmNz0CPR2JE0kOufjZVrNubJhVxJRSG34DMmkkYdE4YcoUx20ERN9ofom0lw4xoTiXqSYJ7cbJRf0uyX',
+  'Pf4VU1JFzwTzkLQzzxA5lKlrfGBK34mGX0AHO0AO+8XVc9ruaDB/bUgTB7whiUvKgmkrXJLNE+mbPSrpqy5mGDMjlYON6P5wvNlb',
+  'Ob4bH/bVXs5UTpejvq3KwUY4fxyN3KkUX1UOeisHL8LBV+HUQby5HE8PVTcL4eJ8OLVVKa5GCxPh2HI0+6Y2u1c5eFEpFCqFtfBu',
+  'X3X4Rfh2p3LUVzl4GC2txgvj4dvVyvFCtW8m3i1Gr5ejhdH4+E78ci4a7Y0WRqtbt6qbBXzv6QCW9PJxPLMejbytPbtfW97HB3sH',
+  'o7HeaGGrNrtZe/Ignj8IB3crB+PV4+NoeiHee1I5Po1n1qvHW5Xim3BhPS6cVg6KtScPqvu3ovtz1bWh2pM74fyjcGUi2l0Ph27j',
+  '24sL0cyb6uxUODQYbh5Gk+vVienwoD9cKERvRqK+rfh5oTa7F07dCQ8GKsXeyuFIuHocTo3HM0vRXjGcP4lHh/HXnXvhs/7o0UI0',
+  'Oh4tFKL727XZYrTQG93fju4fhkdT4e3ZSuFVNDVdOZnHsguT0fxeuPKwejpXOXgR7xbj4lK8tFrruxsdHEQjU+HhaXhnLBx8Uyne',
+  'D6fuVJfXw83RcHA9fmWu4+hheOdB9XS+unw77j8Mh4vx6Ei0OBDP7Icb05WD+/G929XNk+rmcjg4Ud07jO7NVftfh2OPw8FVLHts',
+  'vVK8Xym+Cu8NhXf7womH4eaTeHI7XFivHIxF+2/DZ/2V43vh29dxcSq+N1dd761uPYuLQ/HKSXi7EM8Vw+N70cKr+OVcbaG3+qyv',
+  'UnwbPT6KZrai233h/HFtbrB29ySaXA3nj8PNN2GxUN08iRbGw6nx2oPB6lYx2r0XnoxXjifi4824OBXtT9Z6R6Px59XTuejx2/D4',
+  'bjg6EY4MxTvFaPLH6vLtcP5x5aBQKaxED+5GC73h9GRtabdyOF05mKgOHNd6H1ZPh6vLtysHD+O1O9FYbzi1VR04rm6ehCvD4fRI',
+  '5XghXFkLN9/EKyeVo4fx45n4+ZvKwd3KwcNwcL02sF5bPoznN6unc7Xh29XTB9GDrfCoN1wbjwYGw6H9eGa/eutOdH8YcnW3Lx69',
+  'HR5shmPPo/vD4e37kK7CNJ6/8SzceFY5fBwubIeLvdH+VHVtJBq7V92/Fb5djdfHq8/6op3+qHeycjgSzb4Je+fCsaXqwHHloFh9',
+  '1hfPb4ajE9X9W9XNrXBpMjzoj+4fRrv3cKfHO9H4fLXvQfh0O3owWSkWcTt9q2HhbXRvO5rYjE8moa07x9XjZ5XieFycqBwPRQ+2',
+  'cGL7ffHMUqWwFo32Voqr2MvWYvTgJF4pQJAK8+HEvcrxRKVQCO88CEeGokfTWP/8STQ7GB0chG9Xw8G34cazeGYp3i2GI7Px8Z1w',
+  'ajw8uB9uTIdbQ/HjvtqTO5DbybVw5A0+e7sQLhWihVfh4Ho4fxwf36kcjNWGJ7DHV68qhdvh/YXo1ZPq6Xw4uBpO4ZChBYX5au9A',
+  'deteOHUHorh0WN3cqBRXIZAzp2FhIRqZrhwU4smt8MlA7dlcdLAVTt/GMa7vVA6nw6k7td6+ykFvuPkQdzd1B5d+ty96PBwOD5mv',
+  'm6yuPQ2HdsMFqKSxaeOV4mo4NVbde1opFqOR+9XewXDzSTTytlJ8Wl1ej9e2wpGhcHW3UihE97ax05necGYzHC7Ek9vxs2JcOA0L',
+  'M/HMejgyW11erxxMhNO346P71ZM7cXGpurkcLa1Wt55ASp/1RQuj4eAujMOjW+HJSLjyMPpxI5o5iYu34uJwNHMab9yP5/eiydXq',
+  'wHE4Nh8trkaF6Wiuv3b/LoznyHY8sFGbXQ8Hd2szm5WDu+HtQm3xUXhwUB3fqW5txHMnYeFZeHA7WpiHPKzuRlsz1ZOBGGsYqq7d',
+  'wslAEzch8LPr0a2p6lpf/PokPH4eza5GC7BOtZcPYG3We6P7h7XFJ+FSoTZ8J1y5FU8PRYsDtbnp8HgnHh2u3X1TXTaasjAajgxV',
+  'Ci/j0edQjeJUdXo1elsMxx5jhZtvqqdz8dpEdWvR2OG30eIqlG5sGd7kzlh1czs8vgfvUxyv7q3XhqfimbcQxeOd8O5EeHQPLmBs',
+  'NbwzVhtYx12cvqz1LoU/rle3nuDqtx9Gu9hIPLNb3YKURo+Xw8JMdWs1nBwKp16HUy+iB1vV05lw/lF1b6NyuB1OT8Rr28aYDEUj',
+  '01DArT3o1Ml8WJgJN54b+3kX/mV9PCxMVQ56qyOvooWB8O4ynoZLfBNuDlROF6OxlWrv7crBTKU4Fq48j1/MhlNPw7H1qLcvHnuD',
+  'n6OH4cjL6uZK5aAQng7WlovR/F50fzvcnsKXjtwJeyGl+OuLHyvHd8Pbg9H4q1r/08rhSOWgF5Zw/jgcGoQ5mn4WPT6Eps/sV9eG',
+  'wo1ntbkn4eBb+M3T4Xh9PJ7ZqRQmIaijE+FwwZzzRPV0ONp4Gi6sRw8mowdL0b3BSmE8HNyF/308XHvyAPZ/bLl6cjccXK0c9Mbz',
+  'e+FSIV7uje7NwZQVhqAyxUK8cScu3o0eLcABTQ/Ueh9CqDaXw5Efw63DSmGyOlqIFrbgkYduQ39nluKFpfjhLXz25Xi8MRoX1uKd',
+  'YvhoPC5O1V7cDjcfQcdH3lSOF6LF1erwi+jxcLxxYvR9PJxcCkfmo9nHcBODbxAS9I4jrjjoDUeGo9vD4cQstGB2ozY/FM4/MT7R',
+  'KNfuejj/ONpYiQfX4tHh6O1OuLAb3huCyB2ehm8fGTlfqr18EBfWooXe6umduHgUTo9A2WEP71ZP7hg/Al8Dt7J1q1J8W10bDU9m',
+  'oSkTk3BnhY1w83Y0Mh3dWsKfNkerTwfDk9lwZLvWvwkfMfImLDyrPV1CFDR3HN96Uz1+hShlbBVP29xGJHP/MFoeqS7fjmZOcWvb',
+  'd2BG7vZVDhaqq6fR1HQ4XKgN/hgWZuNbb8LpyUrxQfTqJB7YiPsPYbVGJ8LN2zCwiEzuVzdP4uPN2pOhcOsIUdbBw/B2sTb3JF4Y',
+  'x3/FqXDwAKc6/zg83A2ntsPpW/HaRPjkUTj2OFqcju7PQSyfPKocjofTk9U+eNLo3kj0aAGyfbhX3SxE94chsfPHUNut0Xh0pHJQ',
+  'rJxuRjOH4VR/5WAyGr0bTmyHpy8rh9Owck+2q2v9CE42HiAYe30Srz6qTr41B/U8nlmPi2txcaNy/LhSfAX7fzgSrS+HR1PVrQ3E',
+  'GwPH4cpSbX6wOjcZ3Z2oHC/Unk5Gj4+gj/tv47U7kM/ju9X+1/HSBkLWxeVK8U30uhjfn62eTiPCKaxVDh5Wjh5WNzfDraPqyItw',
+  'cCSeWUL8Ob8UTm1Bre5N1ZZvG9m+VTleQPS4PQCjvTuMiHH4RTi2Xt1bqu49DYcWKgcPq5untdnNcPNRdP8Y4c3UbHVzvbpZgM4e',
+  'vAinJmrPRhBlHRVgfnvXqrcHwvk9RMjjc5WjO7XZ15XiWDS7Ci+zMFFd64Vhn+oPxx7HD29Vtxahg/2HldPF6lZfOH9SOXwWLYzi',
+  'IvbHq1v34jVEbtEoYh44ss2H1f7leBV+J7q/UVvojXb64YNOZsOxR9HuvcrheG12rzY8jH1Nr9ZmehGNbI3G85tQt5GdaGAwunML',
+  '0cXCKPzvynD16TGimo1n0UKhcvQwurcdbsxWnw5WTjerexsw8kML0eIdRE2LT6ARd/uMPXxUKcCPR9t74eFuNDVttGksPOivbj+p',
+  'bj+J5jZrvQ9hVQ5GKgdjlaPHsAYjL6ON29H862h81fiReYTNgxPQoKkX8Jizb+CId4er62PVk5NwZLtSKOAGN58gjOztCw9Gwp17',
+  '8UohPB1AVrK3F25Mx29exy/nEPkv364Ov4hvvYkLa+HIy3izN5y4F80c1haf474K8LCww6N3w6PeSvFp/LgvHHlcm1vB4Y8cVMf6',
+  '4/nN2vBE3H8YvVqO7h2EKw/D7TvwpCM/Vvdv1YbvRKNmVcXVcHoSEeDguvne/Wiht3K8G84/ijdmwpXniDROF2sPF+LJ7UrxafS0',
+  'N1pajcbuxavr4fZUNPsmev0jLnrjaXhwEM88rA7vYj3TQ4gJj+/BVx71hisT4cib2vCd6qOJ8PAgfjaFmH/hVXj8BI5seChcQQyM',
+  'kHX+UTiyHfUuRgO7Ue8k/MjEVHVzs7qJrSF+Xj2uFNaQwtwejQfXIIpPB8PD08rBAgTs6GVteLi6t4HkZXQ8Lt4K509qi0+ixdNw',
+  'qr/aOxDNnEavi0iXHtwNV54j5Bt7EY7Nw0QXX4UTw3FhDW668Az3NfocOnVvL9rvqy7frvU+huWEjM3Wlp6H88fVvQM856gXVzl/',
+  'UJtdgDWe3A6Pd+DpnvXDnp9MhpuHOOHtqWjMZEmLy9GrE6SKA4PVTVxNtHvPBDlvwp3ByuGzsDBbPX0UTa7GL8fDid3KwUk0torU',
+  '4O1auLpaPZ1GFjO4igR2cbWe0lYK45XiG8jMzA6czsRkOPYIh/9sJHw2Ei8sRRtPKwcTtZm5cHAdW5geCadvV4pvw96jcOQlNjt/',
+  'J158Gg6+rRzfRRZWeBHOP6k9gDuDRR09jcYHwyePavdOjcYVEEXc7oMX3nwTF/cqp5vh1HZ0eBK+fRZO7Vb7lyvF43hjJloeCTcf',
+  '1eYG45n9yukykrLpoXhmKbxzHG4+rRw9rhSLyME3noZHU/HoYXX0deVgPFpcDSemkCpOvYDFOL4b33pTG56AqR9cw/XdHoZhPJ2G',
+  '2Myuhqez1d2niNneDFZPh8OFJYTK+3PRzlI0swUHNLmO0PflHNa/uAF/OrqG7GzkTa33ceVwHEHL5Hp4eGpyyUI0NVU93Q6nHoS3',
+  '70Pli0vQ91GjC3PPq1snCLFuw2IjbjwdxpdOFuGDRieimTfIDg73wsKzaLE/PJ2NTyYrB8fRQi/c91yxNjcULbzAHscemyRlorr3',
+  'NLo3h1hodCRcnK0WXlaO79aGJ8LCUDhcCGc2IXhGX5CPLyxVd8zrA4eVgwWEu/2b8eZOOGHy9J3+at/tcOp+eDILb3g8Ec8fVE6X',
+  'a8v7iIpHhmo/LsXHd2rL+/HyJuLq+ZPKyTgyo8XeeG0retRXm5mrbm3F85uIgjYXq3uL0UIBQcvTydrc82jSZOuzg9HWj+Hm43j0',
+  'eW1uBeHW83vVl/fj+yfx7GA4NQbLsNMPw/tyDp701mn8cjXamjImZSNcqWv0ULQ1Be+z8jzaWw03ZhFJTm3HfU/j4l40thItvAJ+',
+  'cvAi6l0LNx8Ajjg4QOQ/fwA3PfIgvreK0Pf4bngyHh6MIDk6OUUgPb9R7V9GHjpyGu6MR4+nYI7uPMBpbx1Vh/fiF32QqL67JhB9',
+  'ZeCUu+H0SLT8FBI7thuOrYdTz8KV+9DfwYHw6B5SAAQMD+JXr8L5eeOdl6svXkQPJmsPp+O1vnBzEce1dqt6eyB6M1LdOwwHd8Lp',
+  '2+Hpg+rmNkCq3WJ48Az3Pj0RbszGc0fARo56o5kTuFF49lnjKSBp4cpabXgKmaPJ4GrDU+HgTqXw0qSoS+HqLgJ+RJvAoBClFO9G',
+  'i0u13oeV0+Xqm0HYsUFgFOHxXTijowfxWm/UuxbdWopGTiuFtVrfWDTyGlI09RTYTmEl3N5B1HG6GPatmgziWTjVH93bhm1BTAWI',
+  'LNzZgcgNDEa3luLRw2hzDBK1/CiaXgi3x8OdR5XCJBK0kbfVvSfIlZ5u15Z2wynAQdW9JwjnFh/Cbhy+rg2sRyPTMHEjz+P5MWTQ',
+  'c3eikenawHF4e7D6dNBgaG+QCe7PI4R7MBmNzxuDczu6tweb9mArXjiKF+crR3OVo71wvS9amEckubQUTrwEdHD0IBp4XH15P3w6',
+  'DGM4uFMd3QIINjgIiObVs3B6pDZ3q1J8E48eIno5mAD8Mr4T3R+u7t8C8vD4ENklcpATIAZPjsLBV5Wj2Wj7TjQ7BRxs7DEuZWoW',
+  'F73xLJzeCsfWa739MLCTS9Hiam12E2Zw4RWAwZPJ2tOluHhaHX0dryMKiosjlcIkko7R55WTeWAs0wvx+HQ4Nl8bnqocrMLobR9U',
+  'TxfCoTlseWG0Njcdv3xUKYyGW4fVneXq3mE8Y/L31eO4uBhuHYYTfUhsTweqp/Nx/2F1C2ESQKejB+HYKd65fSd69bS6PxUevqkc',
+  'zADM7D+Eck3fMd5hG4Z6Zh3A1/3j8PgJvmX/VvT4CFrzeK/2cCpe7IV1WlkDGPhgK9q6BwmZK8BW374PLdu8DcW5NxQuTcbFJaQ/',
+  'wwU4/dG7td7H8cwT4BvP+g1CtY7s73QxvjcXzj+O9x7DPiyMI/buX0dcNH8CNPLWvHE9S+HU00rxrQmZkOPDg2+ORpM/RhvPop3R',
+  '2vBtY+Xmw2IBie3zQu3Z/XBwBBnH/Vu15zuIrg/Ga4tANsKhieoW9CW6NVU5HK092A0HR6vjO8Cjjvorhc1waL5SGI8nn8PHnaxU',
+  'jmYRQ27fCSd2w6kt5OPrO/Dag2/DsfV4phgN7CJ62UXSGm5PIRbtXQOa1zsA4G75FXz0Wn+8MB4dDEarD6PpR/GrO0CJH/fViojK',
+  'ar39EPudper4VLywhOj0oBhvLtcevIk296vrxXBoLD4tVrfuRIsD4cjzsO8hIqKjo8rhJJK+zS1c2dvVeLw3GhyvHC5VNw/iyS0o',
+  '9dJhOFjEmZ/uIxp5BLA3Xl3HSa49DW+fhtMTVgAaB/W6GXh9tmS2oUhK5jGLCc2o6wtfyO8CagUgqqDiaQtDmPUMYVNh3oEkhjjr',
+  'ecJNS2r4s55PJZqwCPirhlKqLBbYxDZ1dkEC77uAmuco27xiWPPSl9RiQtHsu4JneKSqW4DLYYilCu0kHnFIGr3LWVNIAyVXGWoh',
+  'lg02yncB8+vER2W4tYrwbOARS0hJRb25E5ReJomULA324bsN4piVUxTAUcjAOombZj8zEsE7BdVcgej3bsOjBLwdi9ZJuIY7aqi5',
+  'aQIKrjRcWKFwtloYbo9wQdjk3WAD4nUthTklZQi4ypB0PTMVgBgmr0IdCmxmVNltin5ukUGNzTA9leHDCHROMGLImdjjuwJYFH69',
+  'c5sqw/bBrUlfKGbomajf1pmQ0vA/lQ3+jXADaTHiC1u+W0a3thY2w0L9gKa5IRWDJeAF6FMVPhOWZIopi6EPSdFsgCdQCZI/1mxR',
+  'KYk07VWUghglDIHaMJRtYp5ARAanpxneSptROMfJEGVq5cpw1QQ4S/Xngw1KVVYY3qAyrGv1ruAxsGzRM2Jo1EqSm+92PZumGXYa',
+  'gOMmOLWFpt67DWz2XUEZdh7Ysswj4DVRD7dgEwu0JmG9W7bZTcP7BPfv3QYx3V4Et38TEs64yAZmzRB5+e55D9OCv9v16U1IlU26',
+  '323YVNBu1C59gi5gl4JCDior2oDQLpF5t2wxbpE0vUkMI9jQV21Cve53G6KT+O92PUOGVWkjIYY5rQyNVhq2sJcxp20JFzcOqq8y',
+  '7brYKbPBp0kTAY0gttFKBQ4TMfxGW5T2SsX3U++HTZd8obRdKpQO0PX+fsK88vp9n+mV3y2dlE7f95YOTKd9obT/frS0j4720n7p',
+  'oXllp7Rfemt66ov1TvvSj+azp6YLfwNPM088ej9c2i8doVv/fX+piJ/o4i+9NZ/aLu2W9v7599IM1lZawvfib+/76h38psP+qFQw',
+  'z9s1z3+Np5u1HZWWS+ul6dJRafv9VGmtvgvz2dfmr/ulo/cDpSdmzXvmNXzrkdmv2fX7gdKP5pX+0v77QbNrPBszBvDOvdJe6fj9',
+  'VOnH+jf+vDb0+v/4zxWWjt73/fwEvKf3/UBp538nBhy87zXv3y89Mv/DWQ+Zb98276nPMcBkgRMzOeCkdGjWWZ9fcPK+7/1Aae+n',
+  'lXs/rQ7/tHL40+qI+b33p5UD88q9n1ZOzCvjP63M/LSy/dPKC/Nz3fx1yrzh3k8rpz+tbJhPDeODeGX7p5UV86lD83PIfPDQvGcL',
+  'v+DnCd6DN6/+tHLSSaDT5p0L+A+fGvxp5dVPK8/M77M/rYyYP52Y36fMQzbNN67/tLL/8zOxqtV//uz9aeWBWcnCP5/Ta77OPAe/',
+  '75t3rptX1v/5zO2fVkbNLjb/eQKb5p3jP628Nq8cmKdtmk89M6/cNZ8aMi++Mm/YMK+8Mo99iA/iT+vmPbPmbHvN03rLh2e3zkbL',
+  'q/h5NlzeLq+Vn5Q3yzvlw/JWeQszGuqvnw2X981ch8LZWHnHTHIYwnyG8pqZwTBUPizvlN+UtzHl4Wz4bAgTG85GzgbP+s2ch0Mz',
+  'yWHNvI53YGLDi7PRs35MdzgbKW+Un5fX8L1nfWf95bflw/J6eQvfczZUXsWqzgYwY6K8Vt4ob2G1ZrbEmJkkcVh+czZwNnbWV14v',
+  'b5Rfmm/F2obPRjCborxWfvXzTobLa+VdzKIoH54NlbfMmnbNd+2U981OMVViG7MkymtmrsXw2WD55c8rfmF2slbeOBszMyr2yzvl',
+  'vfJOeaO8YSZVjJhpGGtmtfgEvmcH+/rnZ8/6yk/L62cj5c3yWnnfrO2FOcdh89cxs5ORsxFMwjDnOlTexGmb316YZw6W98pr5WWz',
+  'uzHzHrx7H3djzmfnrB/TMXBKOGNzL1tmHU/N+zfKz88GMDcDbIOzobOx8qvyujmv4fIL3En51dlw+Xl592yo/PxsrPzibPBswOyi',
+  'UH5dfn42dNZX3sWNm/XcMlM6cML11fWf3TL3iZUcmmc+NTKCqR3LuBOzjsGf724AEz3ObhmZe1HeMata/99T3zUnM2C+69BIxVZ5',
+  'A+sy34pzODRPGzbPH8bOy2/LO+W3WIPhhpneIHAkwT0NuHZAcuWZOgPbhHUgPAW+YSMampKNyRpmuoNhqmWIcpjwrtY59oZyIvPE',
+  'Mr/U2fRo14fvrncCKBl4nul+Fvg4phGAyWu4yeiuQR9njnIzdFFqZnEaeGb0gkfR1d6F6IZ4eTvvEbfelq8Moa+bWHlfooXDvV7f',
+  'EcbRUEvbzPRGSGq6k6XZL83RNMZPOMwMjaj3Aaif6cr4FtBdqQTfFQwZDB9wwIzmdd59C7FNz6OZ7EHtHDVsZxNbWmiqtgMLY27w',
+  'r4yQoHyinc0iXr15wlaB2a4JmtFbZDloWwikmWOBLhMMHElLIvOGpWxGdxL0e5rBbRKNCUTmXYI2d1qnJSpzBAgIPMQKvsS4Hhdt',
+  'EVTn6/0Y5qzRSmY4+baWLJtFmwKYtgq0TPDhuOndRbDmIXQHRTmPIJ5aGi3joDkZ0hda6nzTmsDBZar3knzcKQLpEUSI5joxd82i',
+  'Pzea0B6QZ9XPvRVp8DUt+iV2qpzP63KmHQnK1deGLp0QPquPfQA1XpNuw75DgkBk3rQbZel1n4AblkU8K/M2tcBsQrMqmkeYwv1h',
+  '7gcnEsMTmMacTZAXs6ahjkM+0DJAzTtVnehk5mNgRoXpd8XwRkZ4vctB1ZsyVJ2fjaFdODMIWKApOMDMdIdANGyWRWTuMwvH82l9',
+  '5oqLZAMnT0D65fWbrrfJ1DMiwrsZSGT18TPqXJ0Wrwyvk6oMNbwxMGWxv0DpRJrWOzvUf9WlNUCzAc9TNJ3Z6JEAYQ0Ef6Nj3UwE',
+  'CpkNJ3ms0jQdGJm/ei7gHR80gPSKoQLczCUxfD7mgcEH6iZa+bKU1LeCAWha+IaBT23ftBl4Qf37v6jv3SKmrfu/66oGJm2AphzP',
+  'Q98AtQOL2p9ifAhaMpDfKEmzuKpEnedWJ/WCxwdp+DRA15nOUm32blpbFJbCvOzX9Su2iNHfeoMM+gxMswuieouifwAXbM5aQeqI',
+  'Z19LmW/6Xd0IJK4lPJpLfF6/h3prk30dEkL4n+q2BzaEmREOUJIckdCHz9HdljXziNIYyAjKpkpT00tiuODU/oIGWqGlx4PMG/6+',
+  'rM/ZwTAZnaM/N/fzvKrvz2ZorqHX6+qbo8SHePY4LM00Gn5/2dz8ed14mBk4aKjuxj2IwLBAf+57+bk55qO60fID5IDU2OlrjXXK',
+  'fQKEczOYw0jI700uiTvxfXQYkG7G8/XGFtWcwkzBBtOIIN3P68YKw2m9elcQBMxHa00WA1JAk6wbTsPhp/ZvIf1eXmJ2BsjqSPI6',
+  'mGfxwKY5h9ZFCp0g9vX6jVlEg6j/ad0H1HuK6gOelA48hs8ba0Pz6HNJE/k5ugOzwsHIEZL/bV3D0TFEsvTjugkyIqUphukyLwtl',
+  '7IbsKhATTe8V4cYA8XxLQwOaBdKBTnhC29RTTOc/kwz68DmsrqIYjZXAuEmWDjT9vTSzqBsTpgO73sahkN8yM5QZ3Qp/qJt0JzAN',
+  'j8xL4F0kgzGs6nOHSLQzo8OQ8LSs07OZ6bPi5t3ZK5jDe62x3j2R+LlJCUx/j9q+pC4L0AXSRbL0UxdjSMmXtumN/3t973+se220',
+  'pSS0MMzOa41wppz2gDUNKdCm8yAN5mw3NRO/qGyut9/V2+kUZjIkNN5tJ0TmKyZpRvTAuYGYzFyGpNkYK9slPcwNXKdu5CTxmc3z',
+  'FjcXgC+zhYvOA4z9NnxvZWZbUdtnwqP13uoA0149onTeEbmEFonr9ThEokMxoLAlws1/Uw8r0rLevwabDAMns5Tn0QiEITX1I/i0',
+  'HpV8acMjJxTNQou/EWkqdaLezqG+Jharm2b0BgR+ImfGF4HueiVHExj7/anxkj93aahv6916GLnEqE0sYyAwQZl1UzN0g9pXEobK',
+  'q+vBUBpeV+k09WiGafCimZe9XjfwmEzqBq5PpUN85QpjXzAnj3lZphIYaI69S0UNUuLpBOZTX2s0rs7LIh6g3eD8oxUB92Aml7oU',
+  'J9qjpen0qE/iMjThK9TAajbhPIG5QKBnE5/WXXKO5HHkiU8D9LHWu8zU5/Xgq95VpswQOMLN0DRlWkOYlzUTMD5o8DHT2tNamtZI',
+  'C/PGfW1iNxCJpWlWq5O2622cGASGFrnEhx9C8XLMBIm0x+emh5X4mtq/rbv5eoBFSZrBLaGt2pgLNKupphbT5GM6jq2f+5ASxDPQ',
+  'Th0Ls+uk/kS9B0eaoWvg6WNWEf3SkPw92mO8/c9Nlp/XQz9mMDPu0QD+QQXmGr+tt0SgpQNyBkJ0YweMOEdYaB4GR8C8bHOOprt+',
+  'biOj9n8EGI8Mf+SbCXGWZq664QiXqIQrbiK6wTUyM5YFbY20rswi0DB3V4xEfexg/Ba1/8zzrs+sb+tGst7IqsxwKmqjhdNj1s9d',
+  'lPV2RvDzNbUMhquN8TA3Uu+PNUPGeD5bb4Q1I7I4Z/UhNXB8eEzdKdYlvwVTKRzmY2APQ2utMV2mOwdhCgYS2YE2V4XuUHQj1kNG',
+  'bf6eNbrG0YyAHsLP6vE8Z2l87w8JM5jn63o4SXtMaxJG1n/U1P4VF+i5qLcnKtNJR+0voTvwOBl4e7TiigAoKrWFe52avTTXT+mr',
+  'eiiNPjKRwRATjA8yo4vgrj30XGJc1kfJpnMYJd1ppmvDXNTTiOua+g710EBAvYRIm6TCjGf6oOGPpvMsgRNjNm1MmKE39ZZl1dLQ',
+  '8JWQiYaGPxIvn6j3ZinD5ae2X7d6GWZCMgzJSIgMAFMz3hBdF+r/5+pNv+S4zjNPeTeyG73v61V6xii4awHpmTluVFb5gAVSBM0F',
+  'h4DE6XH30bmZcTPzEpERqbiRVUhIPocERYmiqcVu2Wq75bZpUxJJE1xEcRVFfSj7O/DJhTNf9EGk6Dkzf4PnPM/z3shyS6II1JIR',
+  'ceMu7/K8v7eec5QATBrF8iC2VUjpUc2lTwTAAtxdgOQsZkIT7bYHkZZZjcKMJejuwM/5ZgzmtcoowJCBPzZtEETEosVyZE0WjcvS',
+  'N6AWn+y5PTl3cVLVTQDSP7l6jKs7n3j16FPL0sIBlsXuAOT7eShoOZzsqV4v6V6CBuQsjFlXj0eyjO9Q+QHxYj2X9MaGYmap4NQd',
+  'BJblnTkjXltdYRLW4zF2MJI/QoPJVy7dMKKtwhLtLRygpg4vEHB0V49/ufGfWdTbaNcA8jbIa9VkTZP3fL0AhwrFe5ifEaUhQAHh',
+  'Cue0lXwqBrSS2A9TnBVoiuB8GgFB6EserW7nEW0epISFwjsepypWKQaehb0oRIqTyp0rS9dEnnHTcD67q21sQoFyl308EcqWt4ce',
+  'G0sCmBt35ocRTrFPsFFwhjsPnxLe5yS0+LD7UJLYLFVpwoI3HBMq01AZiLuHtS4O1gyW73KO6Ub04Qi+4iySi1i5OJbT1KogrMAE',
+  'qup2S7vAUNU2G/RbzoLISb8fZdmbrJ/q747qaj807X6sy0BvD3OeNT/9XQzyIrb3sNlAgbonrAucAz6Rj9ff9clhnFUmWwy20DFg',
+  'F20x3JBdRlw99o671gwOarPcYuXU5lgmQLEIOM4Apznwy5FsdiIP6MvA+4otT/tqwS3pPjLUHbfK1ML0i2k6JnwSe0ER4cSQvakN',
+  'xR1Ma9wuJukCEA2CKdIiYrQ4dEBmst5dBd3pEpkFDhh/vM16htcJS2kaRzj/QpNUtDgYLvEy3YMyUS8q2KGSV+A0sTxQuFTuh0sH',
+  'oYhpSqZbubyIk8lXqXbIYMGzWcBLhlOaRElAzTBOp8Sq5IQWKq6twROCl+VZ1wSPPYVCRYRrGyrEohvR34XX08b5JbnOIh2ky4vm',
+  'SkxTglNDs0mE5hrtgl5vqDlIdB3acKBO08gPOw+Di9EUrCYvl3P0QYl0i2MuIeqx1OnsLy1KLiAmzRIbKXAHW6Y4Ih6epkMYLSwe',
+  'kghTdW19XkEuDWvvrCMJkNw3pLEWTUwzOlRxxPBUKGCAeJQPT+/YPdkT5WDz16/OSrfPvjb01UCAA0cALwk9FWIVQlUAI39607dt',
+  's6aKvYTmKrGagAM1Ho/pVl8Ln0IZaNWqTDQ5oNL6WxcVQypQXY5IEm2+VobgRaI0HLrWuFjdB3LblFeGgSlfbcBq9F3vaAajb0N1',
+  'ii1FmnV3tyI8Y7+PPjCM0NXNvQu4Q8tzsRHjgI+SagfP5QFiVkrV+qWLFlhad74qnFPdoIV/gKhlJf247e/2hMBIn2AnHXdOfg5+',
+  'd+Z5zomM0Tb1Eog7ngHcmvHzCbtXTC4msOPcjgMnv0YR2iSmttkTreSBRSrjLD0i9ypWbkbblNE7nNa+TBdYJ7pOdma53IKf+2lf',
+  'L1r2FCCLYO3cgphFLNE2jhTdWr9QccWlSHf83uDQpEel4Okck7HL3okTII6d91UMpRvKV2MxXH8Xpd0pyO65Fs4NGz/1szWhIz6r',
+  'BTRf8KNP8xhbU9Vj7/y5y+d+0/0K7MRpqOgXwaloF75k4TqicKArLt2nyfs7xW2mLFXKmeJ4DWbDhZa3+8toQrPt+rvk0KLDjYvV',
+  'Q4pxBhm6aInDvQe1m9WE1o+rK+J+aVaMlyPsfFhViku1yQGEmhLWEar8gNz0nNd4YfUBW4Ds9Lf6rgnlTr9AyXY91xXaIiJ/NFOF',
+  'bBqVADM1oFPGYseXIzjvp7e5U6hY0O8OuM/v8/hn7HDfl+cUfQWbNywarxgSU9qhiGUJm+jAHozHTGLwb7zkRkT6yjhiabexGrXn',
+  'ZSvCZXWx6vGdOgFXWI8Zq8n9RB64u3DC1mOchgwvVmgcg2OwnYYrCFJeaVmcfEqFkX0nlM3OgXZTnPIPx8l2j88HHAae8FyZ6nU3',
+  'ahbk14Br0N9FHNM3gcDNBJgdnGw4BovsaCZVBbu0zhAFbcUd1ztJ6GVbEzLwsDz2i4oL3yNb4yICBUDzEF3xqdhgahmQYU9hrYuy',
+  'RlULvz2HqQDWhUfI8356q04ck3Suaqd1tdT57h5WaOdueeVyP9JIs3zS+P3YyhRDAIVez4ZANA/KHmQt6Mmey3QID5yQkBwJXZZg',
+  'nBAWlLjzDZc4b8ntbq64WI09ItFLXzGEiO9NfeG1n6FhlKvHvd6lehbcKVKQT4m6ka6EJYDhPPvLEiXqrh6TWHt6G9HJcOBE63Fk',
+  'ZYeibhwKmIlS2La73WbsdaevOu+kAliHaEQox5cUVbknsGh7n4dwIA8pTRGBdS1y9vgAPyIzAce5AyUKp2c6v7iCXVGYoHU6xLE9',
+  '0JaHLkR1tfSOJcb9s/1p285x5ZicqBM9YofKpVg0zUiOAxY6Pp12XXVJ6QTEO109LoFzbpdj+RbY5A98CvKr0gKBpnCJXqSbal4/',
+  'TMRJRX5Aas+VCKd4HjaMesC9ou3b392kGVoUNe2ssQYE/FVXjxEP8e30vE68PYWOxbxJp3XYzENjZho6wsFK0NaFmNwFOZrjOG4D',
+  'muA4NGPbJLpzk20JqmIsnHw9hFQnNGFcsl574qs42nEP+Ha6SSe7muiYd3MBQLwj1xr8taZuQLDHJsD4lxvSbWnQ2czBe8Yx78BK',
+  'cBC30NZvSCUxyBEICi1Pp5Y84LJeFOMGoZZ67B5gsOIOJLsQ76kcXP+7FB6G1V/zFyAx2te6JSG+v8tC/VCgzcrGxq6YDo6gkVDc',
+  'r7j3vQRCOXZ8WqJxUNlOl4w2+VLADKqGYGKARN/fTbyDCVr9hCbdxars06DWLVJqxF76RBMmyJ3VVetG9XwB9lohHkECHNgt5oJS',
+  'F8Bs4hXjbAxF8vRzNCMJAFg0OLmKerTgQE7B1idMH2Sa8UIRKCfoxe49wL2lJU57mlOPLppQfFJpD9wuQwo1kjzKKToGA0ZhQePC',
+  'PSB/WvX8vQBnomqHgbG1K2G5Bz5avIpJhNN+Fke/dIb/wcRrEJcqQrl0Ao05nrb1uK6C4wiWdeN2yBdGHgjUjnRRRin6GMCObHnd',
+  '8YLB6X32XJqIxeRGDX18aKOmQRTvYJyXhDUWEKXjicIw2gjrAxQOoc820CUG8QJfYbGost5Ng4M1dnpz35drpxk0Or1NcLAWHk5t',
+  '7TbIpuI4aiK4fEIeJeBXT2/3FJltYuWw2e3R2k6iT7m7FnQ0jWF0WV7Bnp9zfs8DqBWTugCV7rKfYH6e46I6i2PrwOOQwhY495Bg',
+  'sQOli5XQB798P4BAZXUQHJbEnvJx9y0KH9NM/gpCKzirmJlwbuoT7mVR0YEjNfzUOidfrKoaP132eEICRws+CbwNeIVmJtQNQxHC',
+  'W4kalu4C46Eh/wcJcKz7th5rDqJ5pgN+vhnWi+YehZkeRfa6WW7xLN/clHsM06QC7sahdYrQRODhLB1aMZaItNJz7jumbxoHRjB2',
+  '0KqAk40OZZx1TV0tZ0Uo6RCgu0VozggLAfPAV8bx6G/9iht8/Df36KS5nZrBEQffNbWOrd0KJ+sXbkvqjpfk5Fw84NHQ8IDJwVES',
+  '/QxtK4FOQUdIbIA+MT5sMVLubs4JFfdbjNqtCSQ4BWxtWF890FGnByvAarsWqguuqKtTILDCD9l0PKAPDjb7p7d7QzrEExLf67MY',
+  'NxerTcfAmcJF6XOf++xvbR9EmgD1OC0rDQ/ypIlM0oAIJyY7qCuXG7/gRuqSAHZyVAajenZpVDfnFAWXm7spb7DdkzfICdl3j8Ry',
+  'GspZWgwXzRA9xxaxCsNItu4mWwKsCYboxB1M5MTU4wpMNF/uKZMNll3p2avAtTW7AZTLDYV4NgRZHGyVcbfX23QML8YKJK9pESF7',
+  'THdbTJycL7cfPX21OWiV5UEoEdlrFiWt54bBuJFWI4wC8PoWJTbCKRZ9fUX0xPUdTaI1A6cxzprampB3sJrnfvIAySXuN9BntVga',
+  'DQrwfnwYY+nFXWzxmkjvH2zBqINtI54jDPhqFKZxhlkDN2K4dKJOboLzDzR47dAEg4/V1mlTfR4LBh/mgKW1S82vs5ETenm/Mr3e',
+  'cSncG5oh12gTr4TkxEPcNNwj4X+W+p6jCWS5dIykNU77p0OMs3fiRGwdejwiKBoKoMAxWMyNO4esxwy9S2PDnfZKcLH9DVn+5yow',
+  'D2vxGp3hAe2cEJIQoVFEQ/un0UhtjcGAEslt7CiiqtlNr1+UamBjYxc9Bh1i4jt9p/MsVgwGDJTGENnmU7uD/7yVRkh+4fJ7MtYT',
+  'gKzN8kCHMHus+PTxHXdqUQEX7Ni2tmnLpRML5uy5xg+jr7ALh4Kb4qJZgi6Gp2UWcEPEwPWYaOWAvuzqMY7MJhR7JUauAkoNwbgJ',
+  'z1sFb0nFxzZjuUideMEXYHHvycMUvCrtym3lSCDql8JsWAqp56isCIW8gs15Ott3v+7UOaYdLh1SXUC2h8aJt5gI2Q/FHnqIIIxR',
+  'YN7ArKCV4FPa6eMgUk4KOo+7/HBZ1pXyY7bNMNyAHGzLFNy5RPNVJLqE1RcbLF3ECeF2u1jdC+JwXd1pkcvRCNaFIKEOOH6kTmWm',
+  'nWYXvbU5drM2OcVkY+XuW5TL1II8BAsXCU6EXWce+898vCjpCSPU59jt9NR/OBXnrSxiJ4YaDhvcjjh7Cc2V8VaQ8/YGAnUDTSkY',
+  'W0xC4ifXgGzrnTiB6eIiFi1aQm865tXYwISIzuCGyy2t3+GElk/pD/DCL6jnBZuNhGIo8+DO+VX3q/Orj7KbySa7IjkvgurmLNBi',
+  '0Xze2GFMbhvzE0cTgbGb+kzHI9LtiN26Dl8HnekEBhRgCkEyCJDQDtP5JGZpQYBgIzZ/z+EQrklZhUU91nzB+Vgh4usQ9sCQ47hS',
+  '/vBAZsXBlFFY5LrmoRg2u+j3qViOU4Z4h4dUPR4t4NuHmBg/83xF7lwxiw3DvVdDsS36rXtAGqWLmNfrDjtJE2vYUkghNjxgY7UP',
+  'dOJOn21PAIJSMhjWr+eTcJOl9cvNmF0PnItw5iH3mOHcpCO2aJNvYxov29qNCRE8qLD31HTSBEpLnHwVAmZVu5jBbEJiJdJILCKD',
+  '2vcgOZumisytCZ6JeOTc1WPpPBwmAw4FeBNIuSLvnEYmMwDMKsPkNuCoOZ8utb4qw1LsybSlY3SvqX0bvRPvES0Y8GAt3UFuEKFg',
+  'CyfnT38W2rGDaaCBVcrVQ7OqkS/v4X/6WtN9tnjwDkUe9TLBknLoFYMmGpWSwc1MO9hiyBYMTaCWDabYIgWZabsUP4YCHRdiNXlQ',
+  'KYNYCQdcczAeAZL1VHpQaVVCJn3FdAL8AJ6OwyWNNuF6l7Cs2B6XJ564nJ+F2Q8SIBmq7rIEcpuK/TuSwtbYt6m/uwBDv7/rLiGg',
+  'jKDFPo+AZhIaB2WOa2uYvgAex5BcrJSVc07pCIRMYnJr/fMPPbBXS3DIdQ5dBN0c9xuSbYgpiCQy9UQ1jt8DmdDbMtPawjZq7iHV',
+  'LF5lzANVPbCHGfnS7DnFU9Q78X2LuyDhSu1+3QoVRlaY/OI7J4zFzPckIdk0DrWwrxQrTJGARd4RokPsdSN+Cs82ZCqcJFzQDiS4',
+  'ClPCDKHPwgOsnd6WFm5nqDgfHKkm+J0dh7DKQNO1R9wocllM1XIxGnx0kzZ6XeFgD4XbVAwROSx4NosWAylArBOr0HnHPmO19khB',
+  '/zaxD3KKUaG1p2h9EgkYNx0nU0zSKsE8gDOj7R7vDlMY8ySGIin/5x2hjJi705iIMIT0hGaa0lafHso86O+y1cMFGetCgK97xxwO',
+  'ft034UHy/xw7gIQGXd+BzcZH+8zFPagZN18TxFhWBbca592GFuBFci85tDQrGrwqeUmfFv96nToLyk5jXawj5q78reJqFA4yuW4a',
+  'T7ArYbguz0mI0jJvuLwiW4NH8MkeVlMonIf0qq6qBaCl5Z4Ejgz2o6CIs7VuaEggauMilv26i9WoYb8yIfI2pGtOD42QKkOzBjhp',
+  'WgEOkS8Xq/OKOgQE9WCxpCnyaujTViJzVyrMVPtiJ7bUrEBgtY99QtJSHigGN0yadD05aZsRrmNwO3K9dG5+2js0HXNNuALkvaRQ',
+  '67CopzF9WhOUzcLQfwQjsC61XRo1HJghF96MPeR8KQ68U47PYZ3xmEiwjcVQdppnidZEsxQkPTkliS5KvxQSw3bSkBdjdj1EYh2r',
+  'g2n4WEGllyIJv4iYKSSOdkYYLCB+KzdUYpqaoLJkhz3nBe90In5v4qNxgt3vaVcgJbxo740TaJjoXQ+XSK/J60E2rIgERw8pY1rS',
+  '9Sm9zrFE1mWbsMYmmB6IvlZNGC9S5kq7nU9ewu9cUppMWMzEHG1Myh9tYrdw9ViZ9nW0g0QedkFeJJdTWcp42tK+8ulPi8t6r2/2',
+  'fVNsseeS9jjalIiuQusFwQUw8+UyXVmmUeM/iQq4IjChebJ3rgX51zOFvVBfreU6+kSXcLYWVdvfNQomuy06X1eMhnvHgSXBPjRT',
+  'E2xzE3CgorrP9qQ/Qj9oPPQ6FyNOL0RH4ak9gv7TAW985Dkn7gVrGTsRRQvGlfysJi10dIh5jKlNxYCgR3ld4j5nujoESQfQ4rQN',
+  'ahzRZCu1OktxAzMErjH2dfPJBKXLAKcTDGtwaWPakEpsqsgecJi+KuB9sgdjQAIB7dgQ323py+DUhr/ELEaKEpeNdSTctRiPfVkL',
+  'zzlg8H0aICtybb2nlAG9nFiJAWricR6fhV9WodmvF0l0fPdbaKKFDJvDB7Gjji+ROqsg/8U+uNUu0PYRMFskwi/VZT2j/hdpwA03',
+  '8G7aqN1C//xD7sGHLjvh9Nf5Trw78I0TMx9h+lYnLF3Jkz0d9ptTrQ7eIbJgEemZPhZnf7celnECfDEy2nUfx8M48mBva3c3xFpu',
+  'Lpp7rOjJY2+exuQBkW/DfejmFZr/hNj7xx3MqVA4SBAo/8U+7ZJUet6xEeavS4yqegk7rt0wsnclD9idfuGXfKKWfvXDLLdYFwHa',
+  'CaDtpEc5YB/YdcdAsndzxaxqbfAbeoHbkh4Jpu5ERZa+IhzMdRazQZMj9ty1tXfUU6xFHm4WWNhW7jtU15YQJzEwgf0K0+ezSgvh',
+  'Lv186R3XFSI7jKojZt9jozWcgYyl/+fFmTO/uucZM3SeSocTJ6RW5cpMzg8u7T184eLlhyVgEW19i6Lz+updywvFWv8qC0DT+oHS',
+  'nLHiOebi2K0dRGH5nQzU5D6JgC5zh1NPHHkoaDm74RJ4bSTUlOiQY1tsCcSv9lzVfl3CRomVQ5bPa8EOlb6/oDQ8I8aTGgn7WUha',
+  'Rk46soFiFn4bWOjBljDoifoq38pyUAlAE5wY4FzfW1Pv6LPPpa69F+fRDiJkGGfURccyfMpT8rfzm/9le228EJs8be0yHI7Qm/Pp',
+  'gsaF62HwcSWAkpMk5K4QH6WyqvXl4Z8Uku2zIjsswiJd8Y2f+BDLSUj7oUpXvAJvHq6WfzSg+qGJiNeiCcwMpcGjen747ITdKMMM',
+  '8YvIhir1qF2gBdWCEmF8BKY/f8CrlwOK2lNXEe+R+zx8AfqJUfRJ3/OqoapVjg9KO8p9pbvw1eG7s9DUHrXfBaqEodWdxTAboukj',
+  'TjaVxNfqJBVSeJQ+EW3iaW315qwqKmrg1CfQiLLpBkrJ0cIP3Rlh5+9Lror7rA/fRSvmmmdHnVTaVKtISC2cWHXSAECPtk6xDrMh',
+  'uiTNWONeq2I8BQWD2FYLdS/DJjTwPsPha3VLmQ5aRhVxUrMlRcH3MIo1QwPRewXj5qFB9dRkgQB+IwBAMrYA/hYD3Xw0JEIhl0/t',
+  '4Y12gUZKFfoyoeocHZCw9T5aj3mueFZbId+G73kq5OqkCvc0O3wWYugUUjx8vaJsqmW9rC+8ivLV8iCh688I9ILRCD8ZRgtfAK/A',
+  'Um8WRaB6ZwgeAHydJhqZIM3svaNK/4afYd5UXkNOKMOsTuguFNHbaobKcew4h+9WbBFWsyHYDG3CHq0bTyIA9f7QWrBb9kxtm+GL',
+  'IVuPZDr+DiMfuiw/m/s4qawMCU0zmQFEpgtBF/YobtBDVF0CciebcFVlN4zIxzYgiIpdEq+qZWa/gARnaYWIyR65tEK6dG2Daoez',
+  'VnaTUj1G7U1Q8UKL/lgouwdxveX+ppKRZNU6BexX/CKFu3zeyLotxJ8QeISKDPMZlVWQoktH5ks497A+JToKjdVypSImFtDBl69H',
+  'dYn2zbD1rXaHmx2OU6ulSywmgKFRLVmu5IeJ6krW6CGvu69u3DM/8degHaOCAvpCpekZ9Vw01PwjZjiwXDIccGgzkH6AEK2tJ9wK',
+  'rSinGLJ7EHj0B/Q07L0x0oZAXrLqpPvtPSu6g7pJ1bex6zWu7xNqIotZXVA4kwsLdGCXSybWUUHD7q4NloXHYTDGcO+jmiUwfEtV',
+  'KDvTUGPfoswI9wZYBeJ0SsaO0CaSxwWr5Tw7SLH8yao7UxUmItGbFA0dypYp5kqxQimU/u4crVF8UvcY1p/i7fqS3lvcD76ZsHMg',
+  '/H2YRezS2rDF5QzvH1JTROdg9WMeUIvv25CrGxEEKOOoRRYR85HPFVJr+bkl5Vs+VuptEIod1YEgtrmGuIZyKPAq1BsB83mBqV9Q',
+  '5bD0sRmhe6xCVZxvVJWhcgbKSKueSiY0L6Z1omoCgh3cP0SucMP8fI5zYGpFneoNszvwhV8wTKaCgb6zXbrUJhrSlhUhWgx+SZn6',
+  'eFFSZQ1xALn8kGMjxjxqpRTz5WgSN4ax2rKCs7wONd1YXyRjxO47eerp4ihcDQ0DRNS7oelogYfEclCTt9GIQ/OArRMIBrjA2OOk',
+  'mliAb9fU+MVZlwtPW7Zjh4IfC+hS3j/UFaBBZJ31n+ikNWmnqn0ORWIYkUJU7qOoq0XYQoW6oyXbxQNvj4U6mbZsTDoOtq9yfjJW',
+  'MUXjA4wkIsda/3WJF63qsALzdt8zRtTWVd9JIY2mxUsmbaxUKKkjT+5qUi4hAMF6Va4xFOzCPUetXFmiAtbmR8HO6FR0aZ/+XyRv',
+  '2jQV0mh30Da7gxY1MNyPVOoV0NCZoTbeLUq8TXXL5oX7obm3ngVYZlZLnaxAOyGYiSilJBN4j7Ma+3muG0dAIFaLoORYfxfWGFwh',
+  'lb5G/4jqZpyzUsX7bd8QY2jU8rBm1w7ta/B6YDdboK9nNb6J9rnbcayVQmu/SuVO6kwQvWLwpanjobOkwZ143qkikPvFw3n/V51M',
+  'YWXbCXkd7AfD2LRT5FfQFSxMpLWKUC9Ryg2pAtO/ds4smdCZheaiDLWSghEUnNN+0+oK+6FQf5StXavzTiwv6TlnkrVk3euWufLN',
+  'FOSFenVh/UuFCnEo9nlfIKrfhrm/wp1e86bv4H5Jgcdw/S5d4Lgf2LKd/8OOmcIEL72qG1O5bd2v0g2nPlL93b5T/yW3pnWHno24',
+  'nkVlezy/mxHClX6Zotf5gZcQuU9uW50dTG70/aPVgHUNVQhUGr5FcefIio3VO+Ss+yWVKiVSChiTCmXU8yxKZLIGVjlimgOIqHgO',
+  '00+K1WRQRs5rljWN44h9u1l4h8DVKAwU2dvV/EN8UbJQqRzCaQRwce6ZUNrN1PqwHcHDTKE0HdlZrr9YN6YU6JfxGmeYhRHdaXMb',
+  'rdiqUN+cXo+LzU8Cux/P0M694rwwikAy2TzDCdiTcE6i2sciikucxTjvH10UrHi0EuxNpKHxOc4WsGrc0XGPIvk+3Ca/e7KnRm9s',
+  '7dayPIPnJ3ogeZ5Tm05h0SJSrOJU+jAKGzL/NvpOlasmjGIRIbY/k+6Zk6DqRwqlgtxF7jOLqrWqZBCnaBjK/CmXZ90p5gBPSQx0',
+  'ik+bu8Jhn6UWDTVlrN1wOlfHy3v8KODMZxC4XqRcxWMq6GTlsxVVDRT473N+PIKCZj/LhV3Np42OoX1gtDR+AAIVXNnjMlyFXbln',
+  'dnLpDxrOJ93vrvpOssMV37c7VjKL9TTYYpZo13AWaYpzGQl21V479vHCCaD6xLRlQYEtM4CFs8C+07SLiRUm7fT7nIf7vjzA7kxd',
+  'Bjfagh3BYkjKevad7aMFdteksj/ui7+MbtFxvo1q+fO+DX3z0uE7oE+19Gx9h7mFGSRlC8oiP7MI6vrIfQ+vC6Fb4zwklqLXMZms',
+  'sXfCmCIG4kgJ5mvhlwgpYX9DuSptYOYe2LGRIUpVoXAdzOHo7fQl37nbRDJmJyZ1z+y70Fh1eGExzuVsDvU3oCWI4sFhQ32KnS8D',
+  'dvPDASNhbzKIyCb6niHG4hRf2snwFG0f/d1NEyBr3wMFJKoSblFOcERtWhrK7r+wEnZnxbPpbtU/ossR5mF6yPb5vonktdzY17JB',
+  'XNSIJ8mbHcQayVhNzpvdRAc11tWmU7H7koqGcmwyJTeLo2mc+MoYHY4VQ8MITx9+3JLZUtb7az9ENgxBU+1iqFLk8zvTHicTCjur',
+  'Iwsbv/Zr//t/3Lijj8oJ+JLmvDcuszrYufHsGcsgtPCRMJcNCJI2rAaJIYBhGUzr4+jGrc775BkUR7UL8y1929827bworFQ5TVDR',
+  '6Jtlr3eOAgX0QMI+xuDRABCAUV10es3+LqJLOJcMMAPhdouN5tG68giiUZQd26WJ2DcBJ2Et59RH7KNWrZhULNk7oeIdzAvRdiwa',
+  'v93WUmYMtqij3q2vlIgHeCt+QzyOVd1nrNTUCAjpYZu3xr4o3NrBNI6mbtPp+WCHYB+jPbUqtm4MseJsPjkrsOgbsMIZXwVBGtqH',
+  '24Yk2LbirKyG0L7my3Wbf1lBv6nSif7MT1hys2vhPagERj61UL2BTdFOFw3C4AUdmhR+GaZ3G7anPlGWx+a1vlWXSN6/wCgmJs1q',
+  'Gsfb8kVtpS99xDGGoSwHlg63WsLBwJIonwYyZp4+Z+iQZPCIPC2dVXY6tt2uYN8rzzkYKj5ZWjmUsw3XWdW81S+ngWKpLnMWjMSC',
+  'ssA0NVEW7Cr59+XytMEoWn+VpRUoA8H37b57xpxI2OUXhy8m9Wa+XDtzVDW/TvZ826K/6jLM5lOfYqJXXTdp7KvREgrNuimLU1A3',
+  'lQUqNex17WQ8jvnbs/nVbYi+N5zVZRv0J9nzFPte9no7rWdzdkFWfABpHhZVqXw8b5NneB3Ob6mjB1ZQuZfjOwigjOPVni0UO97c',
+  'wDZ8w2Qk5scgmxcOxjkzrMy8cSwxXzSB6R+gDYwGk2sRmQnDPBL3Z5Kr3SXrCIUzjJJzg60i7u/KDkIeV/33sGhoH6m4VHEJ3Kqm',
+  'ZbJ9a1NdOy+wN2mqmyWcgvz9ULV94yWdZpYkJmdUj8RxGtZXDT2AeTOpfAWnt26gEZQ2aAc7HWzERz0yvsgCgY+SjKHS3534mS6o',
+  'smWHbAnWm80nh6Q61a/YhRhXmp+9Y37VbdoPWLVKMq3xnaW/tsTOWiHONgwNx5f1L9wG+rR2+rs9CbUGW+Zu2vfP3rllgT5jhznz',
+  'W50y231nwBtLR+8OtkxGZhCZ3ppawZ1eUzO409Nm37fpSoxmNzb17PBPq794oj18r7ly+J0AAhzIbgyRHr5QUSUWfbIgvvXuRs90',
+  'RsJThcgyJjjtsFjbe6wt2p/XhZ/UwwgHycL4yQLc6KIHw8pjH8L5iZDN4vCFVMjexu8vSUjVMNTzw3fhltdVnWpwQ2Vf4NzlPoG4',
+  'aYmwA3skVohHIRjdIupN/wKRDbBoLV6GG2mjn+SEQqK9dfg6/Yw4i80sMiKf/OzwBRi++4yW1A3hYQVxpXM6aixY9Y0VYdZzFKyh',
+  'MgTXPXwhMWmBMKgtcEs2JP4eWLqHrzdFPfTXkEWpr/mcGJEAl11EP7MIIvzg/nz5mQXIM5Yy0XYcfbK4Lztr4ufs796SBsnGz5Md',
+  'G/drj79UbSDTuKgb/IVcVOUh4MeDOZOTFSktqDyBrqNGmN1jEKvoEZfE9SzFkaYkxha1/8wC3cYTw1WHr1djRFnwdUbgYddkf4Oh',
+  'oqQCA753ZG/S0DO8FTKRS36YbyweUytKg7/Ds9T8g4H36OHr+0gYKP7W1u3hCyMYGKO6ehSgZPaUP7zhlY7ycF0XcJ+QAMENqDoV',
+  'xQtlaA9vIEmwz/ERx85+D/OImR3EXWvMZ8I50B05sPQUewL+4OfN4etX46xGpIfjxvIiNIXHKoN/JTpvCkp78H1URV3PNf7MI0Rc',
+  'n/ZujWLK/cMbHt0g8XkQq8RhbCwu6GnXcF1RIOu9pmkaNYc3EIgsDl9HGaXxMbDumFEBk/rwRo3U9wjMGz/D4MNfgL18+BqskDhE',
+  'JAZkJ8jOWbw/Dijx4XzzFTnFbGbeTLzKs2saZ5hdjHdCfaj3YZmcG34/7pMzTAzYNWCkgYxqGe9m9Z8STVCnHN4AHZik7MDlO1n4',
+  '5Pfxa4VvD1+AA9TRfdPhs4gLXmN+5vA1j/wI5M6WgFK8LfAkYGdUyy8mlUz6YtQcvgC5tJ4DkiPxn1XyGyzXVScbH2/03VdvvnHr',
+  'cZBs8e9b128903GAX7v12/i70YTfu/l7+rmO3AseL2i65AzfetJ+7h1+JtjC+py3dR2Qb/nz9nm3rtv3XyVp+LVbX+XdvH3zB/o7',
+  'fpbE3vfJ433n1vVbnzcK8Q/ENCYV+P2bb9u/38GVbj2Ge775Pq8v/vF7+v6tr/Den7Lrvw06sFGTv2cMYFF7XzXO76u899d4TXKH',
+  'bz1JIvBXQfTF3/jU10FcvvUV3jme7/v8DPz+G/y912591e7vjZvf1c+QoYz7533g/vAVEpBxnd++9QWO02/jbfAuwA/+3q1njJz8',
+  'Bj/te3xOjdN3b/32radsvN7j+3n75g9vvmrE5idIQX715ndFK775KsdZtGZ+zs23yGf+CnnFr+M9kXr8uo3fO3bX10mX/sHN9+33',
+  '37fnfdX+jdnzGEf07Vtf0bzg157BvOE8EimazOZbT918mxzYz4sHe/Qi6Ky3nyQXVsTYF/j1V0lE/Tzpty8dvXL7adFtj/5UdF1Y',
+  'AGC5khb7xu3Hjfm6otDiN5++/QT4r0ffA4P16AVj6Yo5+x3+9lPgzB792e0njv786LWjl0nc1T83SI/Fp3yejN6nwGo9evPo3aO3',
+  'jl7U5xoB+Al+B9fHp75CAvDnj94Cs5e//8TR90iXBSv4STB2jUT7HXB1cV9Hrx19G4xe3Ontp4/eIlkWvFjSdHX/uOujF43i+9rR',
+  'jdtP2vM+DoLt7etk8z7Jz/uuUXlfACH39pNHrxix9mmOKGi4Yhy/AJIsfpe0XfzmSxiP258/+jMyir9kBOHv8No3jv4cLNrbTx29',
+  'efQ8nojXeP3oJX72FzjyL/O3XyF79zvi3t5++uiFzOElnfdNMZP5Th/X9Y3V++LRn91+/OhNfi5G72WOLd7L83Z/39H3SScGx5ic',
+  'XvJ3MeZPyio8ekV0Xb0L3T/f6RfwPOQ3v8g38yT5wy/jT3ovH7P//JT996ftvz9r//3YT/30z/zsz/38L/zCz//cz/7MT//Ux37x',
+  'RO/v/N2Tf+/v//2/d/Lv/p3eiV/8B//wH/3jf/JP/9k//+f/7J/+k3/8j/7hP/gX//Jf/et/82//3b//9//u3/6bf/2v/uW/+Ju/',
+  '+Zu/ydfAn3/qYx/72E/bPz9l//wMv5f/an/6Rfvvx3hTP/Oxn/3Yz33s5z/2CzmupSgrKlByhlztExQrns1QAbT0+whaQPUBuBIM',
+  '9/OXz29dJYOJkrJYTVCmiXpPdDoI7XRVnR0axbwIlhryGA8+u/UIXkMk2/SzwzzYUsR+l2gOGPF9Z9U6KbYLpWWYtIREr7awlsIW',
+  'sVzKnxOzt0RMKBiEAth8VAiCCWY5Zpf/kMQVBg22bRZM9EP0wgx+P2ei5qjUR5kQROS6DcshG1nNN0tULzFS2MknwlUIOkD4RUyb',
+  'mTR5Lid7VGfj95HSIHjrrlgzb7T8rSy8zOm3RE0bHOhz5limrKRIBRxZxLKTJyWmXSVHjTQQGumsfNVStwBJf6zGJSOyRsMabIn1',
+  'CXShYo/lUknNupkNg1+0EelffAUfJenUtVDkSxRE1lWoG6vaSE1dO13MhpWP5YOWTHOb43q0SGunt2G/83FmcaL35SsYNaOM6Ovv',
+  '9kRMIdQ1sZoGaD64n/tBSja4/wimIPGI1AESg0vFE2MXKQd30qeE2LRy1DHNyKrBzwR2WQ9NOFeGqwzd+7kib0UWoiTqthGaMjpa',
+  'KADwLSOTWwqz77KCFd+XuDhU7VYONKK8h8kHU9vu9If5LTNzdwDMH+tmQtVCynn4HR/TvXVZLg/qGvk7L4/bhDhpsCXAT4/VDLj8',
+  '+TCi740SOaoYij0/UzENmHH44HSX6XwQ+Bsv8IG7PQuxZ9cy844gMgjEijlGhVD2TjdvrK72pgUOiDnMUa6qTEUvSx4Sq2zwci2/',
+  '4EvBb4kNNB2AlVv0t0yUH4q787KaowLqQtWuoZ0Kg8qLyupJB1u65Z7SlHWVHqzbQO1gYOIV+GqR9ELRHtQOxIakophWWkFWrhvq',
+  'uL/LGvLKoyxHec7iLiqWWRXdKEXfMiGIMnn4DAgSk0OK2sL8NOluOFPD0E4HJpbczYnyZYT0m6Bci1FvqyDcN8tPBJsJcIWY/h3V',
+  'gJYw7z5j4VXKwqjNWFFLQPyZNEB7eX828dIiZZUNcS6A/4Wsd0osjMDrrCQoR8HsRKBNzhphd1kqP4S8memapSHhyiWqO/lOc4J4',
+  'W0oBkygpvSZcdrlsw2hKbgp+gbM8MmPlhkEcTiAZsNoQoiXrCY8KQeF8WgNFGWZpVM9DFgclqpogozid481A8vGTlZAjT2pWj5CK',
+  'Y9E/p9/VVttFWlhW0KLrSOMrDZm6M8CuhfLBWHBGxdahumOYOeWDLaBHFMW0LHWR5VUp5897aZGUcbcMhjuT5rHByVXmXHhvFoHt',
+  'qMetsuRluTS6BuLJqJr1syCEWdwPFvB6lLS2AOy4YZix90rkVGDT545tUC3Sa/XCKIDAAwpOjZQ+6DG5aGWBo/8+CxY6Ku2JdLDw',
+  'a+HLCU7a6SwLnBI0KYQ7SxteBeZGFo3EWlgGOfuiNLr0MFaSRmGfMk9rWSoiaZoMBsHzTzMqOZq6rBYpNnJe9J4wbEA1dDmB63Im',
+  '8SwlD9jsxo1nrhuHLyroYMmUiFTs9DUzRyC5eh1A50ww52QPgW5w1UqN78Vg/Ab+L2eNs8rGzShQiGlG+Q7hrOOxJluOTJ6wEDs5',
+  'HjyON+vGsiHciKBab6d1CqiiyDpFCwwl1alEOOlKVTIXKRUkJsA+9rRCtN8ISYAFZDcN0LJmKDsoQZC5iDUZAEQudpon/ATDTzkL',
+  'VwAKTINjI2+RocI7ghC+tLlhEjdoFHYFncpJc2ds2VA8aOFgl0+rwRjiBlhWF0wB6FxdDctFs9PnkkHYEcGXuVggiSwy90DdsBvX',
+  'uh/WMjOM7mv1hZCtBwwBzAshpavRsgL8gCq/Yp80yjS/asL/kW2MRRGbnX7ZNn1T2LFFhaC2LosjrctF3WS1WLJ0XyguQb2HJ/RF',
+  'wYTUWp4jzkL0gaUtZCGZUQp2tB9ye7+Ut3ewi2K7YNOslnS3THUrTNrVpPsQVsfjgXvAQhVtX2BrWTrVauJGIUHwjMBS8M0wAh5C',
+  'KcgEttoBidTgcFzdNpDjNAB+DwIT5aKLJmffQk7wFcMw8ZW4DbY1IXcXoQNlFwLcjyqRp746b7Kepe29bKwA4FGzNMZ6uZQkjZon',
+  'abOSCrtQnW8q3s28nQ7GVOMBlYHVDSAU8OOJYCkC8iMK71EfFIvgsmqGqhwAT3hiwSCHxeclLNUQukVlDMA0r68QtNF3hq/Lya4g',
+  'PAuZ0rNA8lTWLS2H2DmR6vDO2Od8O5iV2AGqdnew9WDdHIQJir+kLuJrKhYj09XCO2nWspIC9jyU2UtjAAPO1MpKpnSL6gY7bjat',
+  'WwI2fHk3jR+yUm8KHuoVveVpqFjLqFpK4OoF7EQF81AyHa/OCnGk+Kmrx+dWRwCVQmjPZ1LAc7HBuTsKqnNDXaaoFPsBBecY4GCw',
+  'htiS9WKZLZxggsYCe1FyiyvQiaOpD0iH4u6OsiwhJnzlsv42zeoSyJSQqMGfxkRblJY48JqssKT4fFrXBcvlyFsItqERjT7HLkza',
+  'KPQILCBi1ZYkvKogAwGESX28Ze4t+Jwqm5fSa8Zqcnc+lwlQw8Rne7+kKTqjE3FR4nJfEpKO9489cwQLbd5EQIcbmDTSRwhtBbnM',
+  'x39zjwzI/q6pMC6ZuMwZZWGnD6o1mT2b7gIZSsi1adBU8NAiBSsp4aY0UBJFUZSYDIpdLjeygyqbjcZ/a2CcuppsSGYzNiMbuUIM',
+  'wiS0e6wmpdeP9zXYUmJxlyVQMyt2jkJyyqJOIg3QdIQWmKYa9/uqJeUQ6T3JkmI4eCSa8Taq53pS8RjSIuFpSfv4VKjCtUUo/ZoA',
+  'DuWSNhncaaXv4NdJjwl6z369wOuGUoLT5pF4Jc4xW2VdUFwipNpSVscBCkViNcJJn/PQJiCDfShWs2+ZQOMpQzpSg5LOUngfq3an',
+  'XUc0b6GaK9hjwXiBuzkleoH2GB7hsrCnLHblJmUFSrPEYi4cGPdg12miwBQ8zWljY59CyJ43hlERIhezFu/0cjZ7VN6AnCI2Ycye',
+  'yu/HCRRDllDv78JSkiaSNHcigUtVfooMDtB/PtdxxwXgfZqK2De8lVgaVQV4dyXBnbiewGn4pKJT74wBXmIfS8QlMTRTjx+ySesM',
+  'fRQKJgGBCMBJPcPBUSzmJdc55SuJZol1QyEPg0x7Ng6IIX02azFVSk1K30TXspZOSNwyIdkG1MNTUEPWHJBdsL/BngzqP8Nfz0ly',
+  'nOStn83RYIN7L17KJxpieSeeXhIKm9V9A0CSwnlUDeKN1RURuHhx+K1H4KNZBThtUemRL09pnze5UxQUSChMhlTeJLRJHDZXj/ey',
+  '7ZefqzBodcBaDET2D7Ky0ZRtJ3vmxo2gkNNRkkUJu56F+m2onMstHkxnCh3ImDbSRpawG3IRKKmlKChk79RuKNMUh6aYw9gZVW0O',
+  'CkDDUsf0yewpmAdUV37CCrQ2kAOAJYoKRR2S2NTx4cZKX88CkP6uXYvScYX1gqCPvlRDC+4JUBuIyQivsq2ZB4YNuzcFAiyC2qHK',
+  'AVeq7hyMthSxmJG017P3skxBMTQCJCxMR4CMvxIqxpkYhSBiYh8OOLjpLlagMF5BNwOsaRSH5IYDoSDeDCJ3n6Uzg3EMJRgPusMZ',
+  'OHoI4O6HotczdLGx9NpaZTkIXlndRNrNFUTZEjZpt1pFLeZ8F0j94TWxoy3sbm/CvZIlv7btgIR1YD22aO4apWrPN3E4DBgC2zdy',
+  'lUg6QFSkSrHKkYpcSnuWLL0h4htCo8fUGsDe3QGDCkHBXbO0yqUYtpiT2PlxbGcBt8sVbawy5q3muIsTqwosm+BLjmrKoaFFCs25',
+  'iQTSCvuIID+fzn3KtSTVBAwiNMVSEcb6OBwoxESDAdZH1ikNAKHiNoi1wx52AhbAYqTBcCWgGKAIM0QUYbdgw8/RnnVxjlw9vsQW',
+  'XzoHETQPhUAZsIDzIZ7F02mwpTew2xrBCWXQWhBZgJuyT1RczvYqoHrcKvNL2RHNApJiHP0wcgyZCtpKotS/qzRw3lmUKMeol50o',
+  'd8QtExBDCxGlg1BUrG/HiyM9y+VSv/y672SNPT7Hu1UXMsXZzDuuG2GkoI4B3NCn1uV0A2gmlGj1ZNe1xa7sDUf0NVWyvXlELE+l',
+  '+3PmLx7OQbAWkDu0WZAxgIMtn9lZJDUYGLlhV/XZ7TRknU6Vhda7+bQ5Q8AFt3er0Vtn4BsVzDzE6dUshsLlqnsXdi0rqFxnPFqY',
+  'RkmnXY7BnjXsdbnc4/HpK74d4XdR3Y4xwvTjUYtv0fyWRFAEdpExwOFJ3etGuD179OhZIjfEYNPT8MAihcWMsGCgrnzl13JcbIbG',
+  'Balu/TyXYXpnb+w8kgP4ROGjeXpaSwo1bIn7AVTlz+E4YjG6DKpFov/fdzQ3dvq08jAapmeNXUVRMvjDqM4xT5eLgzzZCCo1Aglo',
+  'URae1fDsG2GSS2OaxpaLFdo4l8X3eV040WjaUEkeb7pGmruMhWPf5QTAHZ7MAfYdA2VuFkF2dciqc6dgAnaJqnDshTPYsooTG1TN',
+  'cIBJAmvwcA/12HYkNoq49/ID9xMLAd91edbY3XtTBAdth+RhQhIZMnjZHXAbWb1qB/1OfyvX76HkhqU1Pp9N1MahuHqckxQlyrbC',
+  'Xz67KGNoF/vxL1//i2fCXz6Lhtl/8WX7w4/e+fyP3v7Gj97+0w+/8a0Pv/nSRy/+Dwn2PrjxDSn2Prjxjf/v9775/7xx4//9/e/9',
+  '+O13f/z9x378zlMfvfzsT17+BnrVv/T1j15+Fb/4/Fc++vPf/+DLj334zS9/8PSzH/zB8z9+93c/evzrP/nB73z41A8/+OarP373',
+  'Oz/+4Ws/fudrf/3E8x988d2ffOmpnzz3/odf+d2Pnn3mw29/86+feP6jr/3gwz9576Mf/vcfv/3Yhze+9eHXX/nx9//bBy//0V+/',
+  '+MxHrzz+kz95/IPvfP2D3/lvP37vDz/8vVc//PLLH7z7Xz9886mPvvfOR489+cHT/+ODJ1/64OXnPnr5+Y9efveDZ9798K3XPvjm',
+  '6x+8ff3D373x4dff/+APnv/gmW/8+N2XPnj7+gfPfeeDG9/+ydf/+KM3n/7wj7710ZtP/+TlZ3/ytS/gw3/47IePv/KTH/xOlhMm',
+  '37SHN0aLsobphonshx6ybWRIFhTBhcY0YEUnEkxz9KCHNwJbC3lbf5CdmhRZ296G4eG7yOmy+lxqIXZqJyVA3g2CsVIPmvw0FnU2',
+  '3pr97GR1SkIIryDqIyaFYqgKxixr03Uur+SMnS4yRQtw1aqMpvRutKD8TrXOhzd8nB0+C/siq2R9k+VVDXMuUFqi3J4XbUN5+MIY',
+  'VfpokWWaLInIVEyrS1Anh5n6bIle9VZ/XqcsoEoWMYs+tExV+GQ123UyUVbuWuuLeuSbw2dHrepKKIy0MYymJCt8gVHmqGLh8Fbz',
+  'U5jKm3I1yvh8aXUvJC80I0wFUSvhpXtQnCr0M6yuHT5bhms5gFzPQ8nZ4rOML5lZhinQQFlZQYn3LDMZkORSI4Z75iSZe/utrBZM',
+  'WSaZR75Ouan2dbbE/qG13EbT8etsjK2m4G/z/7/F777Bb73KH/ti7kSuJuWP/+i5/27fws+/xP//Njt2v5M/R13J3+EPfzV/zmO8',
+  'DV3027yN5/OvP1dEkCrqUbIW4LilV3/0revsX/48f+Zl/vk5/vnP+euvsjn62/zic/mWvpvbluvqX8iXeDV3DX8zf+upHz33+/zK',
+  'd3k53dLv5WupSflL7Kf+mN0q/vCHfIpneEWN2Hdzh/LfZ4PzL+U+5d/m/55Tn3V+ggbhzdzv/En+7jd40Rv5Kt/I7d41kq8e69eu',
+  'F/el3CSeL87G+fqPnnvc2pzjW39so40H/G02Yv+9PAhP5mt9Izduf46j0XVb/+M8UNf5w7qfr+WLvpxHTHf+fn7p3/3Rc0/nLvV/',
+  'mK/1tTxE+kC1hP8hv6jR/i7HSvPhpfyi9Tiaq+/nUX2Mg/ASb+953q1+/Yv5xr6Ar1tfec1nzVW9nS/xbm/kNvav5qf4pk0VG+eX',
+  '7bnw3Rf5/9/MD/itfK3HeP/v5K72usk/yX/VDz/OR9YKeo5f7GbLc/n2vs171p9ftBvGPT/DR3gz38+389R6JV9Ut/oKXy4vZPf8',
+  'mPE70OAL7WNY7JKz6yd7e1nH4h71+14li52AhZ3ZRLMYzLM2h4k1tlyDDaTeDQOfvyuiJLYw60tz55k78MmX9MlZBJRAiyhGzWI2',
+  'hDWZAiq4oPS5ht2plKOKT9lDSxd0yPTG24hUQlvo50GFtCKPgEq2skWzY50DXggeMD7qjz35YJbrLPquS2Lnjon6DS9RiXWZcD4t',
+  'AJp3pz55bqPpquU7FVJC0EGRbN4LHeVHPBnEbb0Kvm26zkiMrCDAbyCoMGyQ0VB+lxxNeduxI+/u9H8pa+7JeTNDzkwFPG84SGqL',
+  'bMwQjBUSt1HaGnWnivPL3Ru8iGbW3hRgc8+I9aLM73KTjvFD47U+XOWSWhJLX3OcLQmb1IEPfuHDXVbx050mjOn/1NZ1UdVWEjtg',
+  'BJufguI4uaSEQs3pzQK7OVqknf7gWICTzgVbT8a0SdPbUmKxrvbqynw6ulfwf1u8tA1a+F1iHD0tFirnzCkTPVGcw5IGMUNV12v5',
+  'HF4nN9Pb6mlyB3EIR/Dtu7oVYB0mkcKp+AJiCmts1AJ8dZeB6mfKSt+ZiqGNo86k3+rUKr3ce5x3NlkgQDWaX902V3M+jSUqPKbL',
+  'nNgd5by7cHYQ07BG3hKCxbyTfgAUJtJrDicGxgmGMDaW0+W8ZpPYtKls9NrpbVK6GMKmasS6B4PRiee9hyPEMc0atD6BlnOjwBgf',
+  'A/UGC9Xm5eguxhTZkla5UMEUizizfKKrqz0JqXINI9I9cOJoIo1Gi7leaw2HbcxyLtRIsrV9U5vKzOrBowgJKHIAWyTvUhMT5sRR',
+  'v6tkYhc5trXqcuxbRchvf9TNtfkCZBR8SijJflAVsb0PdrOVYGCe/XhuJJyTrErlHXSuYjG9I688EMWlKjH5wUi0Tk6DhLjtkLng',
+  'T3T7ZK93nl6qa7s8ITyOKP8P6RjWJ7UWy2lRtzuzNchIBJ9j0GUEFFZCzOhBNPBhR7RhWNZ655mVFAqrCoypNSWRiCW2FkQECFW/',
+  'Uwec7GUuyrYzjQ5rOtm2GFWnZLsCpN+Jn3JcC6wlZvB5p6ZFO9lzneQj6zGcUwSNzzY07i6pdAoXEfrJ8cvMglBdZPX8AmVNyJgy',
+  'UQ+txH6EbIeN3kiPoi6EGVBfMrCDSs6rLqEY1/0SwyGMZxi1AfTLypmsyFSJ1zATIXhEYALVx2xsmXKUDUQHZN3weIx5UlA6vTPP',
+  'jYHPOtW1LqhNqijmEU4wto8Hh6hv7PTC0szNkkq3uTRCeacer9bv1Y7NITnEeFFmHVWTUI8G0thiRnkJc6u4P8UnqnqjCfPg223j',
+  'fyCwK+JXZGGcdEPWBRzTY1Hl6EQW9I2WXWgOEHEkU/CSYlI35QbrV4aJzXHSOcqRgtJkM3Kdl2ESLZGNd0nc/ZlOW5wFT+UyluVC',
+  '2cMxiMcM73L2ceu/qN0sVpM7ut+dJ8SjcXJSmcUcispF8UR+yOYXyDzX7AXg6goY18A10wmOU84zlMvdTkRYk5YMsjGCbw1HN86o',
+  'mUVz77FTI4J1r+YRrh7f31kKn6yyDhNxUCUbe530OSr42E7DXp0ToxQDsNXDRTU+peaOWCBkObMawV3KUfh1UR5YDytZTqyrk91F',
+  'YPdIwNkKxerqMeYX1ClNsuy9Ccn0yeLvgsfzK102PEuXR0BOmruroC9smry6B1udXXIquh13ZttFN8hy3BGVTRK/dOLfpGgw1lum',
+  'HZXLthanl6ps1IC1CDdvGPz3t3p5x7L6c9gqqqi+RoZQ0H4AETsfbdfWDPUctYUkHwi+YtXtel4LQRoE1qAj4KzGGdJkIJR4ubMi',
+  'IWWUznXo05VAlhsFj8R6WyyUcUlnMdhBl8qU5ABzjT3iaF8h0DANIhxZyjspeovN1ah7vlkqsZUIBWULYNBhu1xSd8an+7Tz88Q2',
+  '/Vq2PEg3wkZDzQ9GkRCaE6s5iYASx3S3c0A6zX9i2JZJkpzhCel8t4d1YvqkPOWCfWNUPooxcZZdIIqRqOlOS3yCAQWqYMw8xd4Z',
+  'cp/SlZLJWN98O6xSxPLuZN1K4yOT06mdnalh2mm4f3E1zNApapJJIx5RHKeJpcwSMm59GcP909smpDjwUqOxkztLKGax3elLNnE3',
+  'osZG6PFl3jnLpUnQ4HXUczt1F91+0FVWVA8dO13yHtszmSoSwrQTyfqlsjdeo0mjdWSS+SZ6tavG4J/rZtgYogvunb0uOWqKEIb8',
+  'UQ9KUeKv5l1UJ12iqqg0D00yJ/pvTGljH1/L82WtUwUnNYLArtDlYdKATFqY0DqCkCchPYVabnk2RDkyC4Lvq1MTTz+7BE4rCsto',
+  '3eyb6Nz6/2H3Jv4Y17WSlGuw9cYGGSB8mZYidtaqRjaD8w+ByzDPIiFHmgxhsJCs65M7neudmTxRj9OBCa42zXvyVVExaQB746BB',
+  'Nrdyw2UnpkmdLPQO7DtF4w98OS5r354FzDeipQ11L53+fCXrT+qkjRPpfGddD9FDjJbqvPMRYQtIZED7qmJBuVEkIbO0gggn0RhW',
+  'GXY4ifrgkXrkULxx1UrMNStMSaRR1pVooDrti4udL17GPHMuyXMAvUtfqOoN7PI0mFKnTWT/PjVhuB9VzIoQIBkvqYAaMTJdToW8',
+  'JBrSaxXnulXbZXhn90vMWTfLTu56Z1e0gu7DZufA0wx8gxp7tOXLdjmuBsYGRpKyxGEIFRQ1pToNXerseyP5VaMAtJmdukbH6CPh',
+  '65QnAIDZktJSMwVJaCkfWrc+aZyJJu7ozdmtEmoO2XDIPHf58M1FlRlynWHpVsVV3iGY3rBIw+TgfciF0ABLK6Ci5RurTOTospdO',
+  'SnvoQroCBqdOqTwORLWodvpUN3k3Dgfg50vjpPmD8ZMKGWqWThmxew5d6dmazXVTQnsEgfDGxAwkHEfyOrooRE8xf+Tppf7HNe5m',
+  'x2QXJpNO+A2yAdKxwzJc7GIye50VlCXE/d3uk09urSQF6sTk6vHGoykVV06dPr1tXVfoG6zotlif8NntK7hGFqakToPsPCX64Ol0',
+  '2so0Y/wOc+piFwuKrbMmnRe7WIFIgowpBLbwdm1tLRYoVjlgn8Rp6ITFnZ6dYmxAf86cOQMoWu0mqLLqPEjTDMAeJ2zFZrsEVkXy',
+  'VdqAIHFcV1fCknvIdu67evbekO1TFYqwBXAuRnHqCUs/qBlZU/Nsae2HTtThOs2WMz4lLCORHhE/UVdQeKTMrGKTgLpPoqVM2Dlx',
+  'gmOPqEi2r+pFMv4d1Me0gZDXQYMJYfCKRbBOd2rZjLcKi0wsvzBGW51kMjG147L2cq6tL+cipXWks2Q/P2y0Tl9JMYDij7s7q+BK',
+  'LGv5ed26zJV/jIwF/UYDz3UCPX9aVWTCF4pFpGVUoVLFj5ZioLJjWFWYqs/jngtablk7bCsAHz7qfAjU7iCOtNPPHj2skTlZlPJh',
+  '6fn4bP3vBzV2JpPGGLvlUp4SQj2Wk/PNkiM5wh3QN+U7ohWZpiG0M18ttM54LOpg7tzPta6cau+YH+pM5cAZxq0KTRpaum2+coZs',
+  'yrILTEFbvr/eyV571pfYTwLORkUWMxvI+b7LZQb3x7BoA4g9vU55J8E41Qh6zZRiFGieKyFk0FNyl1c7sWayCKYlcb6iBZ+FIqeS',
+  'MXfpaTYz+b+qpFjMQWSCAneiMtxHpVLrVOjkYMtP2exUZHdJEcG334aGjcW7qko2JGVdZkir8zdXpG2O1MQZ0s3KqS+YDPqNA5uT',
+  'sgcuUcSPJzd7KMIUsdl5ln1D0cChtm4oWK8PhgP3nyCL89ksSbGr+iy6c3WR60azNmfkSwgRecD6HAHfD1T/AeKtOlxS3/YkgBrX',
+  'Ta5qhS3ii+Ulyk9MW8w2Snl9pKwjodxQJR0wWXRadZYC7c4WPiIqG6TjWneZxqRaC5z7nVQW+4hBJ43hjfcLbQiP960uCjEJOd7O',
+  'BI18sFDK0gldAbBDBZl2OOAcO1hZnFQ7bT2ncJWvCx3jIlvagf0ikTjsA4gOwFvkWsWKh1K465Unf0Z7zqKBP5+JobV1b5GiUrvF',
+  'Qa42cV1R9XrO1HCnXmg/oLyO2m9cQ22/ugrt1InU3Hntu1AYS1R4x5kzlE7z4tbCLGtiSCi2jtnYkGtnl+6qGii9uQc219Q0w+hV',
+  'aCT1/i66bsmEyVEcX5ofVSxm1kgOi97lnQ1yd61+18mbuxrbTSQkNlj3Qmuu9FVoTV904FPRlciXaqXnfCs6ND7Gs30VRVjYhGs1',
+  'G1Cxo/TxUjHbIehqiTN5MnXK1M4D3w/SzsHGTNhtiYPXW0aTTWuF7GBToWsK5gBYnOrCA3+miaIO13NTQUqJrLXPieorCalxzjAX',
+  'wwBgZ92ocSJb2CkuRSrxkvpYJoZgUGAdsPk425SqYArfHTZZum5xVrgYrP/gLjqyOBwb9yR9is1JEV8lNsNsR3cb0PAx0wqwA9To',
+  'Wet8JN3sGXdHmOGf7bu6mMxWF+DASQJniQ6kZSS2OqoAms3ILmy7WME8tm0aLprJtLPRT2Zu7NpYfE00dLR+s4zw0VY52XP1aOQV',
+  'bRpKiQ8jBIx0KwlSdwPGGKmRdCbzwjvay3v7+qrgBCXYuDuSv2nqLFKHIHCmW03O73anWlefPrCgGVrfIY5C6dqmWv/1t7ZAOrcc',
+  'KUF3kDlm2nu5jPDBRt6qHqWgL1wWGlZd9kF8W5AP/+pP/+p3/ur5v/qDv3rx9uOkvL3+fz8DgFIDtxL+flCHTe40lOckeGqmaCLV',
+  'zBc1zx5+dzGM9nOyvaLR0KikWSmDUrezBvW+wNc6VReqOOn+Yu6bMAv5RqOUMbrFa2QJb6zZdYVXy7VmsSbvQPdSD0181ZVdh068',
+  'lRiBxC8k5eOxQ2f7pevZQZqWMsbMms/rCueRyPt6SsWCInp5lb5AFmMITiFcby/1l+RW6r0R606PljKHDmU/JlpKVvkXrvkMVQh5',
+  'XCC/GtXV4etoutDBJdDvpTm8MVmEa4pFRqbdTTZm2WY2T+k23jHSFSKwoUZCjLWMVQhskkqXhbyiN0kiek10qVvX7Wv403fBYLr5',
+  '3q2vkqL0Lr/6RTKRwJ167eb7YBbdfOPm++QxdVwqUpHe5b/BsfohOVPf72hSr694VCI58SpvZXbSrevdd8HAeptspbdJbXqTDCze',
+  'KX7u5h8bu+rdm2/x3kFKMkKU2Fa3vnrzLfKwntBTdhypd4w4hT/h/h7jGLzH/xfTS+ypdzpC1pMdA+pVGw3wst4T8Qs/wTvEb9k9',
+  '33qmozzhak/c+iIJUz+05/3erS+C20WOlv3J+E7iZeH3QKVaXRd3/z5HXfcsohgJYrzyFzkW3+ff+bs337j1BL5CEpXeyPfJ/hJD',
+  '6nvdc7xhby2/rS+Sf/XH+b3Zz7197JPfyU9N5ha/C5qX+FS3nrj5LBlV7xpxDCys927+YXeNd/lGX7f7fR9jakQrvI8f2NvPVLK3',
+  'xR/Du7z1DN8bx6Abv/d53TfID/tD8rMwJs/l64JnhnuxNyUm2Q/zzLl1nZSwr976or3Lr976gtHDrt96jP9gXbzKOQmy2JPd5716',
+  '84+60eC98EnyjHj11ufJNXuG7+hVfJa95cf4tPnnNM/e5Z+N6nXrSTDIMGtFN+O4v60/3fqKzY33OI9e59wFg4z3R1rZlztqGd7t',
+  'D/A03bx/j/etufu1W4/devLm2ze/C4rW0YtHr9z+0tG3cFIYFUz/FkPsHVChRJcS94sUriePXiJZ6+nbT4G0dfvzxsPKlLH8u2/e',
+  'furoW+RVPa6v3b5+9Lr9xjvG47oBchkJUp/nifUi/nT04u3rt79EWtcr5IfhN75H9hTIWqRZHb149Nbtp24/ffRapoTdfhLPgU+5',
+  'ff3oLVC1yCgjy+zo3aMXjl7Eb91+Gl+//XlyrfSsYIa93I3G03Z/r9nPXT964+gNPAPv48mOqUb+GX/+zzOPLT8bn8bGjXQxUcue',
+  'ENcMnwSSGp8NI/QKn+cFMr9ew71oTEFEO3qRhDAbg9tP3b5O9tYXjl7htZ40Qhd+7g2O5JNHf3b0Gp6I40AK3O0v6GlEEiOx7Xmw',
+  'zbq3gJ97nSyxJ0EyA3WMY48rfkk8M9DR7OdwtZc0Evam3zi6YVfj3RjZzMbemHTf6d7xn2FmgBqXKWf2KS/zXXL+HX3bnve63iKJ',
+  'aq8cPX/7ydvXj75z9BZGGDPx6HV+6heO3rp93WaYxlwz+SWSzr6H966xv30d40ZS3luYMemu5WU/ARVpTa1GmCG8YyVa2JzEsX1V',
+  '5zKFb7nLtbRwpTnd/VUWrKsYg/EvyFesJtJP8cNCtR+bmuoUy7FRFoOQ7ByCrEBd0azwabrdVZWjLMJSjYMtpcHpSSJmZuluS/5n',
+  '1VpoGWRmZH/KJtmrbPTZDtPV3z2zEvgEQQjgOZjAR0Ic1K5adFdwHmuHY373OYtoUtaUpSHkCM/Niwyt9UteWzTlmskvZngKpkOS',
+  'ND0bQC3TCWFKBsVqNPljXZ1eRbJWefa0ed/FT3yOjK3PdVZSG5S8GwCmvcr0bA9W2ZLpoiqaQLer17s3l02qX4ykkgg3nUVSeXtU',
+  'd0pG9V92yrwPQwmzfqcvqAZvHWGZ/yt4WOUdqCQU82ndGuQoE2QQdijb7bSYQ9qoxA90OcsHWR1Fsz5zmeJ+mPmrqt/b6aeD2F7T',
+  'T5xfve6OMlWC3m9QGTfYyi2bdtspI3zD2BRN6GhX0q9xnuFN5TyjRbBiSBCMJMv4dbHW1DvReTorpUiRK97YKUokMoSGjVMXM6cX',
+  'coLi/1hNuVUMfJvBXlYlo+A5ty/hmClOmr3+MT5RYUM3DOfGE+YjWoWGzZl7wLdTdEaum7W0aChFpCqmksc2DGqTZUAMAhU8G1ar',
+  'd20TisFKWsTIikoeI1uGMoQWq306mq4en96caIqvnaYZTk+rPB/QkYxxhf7KO4wKMnNQr/qcb1V3JfsqAh9aZKvggsIRdHJzRxCW',
+  '72ZZThp2sUqHzvK2yM6v1lDmVpVLt7kSAEloKoVmpwNMloJkyttUYRyoaukUByq6OJNT4yXFHmvKA5ByeYBtIhzyRoOVwHW177i5',
+  '2mTjI3KFDDcQl2FuKOeopEZkJEmBquzMoWOcxdVQiYekvHzpjjdYLtlbMMRJ1S43Vsk+wNftxapNK2cHRr8sQ4na2BpyggozkWLK',
+  'yNiA1IgUOT0cKh8R1xgF7zqdk0nCMD3VS8IS+JQQ2Dsugoo3KUlJzWinvzVYyRstxZEhLTZTzVNFZn2w1SX4cvtE7A+RNCrVLbM4',
+  'kDg4HFQjyx1YviA4NalmMHBTB9qDqAWeNFH978K51b7TdbCETJmxb1Y/KqrHQFtXN+vWVhJsjK8l3Q2yc8eZM/8rYijGvBisJA8s',
+  '88Rb3umf3uxAQt2ar6uHqpyhcrlhH3ITRiVCALqRfkflhscSC4qckfVU+uZ/ElOkC6tjPMvSOX/lsbMtp+POTpVPl/FebVx3rKL/',
+  'Tq1y+AmntwdbNtk7IAh6HIL8htbulQlIETGC0rnS9tmpwvu7K50+g6/Wvgm/YPqGj3fxlu351W1nZ2dug4dIo+VSGM+dGR+iWOUF',
+  'nAnolM1PtYWsB9P/Lb+WgriKkcbMMALD5ar6YFUPii3I5eT/gQCDisfNIUlDhM2PPrOIdrAqHsbgLjsWLaRalP4k1tVn2VoDWrKz',
+  '+QBwUCMhEg1FTFjVahTcFKDogaqlwLZG7k0nxM81Z5xAnXJ9s2PilcsLxzbz1mXmoxXOLRk7ZUU+pIbWloxPD62jpwhdzexM0a1Q',
+  'DKWjTc6dYb3VDWPzeFmW3OW2qVgjQuNGtPFE7tD2yc08EAvtVJEOjV4UnE65W6gIGTYk6gkHNB9pHF32LEjwTF6n7+KeOUG/00dJ',
+  'LIh+NbpDqduoBEJj6y3EKLZeN+twpa7Q5s+uFbFyWa+Tal6Ut66UAUqOc5dOEHOoymUJfe75Q8kOm6VzHEQgxVBfuPRQ7pNE+E3d',
+  'QCS3Smc50UVIE7GGXYSUJtcB1FixzGl5tkMdrmHCcUiqNqvG804ghNDWoyk32ojJ5YJo0sKCNEuruDDQjmaMrI66nsWmMblO9nIT',
+  'moHJgi/r3JxH7TuQbVliLrfNBD4mKxTYLM4IHjSIKskPBStUDpRqLomuapf8ki/h7pVR5l0nRMqMVBx1nTw0GYuDXJ/OZE25a1ys',
+  'Jveq0RdWU87GMzUmJGgslyKiSO6acTvlMvcFQ5oU/oCnrnJs+zvmr8n3YrucqtRBYrMsCUu5c+s0znPzHldXXP4yytIUS0cl7l6o',
+  'UkCAmCTjl3NPMSxpihSZleqvZMbUFGADTWeJ0NOvtdNG6L9pWKm3neFxkX+oeeIz30vGQb51dnwVDVeiVWR3DakWq8lU1iQYGym0',
+  'F6whXT/bd4Mt7KmW412JJTlhrNii1ztmT3bI1NXZM1Dtwt37lKypVdc0uL5DAj20O/1Po81j1FOwLZvJ+dT0CYuGmdfI7+ytTqdc',
+  'GxOriRJVnJ4PLDojEocUUhWuHq8Oyzuxo9sPmPWKv83i1QzyGIb2IAiekRu9YWp0oOmyc2n3YcRkEWhOEFBta2fWftg6f/m8+z9B',
+  'BTBYKyU9XDbVaCnVHVmBrh6bRAzrt1jZ66uEvstO0KIJmx1twBE8IVPi3Mp4wh5l/X+yxIqnCKnU0JJx3xSfYn3l+uRSl1hNLv6t',
+  'iIAV56VMA40Gy9CF/XCIs0Fp6UmOCKQuR+RW3rjL3VCznSp9JvPzMhez2JvHVz6D78hNvF09vne16SJbZW1XtdFzoqBNMLlFjVkK',
+  '3MT4AiRVW2nMjwmdkxYkuRwwkyh1G4ZVfV5q6088cFk94M6trG0Y0Gat3N2FDNbpAdKg7Pr+4lqYhkNmhDVLUDg2JaxlSlssV2OZ',
+  '8xqkWnyA5q0EkZCd2EB1qplKYD+awytlJeWGlqFPo4Zai6pwF1b2ZFYTEsOD/ogFdjlsYZbw6/zu/WO1fMmt6kq59+l01YxiTrVD',
+  '3tC+J+giHK8/IlHGyUfjA5mEaKosOIFuSO1GttWadmqK4bJ7x7ngDCt8WjftBkCoXQu5Lb9rli4WgdLXETWB9cqKxzkHkYAvFA6Z',
+  'N0E0YsIDUHMidQGm3MrgXB9sdSdrkH9Ot7rbYX71wsq/WFWIJvoAG8zTbbouMpJbdBHl2lltKmXi8ZV7aoMgBUGyDLhjlY5pMcx1',
+  'OLyElp61wsT77sDoKCU2yJ4vcz0c2u+CcCctfYY8y5geNzV1AGzalksnYdhk1ZMiHM5TY5gSump3ZP4SPVVzB+cha155ZwQKcWYc',
+  'qJ6AAzALrbeuxZdzTYgvV9L5dHnlGmURHQk9VpGKlHA3S1b1nSkXHyHn7TtvsQkzTCyCfNRDGS1TV5LQX++0cbHquPuhMB0kHBX9',
+  'm3Onq/qjjI1sC1ePH2AOmTZKxgkf04LBSE/GYAzFYFXOmKmDLIfrik5zed012FzqnY193biY1DMWzpRGFK1pnQBzlyQNkXPC93aR',
+  'hAr23SY7yuoy287u45LGMoAi29FEA3eQRXq8O1IgBd7MoNRYLi90FUHrKwliaokzouOWFsNshHRxOV92QU1fdjnicil2UjMJnEYo',
+  'Rb+iOUmHzae26zbhvLs6K6t0tp7s9HdXZe5dLfzVdq+rNTSIOIcNKkVgGiH4ZDkVRckrFXcvN+HAnuqTMx+Fw0kErc+qDvJvZ8G2',
+  'QUXVeOKsivQA5oIFg52eMTyNL83mxIMLB47JkFahiu1VKf+6HHVqeNraXQlhrnecK50TNkDHHuhJMxk9Qfp75sSPFm3uk+namgFX',
+  'ijC3TYOLJSXlGaNiFk5Du0xfHgAeiKmRO8rSlOBEZI21jQOp/pCPkHGbu5B/ps8+Byqyq72TWoNCI9G53BbUW5I8lMu7VzmJk6vy',
+  'F3uFoVyu764MzjOrmgpc1jCIJt3HO8qVDOboGj4n9x//W0JHKGhBkjcBoZVypLNVXYVtIgIHdEAdMObEukokKrsPa6uGJ4CZVR8Y',
+  'YJAGBQ93ycasZBwTJjdNwJBQqlmz43xXl+Yu5Ph+yxpTK1Dt2LWoMtBWUdWtno2x9DjW2Ypge1W4sSqKvJuxQo+hqRNyu0/2ML52',
+  'ko0lqj/eLRfbK9cFDT6r0eGar11neysUwTE7kPeLQ6LphJD0aZSYaNgb13IzLrMCyWZM8oNIMSQlcFWR4UarMytj87BQsvt8+lic',
+  'xhHQWFemwjLvd8DeCqrgWBE0zmZpKDgEmfwWCuzIZRw2cTFjhbyOumiEVDdcgipqe+qqAJbxB+jm0J+7CVl9SgNSz5pbYmMTAwjQ',
+  'tlc48Yq4ZGJGXHFP2d9k0vlDbaOuypi0imG5WNlb3yj8sqP6o3BSByTUdwv1gQfLY5Uyk0+mdZzsZqAIh4Zccu2OjW+9Ikh35xak',
+  '7h/yAvD+KLw1rX1dPYAV8BBOIsjIVIGZ+7q6ISS3zJs09UyTlh2Os2epEzKfZDp5GR/wruNmY3ztHjrOaGytuID8c3LzaAphqts0',
+  'yOpHhrGI3lgtXt5Z13FHh4+pFrOg29XjiyuvWT07bLV0WvcD0EInrI4fLjU0Jts3+amRuUxFPEchkm+Wud7fune0Kr7hpQgDL1dR',
+  'tU0uPRUOGnIaxkj2xZyKVeCbUubH9fPJzUuZkfC31JiAA5c50zZeAQHwO3aOd204ILd3UwBMqShl1/aC7E2LyjDTqEOwHkvTaoaW',
+  'xVba+o7Uurt9Q3qmXFQYpx39DFllqwF12sE070hPVXrHPh4+X+4gTEhsyNB3Mwq5GxXFPaKMhbzbT+Oc69JimRYQVCY1273SHRNh',
+  'qNR3rBZpW/2zOUs4pNyiXKfZnWqnVfFh3pjwNsscAepYNJi05iac6bM1L/xXNLPoCuO8RX/4hkwOqtirIsixyqzqttitzHKKQk8T',
+  'XgyMYkfxoQfI7EuXaRq2FZqS20BlBTU2iakMKqbBlB5mxFvWGzZoYHlXs8RCZPfXTY6UdWWUOIQTliWgtHevQie5EzkWwyrUsyLM',
+  'rFvvg8YWjllYBGgqVdTF4pXP4pETK+gwr2jLgoVnjYu7Njun0N/UIXjM6oUxzmAUbVjja7yLlYMH9k9l4yBbRS7aSh+/YgaRHmol',
+  'HIga2uTazSfsiRNWd6XyLZdrySwQRpirL6J4fKEJj+bdqKNlVssVy2E9N2JZoO/MPEcEUNxkPUNAmLVXYGZd+ltVEADbXLGQIur1',
+  'EYIv464WlUOvcRoj7L9WqD3uIzCwTJHN4ulVRKAL4+LEEU6V5OCUd3CsCXtvsMPzlNNRyzcvW4dz1+JVmKwKmwgFLAGG+lGMaEA3',
+  'ahOmirTdlZtE619/XBGr1nNnG4dJ63Pro3blZDLB0RWbZvuUNS5hD9t/F7IdLg9C50NeWln8K77TulVpSBedWU/JIOz08gng536m',
+  'Anx+h6a7Fa+o+AwTNFd9YMysCVQMqZOJ4PS33hggOGB+c8VykV1lfKt7+Egjx+wSLCezVoSn4Xpj5bQwBWbkA1q9GtMtFmoQE7k0',
+  'DxXnmti5zHpJB9Ehby2tDj/cnthA97CIxZkw0zLDzDa5YklAqKwdiplfORdBg0TGqZYkqMBwdCsbPv4Apcllh55FJZfiZ9MI+8zb',
+  'G7KngOkz+59Tyd0u94hu5/IqoqXuDDSeLq18/8y4udN9jvEoxwBMNoGYDJnnAIUwM9wGc10IXaOu4CJ3BZJ9hpYjpWLFcF8IoVD1',
+  'T0UEPhdMEROZ7PYkVe1yYs6ILEkJDgVRY6XdEp3tA8seZqjd3zKzDk67OUxwYBUOSepokpkm6zRk5dLwZxWk4DSq1P0t3y+6j3S7',
+  'vWqnOO0hjMpLz3X87tkqhG87OHz/FWZunXh65NmcX23bm8aBSMcjLrE6cUwi1K6qdgzWjcWQOoepS3ghdtOlDq0Tn9Dp+zlnaauQ',
+  'Q6JzBX88cQwUhrYKLNItzNZQsyBaF+xvwX0SMdmE1WLRaVYGakeCjVhr57CIJcoaV4fl5p5VaMQqmzPqiuNLw4MwfKOIC67WBAZ8',
+  '/Kq9lkLz6hTnFxVdAm4r+7bvmLAGa7KrTJJnaTZXly05qI24wcSJvFVYeKvVvc4RNYxGRWPP2jPYXr1phbyYE53McbTssPI+tbUD',
+  'rkdpMKZ7lR/qgmZcF6Utp45Dojw64iw18OQXBKfJObUpmLQu7/KMLwcw7ZL2HSaLDTvIfX3SnZuXV8lz3qTipFaUy/aknem+bub4',
+  'I2qEtLRy6FTW+6H6iy8DRN9VxaQMiiu8hk8lHito74oTiZTLiAGiwxte89fKZKpczeIpu1DDdI0Deoev6k9SLrhBHSGbKPBYhBjE',
+  'zyKBZGFyeEPqkNxBilcz0z1DGXmJVQVOV4wzih4eK+LZhS/MtMRPjEDO1SU6cG9IaWHt5RPcUXB6ie/tamOScD8jqzlZFNGrkIdy',
+  'AbiGYj/yByYLX/jSP+rBXs91Ram2XCnH15KpwKQw1Tw+vOFR5dbodhA5riL7xmd+JEcSfhZfAL1bvSEJbsHkYSmSaW4U2eIfK78f',
+  'Jt27INSm8AXgYhn/zWiGsA9n++5sRwg7pvBNCBfn/li51QJ2lK2tDtTUe0g9YaUlynrHWFfg1lmq4mzXuHMa50UAXX2D4TTumJll',
+  'dkxgmkdQnXNX+oKtY+FGA2eiAHHNHdMHHbv/rZUAaxS2tg4ODjYndT0prcPOtdxWuM7W8rEstmLPjdVF0uFTlFGZzaChlg4JYtuz',
+  'd/xaO3VqrrgEOC/f0DGh3yp7SZ3jKptnHX+kRQWcwu7tjv947DNzj5JFE47lv4s7z6x+ZuOYporHM7Jew3K5tbsSwaDVztgG6FSH',
+  '7zh1+p4Fk2nwFNapi9i3kFSX/91BFKVu7AQqAPo2H0zqitwvVXXDfN3BF1Zdn9jWyqHpCWrvVwHri6Gq0rLc91X051Zm8foAb9mY',
+  'fFAOb5l0GJSUjPmHWsQXoZxPo18JZMrlMUVaz+RHElp3ak9fTkJ7LsO+jumYUhcIj2Ji5STezrFIoLW0Vp/izaIt0ElnMD1GkPTl',
+  'Xr168afWj8lwcjdSqNa6NDrMutVNHBNFpmNRxzu8W1FlBquS1f7d1Wg5Yrvr6KXukNDymNqukL8lkX7HB40hnQ+zfNPp2LgNumZq',
+  'rq27Nt84dGCIjhVtWTHDEFVZGS35VF775KXT8KOrgv7NmomNlE/cdMccjKwWGIX+MZWRtOxME2zvMXZ4QE8DItkc3eusc7o05pug',
+  '2doxbykcG5/tY6n+RxdNTBmJ2JohFmfheHrnArgBMizWj6nz/4NxJU0/To66gjzJda20m/6KzduJ0E0Jj1IAzGf7qqrluzrecsn9',
+  'wZIOK3oxtJIz9MPO7c5nc9tXWTSx0/dl2XddlS3tflM7MSKhhkfNImxfYrX21tbdD/Yd34s1WxFHSkk1hInzXnFMPeo6ylsMae/Y',
+  'PXTsErDtPv6baC03/i8bG7u/tYr/9zrXg53cO9HgurWUkqdsteRKOzM1y5cj21JRwbWMT1CaFT40hbSLakUGZavX3NQkMxddPT52',
+  'jriulbljdrbK7/2Yk7+VtRKi3SIoazwx4amkOMR5Yd12BseyzJ9Y0MKVW7pPwWiJ0K4FcHPqQa5kG4r13maFfCh9k5Vgn6xAU5f2',
+  'jms7FVo661DFcyxFcUfXndzV42P1LnfMIIDr3unqfKRsxnzxCcOBijv70RRngVrr5jqfWE3u60jefVdhGdNBSWklMxyFu3IX9VhN',
+  'do9FE48dU71jr9F1FLCuRYt2F2xmWd1/bC24qS/HeX8+Zgy7fClKcTMv7ljuY6nETi5acLPQwgUqKXuFoy5Kb+gj43tWZ9CKqgGq',
+  'LdKXatnSwVPpSIXuhR0Xz3ZNt12s7gtpkcwBv3hsn0f9R4ZbIIa1wYucbY4dHafNFeL6gku7O9jCHEZWs0O0oN0fmpJTJpBcx8AR',
+  'n4fe99axyINjF+VpLIpQbft9H0vmPGKlvU4krK5/N94LAvjmkOL3c2ffE8eqo6ybrReJXEIkduqEuEFR4sRG9rHrOqpuPq6tH6zR',
+  'HZxTaf1YpVfqnVj5vKOy7kI9YSWdI4oxQ37XUoAfW9YHpzf7bsUrmR/bZ/Dz+ZH53i0vfmKVzun1jjn2CKSVmSG3Ekq6ey2rcQ+8',
+  '3tUZkY7J7LWvdlsxXsYpvOYtyTkzcdZ1oWROUwt1fHYlgzp7LKDojoW2Xde5VWqrsrbikNwfORyPz8a6OudW4tZj0mB3TK1QSLWl',
+  '+989XtKiTB3jq8NVTp7Kcul7Qn7vzK/mIDNDNkURVlGMVYXaqqzHl5fQYqZ1n0SzFD/qrI/CwtK8esW2rcqFkOGTk9yrsKY7Vh6Y',
+  'LlTslbnOnO3qsj7OVv4OkCKc/pTPdMEhYKXr7C/Mj+WiuMmV/39d39Yb13Wl+ewC9B92ym2IRHiR2z2DabFYDZmyY007tmDLnQy6',
+  'Z4LDqkPyWMU67DpVoqqTALpElmxZURod2Rm3OrYjWWLTkkxRpkRKlghMY14N8o16s4G0M/kXg/WttfZe+1T5RSKLp85ln31Ze63v',
+  '8mJvlr5jFkiT5HO848dQanZCVpela/IOjLeytvOybkdMLIQgTuY9s50KndaRka9/X52F3mLSZutj7N10/ZLjgfNCsqfDHcjkfZ0q',
+  'mkExCecBTKVAO8s9J53UFwDpZwWcF4uw2+T1wjFdiSDwMLIU5Cuh7xSm3M6XPb5c4AeAQWCMCPsTwP+U1T/ehFQlzfxJO+xk9lUU',
+  'miewFu9eTSd8TSpBfvAu0fRKWwueh4NiHZkYJiT43yukzKd4KdJc1DUXtVp5Xq0YUaqI1xr+N+T9qo51kZYwjtq583W3TqoU0VZf',
+  '5z3qq3WDmEcxTWpy+KL6MJoYTGsYXEXzQEA05hGaNjMGEMOXgVN09Cd4Q0rZCh/MmH2HKSoI15BHM10Gczr0mCU4RPqTAUZLrfSk',
+  'clTpucx05cxaxnU6UZ+lOMNJ7YjBPJwChgab0FV83Z3XGuRO2VhQ6lcoXQJXU1BBVvg+mCa8V6mChaTkMGL2cUe6QSyQKqK6/iaN',
+  'BoY4xeFce2KE8SGzBxekIbqxoe0VJoZps7YY36e3EiblKOyFpZSZgFGFxeTkYstrBC3zWJ/NW80pry3HrppU7wVcyBOVaE4L9LqM',
+  'vSY44wFrWfeTpOOOHOlihEBctdBxbND7mJYTUdlDDT8g1NGfNXWJcVcg8+t0DFJbh1h6ts+YIs5+z/hcChuzUjTR1L2JrAWm/u5I',
+  'IdrJhuZoSDibeS9vS6UcABkD3wRnRucW3i0z7kWBiYKqA2qzaSiMvH6JyzynfZeUSyFrK9pG4m2gtQyXXbmomDRRmZIZwoAfRKWa',
+  'GWHeHJPGUZq0dW6sm8XJM56EXykU2cLQ6Yuqye3w+gi8QHHE7FnUBwI5B9TQHDpsTpO8BNGiBlft5ktVrwoO5KtHQltE8j7VcaVi',
+  'g8QtgCtw9Rp1g0IcRLpsQu2ZPQV7Gmo7i/EI1QO4PYUcFTh9mA+FCog9muQ9mCrM+yy6AQVSer7QXN7huUJ4e7TWp6qDx167GscC',
+  'QZx0YKapcwfWUBkE3vYXFUFP1ixQQ5axeaRNOWL3eiMN+0iqA6j+GvUl3cfQ2GQgO/ccFBSWdT+rPF/BGMv5Dd1L5km2ysCi4+Fb',
+  'IWlltt0VOh4SpKw1C5d2U3jBlFSQVxxtdg5U60FznpXk2G8eBAB2pMX+N006InMgwCwtPhWKwFet7DbN6qqqThXCBkcbNKh89Ri0',
+  'g9QXYWm8ad0+Myr4ipGT5+3q2KF4lYpAtF8wAP0Kn51zCLmaJRcZuae0JD84jZ2RRxOJSynayq+5Y6roh3FUEH6ObSkKk+dR+n8f',
+  'tdFOd0HKzGpPS+FI1Ucw8CeBqJjVIehLxcyjbsw65VUfaOqQMUsJaMCpEDKQmU7L9/mitwRyM+UYQ5QAWPgiL+SwTfeInGV4uvPY',
+  'UIwGoYsEbwsiepiHSY2152ur0rYY/N7Im3g0iCffQFyqjEerC8x+TOLMQHMwZYdTpk76Kq7Cn4TpI8a0iAmo3RLU+YUOLufn8UV2',
+  'HPMyxvlezVa1YLQHz2BceeTFzkzDc8wy4eCD51ie21V+m5Y8YUpIBiXkJE2c2UF6RhZ2Rab3QWdVt4Fq/Q2K6N1LiwTt1no8zy1O',
+  'q4tjPi5CNd55iWRqH0wj2Vw6YmjOdfPABn7oUg/x7+aE4df53DOveG4U8nY7x5xDg4ZjI51xUr/BcbOEzleQ29isyf+wTz2PZ+8r',
+  'TVElg5ownyzCMUJqrTwvMfOwoTuTVp+EVUDooxwavRWBc5/IGtyaJ9LOiElkB/VmqlNInEMTruZtEtRrfLNgzMqTKQcNuF3hqKCf',
+  'd7iPLxPzI1/0LBEiNuj+V1hMspb5OWQCfmfdrmp+UxxeMFrB71XHlO5D70Ug1+BDa+yEPI86jDNH10ElAfMG9wgaAzxPckvyIt5t',
+  'SR6gqzgLjeuLQHtAEwS1iwx20iH28+BetrmXWDHwnYoU+wK1IPdjOWt7uQjO23tYFxOwujLeBQQ1l3fyZeHACpZIQC59XavZeYHZ',
+  '28fSk12eu3jtV7apzDM9zdMmAHRJ7A1UcAbwtF8UQjsUKXmHK7yNpLApL52Ld7PWGrrLOcfGpLlA7RP2TW9KEbvPDO+UIbmzqdH+',
+  'eX7yf/1D8cNf/EPxw7+YnE9Hf047gWWX/nJKYhKs5UTI8jrZiigh4++F3JNpPL0FCsCJ78Mdcr1nCmHxjCEAeXa6j394LjI6SqQS',
+  'LXWcvx1NTU1n5yr09e5Bae/T3VM721An3IRC3eDPT1RfjBS5vrt97c+f//aPm7e/++A8u0LLz1un/c/fXX33z//7N2S+fHnzjw8f',
+  'frf2z9/9dvs/H1798++2/3z+/f988OV/PvjyT9ef/PGrj/64+eiPW+9+9y+X/vj46p/uPfrTo4+/++32n25/8N29K//v5q9k3KEM',
+  'vpB2OgwzUG8VAhE0csnXcam8lRTIgzXhjZsraEDqcThGlTCTJnEo6fz/8SmbMuvnecHOdMguk/PQbPJ2ApNlRoEnXKzvkwczn5+Q',
+  'AUkzfzWb7SAehutwOy9YiUF0N3sUvCpOQoniouVZZFrqL6CDSQqb4RkTRWbQedgwiG6jmXOeVp+L9Fb451438z/TybR2lpLd3WIq',
+  'cAXN1+UWJaLWzwwO8Rl8QlvMqv1oAuU+0gwkhb5PoGx4mpT/gi6k6m7uvs9qkqT+J1qMQbeT1CVPQfURqoysPrmzBh3ADa9WqGqc',
+  'pMjor7V7mfoweue6PY/odkJrkNUo9dr4/fHOY2hVfomef59+88qFpFboz7l7EWe8C53KLXMto40IfcVNaIryNVUTc8OffwPqiKpt',
+  'uYm/QVlz9/2d30N1k1UOvU7m7lnThmdJ5xKakY92L+NZSNH0XVINFcXOe0Yr9J608BopdJK6qLQJaVAGdcuN3XPcPrsXfNuQeuM6',
+  'tevuxZ1Hory4BhXTiztbO+s7j1QBdOcezrK9s7170WhIbphnX0M7sXLnI1ERhfYkVEwfyd19yTqseGN8zCae6a7oqFIPoCeDjif0',
+  'IFkt8/HumZ2HuINNOY+8R1KuhLLkw5213XP4/TzugPqnv7edP4R+yzqY6Ftf7axDn/MU9CbDd+lZtqG/+YSUL/EW75OmLHognnzn',
+  'K9z/eaitbsr9sjbrNvf13XdxBtYKpb9uiw7tV3gOOSZ6lifmXWzy9dDnnoQ+jCtzD9jU8QV9zjM7n5qx8xVrxJKWqFdRvYd+9Jie',
+  'D08bxssGtfXuKR5fRgN0I2iE7l5ED6XneLx7mXVUZUyxwi2/38cYA9Rvf717eecxxs2p3cvyDnlO8PeP8bgmI3AL738NKrFncB66',
+  '7oPdy6YP03sM48jroXKvQ3vT/POvomW7ubNhvLnPwIV5Tb2kz4n/OHugk+W0WkuLhTR7ZK9889kl/OmK/vBE3bHPf3P902BBHs7D',
+  'RtI3zDlX1b4cNtP0+Rl8clvdtK+b+zkFi/Yn4Xj6dyPcG5l6e7duvu4W3L1X9PxX9Jhb6ofuLaphIC7H81NcFQdzPqdYt38crhWu',
+  'yxbe7+KHKzj+C2OKvYnL8d3ycz3Av+/gua6oK/e2WpPfx42xEbzeNn3+OzTOx/EzngrPxd7Z4jnuW+mKGqDfVKv3c8Zfnn3n+WHv',
+  '4Lr/pt/i9r+mbeKf99Nvrn+F6/pnPKPHfIwHuQ/X+Etq0u3f9VV9gyvatnrOzy4YQ/NVvbp/16fUEHxFPcrP6LOv6js6JR7x0lb6',
+  'HunzWzj/Jzitb3O+kzXc5wN942fwoT/molq3r0f9QdptC013XX6QceH7wCl9ajZ2v6HXuoonPUN+8XL/m+oFvxke2fdbOQPan46/',
+  'atpqQ0fQJk67ou25Igb34Z65rX6nFurr4bmkVU/hfs7r8bg9OvN13PMaWvIMWmk9vDsZR0/USv4dM29s6OcroQ9zu1Efu6Vf2dLj',
+  '+ZhNHadbuL3rOJL7G/f/j7VNrutLua99gO/5vtwwv/fQV30bntfxfgFnu69tcsPMD6fMM5o5R55Im5Su6+9nDW71fp7Bdelsd0z/',
+  '8f3zlPbSDfwJRvbyvj4wfeyc9pnPcFE/1ngsfBDPn6fwLR5rd/Ds23oe7v88yV+J5/wtPeaG6TPcsdfNPPC5tsktncmvyxxFX7mj',
+  'N/Yhnsiff01H0FehHehP7+ifVvWNr+hbwJ1ws4Tx/kE0V4SXq2NN+vmGPKyfH+RXfhfc997H+dFtZJZeC2ucPK9v53P4dRPH3NKb',
+  'vCzPKMds6gtaN894Xv/9AGfYwOcPzFq5Jt+leYPXu8/8e4daNOlivweF5C+hJ33Wqz7f23ugis1PT5O69NNz+Pw+FJGDVjMrKZ/b',
+  'W4eat9cB9wrLN43G8hdPL5Ay895d0tNWZXD6NNIQ/xUrY9P1np6Ra+kOGKrS0L3mz2/RPYna9JqojtPPt+lYOeftp2dwJr6fu9C9',
+  '1nPefHrm6TlSpH56YW9TjieF7ndwFOlbn1eNcqhIX/Pa5Hf3/oCnIK3xFXPdC9Dnxr2JwjkrUt+DajcrfpM29zl6frSpKmPfhb75',
+  'O6w3ztrV0BG/B/1p/vwsVMxXpd3ewVOusGL13io9P50Hn96HXvp7+JxUzFepDfx3odEtet0r+MYXcn7WLef7oXM/kGe8s7fx9L29',
+  'ezjjXa/X/bn5dwMK2tLmQet8b920yR3SQ5f3fkvUtYN2/Hn93L9T0vfeor6n70Kfce8G3Q23w94dVRx/ehptEtS99b1Qz7sr/eeL',
+  'vbtPL+DM1P8f7t2FTvoG7kD7xgoU31fl3jbpc+QVKfNH2/ZgJ0qZ/2kDM2NtcMGeQlJjvteR7GU7/AVy05pWhvgwsfHyxZFRFENY',
+  'r6VPKB7K7LGJViPrNHqLknGcsNhgi8kvaiUkZqhtGzErwnmQDoLUbIOekspZV73Ju2ppgoF+gix1J7JGXlUh0Q6X2lU+kdJhP6b6',
+  'TmOhR7InTLaQyu80in9amUGSXdOwSx2ytZaChsFAPDunIHQwBV42qFe3yFWopJ3mvQI4dw8MVoNxEfwxyRSqk1QZRFZF6plNlaar',
+  'lNn0Smdv9paoPOhmyJPLQotd8DVt9cdeQ8JbYLJLJ6fCjQepvywtXrJ9Z6Kbv0pV2ZmkSEcCAgnKAgFeJzLJkvR/2YBIxiSTzaRJ',
+  'eg9e7lswynOkwkE64QVUSMj5+cfEL6QsXjtNqJrYSVgWo2NqcWx054uPjh37pKmQ21YxNRGxBRZFZAYXGHUSeNuQ9zAYIF/DRilC',
+  '9GAnqJyBqrGWgt5M2u5lUrEjuKnFmwRBGdAc6UTgdBLMxyvDJy2nYjQYYQJu4Ey7V+sVKIXAhr3UNeOwYVrtjWVHLMz6mIHCUNUL',
+  '5YtGUjDZofDCw16LzuVzP6KyIlR5iZ5oi6ZUTzmBGjWxRoPs/nR1yhniwtu9IpBOhFwiQmw9lAC4rCfQPUZ1ENkxgAQYZ8xTgGlR',
+  '93OUgLQcWbEJbmdRw6ozkLJ2hWKYkpYThwI2tU8C1oqVBUSPWrSqpKThGgQroLIDBNY76JcinwlcgmBEjH55bZKtFXTqtCwNUftR',
+  'GCRIWrOtvHEcikkdcWd1nvlO1zHU61Y/2DInnT5qL6wF0onAQlMGOUrCpV72rtVn9NovLJRN7htvW2EBNYu3yC25Iej5s28zZE+m',
+  'q/n8wcmT48VC3ji+nJxIxwMfBeOUNepRTXnNIMjHBAXBeBKDL0qDnJ2gMsViEd3e1F0CxpGKvRYxolO1GsV2YGpJ6kMW4zYWCppJ',
+  'IaORB6PzMnks6KHe5i0R7EgajDIIkswE72FdeKl5t41GpSdSQKqFSp10FOmqLuSLlFdnG3Am8CcM4vU9iqYki/4seDrzuBrW2gFQ',
+  '0DMkgYJPg+d5YaF6z7ZU+IcLkqzQySudMxjhqgt6FvWokOqBQ6I/pC8vbXKJTGBIR9rNfFwBJSd6rba8XvYGB2JRxaE9fh2YbwWL',
+  'eTfQGQJLcIdk+IBqejI+Je91vN1vmGGzpC0CK2zqLhAn/sU+nAtksEbSmrA0E9ZgV10RxWnRqze8l32VIyqIAXg6II8O/SW1ONAJ',
+  'MTZmC2AZP5k2oihkUu8UvDeq0l4ogOYoRZIyhM+rqNLBxvLCI5ELQV7xyBIa5EKu063Bk7b6NMcvLamqsAiGY3XB/OYx+Xl7DphU',
+  'OqwWoY8F+M0seC6DcoX1GBWLVUSFZa1h30pVSLFwxil58LKQgPqcolN4UhUQIcSIqAglwkN+aPoO6pgsaiWalxnc4sTJ10vsq2hG',
+  '2wV75kAlc/kca2SLVDaVZn0dm7lBSkxQsswi9KdpdVQIZ6AIVJ0OM9Y288CaubxzyM7+AbTn8rlnLHHWqPy1+pZJWug6iTkEeGTh',
+  'uTad8dtxwUdGNC+9qE8SuG+Q1AGcBi3qJzqFXnN4EXMJWn0RqqOVYbpqmAIkeNdvkyckuGhev4H6jheTpC7G/sWi4+csHh7U5Szh',
+  '5TAYGRvJNkfxQTfPjzvF+Kh2FPqOIQy1+jWZU/GfimXz1ElattoVALByREF1+ZwRECQFUSW0tvruRNYRP5+k1bIE3TEbHheqI95n',
+  'roL0A1Evg2EwAJDB09NlxWFhK4rgZ+ByFcegVipILgoAFV17cMbA8caOxNsXWU/RKvQ61WJG5IxkDaaels1lWA9n8243V/mrEUsB',
+  'NWi0qjPingQIL7LCK1d5OWeBoihlvFD5UQDgmF4VpIdAGELvsbTNIkRCOKF0uF53ukqLxDEahazM0AqYOIMNhPA45MuwTZ3LWotO',
+  'FbbHmYXIBF91TUCnUCIlzxQhKMkKMb1XMT7xZKa5XQBrDCTrEY+kkcLJkyBcQbEtmIq4rC1YMQcUeKZGy7K8L/W6ig8UVSaMyGDE',
+  '67r5M5aKSOupx4rRfN3KhLT6igHau0N2OHuRfTpMZDN4ZTKOXC4Bsyj1lC/t18Dfqu4MhfsqIsDiw6IgReFqFHt6zmrBsh2sykFo',
+  'vh8F9ax8LghFA3t1IvXgK214AACBwGMqZDd/xvLUTmSk+jSEbD/GEDagI8n0Iek6pUTQHOJXW3jleFeQwgmb3iUFNmapUZchJx/c',
+  'dd0yt80GiuiJso4Q/0X180Bos0IDDs7ISr3XdY5AjoVVtU8rdpHgyF1+8bQB4SsH6JYXnweyUJkMrGmu3c0lRSXqVV5VFGoNjHLF',
+  'f9BGVC2oEAkRCBmI43HpzpYKCzoQenqRshLtkpgPeLItrT+mw2bF4VQ94WVfzzJCJKgBVJ/kdOxUxXO4Yosr9pUkLUxdLEZLQ8ZT',
+  'K4MYNoURmgvoi5ikZ/hYBYdC0kmkZNZuqv0IdGGIxiZLW9Y2xKHJOsOxlK5sxRuMPHvBq4LKfcm+nWcxmz1bFLIemXljqgnq9EJh',
+  '4tdP87OXTW9lJ5glJb1XHUBa/ZdzgxV+w8b+RtgOskZhQWMcpwx25VILIFAh3SIMr2FRPUhbZYSqVaMw0VEifC02w7yfw96tWzD8',
+  'j0WG+rr1xU6aomQ/q4keKGvKWCpLIsZV/4QRPGkZtonlFwOkpd4k6t8B3DGROngL6bq5OG0lTdIeP+YhxN1l0ls4kenkLeBK3m8C',
+  'vah79CA/RRO+GPkhLSIEZWY8GiZzqx+glIKX9oDspNXKcGfU61mJFmqNgJP5rcgY4yz9y3KK2cznRPqJO4WNarB98dmvVp40ZxaS',
+  'Tnc2hXZ7yDOzhBe3lOWwJC0WuhQmCgsu0SIDlKenXJG7udlR+iiV3hfyveoqohB8aLe8nDbDIgEpLAWk+k0XNIydIfBTmx1Vgg5S',
+  'QLJHaZITvCMezzJh2jjmU8ylcmwERO/Bosly0vew9SnDyahZ3kPfuFnRYgEE7XLameu1rDhk8pZqd9BE4KdBYnSrODPu2v+FIjsg',
+  'uXU/1Gt3s5ZueDHDttt5j6Z56olet8Y+dlGX1A/yqKp8x8HZ4dfda68fc4dePfbSGyISz5En+CrF5N8Ueac7zUuoQFUD1HYu7yzY',
+  'xIACb3twnglK0K1+yMjQ3Oc1A/LCbBGy9jzpcy2qFp5ID3L3t/ozbQQLGlgE6DdTcZVlXKRTlr0YZuSk3ZwyzhQHeeeqCqxe34WF',
+  '/0KFQNYXXsu5ZeU7s8lCUiTux2mLUKF5pzjuZvPji//xWYt/affxP2t4/d9PoeIlZYgGO8WQZl0Q3+I6iIeE0o3jF7FkDI5nyeJs',
+  'Nt/D6Dic05pJ3rD7x9z+pMne9JJcyxaJooIaRavvHdtFQ8LsJ7SgwnuEg4LNln2MVQSp1CbrNojwIlYi2z1HPAdpb7/J5/Qxm4/K',
+  'FWo2OVefpr3hcy8ceu4vX37uL1+uRaUR/X8pL7pVNxmVgX45aoflRGGkgUYORS0x7drpsjvU6SR9IhlEuZ5oxZl6i7DB3R7sMvpj',
+  '1brVpIiuXp/ej55RLKRpd78T9ymJkcecTd7XWplRJYGxp3cuNJKiNFd3Ya0kT8TlDzYQqrpKlED3tq2J2LgtOma2kRCnWlJ4W8fA',
+  'FZ7ATU/IQ7soWcFyEqrLb7TmoUvqhUua/Ykoj+1mbAmv4DelN6McSc4CjY/btj9Kok6OnTAgUikLAxVXKHhyXs6HTWK8qVeUnwCD',
+  'ygcx3MieSZsE5jIrKoY4RnfHDWml0FtPgM0WlqxoBFQ4x1ZIdBrN6zTTGy1BF5VWZJKkCUq5iH78WYWHpFXYcsS48YIbdT9/MXhK',
+  'dBfSaKtbqUUlCaPUS7wHcXHg79W4i0llBjQzzyBny0ONGbKQSyIG9OiUe7uYyJpu2mXN4K5w4MBz1Wg6dcyHmkm6CzmB2JE91+Tk',
+  'nA1GXVRheb5r0yHkrtvoZD6bTX3Eu7gsofcsSu+ZeLswQ8cYvcK9C9ObVsbBtnuJ562R5QnjPzbCIXu3Sf906j5vRV0pOWJruWMu',
+  'yprM/FPaWPBec1I6/1syccoXQ9WJYhQq/iEkwcaaNfGUOz4SpcBIeTA4ZBl9PF8cUS5cKM2h6IXn2s8tsV/0h1pZvVIjFeFOP+Q9',
+  '69FpxDdRNjQjUYn8mWgKq0cVpcCupHs1jn201Ft6cp2FnTU3JLk5mXsaSWcWElX5yayZVqJdsD4nKgXjk1HC2PjasRGkmYlqUUFW',
+  'N4rsnnIs+/bhdnve/V327aPzXU7/FBIky8CDReXBZw9EpYWojFNDwCjqRGlTa/sUfVRdtDhVos2uSxuNVlpkCUsDczSrmaqgdkHt',
+  'WYv2M1Bqga6sBmQcglNmNMO+VC0xo2yDk/29FLI5p6yzm+TS5a1Uo41rlH5zYgEmb7oIf/Bi1eM0iRP2gjqi09qCbCBkflFQBaM3',
+  'jNaOzorks8UfoLt55rVYtuYdyheFjRl11MD0pIg6cVA2EdAAO2pqmTyEmdTrvOY98AahYkM3aoTuZE8WDN8P2dKTMz4/WTcUN7D/',
+  'q0VLs4vCGfaT0/vB3sHLHWDGFLp3xoGvL2qHGQXKJ7oPYJ4cjzd2rq5DMcpvzJDuoE+QXyPployUbTDITbZ6OSmiOGRfNIqdcZpF',
+  'CkXnajrpvmjcituzrCZRsZm10zqqow+PN1+YMCkJ2ko6q4VnTD987mFWlxIZ4Txw7S6NdD/0SSk005iKZzCKkjM/vQarBcqwGFNs',
+  '2EsSUKjl026ZGQHO2cg4wt24aC/ppiL8klFqwAgwoKciqEMBPUDwAG9kbbTbXWa0yhCxRTO7se4rrx2ZizpMFJcTNEqEoukOodsP',
+  'K0rqg1oGZrWnTop1WOYRtKCvkf8d+cX5bTm7O2q7kYoKOi6ypvie38kaUbznl04aHQ3JFoqeN6UHWGJCxu0z8QPaPClNkOnibEsy',
+  'PZLk4+1goeYJzLGNNno+QcxJO6PzKSoghk8r2kyS7fNZGNZ6senc6Da7IxESj2EroNsSzzZk2NjiVFS9aVRBY8MncezoK1It/XG7',
+  'PG/UBKXO49tamOOSNhDZfNn2G99BaflQl61EJU1jSygGHqjYofQSeLQ0l0kKxtetvWA+UCBcGpZajAxpShQdnDWOVKS3FHyZYERC',
+  'aSTytqUR8DMKTwPQJVnKuomO230VgzcqRJnSW5QAzdHjMunJH7/6Sre79EYKiRLUIT1MraAZrane7YisfHtGBZOi6HXm2CHFR3Je',
+  'S42QA9l8G7m7Rv9nRdoNO3pfilbJeRPoHYnict1led8C49zHbkKqTo5MsjRx2jwcHOd13Kaa2p2J9ke8itJiRm8NQ8lbvUU9uWHU',
+  'dVw+F21a92VzbHIN46s50otm3wGVyc98Gd7j4vA2JaJ+TdqT+4TIquWhnkX5uKXUvPdDQanC5XOVaHrT1Z5nAbSLX1dGouEfAfaK',
+  '2K6Wja3V7IKrajpDT9ZtR3MRRBLjqNch0Kd6a3jdnCmJPOfm5n5ZmajEE0UwlEH20nvPUokq6tgovPh5CRGET9jJTlF3RMFX3OVz',
+  'UakAJe6A3Y1uZdZ4N7pMHDtY/2QxbedaPGTDG7uFjjJq4+I+FuYCrTNIBU4ExrA2Km6LFbW8IbjL2l5EjhVlQjW2u5ByrK4YTng1',
+  '+khOlh4a8JRgWEidOS+q66pSY6EGtckIL+FMsFTZV4ly5Ozm5e1xPLwTs6K5z7m8E1Lu0iOphCJIh2UxV+CAX5xJZO4J5yQTtmqE',
+  'tzDOtY4WW8xZmrEX68PpajuvOjZ6U+vlI0fG3Ct5q88bebqXYAWsadisQ/ZNoXiKN2bRigxm9fvNBEkGRWh0c2fcYr2Imyp3iXW3',
+  'aguFIpdV08vbWvLOiuDHJDWwxPswAA3sZWHyXAxoQuvzvo13AWaPh/+itZEmDxPlhV0UG6Z5o3I32w8y2RyfoWgnVVXs1bzBo+JT',
+  'jUONX6+QwRJ901ZfV+bC7/+CGqhJKlJkrI3OXnq5M4JpAk2WsaKmqTLMnF3RORujuA+zz1mAy2uDrbPZgD51Xp+8H9Ds/oloSobF',
+  'UzSHLPFeWZ1An3mmfPVgb26WLTfbj2CBWqCV+EyqFjIoouR5Q2cBLshF+PyxoJFFkL9o/16LMOSu6CwVx/MF0sYrjmfdKJew8wlx',
+  '/1lNY2eLuMvhNx/dG52FbIl/AzsdfHTwvJ9AhUAZ+PZvW+CRPxKO/EPLSt+9uPNvzEUf/B4pAIRz7r6/sw6NAVZBMEfurBELnJUF',
+  'SG8Avz1kdrywvO0Vru08BB98E/x0o7ywe9Gck9QITkdaAIYDv/trqI6QngOdcx16B8wxJ22E0/4cj8FDP+9bBWoSaI3H4MP/C9jt',
+  '62CSX5ZWeQKVgc2Iu0+qARtgoz+GpsSn0fMRU/+S12U4DS2IL3fP0tWCygEdKcz+NWHGPwS/nu7nMa7qr0BvybTEBv6/B+67fM//',
+  '7audT3D0I6garAkb7Z291b0vnr7rf3pPGUJgcd0Hk0v4VIHdxqw5z2O7C97RDbDJlHGnPKNre1t79/du7n0asbiYT7W6t2HYSTft',
+  'kbibm3s3hFV1jdlUwnsijt+tp+8Jm+ra0zPgTPFZ7u89JHaXPMNp4oA9fU/4dKtgo70nZ1Emm94LMdj0Xq7t3QH/7a5wtk4bBtm1',
+  '6LdVPO97xBuk356eCVwt5YDJ9e6AMfaAz4mWXH16TlqQ7vEssbmYH4ZWur3373tbeyvCYfuVcMRWVTVH2vOC4bNdIx5iuLp9hqfn',
+  'iDnnn/bm3kPmA5IpWt45yICazpQ3wuSVSJ1eZMGvxlldYykMOVC2X1ESDE13NKFJrZRqLr8Ihnm1HzTzBjSpkHwUZc+i0UmpSlSL',
+  'E8ZRZW6yXomn8ri4U4RE2HxKZb0opVsBiKRBxrQNQG219ET7fIIucv7QFytt4abQzI7clWQ3uO5ddSba84sL6XQyKLESL356Ks2P',
+  'hzQCNs9Raht7UbNfG52KtqpR6F+tj8ZVuNmophOet5Hnx7NSBnHyl9RWP+fY+eCBKeshQnKg4mMup5qIix20zJrdUYT6qlRs8fhE',
+  '6mrxWzHlNzpzNcIWVANvQ1SpnTVhkSKq9ivesfm0ZLUeZQ3j6Kt2pM2bKZJXbxZjWq11XK4VA2+v2m3UU8kwIo7WksItp61WsC1w',
+  'VsV9X5zMkFYRM+yKcW3XkEayv94JvZvNimOsBHuetRJteA7Gpaqai0vxWgyQ6OVH8Lz3krxxivNZqbwWXXc06XT7QWiObyOULYgP',
+  'JGUwTQKhIwcv76qLxkqAm3GPp01tiClf79DozU+6mYVep7FgjIvp4HjfC3yXGTwMZFkA1CzpLvxydMRGWvyu9XELj2PlU0s3KwxA',
+  '8zVUBQDT80OT8csG6tHrtEaQYw5b0qK0+9GyHIfDEbuy7Xe1JmEVyhS4rtn3GElAOj7sXDgR5qKiCvJGof2UXSU7nwDoBWIyns3q',
+  'y97TGl0FUqg/I/FyOvW08fA2Qb/uZlX7VyyRs7bXlJS9pxVyN9kk1rQ0o4xlzdT2hbIpUZ1N7cF7YTvgVCUXKSebhnR2b5e0mxZB',
+  'hTxMq5Us+YkSnMiQffXelfxXNp0RxOxs3/jIi3ziUiYpD6Cd59mdnqcG3FWgBvhxzCCGJOadvhJPjCwC7/eFJk2mW1mTZ3qrzVaL',
+  'TYeXV4+nIAtyRCo0XzrayZeS+UTVksWD2XBQNPtqaB/UQVhWLl9M5tsECU3blP95k/KljbQIdWe+0BHUpfxbCVMVpkJDjD2RdGQf',
+  'e0JVJ2M8i2iB+nx/xKHO2nE5jPU6A5zOkl0UjR2q4NEkuq/Sa9WtlZXvqzzJoCYieEkaZdxDJZI4mBXOgox1iWFO55SLYTg0NIzn',
+  'DisfuhHWRBz1LoNsZhiWVDY/tOAvmtw8H5VGNOQ+ViHTwQJNXgXokipy3DF6U+uq/3NRlGFIrmRFZYXWjSbVikp8XAm6LnTwuihW',
+  'Xf9AZExE4ecj1UjZhhjIbZHNkb/eFxUmUX2xd+VVZT5UYSUvKqJaW3RdPV40lNa/+exdfOWOqtBsq7DMltGWWf3ms7OkMUJf+QRn',
+  '/gNkT64b1amrKpVzRc4sp/pYNXNYieUDc9rPoQzzvqqprOhteH0YVkC6oX+9FYkOifKJKv94oTD/UqQlr4usk0hyncafbqnkyxf6',
+  '9TOq8XLDaOCoJBRd6F/1rvi6rPHyQG/+qsqUvau6RtfxJ5a9OoMrXsCZWTHsogo6raqI1jX8/AfVI7LyL6xW9LkqwFxCy/CZP9Dr',
+  'nkM/vIT7fEL/fgY5L1EZ2hQJHfr5urbhZVWm4ie6rf3nd3QzdCpWA7uBU23qS7whHVseYUufV1tSOtslfMUrX91UsaNtlVHa0Ka7',
+  'rs97A1JCH+t3V/Q89/Udcd/wOnI3tNNeV0miq6oCtGpUzh5oZ+ZLnNIR5OWnvIrOdR1Np3U2OG/ewhNVBGJ9oU9FeogOvqJv/AtV',
+  'JVrRsXBWTiXj6KKe8GO0s59PzoQpQhqTb+kj7e2q6yVnZm2fdT1Ye6y0pBcN06ajw67IV+hPLNmkWl706xd6oas6NZGKVKcofmg9',
+  'Nsa7cZUHH1st964HCaOsHgfclVoJhuEiXlkrq5d2xV3hjE4sZm2caqLRyhrHQ2XLxevJeCmkrej5/b46ibfso1Ol2hChl5tpQzjy',
+  'B10pVg34JIRDB1WPXVKx7kXGJRNdu00oI/V11Ki6hkwseaSRREA6zQi8sFso7fwqBMewfmNe1kW9Z5tNwOdexd4j7Xj8MBNiXVF6',
+  'AZOlXIFoILfnXdEvuuliNQ4hn+9COHy6+jOq3B+v1qFJ4wLy0qC9CY43VSllDMZcXM1PEGIHz67SZr3mry8VxqlSAzBOIYSqwOpY',
+  'eqaLEU9m88O8TOPDRVGQbjV1r+n3uNB/qNarpR1VxbmorEonfv6/GGKH1JsOp3NJr9UdYUKXl1BxL/b/iV3BRa+ehIN+0V3oLc7+',
+  'gtrvFycIvmq2huZHBrqU9iEGA0s4j8LqgtMX3uSqk7e0sX7DzMHh4SNx4kFBavgAMqKM0DnRCu2cY8VqnbcqAStpKY543y7Gg8a9',
+  '68ABGR/jxVKakOEHkzSJ8sL5IbOPhugINv/GW4+8WBvUgxu8Da/GG/7xl0GgRYU5KfL2WGk4PFO82D+WzFPFf6QY/fsD/7MU2tYm',
+  'Sh+EnsAJsv24rf37Zd+w39TH0ICSFPJJwIDvE1z7EvYeztX4h9IepCvpDN9/Z0vzi9cYZ1Pr0a+vfP3o60dfP/j68ddbXz/8+tbu',
+  'OVIDRs6c6yAPkeneRgZ8Exn4dWgdI8O+e3nnt6hUUCYfer9xvUM0fx/wX/Ht30EhmPSEH6Mm8HtUETbwV65YsKIyNJ/xf3y8zcCL',
+  'nrJo4G7uvoM6BlUHNqQ6sSFVgSe4g8u750SHl1WjqQazDb3hs6xmu/u+Pt/ur+X5HqNeAqXsnQ2uDoT2wNGPca/cPhul6shayO4b',
+  'TTzRJTN57Xco0y15ZZPxp399/vquqSScJaW2vRX5/r29LdLM4/Pt3SaVMlwhaJPxt97zWn0XoPemf8f1obe3qnWESOfss717nKFn',
+  'bbRIB1A17+R6nXw271qzFl/L51putR44lCJYViuvUZjjAHKTma48qGpeGIrQMnkjb0Hrx4z9gudhk1AsD6SadQoB+ZszBgC98I8M',
+  'ggdWpy2ZNcnk6m60WpreAnbOI/SXqSSahgkfrvN5G0MYg1ndPd1LZCnZSTvJRKTcsK8SZVqIq1yLK6O06mjOWZowClsIEu+/Ii+m',
+  'qvY4/n+bROKpR9+LonpjraSF1FXK0YfMpQEOKNwFjWamq4fING/MvZK2ToDvOob3YqsgIYUhXw4kduz800Ix/7VJQGPqtShCI9en',
+  'EjaZbNAou+k5QAOFiv01QUNPV3vdufH/Vq1XAkrTAxJPpEnLpCUpjcVv0xUpsuPl1c6VwyEAfTSvB4yJpVPRrROCY44tl3gZiJk3',
+  'ACQY0rjhrQJ3N5edrNZLr3Zfhag26XiTfNlZGINzwfRktKASknHOcR51JunkraydFOQqn7rjWYuQNR2SEiyFjow1anR9j/F6SJqE',
+  'O7qQI4XlDoljrjp4+MeXmkDLP8uLafvthJxLSN3teCtrd/JWOk4hFrXafLKYyvwRmDxZ2/2EDaDEQUs9lJwGB0c7OUBYP+p10/Ys',
+  'MYatEI4CZoHKgToSEC9GCoxhUUCnWDdVUXbT2ohuOUJ+XHNqCsFUcEiI7v3Uh5xiManUNN8eYitFMRayj0VMhSJkEEeoIY0JCYke',
+  '0fKIKpE1ikj5CzlTAXuzeVMyn8s43qcDeV85LKgQfsxZo+ek3RxzdkaIZKHoKj/OGp2ciLzuJ6hkFoEDIXNhgKFJPzDBDE9tkX4Y',
+  '2iNnOByZJCF5TrZO/BJFqFKFKQyUKd5CTHRSctxuzzs1Q8qKvOVZMUAGW/K3JjRfbzWD2ImwXIP3eUb+i4pHYfUA5tr4k1oLbPCh',
+  'F4HJy7qeVmCNeMVJZ76nDpsMWvSklUlycCTftTQuSh0qT9LRF2hVbJApEuGetWt3l/Px7kLW8caMh3tih0dILXIlbOoHdLpOljdj',
+  'IoPjBoo3VqKPJ3W7Vj8SJVRxLK88ScsujAk7Zv6I9OuAwEXv4Xw5mjrS3KS6hd+YJLMFCSekU9XyJOyT3Ac1Hz5ldqW8UZp6Ozk5',
+  '2cpmC8knTD4/EUpUyjbil2Hy3JMyrG34gxCEZvlxCJFMV492shNJo++OAkVMy186Un3uhRlD89s/cM/1143vG0w0x8xOkGOlv6wF',
+  '8KSupUZ0Y66VJ92D7ayddoFH00E4MPYrAwFZMdhANnpi7Rw30PMCOlMdHquuHKhVB3aURtdMLk+39VeTrTwvUmFPNk0H5Q4ZmIAa',
+  'FUDNrtU3Yhzqkxh4WFMDQaAtlDPeLRI3xPHEoUiafYgsMBstLgXROuzjCx+quqigwntdSI6xhSp27LUfHH595tj/OPqS01dhRXv4',
+  '32q9nJOKXjCyKjHejy42PRBoEJ5OxTZ7LWKVliYXN1mPWU/0Xl9JOieSTtNmdEJQJaxpDpWJX6vJgNdPkrWXXbYlKj+e9oEVqLqG',
+  'PIXpaWanIPzMOShNtAyH2PZwDs/dQNgeczLA7hhYaCYGVu+YS4EZvUX9pGWK64RcRa/3qh8UE8bMRlWOCrwTXdTYOmyuK0KFqkjl',
+  'rBdoCC8sw40JdNEQpYCxEaNFmSNoj6L3nrhyjunYwD0P7Gu6AV9Miai0k3dExCc92Wj1CghIRORLZF+sOxvv9hq9FlOEvfbNzJFD',
+  'km56OWl0Z/P8uMcGBKWMNvecxNdulXcdJmXQXtNFw96H0la3RfmzBjvGcvG71XeaPhrTdyHewgarzrNAIYj/17td4xpZH5giD7Vd',
+  'qdRuxE683CdtYHqdEBLM5G3u0t1UNsPUW+bTNmlqMBWvOEpgX9LtmA8FcYuq9vpBJOcSAAYMElgM7BxbCXXYECTNtxNganwfQ94r',
+  'Sgg3s6IQASKvemo0YVnpJmvyROsL8wssTKoK5eAzClLCp1sPU+YRMZRysb0ssGOGqsoaWaaSskiDIjEHkVY3gfKRecdm1UAd47Mz',
+  'AasB2RDuwO1u1oHELwkcKuws2hT4YeWzjRTdUHPmjPnJGgEG45LvWwfDTikKa5eTTrMoaSEsL08I3skgVF7MaeYlQRhRzytKHLJO',
+  'Y8FAAqVnlrjwFJgzh5Leb94l8kehbpsqwUT6PEb3HfuEmP3Lwt3lfaa/NikInJxYWlgqYe1c1h6YaCtBHVOljxIS58oxRcheN87S',
+  'kq1jjDEHF1WEoEIcf8wyHPDsCq+r8sWro1NBxidjfdk0gtqhibGoOisRJzQtpGRYW+3AlCsVo2J9EvRDrLDY602eHKeMsLmIvEc3',
+  'sJ23f+Usmi8/+B94zsT9LGXQdNn55933dh4Rdhl+YexTVv7kOruAAUn+DuV3xdntYcmFTV3tJMcZf7J7WbKq98ThjfKqlNfdxu+S',
+  'Gd65i29uM6oceOqv8BNnedd2Hkk29gFQ5ZJjBsJbcN1ydc4oP4KvH/ua8dUJ9/1QnqJ0P5RTRgb3sWSM39/9NZDn54Cb35RcLznb',
+  '3ZVs8mOgvx/Do20D1+cnpWMYh6+fPOSnEJc2uvpvcPxDeMo9Jpc/1FsvKWBgTQuyF1BRPY3a9DqqvVxf9gAG4zsmFk7n9Cs3tFy7',
+  'peX1S1qt5pLup8br6oZBAnC92zpwKTqCPtdvUd35I/z8saA4xEuIERcfmeLvGVN2X8E9nDbuP0/Mc3m0jH+KTT3PP+Mr6+p9tqLg',
+  'kDXFFZzC+dekbi5YAsbVsC3ObYWIfKWPeQFfsd/iljHtLG24ql8xLjwBY3BJ6+kWXLFtkBur2sjv6ovYMvgc04YBQOKxBBYK8kRf',
+  'vaIRAhrnaoAQRJ53pw0K5b5BzlzTFtvWt/NAQREGXBQhPS6pB9YqftgGwuSJ+DeFuz2jbnqMHvkohqas68E38cUz4UnDtVb1jVzB',
+  't+4IQEXM+LiD3dQ2uaMOXNx019VmSz3d5Op3ot4rfnYX0JKnAFxhGMNFBQWxyR3fzwem/d/R2zuv/dm38y3BpQRY0Vfae1d0+Kyo',
+  'BZXvY4q6CZ/wa1ox7bwRzsPgEBkXKzrivPHWCu7wC2MGB8dA+vWOP89gHSnipgRGytmn54jfQNUgz2pQNyM6ZmvvC3EmUnee8In6',
+  'NJXrQ/8uPJELqFB9iSoVn5k4LStwLJL7UY8j88k9VLt+5StTt3Bfp4nNIT4+N8vXwrEb+pPZUGoKZvmFibwzP/n8X//1X0+ehIgP',
+  '7RHKSSFse+mvU86XAgayMKraZPw5qqTeoqrf09V8bq5qJe1Exm+K7DaoVK+g/9m+G0gouWdL/BAKA23JSmo4Psp6tjrMwEe+bA09',
+  '5KNKbaAeMzn50mtVZy+4TKIlzfStN47MEMW0jWhJLvh2ciLhUxwsF57hMV6qqRQNn9VxPh9n5azksm4wuhvcj0cBmVx48NU6ikJL',
+  'GS0tVKDdORE1OeTdDiae0BJ4yVwU+pt6ZXmgDPI3pdIbciuo9UfncgM71oOD+ZYKsoWRu0e3NpiScsNzJSUwu0nM6Jfj/o2Hiiwk',
+  'WNUhIpxDL8zFEgYhZR8l/C0dWxu6fE+Uro4hy/RlI76kXdQN1BKf9zwTZOSy5vT8LPl5S1JgJm/PE6JlYCBkiwqqMluYQ42kmS5y',
+  'XoKRI4XJJCmqx+4q5fYn5tOubCJe7B9pjmTNUVaSe1uB2bQl1m2GSnuNToniTPRuB0P0SvSeOUdWH8wYK1Y5DSwXgYnD+EI0MKyn',
+  'g5Suowo4/zs4c2SRGwSnFUtaYSw3QLTnyPiBSnG0+2/Pd0lY8fDEzMRgvx9nHQbVgqDExpi1JlN1j7ArbBq6dYk2ZApmmuoUhhjV',
+  '/zT/6AYTkItZEduz5XNep2rMLcimsBjMbs7krd7ibJaYk6UnlxIVRRFySq9gdwLTbpIIjKq/lK6Jk3bJ3ByZLnTNAwF7Lm0swyok',
+  '74xC3EAKXBMrdNwROkW7aaGOMtJCFc7vtq1lgAzu17V2uZzOFhncVihzSlXibiAt8mpHOSBfdCOckeYVfbVVRRC8ysXLktk1tyxQ',
+  'JusAJKrwtpu8lnfN+2L1B0txSjDvNJKlRA1JggqaTdxGXY6oKdzl5nod9FMzj4X2YhcD4neonUWYSikF1s977XkSgGNhs8EXVItL',
+  'Qz8df+vQ+NJCv2C0gzepIRxgJ+vSFKa9z+emGvSHBqHtRvQxQnEU0wAaHrgRfsZCVDl8nks4Zz6iIVcem/7hRCRZXXWgMUXDBOUM',
+  'vMcGeQt2SCiC2uW5F1567oUZ6WPPvfBSdXR0qpyRohUyEinUHHbWTX9W4j2W8bUEsyxN0oBeDtbZfjpOOrKHk246MkqT9rFsMR0Z',
+  'dYMpmGq0rEhkESKkEPOUCLlwpfPPYEIjSNXq6JL5XI/bb9ogps4K3tjDcUwVb0jIJBl6Oz91NUCyVxZp1jgUIWe95WPQGE5oue5L',
+  '15vx1Ei8Aet3pxNPBL6VC8XaHULqKeGcRbZivpMsAv/iERDW4EjBS/58AW0REWv1uCEr9uDy+Y/V2pCAxixHPkaN6hdyNLdy6U39',
+  '13qNHtR2YVWUsz0QQV2JiV3GW4Of6wYrydUh6+aQ6K3K77IbvctiSOS3rzJ4f/VhHV8mAzWkI/+xqSGLRlAMC4Yp3rlK3UkyMjMQ',
+  '2waLwWbMfwSwKlU+a/Rv5CYhdTF+nlj92Ay9E3nWHDkwOlWNFMc91XlwqxZqDmHqrg8JuWP8If9UYqgDXMIYKHiOsuYdPa9RttLB',
+  'UBtMMjekqk0rRyubQ/OORT6ICkYZnMJc0KCk4zg8aGZLLRYW9Qo2RdD1Cc+LjlHCv7khbSDF60JjHNQXh4SPkduVCd0iuy7W+BrY',
+  '0bGVGqrd/idr3aSuFP/YoxgkrqwsJp3j3BND32qqWYTMXx50poZI0qbeq8ccJ3WtaHtUIkgDSoB3eoJwRCSDnJI6UsGR3RLVO73S',
+  '1YjfIIc9hGkrXxENKtghPhryiupuyAYSGBwGJQA4RPfG9mUxHAI9ErZAAV9p3KkQryxnBWHpUE3HMFR6Ms0vpYvHxEsel+wflqKm',
+  'mDX5+eSB6BdfdfRVNbNA0AvJF7OGDbwiu0R5A3ND5hfgMcUWSvBBENPvzff+Y7VwI1xb742qHs7uhzuPd0+j2rGGGkLps51PUDU4',
+  'DY0gro1slWsXjDDfebz7K1QBvtJ6yu5ZXwUJNYTHrBmk1QfS1hn8rmDly599wlWU3bPAsG96jD7XQza8Ks/g+X7N90t3HLR2dr4U',
+  'daA1fAY9HNU3Qc7vFpzX35H82peSKTxrsONn+LO92/RZvEa9dexlmksKjr7yXtdwYWLqrtixRrOO9ibImky7/ehrOtkPTDsUUZUy',
+  'WZwdKobFWdVhi4HBiIcpyUcjFROOYLiVh19tWJCif4winMAKUSWwtOoGYkY6sSMN8qxxPFrlRjSyNYHtL41gqEY6VXcUofv+wu6r',
+  'nBsWkJcDbUTzA8s0U1KipYv/K8/t5sjSv8+S7icNx58vZu1xoW1VhsW4LFpTj8VrePEqpSP00Io9thRSVGo/GB//+1jA41DWoTup',
+  'V4a0yLDIdPmbzU++2Vz/ZvPf6d+tX32z+eE3m3/49uxn3579zbdnP/n27Iffnr327dmPvj37u+9uX/vz57/1lPOt03/+/LejWhdb',
+  '0+IFVxk+Rd7+XSmBSaFHqzbCuLyk5TbPKi1VcHx5whcFPAt1VUmgm1KFpG9dCUTRwB32zGJPnv3QlG9KBcGLSoLe1hrW7/X2zimf',
+  'dM0UGT1r2NcrV5Twaws3pweo2VeEYSpFMVvPKtG0ryuZ95KQ1qVNVsCf3dY/rWqB7Ioeua0lv4/N17l9zuCe7Yeryt6NWfByt2um',
+  'CnndVIj8e+dvXdMv3tFWPf/N9U8j41K/Cx5EExL+wIQRhpY20O3pP9mdlCMIElsxl1H+DSas8v5y2KpfrZfnQB4uQ/LyJxdb5tgw',
+  'mZXkpXT2NJo0Zjfjpt2QGGpYPDxZL6c0eFczMXzmNjvOMOjtRBpm10H8JU2fpW2osEHN7G62eOOTkz95YWZy8vCxw+6nrxz78avu',
+  '+YkDLt50aUamtOERqazJRM1usHUjjsR0tahEq6d+JWQy/ntyInlTGn1YOxYvzg/b/7lSY8mOFlfZX3qb+wdzUAAQxWeQ9+qGLlnT',
+  '+384pAJVG7pkVqjQM+a6pNxJjz6G0pthfRk6Wswj1342dOofPgDi5cwHCMMyRdV60smScX4F01XicVXr/+dBjdu+PA5a0wemmIdu',
+  'wqOfm40/uvZBR8pIQzvqwjPPDMunJV1ykC/fSX3o8j/0KYavq+nQZpjuDL1cOj0sWLHReDN3L3aSImuNGq3FTeg2MpZnHZggipHv',
+  'B/xOpDu5rmxMcC/vsXqkwTQNOcPOJs5wmfUhCeHD3NN49nRH33rx1SMzrtrujh8rCRnQ6xvMqczQ3ykbI7AzW1/lmfjkYqtd2LYf',
+  'Ph0cO3zsMM+dz493oxOa0PbYG3LI5JAIeam7f8oyIM3SglRR97W8mU4wb+VFwF+Hzh/t5O1isM82Opnfzo5OAA8vnXcwhsUX0IcH',
+  '15rBrCP+PCzTNVk3bOooqK8NXy0Gs1a4KbOGWMm9IZgAjJLhM+VgdgSNnEwM3awMbdbFdGH4Y4pDVLm32H6CbvJXEweed8fi1d8X',
+  'HL/nmrXveT1VN3wFG/LwKHtOD23D7sh+N3xd+J72qjaHBzEFIYNbQ+AQg8/PY6M2PDyhevLQP2AsTQy29MBYlpFfCiP84vg9r7Dy',
+  'Pc1ZGzZP03N9T7PVgc68bGYomb0Yg6ncedn1B+TjpqAoPQ+d0JeYK7eBaPTnUazZpoarPlq/omivDw2sbDPGuF00qjAc3d80wCWP',
+  'yNs2Aj/bcs4h4TxvXK5AYopxW2uK1fp42D5jNd4JXVKRpydAfm3G0b1gx/4/'
+].join('');
@@ -0,0 +1,784 @@
+/*!
+ * Brotli decompressor
+ * RFC 7932 decoding, resumable in the same way as ./inflate. The static
+ * dictionary is inflated the first time a stream refers to it.
+ */
+
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const { FINISH, Decoder, buildTable, singleSymbolTable } = require('./reader');
+const { Inflater } = require('./inflate');
+const DICTIONARY_DATA = require('./brotli-dictionary');
+
+// Node.js reports decoder errors with these numbers, under codes like
+// ERR__ERROR_FORMAT_PADDING_1
+const ERRNO = {
+  EXUBERANT_NIBBLE: -1,
+  RESERVED: -2,
+  EXUBERANT_META_NIBBLE: -3,
+  SIMPLE_HUFFMAN_ALPHABET: -4,
+  SIMPLE_HUFFMAN_SAME: -5,
+  CL_SPACE: -6,
+  HUFFMAN_SPACE: -7,
+  CONTEXT_MAP_REPEAT: -8,
+  BLOCK_LENGTH_1: -9,
+  BLOCK_LENGTH_2: -10,
+  TRANSFORM: -11,
+  DICTIONARY: -12,
+  WINDOW_BITS: -13,
+  PADDING_1: -14,
+  PADDING_2: -15,
+  DISTANCE: -16
+};
+
+const INSERT_BASE = [0, 1, 2, 3, 4, 5, 6, 8, 10, 14, 18, 26, 34, 50, 66, 98, 130, 194, 322, 578, 1090, 2114, 6210,
+  22594];
+const INSERT_EXTRA = [0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 12, 14, 24];
+const COPY_BASE = [2, 3, 4, 5, 6, 7, 8, 9, 10, 12, 14, 18, 22, 30, 38, 54, 70, 102, 134, 198, 326, 582, 1094, 2118];
+const COPY_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 7, 8, 9, 10, 24];
+
+// Insert-and-copy codes come in cells of 64; these are the first insert
+// and copy length codes of each cell. The first two cells reuse the last
+// distance.
+const CELL_INSERT = [0, 0, 0, 0, 8, 8, 0, 16, 8, 16, 16];
+const CELL_COPY = [0, 8, 0, 8, 0, 8, 16, 0, 16, 8, 16];
+
+const BLOCK_COUNT_BASE = [1, 5, 9, 13, 17, 25, 33, 41, 49, 65, 81, 97, 113, 145, 177, 209, 241, 305, 369, 497, 753,
+  1265, 2289, 4337, 8433, 16625];
+const BLOCK_COUNT_EXTRA = [2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 6, 6, 7, 8, 9, 10, 11, 12, 13, 24];
+
+// Distance codes 0 to 15 are relative to the last four distances
+const SHORT_DIST_INDEX = [0, 1, 2, 3, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 1, 1];
+const SHORT_DIST_OFFSET = [0, 0, 0, 0, -1, 1, -2, 2, -3, 3, -1, 1, -2, 2, -3, 3];
+
+const CODE_LENGTH_ORDER = [1, 2, 3, 4, 0, 5, 17, 6, 16, 7, 8, 9, 10, 11, 12, 13, 14, 15];
+
+// The fixed code that code length code lengths are read with
+const CODE_LENGTH_CODE = {
+  entries: Int32Array.from([2, 2, 2, 3, 2, 2, 2, 4, 2, 2, 2, 3, 2, 2, 2, 4],
+    (length, i) => ([0, 4, 3, 2, 0, 4, 3, 1, 0, 4, 3, 2, 0, 4, 3, 5][i] << 4) | length),
+  bits: 4,
+  mask: 15
+};
+
+// Literal context lookups for the UTF-8 mode, by the last byte and the
+// one before it
+const UTF8_LUT0 = Uint8Array.from({ length: 256 }, (_, i) => i < 128 ? [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 4, 4, 0, 0, 4, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  8, 12, 16, 12, 12, 20, 12, 16, 24, 28, 12, 12, 32, 12, 36, 12,
+  44, 44, 44, 44, 44, 44, 44, 44, 44, 44, 32, 32, 24, 40, 28, 12,
+  12, 48, 52, 52, 52, 48, 52, 52, 52, 48, 52, 52, 52, 52, 52, 48,
+  52, 52, 52, 52, 52, 48, 52, 52, 52, 52, 52, 24, 12, 28, 12, 12,
+  12, 56, 60, 60, 60, 56, 60, 60, 60, 56, 60, 60, 60, 60, 60, 56,
+  60, 60, 60, 60, 60, 56, 60, 60, 60, 60, 60, 24, 12, 28, 12, 0
+][i] : (i < 192 ? 0 : 2) + (i & 1));
+const UTF8_LUT1 = Uint8Array.from({ length: 256 }, (_, i) => i < 128 ? [
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+  0, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1,
+  1, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1,
+  1, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3,
+  3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 3, 1, 1, 1, 1, 0
+][i] : i < 224 ? 0 : 2);
+// ...and for the signed mode
+const SIGNED_LUT = Uint8Array.from({ length: 256 }, (_, i) =>
+  i === 0 ? 0 : i < 16 ? 1 : i < 64 ? 2 : i < 128 ? 3 : i < 192 ? 4 : i < 240 ? 5 : i < 255 ? 6 : 7);
+
+// Dictionary words of each length 4 to 24 number 2 ** DICTIONARY_BITS
+const DICTIONARY_BITS = [0, 0, 0, 0, 10, 10, 11, 11, 10, 10, 10, 10, 10, 9, 9, 8, 7, 7, 8, 7, 7, 6, 6, 5, 5];
+const DICTIONARY_OFFSETS = DICTIONARY_BITS.reduce((offsets, bits, length) => {
+  offsets.push(offsets[length] + (bits ? length << bits : 0));
+  return offsets;
+}, [0]);
+
+// Word transforms: [prefix, operation, suffix]
+const IDENTITY = 0;
+const OMIT_LAST = 0;
+const UPPERCASE_FIRST = 10;
+const UPPERCASE_ALL = 11;
+const OMIT_FIRST = 11;
+const TRANSFORMS = [
+  ['', IDENTITY, ''], ['', IDENTITY, ' '], [' ', IDENTITY, ' '], ['', OMIT_FIRST + 1, ''],
+  ['', UPPERCASE_FIRST, ' '], ['', IDENTITY, ' the '], [' ', IDENTITY, ''], ['s ', IDENTITY, ' '],
+  ['', IDENTITY, ' of '], ['', UPPERCASE_FIRST, ''], ['', IDENTITY, ' and '], ['', OMIT_FIRST + 2, ''],
+  ['', OMIT_LAST + 1, ''], [', ', IDENTITY, ' '], ['', IDENTITY, ', '], [' ', UPPERCASE_FIRST, ' '],
+  ['', IDENTITY, ' in '], ['', IDENTITY, ' to '], ['e ', IDENTITY, ' '], ['', IDENTITY, '"'],
+  ['', IDENTITY, '.'], ['', IDENTITY, '">'], ['', IDENTITY, '\n'], ['', OMIT_LAST + 3, ''],
+  ['', IDENTITY, ']'], ['', IDENTITY, ' for '], ['', OMIT_FIRST + 3, ''], ['', OMIT_LAST + 2, ''],
+  ['', IDENTITY, ' a '], ['', IDENTITY, ' that '], [' ', UPPERCASE_FIRST, ''], ['', IDENTITY, '. '],
+  ['.', IDENTITY, ''], [' ', IDENTITY, ', '], ['', OMIT_FIRST + 4, ''], ['', IDENTITY, ' with '],
+  ['', IDENTITY, '\''], ['', IDENTITY, ' from '], ['', IDENTITY, ' by '], ['', OMIT_FIRST + 5, ''],
+  ['', OMIT_FIRST + 6, ''], [' the ', IDENTITY, ''], ['', OMIT_LAST + 4, ''], ['', IDENTITY, '. The '],
+  ['', UPPERCASE_ALL, ''], ['', IDENTITY, ' on '], ['', IDENTITY, ' as '], ['', IDENTITY, ' is '],
+  ['', OMIT_LAST + 7, ''], ['', OMIT_LAST + 1, 'ing '], ['', IDENTITY, '\n\t'], ['', IDENTITY, ':'],
+  [' ', IDENTITY, '. '], ['', IDENTITY, 'ed '], ['', OMIT_FIRST + 9, ''], ['', OMIT_FIRST + 7, ''],
+  ['', OMIT_LAST + 6, ''], ['', IDENTITY, '('], ['', UPPERCASE_FIRST, ', '], ['', OMIT_LAST + 8, ''],
+  ['', IDENTITY, ' at '], ['', IDENTITY, 'ly '], [' the ', IDENTITY, ' of '], ['', OMIT_LAST + 5, ''],
+  ['', OMIT_LAST + 9, ''], [' ', UPPERCASE_FIRST, ', '], ['', UPPERCASE_FIRST, '"'], ['.', IDENTITY, '('],
+  ['', UPPERCASE_ALL, ' '], ['', UPPERCASE_FIRST, '">'], ['', IDENTITY, '="'], [' ', IDENTITY, '.'],
+  ['.com/', IDENTITY, ''], [' the ', IDENTITY, ' of the '], ['', UPPERCASE_FIRST, '\''],
+  ['', IDENTITY, '. This '], ['', IDENTITY, ','], ['.', IDENTITY, ' '], ['', UPPERCASE_FIRST, '('],
+  ['', UPPERCASE_FIRST, '.'], ['', IDENTITY, ' not '], [' ', IDENTITY, '="'], ['', IDENTITY, 'er '],
+  [' ', UPPERCASE_ALL, ' '], ['', IDENTITY, 'al '], [' ', UPPERCASE_ALL, ''], ['', IDENTITY, '=\''],
+  ['', UPPERCASE_ALL, '"'], ['', UPPERCASE_FIRST, '. '], [' ', IDENTITY, '('], ['', IDENTITY, 'ful '],
+  [' ', UPPERCASE_FIRST, '. '], ['', IDENTITY, 'ive '], ['', IDENTITY, 'less '], ['', UPPERCASE_ALL, '\''],
+  ['', IDENTITY, 'est '], [' ', UPPERCASE_FIRST, '.'], ['', UPPERCASE_ALL, '">'], [' ', IDENTITY, '=\''],
+  ['', UPPERCASE_FIRST, ','], ['', IDENTITY, 'ize '], ['', UPPERCASE_ALL, '.'], ['\xc2\xa0', IDENTITY, ''],
+  [' ', IDENTITY, ','], ['', UPPERCASE_FIRST, '="'], ['', UPPERCASE_ALL, '="'], ['', IDENTITY, 'ous '],
+  ['', UPPERCASE_ALL, ', '], ['', UPPERCASE_FIRST, '=\''], [' ', UPPERCASE_FIRST, ','],
+  [' ', UPPERCASE_ALL, '="'], [' ', UPPERCASE_ALL, ', '], ['', UPPERCASE_ALL, ','], ['', UPPERCASE_ALL, '('],
+  ['', UPPERCASE_ALL, '. '], [' ', UPPERCASE_ALL, '.'], ['', UPPERCASE_ALL, '=\''], [' ', UPPERCASE_ALL, '. '],
+  [' ', UPPERCASE_FIRST, '="'], [' ', UPPERCASE_ALL, '=\''], [' ', UPPERCASE_FIRST, '=\'']
+].map(([prefix, operation, suffix]) => [Buffer.from(prefix, 'latin1'), operation, Buffer.from(suffix, 'latin1')]);
+
+const LITERALS = 0;
+const COMMANDS = 1;
+const DISTANCES = 2;
+
+const STREAM_HEADER = 0;
+const METABLOCK_HEADER = 1;
+const UNCOMPRESSED = 2;
+const METADATA = 3;
+const COMMAND = 4;
+const INSERT = 5;
+const COPY = 6;
+const DONE = 7;
+
+// Everything a step can change, other than the input position and the
+// output, lives in one array so a rewind can restore it
+const R_STATE = 0;
+const R_TYPE = 1;
+const R_PREV_TYPE = 4;
+const R_COUNT = 7;
+const R_DIST = 10;
+const R_DIST_INDEX = 14;
+const R_LEFT = 15;
+const R_INSERT = 16;
+const R_COPY = 17;
+const R_IMPLICIT = 18;
+const R_TOTAL = 19;
+const R_LAST = 20;
+const REGISTERS = 21;
+
+let dictionary = null;
+
+/**
+ * Streaming Brotli decompressor, with the same write() interface as
+ * Inflater
+ */
+class BrotliDecoder extends Decoder {
+  constructor() {
+    super(1 << 16);
+    this._regs = new Float64Array(REGISTERS);
+    this._markedRegs = new Float64Array(REGISTERS);
+    this._regs.set([16, 15, 11, 4], R_DIST);
+    this._maxBackward = 0;
+    this._meta = null;
+  }
+
+  get ended() {
+    return this._regs[R_STATE] === DONE;
+  }
+
+  _mark() {
+    super._mark();
+    this._markedRegs.set(this._regs);
+  }
+
+  _rewind() {
+    super._rewind();
+    this._regs.set(this._markedRegs);
+  }
+
+  _step() {
+    switch (this._regs[R_STATE]) {
+      case STREAM_HEADER:
+        this._readStreamHeader();
+        return true;
+      case METABLOCK_HEADER:
+        this._readMetablockHeader();
+        return true;
+      case UNCOMPRESSED:
+        return this._copyUncompressed();
+      case METADATA:
+        return this._skipMetadata();
+      case COMMAND:
+        this._readCommand();
+        return true;
+      case INSERT:
+        this._insertLiterals();
+        return true;
+      case COPY:
+        this._copyMatch();
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  _readStreamHeader() {
+    let windowBits = 16;
+
+    if (this._bits(1)) {
+      const n = this._bits(3);
+      if (n) {
+        windowBits = 17 + n;
+      } else {
+        const m = this._bits(3);
+        if (m === 1) throw brotliError('WINDOW_BITS');
+        windowBits = m ? 8 + m : 17;
+      }
+    }
+
+    this._historySize = 1 << windowBits;
+    this._maxBackward = this._historySize - 16;
+    this._regs[R_STATE] = METABLOCK_HEADER;
+  }
+
+  _readMetablockHeader() {
+    const regs = this._regs;
+    const last = this._bits(1);
+
+    if (last && this._bits(1)) {
+      this._endStream();
+      return;
+    }
+
+    const nibbles = this._bits(2) + 4;
+
+    if (nibbles === 7) {
+      if (this._bits(1)) throw brotliError('RESERVED');
+
+      const bytes = this._bits(2);
+      let skip = 0;
+      for (let i = 0; i < bytes; i++) {
+        const byte = this._bits(8);
+        if (i + 1 === bytes && bytes > 1 && byte === 0) throw brotliError('EXUBERANT_META_NIBBLE');
+        skip |= byte << (8 * i);
+      }
+
+      if (this._alignToByte()) throw brotliError('PADDING_1');
+      regs[R_LEFT] = bytes ? skip + 1 : 0;
+      regs[R_LAST] = last;
+      regs[R_STATE] = METADATA;
+      return;
+    }
+
+    let length = 0;
+    for (let i = 0; i < nibbles; i++) {
+      const nibble = this._bits(4);
+      if (i + 1 === nibbles && nibbles > 4 && nibble === 0) throw brotliError('EXUBERANT_NIBBLE');
+      length |= nibble << (4 * i);
+    }
+    length++;
+
+    if (!last && this._bits(1)) {
+      if (this._alignToByte()) throw brotliError('PADDING_1');
+      regs[R_LEFT] = length;
+      regs[R_LAST] = 0;
+      regs[R_STATE] = UNCOMPRESSED;
+      return;
+    }
+
+    const meta = this._readCompressedHeader();
+    this._meta = meta;
+    for (let category = 0; category < 3; category++) {
+      regs[R_TYPE + category] = 0;
+      regs[R_PREV_TYPE + category] = 1;
+      regs[R_COUNT + category] = meta.firstCounts[category];
+    }
+    regs[R_LEFT] = length;
+    regs[R_LAST] = last;
+    regs[R_STATE] = COMMAND;
+  }
+
+  // Block type codes, context maps and prefix codes for a compressed
+  // meta-block
+  _readCompressedHeader() {
+    const numTypes = [];
+    const typeCodes = [];
+    const countCodes = [];
+    const firstCounts = [];
+
+    for (let category = 0; category < 3; category++) {
+      const types = this._readCount();
+      numTypes.push(types);
+
+      if (types < 2) {
+        typeCodes.push(null);
+        countCodes.push(null);
+        firstCounts.push(1 << 24);
+        continue;
+      }
+
+      typeCodes.push(this._readPrefixCode(types + 2));
+      countCodes.push(this._readPrefixCode(26));
+      firstCounts.push(this._readBlockCount(countCodes[category]));
+    }
+
+    const postfixBits = this._bits(2);
+    const directCodes = this._bits(4) << postfixBits;
+
+    const contextModes = new Uint8Array(numTypes[LITERALS]);
+    for (let i = 0; i < contextModes.length; i++) {
+      contextModes[i] = this._bits(2);
+    }
+
+    const literalTreeCount = this._readCount();
+    const literalContextMap = this._readContextMap(64 * numTypes[LITERALS], literalTreeCount);
+    const distanceTreeCount = this._readCount();
+    const distanceContextMap = this._readContextMap(4 * numTypes[DISTANCES], distanceTreeCount);
+
+    const literalCodes = [];
+    for (let i = 0; i < literalTreeCount; i++) literalCodes.push(this._readPrefixCode(256));
+    const commandCodes = [];
+    for (let i = 0; i < numTypes[COMMANDS]; i++) commandCodes.push(this._readPrefixCode(704));
+    const distanceCodes = [];
+    for (let i = 0; i < distanceTreeCount; i++) {
+      distanceCodes.push(this._readPrefixCode(16 + directCodes + (48 << postfixBits)));
+    }
+
+    return {
+      numTypes,
+      typeCodes,
+      countCodes,
+      firstCounts,
+      postfixBits,
+      directCodes,
+      contextModes,
+      literalContextMap,
+      distanceContextMap,
+      literalCodes,
+      commandCodes,
+      distanceCodes
+    };
+  }
+
+  // A number from 1 to 256
+  _readCount() {
+    if (!this._bits(1)) return 1;
+
+    const n = this._bits(3);
+    return n ? (1 << n) + this._bits(n) + 1 : 2;
+  }
+
+  _readBlockCount(code) {
+    const symbol = this._decode(code, unreachable);
+    return BLOCK_COUNT_BASE[symbol] + this._bits(BLOCK_COUNT_EXTRA[symbol]);
+  }
+
+  _readPrefixCode(alphabetSize) {
+    const skip = this._bits(2);
+    return skip === 1 ? this._readSimplePrefixCode(alphabetSize) : this._readComplexPrefixCode(alphabetSize, skip);
+  }
+
+  // Up to four symbols with code lengths implied by their number
+  _readSimplePrefixCode(alphabetSize) {
+    const count = this._bits(2) + 1;
+    let symbolBits = 0;
+    while (1 << symbolBits < alphabetSize) symbolBits++;
+
+    const symbols = [];
+    for (let i = 0; i < count; i++) {
+      const symbol = this._bits(symbolBits);
+      if (symbol >= alphabetSize) throw brotliError('SIMPLE_HUFFMAN_ALPHABET');
+      if (symbols.includes(symbol)) throw brotliError('SIMPLE_HUFFMAN_SAME');
+      symbols.push(symbol);
+    }
+
+    if (count === 1) {
+      return singleSymbolTable(symbols[0]);
+    }
+
+    const codeLengths = count === 2 ? [1, 1] : count === 3 ? [1, 2, 2] : this._bits(1) ? [1, 2, 3, 3] : [2, 2, 2, 2];
+    const lengths = new Uint8Array(alphabetSize);
+    symbols.forEach((symbol, i) => {
+      lengths[symbol] = codeLengths[i];
+    });
+    return buildTable(lengths);
+  }
+
+  // Code lengths coded with a code of their own, whose lengths are read
+  // with a fixed code
+  _readComplexPrefixCode(alphabetSize, skip) {
+    const codeLengthLengths = new Uint8Array(18);
+    let space = 32;
+    let used = 0;
+
+    for (let i = skip; i < 18; i++) {
+      const length = this._decode(CODE_LENGTH_CODE, unreachable);
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = length;
+
+      if (length) {
+        space -= 32 >> length;
+        used++;
+        if (space <= 0) break;
+      }
+    }
+
+    if (used !== 1 && space !== 0) throw brotliError('CL_SPACE');
+
+    const codeLengthCode = used === 1
+      ? singleSymbolTable(codeLengthLengths.findIndex(length => length !== 0))
+      : buildTable(codeLengthLengths);
+
+    // 16 repeats the last non-zero length and 17 repeats zero. Repeat
+    // codes in a row multiply rather than add.
+    const lengths = new Uint8Array(alphabetSize);
+    let symbol = 0;
+    let lastLength = 8;
+    let repeat = 0;
+    let repeatLength = 0;
+    space = 32768;
+
+    while (symbol < alphabetSize && space > 0) {
+      const code = this._decode(codeLengthCode, unreachable);
+
+      if (code < 16) {
+        repeat = 0;
+        lengths[symbol++] = code;
+        if (code) {
+          lastLength = code;
+          space -= 32768 >> code;
+        }
+        continue;
+      }
+
+      const extraBits = code === 16 ? 2 : 3;
+      const length = code === 16 ? lastLength : 0;
+      if (repeatLength !== length) {
+        repeat = 0;
+        repeatLength = length;
+      }
+
+      const previous = repeat;
+      if (repeat > 0) repeat = (repeat - 2) << extraBits;
+      repeat += this._bits(extraBits) + 3;
+
+      const added = repeat - previous;
+      if (symbol + added > alphabetSize) throw brotliError('HUFFMAN_SPACE');
+      lengths.fill(length, symbol, symbol + added);
+      symbol += added;
+      if (length) space -= added << (15 - length);
+    }
+
+    if (space !== 0) throw brotliError('HUFFMAN_SPACE');
+    return buildTable(lengths);
+  }
+
+  // Run-length coded, optionally move-to-front transformed, prefix code
+  // indices
+  _readContextMap(size, treeCount) {
+    const map = new Uint8Array(size);
+    if (treeCount < 2) {
+      return map;
+    }
+
+    const maxRunBits = this._bits(1) ? this._bits(4) + 1 : 0;
+    const code = this._readPrefixCode(treeCount + maxRunBits);
+
+    for (let i = 0; i < size;) {
+      const symbol = this._decode(code, unreachable);
+
+      if (symbol === 0) {
+        i++;
+      } else if (symbol <= maxRunBits) {
+        const run = (1 << symbol) + this._bits(symbol);
+        if (i + run > size) throw brotliError('CONTEXT_MAP_REPEAT');
+        i += run;
+      } else {
+        map[i++] = symbol - maxRunBits;
+      }
+    }
+
+    if (this._bits(1)) {
+      const mtf = Array.from({ length: 256 }, (_, i) => i);
+      for (let i = 0; i < size; i++) {
+        const value = mtf[map[i]];
+        mtf.splice(map[i], 1);
+        mtf.unshift(value);
+        map[i] = value;
+      }
+    }
+    return map;
+  }
+
+  // Read a block switch for a category when its current block runs out
+  _nextBlock(category) {
+    const regs = this._regs;
+    const meta = this._meta;
+
+    if (regs[R_COUNT + category] === 0) {
+      const code = this._decode(meta.typeCodes[category], unreachable);
+      let type = code === 0 ? regs[R_PREV_TYPE + category]
+        : code === 1 ? regs[R_TYPE + category] + 1 : code - 2;
+      if (type >= meta.numTypes[category]) type -= meta.numTypes[category];
+
+      regs[R_COUNT + category] = this._readBlockCount(meta.countCodes[category]);
+      regs[R_PREV_TYPE + category] = regs[R_TYPE + category];
+      regs[R_TYPE + category] = type;
+    }
+
+    regs[R_COUNT + category]--;
+    return regs[R_TYPE + category];
+  }
+
+  _readCommand() {
+    const regs = this._regs;
+    const type = this._nextBlock(COMMANDS);
+    const code = this._decode(this._meta.commandCodes[type], unreachable);
+
+    const cell = code >> 6;
+    const insertCode = CELL_INSERT[cell] + ((code >> 3) & 7);
+    const copyCode = CELL_COPY[cell] + (code & 7);
+    const insert = INSERT_BASE[insertCode] + this._bits(INSERT_EXTRA[insertCode]);
+    const copy = COPY_BASE[copyCode] + this._bits(COPY_EXTRA[copyCode]);
+
+    if (insert > regs[R_LEFT]) throw brotliError('BLOCK_LENGTH_2');
+
+    regs[R_INSERT] = insert;
+    regs[R_COPY] = copy;
+    regs[R_IMPLICIT] = cell < 2 ? 1 : 0;
+    regs[R_STATE] = INSERT;
+  }
+
+  _insertLiterals() {
+    const regs = this._regs;
+    const meta = this._meta;
+
+    while (regs[R_INSERT] > 0) {
+      const type = this._nextBlock(LITERALS);
+      // Before the first two bytes of output, these read as 0
+      const p1 = this._out[this._outPos - 1] | 0;
+      const p2 = this._out[this._outPos - 2] | 0;
+
+      let context;
+      switch (meta.contextModes[type]) {
+        case 0:
+          context = p1 & 0x3f;
+          break;
+        case 1:
+          context = p1 >> 2;
+          break;
+        case 2:
+          context = UTF8_LUT0[p1] | UTF8_LUT1[p2];
+          break;
+        default:
+          context = (SIGNED_LUT[p1] << 3) | SIGNED_LUT[p2];
+      }
+
+      const literal = this._decode(meta.literalCodes[meta.literalContextMap[type * 64 + context]], unreachable);
+      this._reserve(1);
+      this._out[this._outPos++] = literal;
+      regs[R_TOTAL]++;
+      regs[R_LEFT]--;
+      regs[R_INSERT]--;
+      this._mark();
+    }
+
+    // A meta-block can end after the literals, skipping the copy
+    if (regs[R_LEFT] === 0) {
+      this._endMetablock();
+    } else {
+      regs[R_STATE] = COPY;
+    }
+  }
+
+  _copyMatch() {
+    const regs = this._regs;
+    const meta = this._meta;
+    const copy = regs[R_COPY];
+
+    let code = 0;
+    if (!regs[R_IMPLICIT]) {
+      const type = this._nextBlock(DISTANCES);
+      const context = copy > 4 ? 3 : copy - 2;
+      code = this._decode(meta.distanceCodes[meta.distanceContextMap[type * 4 + context]], unreachable);
+    }
+
+    let distance;
+    if (code < 16) {
+      const index = (regs[R_DIST_INDEX] - 1 - SHORT_DIST_INDEX[code]) & 3;
+      distance = regs[R_DIST + index] + SHORT_DIST_OFFSET[code];
+      if (distance <= 0) throw brotliError('DISTANCE');
+    } else if (code < 16 + meta.directCodes) {
+      distance = code - 15;
+    } else {
+      const postfixBits = meta.postfixBits;
+      const n = code - meta.directCodes - 16;
+      const extraBits = 1 + (n >> (postfixBits + 1));
+      const offset = ((2 + ((n >> postfixBits) & 1)) << extraBits) - 4;
+      distance = ((offset + this._bits(extraBits)) << postfixBits) + (n & ((1 << postfixBits) - 1)) +
+        meta.directCodes + 1;
+    }
+
+    const maxDistance = Math.min(this._maxBackward, regs[R_TOTAL]);
+
+    if (distance > maxDistance) {
+      const word = dictionaryWord(copy, distance - maxDistance - 1);
+      if (word.length > regs[R_LEFT]) throw brotliError('BLOCK_LENGTH_2');
+
+      this._reserve(word.length);
+      this._out.set(word, this._outPos);
+      this._outPos += word.length;
+      regs[R_TOTAL] += word.length;
+      regs[R_LEFT] -= word.length;
+    } else {
+      if (copy > regs[R_LEFT]) throw brotliError('BLOCK_LENGTH_2');
+
+      this._reserve(copy);
+      const out = this._out;
+      for (let i = 0, from = this._outPos - distance; i < copy; i++) {
+        out[this._outPos++] = out[from + i];
+      }
+      regs[R_TOTAL] += copy;
+      regs[R_LEFT] -= copy;
+
+      if (code !== 0) {
+        regs[R_DIST + (regs[R_DIST_INDEX] & 3)] = distance;
+        regs[R_DIST_INDEX] = (regs[R_DIST_INDEX] + 1) & 3;
+      }
+    }
+
+    if (regs[R_LEFT] === 0) {
+      this._endMetablock();
+    } else {
+      regs[R_STATE] = COMMAND;
+    }
+  }
+
+  _copyUncompressed() {
+    const regs = this._regs;
+    const count = Math.min(regs[R_LEFT], this._input.length - this._pos);
+
+    if (count === 0) {
+      return false;
+    }
+
+    this._reserve(count);
+    this._out.set(this._input.subarray(this._pos, this._pos + count), this._outPos);
+    this._outPos += count;
+    this._pos += count;
+    regs[R_TOTAL] += count;
+    regs[R_LEFT] -= count;
+
+    if (regs[R_LEFT] === 0) {
+      regs[R_STATE] = METABLOCK_HEADER;
+    }
+    return true;
+  }
+
+  _skipMetadata() {
+    const regs = this._regs;
+    const count = Math.min(regs[R_LEFT], this._input.length - this._pos);
+
+    if (count === 0 && regs[R_LEFT] > 0) {
+      return false;
+    }
+
+    this._pos += count;
+    regs[R_LEFT] -= count;
+
+    if (regs[R_LEFT] === 0) {
+      this._endMetablock();
+    }
+    return true;
+  }
+
+  _endMetablock() {
+    if (this._regs[R_LAST]) {
+      this._endStream();
+    } else {
+      this._regs[R_STATE] = METABLOCK_HEADER;
+    }
+  }
+
+  _endStream() {
+    if (this._alignToByte()) throw brotliError('PADDING_2');
+    this._regs[R_STATE] = DONE;
+  }
+}
+
+/**
+ * A dictionary word with a transform applied
+ * @param {number} length - Length of the word before the transform
+ * @param {number} id - Word index and transform, from the distance
+ * @returns {Uint8Array}
+ */
+function dictionaryWord(length, id) {
+  if (length < 4 || length > 24) {
+    throw brotliError('DICTIONARY');
+  }
+
+  const bits = DICTIONARY_BITS[length];
+  const index = id % (1 << bits);
+  const transform = TRANSFORMS[Math.floor(id / (1 << bits))];
+  if (!transform) {
+    throw brotliError('TRANSFORM');
+  }
+
+  if (!dictionary) {
+    dictionary = new Inflater({ format: 'raw' }).write(Buffer.from(DICTIONARY_DATA, 'base64'), FINISH);
+  }
+
+  const [prefix, operation, suffix] = transform;
+  const start = DICTIONARY_OFFSETS[length] + index * length;
+  let word = dictionary.slice(start, start + length);
+
+  if (operation === UPPERCASE_FIRST) {
+    toUpperCase(word, 0);
+  } else if (operation === UPPERCASE_ALL) {
+    for (let i = 0; i < word.length;) i += toUpperCase(word, i);
+  } else if (operation > OMIT_FIRST) {
+    word = word.subarray(Math.min(operation - OMIT_FIRST, word.length));
+  } else if (operation > IDENTITY) {
+    word = word.subarray(0, Math.max(word.length - (operation - OMIT_LAST), 0));
+  }
+
+  const result = new Uint8Array(prefix.length + word.length + suffix.length);
+  result.set(prefix);
+  result.set(word, prefix.length);
+  result.set(suffix, prefix.length + word.length);
+  return result;
+}
+
+// Brotli's approximate upper-casing of the UTF-8 sequence at i: flips
+// the case bit of ASCII letters and a bit in the last byte of 2- and
+// 3-byte sequences. Returns the length of the sequence.
+function toUpperCase(word, i) {
+  const byte = word[i];
+
+  if (byte < 0xc0) {
+    if (byte >= 0x61 && byte <= 0x7a) word[i] ^= 32;
+    return 1;
+  }
+  if (byte < 0xe0) {
+    if (i + 1 < word.length) word[i + 1] ^= 32;
+    return 2;
+  }
+  if (i + 2 < word.length) word[i + 2] ^= 5;
+  return 3;
+}
+
+function brotliError(reason) {
+  const err = new Error('Decompression failed');
+  err.errno = ERRNO[reason];
+  err.code = `ERR__ERROR_FORMAT_${reason}`;
+  return err;
+}
+
+// Brotli prefix codes are always complete, so every bit pattern decodes
+function unreachable() {
+  const err = new Error('Decompression failed');
+  err.errno = -31;
+  err.code = 'ERR__ERROR_UNREACHABLE';
+  return err;
+}
+
+module.exports = {
+  BrotliDecoder
+};
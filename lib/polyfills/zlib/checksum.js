@@ -0,0 +1,58 @@
+/*!
+ * Checksums
+ * CRC-32 for gzip members and Adler-32 for zlib streams
+ */
+
+'use strict';
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} [crc=0] - Running value from a previous call
+ * @returns {number} Unsigned 32-bit CRC
+ */
+function crc32(bytes, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return ~c >>> 0;
+}
+
+// Largest n such that 255 n (n + 1) / 2 + (n + 1) (BASE - 1) fits in 32 bits
+const ADLER_NMAX = 5552;
+const ADLER_BASE = 65521;
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} [adler=1] - Running value from a previous call
+ * @returns {number} Unsigned 32-bit Adler-32
+ */
+function adler32(bytes, adler = 1) {
+  let a = adler & 0xffff;
+  let b = adler >>> 16;
+
+  for (let i = 0; i < bytes.length;) {
+    const end = Math.min(i + ADLER_NMAX, bytes.length);
+    for (; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+    a %= ADLER_BASE;
+    b %= ADLER_BASE;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+module.exports = {
+  crc32,
+  adler32
+};
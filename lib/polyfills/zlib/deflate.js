@@ -0,0 +1,818 @@
+/*!
+ * DEFLATE compressor
+ * RFC 1951 compression with zlib (RFC 1950), gzip (RFC 1952) or raw
+ * framing. The LZ77 matcher follows zlib's: hash chains over a sliding
+ * window, with lazy matching from level 4 up. Each block is stored, or
+ * coded with fixed or dynamic Huffman codes, whichever is smallest.
+ */
+
+'use strict';
+
+const { crc32, adler32 } = require('./checksum');
+
+const FLUSH = {
+  NO_FLUSH: 0,
+  PARTIAL_FLUSH: 1,
+  SYNC_FLUSH: 2,
+  FULL_FLUSH: 3,
+  FINISH: 4,
+  BLOCK: 5
+};
+
+const STRATEGY = {
+  DEFAULT: 0,
+  FILTERED: 1,
+  HUFFMAN_ONLY: 2,
+  RLE: 3,
+  FIXED: 4
+};
+
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const MIN_LOOKAHEAD = MAX_MATCH + MIN_MATCH + 1;
+const TOO_FAR = 4096;
+const END_BLOCK = 256;
+const MAX_STORED = 65535;
+
+// zlib's per-level tuning: [good, lazy, nice, chain, lazy matching]
+const CONFIG = [
+  [0, 0, 0, 0, false],
+  [4, 4, 8, 4, false],
+  [4, 5, 16, 8, false],
+  [4, 6, 32, 32, false],
+  [4, 4, 16, 16, true],
+  [8, 16, 32, 32, true],
+  [8, 16, 128, 128, true],
+  [8, 32, 128, 256, true],
+  [32, 128, 258, 1024, true],
+  [32, 258, 258, 4096, true]
+];
+
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// First match length - 3 and distance - 1 of each code
+const LENGTH_BASE = new Int32Array(29);
+const DIST_BASE = new Int32Array(30);
+// Code for each match length - 3, and for distance - 1 by way of
+// distCode()
+const LENGTH_CODE = new Uint8Array(256);
+const DIST_CODE = new Uint8Array(512);
+
+(() => {
+  let length = 0;
+  for (let code = 0; code < 28; code++) {
+    LENGTH_BASE[code] = length;
+    for (let n = 0; n < 1 << LENGTH_EXTRA[code]; n++) LENGTH_CODE[length++] = code;
+  }
+  // Length 258 has its own code rather than 227 + 31
+  LENGTH_CODE[255] = 28;
+  LENGTH_BASE[28] = 255;
+
+  let dist = 0;
+  for (let code = 0; code < 16; code++) {
+    DIST_BASE[code] = dist;
+    for (let n = 0; n < 1 << DIST_EXTRA[code]; n++) DIST_CODE[dist++] = code;
+  }
+  dist >>= 7;
+  for (let code = 16; code < 30; code++) {
+    DIST_BASE[code] = dist << 7;
+    for (let n = 0; n < 1 << (DIST_EXTRA[code] - 7); n++) DIST_CODE[256 + dist++] = code;
+  }
+})();
+
+function distCode(dist) {
+  return dist < 256 ? DIST_CODE[dist] : DIST_CODE[256 + (dist >> 7)];
+}
+
+const FIXED_LIT_LENGTHS = new Uint8Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280);
+const FIXED_DIST_LENGTHS = new Uint8Array(30).fill(5);
+const FIXED_LIT_CODES = canonicalCodes(FIXED_LIT_LENGTHS);
+const FIXED_DIST_CODES = canonicalCodes(FIXED_DIST_LENGTHS);
+
+/**
+ * Streaming compressor. write() takes input and a flush mode and returns
+ * the complete bytes that are ready.
+ */
+class Deflater {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.format='zlib'] - 'zlib', 'gzip' or 'raw'
+   * @param {number} [options.level=6] - 0 to 9, or -1 for the default
+   * @param {number} [options.windowBits=15] - 8 to 15
+   * @param {number} [options.memLevel=8] - 1 to 9
+   * @param {number} [options.strategy=0] - A STRATEGY value
+   * @param {Uint8Array} [options.dictionary] - Preset dictionary, for
+   *   zlib and raw streams
+   */
+  constructor(options = {}) {
+    const windowBits = Math.max(options.windowBits || 15, 9);
+    const memLevel = options.memLevel || 8;
+
+    this._format = options.format || 'zlib';
+    this._windowBits = windowBits;
+    this._wsize = 1 << windowBits;
+    this._wmask = this._wsize - 1;
+    this._maxDist = this._wsize - MIN_LOOKAHEAD;
+    this._window = new Uint8Array(2 * this._wsize);
+    this._prev = new Uint16Array(this._wsize);
+    this._hashBits = memLevel + 7;
+    this._head = new Uint16Array(1 << this._hashBits);
+
+    this._strstart = 0;
+    this._lookahead = 0;
+    this._blockStart = 0;
+    this._matchLength = MIN_MATCH - 1;
+    this._matchStart = 0;
+    this._prevLength = MIN_MATCH - 1;
+    this._prevMatch = 0;
+    this._matchAvailable = false;
+
+    this._symLimit = (1 << (memLevel + 6)) - 1;
+    this._symLc = new Uint8Array(this._symLimit + 1);
+    this._symDist = new Uint16Array(this._symLimit + 1);
+    this._symCount = 0;
+    this._litFreq = new Uint32Array(286);
+    this._distFreq = new Uint32Array(30);
+
+    this._out = new Uint8Array(1024);
+    this._outLength = 0;
+    this._bitBuf = 0;
+    this._bitCount = 0;
+
+    this._check = this._format === 'gzip' ? 0 : 1;
+    this._totalIn = 0;
+    this._started = false;
+    this._finished = false;
+    this._dictionary = options.dictionary || null;
+
+    this.params(options.level === undefined ? -1 : options.level, options.strategy || 0);
+  }
+
+  /**
+   * Change the level and strategy from the next block on
+   * @param {number} level
+   * @param {number} strategy
+   */
+  params(level, strategy) {
+    if (level === -1) level = 6;
+
+    const [good, lazy, nice, chain, slow] = CONFIG[level];
+    this._level = level;
+    this._strategy = strategy;
+    this._goodMatch = good;
+    this._maxLazy = lazy;
+    this._niceMatch = nice;
+    this._maxChain = chain;
+    this._lazyMatching = slow;
+  }
+
+  /**
+   * @param {Uint8Array} input
+   * @param {number} flush - A FLUSH value; FINISH ends the stream
+   * @returns {Uint8Array} Output ready so far
+   */
+  write(input, flush) {
+    if (this._finished) {
+      throw new Error('Stream already finished');
+    }
+
+    if (!this._started) {
+      this._started = true;
+      this._writeHeader();
+    }
+
+    this._check = this._format === 'gzip' ? crc32(input, this._check) : adler32(input, this._check);
+    this._totalIn += input.length;
+
+    for (let offset = 0; ;) {
+      if (offset < input.length) {
+        if (this._strstart >= this._wsize + this._maxDist) {
+          // Stored blocks are copied from the window, so can't straddle a slide
+          if (this._level === 0) this._flushBlock(false);
+          this._slide();
+        }
+
+        const end = this._strstart + this._lookahead;
+        const count = Math.min(this._window.length - end, input.length - offset);
+        this._window.set(input.subarray(offset, offset + count), end);
+        this._lookahead += count;
+        offset += count;
+      }
+
+      const last = offset === input.length;
+      this._compress(last ? flush : FLUSH.NO_FLUSH);
+      if (last) break;
+    }
+
+    this._flush(flush);
+    return this._takeOutput();
+  }
+
+  _writeHeader() {
+    if (this._format === 'gzip') {
+      const xfl = this._level === 9 ? 2 : this._level === 1 || this._strategy >= STRATEGY.HUFFMAN_ONLY ? 4 : 0;
+      this._putBytes([0x1f, 0x8b, 8, 0, 0, 0, 0, 0, xfl, 3]);
+      return;
+    }
+
+    if (this._dictionary) {
+      this._setDictionary(this._dictionary);
+    }
+
+    if (this._format === 'zlib') {
+      const cmf = 8 | ((this._windowBits - 8) << 4);
+      const levelFlags = this._level < 2 || this._strategy >= STRATEGY.HUFFMAN_ONLY ? 0
+        : this._level < 6 ? 1 : this._level === 6 ? 2 : 3;
+      let flg = (levelFlags << 6) | (this._dictionary ? 0x20 : 0);
+      flg += 31 - ((cmf * 256 + flg) % 31);
+      this._putBytes([cmf, flg]);
+
+      if (this._dictionary) {
+        const id = adler32(this._dictionary);
+        this._putBytes([id >>> 24, (id >>> 16) & 0xff, (id >>> 8) & 0xff, id & 0xff]);
+      }
+    }
+  }
+
+  // Load the dictionary into the window as history to match against
+  _setDictionary(dictionary) {
+    const bytes = dictionary.subarray(Math.max(0, dictionary.length - this._wsize));
+
+    this._window.set(bytes);
+    for (let pos = 0; pos + MIN_MATCH <= bytes.length; pos++) {
+      this._insertString(pos);
+    }
+    this._strstart = this._blockStart = bytes.length;
+  }
+
+  // Move the upper half of the window down once the lower half is out of
+  // reach. Positions that fall off the chains become 0, which is nil.
+  _slide() {
+    const wsize = this._wsize;
+
+    this._window.copyWithin(0, wsize);
+    this._strstart -= wsize;
+    this._blockStart -= wsize;
+    this._matchStart -= wsize;
+
+    for (const table of [this._head, this._prev]) {
+      for (let i = 0; i < table.length; i++) {
+        table[i] = table[i] >= wsize ? table[i] - wsize : 0;
+      }
+    }
+  }
+
+  _compress(flush) {
+    if (this._level === 0) {
+      this._compressStored();
+    } else if (this._strategy === STRATEGY.HUFFMAN_ONLY || this._strategy === STRATEGY.RLE) {
+      this._compressSpecial(flush);
+    } else if (this._lazyMatching) {
+      this._compressSlow(flush);
+    } else {
+      this._compressFast(flush);
+    }
+  }
+
+  // Level 0: everything goes out in stored blocks
+  _compressStored() {
+    this._strstart += this._lookahead;
+    this._lookahead = 0;
+    if (this._strstart - this._blockStart >= MAX_STORED) {
+      this._flushBlock(false);
+    }
+  }
+
+  // Greedy matching, for levels 1 to 3
+  _compressFast(flush) {
+    const window = this._window;
+
+    for (;;) {
+      if (this._lookahead < MIN_LOOKAHEAD) {
+        if (flush === FLUSH.NO_FLUSH || this._lookahead === 0) return;
+      }
+
+      let hashHead = 0;
+      if (this._lookahead >= MIN_MATCH) hashHead = this._insertString(this._strstart);
+
+      this._prevLength = MIN_MATCH - 1;
+      this._matchLength = MIN_MATCH - 1;
+      if (hashHead !== 0 && this._strstart - hashHead <= this._maxDist) {
+        this._matchLength = this._longestMatch(hashHead);
+      }
+
+      let full;
+      if (this._matchLength >= MIN_MATCH) {
+        full = this._tally(this._strstart - this._matchStart, this._matchLength - MIN_MATCH);
+        this._lookahead -= this._matchLength;
+
+        if (this._matchLength <= this._maxLazy && this._lookahead >= MIN_MATCH) {
+          for (let n = this._matchLength - 1; n > 0; n--) {
+            this._insertString(++this._strstart);
+          }
+          this._strstart++;
+        } else {
+          this._strstart += this._matchLength;
+        }
+      } else {
+        full = this._tally(0, window[this._strstart]);
+        this._lookahead--;
+        this._strstart++;
+      }
+
+      if (full) this._flushBlock(false);
+    }
+  }
+
+  // Lazy matching: a match is only taken if the next position doesn't
+  // start a longer one. Levels 4 to 9.
+  _compressSlow(flush) {
+    const window = this._window;
+
+    for (;;) {
+      if (this._lookahead < MIN_LOOKAHEAD) {
+        if (flush === FLUSH.NO_FLUSH) return;
+        if (this._lookahead === 0) break;
+      }
+
+      let hashHead = 0;
+      if (this._lookahead >= MIN_MATCH) hashHead = this._insertString(this._strstart);
+
+      this._prevLength = this._matchLength;
+      this._prevMatch = this._matchStart;
+      this._matchLength = MIN_MATCH - 1;
+
+      if (hashHead !== 0 && this._prevLength < this._maxLazy && this._strstart - hashHead <= this._maxDist) {
+        this._matchLength = this._longestMatch(hashHead);
+
+        if (this._matchLength <= 5 && (this._strategy === STRATEGY.FILTERED ||
+            (this._matchLength === MIN_MATCH && this._strstart - this._matchStart > TOO_FAR))) {
+          this._matchLength = MIN_MATCH - 1;
+        }
+      }
+
+      if (this._prevLength >= MIN_MATCH && this._matchLength <= this._prevLength) {
+        const maxInsert = this._strstart + this._lookahead - MIN_MATCH;
+        const full = this._tally(this._strstart - 1 - this._prevMatch, this._prevLength - MIN_MATCH);
+
+        this._lookahead -= this._prevLength - 1;
+        for (let n = this._prevLength - 2; n > 0; n--) {
+          if (++this._strstart <= maxInsert) this._insertString(this._strstart);
+        }
+        this._matchAvailable = false;
+        this._matchLength = MIN_MATCH - 1;
+        this._strstart++;
+
+        if (full) this._flushBlock(false);
+      } else if (this._matchAvailable) {
+        if (this._tally(0, window[this._strstart - 1])) this._flushBlock(false);
+        this._strstart++;
+        this._lookahead--;
+      } else {
+        this._matchAvailable = true;
+        this._strstart++;
+        this._lookahead--;
+      }
+    }
+
+    if (this._matchAvailable) {
+      this._tally(0, window[this._strstart - 1]);
+      this._matchAvailable = false;
+    }
+    this._matchLength = MIN_MATCH - 1;
+  }
+
+  // Z_HUFFMAN_ONLY: literals only. Z_RLE: matches at distance 1 only.
+  _compressSpecial(flush) {
+    const window = this._window;
+
+    for (;;) {
+      if (this._lookahead < MIN_LOOKAHEAD && (flush === FLUSH.NO_FLUSH || this._lookahead === 0)) {
+        return;
+      }
+
+      let run = 0;
+      if (this._strategy === STRATEGY.RLE && this._strstart > 0 && this._lookahead >= MIN_MATCH) {
+        const scan = this._strstart;
+        const max = Math.min(MAX_MATCH, this._lookahead);
+        while (run < max && window[scan + run] === window[scan - 1]) run++;
+      }
+
+      let full;
+      if (run >= MIN_MATCH) {
+        full = this._tally(1, run - MIN_MATCH);
+        this._strstart += run;
+        this._lookahead -= run;
+      } else {
+        full = this._tally(0, window[this._strstart]);
+        this._strstart++;
+        this._lookahead--;
+      }
+
+      if (full) this._flushBlock(false);
+    }
+  }
+
+  _insertString(pos) {
+    const window = this._window;
+    const hash = ((window[pos] << 10) ^ (window[pos + 1] << 5) ^ window[pos + 2]) & ((1 << this._hashBits) - 1);
+    const head = this._head[hash];
+
+    this._prev[pos & this._wmask] = head;
+    this._head[hash] = pos;
+    return head;
+  }
+
+  // Longest match at strstart along the hash chain from curMatch that
+  // beats prevLength; sets matchStart
+  _longestMatch(curMatch) {
+    const window = this._window;
+    const prev = this._prev;
+    const wmask = this._wmask;
+    const scan = this._strstart;
+    const limit = scan > this._maxDist ? scan - this._maxDist : 0;
+    const maxLength = Math.min(MAX_MATCH, this._lookahead);
+    const nice = Math.min(this._niceMatch, maxLength);
+    let chain = this._prevLength >= this._goodMatch ? this._maxChain >> 2 : this._maxChain;
+    let best = this._prevLength;
+
+    if (best >= maxLength) {
+      return best;
+    }
+
+    do {
+      const match = curMatch;
+      if (window[match + best] !== window[scan + best] || window[match + best - 1] !== window[scan + best - 1] ||
+          window[match] !== window[scan] || window[match + 1] !== window[scan + 1]) {
+        continue;
+      }
+
+      let length = 2;
+      while (length < maxLength && window[match + length] === window[scan + length]) length++;
+
+      if (length > best) {
+        this._matchStart = match;
+        best = length;
+        if (length >= nice) break;
+      }
+    } while ((curMatch = prev[curMatch & wmask]) > limit && --chain !== 0);
+
+    return best;
+  }
+
+  // Record a literal (dist 0) or a match; true when the block is full
+  _tally(dist, lc) {
+    this._symDist[this._symCount] = dist;
+    this._symLc[this._symCount] = lc;
+    this._symCount++;
+
+    if (dist === 0) {
+      this._litFreq[lc]++;
+    } else {
+      this._litFreq[LENGTH_CODE[lc] + 257]++;
+      this._distFreq[distCode(dist - 1)]++;
+    }
+    return this._symCount === this._symLimit;
+  }
+
+  _flush(flush) {
+    if (flush === FLUSH.NO_FLUSH) {
+      return;
+    }
+
+    if (flush === FLUSH.FINISH) {
+      this._flushBlock(true);
+      this._alignToByte();
+      this._writeTrailer();
+      this._finished = true;
+      return;
+    }
+
+    if (this._symCount > 0 || this._strstart > this._blockStart) {
+      this._flushBlock(false);
+    }
+
+    if (flush === FLUSH.PARTIAL_FLUSH) {
+      // Empty fixed block: 10 bits, no alignment
+      this._putBits(1 << 1, 3);
+      this._putBits(FIXED_LIT_CODES[END_BLOCK], FIXED_LIT_LENGTHS[END_BLOCK]);
+    } else if (flush !== FLUSH.BLOCK) {
+      // Empty stored block, which byte-aligns the output
+      this._putBits(0, 3);
+      this._alignToByte();
+      this._putBytes([0, 0, 0xff, 0xff]);
+
+      if (flush === FLUSH.FULL_FLUSH) {
+        this._head.fill(0);
+      }
+    }
+  }
+
+  _writeTrailer() {
+    const check = this._check;
+
+    if (this._format === 'gzip') {
+      const size = this._totalIn >>> 0;
+      this._putBytes([check & 0xff, (check >>> 8) & 0xff, (check >>> 16) & 0xff, check >>> 24,
+        size & 0xff, (size >>> 8) & 0xff, (size >>> 16) & 0xff, size >>> 24]);
+    } else if (this._format === 'zlib') {
+      this._putBytes([check >>> 24, (check >>> 16) & 0xff, (check >>> 8) & 0xff, check & 0xff]);
+    }
+  }
+
+  // Emit the symbols since the last block as one block, in whichever
+  // encoding is smallest
+  _flushBlock(last) {
+    const storedLength = this._strstart - this._blockStart;
+    this._litFreq[END_BLOCK] = 1;
+
+    const litLengths = buildLengths(this._litFreq, 15);
+    const distLengths = buildLengths(this._distFreq, 15);
+    const header = dynamicHeader(litLengths, distLengths);
+
+    const extraBits = this._extraBits();
+    const dynamicBits = 3 + header.bits + codeBits(this._litFreq, litLengths) +
+      codeBits(this._distFreq, distLengths) + extraBits;
+    const fixedBits = 3 + codeBits(this._litFreq, FIXED_LIT_LENGTHS) +
+      codeBits(this._distFreq, FIXED_DIST_LENGTHS) + extraBits;
+    const storedBits = this._blockStart >= 0
+      ? (storedLength + 5 * Math.max(1, Math.ceil(storedLength / MAX_STORED))) * 8 + 7
+      : Infinity;
+
+    if (this._level === 0 ||
+        (storedBits <= fixedBits && (storedBits <= dynamicBits || this._strategy === STRATEGY.FIXED))) {
+      this._writeStored(this._window.subarray(this._blockStart, this._strstart), last);
+    } else if (fixedBits <= dynamicBits || this._strategy === STRATEGY.FIXED) {
+      this._putBits(2 | (last ? 1 : 0), 3);
+      this._writeSymbols(FIXED_LIT_CODES, FIXED_LIT_LENGTHS, FIXED_DIST_CODES, FIXED_DIST_LENGTHS);
+    } else {
+      this._putBits(4 | (last ? 1 : 0), 3);
+      this._writeDynamicHeader(header);
+      this._writeSymbols(canonicalCodes(litLengths), litLengths, canonicalCodes(distLengths), distLengths);
+    }
+
+    this._blockStart = this._strstart;
+    this._symCount = 0;
+    this._litFreq.fill(0);
+    this._distFreq.fill(0);
+  }
+
+  _extraBits() {
+    let bits = 0;
+    for (let code = 0; code < 29; code++) bits += this._litFreq[257 + code] * LENGTH_EXTRA[code];
+    for (let code = 0; code < 30; code++) bits += this._distFreq[code] * DIST_EXTRA[code];
+    return bits;
+  }
+
+  _writeStored(data, last) {
+    let offset = 0;
+    do {
+      const length = Math.min(MAX_STORED, data.length - offset);
+      const final = last && offset + length === data.length;
+
+      this._putBits(final ? 1 : 0, 3);
+      this._alignToByte();
+      this._putBytes([length & 0xff, length >>> 8, ~length & 0xff, (~length >>> 8) & 0xff]);
+      this._putBytes(data.subarray(offset, offset + length));
+      offset += length;
+    } while (offset < data.length);
+  }
+
+  _writeDynamicHeader({ hlit, hdist, hclen, codeLengthLengths, codeLengthCodes, runs }) {
+    this._putBits(hlit - 257, 5);
+    this._putBits(hdist - 1, 5);
+    this._putBits(hclen - 4, 4);
+
+    for (let i = 0; i < hclen; i++) {
+      this._putBits(codeLengthLengths[CODE_LENGTH_ORDER[i]], 3);
+    }
+
+    for (const [symbol, extra] of runs) {
+      this._putBits(codeLengthCodes[symbol], codeLengthLengths[symbol]);
+      if (symbol === 16) this._putBits(extra, 2);
+      else if (symbol === 17) this._putBits(extra, 3);
+      else if (symbol === 18) this._putBits(extra, 7);
+    }
+  }
+
+  _writeSymbols(litCodes, litLengths, distCodes, distLengths) {
+    for (let i = 0; i < this._symCount; i++) {
+      const lc = this._symLc[i];
+      let dist = this._symDist[i];
+
+      if (dist === 0) {
+        this._putBits(litCodes[lc], litLengths[lc]);
+        continue;
+      }
+
+      const code = LENGTH_CODE[lc];
+      this._putBits(litCodes[257 + code], litLengths[257 + code]);
+      if (LENGTH_EXTRA[code]) this._putBits(lc - LENGTH_BASE[code], LENGTH_EXTRA[code]);
+
+      dist--;
+      const dcode = distCode(dist);
+      this._putBits(distCodes[dcode], distLengths[dcode]);
+      if (DIST_EXTRA[dcode]) this._putBits(dist - DIST_BASE[dcode], DIST_EXTRA[dcode]);
+    }
+
+    this._putBits(litCodes[END_BLOCK], litLengths[END_BLOCK]);
+  }
+
+  // Bits go out least significant first; at most 16 at a time
+  _putBits(value, count) {
+    this._bitBuf |= value << this._bitCount;
+    this._bitCount += count;
+
+    while (this._bitCount >= 8) {
+      this._putByte(this._bitBuf & 0xff);
+      this._bitBuf >>>= 8;
+      this._bitCount -= 8;
+    }
+  }
+
+  _alignToByte() {
+    if (this._bitCount > 0) {
+      this._putByte(this._bitBuf & 0xff);
+    }
+    this._bitBuf = 0;
+    this._bitCount = 0;
+  }
+
+  _putByte(byte) {
+    if (this._outLength === this._out.length) this._grow(1);
+    this._out[this._outLength++] = byte;
+  }
+
+  _putBytes(bytes) {
+    if (this._outLength + bytes.length > this._out.length) this._grow(bytes.length);
+    this._out.set(bytes, this._outLength);
+    this._outLength += bytes.length;
+  }
+
+  _grow(needed) {
+    const out = new Uint8Array(Math.max(this._out.length * 2, this._outLength + needed));
+    out.set(this._out.subarray(0, this._outLength));
+    this._out = out;
+  }
+
+  _takeOutput() {
+    const output = this._out.slice(0, this._outLength);
+    this._outLength = 0;
+    return output;
+  }
+}
+
+/**
+ * Optimal code lengths of at most maxBits by package-merge. Fewer than
+ * two used symbols still get two codes of length 1, so the code is
+ * complete.
+ * @param {Uint32Array} freqs
+ * @param {number} maxBits
+ * @returns {Uint8Array}
+ */
+function buildLengths(freqs, maxBits) {
+  const lengths = new Uint8Array(freqs.length);
+  const symbols = [];
+
+  for (let i = 0; i < freqs.length; i++) {
+    if (freqs[i]) symbols.push(i);
+  }
+
+  if (symbols.length < 2) {
+    const used = symbols.length ? symbols[0] : 0;
+    lengths[used] = 1;
+    lengths[used === 0 ? 1 : 0] = 1;
+    return lengths;
+  }
+
+  symbols.sort((a, b) => freqs[a] - freqs[b] || a - b);
+  const leaves = symbols.map(symbol => ({ weight: freqs[symbol], symbol, left: null, right: null }));
+  let list = leaves;
+
+  for (let level = 1; level < maxBits; level++) {
+    const packages = [];
+    for (let i = 0; i + 1 < list.length; i += 2) {
+      packages.push({ weight: list[i].weight + list[i + 1].weight, symbol: -1, left: list[i], right: list[i + 1] });
+    }
+    list = mergeByWeight(leaves, packages);
+  }
+
+  // Each time a leaf appears in the cheapest 2n - 2 items adds one bit
+  const stack = list.slice(0, 2 * leaves.length - 2);
+  while (stack.length) {
+    const item = stack.pop();
+    if (item.symbol >= 0) {
+      lengths[item.symbol]++;
+    } else {
+      stack.push(item.left, item.right);
+    }
+  }
+  return lengths;
+}
+
+function mergeByWeight(a, b) {
+  const merged = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < a.length || j < b.length) {
+    merged.push(j >= b.length || (i < a.length && a[i].weight <= b[j].weight) ? a[i++] : b[j++]);
+  }
+  return merged;
+}
+
+/**
+ * Canonical Huffman codes for the lengths, bit-reversed for writing
+ * least significant bit first
+ * @param {Uint8Array} lengths
+ * @returns {Uint16Array}
+ */
+function canonicalCodes(lengths) {
+  const counts = new Uint16Array(16);
+  const next = new Uint16Array(16);
+  const codes = new Uint16Array(lengths.length);
+
+  for (const length of lengths) counts[length]++;
+  counts[0] = 0;
+
+  for (let bits = 1, code = 0; bits < 16; bits++) {
+    code = (code + counts[bits - 1]) << 1;
+    next[bits] = code;
+  }
+
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (length) codes[symbol] = reverseBits(next[length]++, length);
+  }
+  return codes;
+}
+
+function reverseBits(code, length) {
+  let reversed = 0;
+  for (let i = 0; i < length; i++) {
+    reversed = (reversed << 1) | (code & 1);
+    code >>= 1;
+  }
+  return reversed;
+}
+
+function codeBits(freqs, lengths) {
+  let bits = 0;
+  for (let i = 0; i < freqs.length; i++) bits += freqs[i] * lengths[i];
+  return bits;
+}
+
+/**
+ * Plan a dynamic block header: the code lengths, run-length coded with
+ * symbols 16 to 18, and the code that codes them
+ */
+function dynamicHeader(litLengths, distLengths) {
+  let hlit = 286;
+  while (hlit > 257 && litLengths[hlit - 1] === 0) hlit--;
+  let hdist = 30;
+  while (hdist > 1 && distLengths[hdist - 1] === 0) hdist--;
+
+  const sequence = [...litLengths.subarray(0, hlit), ...distLengths.subarray(0, hdist)];
+  const runs = [];
+
+  for (let i = 0; i < sequence.length;) {
+    const value = sequence[i];
+    let count = 1;
+    while (i + count < sequence.length && sequence[i + count] === value) count++;
+    i += count;
+
+    if (value === 0) {
+      for (; count >= 11; count -= Math.min(138, count)) runs.push([18, Math.min(138, count) - 11]);
+      if (count >= 3) {
+        runs.push([17, count - 3]);
+        count = 0;
+      }
+    } else {
+      runs.push([value, 0]);
+      count--;
+      for (; count >= 3; count -= Math.min(6, count)) runs.push([16, Math.min(6, count) - 3]);
+    }
+
+    for (; count > 0; count--) runs.push([value, 0]);
+  }
+
+  const freqs = new Uint32Array(19);
+  for (const [symbol] of runs) freqs[symbol]++;
+
+  const codeLengthLengths = buildLengths(freqs, 7);
+  let hclen = 19;
+  while (hclen > 4 && codeLengthLengths[CODE_LENGTH_ORDER[hclen - 1]] === 0) hclen--;
+
+  let bits = 14 + 3 * hclen + codeBits(freqs, codeLengthLengths);
+  bits += 2 * freqs[16] + 3 * freqs[17] + 7 * freqs[18];
+
+  return { hlit, hdist, hclen, codeLengthLengths, codeLengthCodes: canonicalCodes(codeLengthLengths), runs, bits };
+}
+
+module.exports = {
+  FLUSH,
+  STRATEGY,
+  Deflater
+};
@@ -0,0 +1,421 @@
+/*!
+ * DEFLATE decompressor
+ * Resumable RFC 1951 decoding of zlib, gzip and raw streams, or either
+ * wrapper detected from the first bytes. Input can arrive in pieces of any
+ * size: a step that runs out of input is rewound and retried on the next
+ * write.
+ */
+
+'use strict';
+
+const { crc32, adler32 } = require('./checksum');
+const { Decoder, buildTable, zlibError } = require('./reader');
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115,
+  131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537,
+  2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+const FIXED_LIT_TABLE = buildTable(new Uint8Array(288).fill(8, 0, 144).fill(9, 144, 256).fill(7, 256, 280).fill(8, 280));
+const FIXED_DIST_TABLE = buildTable(new Uint8Array(32).fill(5));
+
+const HEADER = 0;
+const BLOCK_HEADER = 1;
+const STORED = 2;
+const CODES = 3;
+const TRAILER = 4;
+const MEMBER_END = 5;
+const DONE = 6;
+
+/**
+ * Streaming decompressor. write() takes input and a flush mode and
+ * returns the output it decoded.
+ */
+class Inflater extends Decoder {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.format='zlib'] - 'zlib', 'gzip', 'raw' or
+   *   'auto' for either wrapper
+   * @param {number} [options.windowBits=15] - Largest window accepted, 8
+   *   to 15
+   * @param {Uint8Array} [options.dictionary] - Preset dictionary
+   */
+  constructor(options = {}) {
+    super(1 << 15);
+    this._format = options.format || 'zlib';
+    this._windowBits = options.windowBits || 15;
+    this._dictionary = options.dictionary || null;
+    this._checkStart = 0;
+
+    this._state = HEADER;
+    this._last = false;
+    this._storedLeft = 0;
+    this._litTable = null;
+    this._distTable = null;
+    this._check = 0;
+    this._memberLength = 0;
+
+    if (this._format === 'raw' && this._dictionary) {
+      this._putHistory(this._dictionary);
+    }
+  }
+
+  get ended() {
+    return this._state === MEMBER_END || this._state === DONE;
+  }
+
+  // One resumable unit of work; false when there's nothing left to do
+  _step() {
+    switch (this._state) {
+      case HEADER:
+        this._readHeader();
+        this._state = BLOCK_HEADER;
+        return true;
+      case BLOCK_HEADER:
+        this._readBlockHeader();
+        return true;
+      case STORED:
+        return this._copyStored();
+      case CODES:
+        this._decodeCodes();
+        return true;
+      case TRAILER:
+        this._readTrailer();
+        this._state = MEMBER_END;
+        return true;
+      case MEMBER_END:
+        return this._nextMember();
+      default:
+        return false;
+    }
+  }
+
+  _readHeader() {
+    let format = this._format;
+
+    if (format === 'auto') {
+      this._need(16);
+      format = (this._bitBuf & 0xffff) === 0x8b1f ? 'gzip' : 'zlib';
+    }
+
+    if (format === 'gzip') {
+      this._readGzipHeader();
+    } else if (format === 'zlib') {
+      this._readZlibHeader();
+    }
+
+    this._format = format;
+    this._check = format === 'gzip' ? 0 : 1;
+    this._memberLength = 0;
+  }
+
+  _readGzipHeader() {
+    if (this._bits(16) !== 0x8b1f) {
+      throw zlibError('incorrect header check', 'Z_DATA_ERROR');
+    }
+    if (this._bits(8) !== 8) {
+      throw zlibError('unknown compression method', 'Z_DATA_ERROR');
+    }
+
+    const flags = this._bits(8);
+    if (flags & 0xe0) {
+      throw zlibError('unknown header flags set', 'Z_DATA_ERROR');
+    }
+
+    // MTIME, XFL and OS
+    for (let i = 0; i < 6; i++) this._bits(8);
+
+    if (flags & 4) {
+      for (let length = this._bits(16); length > 0; length--) this._bits(8);
+    }
+    // FNAME and FCOMMENT are zero-terminated
+    if (flags & 8) while (this._bits(8) !== 0);
+    if (flags & 16) while (this._bits(8) !== 0);
+    if (flags & 2) this._bits(16);
+  }
+
+  _readZlibHeader() {
+    const cmf = this._bits(8);
+    const flg = this._bits(8);
+
+    if ((cmf * 256 + flg) % 31 !== 0) {
+      throw zlibError('incorrect header check', 'Z_DATA_ERROR');
+    }
+    if ((cmf & 15) !== 8) {
+      throw zlibError('unknown compression method', 'Z_DATA_ERROR');
+    }
+    if ((cmf >> 4) + 8 > this._windowBits) {
+      throw zlibError('invalid window size', 'Z_DATA_ERROR');
+    }
+
+    if (flg & 0x20) {
+      let id = 0;
+      for (let i = 0; i < 4; i++) id = id * 256 + this._bits(8);
+
+      if (!this._dictionary) {
+        throw zlibError('Missing dictionary', 'Z_NEED_DICT');
+      }
+      if (adler32(this._dictionary) !== id) {
+        throw zlibError('Bad dictionary', 'Z_NEED_DICT');
+      }
+      this._putHistory(this._dictionary);
+    }
+  }
+
+  _readBlockHeader() {
+    const header = this._bits(3);
+    const type = header >> 1;
+
+    if (type === 0) {
+      this._alignToByte();
+      const length = this._bits(16);
+      if (length !== (~this._bits(16) & 0xffff)) {
+        throw zlibError('invalid stored block lengths', 'Z_DATA_ERROR');
+      }
+      this._storedLeft = length;
+      this._state = STORED;
+    } else if (type === 1) {
+      this._litTable = FIXED_LIT_TABLE;
+      this._distTable = FIXED_DIST_TABLE;
+      this._state = CODES;
+    } else if (type === 2) {
+      this._readDynamicTables();
+      this._state = CODES;
+    } else {
+      throw zlibError('invalid block type', 'Z_DATA_ERROR');
+    }
+
+    this._last = (header & 1) === 1;
+  }
+
+  _readDynamicTables() {
+    const hlit = this._bits(5) + 257;
+    const hdist = this._bits(5) + 1;
+    const hclen = this._bits(4) + 4;
+
+    if (hlit > 286 || hdist > 30) {
+      throw zlibError('too many length or distance symbols', 'Z_DATA_ERROR');
+    }
+
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < hclen; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = this._bits(3);
+    }
+
+    if (!isValidCode(codeLengthLengths, true)) {
+      throw zlibError('invalid code lengths set', 'Z_DATA_ERROR');
+    }
+    const codeLengthTable = buildTable(codeLengthLengths);
+
+    const lengths = new Uint8Array(hlit + hdist);
+    for (let i = 0; i < lengths.length;) {
+      const symbol = this._decode(codeLengthTable, invalidCodeLength);
+
+      if (symbol < 16) {
+        lengths[i++] = symbol;
+        continue;
+      }
+
+      let value = 0;
+      let repeat;
+      if (symbol === 16) {
+        if (i === 0) {
+          throw zlibError('invalid bit length repeat', 'Z_DATA_ERROR');
+        }
+        value = lengths[i - 1];
+        repeat = 3 + this._bits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + this._bits(3);
+      } else {
+        repeat = 11 + this._bits(7);
+      }
+
+      if (i + repeat > lengths.length) {
+        throw zlibError('invalid bit length repeat', 'Z_DATA_ERROR');
+      }
+      lengths.fill(value, i, i + repeat);
+      i += repeat;
+    }
+
+    if (lengths[256] === 0) {
+      throw zlibError('invalid code -- missing end-of-block', 'Z_DATA_ERROR');
+    }
+
+    if (!isValidCode(lengths.subarray(0, hlit))) {
+      throw zlibError('invalid literal/lengths set', 'Z_DATA_ERROR');
+    }
+    if (!isValidCode(lengths.subarray(hlit))) {
+      throw zlibError('invalid distances set', 'Z_DATA_ERROR');
+    }
+    this._litTable = buildTable(lengths.subarray(0, hlit));
+    this._distTable = buildTable(lengths.subarray(hlit));
+  }
+
+  // Copy as much of a stored block as has arrived
+  _copyStored() {
+    const count = Math.min(this._storedLeft, this._input.length - this._pos);
+
+    if (count === 0 && this._storedLeft > 0) {
+      return false;
+    }
+
+    this._reserve(count);
+    this._out.set(this._input.subarray(this._pos, this._pos + count), this._outPos);
+    this._outPos += count;
+    this._pos += count;
+    this._storedLeft -= count;
+
+    if (this._storedLeft === 0) {
+      this._endBlock();
+    }
+    return true;
+  }
+
+  _decodeCodes() {
+    for (;;) {
+      const symbol = this._decode(this._litTable, invalidLiteralLength);
+
+      if (symbol < 256) {
+        this._reserve(1);
+        this._out[this._outPos++] = symbol;
+      } else if (symbol === 256) {
+        this._endBlock();
+        return;
+      } else {
+        const code = symbol - 257;
+        if (code >= 29) {
+          throw zlibError('invalid literal/length code', 'Z_DATA_ERROR');
+        }
+        const length = LENGTH_BASE[code] + this._bits(LENGTH_EXTRA[code]);
+
+        const distCode = this._decode(this._distTable, invalidDistance);
+        if (distCode >= 30) {
+          throw zlibError('invalid distance code', 'Z_DATA_ERROR');
+        }
+        const dist = DIST_BASE[distCode] + this._bits(DIST_EXTRA[distCode]);
+        if (dist > this._outPos || dist > 1 << this._windowBits) {
+          throw zlibError('invalid distance too far back', 'Z_DATA_ERROR');
+        }
+
+        this._reserve(length);
+        const out = this._out;
+        for (let i = 0, from = this._outPos - dist; i < length; i++) {
+          out[this._outPos++] = out[from + i];
+        }
+      }
+
+      this._mark();
+    }
+  }
+
+  _endBlock() {
+    this._state = this._last ? TRAILER : BLOCK_HEADER;
+  }
+
+  _readTrailer() {
+    this._updateCheck();
+    this._alignToByte();
+
+    if (this._format === 'gzip') {
+      const check = ((this._bits(16) | (this._bits(16) << 16)) >>> 0);
+      const length = ((this._bits(16) | (this._bits(16) << 16)) >>> 0);
+
+      if (check !== this._check) {
+        throw zlibError('incorrect data check', 'Z_DATA_ERROR');
+      }
+      if (length !== this._memberLength >>> 0) {
+        throw zlibError('incorrect length check', 'Z_DATA_ERROR');
+      }
+    } else if (this._format === 'zlib') {
+      const check = ((this._bits(8) << 24) | (this._bits(8) << 16) | (this._bits(8) << 8) | this._bits(8)) >>> 0;
+
+      if (check !== this._check) {
+        throw zlibError('incorrect data check', 'Z_DATA_ERROR');
+      }
+    }
+  }
+
+  // After a gzip member, more input starts another member unless it
+  // begins with a zero byte, which marks padding to the end. Anything
+  // after a zlib or raw stream is ignored.
+  _nextMember() {
+    if (this._format !== 'gzip' || this._pos === this._input.length) {
+      return false;
+    }
+
+    if (this._input[this._pos] === 0) {
+      this._state = DONE;
+      return false;
+    }
+
+    this._state = HEADER;
+    return true;
+  }
+
+  // Fold the output since the last call into the check value
+  _updateCheck() {
+    const bytes = this._out.subarray(this._checkStart, this._outPos);
+    this._checkStart = this._outPos;
+    this._check = this._format === 'gzip' ? crc32(bytes, this._check) : adler32(bytes, this._check);
+    this._memberLength += bytes.length;
+  }
+
+  // Dictionary bytes become history that matches can reach back into,
+  // but aren't output
+  _putHistory(bytes) {
+    this._reserve(bytes.length);
+    this._out.set(bytes, this._outPos);
+    this._outPos += bytes.length;
+    this._outStart = this._checkStart = this._outPos;
+  }
+
+  _takeOutput() {
+    this._updateCheck();
+    const output = super._takeOutput();
+    this._checkStart = this._outPos;
+    return output;
+  }
+}
+
+/**
+ * Check that code lengths neither over-subscribe the code nor leave it
+ * incomplete, other than with a single one-bit code as zlib allows
+ * @param {Uint8Array} lengths
+ * @param {boolean} [complete] - Reject every incomplete code
+ * @returns {boolean}
+ */
+function isValidCode(lengths, complete) {
+  const counts = new Uint16Array(16);
+  let maxLength = 0;
+
+  for (const length of lengths) {
+    counts[length]++;
+    if (length > maxLength) maxLength = length;
+  }
+
+  let left = 1;
+  for (let bits = 1; bits < 16; bits++) {
+    left = (left << 1) - counts[bits];
+    if (left < 0) return false;
+  }
+  return left === 0 || maxLength === 0 || (!complete && maxLength === 1);
+}
+
+function invalidCodeLength() {
+  return zlibError('invalid code lengths set', 'Z_DATA_ERROR');
+}
+
+function invalidLiteralLength() {
+  return zlibError('invalid literal/length code', 'Z_DATA_ERROR');
+}
+
+function invalidDistance() {
+  return zlibError('invalid distance code', 'Z_DATA_ERROR');
+}
+
+module.exports = {
+  Inflater
+};
@@ -0,0 +1,260 @@
+/*!
+ * Bit stream decoding
+ * Shared by the resumable decompressors. Bits are read least significant
+ * first; a step that runs out of input throws NEED_INPUT and is rewound,
+ * to be retried from the same place when more input arrives.
+ */
+
+'use strict';
+
+const FINISH = 4;
+
+// Thrown by the bit reader when a step needs more input than has arrived
+const NEED_INPUT = Symbol('need input');
+
+const ERRNO = {
+  Z_NEED_DICT: 2,
+  Z_DATA_ERROR: -3,
+  Z_BUF_ERROR: -5
+};
+
+/**
+ * Base class for decompressors. Subclasses implement _step(), which does
+ * one unit of work and returns false when it can't make progress, and the
+ * `ended` getter. Output accumulates in _out, which keeps the last
+ * historySize bytes for back-references.
+ */
+class Decoder {
+  /**
+   * @param {number} historySize - Bytes of output that back-references
+   *   can reach
+   */
+  constructor(historySize) {
+    this._historySize = historySize;
+
+    this._input = new Uint8Array(0);
+    this._pos = 0;
+    this._bitBuf = 0;
+    this._bitCount = 0;
+    this._marked = new Float64Array(4);
+
+    this._out = new Uint8Array(1 << 16);
+    this._outPos = 0;
+    this._outStart = 0;
+  }
+
+  /**
+   * True once the end of the stream has been decoded
+   * @type {boolean}
+   */
+  get ended() {
+    return false;
+  }
+
+  /**
+   * @param {Uint8Array} input
+   * @param {number} flush - FINISH (4) means no more input will come
+   * @returns {Uint8Array} Output decoded from the input so far
+   */
+  write(input, flush) {
+    if (this._pos < this._input.length) {
+      const joined = new Uint8Array(this._input.length - this._pos + input.length);
+      joined.set(this._input.subarray(this._pos));
+      joined.set(input, this._input.length - this._pos);
+      this._input = joined;
+    } else {
+      this._input = input;
+    }
+    this._pos = 0;
+
+    this._run();
+
+    // Keep what's left over, since the caller may reuse its buffer
+    this._input = this._input.slice(this._pos);
+    this._pos = 0;
+
+    if (flush === FINISH && !this.ended) {
+      throw zlibError('unexpected end of file', 'Z_BUF_ERROR');
+    }
+    return this._takeOutput();
+  }
+
+  _run() {
+    for (;;) {
+      this._mark();
+      try {
+        if (!this._step()) return;
+      } catch (err) {
+        if (err !== NEED_INPUT) throw err;
+        this._rewind();
+        return;
+      }
+    }
+  }
+
+  // Record a point to resume from. Steps that loop mark after each
+  // complete unit, so running out of input only repeats the last one.
+  _mark() {
+    const marked = this._marked;
+    marked[0] = this._pos;
+    marked[1] = this._bitBuf;
+    marked[2] = this._bitCount;
+    marked[3] = this._outPos;
+  }
+
+  _rewind() {
+    const marked = this._marked;
+    this._pos = marked[0];
+    this._bitBuf = marked[1];
+    this._bitCount = marked[2];
+    this._outPos = marked[3];
+  }
+
+  _need(count) {
+    while (this._bitCount < count) {
+      if (this._pos >= this._input.length) throw NEED_INPUT;
+      this._bitBuf |= this._input[this._pos++] << this._bitCount;
+      this._bitCount += 8;
+    }
+  }
+
+  // Up to 24 bits, least significant first
+  _bits(count) {
+    this._need(count);
+    const value = this._bitBuf & ((1 << count) - 1);
+    this._bitBuf >>>= count;
+    this._bitCount -= count;
+    return value;
+  }
+
+  // Skip to the next byte boundary, returning the skipped bits
+  _alignToByte() {
+    return this._bits(this._bitCount & 7);
+  }
+
+  /**
+   * Read one symbol with a table from buildTable(). Bytes are only pulled
+   * in as the code needs them, so at most 7 bits are held over.
+   * @param {{entries: Int32Array, bits: number, mask: number}} table
+   * @param {Function} invalid - Returns the error for a code that isn't
+   *   in the table
+   * @returns {number}
+   */
+  _decode(table, invalid) {
+    for (;;) {
+      const entry = table.entries[this._bitBuf & table.mask];
+      const length = entry & 15;
+
+      if (entry >= 0 && length <= this._bitCount) {
+        this._bitBuf >>>= length;
+        this._bitCount -= length;
+        return entry >> 4;
+      }
+
+      if (this._bitCount >= table.bits) {
+        throw invalid();
+      }
+      if (this._pos >= this._input.length) throw NEED_INPUT;
+      this._bitBuf |= this._input[this._pos++] << this._bitCount;
+      this._bitCount += 8;
+    }
+  }
+
+  // Make room for count more bytes of output
+  _reserve(count) {
+    if (this._outPos + count <= this._out.length) {
+      return;
+    }
+
+    const out = new Uint8Array(Math.max(this._out.length * 2, this._outPos + count));
+    out.set(this._out.subarray(0, this._outPos));
+    this._out = out;
+  }
+
+  // Hand over the new output. Once the buffer holds twice the history,
+  // the history is moved back to the start.
+  _takeOutput() {
+    const output = this._out.slice(this._outStart, this._outPos);
+
+    if (this._outPos >= 2 * this._historySize) {
+      this._out.copyWithin(0, this._outPos - this._historySize, this._outPos);
+      this._outPos = this._historySize;
+    }
+    this._outStart = this._outPos;
+    return output;
+  }
+}
+
+/**
+ * Lookup table for a canonical prefix code, indexed by the next bits of
+ * input. Each entry is symbol << 4 | code length, or -1 where no code
+ * matches. A code with a single symbol of length 0 reads no bits.
+ * @param {ArrayLike<number>} lengths - Code length of each symbol, 0 if
+ *   unused
+ * @returns {{entries: Int32Array, bits: number, mask: number}}
+ */
+function buildTable(lengths) {
+  const counts = new Uint16Array(16);
+  let maxLength = 0;
+
+  for (const length of lengths) {
+    counts[length]++;
+    if (length > maxLength) maxLength = length;
+  }
+  counts[0] = 0;
+
+  const bits = Math.max(maxLength, 1);
+  const entries = new Int32Array(1 << bits).fill(-1);
+  const next = new Uint16Array(16);
+
+  for (let length = 1, code = 0; length < 16; length++) {
+    code = (code + counts[length - 1]) << 1;
+    next[length] = code;
+  }
+
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol];
+    if (!length) continue;
+
+    let code = next[length]++;
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | (code & 1);
+      code >>= 1;
+    }
+
+    for (let i = reversed; i < entries.length; i += 1 << length) {
+      entries[i] = (symbol << 4) | length;
+    }
+  }
+
+  return { entries, bits, mask: (1 << bits) - 1 };
+}
+
+/**
+ * Table for a code with one symbol, which takes no bits
+ * @param {number} symbol
+ */
+function singleSymbolTable(symbol) {
+  return { entries: Int32Array.of(symbol << 4), bits: 0, mask: 0 };
+}
+
+/**
+ * Error shaped like Node.js's zlib errors
+ * @param {string} message
+ * @param {string} code - 'Z_DATA_ERROR', 'Z_BUF_ERROR' or 'Z_NEED_DICT'
+ */
+function zlibError(message, code) {
+  const err = new Error(message);
+  err.errno = ERRNO[code];
+  err.code = code;
+  return err;
+}
+
+module.exports = {
+  FINISH,
+  Decoder,
+  buildTable,
+  singleSymbolTable,
+  zlibError
+};
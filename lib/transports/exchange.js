@@ -0,0 +1,133 @@
+/*!
+ * Transport exchange
+ * Builds the req/res pair for a request arriving over a transport, and
+ * the fetch() Response for a response going back to a client
+ */
+
+'use strict';
+
+const EventEmitter = require('events');
+const { IncomingMessage, ServerResponse } = require('../polyfills/http-stub');
+
+// Statuses whose Response must not have a body
+const NULL_BODY_STATUSES = [101, 103, 204, 205, 304];
+
+/**
+ * Create the req/res pair for one request
+ *
+ * The response writes its head and body to `options.socket`; see
+ * ServerResponse in http-stub for that interface. The socket also
+ * provides `remoteAddress` and `encrypted` for Express's req.ip and
+ * req.protocol. `options.read` is called whenever the request body
+ * stream wants more data; push the body into `req` yourself.
+ *
+ * @param {Object} transport - Transport the request arrived on
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {string} options.url
+ * @param {Object} [options.headers]
+ * @param {string} [options.httpVersion]
+ * @param {Object} options.socket
+ * @param {Function} [options.read]
+ * @returns {{req: IncomingMessage, res: ServerResponse}}
+ */
+function createExchange(transport, options) {
+  const req = new IncomingMessage(options.socket);
+  if (options.read) {
+    req._read = options.read;
+  }
+
+  const httpVersion = options.httpVersion || '1.1';
+  Object.assign(req, {
+    method: options.method || 'GET',
+    url: options.url || '/',
+    headers: normalizeHeaders(options.headers || {}),
+    httpVersion,
+    httpVersionMajor: Number(httpVersion.split('.')[0]) || 1,
+    httpVersionMinor: Number(httpVersion.split('.')[1]) || 0
+  });
+
+  const res = new ServerResponse(req);
+  res.assignSocket(options.socket);
+
+  // Express swaps in app.request/app.response, which sit on these
+  // http-stub classes in the browser bundle. Under Node they sit on
+  // node:http instead, so keep the stub methods on the objects.
+  if (transport._app && !IncomingMessage.prototype.isPrototypeOf(transport._app.request)) {
+    adoptPrototype(req, IncomingMessage);
+    adoptPrototype(res, ServerResponse);
+  }
+
+  return { req, res };
+}
+
+/**
+ * Create a fetch() Response from a response head and body
+ * @param {Object} head - statusCode, statusMessage and headers
+ * @param {*} body - Response body, or null for none
+ * @returns {Response}
+ */
+function createResponse(head, body) {
+  const headers = new Headers();
+
+  for (const [name, value] of Object.entries(head.headers)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => headers.append(name, String(item)));
+    } else {
+      headers.set(name, String(value));
+    }
+  }
+
+  return new Response(NULL_BODY_STATUSES.includes(head.statusCode) ? null : body, {
+    status: head.statusCode,
+    statusText: head.statusMessage,
+    headers
+  });
+}
+
+/**
+ * fetch() has no interim responses, so a 1xx head fails the request:
+ * the error to fail it with, or null for a final head
+ * @param {Object} head - statusCode, statusMessage and headers
+ * @returns {Error|null}
+ */
+function interimResponseError(head) {
+  if (head.statusCode >= 200) return null;
+
+  return new Error(`fetch() cannot return an interim ${head.statusCode} response`);
+}
+
+/**
+ * Lower-case header names as Node.js does for incoming requests
+ * @private
+ */
+function normalizeHeaders(headers) {
+  const normalized = {};
+  for (const [key, value] of Object.entries(headers)) {
+    normalized[key.toLowerCase()] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Copy the methods and accessors of `Class` and its bases (up to
+ * EventEmitter) onto `obj`, so they survive a prototype swap
+ * @private
+ */
+function adoptPrototype(obj, Class) {
+  let proto = Class.prototype;
+
+  while (proto && proto !== EventEmitter.prototype) {
+    for (const name of Object.getOwnPropertyNames(proto)) {
+      if (name === 'constructor' || Object.prototype.hasOwnProperty.call(obj, name)) continue;
+      Object.defineProperty(obj, name, Object.getOwnPropertyDescriptor(proto, name));
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+}
+
+module.exports = {
+  createExchange,
+  createResponse,
+  interimResponseError
+};
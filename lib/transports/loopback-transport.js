@@ -0,0 +1,326 @@
+/*!
+ * Loopback Transport
+ * Dispatches requests straight into an Express app in the same JS context,
+ * with no relay or browser in between. Handy for testing apps mounted
+ * with app.listen(transport).
+ */
+
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const EventEmitter = require('events');
+const { createExchange, createResponse, interimResponseError } = require('./exchange');
+
+// Base URL for relative request URLs
+const DEFAULT_ORIGIN = 'http://localhost';
+
+/**
+ * LoopbackTransport class
+ * Same interface as WebSocketTransport, plus fetch()
+ */
+class LoopbackTransport extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.origin] - Base URL for relative request URLs
+   * @param {string} [options.remoteAddress] - Client address the app sees
+   */
+  constructor(options) {
+    super();
+
+    options = options || {};
+
+    this.origin = options.origin || DEFAULT_ORIGIN;
+    this.remoteAddress = options.remoteAddress || '127.0.0.1';
+    this.connected = false;
+    this.requestId = 0;
+    this.activeRequests = new Map();
+    this._app = null;
+  }
+
+  /**
+   * Connect the transport. There is nothing to connect to, so this
+   * resolves straight away.
+   * @returns {Promise}
+   */
+  connect() {
+    if (!this.connected) {
+      this.connected = true;
+      this.emit('connect');
+    }
+    return Promise.resolve();
+  }
+
+  /**
+   * Send a request to the app, fetch() style
+   *
+   * Takes the same arguments as the global fetch(). Relative URLs are
+   * resolved against the transport origin. Resolves with a Response once
+   * the app has sent the response head; a streamed response body arrives
+   * as the app writes it.
+   *
+   * @param {string|URL|Request} input
+   * @param {Object} [init]
+   * @returns {Promise<Response>}
+   */
+  fetch(input, init) {
+    let request;
+    try {
+      const url = input instanceof Request ? input : new URL(input, this.origin);
+      request = new Request(url, init);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    if (!this.connected) {
+      return Promise.reject(new Error('Not connected'));
+    }
+
+    if (this.listenerCount('request') === 0) {
+      return Promise.reject(new Error('No app is listening on this transport'));
+    }
+
+    if (request.signal.aborted) {
+      return Promise.reject(request.signal.reason);
+    }
+
+    return request.arrayBuffer()
+      .then(body => this._dispatch(request, Buffer.from(body)));
+  }
+
+  /**
+   * Send a request to the app, WebSocketTransport style
+   * @param {Object} request - HTTP-like request object
+   * @param {Function} callback - Callback for response
+   */
+  sendRequest(request, callback) {
+    this.fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body
+    })
+      .then(response => {
+        return response.arrayBuffer().then(body => {
+          const headers = {};
+          response.headers.forEach((value, name) => {
+            headers[name] = value;
+          });
+
+          callback(null, {
+            statusCode: response.status,
+            statusMessage: response.statusText,
+            headers,
+            body: Buffer.from(body)
+          });
+        });
+      })
+      .catch(callback);
+  }
+
+  /**
+   * Close the transport, aborting requests still in flight
+   */
+  close() {
+    for (const id of Array.from(this.activeRequests.keys())) {
+      this._abort(id, new Error('Transport closed'));
+    }
+
+    if (this.connected) {
+      this.connected = false;
+      this.emit('closed');
+    }
+  }
+
+  /**
+   * Check if transport is ready
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.connected;
+  }
+
+  /**
+   * Get connection statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      connected: this.connected,
+      activeRequests: this.activeRequests.size,
+      origin: this.origin
+    };
+  }
+
+  /**
+   * Build the req/res pair and hand it to the app
+   * @private
+   */
+  _dispatch(request, body) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.requestId;
+      const url = new URL(request.url);
+
+      const headers = {};
+      request.headers.forEach((value, name) => {
+        headers[name] = value;
+      });
+      headers.host = headers.host || url.host;
+      if (body.length > 0 && headers['content-length'] === undefined) {
+        headers['content-length'] = String(body.length);
+      }
+
+      const socket = new LoopbackSocket(this, id, {
+        encrypted: url.protocol === 'https:',
+        method: request.method,
+        resolve,
+        reject
+      });
+
+      const { req, res } = createExchange(this, {
+        method: request.method,
+        url: url.pathname + url.search,
+        headers,
+        socket
+      });
+
+      if (body.length > 0) {
+        req.push(body);
+      }
+      req.push(null);
+      req.complete = true;
+
+      this.activeRequests.set(id, { req, res, socket });
+
+      request.signal.addEventListener('abort', () => {
+        this._abort(id, request.signal.reason);
+      });
+
+      this.emit('request', req, res);
+    });
+  }
+
+  /**
+   * Abort a request in flight, as when an HTTP client disconnects
+   * @private
+   */
+  _abort(id, reason) {
+    const active = this.activeRequests.get(id);
+    if (!active) return;
+
+    this.activeRequests.delete(id);
+
+    const { req, res, socket } = active;
+    socket.destroy(reason);
+    res.destroy();
+    req.aborted = true;
+    req.emit('aborted');
+    req.emit('close');
+  }
+}
+
+/**
+ * Socket for one loopback request. The http-stub ServerResponse writes
+ * its head and body here, and they become a fetch() Response.
+ * @private
+ */
+class LoopbackSocket extends EventEmitter {
+  constructor(transport, id, options) {
+    super();
+
+    this.transport = transport;
+    this.id = id;
+    this.remoteAddress = transport.remoteAddress;
+    this.encrypted = options.encrypted;
+    this.readable = true;
+    this.writable = true;
+    this.destroyed = false;
+    this._hasBody = options.method !== 'HEAD';
+    this._resolve = options.resolve;
+    this._reject = options.reject;
+    this._controller = null;
+  }
+
+  writeHead(head) {
+    if (this.destroyed || this._interim(head)) return;
+
+    if (!this._hasBody) {
+      this._resolve(createResponse(head, null));
+      return;
+    }
+
+    const stream = new ReadableStream({
+      start: (controller) => {
+        this._controller = controller;
+      }
+    });
+
+    this._resolve(createResponse(head, stream));
+  }
+
+  write(chunk) {
+    if (this.destroyed) return false;
+
+    if (this._controller) {
+      this._controller.enqueue(new Uint8Array(chunk));
+    }
+    return true;
+  }
+
+  end(chunk, head) {
+    if (this.destroyed || (head && this._interim(head))) return;
+    this._finish();
+
+    if (head) {
+      this._resolve(createResponse(head, this._hasBody ? chunk || new Uint8Array(0) : null));
+      return;
+    }
+
+    if (this._controller) {
+      if (chunk && chunk.length > 0) {
+        this._controller.enqueue(new Uint8Array(chunk));
+      }
+      this._controller.close();
+    }
+  }
+
+  destroy(error) {
+    if (this.destroyed) return;
+    this._finish();
+    this.destroyed = true;
+
+    error = error || new Error('Response destroyed');
+    if (this._controller) {
+      this._controller.error(error);
+    } else {
+      this._reject(error);
+    }
+    this.emit('close');
+  }
+
+  // Abort the exchange on a 1xx head, which fetch() can't return
+  _interim(head) {
+    const error = interimResponseError(head);
+
+    if (error) {
+      this.transport._abort(this.id, error);
+    }
+    return error !== null;
+  }
+
+  _finish() {
+    this.writable = false;
+    this.transport.activeRequests.delete(this.id);
+  }
+}
+
+/**
+ * Factory function to create transport
+ * @param {Object} [options] - Transport options
+ * @returns {LoopbackTransport}
+ */
+function createTransport(options) {
+  return new LoopbackTransport(options);
+}
+
+// Export both class and factory
+module.exports = LoopbackTransport;
+module.exports.createTransport = createTransport;
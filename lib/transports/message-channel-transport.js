@@ -0,0 +1,582 @@
+/*!
+ * MessageChannel Transport
+ * Serves an in-browser Express app to other tabs, iframes and workers over
+ * MessagePorts or a BroadcastChannel, with no relay server in the loop
+ */
+
+'use strict';
+
+const { Buffer } = require('node:buffer');
+const EventEmitter = require('events');
+const LoopbackTransport = require('./loopback-transport');
+const { createExchange, createResponse, interimResponseError } = require('./exchange');
+
+// Channel name used by BroadcastChannelTransport by default
+const DEFAULT_CHANNEL = 'browseress';
+
+// Base URL for relative request URLs on the client side
+const DEFAULT_ORIGIN = 'http://localhost';
+
+// Client requests fail if no response head arrives within this time
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * MessageChannelTransport class
+ *
+ * Answers requests arriving on any number of endpoints: MessagePorts,
+ * BroadcastChannels, or anything else with postMessage() and a 'message'
+ * event. It is also a LoopbackTransport, so fetch() works from the app's
+ * own context too.
+ *
+ * Frames mirror the relay protocol, with bodies as ArrayBuffers:
+ * clients send `http-request` and `http-request-abort`; the transport
+ * answers with `http-response`, or `http-response-head`,
+ * `http-response-chunk` and `http-response-end` for streamed responses,
+ * or `http-response-error`. Every frame carries the request `id` and the
+ * `client` id, and responses carry the `server` id.
+ *
+ * Several apps may listen on one BroadcastChannel, so a client there
+ * first sends `http-discover`; each listening app answers `http-offer`,
+ * and the client addresses its requests to the first that did by
+ * setting `server`. Apps ignore requests addressed to another app, so
+ * each request runs in exactly one.
+ */
+class MessageChannelTransport extends LoopbackTransport {
+  /**
+   * @param {Object} [endpoint] - First endpoint to serve, see addPort()
+   * @param {Object} [options] - LoopbackTransport options
+   */
+  constructor(endpoint, options) {
+    super(options);
+
+    this.serverId = randomId();
+    this.endpoints = new Map();
+    this._endpointId = 0;
+    this._remoteRequests = new Map();
+
+    if (endpoint) {
+      this.addPort(endpoint);
+    }
+  }
+
+  /**
+   * Serve requests arriving on an endpoint
+   * @param {Object} endpoint - MessagePort, BroadcastChannel or similar
+   * @param {boolean} [owned] - Close the endpoint when the transport closes
+   * @returns {Object} The endpoint
+   */
+  addPort(endpoint, owned) {
+    if (this.endpoints.has(endpoint)) {
+      return endpoint;
+    }
+
+    const id = ++this._endpointId;
+    const listener = (event) => {
+      this._handleMessage(endpoint, id, event.data);
+    };
+
+    this.endpoints.set(endpoint, { id, listener, owned: Boolean(owned) });
+    endpoint.addEventListener('message', listener);
+    if (typeof endpoint.start === 'function') {
+      endpoint.start();
+    }
+
+    return endpoint;
+  }
+
+  /**
+   * Stop serving an endpoint, aborting its requests in flight
+   * @param {Object} endpoint
+   */
+  removePort(endpoint) {
+    const entry = this.endpoints.get(endpoint);
+    if (!entry) return;
+
+    this.endpoints.delete(endpoint);
+    endpoint.removeEventListener('message', entry.listener);
+
+    for (const [key, localId] of Array.from(this._remoteRequests)) {
+      if (key.startsWith(entry.id + ':')) {
+        this._abort(localId, new Error('Port removed'));
+      }
+    }
+
+    if (entry.owned && typeof endpoint.close === 'function') {
+      endpoint.close();
+    }
+  }
+
+  /**
+   * Create a MessageChannel, serve one end and return the other. Hand
+   * the returned port to an iframe, tab or worker with postMessage() and
+   * call MessageChannelTransport.createFetch(port) there.
+   * @returns {MessagePort}
+   */
+  createPort() {
+    const channel = new MessageChannel();
+    this.addPort(channel.port1, true);
+    return channel.port2;
+  }
+
+  /**
+   * Close the transport and every endpoint it created
+   */
+  close() {
+    for (const endpoint of Array.from(this.endpoints.keys())) {
+      this.removePort(endpoint);
+    }
+    super.close();
+  }
+
+  /**
+   * Get connection statistics
+   * @returns {Object}
+   */
+  getStats() {
+    return Object.assign(super.getStats(), {
+      endpoints: this.endpoints.size
+    });
+  }
+
+  /**
+   * Handle a frame from a client
+   * @private
+   */
+  _handleMessage(endpoint, endpointId, message) {
+    if (!message || typeof message !== 'object' || message.id == null) {
+      return;
+    }
+
+    // Requests from a port reach only this app; on a shared channel the
+    // client names the app it picked
+    if (message.server !== undefined && message.server !== this.serverId) {
+      return;
+    }
+
+    const key = `${endpointId}:${message.client}:${message.id}`;
+
+    if (message.type === 'http-discover') {
+      if (this.connected && this.listenerCount('request') > 0) {
+        endpoint.postMessage({ type: 'http-offer', id: message.id, client: message.client, server: this.serverId });
+      }
+    } else if (message.type === 'http-request') {
+      this._handleHttpRequest(endpoint, key, message);
+    } else if (message.type === 'http-request-abort') {
+      const localId = this._remoteRequests.get(key);
+      if (localId !== undefined) {
+        this._abort(localId, new Error('Request aborted'));
+      }
+    }
+  }
+
+  /**
+   * Dispatch a request from a client into the app
+   * @private
+   */
+  _handleHttpRequest(endpoint, key, message) {
+    const post = (frame) => {
+      frame.id = message.id;
+      frame.client = message.client;
+      frame.server = this.serverId;
+      endpoint.postMessage(frame);
+    };
+
+    if (!this.connected || this.listenerCount('request') === 0) {
+      post({ type: 'http-response-error', message: 'No app is listening on this transport' });
+      return;
+    }
+
+    const id = ++this.requestId;
+    const socket = new PortSocket(this, id, key, post);
+    const body = message.body ? Buffer.from(message.body) : null;
+
+    const { req, res } = createExchange(this, {
+      method: message.method,
+      url: message.url,
+      headers: message.headers,
+      socket
+    });
+
+    if (body && body.length > 0) {
+      req.push(body);
+    }
+    req.push(null);
+    req.complete = true;
+
+    this.activeRequests.set(id, { req, res, socket });
+    this._remoteRequests.set(key, id);
+
+    this.emit('request', req, res);
+  }
+
+  /**
+   * Create a fetch()-compatible function that sends requests to a
+   * MessageChannelTransport through `endpoint`
+   *
+   * Call `fetch.close()` when done to stop listening on the endpoint.
+   *
+   * @param {Object} endpoint - MessagePort, BroadcastChannel or similar
+   * @param {Object} [options]
+   * @param {string} [options.origin] - Base URL for relative request URLs
+   * @param {number} [options.timeout] - Milliseconds to wait for a response head
+   * @returns {Function}
+   */
+  static createFetch(endpoint, options) {
+    return createClient(endpoint, options || {});
+  }
+}
+
+/**
+ * BroadcastChannelTransport class
+ *
+ * Serves the app on a named BroadcastChannel, so any same-origin tab or
+ * worker can find it by name without being handed a port.
+ */
+class BroadcastChannelTransport extends MessageChannelTransport {
+  /**
+   * @param {string} [name] - Channel name, 'browseress' by default
+   * @param {Object} [options] - LoopbackTransport options
+   */
+  constructor(name, options) {
+    super(null, options);
+
+    this.channelName = name || DEFAULT_CHANNEL;
+    this.addPort(new BroadcastChannel(this.channelName), true);
+  }
+
+  /**
+   * Create a fetch()-compatible function for the app served on a
+   * BroadcastChannel. The first request discovers the apps listening on
+   * the channel and picks one to send this and later requests to.
+   * @param {string} [name] - Channel name, 'browseress' by default
+   * @param {Object} [options] - See MessageChannelTransport.createFetch()
+   * @returns {Function}
+   */
+  static createFetch(name, options) {
+    const channel = new BroadcastChannel(name || DEFAULT_CHANNEL);
+    const fetch = createClient(channel, options || {}, true);
+    const close = fetch.close;
+
+    fetch.close = function() {
+      close();
+      channel.close();
+    };
+
+    return fetch;
+  }
+}
+
+/**
+ * Socket for one request from a client. The http-stub ServerResponse
+ * writes its head and body here, and they are posted back as frames.
+ * @private
+ */
+class PortSocket extends EventEmitter {
+  constructor(transport, id, key, post) {
+    super();
+
+    this.transport = transport;
+    this.id = id;
+    this.key = key;
+    this.post = post;
+    this.remoteAddress = transport.remoteAddress;
+    this.encrypted = false;
+    this.readable = true;
+    this.writable = true;
+    this.destroyed = false;
+  }
+
+  writeHead(head) {
+    if (this.destroyed) return;
+
+    this.post({
+      type: 'http-response-head',
+      statusCode: head.statusCode,
+      statusMessage: head.statusMessage,
+      headers: head.headers
+    });
+  }
+
+  write(chunk) {
+    if (this.destroyed) return false;
+
+    this.post({ type: 'http-response-chunk', body: toArrayBuffer(chunk) });
+    return true;
+  }
+
+  end(chunk, head) {
+    if (this.destroyed) return;
+    this._finish();
+
+    const body = chunk ? toArrayBuffer(chunk) : null;
+
+    if (head) {
+      this.post({
+        type: 'http-response',
+        statusCode: head.statusCode,
+        statusMessage: head.statusMessage,
+        headers: head.headers,
+        body
+      });
+    } else {
+      this.post({ type: 'http-response-end', body });
+    }
+  }
+
+  destroy(error) {
+    if (this.destroyed) return;
+    this._finish();
+    this.destroyed = true;
+
+    this.post({
+      type: 'http-response-error',
+      message: error ? error.message : 'Response destroyed'
+    });
+    this.emit('close');
+  }
+
+  _finish() {
+    this.writable = false;
+    this.transport.activeRequests.delete(this.id);
+    this.transport._remoteRequests.delete(this.key);
+  }
+}
+
+/**
+ * Client side of the transport: a fetch()-compatible function. With
+ * `discover`, requests go to one app picked from those on the endpoint.
+ * @private
+ */
+function createClient(endpoint, options, discover) {
+  const clientId = randomId();
+  const origin = options.origin || DEFAULT_ORIGIN;
+  const timeout = options.timeout || DEFAULT_TIMEOUT;
+  const pending = new Map();
+  let requestId = 0;
+  let server = null;
+  let discovery = null;
+
+  // Resolve with the app to send requests to: the first to answer
+  // http-discover, kept until a request to it times out
+  function pickServer() {
+    if (!discover || server) {
+      return Promise.resolve(server);
+    }
+
+    if (!discovery) {
+      const id = ++requestId;
+      discovery = { id };
+      discovery.promise = new Promise((resolve, reject) => {
+        discovery.resolve = resolve;
+        discovery.reject = reject;
+        discovery.timer = setTimeout(() => {
+          discovery = null;
+          reject(new Error('No app answered on this channel'));
+        }, timeout);
+      });
+      endpoint.postMessage({ type: 'http-discover', id, client: clientId });
+    }
+
+    return discovery.promise;
+  }
+
+  function settle(id) {
+    const entry = pending.get(id);
+    pending.delete(id);
+    if (entry) {
+      clearTimeout(entry.timer);
+    }
+    return entry;
+  }
+
+  function onmessage(event) {
+    const message = event.data;
+    if (!message || message.client !== clientId) return;
+
+    if (message.type === 'http-offer') {
+      if (discovery && discovery.id === message.id) {
+        clearTimeout(discovery.timer);
+        server = message.server;
+        discovery.resolve(server);
+        discovery = null;
+      }
+      return;
+    }
+
+    const entry = pending.get(message.id);
+    if (!entry) return;
+
+    if (entry.server && entry.server !== message.server) return;
+
+    const head = {
+      statusCode: message.statusCode,
+      statusMessage: message.statusMessage,
+      headers: message.headers
+    };
+
+    if (message.type === 'http-response' || message.type === 'http-response-head') {
+      const error = interimResponseError(head);
+      if (error) {
+        abort(message.id, error);
+        return;
+      }
+    }
+
+    switch (message.type) {
+      case 'http-response':
+        settle(message.id);
+        entry.resolve(createResponse(head, entry.hasBody ? message.body || new Uint8Array(0) : null));
+        break;
+      case 'http-response-head':
+        clearTimeout(entry.timer);
+        if (!entry.hasBody) {
+          settle(message.id);
+          entry.resolve(createResponse(head, null));
+          break;
+        }
+        entry.resolve(createResponse(head, new ReadableStream({
+          start(controller) {
+            entry.controller = controller;
+          }
+        })));
+        break;
+      case 'http-response-chunk':
+        if (entry.controller) {
+          entry.controller.enqueue(new Uint8Array(message.body));
+        }
+        break;
+      case 'http-response-end':
+        settle(message.id);
+        if (entry.controller) {
+          if (message.body && message.body.byteLength > 0) {
+            entry.controller.enqueue(new Uint8Array(message.body));
+          }
+          entry.controller.close();
+        }
+        break;
+      case 'http-response-error':
+        settle(message.id);
+        fail(entry, new Error(message.message));
+        break;
+    }
+  }
+
+  function fail(entry, error) {
+    if (entry.controller) {
+      entry.controller.error(error);
+    } else {
+      entry.reject(error);
+    }
+  }
+
+  function abort(id, error) {
+    const entry = settle(id);
+    if (!entry) return;
+
+    endpoint.postMessage({ type: 'http-request-abort', id, client: clientId, server: entry.server || undefined });
+    fail(entry, error);
+  }
+
+  function fetch(input, init) {
+    let request;
+    try {
+      const url = input instanceof Request ? input : new URL(input, origin);
+      request = new Request(url, init);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    if (request.signal.aborted) {
+      return Promise.reject(request.signal.reason);
+    }
+
+    return Promise.all([request.arrayBuffer(), pickServer()]).then(([body, target]) => new Promise((resolve, reject) => {
+      if (request.signal.aborted) {
+        reject(request.signal.reason);
+        return;
+      }
+
+      const id = ++requestId;
+      const url = new URL(request.url);
+
+      const headers = {};
+      request.headers.forEach((value, name) => {
+        headers[name] = value;
+      });
+      headers.host = headers.host || url.host;
+      if (body.byteLength > 0 && headers['content-length'] === undefined) {
+        headers['content-length'] = String(body.byteLength);
+      }
+
+      pending.set(id, {
+        resolve,
+        reject,
+        controller: null,
+        server: target,
+        hasBody: request.method !== 'HEAD',
+        timer: setTimeout(() => {
+          // The app may have gone away; look again next time
+          if (server === target) {
+            server = null;
+          }
+          abort(id, new Error('Request timeout'));
+        }, timeout)
+      });
+
+      request.signal.addEventListener('abort', () => {
+        abort(id, request.signal.reason);
+      });
+
+      endpoint.postMessage({
+        type: 'http-request',
+        id,
+        client: clientId,
+        server: target || undefined,
+        method: request.method,
+        url: url.pathname + url.search,
+        headers,
+        body: body.byteLength > 0 ? body : null
+      });
+    }));
+  }
+
+  fetch.close = function() {
+    if (discovery) {
+      clearTimeout(discovery.timer);
+      discovery.reject(new Error('Client closed'));
+      discovery = null;
+    }
+    for (const id of Array.from(pending.keys())) {
+      abort(id, new Error('Client closed'));
+    }
+    endpoint.removeEventListener('message', onmessage);
+  };
+
+  endpoint.addEventListener('message', onmessage);
+  if (typeof endpoint.start === 'function') {
+    endpoint.start();
+  }
+
+  return fetch;
+}
+
+/**
+ * Copy a Buffer into a standalone ArrayBuffer for posting
+ * @private
+ */
+function toArrayBuffer(chunk) {
+  return chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.length);
+}
+
+/**
+ * Random id telling clients and servers apart on a shared channel
+ * @private
+ */
+function randomId() {
+  return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+// Export both classes
+module.exports = MessageChannelTransport;
+module.exports.MessageChannelTransport = MessageChannelTransport;
+module.exports.BroadcastChannelTransport = BroadcastChannelTransport;
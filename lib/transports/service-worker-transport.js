@@ -0,0 +1,175 @@
+/*!
+ * Service Worker Transport
+ * Serves same-origin fetches from an Express app running inside a
+ * Service Worker, with no relay server involved
+ */
+
+'use strict';
+
+const LoopbackTransport = require('./loopback-transport');
+
+/**
+ * ServiceWorkerTransport class
+ *
+ * Run the app inside the Service Worker script and listen on this
+ * transport. Each intercepted FetchEvent is dispatched to the app and
+ * answered with its Response; requests outside `prefix`, cross-origin
+ * requests and requests rejected by `filter` go to the network as usual.
+ *
+ *   importScripts('browseress.js');
+ *   const app = browseress.express();
+ *   app.get('/api/todos', (req, res) => res.json(todos));
+ *   app.listen(new browseress.ServiceWorkerTransport({ prefix: '/api/' }));
+ */
+class ServiceWorkerTransport extends LoopbackTransport {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.prefix] - Only serve paths starting with this, '/' by default
+   * @param {Function} [options.filter] - Called with each Request; return false to skip it
+   * @param {boolean} [options.claim] - Take control of open pages on activation, true by default
+   * @param {Object} [options.target] - ServiceWorkerGlobalScope to listen on, `self` by default
+   */
+  constructor(options) {
+    options = options || {};
+
+    const target = options.target || (typeof self !== 'undefined' ? self : null);
+
+    super(Object.assign({
+      origin: target && target.location ? target.location.origin : undefined
+    }, options));
+
+    this.target = target;
+    this.prefix = options.prefix || '/';
+    this.filter = options.filter || null;
+    this.claim = options.claim !== false;
+    this._listeners = null;
+  }
+
+  /**
+   * Start intercepting fetches
+   * @returns {Promise}
+   */
+  connect() {
+    if (!this.target) {
+      return Promise.reject(new Error('ServiceWorkerTransport must run inside a Service Worker'));
+    }
+
+    if (!this._listeners) {
+      this._listeners = {
+        fetch: (event) => this._handleFetch(event),
+        install: (event) => this._handleInstall(event),
+        activate: (event) => this._handleActivate(event)
+      };
+
+      for (const type in this._listeners) {
+        this.target.addEventListener(type, this._listeners[type]);
+      }
+    }
+
+    return super.connect();
+  }
+
+  /**
+   * Stop intercepting fetches
+   */
+  close() {
+    if (this._listeners) {
+      for (const type in this._listeners) {
+        this.target.removeEventListener(type, this._listeners[type]);
+      }
+      this._listeners = null;
+    }
+
+    super.close();
+  }
+
+  /**
+   * Check whether a request should be served by the app
+   * @param {Request} request
+   * @returns {boolean}
+   */
+  handles(request) {
+    const url = new URL(request.url);
+
+    if (url.origin !== new URL(this.origin).origin) {
+      return false;
+    }
+
+    if (!url.pathname.startsWith(this.prefix)) {
+      return false;
+    }
+
+    return !this.filter || this.filter(request) !== false;
+  }
+
+  /**
+   * Answer a FetchEvent from the app
+   * @private
+   */
+  _handleFetch(event) {
+    if (!this.connected || !this.handles(event.request)) {
+      return;
+    }
+
+    event.respondWith(this.fetch(event.request));
+  }
+
+  /**
+   * Activate a new version straight away rather than after every page
+   * using the old one has closed
+   * @private
+   */
+  _handleInstall(event) {
+    if (this.claim && typeof this.target.skipWaiting === 'function') {
+      event.waitUntil(this.target.skipWaiting());
+    }
+  }
+
+  /**
+   * Take control of pages that loaded before the worker was installed
+   * @private
+   */
+  _handleActivate(event) {
+    if (this.claim && this.target.clients && typeof this.target.clients.claim === 'function') {
+      event.waitUntil(this.target.clients.claim());
+    }
+  }
+
+  /**
+   * Register a Service Worker script from a page and wait until it
+   * controls the page, so fetches are intercepted from then on
+   * @param {string} scriptUrl - Service Worker script
+   * @param {Object} [options] - navigator.serviceWorker.register() options
+   * @returns {Promise<ServiceWorkerRegistration>}
+   */
+  static register(scriptUrl, options) {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+      return Promise.reject(new Error('Service Workers are not supported here'));
+    }
+
+    const container = navigator.serviceWorker;
+
+    return container.register(scriptUrl, options).then(registration => {
+      if (container.controller) {
+        return registration;
+      }
+
+      return new Promise(resolve => {
+        container.addEventListener('controllerchange', () => resolve(registration), { once: true });
+      });
+    });
+  }
+}
+
+/**
+ * Factory function to create transport
+ * @param {Object} [options] - Transport options
+ * @returns {ServiceWorkerTransport}
+ */
+function createTransport(options) {
+  return new ServiceWorkerTransport(options);
+}
+
+// Export both class and factory
+module.exports = ServiceWorkerTransport;
+module.exports.createTransport = createTransport;
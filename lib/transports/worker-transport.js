@@ -0,0 +1,232 @@
+/*!
+ * Worker Transport
+ * Runs the app in a dedicated Web Worker while the main thread holds the
+ * relay WebSocket and forwards its frames over postMessage
+ */
+
+'use strict';
+
+const WebSocketTransport = require('./ws-transport');
+
+/**
+ * WorkerTransport class
+ *
+ * The worker side. Speaks the relay protocol like WebSocketTransport,
+ * but reads frames from and posts frames to the main thread instead of
+ * a socket. Relay frames travel as the JSON strings the relay sends;
+ * control messages are objects with a `browseress` key. Reconnecting and
+ * authentication stay with the WorkerHost.
+ */
+class WorkerTransport extends WebSocketTransport {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.scope] - Worker global scope, `self` by default
+   */
+  constructor(options) {
+    options = options || {};
+
+    super(null, options);
+
+    this.scope = options.scope || (typeof self !== 'undefined' ? self : null);
+    this.hostConnected = false;
+    this._onMessage = null;
+  }
+
+  /**
+   * Start taking frames from the main thread
+   * @returns {Promise}
+   */
+  connect() {
+    if (!this.scope) {
+      return Promise.reject(new Error('WorkerTransport must run inside a Worker'));
+    }
+
+    if (!this._onMessage) {
+      this._onMessage = (event) => this._handlePost(event.data);
+      this.scope.addEventListener('message', this._onMessage);
+    }
+
+    this.connected = true;
+    this.closed = false;
+    this.scope.postMessage({ browseress: 'ready' });
+    this.emit('connect');
+
+    return Promise.resolve();
+  }
+
+  /**
+   * Stop taking frames from the main thread
+   */
+  close() {
+    this.closed = true;
+
+    if (this._onMessage) {
+      this.scope.removeEventListener('message', this._onMessage);
+      this._onMessage = null;
+    }
+
+    this.connected = false;
+    this._abortActiveRequests();
+    this.emit('closed');
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.connected && this.hostConnected;
+  }
+
+  /**
+   * Handle a message from the main thread
+   * @private
+   */
+  _handlePost(data) {
+    if (typeof data === 'string') {
+      this._handleMessage(data);
+    } else if (data && data.browseress === 'connect') {
+      this.hostConnected = true;
+    } else if (data && data.browseress === 'disconnect') {
+      // Responses to in-flight relay requests can no longer be delivered
+      this.hostConnected = false;
+      this._abortActiveRequests();
+      this.emit('disconnect');
+    }
+  }
+
+  /**
+   * Hand a frame to the main thread for the relay
+   * @private
+   */
+  _send(message) {
+    if (!this.connected) {
+      this.emit('error', new Error('Not connected'));
+      return;
+    }
+
+    this.scope.postMessage(JSON.stringify(message));
+  }
+}
+
+/**
+ * WorkerHost class
+ *
+ * The main-thread side. Holds the relay WebSocket, with the reconnect and
+ * authentication handling of WebSocketTransport, and passes frames to and
+ * from the worker untouched. Any other message the worker posts is
+ * emitted as 'message', for UI updates.
+ */
+class WorkerHost extends WebSocketTransport {
+  /**
+   * @param {Worker} worker - Worker running the app on a WorkerTransport
+   * @param {string} url - Relay WebSocket URL
+   * @param {Object} [options] - WebSocketTransport options
+   */
+  constructor(worker, url, options) {
+    super(url, options);
+
+    this.worker = worker;
+    this.workerReady = false;
+    this._onWorkerMessage = (event) => this._handleWorkerMessage(event.data);
+    this._onWorkerError = (event) => this.emit('worker-error', new Error(event.message || 'Worker failed'));
+    this.worker.addEventListener('message', this._onWorkerMessage);
+    this.worker.addEventListener('error', this._onWorkerError);
+
+    this.on('connect', () => this.worker.postMessage({ browseress: 'connect' }));
+    this.on('disconnect', () => this.worker.postMessage({ browseress: 'disconnect' }));
+  }
+
+  /**
+   * Post a message to the app's worker
+   * @param {*} data
+   * @param {Array} [transfer]
+   */
+  postMessage(data, transfer) {
+    this.worker.postMessage(data, transfer);
+  }
+
+  /**
+   * Close the WebSocket and stop the worker
+   */
+  close() {
+    super.close();
+    this.worker.removeEventListener('message', this._onWorkerMessage);
+    this.worker.removeEventListener('error', this._onWorkerError);
+    this.worker.terminate();
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getStats() {
+    return Object.assign(super.getStats(), {
+      workerReady: this.workerReady
+    });
+  }
+
+  /**
+   * Handle a frame from the relay. Only the handshake is dealt with
+   * here; everything else belongs to the app.
+   * @private
+   */
+  _handleMessage(data) {
+    let type;
+    try {
+      type = JSON.parse(data).type;
+    } catch (error) {
+      this.emit('error', error);
+      return;
+    }
+
+    if (type === 'welcome' || type === 'authenticated' || type === 'auth-failed') {
+      super._handleMessage(data);
+      return;
+    }
+
+    if (type === 'server-push') {
+      super._handleMessage(data);
+    }
+
+    this.worker.postMessage(data);
+  }
+
+  /**
+   * Handle a message from the worker
+   * @private
+   */
+  _handleWorkerMessage(data) {
+    if (typeof data === 'string') {
+      this._forward(data);
+    } else if (data && data.browseress === 'ready') {
+      this.workerReady = true;
+      this.emit('worker-ready');
+    } else if (data && data.browseress === 'error') {
+      const error = new Error(data.message);
+      error.stack = data.stack || error.stack;
+      this.emit('worker-error', error);
+    } else {
+      this.emit('message', data);
+    }
+  }
+
+  /**
+   * Send a frame from the worker to the relay
+   * @private
+   */
+  _forward(data) {
+    if (!this.connected || !this.ws) {
+      this.emit('error', new Error('Not connected'));
+      return;
+    }
+
+    try {
+      this.ws.send(data);
+    } catch (error) {
+      this.emit('error', error);
+    }
+  }
+}
+
+module.exports = WorkerTransport;
+module.exports.WorkerTransport = WorkerTransport;
+module.exports.WorkerHost = WorkerHost;
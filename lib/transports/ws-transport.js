@@ -5,21 +5,41 @@
 
 'use strict';
 
+const { Buffer } = require('node:buffer');
 const EventEmitter = require('events');
+const { createExchange } = require('./exchange');
+
+// Must match the relay server
+const DEFAULT_TENANT = 'default';
+const AUTH_FAILED_CLOSE_CODE = 4401;
 
 /**
  * WebSocketTransport class
  * Handles communication with the relay server
  */
 class WebSocketTransport extends EventEmitter {
-  constructor(url) {
+  /**
+   * @param {string} url - Relay WebSocket URL
+   * @param {Object} [options]
+   * @param {string} [options.tenant] - Tenant name to register under on the relay
+   * @param {Object} [options.credentials] - Credentials, see connect()
+   */
+  constructor(url, options) {
     super();
     
+    options = options || {};
+    
     this.url = url;
+    // The relay matches tenant names in lower case, and so must the signature
+    this.tenant = options.tenant ? options.tenant.toLowerCase() : null;
+    this.credentials = options.credentials || null;
+    this.authFailed = false;
+    this._pendingAuth = null;
     this.ws = null;
     this.connected = false;
     this.requestId = 0;
     this.pendingRequests = new Map();
+    this.activeRequests = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
@@ -31,22 +51,38 @@ class WebSocketTransport extends EventEmitter {
 
   /**
    * Connect to the relay server
-   * @returns {Promise} Resolves when connected
+   *
+   * Credentials are required when the relay is started with RELAY_KEYS
+   * or RELAY_SECRET, and are only good for this transport's tenant. A
+   * `token` is sent in the handshake query string, a `secret` is used to
+   * HMAC-sign the nonce from the relay's welcome. They are kept for
+   * reconnects.
+   *
+   * @param {Object} [credentials]
+   * @param {string} [credentials.token] - The tenant's token from RELAY_KEYS
+   * @param {string} [credentials.secret] - The tenant's secret derived from RELAY_SECRET
+   * @returns {Promise} Resolves when connected (and authenticated)
    */
-  connect() {
+  connect(credentials) {
+    if (credentials) {
+      this.credentials = credentials;
+    }
+
     return new Promise((resolve, reject) => {
       if (this.connected) {
         resolve();
         return;
       }
 
+      this.authFailed = false;
+
       const WebSocket = this._getWebSocket();
       if (!WebSocket) {
         reject(new Error('WebSocket not available in this environment'));
         return;
       }
 
-      this.ws = new WebSocket(this.url);
+      this.ws = new WebSocket(this._handshakeUrl());
       this.ws.binaryType = 'arraybuffer';
 
       this.ws.onopen = () => {
@@ -59,6 +95,12 @@ class WebSocketTransport extends EventEmitter {
           this.connectionTimer = null;
         }
         
+        // With credentials, wait for the relay to accept them before resolving
+        if (this.credentials) {
+          this._pendingAuth = { resolve, reject };
+          return;
+        }
+        
         this.emit('connect');
         resolve();
       };
@@ -71,8 +113,18 @@ class WebSocketTransport extends EventEmitter {
         this.emit('error', error);
       };
 
-      this.ws.onclose = () => {
+      this.ws.onclose = (event) => {
         this.connected = false;
+        
+        if (event && event.code === AUTH_FAILED_CLOSE_CODE && !this.authFailed) {
+          this._handleAuthFailed('Authentication failed');
+        }
+        
+        if (this._pendingAuth) {
+          this._pendingAuth.reject(new Error('Connection closed before authentication'));
+          this._pendingAuth = null;
+        }
+        
         this.emit('disconnect');
         this._handleDisconnect();
       };
@@ -180,6 +232,94 @@ class WebSocketTransport extends EventEmitter {
     }
   }
 
+  /**
+   * Build the URL used for the WebSocket handshake, announcing
+   * the tenant name and token to the relay server
+   * @private
+   */
+  _handshakeUrl() {
+    const token = this.credentials && this.credentials.token;
+
+    if (!this.tenant && !token) {
+      return this.url;
+    }
+
+    const url = new URL(this.url);
+    if (this.tenant) {
+      url.searchParams.set('tenant', this.tenant);
+    }
+    if (token) {
+      url.searchParams.set('token', token);
+    }
+    return url.toString();
+  }
+
+  /**
+   * Answer the relay's welcome. A relay that still wants credentials
+   * sends a nonce, signed here with the secret; token credentials
+   * already travelled in the handshake URL.
+   * @private
+   */
+  _handleWelcome(message) {
+    if (!this._pendingAuth) {
+      return;
+    }
+
+    if (message.authenticated !== false) {
+      this._handleAuthenticated();
+      return;
+    }
+
+    const secret = this.credentials.secret;
+    if (!secret) {
+      this._handleAuthFailed('Authentication required');
+      this.ws.close();
+      return;
+    }
+
+    const tenant = this.tenant || DEFAULT_TENANT;
+    const pending = this._pendingAuth;
+
+    hmacSha256Hex(secret, `${tenant}:${message.nonce}`).then((signature) => {
+      this._send({ type: 'auth', signature });
+    }, (error) => {
+      this._pendingAuth = null;
+      this.emit('error', error);
+      pending.reject(error);
+    });
+  }
+
+  /**
+   * The relay accepted the connection
+   * @private
+   */
+  _handleAuthenticated() {
+    if (this._pendingAuth) {
+      const pending = this._pendingAuth;
+      this._pendingAuth = null;
+      this.emit('connect');
+      pending.resolve();
+    }
+  }
+
+  /**
+   * Stop reconnecting and surface an authentication failure
+   * @private
+   */
+  _handleAuthFailed(reason) {
+    this.authFailed = true;
+
+    const error = new Error(reason);
+    error.code = 'EAUTH';
+
+    if (this._pendingAuth) {
+      this._pendingAuth.reject(error);
+      this._pendingAuth = null;
+    }
+
+    this.emit('auth-failed', error);
+  }
+
   /**
    * Send a message through WebSocket
    * @private
@@ -241,12 +381,27 @@ class WebSocketTransport extends EventEmitter {
           
           pending.callback(new Error(message.error));
         }
+      } else if (message.type === 'welcome') {
+        this._handleWelcome(message);
+      } else if (message.type === 'authenticated') {
+        this._handleAuthenticated();
+      } else if (message.type === 'auth-failed') {
+        this._handleAuthFailed(message.reason || 'Authentication failed');
       } else if (message.type === 'server-push') {
         // Handle server-initiated messages
         this.emit('server-message', message);
       } else if (message.type === 'http-request') {
         // Handle incoming HTTP request from relay server
         this._handleHttpRequest(message);
+      } else if (message.type === 'http-request-chunk') {
+        // Part of a streamed request body
+        this._handleHttpRequestChunk(message);
+      } else if (message.type === 'http-request-end') {
+        // End of a streamed request body
+        this._handleHttpRequestEnd(message);
+      } else if (message.type === 'http-request-abort') {
+        // HTTP client went away before the response finished
+        this._handleHttpRequestAbort(message);
       }
     } catch (error) {
       this.emit('error', error);
@@ -271,12 +426,20 @@ class WebSocketTransport extends EventEmitter {
     }
     this.pendingRequests.clear();
 
+    // Responses to in-flight relay requests can no longer be delivered
+    this._abortActiveRequests();
+
     // Don't attempt reconnection if explicitly closed
     if (this.closed) {
       this.emit('closed');
       return;
     }
 
+    // Retrying with the same credentials would fail again
+    if (this.authFailed) {
+      return;
+    }
+
     // Attempt reconnection
     if (this.reconnectAttempts < this.maxReconnectAttempts) {
       this.reconnectAttempts++;
@@ -311,45 +474,88 @@ class WebSocketTransport extends EventEmitter {
       connected: this.connected,
       pendingRequests: this.pendingRequests.size,
       reconnectAttempts: this.reconnectAttempts,
-      url: this.url
+      url: this.url,
+      tenant: this.tenant,
+      authFailed: this.authFailed
     };
   }
 
   /**
-   * Normalize headers to lowercase keys as Express expects
+   * Push a chunk of a streamed request body into the request
+   * @private
+   */
+  _handleHttpRequestChunk(message) {
+    const active = this.activeRequests.get(message.id);
+    if (!active || !message.body) return;
+
+    const chunk = decodeBody(message.body, message.bodyEncoding);
+    active.unacked += chunk.length;
+    active.req.push(chunk);
+  }
+
+  /**
+   * Finish a streamed request body
+   * @private
+   */
+  _handleHttpRequestEnd(message) {
+    const active = this.activeRequests.get(message.id);
+    if (!active) return;
+
+    active.req.push(null);
+    active.req.complete = true;
+  }
+
+  /**
+   * Tell the relay how many body bytes were consumed so it can send
+   * more. Called whenever the request stream wants data.
+   * @private
+   */
+  _grantRequestCredit(id) {
+    const active = this.activeRequests.get(id);
+    if (!active || active.unacked === 0) return;
+
+    const bytes = active.unacked;
+    active.unacked = 0;
+    this._send({ id, type: 'http-request-credit', bytes });
+  }
+
+  /**
+   * Handle the HTTP client disconnecting mid-response, e.g. closing
+   * an event stream. Further writes are dropped.
+   * @private
+   */
+  _handleHttpRequestAbort(message) {
+    this._abortRequest(message.id);
+  }
+
+  /**
+   * Abort every request in flight, when their responses can no longer
+   * reach the relay
    * @private
    */
-  _normalizeHeaders(headers) {
-    const normalized = {};
-    for (const [key, value] of Object.entries(headers)) {
-      normalized[key.toLowerCase()] = value;
+  _abortActiveRequests() {
+    for (const id of Array.from(this.activeRequests.keys())) {
+      this._abortRequest(id);
     }
-    return normalized;
   }
 
   /**
-   * Calculate and set ETag header using Web Crypto API
+   * Tear down one exchange: the response is destroyed, so the app's
+   * further writes are dropped, and the request emits 'aborted'
    * @private
    */
-  async _calculateAndSetETag(res, body) {
-    // Convert body to UTF-8 bytes
-    const encoder = new TextEncoder();
-    const data = encoder.encode(body);
-    
-    // Calculate SHA1 hash using Web Crypto API
-    const hashBuffer = await crypto.subtle.digest('SHA-1', data);
-    
-    // Convert hash to hex string
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    
-    // Format ETag according to HTTP specification (enclosed in double quotes)
-    const etag = `"${hashHex}"`;
-    
-    // Set the ETag header
-    res.setHeader('ETag', etag);
-    
-    console.log('[WS Transport] Generated ETag:', etag);
+  _abortRequest(id) {
+    const active = this.activeRequests.get(id);
+    if (!active) return;
+
+    this.activeRequests.delete(id);
+
+    const { req, res, socket } = active;
+    socket.destroy();
+    res.destroy();
+    req.aborted = true;
+    req.emit('aborted');
+    req.emit('close');
   }
 
   /**
@@ -359,515 +565,169 @@ class WebSocketTransport extends EventEmitter {
   _handleHttpRequest(message) {
     const self = this;
     
-    console.log('[WS Transport] Handling HTTP request:', message.method, message.url, 'Body:', message.body);
+    console.log('[WS Transport] Handling HTTP request:', message.method, message.url);
     
-    // Create mock request object with event emitter functionality
-    const req = {
-      _events: {},
-      on(event, listener) {
-        if (!this._events[event]) this._events[event] = [];
-        this._events[event].push(listener);
-        return this;
-      },
-      emit(event, ...args) {
-        if (this._events[event]) {
-          this._events[event].forEach(listener => listener(...args));
-        }
-        return this;
-      },
-      removeListener(event, listener) {
-        if (this._events[event]) {
-          this._events[event] = this._events[event].filter(l => l !== listener);
-        }
-        return this;
-      },
-      // Express expects these stream methods
-      pipe() { return this; },
-      unpipe() { return this; },
-      resume() { return this; },
-      pause() { return this; },
-      id: message.id,
+    // The socket carries the response back to the relay as frames
+    const socket = new RelaySocket(this, message);
+    
+    // The request is a Readable carrying the body. Reading from it
+    // grants the relay credit to send more of a streamed body.
+    const { req, res } = createExchange(this, {
       method: message.method,
       url: message.url,
-      headers: this._normalizeHeaders(message.headers || {}),
-      body: message.body,
-      // Add required properties for Express
-      httpVersion: '1.1',
-      httpVersionMajor: 1,
-      httpVersionMinor: 1,
-      connection: {
-        remoteAddress: message.remoteAddress || '127.0.0.1'
-      },
-      params: {},
-      query: {},
-      // New request properties from Phase 1
-      protocol: message.protocol || 'http',
-      ip: message.ip || message.remoteAddress || '127.0.0.1',
-      ips: message.ips || [],
-      cookies: message.cookies || {},
-      get secure() {
-        return this.protocol === 'https';
-      },
-      // Store reference to Express app from transport
-      get app() {
-        return self._app || null;
-      },
-      res: null
-    };
-    // Handle body for POST/PUT requests
-    const nextTick = typeof process !== 'undefined' && process.nextTick 
-      ? process.nextTick 
-      : (fn) => setTimeout(fn, 0);
+      headers: message.headers,
+      httpVersion: message.httpVersion,
+      socket,
+      read() {
+        self._grantRequestCredit(message.id);
+      }
+    });
     
-    if (message.body) {
-      nextTick(() => {
-        // Emit body as string - the middleware will handle it
-        req.emit('data', message.body);
-        req.emit('end');
-      });
-    } else {
-      nextTick(() => {
-        req.emit('end');
-      });
-    }
+    // Cookies parsed by the relay
+    req.cookies = message.cookies || {};
     
-    // Create mock response object
-    const res = {
-      statusCode: 200,
-      statusMessage: 'OK',
-      headers: {},
-      _headers: {},
-      
-      setHeader(name, value) {
-        this.headers[name.toLowerCase()] = value;
-        this._headers[name] = value;
-      },
-      
-      getHeader(name) {
-        return this.headers[name.toLowerCase()];
-      },
-      
-      removeHeader(name) {
-        delete this.headers[name.toLowerCase()];
-        delete this._headers[name];
-      },
-      
-      writeHead(statusCode, statusMessage, headers) {
-        if (typeof statusMessage === 'object') {
-          headers = statusMessage;
-          statusMessage = undefined;
-        }
-        
-        this.statusCode = statusCode;
-        if (statusMessage) this.statusMessage = statusMessage;
-        
-        if (headers) {
-          for (const key in headers) {
-            this.setHeader(key, headers[key]);
-          }
-        }
-      },
-      
-      write(chunk, encoding) {
-        if (!this._body) this._body = [];
-        this._body.push(chunk);
-        return true;
-      },
-      
-      async end(chunk, encoding) {
-        if (chunk) this.write(chunk, encoding);
-        
-        // Combine body chunks
-        let body = '';
-        if (this._body) {
-          body = this._body.join('');
-        }
-        
-        // Get proper status message from statuses module if not set
-        if (!this.statusMessage || this.statusMessage === 'OK') {
-          const statuses = {
-            200: 'OK',
-            201: 'Created',
-            204: 'No Content',
-            400: 'Bad Request',
-            401: 'Unauthorized',
-            403: 'Forbidden',
-            404: 'Not Found',
-            500: 'Internal Server Error',
-            503: 'Service Unavailable'
-          };
-          this.statusMessage = statuses[this.statusCode] || 'Unknown';
-        }
-        
-        // Calculate ETag asynchronously if conditions are met
-        const shouldGenerateETag = (
-          body && // Is there a response body to hash?
-          this.statusCode === 200 && // Is status code 200 OK?
-          !this._headers['ETag'] && !this._headers['etag'] // ETag not already set?
-        );
-        
-        if (shouldGenerateETag) {
-          try {
-            await self._calculateAndSetETag(this, body);
-          } catch (err) {
-            console.warn('[WS Transport] ETag calculation failed:', err.message);
-            // Continue without ETag if calculation fails
-          }
-        }
-        
-        // Send response back through WebSocket
-        const response = {
-          id: req.id,
-          type: 'http-response',
-          statusCode: this.statusCode,
-          statusMessage: this.statusMessage,
-          headers: this._headers,  // Use original case headers
-          body: body
-        };
-        console.log('[WS Transport] Sending response:', response.type, 'ID:', response.id, 'Status:', response.statusCode, response.statusMessage);
-        console.log('[WS Transport] Headers being sent:', JSON.stringify(response.headers));
-        self._send(response);
-      },
-      
-      // Express-style methods
-      status(code) {
-        this.statusCode = code;
-        return this;
-      },
-      
-      set(field, value) {
-        if (typeof field === 'object') {
-          // Handle res.set({header: value})
-          for (const key in field) {
-            this.setHeader(key, field[key]);
-          }
-        } else {
-          // Handle res.set('header', 'value')
-          this.setHeader(field, value);
-        }
-        return this;
-      },
-      
-      append(field, value) {
-        const existing = this.getHeader(field);
-        if (existing) {
-          // Handle array of values
-          if (Array.isArray(existing)) {
-            this.setHeader(field, existing.concat(value));
-          } else if (Array.isArray(value)) {
-            this.setHeader(field, [existing].concat(value));
-          } else {
-            this.setHeader(field, [existing, value]);
-          }
-        } else {
-          this.setHeader(field, value);
-        }
-        return this;
-      },
-      
-      cookie(name, value, options) {
-        options = options || {};
-        let cookie = encodeURIComponent(name) + '=' + encodeURIComponent(value);
-        
-        if (options.maxAge != null) {
-          cookie += '; Max-Age=' + Math.floor(options.maxAge);
-        }
-        if (options.expires) {
-          cookie += '; Expires=' + options.expires.toUTCString();
-        }
-        if (options.path) {
-          cookie += '; Path=' + options.path;
-        }
-        if (options.domain) {
-          cookie += '; Domain=' + options.domain;
-        }
-        if (options.secure) {
-          cookie += '; Secure';
-        }
-        if (options.httpOnly) {
-          cookie += '; HttpOnly';
-        }
-        if (options.sameSite) {
-          cookie += '; SameSite=' + options.sameSite;
-        }
-        
-        this.append('Set-Cookie', cookie);
-        return this;
-      },
-      
-      clearCookie(name, options) {
-        options = Object.assign({}, options, {
-          expires: new Date(1),
-          path: '/'
-        });
-        return this.cookie(name, '', options);
-      },
-      
-      redirect(statusCodeOrUrl, url) {
-        let statusCode = 302;
-        
-        if (typeof statusCodeOrUrl === 'string') {
-          url = statusCodeOrUrl;
-        } else {
-          statusCode = statusCodeOrUrl;
-        }
-        
-        this.statusCode = statusCode;
-        this.setHeader('Location', url);
-        
-        // Set appropriate status message
-        const redirectStatuses = {
-          301: 'Moved Permanently',
-          302: 'Found',
-          303: 'See Other',
-          307: 'Temporary Redirect',
-          308: 'Permanent Redirect'
-        };
-        this.statusMessage = redirectStatuses[statusCode] || 'Redirect';
-        
-        this.end();
-        return this;
-      },
-      
-      json(obj) {
-        this.setHeader('Content-Type', 'application/json');
-        this.end(JSON.stringify(obj));
-      },
-      
-      send(body) {
-        if (typeof body === 'object' && body !== null) {
-          this.json(body);
-        } else {
-          if (!this.getHeader('Content-Type')) {
-            this.setHeader('Content-Type', 'text/html; charset=utf-8');
-          }
-          this.end(body);
-        }
-      },
-      
-      sendStatus(statusCode) {
-        this.statusCode = statusCode;
-        // Get proper status message
-        const statusMessages = {
-          200: 'OK',
-          201: 'Created',
-          204: 'No Content',
-          400: 'Bad Request',
-          401: 'Unauthorized',
-          403: 'Forbidden',
-          404: 'Not Found',
-          500: 'Internal Server Error',
-          503: 'Service Unavailable'
-        };
-        this.statusMessage = statusMessages[statusCode] || 'Unknown';
-        this.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        this.end(this.statusMessage);
-      },
-      
-      // Phase 2: State Management
-      locals: {},
-      
-      // Phase 2: File I/O Methods
-      sendFile(path, options, callback) {
-        const self = this;
-        
-        // Handle optional options
-        if (typeof options === 'function') {
-          callback = options;
-          options = {};
-        }
-        options = options || {};
-        
-        // Get fs module - try to require it
-        let fs;
-        try {
-          fs = require('fs');
-        } catch (e) {
-          // In browser, try to get from polyfills
-          if (typeof window !== 'undefined' && window.browseress && window.browseress.fs) {
-            fs = window.browseress.fs;
-          } else {
-            const err = new Error('File system not available');
-            if (callback) return callback(err);
-            self.status(500).send('File system not available');
-            return;
-          }
-        }
-        
-        // Handle the file read operation
-        const handleFileRead = (err, data) => {
-          if (err) {
-            console.log('[sendFile] Error:', err.message, 'Code:', err.code);
-            if (err.code === 'ENOENT') {
-              self.status(404).send('Not found');
-            } else {
-              self.status(500).send('Internal server error');
-            }
-            if (callback) callback(err);
-            return;
-          }
-          
-          // Get file extension once
-          const ext = path.split('.').pop().toLowerCase();
-          
-          // Convert data to string if it's binary
-          let fileContent = data;
-          let contentLength = 0;
-          
-          if (data instanceof Uint8Array) {
-            // For text files, decode to string
-            const textExtensions = ['html', 'css', 'js', 'json', 'txt', 'xml', 'svg', 'md'];
-            
-            if (textExtensions.includes(ext)) {
-              fileContent = new TextDecoder().decode(data);
-              contentLength = fileContent.length;
-            } else {
-              // For binary files, we'll need to handle differently
-              // For now, convert to base64
-              fileContent = btoa(String.fromCharCode(...data));
-              contentLength = fileContent.length;
-            }
-          } else if (typeof data === 'string') {
-            contentLength = data.length;
-          } else {
-            contentLength = data.length || data.byteLength || 0;
-          }
-          
-          // Determine content type
-          const contentTypes = {
-            'html': 'text/html',
-            'css': 'text/css',
-            'js': 'application/javascript',
-            'json': 'application/json',
-            'png': 'image/png',
-            'jpg': 'image/jpeg',
-            'jpeg': 'image/jpeg',
-            'gif': 'image/gif',
-            'svg': 'image/svg+xml',
-            'pdf': 'application/pdf',
-            'txt': 'text/plain',
-            'xml': 'application/xml',
-            'md': 'text/markdown'
-          };
-          
-          const contentType = options.headers?.['Content-Type'] || 
-                            contentTypes[ext] || 
-                            'application/octet-stream';
-          
-          // Set headers
-          self.setHeader('Content-Type', contentType);
-          self.setHeader('Content-Length', contentLength);
-          
-          // Set custom headers if provided
-          if (options.headers) {
-            for (const key in options.headers) {
-              if (key !== 'Content-Type') {
-                self.setHeader(key, options.headers[key]);
-              }
-            }
-          }
-          
-          // Send file
-          self.end(fileContent);
-          
-          if (callback) callback();
-        };
-        
-        // Read the file - handle both callback and promise-based APIs
-        const result = fs.readFile(path, handleFileRead);
-        
-        // If readFile returns a promise (no callback support), handle it
-        if (result && typeof result.then === 'function') {
-          result
-            .then(data => handleFileRead(null, data))
-            .catch(err => handleFileRead(err));
-        }
-      },
-      
-      download(path, filename, options, callback) {
-        // Handle optional parameters
-        if (typeof filename === 'function') {
-          callback = filename;
-          filename = path.split('/').pop();
-          options = {};
-        } else if (typeof options === 'function') {
-          callback = options;
-          options = {};
-        }
-        
-        if (typeof filename === 'object') {
-          options = filename;
-          filename = path.split('/').pop();
-        }
-        
-        // Set Content-Disposition header
-        this.attachment(filename);
-        
-        // Use sendFile to send the file
-        this.sendFile(path, options, callback);
-      },
-      
-      attachment(filename) {
-        if (filename) {
-          // Escape filename for header
-          const escapedFilename = filename.replace(/"/g, '\\"');
-          this.setHeader('Content-Disposition', `attachment; filename="${escapedFilename}"`);
-        } else {
-          this.setHeader('Content-Disposition', 'attachment');
-        }
-        return this;
-      },
-      
-      // Phase 3: View Rendering
-      render(view, options, callback) {
-        const self = this;
-        const app = this.req.app;  // Access req through this.req
-        let done = callback;
-        let opts = options || {};
-        
-        // Support callback function as second arg
-        if (typeof options === 'function') {
-          done = options;
-          opts = {};
-        }
-        
-        // Merge res.locals
-        opts._locals = self.locals;
-        
-        // Default callback to respond
-        done = done || function(err, str) {
-          if (err) {
-            console.error('[WS Transport] Render error:', err.message);
-            self.status(500).send('Internal Server Error');
-            return;
-          }
-          self.send(str);
-        };
-        
-        // Render using app.render
-        app.render(view, opts, done);
-      },
-      
-      // Store reference to request object
-      req: null
-    };
+    // A streamed body arrives in http-request-chunk frames; otherwise
+    // the whole body (if any) came with the request
+    if (!message.streamBody) {
+      if (message.body) {
+        req.push(decodeBody(message.body, message.bodyEncoding));
+      }
+      req.push(null);
+      req.complete = true;
+    }
     
-    // Set up circular references as Express expects
-    req.res = res;
-    res.req = req;
+    // Track the exchange for body frames and aborts from the relay
+    this.activeRequests.set(message.id, { req, res, socket, unacked: 0 });
     
     // Emit request event for Express to handle
     this.emit('request', req, res);
   }
 }
 
+/**
+ * Socket for one relayed request. The http-stub ServerResponse writes
+ * its head and body here, and they go to the relay as http-response
+ * frames: a single frame for a response sent at once, otherwise a head
+ * frame, chunk frames and an end frame.
+ * @private
+ */
+class RelaySocket extends EventEmitter {
+  constructor(transport, message) {
+    super();
+    
+    this.transport = transport;
+    this.id = message.id;
+    this.remoteAddress = message.remoteAddress || '127.0.0.1';
+    this.encrypted = message.protocol === 'https';
+    this.readable = true;
+    this.writable = true;
+    this.destroyed = false;
+  }
+  
+  writeHead(head) {
+    if (this.destroyed) return;
+    
+    this.transport._send({
+      id: this.id,
+      type: 'http-response-head',
+      statusCode: head.statusCode,
+      statusMessage: head.statusMessage,
+      headers: head.headers
+    });
+  }
+  
+  write(chunk) {
+    if (this.destroyed) return false;
+    
+    this.transport._send({
+      id: this.id,
+      type: 'http-response-chunk',
+      body: chunk.toString('base64'),
+      bodyEncoding: 'base64'
+    });
+    return true;
+  }
+  
+  end(chunk, head) {
+    if (this.destroyed) return;
+    this._finish();
+    
+    // Finish a streamed response
+    if (!head) {
+      const frame = { id: this.id, type: 'http-response-end' };
+      if (chunk) {
+        frame.body = chunk.toString('base64');
+        frame.bodyEncoding = 'base64';
+      }
+      this.transport._send(frame);
+      return;
+    }
+    
+    // Send response back through WebSocket
+    const response = {
+      id: this.id,
+      type: 'http-response',
+      statusCode: head.statusCode,
+      statusMessage: head.statusMessage,
+      headers: head.headers,
+      body: (chunk || Buffer.alloc(0)).toString('base64'),
+      bodyEncoding: 'base64'
+    };
+    console.log('[WS Transport] Sending response:', response.type, 'ID:', response.id, 'Status:', response.statusCode, response.statusMessage);
+    console.log('[WS Transport] Headers being sent:', JSON.stringify(response.headers));
+    this.transport._send(response);
+  }
+  
+  destroy() {
+    if (this.destroyed) return;
+    this._finish();
+    this.destroyed = true;
+    this.emit('close');
+  }
+  
+  _finish() {
+    this.writable = false;
+    this.transport.activeRequests.delete(this.id);
+  }
+}
+
+/**
+ * Decode a message body according to its bodyEncoding
+ * ('base64' or 'utf8', the default)
+ * @private
+ */
+function decodeBody(body, bodyEncoding) {
+  return Buffer.from(body, bodyEncoding === 'base64' ? 'base64' : 'utf8');
+}
+
+/**
+ * Compute a hex HMAC-SHA256 using the Web Crypto API
+ * @private
+ */
+async function hmacSha256Hex(secret, data) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
 /**
  * Factory function to create transport
  * @param {string} url - WebSocket URL
+ * @param {Object} [options] - Transport options
  * @returns {WebSocketTransport}
  */
-function createTransport(url) {
-  return new WebSocketTransport(url);
+function createTransport(url, options) {
+  return new WebSocketTransport(url, options);
 }
 
 // Export both class and factory
@@ -0,0 +1,150 @@
+/*!
+ * Browseress worker runtime
+ * Boots an Express app in a dedicated Web Worker, so handlers and the
+ * synchronous fs APIs never block the page
+ */
+
+'use strict';
+
+const { WorkerTransport, WorkerHost } = require('./transports/worker-transport');
+
+// Where this bundle was loaded from; the worker loads it again
+const BUNDLE_URL = typeof document !== 'undefined' && document.currentScript
+  ? document.currentScript.src
+  : null;
+
+/**
+ * Start an app in a Web Worker and connect it to a relay
+ *
+ * The app module runs inside the worker with `browseress` loaded. A
+ * classic script assigns its app to `self.app`; a module (`type:
+ * 'module'`) exports it as default or as `app`. The main thread keeps the
+ * WebSocket and forwards the relay's frames to the worker.
+ *
+ *   // app.js
+ *   const app = browseress.express();
+ *   app.get('/', (req, res) => res.send('hello from a worker'));
+ *   self.app = app;
+ *
+ *   // page
+ *   const host = await browseress.startInWorker('/app.js', { url: 'ws://localhost:8080' });
+ *
+ * @param {string} appModuleUrl - Script or module providing the app
+ * @param {Object} options
+ * @param {string} options.url - Relay WebSocket URL
+ * @param {string} [options.tenant] - Tenant name, see WebSocketTransport
+ * @param {Object} [options.credentials] - Relay credentials, see WebSocketTransport#connect
+ * @param {string} [options.type] - 'classic' (default) or 'module'
+ * @param {string} [options.name] - Worker name, shown in devtools
+ * @param {string} [options.bundleUrl] - URL of the browseress bundle, if it can't be detected
+ * @returns {Promise<WorkerHost>} Resolves once the app listens and the relay is connected
+ */
+function startInWorker(appModuleUrl, options) {
+  options = options || {};
+
+  return new Promise((resolve, reject) => {
+    if (typeof Worker === 'undefined') {
+      reject(new Error('Web Workers are not supported here'));
+      return;
+    }
+
+    if (!options.url) {
+      reject(new Error('options.url is required'));
+      return;
+    }
+
+    const bundleUrl = options.bundleUrl || BUNDLE_URL;
+    if (!bundleUrl) {
+      reject(new Error('Cannot tell where the browseress bundle was loaded from, pass options.bundleUrl'));
+      return;
+    }
+
+    const scriptUrl = URL.createObjectURL(new Blob([
+      `importScripts(${JSON.stringify(resolveUrl(bundleUrl))});\nbrowseress.bootWorker();\n`
+    ], { type: 'application/javascript' }));
+    const worker = new Worker(scriptUrl, { name: options.name });
+    const host = new WorkerHost(worker, options.url, options);
+
+    const onReady = () => {
+      host.removeListener('worker-error', onError);
+      URL.revokeObjectURL(scriptUrl);
+
+      host.connect().then(() => resolve(host), (error) => {
+        host.close();
+        reject(error);
+      });
+    };
+
+    const onError = (error) => {
+      host.removeListener('worker-ready', onReady);
+      URL.revokeObjectURL(scriptUrl);
+      host.close();
+      reject(error);
+    };
+
+    host.once('worker-ready', onReady);
+    host.once('worker-error', onError);
+
+    worker.postMessage({
+      browseress: 'boot',
+      app: resolveUrl(appModuleUrl),
+      type: options.type || 'classic'
+    });
+  });
+}
+
+/**
+ * Worker side of startInWorker(): wait for the boot message, load the
+ * app module and listen on a WorkerTransport
+ * @param {Object} [scope] - Worker global scope, `self` by default
+ */
+function bootWorker(scope) {
+  scope = scope || self;
+
+  const onBoot = (event) => {
+    const data = event.data;
+    if (!data || data.browseress !== 'boot') return;
+
+    scope.removeEventListener('message', onBoot);
+
+    loadApp(scope, data.app, data.type).then((app) => {
+      if (!app || typeof app.handle !== 'function') {
+        throw new Error(`${data.app} did not provide an app: assign it to self.app or export it`);
+      }
+
+      app.listen(new WorkerTransport({ scope }));
+    }).catch((error) => {
+      scope.postMessage({ browseress: 'error', message: error.message, stack: error.stack });
+    });
+  };
+
+  scope.addEventListener('message', onBoot);
+}
+
+/**
+ * Load the app module into the worker
+ * @private
+ */
+function loadApp(scope, url, type) {
+  if (type === 'module') {
+    return import(/* webpackIgnore: true */ url).then((mod) => mod.default || mod.app);
+  }
+
+  return new Promise((resolve) => {
+    scope.importScripts(url);
+    resolve(scope.app);
+  });
+}
+
+/**
+ * Resolve a URL against the page, since the worker runs from a blob: URL
+ * @private
+ */
+function resolveUrl(url) {
+  return typeof location !== 'undefined' ? new URL(url, location.href).href : url;
+}
+
+module.exports = {
+  startInWorker,
+  bootWorker
+};
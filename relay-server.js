@@ -7,136 +7,460 @@
 
 'use strict';
 
+const { Buffer } = require('buffer');
+const compressible = require('compressible');
+const crypto = require('crypto');
 const http = require('http');
+const Negotiator = require('negotiator');
+const vary = require('vary');
 const WebSocket = require('ws');
+const zlib = require('zlib');
 const { URL } = require('url');
 
 // Configuration
 const HTTP_PORT = process.env.HTTP_PORT || 8080;
 const WS_PORT = process.env.WS_PORT || 3001;
 
+// Tenants are selected by subdomain of this domain (alice.localhost)
+// or by path prefix (/t/alice/...)
+const TENANT_DOMAIN = process.env.TENANT_DOMAIN || 'localhost';
+const TENANT_PATH_PREFIX = '/t/';
+const DEFAULT_TENANT = 'default';
+
+// Authentication: comma-separated "tenant:token" pairs, each token good
+// for its own tenant only, and/or a master secret from which each tenant's
+// HMAC signing secret is derived. Neither set = no auth.
+const RELAY_KEYS = parseRelayKeys(process.env.RELAY_KEYS || '');
+const RELAY_SECRET = process.env.RELAY_SECRET || '';
+const AUTH_REQUIRED = RELAY_KEYS.size > 0 || RELAY_SECRET !== '';
+const AUTH_TIMEOUT = 5000;
+const AUTH_FAILED_CLOSE_CODE = 4401;
+
+// Bytes of request body sent to the browser before it must grant more credit
+const REQUEST_WINDOW = Number(process.env.REQUEST_WINDOW) || 64 * 1024;
+
+// Response compression: the encodings offered to HTTP clients, most
+// preferred first ("br,gzip,deflate"). Unset = bodies pass through as sent.
+const COMPRESSION = (process.env.COMPRESSION || '').split(',').map(e => e.trim())
+  .filter(e => ['br', 'gzip', 'deflate'].includes(e));
+const COMPRESSION_THRESHOLD = parseThreshold(process.env.COMPRESSION_THRESHOLD, 1024);
+const NO_TRANSFORM = /(?:^|,)\s*no-transform\s*(?:,|$)/i;
+
+// permessage-deflate on the WebSocket leg, for browsers that offer it
+const WS_DEFLATE = ['1', 'true'].includes(process.env.WS_DEFLATE);
+
 // Request tracking
 let requestId = 0;
 const pendingRequests = new Map();
 
-// WebSocket client tracking
-let browserClient = null;
+// WebSocket client tracking, keyed by tenant name
+const browserClients = new Map();
+
+/**
+ * Tenant names are case-insensitive, like the subdomains they are
+ * reached through, and are kept in lower case.
+ */
+function normalizeTenant(name) {
+  return name.toLowerCase();
+}
+
+/**
+ * Resolve the tenant a request is addressed to and the URL
+ * the tenant's app should see, or null when the tenant name in
+ * the path is not valid percent-encoding.
+ */
+function resolveTenant(req) {
+  // Path prefix takes precedence: /t/alice/users -> alice, /users
+  if (req.url.startsWith(TENANT_PATH_PREFIX)) {
+    const rest = req.url.slice(TENANT_PATH_PREFIX.length);
+    const match = /^([^/?#]+)(.*)$/.exec(rest);
+
+    if (match) {
+      let tenant;
+      try {
+        tenant = normalizeTenant(decodeURIComponent(match[1]));
+      } catch (err) {
+        return null;
+      }
+
+      let url = match[2];
+      if (!url.startsWith('/')) {
+        url = '/' + url;
+      }
+      return { tenant, url, basePath: TENANT_PATH_PREFIX + match[1] };
+    }
+  }
+
+  // Subdomain: alice.localhost:8080 -> alice
+  const hostname = (req.headers.host || '').replace(/:\d+$/, '').toLowerCase();
+  const suffix = '.' + TENANT_DOMAIN;
+  if (hostname.endsWith(suffix)) {
+    const label = hostname.slice(0, -suffix.length);
+    if (label && !label.includes('.')) {
+      return { tenant: label, url: req.url, basePath: '' };
+    }
+  }
+
+  return { tenant: DEFAULT_TENANT, url: req.url, basePath: '' };
+}
+
+/**
+ * Read the tenant name a browser client announced in the
+ * WebSocket handshake (ws://relay:3001/?tenant=alice).
+ */
+function tenantFromHandshake(req) {
+  const query = new URL(req.url, 'ws://localhost').searchParams;
+  return normalizeTenant(query.get('tenant') || DEFAULT_TENANT);
+}
+
+/**
+ * Look up a header in a browser response head, whatever its case.
+ */
+function getHeader(headers, name) {
+  const key = Object.keys(headers || {}).find(key => key.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
+/**
+ * Pick the encoding to compress a browser response with for the HTTP
+ * client, or null to relay it as is. `length` is the body size when the
+ * whole body is known; streamed bodies go by their Content-Length.
+ */
+function responseEncoding(pending, message, length) {
+  const headers = message.headers || {};
+  const statusCode = message.statusCode || 200;
+  const encoding = getHeader(headers, 'content-encoding');
+  const size = length !== undefined ? length : Number(getHeader(headers, 'content-length'));
+  
+  if (COMPRESSION.length === 0 || pending.request.method === 'HEAD' ||
+      statusCode < 200 || statusCode === 204 || statusCode === 304) {
+    return null;
+  }
+  
+  if ((encoding && encoding !== 'identity') ||
+      !isCompressible(getHeader(headers, 'content-type')) ||
+      NO_TRANSFORM.test(getHeader(headers, 'cache-control') || '') ||
+      size < COMPRESSION_THRESHOLD) {
+    return null;
+  }
+  
+  // equally acceptable encodings are taken in the order configured
+  const method = new Negotiator(pending.request)
+    .encoding(COMPRESSION.concat('identity'), { preferred: COMPRESSION });
+  
+  return method && method !== 'identity' ? method : null;
+}
+
+/**
+ * Whether a Content-Type is worth compressing; images, archives and
+ * other already-compressed types are not
+ */
+function isCompressible(type) {
+  return Boolean(type) && compressible(type) === true;
+}
+
+/**
+ * Compare two strings without leaking where they differ.
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Parse RELAY_KEYS ("alice:key-one,bob:key-two") into a map of
+ * tenant name to the tokens it may connect with.
+ */
+function parseRelayKeys(value) {
+  const keys = new Map();
+
+  for (const entry of value.split(',').map(k => k.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      console.warn('[AUTH] Ignoring a RELAY_KEYS entry that is not <tenant>:<token>');
+      continue;
+    }
+
+    const tenant = normalizeTenant(entry.slice(0, separator));
+    if (!keys.has(tenant)) {
+      keys.set(tenant, []);
+    }
+    keys.get(tenant).push(entry.slice(separator + 1));
+  }
+
+  return keys;
+}
+
+/**
+ * Parse COMPRESSION_THRESHOLD, a size in bytes. Anything else would
+ * compare false against every length and compress every body.
+ */
+function parseThreshold(value, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const threshold = value.trim() === '' ? NaN : Number(value);
+  if (!Number.isFinite(threshold) || threshold < 0) {
+    console.warn(`[COMPRESSION] Ignoring COMPRESSION_THRESHOLD=${value}, not a size in bytes; using ${fallback}`);
+    return fallback;
+  }
+
+  return threshold;
+}
+
+/**
+ * Check a token against the keys configured for the tenant.
+ */
+function isValidToken(tenant, token) {
+  const keys = RELAY_KEYS.get(tenant) || [];
+  return typeof token === 'string' && keys.some(key => safeEqual(key, token));
+}
+
+/**
+ * The secret a tenant signs its handshake with: HMAC-SHA256 of the
+ * tenant name under RELAY_SECRET, so it can't sign for other tenants.
+ */
+function tenantSecret(tenant) {
+  return crypto.createHmac('sha256', RELAY_SECRET).update(tenant).digest('hex');
+}
+
+/**
+ * Check an HMAC-signed auth message. The browser signs
+ * "<tenant>:<nonce>" with HMAC-SHA256 using its tenant secret, where
+ * the nonce is the one this connection's welcome frame carried.
+ */
+function isValidSignature(tenant, nonce, message) {
+  if (!RELAY_SECRET || typeof message.signature !== 'string') {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', tenantSecret(tenant))
+    .update(`${tenant}:${nonce}`)
+    .digest('hex');
+
+  return safeEqual(expected, message.signature);
+}
 
 // Create HTTP server to receive public requests
 const httpServer = http.createServer((req, res) => {
   // Don't handle OPTIONS here - let the browser app handle it
   // This allows the app to set proper Allow headers
 
+  const target = resolveTenant(req);
+  if (!target) {
+    console.error(`[HTTP] Malformed tenant in ${req.url}`);
+    res.writeHead(400, { 
+      'Content-Type': 'text/plain',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end('Bad Request: malformed tenant name\n');
+    return;
+  }
+  
   // Generate unique ID for this request
   const id = ++requestId;
+  const { tenant, url, basePath } = target;
   
-  console.log(`[HTTP] ${req.method} ${req.url} (ID: ${id})`);
+  console.log(`[HTTP] ${req.method} ${req.url} -> ${tenant} (ID: ${id})`);
   
-  // Check if browser client is connected
+  // Check if the tenant's browser client is connected
+  const browserClient = browserClients.get(tenant);
   if (!browserClient || browserClient.readyState !== WebSocket.OPEN) {
-    console.error('[HTTP] No browser client connected');
+    console.error(`[HTTP] No browser client connected for tenant: ${tenant}`);
     res.writeHead(503, { 
       'Content-Type': 'text/plain',
       'Access-Control-Allow-Origin': '*'
     });
-    res.end('Service Unavailable: Browser Express app not connected\n');
+    res.end(tenant === DEFAULT_TENANT
+      ? 'Service Unavailable: Browser Express app not connected\n'
+      : `Service Unavailable: Browser Express app not connected for tenant "${tenant}"\n`);
     return;
   }
   
   // Store response object for later
-  pendingRequests.set(id, {
+  const pending = {
     res,
+    client: browserClient,
+    request: req,
+    credit: REQUEST_WINDOW,
     timestamp: Date.now()
-  });
+  };
+  pendingRequests.set(id, pending);
   
-  // Collect request body
-  const chunks = [];
-  req.on('data', chunk => chunks.push(chunk));
+  // Parse additional request context
+  const protocol = req.headers['x-forwarded-proto'] || 
+                  (req.connection.encrypted ? 'https' : 'http');
   
-  req.on('end', () => {
-    const body = Buffer.concat(chunks).toString();
-    
-    // Parse additional request context
-    const protocol = req.headers['x-forwarded-proto'] || 
-                    (req.connection.encrypted ? 'https' : 'http');
-    
-    const ip = req.headers['x-forwarded-for'] || 
-               req.connection.remoteAddress || 
-               req.socket.remoteAddress;
-    
-    const ips = req.headers['x-forwarded-for'] 
-      ? req.headers['x-forwarded-for'].split(',').map(ip => ip.trim())
-      : [];
-    
-    // Parse cookies from Cookie header
-    const cookieHeader = req.headers.cookie || '';
-    const cookies = {};
-    if (cookieHeader) {
-      cookieHeader.split(';').forEach(cookie => {
-        const parts = cookie.trim().split('=');
-        if (parts.length === 2) {
-          cookies[parts[0]] = decodeURIComponent(parts[1]);
-        }
-      });
+  const ip = req.headers['x-forwarded-for'] || 
+             req.connection.remoteAddress || 
+             req.socket.remoteAddress;
+  
+  const ips = req.headers['x-forwarded-for'] 
+    ? req.headers['x-forwarded-for'].split(',').map(ip => ip.trim())
+    : [];
+  
+  // Parse cookies from Cookie header
+  const cookieHeader = req.headers.cookie || '';
+  const cookies = {};
+  if (cookieHeader) {
+    cookieHeader.split(';').forEach(cookie => {
+      const parts = cookie.trim().split('=');
+      if (parts.length === 2) {
+        cookies[parts[0]] = decodeURIComponent(parts[1]);
+      }
+    });
+  }
+  
+  // Bodies are forwarded chunk by chunk after the request head
+  const hasBody = req.headers['transfer-encoding'] !== undefined ||
+                  Number(req.headers['content-length']) > 0;
+  
+  // Serialize request for browser
+  const message = {
+    id,
+    type: 'http-request',
+    method: req.method,
+    url,
+    headers: req.headers,
+    tenant,
+    basePath,
+    httpVersion: req.httpVersion,
+    remoteAddress: req.socket.remoteAddress,
+    protocol,
+    ip,
+    ips,
+    cookies,
+    streamBody: hasBody
+  };
+  
+  // Send to browser client
+  try {
+    console.log('[HTTP->WS] Sending request to browser:', message.method, message.url);
+    if (Object.keys(cookies).length > 0) {
+      console.log('[HTTP->WS] Cookies:', cookies);
+    }
+    browserClient.send(JSON.stringify(message));
+  } catch (err) {
+    console.error('[HTTP] Failed to send to browser:', err.message);
+    res.writeHead(500, { 
+      'Content-Type': 'text/plain',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.end('Internal Server Error\n');
+    pendingRequests.delete(id);
+    return;
+  }
+  
+  if (!hasBody) {
+    req.resume();
+  }
+  
+  // Forward body chunks while the browser has credit, pausing
+  // the upstream socket when the window is used up
+  req.on('data', (chunk) => {
+    if (!pendingRequests.has(id) || browserClient.readyState !== WebSocket.OPEN) {
+      return;
     }
     
-    // Serialize request for browser
-    const message = {
+    // Bodies travel base64-encoded so binary uploads survive the JSON frame
+    browserClient.send(JSON.stringify({
       id,
-      type: 'http-request',
-      method: req.method,
-      url: req.url,
-      headers: req.headers,
-      httpVersion: req.httpVersion,
-      remoteAddress: req.socket.remoteAddress,
-      protocol,
-      ip,
-      ips,
-      cookies,
-      body
-    };
+      type: 'http-request-chunk',
+      body: chunk.toString('base64'),
+      bodyEncoding: 'base64'
+    }));
     
-    // Send to browser client
-    try {
-      console.log('[HTTP->WS] Sending request to browser:', message.method, message.url);
-      if (Object.keys(cookies).length > 0) {
-        console.log('[HTTP->WS] Cookies:', cookies);
-      }
-      browserClient.send(JSON.stringify(message));
-    } catch (err) {
-      console.error('[HTTP] Failed to send to browser:', err.message);
-      res.writeHead(500, { 
-        'Content-Type': 'text/plain',
-        'Access-Control-Allow-Origin': '*'
-      });
-      res.end('Internal Server Error\n');
-      pendingRequests.delete(id);
+    pending.credit -= chunk.length;
+    if (pending.credit <= 0) {
+      req.pause();
     }
   });
   
+  req.on('end', () => {
+    if (hasBody && pendingRequests.has(id) && browserClient.readyState === WebSocket.OPEN) {
+      browserClient.send(JSON.stringify({ id, type: 'http-request-end' }));
+    }
+  });
+  
+
   // Handle client disconnect
   res.on('close', () => {
     if (pendingRequests.has(id)) {
       console.log(`[HTTP] Client disconnected (ID: ${id})`);
       pendingRequests.delete(id);
+      
+      // Let the app stop producing data, e.g. an event stream
+      if (browserClient.readyState === WebSocket.OPEN) {
+        browserClient.send(JSON.stringify({ id, type: 'http-request-abort' }));
+      }
     }
   });
 });
 
 // Create WebSocket server for browser connection
-const wsServer = new WebSocket.Server({ port: WS_PORT });
+const wsServer = new WebSocket.Server({ port: WS_PORT, perMessageDeflate: WS_DEFLATE });
 
 wsServer.on('connection', (ws, req) => {
   const clientIp = req.socket.remoteAddress;
-  console.log(`[WS] Browser client connected from ${clientIp}`);
+  const tenant = tenantFromHandshake(req);
+  const token = new URL(req.url, 'ws://localhost').searchParams.get('token');
+  // Signed into the auth message, so a captured one can't be replayed
+  const nonce = AUTH_REQUIRED ? crypto.randomBytes(16).toString('hex') : undefined;
+  let authenticated = !AUTH_REQUIRED || isValidToken(tenant, token);
+  let authTimer = null;
+  console.log(`[WS] Browser client connected from ${clientIp} (tenant: ${tenant})`);
   
-  // Only allow one browser client
-  if (browserClient && browserClient.readyState === WebSocket.OPEN) {
-    console.log('[WS] Closing existing browser connection');
-    browserClient.close();
+  // Register the client once it may serve traffic
+  function accept() {
+    // Only allow one browser client per tenant
+    const existing = browserClients.get(tenant);
+    if (existing && existing.readyState === WebSocket.OPEN) {
+      console.log(`[WS] Closing existing browser connection for tenant: ${tenant}`);
+      existing.close();
+    }
+    
+    browserClients.set(tenant, ws);
   }
   
-  browserClient = ws;
+  // Greet the client, with the nonce to sign if it must still authenticate
+  function welcome() {
+    ws.send(JSON.stringify({
+      type: 'welcome',
+      message: 'Connected to Browseress Relay Server',
+      httpPort: HTTP_PORT,
+      tenant,
+      authenticated,
+      nonce: authenticated ? undefined : nonce
+    }));
+  }
+  
+  function reject(reason) {
+    console.error(`[WS] Authentication failed for ${clientIp} (tenant: ${tenant}): ${reason}`);
+    clearTimeout(authTimer);
+    ws.send(JSON.stringify({ type: 'auth-failed', reason }));
+    ws.close(AUTH_FAILED_CLOSE_CODE, 'Authentication failed');
+  }
+  
+  // Handle the auth handshake, the first message from an unauthenticated client
+  function authenticate(message) {
+    if (message.type !== 'auth') {
+      reject('Authentication required');
+      return;
+    }
+    
+    if (!isValidToken(tenant, message.token) && !isValidSignature(tenant, nonce, message)) {
+      reject('Invalid credentials');
+      return;
+    }
+    
+    clearTimeout(authTimer);
+    authenticated = true;
+    console.log(`[WS] Browser client authenticated (tenant: ${tenant})`);
+    accept();
+    ws.send(JSON.stringify({ type: 'authenticated', tenant }));
+  }
   
   // Handle messages from browser
   ws.on('message', (data) => {
@@ -144,8 +468,18 @@ wsServer.on('connection', (ws, req) => {
       const message = JSON.parse(data.toString());
       console.log('[WS] Received message:', message.type, message.id ? `(ID: ${message.id})` : '');
       
-      if (message.type === 'http-response' && message.id) {
-        handleHttpResponse(message);
+      if (!authenticated) {
+        authenticate(message);
+      } else if (message.type === 'http-response' && message.id) {
+        handleHttpResponse(ws, message);
+      } else if (message.type === 'http-response-head' && message.id) {
+        handleHttpResponseHead(ws, message);
+      } else if (message.type === 'http-response-chunk' && message.id) {
+        handleHttpResponseChunk(ws, message);
+      } else if (message.type === 'http-response-end' && message.id) {
+        handleHttpResponseEnd(ws, message);
+      } else if (message.type === 'http-request-credit' && message.id) {
+        handleHttpRequestCredit(ws, message);
       } else if (message.type === 'ping') {
         console.log('[WS] Received ping');
       } else {
@@ -153,87 +487,263 @@ wsServer.on('connection', (ws, req) => {
       }
     } catch (err) {
       console.error('[WS] Failed to parse message:', err.message, 'Data:', data.toString());
+      if (!authenticated) {
+        reject('Authentication required');
+      }
     }
   });
   
   ws.on('close', () => {
-    console.log('[WS] Browser client disconnected');
-    if (browserClient === ws) {
-      browserClient = null;
+    clearTimeout(authTimer);
+    console.log(`[WS] Browser client disconnected (tenant: ${tenant})`);
+    if (browserClients.get(tenant) === ws) {
+      browserClients.delete(tenant);
     }
+    abandonRequests(ws);
   });
   
   ws.on('error', (err) => {
     console.error('[WS] Browser client error:', err.message);
   });
   
-  // Send welcome message
-  ws.send(JSON.stringify({
-    type: 'welcome',
-    message: 'Connected to Browseress Relay Server',
-    httpPort: HTTP_PORT
-  }));
+  if (authenticated) {
+    accept();
+    welcome();
+  } else if (token !== null) {
+    // A wrong token won't get any better by waiting
+    reject('Invalid credentials');
+  } else {
+    welcome();
+    authTimer = setTimeout(() => reject('Authentication timeout'), AUTH_TIMEOUT);
+  }
 });
 
-// Handle HTTP response from browser
-function handleHttpResponse(message) {
+/**
+ * Decode a message body according to its bodyEncoding
+ * ('base64' or 'utf8', the default).
+ */
+function decodeBody(message) {
+  return message.bodyEncoding === 'base64'
+    ? Buffer.from(message.body, 'base64')
+    : Buffer.from(message.body, 'utf8');
+}
+
+/**
+ * Look up the pending request a browser message refers to.
+ * A tenant may only answer requests that were dispatched to it.
+ */
+function getPending(ws, message) {
   const pending = pendingRequests.get(message.id);
   
   if (!pending) {
     console.error(`[WS] No pending request for ID: ${message.id}`);
-    return;
+    return null;
   }
   
+  if (pending.client !== ws) {
+    console.error(`[WS] Response for ID ${message.id} came from the wrong tenant`);
+    return null;
+  }
+  
+  return pending;
+}
+
+/**
+ * Compression stream for a response body. Every write is flushed through,
+ * so streamed responses such as Server-Sent Events arrive promptly.
+ */
+function createCompressor(encoding) {
+  switch (encoding) {
+    case 'br':
+      // quality 4: the default of 11 is too slow for responses made on the fly
+      return zlib.createBrotliCompress({
+        flush: zlib.constants.BROTLI_OPERATION_FLUSH,
+        params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 }
+      });
+    case 'gzip':
+      return zlib.createGzip({ flush: zlib.constants.Z_SYNC_FLUSH });
+    default:
+      return zlib.createDeflate({ flush: zlib.constants.Z_SYNC_FLUSH });
+  }
+}
+
+/**
+ * Write status line and headers for a browser response, adjusted
+ * for the body being compressed with `encoding` if given
+ */
+function writeResponseHead(res, message, encoding) {
+  // Create headers object preserving arrays (for Set-Cookie etc)
+  const headers = {};
+  for (const [key, value] of Object.entries(message.headers || {})) {
+    // Node.js expects 'set-cookie' (lowercase) for multiple cookies
+    if (key.toLowerCase() === 'set-cookie' && Array.isArray(value)) {
+      headers['set-cookie'] = value;
+      console.log('[WS] Setting multiple Set-Cookie headers:', value);
+    } else if (encoding && key.toLowerCase() === 'content-length') {
+      // The compressed length isn't known until the body is
+      continue;
+    } else {
+      headers[key] = value;
+    }
+  }
+  
+  // Caches must keep each encoding of a compressible body apart
+  if (COMPRESSION.length > 0 && isCompressible(getHeader(headers, 'content-type'))) {
+    const varyKey = Object.keys(headers).find(key => key.toLowerCase() === 'vary') || 'Vary';
+    headers[varyKey] = vary.append(String(headers[varyKey] || ''), 'Accept-Encoding');
+  }
+  
+  if (encoding) {
+    headers['Content-Encoding'] = encoding;
+  }
+  
+  // Add CORS headers
+  headers['Access-Control-Allow-Origin'] = '*';
+  headers['Access-Control-Allow-Methods'] = 'GET, POST, PUT, DELETE, OPTIONS, PATCH';
+  
+  console.log('[WS] Final headers object:', JSON.stringify(headers, null, 2));
+  
+  // Set status and headers
+  res.writeHead(
+    message.statusCode || 200,
+    message.statusMessage || 'OK',
+    headers
+  );
+}
+
+// Handle HTTP response from browser
+function handleHttpResponse(ws, message) {
+  const pending = getPending(ws, message);
+  if (!pending) return;
+  
   const { res } = pending;
   pendingRequests.delete(message.id);
   
+  // Drain any request body the app did not read
+  pending.request.resume();
+  
   console.log(`[WS] Received response for ID: ${message.id} (${message.statusCode})`);
   
   // Write response
   try {
-    // Create headers object preserving arrays (for Set-Cookie etc)
-    const headers = {};
-    for (const [key, value] of Object.entries(message.headers || {})) {
-      // Node.js expects 'set-cookie' (lowercase) for multiple cookies
-      if (key.toLowerCase() === 'set-cookie' && Array.isArray(value)) {
-        headers['set-cookie'] = value;
-        console.log('[WS] Setting multiple Set-Cookie headers:', value);
-      } else {
-        headers[key] = value;
-      }
-    }
-    
-    // Add CORS headers
-    headers['Access-Control-Allow-Origin'] = '*';
-    headers['Access-Control-Allow-Methods'] = 'GET, POST, PUT, DELETE, OPTIONS, PATCH';
+    const body = message.body ? decodeBody(message) : Buffer.alloc(0);
+    const encoding = responseEncoding(pending, message, body.length);
     
-    console.log('[WS] Final headers object:', JSON.stringify(headers, null, 2));
-    
-    // Set status and headers
-    res.writeHead(
-      message.statusCode || 200,
-      message.statusMessage || 'OK',
-      headers
-    );
+    writeResponseHead(res, message, encoding);
     
     // Write body and end response
-    if (message.body) {
-      res.end(message.body);
+    if (encoding) {
+      const compressor = createCompressor(encoding);
+      compressor.pipe(res);
+      compressor.end(body);
     } else {
-      res.end();
+      res.end(body);
     }
   } catch (err) {
     console.error(`[WS] Failed to send response for ID ${message.id}:`, err.message);
   }
 }
 
+// Handle the head frame of a streamed response
+function handleHttpResponseHead(ws, message) {
+  const pending = getPending(ws, message);
+  if (!pending) return;
+  
+  console.log(`[WS] Streaming response for ID: ${message.id} (${message.statusCode})`);
+  
+  try {
+    const encoding = responseEncoding(pending, message);
+    
+    writeResponseHead(pending.res, message, encoding);
+    pending.res.flushHeaders();
+    
+    // Later frames go through the compressor, which writes to the client
+    if (encoding) {
+      pending.compressor = createCompressor(encoding);
+      pending.compressor.pipe(pending.res);
+    }
+    
+    // Streams may stay open indefinitely (Server-Sent Events)
+    pending.streaming = true;
+  } catch (err) {
+    console.error(`[WS] Failed to send response head for ID ${message.id}:`, err.message);
+  }
+}
+
+// Handle a data frame of a streamed response
+function handleHttpResponseChunk(ws, message) {
+  const pending = getPending(ws, message);
+  if (!pending || !pending.streaming) return;
+  
+  if (message.body) {
+    (pending.compressor || pending.res).write(decodeBody(message));
+  }
+}
+
+// Handle the end frame of a streamed response
+function handleHttpResponseEnd(ws, message) {
+  const pending = getPending(ws, message);
+  if (!pending || !pending.streaming) return;
+  
+  pendingRequests.delete(message.id);
+  pending.request.resume();
+  
+  console.log(`[WS] Finished streamed response for ID: ${message.id}`);
+  
+  const body = pending.compressor || pending.res;
+  if (message.body) {
+    body.end(decodeBody(message));
+  } else {
+    body.end();
+  }
+}
+
+// End the requests a browser client was answering when its connection
+// drops: 502 if nothing was sent yet, otherwise cut the response short
+// so the HTTP client sees it incomplete
+function abandonRequests(ws) {
+  for (const [id, pending] of pendingRequests) {
+    if (pending.client !== ws) continue;
+    
+    pendingRequests.delete(id);
+    pending.request.resume();
+    
+    if (pending.res.headersSent) {
+      console.log(`[HTTP] Browser disconnected mid-response (ID: ${id})`);
+      if (pending.compressor) {
+        pending.compressor.destroy();
+      }
+      pending.res.destroy();
+    } else {
+      console.log(`[HTTP] Browser disconnected before responding (ID: ${id})`);
+      pending.res.writeHead(502, { 
+        'Content-Type': 'text/plain',
+        'Access-Control-Allow-Origin': '*'
+      });
+      pending.res.end('Bad Gateway: Browser Express app disconnected\n');
+    }
+  }
+}
+
+// Handle the browser consuming request body data
+function handleHttpRequestCredit(ws, message) {
+  const pending = getPending(ws, message);
+  if (!pending) return;
+  
+  pending.credit += Number(message.bytes) || 0;
+  if (pending.credit > 0 && pending.request.isPaused()) {
+    pending.request.resume();
+  }
+}
+
 // Clean up old pending requests periodically
 setInterval(() => {
   const now = Date.now();
   const timeout = 60000; // 60 seconds
   
   for (const [id, pending] of pendingRequests) {
-    if (now - pending.timestamp > timeout) {
+    // Streamed responses already started; they end when the browser says so
+    if (!pending.streaming && now - pending.timestamp > timeout) {
       console.log(`[CLEANUP] Removing timed out request ID: ${id}`);
       pending.res.writeHead(504, { 
         'Content-Type': 'text/plain',
@@ -255,6 +765,12 @@ httpServer.listen(HTTP_PORT, () => {
 HTTP Server listening on: http://localhost:${HTTP_PORT}
 WebSocket Server listening on: ws://localhost:${WS_PORT}
 
+Authentication: ${AUTH_REQUIRED ? 'required' : 'disabled (set RELAY_KEYS=<tenant>:<token>,... or RELAY_SECRET)'}
+
+Tenants connect with ws://localhost:${WS_PORT}/?tenant=<name> and are
+reachable at http://<name>.${TENANT_DOMAIN}:${HTTP_PORT}/ or
+http://localhost:${HTTP_PORT}${TENANT_PATH_PREFIX}<name>/
+
 Waiting for browser Express app to connect...
   `);
 });
@@ -271,9 +787,9 @@ process.on('SIGINT', () => {
     console.log('WebSocket server closed');
   });
   
-  // Close browser connection
-  if (browserClient) {
-    browserClient.close();
+  // Close browser connections
+  for (const client of browserClients.values()) {
+    client.close();
   }
   
   process.exit(0);
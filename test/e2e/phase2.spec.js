@@ -64,7 +64,7 @@ test.describe('Phase 2: State Management & File I/O', () => {
       const response = await request.get('http://localhost:8080/files/test.txt');
       
       expect(response.ok()).toBeTruthy();
-      expect(response.headers()['content-type']).toBe('text/plain');
+      expect(response.headers()['content-type']).toBe('text/plain; charset=utf-8');
       
       const text = await response.text();
       expect(text).toContain('Hello from OPFS!');
@@ -75,7 +75,7 @@ test.describe('Phase 2: State Management & File I/O', () => {
       const response = await request.get('http://localhost:8080/files/data.json');
       
       expect(response.ok()).toBeTruthy();
-      expect(response.headers()['content-type']).toBe('application/json');
+      expect(response.headers()['content-type']).toBe('application/json; charset=utf-8');
       
       const data = await response.json();
       expect(data.message).toBe('This is JSON data');
@@ -86,7 +86,7 @@ test.describe('Phase 2: State Management & File I/O', () => {
       const response = await request.get('http://localhost:8080/files/index.html');
       
       expect(response.ok()).toBeTruthy();
-      expect(response.headers()['content-type']).toBe('text/html');
+      expect(response.headers()['content-type']).toBe('text/html; charset=utf-8');
       
       const html = await response.text();
       expect(html).toContain('<h1>Hello from OPFS!</h1>');
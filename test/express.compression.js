@@ -0,0 +1,145 @@
+'use strict'
+
+var assert = require('node:assert')
+var { Buffer } = require('node:buffer')
+var Module = require('node:module')
+var path = require('node:path')
+var zlib = require('node:zlib')
+
+var express = require('..')
+var LoopbackTransport = express.LoopbackTransport
+
+var BIG = new Array(200).join('hello, world ')
+var ZLIB_STUB = path.resolve(__dirname, '../lib/polyfills/zlib-stub.js')
+
+describe('compression middleware on the polyfilled zlib', function () {
+  var compression
+
+  before(function () {
+    compression = requireWithBrowserZlib('compression')
+  })
+
+  it('should gzip bodies over the threshold', function () {
+    return fetch(createApp(BIG), '/', 'gzip').then(function (res) {
+      assert.strictEqual(res.headers.get('content-encoding'), 'gzip')
+      assert.strictEqual(res.headers.get('vary'), 'Accept-Encoding')
+      assert.strictEqual(res.headers.get('content-length'), null)
+      return res.arrayBuffer()
+    }).then(function (body) {
+      assert.strictEqual(zlib.gunzipSync(Buffer.from(body)).toString(), BIG)
+    })
+  })
+
+  it('should deflate when asked to', function () {
+    return fetch(createApp(BIG), '/', 'deflate').then(function (res) {
+      assert.strictEqual(res.headers.get('content-encoding'), 'deflate')
+      return res.arrayBuffer()
+    }).then(function (body) {
+      assert.strictEqual(zlib.inflateSync(Buffer.from(body)).toString(), BIG)
+    })
+  })
+
+  it('should not offer brotli, which the polyfill only decodes', function () {
+    return fetch(createApp(BIG), '/', 'br, gzip').then(function (res) {
+      assert.strictEqual(res.headers.get('content-encoding'), 'gzip')
+    })
+  })
+
+  it('should skip bodies under the threshold', function () {
+    return fetch(createApp('tiny'), '/', 'gzip').then(function (res) {
+      assert.strictEqual(res.headers.get('content-encoding'), null)
+      assert.strictEqual(res.headers.get('vary'), 'Accept-Encoding')
+      return res.text()
+    }).then(function (text) {
+      assert.strictEqual(text, 'tiny')
+    })
+  })
+
+  it('should compress streamed writes and flush them', function () {
+    var app = express()
+    var response
+
+    app.use(compression())
+    app.get('/', function (req, res) {
+      res.type('text/event-stream')
+      res.write('data: one\n\n')
+      res.flush()
+      response = res
+    })
+
+    return fetch(app, '/', 'gzip').then(function (res) {
+      var reader = res.body.getReader()
+      var chunks = []
+
+      assert.strictEqual(res.headers.get('content-encoding'), 'gzip')
+
+      function read () {
+        return reader.read().then(function (result) {
+          if (result.done) return Buffer.concat(chunks)
+          chunks.push(Buffer.from(result.value))
+          return read()
+        })
+      }
+
+      // The first event decodes before the response ends
+      function readEvent () {
+        return reader.read().then(function (result) {
+          chunks.push(Buffer.from(result.value))
+
+          var partial = zlib.gunzipSync(Buffer.concat(chunks), { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+          return partial.length ? partial.toString() : readEvent()
+        })
+      }
+
+      return readEvent().then(function (event) {
+        assert.strictEqual(event, 'data: one\n\n')
+        response.end('data: two\n\n')
+        return read()
+      })
+    }).then(function (body) {
+      assert.strictEqual(zlib.gunzipSync(body).toString(), 'data: one\n\ndata: two\n\n')
+    })
+  })
+
+  function createApp (body) {
+    var app = express()
+
+    app.use(compression())
+    app.get('/', function (req, res) {
+      res.type('text').send(body)
+    })
+
+    return app
+  }
+})
+
+function fetch (app, url, encoding) {
+  var transport = new LoopbackTransport()
+
+  app.listen(transport)
+
+  return transport.fetch(url, { headers: { 'Accept-Encoding': encoding } })
+}
+
+// Load a package with `zlib` resolved to the polyfill, as the browser
+// build resolves it
+function requireWithBrowserZlib (id) {
+  var dir = path.dirname(require.resolve(id + '/package.json'))
+  var resolveFilename = Module._resolveFilename
+
+  Module._resolveFilename = function (request, parent) {
+    if (request === 'zlib' && parent && parent.filename.startsWith(dir)) {
+      return ZLIB_STUB
+    }
+    return resolveFilename.apply(this, arguments)
+  }
+
+  delete require.cache[require.resolve(id)]
+
+  try {
+    return require(id)
+  } finally {
+    Module._resolveFilename = resolveFilename
+    delete require.cache[require.resolve(id)]
+  }
+}
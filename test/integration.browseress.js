@@ -66,7 +66,7 @@ describe('Browseress Integration', function() {
           var res = pendingRequests.get(msg.id)
           pendingRequests.delete(msg.id)
           res.writeHead(msg.statusCode || 200, msg.headers || {})
-          res.end(msg.body || '')
+          res.end(msg.body ? Buffer.from(msg.body, msg.bodyEncoding || 'utf8') : '')
         }
       })
       
@@ -129,7 +129,7 @@ describe('Browseress Integration', function() {
         res.on('data', function(chunk) { body += chunk })
         res.on('end', function() {
           assert.strictEqual(res.statusCode, 200)
-          assert.strictEqual(res.headers['content-type'], 'application/json')
+          assert.strictEqual(res.headers['content-type'], 'application/json; charset=utf-8')
           
           var data = JSON.parse(body)
           assert.strictEqual(data.message, 'Hello from Browseress!')
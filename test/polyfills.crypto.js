@@ -0,0 +1,960 @@
+'use strict'
+
+var assert = require('node:assert')
+var { Buffer } = require('node:buffer')
+var nodeCrypto = require('node:crypto')
+var crypto = require('../lib/polyfills/crypto-stub')
+
+// Lengths around the 64 and 128 byte block and padding boundaries
+var LENGTHS = [0, 1, 3, 55, 56, 63, 64, 65, 111, 112, 119, 127, 128, 129, 1000]
+
+describe('polyfills', function(){
+  describe('crypto stub', function(){
+    describe('.createHash()', function(){
+      ['md5', 'sha1', 'sha224', 'sha256', 'sha384', 'sha512'].forEach(function(algorithm){
+        it('should match node for ' + algorithm, function(){
+          LENGTHS.forEach(function(length){
+            var data = nodeCrypto.randomBytes(length)
+            assert.strictEqual(
+              crypto.createHash(algorithm).update(data).digest('hex'),
+              nodeCrypto.createHash(algorithm).update(data).digest('hex'),
+              algorithm + ' of ' + length + ' bytes'
+            )
+          })
+        })
+      })
+
+      it('should hash the same across split updates', function(){
+        var data = nodeCrypto.randomBytes(300)
+        var hash = crypto.createHash('sha512')
+
+        for (var i = 0; i < data.length; i += 7) {
+          hash.update(data.subarray(i, i + 7))
+        }
+
+        assert.strictEqual(hash.digest('hex'), nodeCrypto.createHash('sha512').update(data).digest('hex'))
+      })
+
+      it('should return a Buffer without an encoding', function(){
+        var digest = crypto.createHash('sha256').update('hello').digest()
+
+        assert.ok(Buffer.isBuffer(digest))
+        assert.deepStrictEqual(digest, nodeCrypto.createHash('sha256').update('hello').digest())
+      })
+
+      it('should encode digests like node', function(){
+        ['hex', 'base64', 'base64url', 'latin1'].forEach(function(encoding){
+          assert.strictEqual(
+            crypto.createHash('sha1').update('hello').digest(encoding),
+            nodeCrypto.createHash('sha1').update('hello').digest(encoding)
+          )
+        })
+      })
+
+      it('should decode string input', function(){
+        assert.strictEqual(
+          crypto.createHash('md5').update('68656c6c6f', 'hex').update('wörld').digest('hex'),
+          nodeCrypto.createHash('md5').update('hello').update('wörld').digest('hex')
+        )
+      })
+
+      it('should accept typed arrays and DataViews', function(){
+        var bytes = new Uint16Array([1, 2, 3])
+
+        assert.strictEqual(
+          crypto.createHash('sha256').update(bytes).update(new DataView(bytes.buffer)).digest('hex'),
+          nodeCrypto.createHash('sha256').update(bytes).update(new DataView(bytes.buffer)).digest('hex')
+        )
+      })
+
+      it('should accept the names node accepts', function(){
+        ['SHA256', 'sha-256', 'RSA-SHA256', 'sha256WithRSAEncryption'].forEach(function(name){
+          assert.strictEqual(
+            crypto.createHash(name).update('x').digest('hex'),
+            nodeCrypto.createHash('sha256').update('x').digest('hex')
+          )
+        })
+      })
+
+      it('should throw on unknown algorithms', function(){
+        assert.throws(function(){
+          crypto.createHash('sha0')
+        }, /Digest method not supported/)
+      })
+
+      it('should throw after digest', function(){
+        var hash = crypto.createHash('sha1')
+        hash.digest()
+
+        assert.throws(function(){ hash.digest() }, { code: 'ERR_CRYPTO_HASH_FINALIZED' })
+        assert.throws(function(){ hash.update('x') }, { code: 'ERR_CRYPTO_HASH_FINALIZED' })
+      })
+
+      it('should reject other input types', function(){
+        assert.throws(function(){
+          crypto.createHash('sha1').update(5)
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+      })
+
+      it('should copy the hash state', function(){
+        var hash = crypto.createHash('sha384').update('shared prefix ')
+        var copy = hash.copy()
+
+        assert.strictEqual(hash.update('one').digest('hex'),
+          nodeCrypto.createHash('sha384').update('shared prefix one').digest('hex'))
+        assert.strictEqual(copy.update('two').digest('hex'),
+          nodeCrypto.createHash('sha384').update('shared prefix two').digest('hex'))
+      })
+    })
+
+    describe('.createHmac()', function(){
+      function hmac(algorithm, key, data){
+        return crypto.createHmac(algorithm, key).update(data).digest('hex')
+      }
+
+      it('should pass the RFC 2202 and RFC 4231 test vectors', function(){
+        var key = Buffer.alloc(20, 0x0b)
+        var longKey = Buffer.alloc(131, 0xaa)
+        var longKeyData = 'Test Using Larger Than Block-Size Key - Hash Key First'
+
+        assert.strictEqual(hmac('md5', Buffer.alloc(16, 0x0b), 'Hi There'), '9294727a3638bb1c13f48ef8158bfc9d')
+        assert.strictEqual(hmac('sha1', key, 'Hi There'), 'b617318655057264e28bc0b6fb378c8ef146be00')
+        assert.strictEqual(hmac('sha256', key, 'Hi There'),
+          'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7')
+        assert.strictEqual(hmac('sha256', 'Jefe', 'what do ya want for nothing?'),
+          '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843')
+        assert.strictEqual(hmac('sha256', longKey, longKeyData),
+          '60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54')
+        assert.strictEqual(hmac('sha512', key, 'Hi There'),
+          '87aa7cdea5ef619d4ff0b4241a1d6cb02379f4e2ce4ec2787ad0b30545e17cde' +
+          'daa833b7d6b8a702038b274eaea3f4e4be9d914eeb61f1702e696c203a126854')
+      })
+
+      ;['md5', 'sha1', 'sha224', 'sha256', 'sha384', 'sha512'].forEach(function(algorithm){
+        it('should match node for ' + algorithm, function(){
+          [0, 16, 64, 128, 200].forEach(function(keyLength){
+            var key = nodeCrypto.randomBytes(keyLength)
+            var data = nodeCrypto.randomBytes(keyLength * 3)
+
+            assert.strictEqual(hmac(algorithm, key, data),
+              nodeCrypto.createHmac(algorithm, key).update(data).digest('hex'),
+              algorithm + ' with a ' + keyLength + ' byte key')
+          })
+        })
+      })
+
+      it('should chain updates', function(){
+        assert.strictEqual(
+          crypto.createHmac('sha256', 'secret').update('one').update(Buffer.from(' two')).digest('base64'),
+          nodeCrypto.createHmac('sha256', 'secret').update('one two').digest('base64')
+        )
+      })
+
+      it('should accept keys as strings, typed arrays and ArrayBuffers', function(){
+        var expected = nodeCrypto.createHmac('sha1', 'key').update('data').digest('hex')
+
+        assert.strictEqual(hmac('sha1', Buffer.from('key'), 'data'), expected)
+        assert.strictEqual(hmac('sha1', new TextEncoder().encode('key').buffer, 'data'), expected)
+        assert.strictEqual(crypto.createHmac('sha1', '6b6579', { encoding: 'hex' }).update('data').digest('hex'), expected)
+      })
+
+      it('should produce signatures cookie-signature on node verifies', function(){
+        var signature = require('cookie-signature')
+        var value = 'tobi'
+        var signed = 's:' + value + '.' +
+          crypto.createHmac('sha256', 'keyboard cat').update(value).digest('base64').replace(/=+$/, '')
+
+        assert.strictEqual(signed, 's:' + signature.sign(value, 'keyboard cat'))
+        assert.strictEqual(signature.unsign(signed.slice(2), 'keyboard cat'), value)
+      })
+
+      it('should return an empty digest the second time', function(){
+        var mac = crypto.createHmac('sha256', 'k')
+        mac.digest()
+
+        assert.strictEqual(mac.digest('hex'), '')
+        assert.throws(function(){ mac.update('x') }, { code: 'ERR_CRYPTO_HASH_FINALIZED' })
+      })
+
+      it('should throw on unknown digests', function(){
+        assert.throws(function(){
+          crypto.createHmac('sha0', 'k')
+        }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_DIGEST', message: 'Invalid digest: sha0' })
+      })
+
+      it('should throw on invalid keys', function(){
+        assert.throws(function(){
+          crypto.createHmac('sha256')
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+      })
+    })
+
+    describe('.createCipheriv()', function(){
+      function encrypt(lib, algorithm, key, iv, data, options){
+        var cipher = lib.createCipheriv(algorithm, key, iv, options)
+        var output = Buffer.concat([cipher.update(data), cipher.final()])
+        return /gcm/i.test(algorithm) ? Buffer.concat([output, cipher.getAuthTag()]) : output
+      }
+
+      ;['cbc', 'ctr', 'gcm'].forEach(function(mode){
+        [128, 192, 256].forEach(function(bits){
+          var algorithm = 'aes-' + bits + '-' + mode
+
+          it('should match node for ' + algorithm, function(){
+            [0, 1, 15, 16, 17, 100].forEach(function(length){
+              var key = nodeCrypto.randomBytes(bits / 8)
+              var iv = nodeCrypto.randomBytes(mode === 'gcm' ? 12 : 16)
+              var data = nodeCrypto.randomBytes(length)
+
+              assert.deepStrictEqual(encrypt(crypto, algorithm, key, iv, data),
+                encrypt(nodeCrypto, algorithm, key, iv, data), algorithm + ' of ' + length + ' bytes')
+            })
+          })
+        })
+      })
+
+      it('should stream across split updates', function(){
+        var key = nodeCrypto.randomBytes(32)
+        var iv = nodeCrypto.randomBytes(16)
+        var data = nodeCrypto.randomBytes(300)
+        var cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
+        var chunks = []
+
+        for (var i = 0; i < data.length; i += 7) {
+          chunks.push(cipher.update(data.subarray(i, i + 7)))
+        }
+        chunks.push(cipher.final())
+
+        assert.deepStrictEqual(Buffer.concat(chunks), encrypt(nodeCrypto, 'aes-256-cbc', key, iv, data))
+      })
+
+      it('should encode output like node', function(){
+        var key = Buffer.alloc(16, 1)
+        var iv = Buffer.alloc(16, 2)
+
+        ;['hex', 'base64', 'base64url', 'latin1'].forEach(function(encoding){
+          var ours = crypto.createCipheriv('aes-128-cbc', key, iv)
+          var theirs = nodeCrypto.createCipheriv('aes-128-cbc', key, iv)
+
+          assert.strictEqual(
+            ours.update('a secret', 'utf8', encoding) + ours.update('206d657373616765', 'hex', encoding) + ours.final(encoding),
+            theirs.update('a secret message', 'utf8', encoding) + theirs.final(encoding)
+          )
+        })
+      })
+
+      it('should authenticate additional data and short tags in GCM', function(){
+        var key = nodeCrypto.randomBytes(16)
+        var iv = nodeCrypto.randomBytes(12)
+        var aad = Buffer.from('header')
+
+        function seal(lib){
+          var cipher = lib.createCipheriv('aes-128-gcm', key, iv, { authTagLength: 12 })
+          cipher.setAAD(aad)
+          return [cipher.update('payload', 'utf8', 'hex') + cipher.final('hex'), cipher.getAuthTag().toString('hex')]
+        }
+
+        assert.deepStrictEqual(seal(crypto), seal(nodeCrypto))
+        assert.strictEqual(seal(crypto)[1].length, 24)
+      })
+
+      it('should accept GCM IVs of any length', function(){
+        var key = nodeCrypto.randomBytes(16)
+
+        ;[1, 8, 16, 60].forEach(function(length){
+          var iv = nodeCrypto.randomBytes(length)
+          assert.deepStrictEqual(encrypt(crypto, 'aes-128-gcm', key, iv, 'data'),
+            encrypt(nodeCrypto, 'aes-128-gcm', key, iv, 'data'), length + ' byte IV')
+        })
+      })
+
+      it('should accept the names node accepts', function(){
+        var key = Buffer.alloc(32, 1)
+
+        assert.deepStrictEqual(encrypt(crypto, 'aes256', key, Buffer.alloc(16), 'x'),
+          encrypt(nodeCrypto, 'aes-256-cbc', key, Buffer.alloc(16), 'x'))
+        assert.deepStrictEqual(encrypt(crypto, 'AES-256-GCM', key, Buffer.alloc(12), 'x'),
+          encrypt(nodeCrypto, 'aes-256-gcm', key, Buffer.alloc(12), 'x'))
+        assert.doesNotThrow(function(){
+          crypto.createCipheriv('id-aes256-GCM', key, Buffer.alloc(12))
+        })
+      })
+
+      it('should require a whole block without padding', function(){
+        var cipher = crypto.createCipheriv('aes-128-cbc', Buffer.alloc(16), Buffer.alloc(16)).setAutoPadding(false)
+
+        assert.strictEqual(cipher.update(Buffer.alloc(32)).length, 32)
+        assert.strictEqual(cipher.final().length, 0)
+
+        cipher = crypto.createCipheriv('aes-128-cbc', Buffer.alloc(16), Buffer.alloc(16)).setAutoPadding(false)
+        cipher.update('abc')
+        assert.throws(function(){ cipher.final() }, {
+          code: 'ERR_OSSL_WRONG_FINAL_BLOCK_LENGTH',
+          reason: 'wrong final block length'
+        })
+      })
+
+      it('should throw on unknown ciphers', function(){
+        assert.throws(function(){
+          crypto.createCipheriv('des-ede3-cbc', Buffer.alloc(24), Buffer.alloc(8))
+        }, { code: 'ERR_CRYPTO_UNKNOWN_CIPHER', message: 'Unknown cipher' })
+      })
+
+      it('should throw on bad keys and IVs', function(){
+        assert.throws(function(){
+          crypto.createCipheriv('aes-128-cbc', Buffer.alloc(15), Buffer.alloc(16))
+        }, { name: 'RangeError', code: 'ERR_CRYPTO_INVALID_KEYLEN' })
+        assert.throws(function(){
+          crypto.createCipheriv('aes-128-ctr', Buffer.alloc(16), Buffer.alloc(12))
+        }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_IV' })
+        assert.throws(function(){
+          crypto.createCipheriv('aes-128-gcm', Buffer.alloc(16), Buffer.alloc(0))
+        }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_IV' })
+        assert.throws(function(){
+          crypto.createCipheriv('aes-128-gcm', Buffer.alloc(16), Buffer.alloc(12), { authTagLength: 7 })
+        }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_AUTH_TAG' })
+      })
+
+      it('should throw when used out of order', function(){
+        var cipher = crypto.createCipheriv('aes-128-gcm', Buffer.alloc(16), Buffer.alloc(12))
+
+        assert.throws(function(){ cipher.getAuthTag() }, { code: 'ERR_CRYPTO_INVALID_STATE' })
+        cipher.update('x')
+        assert.throws(function(){ cipher.setAAD(Buffer.from('late')) }, { code: 'ERR_CRYPTO_INVALID_STATE' })
+        cipher.final()
+        assert.throws(function(){ cipher.final() }, { code: 'ERR_CRYPTO_INVALID_STATE' })
+        assert.throws(function(){ cipher.update('x') }, /Trying to add data in unsupported state/)
+      })
+    })
+
+    describe('.createDecipheriv()', function(){
+      function decrypt(algorithm, key, iv, data, tag){
+        var decipher = crypto.createDecipheriv(algorithm, key, iv)
+        if (tag) decipher.setAuthTag(tag)
+        return Buffer.concat([decipher.update(data), decipher.final()])
+      }
+
+      ;['cbc', 'ctr', 'gcm'].forEach(function(mode){
+        [128, 192, 256].forEach(function(bits){
+          var algorithm = 'aes-' + bits + '-' + mode
+
+          it('should decrypt node output for ' + algorithm, function(){
+            [0, 1, 16, 100].forEach(function(length){
+              var key = nodeCrypto.randomBytes(bits / 8)
+              var iv = nodeCrypto.randomBytes(mode === 'gcm' ? 12 : 16)
+              var data = nodeCrypto.randomBytes(length)
+              var cipher = nodeCrypto.createCipheriv(algorithm, key, iv)
+              var encrypted = Buffer.concat([cipher.update(data), cipher.final()])
+              var tag = mode === 'gcm' ? cipher.getAuthTag() : null
+
+              assert.deepStrictEqual(decrypt(algorithm, key, iv, encrypted, tag), data,
+                algorithm + ' of ' + length + ' bytes')
+            })
+          })
+        })
+      })
+
+      it('should hold back the last block until final', function(){
+        var key = Buffer.alloc(16, 1)
+        var iv = Buffer.alloc(16, 2)
+        var encrypted = nodeCrypto.createCipheriv('aes-128-cbc', key, iv).update(Buffer.alloc(32))
+        var decipher = crypto.createDecipheriv('aes-128-cbc', key, iv)
+
+        assert.strictEqual(decipher.update(encrypted).length, 16)
+      })
+
+      it('should decode multi-byte characters split across updates', function(){
+        var key = Buffer.alloc(16, 1)
+        var iv = Buffer.alloc(16, 2)
+        var cipher = nodeCrypto.createCipheriv('aes-128-ctr', key, iv)
+        var encrypted = Buffer.concat([cipher.update('héllo wörld'), cipher.final()])
+        var decipher = crypto.createDecipheriv('aes-128-ctr', key, iv)
+        var text = ''
+
+        for (var i = 0; i < encrypted.length; i++) {
+          text += decipher.update(encrypted.subarray(i, i + 1), null, 'utf8')
+        }
+
+        assert.strictEqual(text + decipher.final('utf8'), 'héllo wörld')
+      })
+
+      it('should reject a wrong or missing GCM tag', function(){
+        var key = nodeCrypto.randomBytes(16)
+        var iv = nodeCrypto.randomBytes(12)
+        var cipher = nodeCrypto.createCipheriv('aes-128-gcm', key, iv)
+        var encrypted = Buffer.concat([cipher.update('payload'), cipher.final()])
+        var tag = cipher.getAuthTag()
+
+        tag[0] ^= 1
+        assert.throws(function(){ decrypt('aes-128-gcm', key, iv, encrypted, tag) },
+          /Unsupported state or unable to authenticate data/)
+        assert.throws(function(){ decrypt('aes-128-gcm', key, iv, encrypted) },
+          /Unsupported state or unable to authenticate data/)
+      })
+
+      it('should check the GCM tag length', function(){
+        var decipher = crypto.createDecipheriv('aes-128-gcm', Buffer.alloc(16), Buffer.alloc(12), { authTagLength: 8 })
+
+        assert.throws(function(){ decipher.setAuthTag(Buffer.alloc(3)) }, {
+          name: 'TypeError',
+          code: 'ERR_CRYPTO_INVALID_AUTH_TAG',
+          message: 'Invalid authentication tag length: 3'
+        })
+        assert.throws(function(){ decipher.setAuthTag(Buffer.alloc(16)) }, { code: 'ERR_CRYPTO_INVALID_AUTH_TAG' })
+        decipher.setAuthTag(Buffer.alloc(8))
+        assert.throws(function(){ decipher.setAuthTag(Buffer.alloc(8)) }, { code: 'ERR_CRYPTO_INVALID_STATE' })
+      })
+
+      it('should throw on bad padding', function(){
+        var key = Buffer.alloc(16, 1)
+        var iv = Buffer.alloc(16, 2)
+        var encrypted = nodeCrypto.createCipheriv('aes-128-cbc', key, iv).setAutoPadding(false).update(Buffer.alloc(16))
+
+        assert.throws(function(){ decrypt('aes-128-cbc', key, iv, encrypted) }, {
+          code: 'ERR_OSSL_BAD_DECRYPT',
+          reason: 'bad decrypt'
+        })
+        assert.throws(function(){ decrypt('aes-128-cbc', key, iv, encrypted.subarray(1)) }, {
+          code: 'ERR_OSSL_WRONG_FINAL_BLOCK_LENGTH'
+        })
+      })
+
+      it('should return padding untouched without auto padding', function(){
+        var key = Buffer.alloc(16, 1)
+        var iv = Buffer.alloc(16, 2)
+        var cipher = nodeCrypto.createCipheriv('aes-128-cbc', key, iv)
+        var encrypted = Buffer.concat([cipher.update('abc'), cipher.final()])
+        var decipher = crypto.createDecipheriv('aes-128-cbc', key, iv).setAutoPadding(false)
+        var decrypted = Buffer.concat([decipher.update(encrypted), decipher.final()])
+
+        assert.deepStrictEqual(decrypted, Buffer.concat([Buffer.from('abc'), Buffer.alloc(13, 13)]))
+      })
+    })
+
+    describe('.pbkdf2Sync()', function(){
+      it('should pass the RFC 6070 test vectors', function(){
+        assert.strictEqual(crypto.pbkdf2Sync('password', 'salt', 1, 20, 'sha1').toString('hex'),
+          '0c60c80f961f0e71f3a9b524af6012062fe037a6')
+        assert.strictEqual(crypto.pbkdf2Sync('password', 'salt', 4096, 20, 'sha1').toString('hex'),
+          '4b007901b765489abead49d926f721d065a429c1')
+        assert.strictEqual(
+          crypto.pbkdf2Sync('passwordPASSWORDpassword', 'saltSALTsaltSALTsaltSALTsaltSALTsalt', 4096, 25, 'sha1').toString('hex'),
+          '3d2eec4fe41c849b80c8d83662c0e44a8b291a964cf2f07038')
+      })
+
+      ;['md5', 'sha1', 'sha224', 'sha256', 'sha384', 'sha512'].forEach(function(digest){
+        it('should match node for ' + digest, function(){
+          [0, 1, 20, 64, 100].forEach(function(keylen){
+            var salt = nodeCrypto.randomBytes(16)
+
+            assert.deepStrictEqual(crypto.pbkdf2Sync('secret', salt, 3, keylen, digest),
+              nodeCrypto.pbkdf2Sync('secret', salt, 3, keylen, digest), digest + ' for ' + keylen + ' bytes')
+          })
+        })
+      })
+
+      it('should throw on unknown digests', function(){
+        assert.throws(function(){
+          crypto.pbkdf2Sync('p', 's', 1, 10, 'sha0')
+        }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_DIGEST', message: 'Invalid digest: sha0' })
+      })
+
+      it('should validate arguments like node', function(){
+        assert.throws(function(){
+          crypto.pbkdf2Sync('p', 's', 1, 10)
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+        assert.throws(function(){
+          crypto.pbkdf2Sync('p', 's', 0, 10, 'sha1')
+        }, { name: 'RangeError', code: 'ERR_OUT_OF_RANGE' })
+        assert.throws(function(){
+          crypto.pbkdf2Sync('p', 's', 1.5, 10, 'sha1')
+        }, { name: 'RangeError', code: 'ERR_OUT_OF_RANGE', message: /must be an integer/ })
+        assert.throws(function(){
+          crypto.pbkdf2Sync('p', 5, 1, 10, 'sha1')
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE', message: /"salt" argument/ })
+      })
+    })
+
+    describe('.pbkdf2()', function(){
+      it('should call back with the key node derives', function(done){
+        crypto.pbkdf2('secret', 'salt', 1000, 64, 'sha512', function(err, key){
+          if (err) return done(err)
+          assert.ok(Buffer.isBuffer(key))
+          assert.deepStrictEqual(key, nodeCrypto.pbkdf2Sync('secret', 'salt', 1000, 64, 'sha512'))
+          done()
+        })
+      })
+
+      it('should support digests Web Crypto lacks', function(done){
+        crypto.pbkdf2('secret', 'salt', 10, 40, 'md5', function(err, key){
+          if (err) return done(err)
+          assert.deepStrictEqual(key, nodeCrypto.pbkdf2Sync('secret', 'salt', 10, 40, 'md5'))
+          done()
+        })
+      })
+
+      it('should verify hashes made by pbkdf2-password on node', function(done){
+        require('pbkdf2-password')()({ password: 'foobar' }, function(err, pass, salt, hash){
+          if (err) return done(err)
+          crypto.pbkdf2('foobar', Buffer.from(salt, 'base64'), 10000, 128, 'sha1', function(err, key){
+            if (err) return done(err)
+            assert.strictEqual(key.toString('base64'), hash)
+            done()
+          })
+        })
+      })
+
+      it('should throw without a callback', function(){
+        assert.throws(function(){
+          crypto.pbkdf2('p', 's', 1, 10, 'sha1')
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE', message: /"callback" argument/ })
+      })
+    })
+
+    describe('.scryptSync()', function(){
+      it('should pass the RFC 7914 test vectors', function(){
+        assert.strictEqual(crypto.scryptSync('', '', 64, { N: 16, r: 1, p: 1 }).toString('hex'),
+          '77d6576238657b203b19ca42c18a0497f16b4844e3074ae8dfdffa3fede21442' +
+          'fcd0069ded0948f8326a753a0fc81f17e8d3e0fb2e0d3628cf35e20c38d18906')
+        assert.strictEqual(crypto.scryptSync('password', 'NaCl', 64, { N: 1024, r: 8, p: 16 }).toString('hex'),
+          'fdbabe1c9d3472007856e7190d01e9fe7c6ad7cbc8237830e77376634b373162' +
+          '2eaf30d92e22a3886ff109279d9830dac727afb94a83ee6d8360cbdfa2cc0640')
+      })
+
+      it('should match node with the default parameters', function(){
+        var salt = nodeCrypto.randomBytes(16)
+
+        assert.deepStrictEqual(crypto.scryptSync('secret', salt, 32), nodeCrypto.scryptSync('secret', salt, 32))
+      })
+
+      it('should accept the long option names', function(){
+        var options = { cost: 32, blockSize: 2, parallelization: 3 }
+
+        assert.deepStrictEqual(crypto.scryptSync('p', 's', 16, options), nodeCrypto.scryptSync('p', 's', 16, options))
+        assert.throws(function(){
+          crypto.scryptSync('p', 's', 16, { N: 16, cost: 16 })
+        }, { code: 'ERR_CRYPTO_SCRYPT_INVALID_PARAMETER' })
+      })
+
+      it('should throw on invalid parameters', function(){
+        assert.throws(function(){
+          crypto.scryptSync('p', 's', 16, { N: 3 })
+        }, { name: 'RangeError', code: 'ERR_CRYPTO_INVALID_SCRYPT_PARAMS', message: 'Invalid scrypt params' })
+        assert.throws(function(){
+          crypto.scryptSync('p', 's', 16, { N: 32768 })
+        }, { name: 'RangeError', code: 'ERR_CRYPTO_INVALID_SCRYPT_PARAMS', message: /memory limit exceeded/ })
+        assert.throws(function(){
+          crypto.scryptSync('p', 's', 16, { N: 16, r: 'a' })
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+      })
+    })
+
+    describe('.scrypt()', function(){
+      it('should call back with the key node derives', function(done){
+        crypto.scrypt('secret', 'salt', 32, { N: 1024 }, function(err, key){
+          if (err) return done(err)
+          assert.ok(Buffer.isBuffer(key))
+          assert.deepStrictEqual(key, nodeCrypto.scryptSync('secret', 'salt', 32, { N: 1024 }))
+          done()
+        })
+      })
+
+      it('should throw on invalid parameters before calling back', function(){
+        assert.throws(function(){
+          crypto.scrypt('p', 's', 16, { N: 3 }, function(){})
+        }, { code: 'ERR_CRYPTO_INVALID_SCRYPT_PARAMS' })
+      })
+    })
+
+    describe('.timingSafeEqual()', function(){
+      it('should compare buffers', function(){
+        assert.strictEqual(crypto.timingSafeEqual(Buffer.from('abc'), Buffer.from('abc')), true)
+        assert.strictEqual(crypto.timingSafeEqual(Buffer.from('abc'), Buffer.from('abd')), false)
+        assert.strictEqual(crypto.timingSafeEqual(new Uint8Array([1, 2]).buffer, new Uint16Array([0x0201])), true)
+      })
+
+      it('should throw on different lengths', function(){
+        assert.throws(function(){
+          crypto.timingSafeEqual(Buffer.from('a'), Buffer.from('ab'))
+        }, { name: 'RangeError', code: 'ERR_CRYPTO_TIMING_SAFE_EQUAL_LENGTH' })
+      })
+
+      it('should reject strings', function(){
+        assert.throws(function(){
+          crypto.timingSafeEqual('a', 'a')
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+      })
+    })
+
+    describe('.getHashes()', function(){
+      it('should list the supported algorithms', function(){
+        assert.deepStrictEqual(crypto.getHashes().sort(),
+          ['md5', 'sha1', 'sha224', 'sha256', 'sha384', 'sha512'])
+      })
+    })
+
+    describe('.randomBytes()', function(){
+      it('should return a Buffer', function(){
+        var bytes = crypto.randomBytes(100000)
+
+        assert.ok(Buffer.isBuffer(bytes))
+        assert.strictEqual(bytes.length, 100000)
+      })
+    })
+
+    describe('.getCiphers()', function(){
+      it('should list only the ciphers createCipheriv supports', function(){
+        var ciphers = crypto.getCiphers()
+
+        assert.ok(ciphers.indexOf('aes-256-gcm') !== -1)
+        assert.ok(ciphers.indexOf('aes128') !== -1)
+        ciphers.forEach(function(name){
+          var cipher = nodeCrypto.getCipherInfo(name)
+          assert.ok(cipher, name + ' is a node cipher')
+          assert.doesNotThrow(function(){
+            crypto.createCipheriv(name, Buffer.alloc(cipher.keyLength), Buffer.alloc(cipher.ivLength))
+          }, name)
+        })
+      })
+    })
+
+    describe('.randomFillSync()', function(){
+      it('should fill a range counted in elements', function(){
+        var array = new Uint32Array(64)
+
+        assert.strictEqual(crypto.randomFillSync(array, 1, 62), array)
+        assert.strictEqual(array[0], 0)
+        assert.strictEqual(array[63], 0)
+        assert.ok(array.subarray(1, 63).some(Boolean))
+      })
+
+      it('should fill ArrayBuffers', function(){
+        var buffer = new ArrayBuffer(32)
+
+        crypto.randomFillSync(buffer)
+        assert.ok(new Uint8Array(buffer).some(Boolean))
+      })
+
+      it('should validate the range like node', function(){
+        assert.throws(function(){
+          crypto.randomFillSync(Buffer.alloc(4), 5)
+        }, { name: 'RangeError', code: 'ERR_OUT_OF_RANGE', message: /"offset" is out of range/ })
+        assert.throws(function(){
+          crypto.randomFillSync(Buffer.alloc(4), 1, 4)
+        }, { name: 'RangeError', code: 'ERR_OUT_OF_RANGE', message: /"size \+ offset" is out of range/ })
+        assert.throws(function(){
+          crypto.randomFillSync('buffer')
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+      })
+    })
+
+    describe('.randomFill()', function(){
+      it('should call back with the filled buffer', function(done){
+        var buffer = Buffer.alloc(32)
+
+        crypto.randomFill(buffer, 16, function(err, filled){
+          if (err) return done(err)
+          assert.strictEqual(filled, buffer)
+          assert.ok(buffer.subarray(0, 16).every(function(byte){ return byte === 0 }))
+          assert.ok(buffer.subarray(16).some(Boolean))
+          done()
+        })
+      })
+
+      it('should throw without a callback', function(){
+        assert.throws(function(){
+          crypto.randomFill(Buffer.alloc(4))
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+      })
+    })
+
+    describe('.randomInt()', function(){
+      it('should return integers in [min, max)', function(){
+        var seen = {}
+
+        for (var i = 0; i < 500; i++) {
+          var n = crypto.randomInt(-2, 3)
+          assert.ok(Number.isInteger(n) && n >= -2 && n < 3, String(n))
+          seen[n] = true
+        }
+
+        assert.deepStrictEqual(Object.keys(seen).map(Number).sort(function(a, b){ return a - b }), [-2, -1, 0, 1, 2])
+      })
+
+      it('should call back when given a callback', function(done){
+        var result = crypto.randomInt(10, function(err, n){
+          if (err) return done(err)
+          assert.ok(n >= 0 && n < 10)
+          done()
+        })
+
+        assert.strictEqual(result, undefined)
+      })
+
+      it('should validate the range like node', function(){
+        assert.throws(function(){
+          crypto.randomInt(5, 5)
+        }, { name: 'RangeError', code: 'ERR_OUT_OF_RANGE', message: /greater than the value of "min" \(5\)/ })
+        assert.throws(function(){
+          crypto.randomInt(0, Math.pow(2, 48) + 1)
+        }, { code: 'ERR_OUT_OF_RANGE', message: /"max - min".*Received 281_474_976_710_657$/ })
+        assert.throws(function(){
+          crypto.randomInt(1.5)
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE', message: /must be a safe integer/ })
+      })
+    })
+
+    describe('.randomUUID()', function(){
+      it('should return version 4 UUIDs', function(){
+        var uuid = crypto.randomUUID()
+
+        assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(uuid), uuid)
+        assert.notStrictEqual(crypto.randomUUID(), uuid)
+      })
+    })
+
+    describe('.getRandomValues()', function(){
+      it('should fill typed arrays from Web Crypto', function(){
+        var array = new Uint8Array(16)
+
+        assert.strictEqual(crypto.getRandomValues(array), array)
+        assert.ok(array.some(Boolean))
+      })
+    })
+
+    describe('.webcrypto', function(){
+      it('should be the Web Crypto object', function(){
+        assert.strictEqual(crypto.webcrypto, globalThis.crypto)
+      })
+    })
+
+    describe('.createSecretKey()', function(){
+      it('should create a secret KeyObject', function(){
+        var key = crypto.createSecretKey('616263', 'hex')
+
+        assert.ok(key instanceof crypto.KeyObject)
+        assert.strictEqual(key.type, 'secret')
+        assert.strictEqual(key.symmetricKeySize, 3)
+        assert.deepStrictEqual(key.export(), Buffer.from('abc'))
+        assert.deepStrictEqual(key.export({ format: 'jwk' }), { kty: 'oct', k: 'YWJj' })
+      })
+
+      it('should compare keys', function(){
+        var key = crypto.createSecretKey(Buffer.from('abc'))
+
+        assert.strictEqual(key.equals(crypto.createSecretKey(new TextEncoder().encode('abc').buffer)), true)
+        assert.strictEqual(key.equals(crypto.createSecretKey(Buffer.from('abd'))), false)
+        assert.throws(function(){ key.equals('abc') }, { code: 'ERR_INVALID_ARG_TYPE' })
+      })
+
+      it('should be accepted as an Hmac and cipher key', function(){
+        var key = crypto.createSecretKey(Buffer.alloc(16, 1))
+        var cipher = crypto.createCipheriv('aes-128-ctr', key, Buffer.alloc(16))
+
+        assert.strictEqual(crypto.createHmac('sha256', key).update('x').digest('hex'),
+          nodeCrypto.createHmac('sha256', Buffer.alloc(16, 1)).update('x').digest('hex'))
+        assert.deepStrictEqual(cipher.update('x'),
+          nodeCrypto.createCipheriv('aes-128-ctr', Buffer.alloc(16, 1), Buffer.alloc(16)).update('x'))
+      })
+
+      it('should reject unknown export formats', function(){
+        assert.throws(function(){
+          crypto.createSecretKey(Buffer.from('abc')).export({ format: 'pem' })
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_VALUE' })
+      })
+    })
+
+    describe('asymmetric keys', function(){
+      var KEYS = {
+        rsa: nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 1024 }),
+        'ec P-256': nodeCrypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+        'ec P-384': nodeCrypto.generateKeyPairSync('ec', { namedCurve: 'P-384' }),
+        ed25519: nodeCrypto.generateKeyPairSync('ed25519')
+      }
+
+      Object.keys(KEYS).forEach(function(name){
+        var pair = KEYS[name]
+        var privatePem = pair.privateKey.export({ type: 'pkcs8', format: 'pem' })
+        var publicPem = pair.publicKey.export({ type: 'spki', format: 'pem' })
+
+        it('should import and export ' + name + ' keys like node', function(){
+          var privateKey = crypto.createPrivateKey(privatePem)
+          var publicKey = crypto.createPublicKey(privatePem)
+
+          assert.ok(privateKey instanceof crypto.KeyObject)
+          assert.strictEqual(privateKey.type, 'private')
+          assert.strictEqual(publicKey.type, 'public')
+          assert.strictEqual(privateKey.asymmetricKeyType, pair.privateKey.asymmetricKeyType)
+          assert.deepStrictEqual(privateKey.asymmetricKeyDetails, pair.privateKey.asymmetricKeyDetails)
+          assert.strictEqual(privateKey.export({ type: 'pkcs8', format: 'pem' }), privatePem)
+          assert.strictEqual(publicKey.export({ type: 'spki', format: 'pem' }), publicPem)
+          assert.deepStrictEqual(privateKey.export({ type: 'pkcs8', format: 'der' }),
+            pair.privateKey.export({ type: 'pkcs8', format: 'der' }))
+          assert.deepStrictEqual(privateKey.export({ format: 'jwk' }), pair.privateKey.export({ format: 'jwk' }))
+          assert.deepStrictEqual(publicKey.export({ format: 'jwk' }), pair.publicKey.export({ format: 'jwk' }))
+        })
+
+        it('should import ' + name + ' keys from DER and JWK', function(){
+          var publicKey = crypto.createPublicKey(publicPem)
+
+          assert.ok(publicKey.equals(crypto.createPublicKey({
+            key: pair.publicKey.export({ type: 'spki', format: 'der' }), format: 'der', type: 'spki'
+          })))
+          assert.ok(publicKey.equals(crypto.createPublicKey({ key: pair.publicKey.export({ format: 'jwk' }), format: 'jwk' })))
+          assert.ok(crypto.createPrivateKey(privatePem).equals(crypto.createPrivateKey({
+            key: pair.privateKey.export({ format: 'jwk' }), format: 'jwk'
+          })))
+          assert.ok(!publicKey.equals(crypto.createPrivateKey(privatePem)))
+        })
+
+        var algorithm = name === 'ed25519' ? null : 'sha384'
+
+        it('should sign ' + name + ' signatures node verifies', function(){
+          var signature = crypto.sign(algorithm, Buffer.from('payload'), privatePem)
+          assert.ok(nodeCrypto.verify(algorithm, Buffer.from('payload'), publicPem, signature))
+        })
+
+        it('should verify ' + name + ' signatures from node', function(){
+          var signature = nodeCrypto.sign(algorithm, Buffer.from('payload'), privatePem)
+
+          assert.strictEqual(crypto.verify(algorithm, Buffer.from('payload'), publicPem, signature), true)
+          assert.strictEqual(crypto.verify(algorithm, Buffer.from('payloaD'), publicPem, signature), false)
+        })
+      })
+
+      it('should read PKCS#1 and SEC1 keys', function(){
+        var rsa = KEYS.rsa.privateKey
+        var ec = KEYS['ec P-256'].privateKey
+        var pkcs1 = rsa.export({ type: 'pkcs1', format: 'pem' })
+        var sec1 = ec.export({ type: 'sec1', format: 'pem' })
+
+        assert.strictEqual(crypto.createPrivateKey(pkcs1).export({ type: 'pkcs1', format: 'pem' }), pkcs1)
+        assert.strictEqual(crypto.createPrivateKey(sec1).export({ type: 'sec1', format: 'pem' }), sec1)
+        assert.strictEqual(crypto.createPublicKey(KEYS.rsa.publicKey.export({ type: 'pkcs1', format: 'pem' }))
+          .export({ type: 'spki', format: 'pem' }), KEYS.rsa.publicKey.export({ type: 'spki', format: 'pem' }))
+      })
+
+      it('should match node byte for byte on RSA PKCS#1 v1.5 signatures', function(){
+        var pem = KEYS.rsa.privateKey.export({ type: 'pkcs8', format: 'pem' })
+
+        ;['RSA-SHA1', 'sha256', 'sha512'].forEach(function(algorithm){
+          assert.strictEqual(crypto.createSign(algorithm).update('a').update('b').sign(pem, 'hex'),
+            nodeCrypto.createSign(algorithm).update('ab').sign(pem, 'hex'), algorithm)
+        })
+      })
+
+      it('should sign and verify RSA-PSS with node', function(){
+        var options = { padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }
+        var signature = crypto.createSign('sha256').update('x').sign(Object.assign({ key: KEYS.rsa.privateKey.export({ type: 'pkcs1', format: 'pem' }) }, options))
+
+        assert.ok(nodeCrypto.createVerify('sha256').update('x').verify(Object.assign({ key: KEYS.rsa.publicKey }, options), signature))
+        assert.ok(crypto.createVerify('sha256').update('x').verify(Object.assign({
+          key: KEYS.rsa.publicKey.export({ type: 'spki', format: 'pem' })
+        }, options), nodeCrypto.createSign('sha256').update('x').sign(Object.assign({ key: KEYS.rsa.privateKey }, options))))
+      })
+
+      it('should produce IEEE P1363 ECDSA signatures', function(){
+        var key = KEYS['ec P-256']
+        var signature = crypto.sign('sha256', Buffer.from('x'), {
+          key: key.privateKey.export({ type: 'sec1', format: 'pem' }), dsaEncoding: 'ieee-p1363'
+        })
+
+        assert.strictEqual(signature.length, 64)
+        assert.ok(nodeCrypto.verify('sha256', Buffer.from('x'), { key: key.publicKey, dsaEncoding: 'ieee-p1363' }, signature))
+      })
+
+      it('should run a JWT RS256 and ES256 round trip the way jwa does', function(){
+        var input = Buffer.from('{"alg":"RS256"}').toString('base64url') + '.' + Buffer.from('{"sub":"1"}').toString('base64url')
+
+        ;[KEYS.rsa, KEYS['ec P-256']].forEach(function(pair){
+          var privatePem = pair.privateKey.export({ type: 'pkcs8', format: 'pem' })
+          var publicPem = pair.publicKey.export({ type: 'spki', format: 'pem' })
+          var signature = crypto.createSign('RSA-SHA256').update(input).sign(privatePem, 'base64')
+
+          assert.ok(crypto.createVerify('RSA-SHA256').update(input).verify(publicPem, signature, 'base64'))
+          assert.ok(nodeCrypto.createVerify('RSA-SHA256').update(input).verify(publicPem, signature, 'base64'))
+        })
+      })
+
+      it('should generate key pairs', function(){
+        var rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 })
+        var ec = crypto.generateKeyPairSync('ec', {
+          namedCurve: 'P-384',
+          publicKeyEncoding: { type: 'spki', format: 'pem' },
+          privateKeyEncoding: { format: 'jwk' }
+        })
+        var ed = crypto.generateKeyPairSync('ed25519')
+
+        assert.deepStrictEqual(rsa.privateKey.asymmetricKeyDetails, { modulusLength: 1024, publicExponent: 65537n })
+        assert.ok(nodeCrypto.createPublicKey(rsa.privateKey.export({ type: 'pkcs1', format: 'pem' })))
+        assert.ok(/^-----BEGIN PUBLIC KEY-----\n/.test(ec.publicKey))
+        assert.strictEqual(ec.privateKey.crv, 'P-384')
+        assert.strictEqual(ed.publicKey.asymmetricKeyType, 'ed25519')
+        assert.ok(crypto.verify(null, Buffer.from('x'), ed.publicKey, crypto.sign(null, Buffer.from('x'), ed.privateKey)))
+      })
+
+      it('should generate key pairs with a callback', function(done){
+        crypto.generateKeyPair('ec', { namedCurve: 'prime256v1' }, function(err, publicKey, privateKey){
+          if (err) return done(err)
+          assert.strictEqual(publicKey.type, 'public')
+          assert.strictEqual(privateKey.asymmetricKeyDetails.namedCurve, 'prime256v1')
+          done()
+        })
+      })
+
+      it('should reject bad keys like node', function(){
+        var publicPem = KEYS.rsa.publicKey.export({ type: 'spki', format: 'pem' })
+
+        assert.throws(function(){
+          crypto.createPrivateKey(publicPem)
+        }, { code: 'ERR_OSSL_UNSUPPORTED', message: 'error:1E08010C:DECODER routines::unsupported' })
+        assert.throws(function(){
+          crypto.createPublicKey('not a key')
+        }, { code: 'ERR_OSSL_UNSUPPORTED' })
+        assert.throws(function(){
+          crypto.createPrivateKey(crypto.createPublicKey(publicPem))
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE' })
+        assert.throws(function(){
+          crypto.createSign('sha256').update('x').sign(crypto.createPublicKey(publicPem))
+        }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_KEY_OBJECT_TYPE', message: 'Invalid key object type public, expected private.' })
+        assert.throws(function(){
+          crypto.createPublicKey({ key: { kty: 'foo' }, format: 'jwk' })
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_VALUE' })
+        assert.throws(function(){
+          crypto.createPublicKey(publicPem).export({ type: 'pkcs8', format: 'pem' })
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_VALUE', message: "The property 'options.type' is invalid. Received 'pkcs8'" })
+        assert.throws(function(){
+          crypto.createPublicKey(KEYS.ed25519.publicKey.export({ type: 'spki', format: 'pem' })).export({ type: 'pkcs1', format: 'pem' })
+        }, { code: 'ERR_CRYPTO_INCOMPATIBLE_KEY_OPTIONS' })
+      })
+
+      it('should reject bad signing options like node', function(){
+        var privatePem = KEYS.rsa.privateKey.export({ type: 'pkcs8', format: 'pem' })
+        var sign = crypto.createSign('sha256')
+
+        assert.throws(function(){ crypto.createSign('sha0') }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_DIGEST' })
+        assert.throws(function(){ sign.sign() }, { code: 'ERR_CRYPTO_SIGN_KEY_REQUIRED' })
+        sign.sign(privatePem)
+        assert.throws(function(){ sign.sign(privatePem) }, { code: 'ERR_CRYPTO_INVALID_STATE' })
+        assert.throws(function(){
+          crypto.createSign('sha256').sign({ key: privatePem, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING })
+        }, { code: 'ERR_OSSL_ILLEGAL_OR_UNSUPPORTED_PADDING_MODE' })
+        assert.throws(function(){
+          crypto.createSign('sha256').sign(KEYS.ed25519.privateKey.export({ type: 'pkcs8', format: 'pem' }))
+        }, { code: 'ERR_CRYPTO_UNSUPPORTED_OPERATION' })
+        assert.throws(function(){
+          crypto.sign('sha256', Buffer.from('x'), KEYS.ed25519.privateKey.export({ type: 'pkcs8', format: 'pem' }))
+        }, { code: 'ERR_OSSL_INVALID_DIGEST' })
+        assert.throws(function(){
+          crypto.generateKeyPairSync('dsa')
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_VALUE', message: "The argument 'type' must be a supported key type. Received 'dsa'" })
+        assert.throws(function(){
+          crypto.generateKeyPairSync('ec', { namedCurve: 'P-521' })
+        }, { name: 'TypeError', code: 'ERR_CRYPTO_INVALID_CURVE' })
+        assert.throws(function(){
+          crypto.generateKeyPairSync('rsa', {})
+        }, { name: 'TypeError', code: 'ERR_INVALID_ARG_TYPE', message: /"options.modulusLength" property must be of type number/ })
+      })
+    })
+  })
+})
@@ -1,6 +1,7 @@
 'use strict'
 
 var assert = require('node:assert')
+var { Buffer } = require('node:buffer')
 var http = require('../lib/polyfills/http-stub')
 var net = require('../lib/polyfills/net-stub')
 
@@ -29,6 +30,62 @@ describe('polyfills', function(){
         assert.ok(req instanceof http.IncomingMessage)
       })
 
+      it('should be a Readable', function(done){
+        var Readable = require('../lib/polyfills/stream-stub').Readable
+        var req = new http.IncomingMessage()
+        var body = ''
+
+        assert.ok(req instanceof Readable)
+
+        req.on('data', function(chunk){ body += chunk })
+        req.on('end', function(){
+          assert.strictEqual(body, 'hello')
+          done()
+        })
+
+        req.push('hello')
+        req.push(null)
+      })
+
+      it('should decode chunks after setEncoding()', function(done){
+        var req = new http.IncomingMessage()
+        var chunks = []
+
+        assert.strictEqual(req.setEncoding('utf8'), req)
+
+        req.on('data', function(chunk){ chunks.push(chunk) })
+        req.on('end', function(){
+          assert.deepStrictEqual(chunks, ['h\u00e9'])
+          done()
+        })
+
+        req.push(Buffer.from('h\u00e9'))
+        req.push(null)
+      })
+
+      it('should destroy as a Readable', function(done){
+        var req = new http.IncomingMessage()
+        var error = new Error('boom')
+        var events = []
+
+        req._destroy = function(err, callback){
+          events.push('_destroy')
+          callback(err)
+        }
+        req.on('error', function(err){
+          assert.strictEqual(err, error)
+          events.push('error')
+        })
+        req.on('close', function(){
+          assert.deepStrictEqual(events, ['_destroy', 'error'])
+          assert.strictEqual(req.destroyed, true)
+          assert.strictEqual(req.errored, error)
+          done()
+        })
+
+        req.destroy(error)
+      })
+
       it('should have default properties', function(){
         var req = new http.IncomingMessage()
         assert.strictEqual(typeof req.headers, 'object')
@@ -73,6 +130,101 @@ describe('polyfills', function(){
         assert.strictEqual(typeof res.end, 'function')
         res.end() // Should not throw
       })
+
+      it('should throw when setting headers after they are sent', function(){
+        var res = new http.ServerResponse()
+
+        res.writeHead(200)
+        assert.throws(function(){
+          res.setHeader('X-Late', 'value')
+        }, /ERR_HTTP_HEADERS_SENT|Cannot set headers/)
+      })
+
+      it('should send a complete response in one end()', function(){
+        var res = new http.ServerResponse()
+        var calls = []
+
+        res.assignSocket({
+          writeHead: function(head){ calls.push(['writeHead', head]) },
+          write: function(chunk){ calls.push(['write', chunk]) },
+          end: function(chunk, head){ calls.push(['end', chunk, head]) }
+        })
+
+        res.statusCode = 201
+        res.setHeader('Content-Type', 'text/plain')
+        res.end('created')
+
+        assert.strictEqual(calls.length, 1)
+        assert.strictEqual(calls[0][0], 'end')
+        assert.strictEqual(calls[0][1].toString(), 'created')
+        assert.deepStrictEqual(calls[0][2], {
+          statusCode: 201,
+          statusMessage: 'Created',
+          headers: { 'Content-Type': 'text/plain' }
+        })
+      })
+
+      it('should stream writes to the socket', function(){
+        var res = new http.ServerResponse()
+        var calls = []
+
+        res.assignSocket({
+          writeHead: function(head){ calls.push(['writeHead', head.statusCode]) },
+          write: function(chunk){ calls.push(['write', chunk.toString()]) },
+          end: function(chunk, head){ calls.push(['end', chunk && chunk.toString(), head]) }
+        })
+
+        res.write('a')
+        res.write('b')
+        res.end()
+
+        assert.deepStrictEqual(calls, [
+          ['writeHead', 200],
+          ['write', 'a'],
+          ['write', 'b'],
+          ['end', null, undefined]
+        ])
+      })
+
+      it('should drop the body of HEAD and 204 responses', function(){
+        var req = new http.IncomingMessage()
+        var bodies = []
+        var socket = {
+          writeHead: function(){},
+          write: function(chunk){ bodies.push(chunk) },
+          end: function(chunk){ bodies.push(chunk) }
+        }
+
+        req.method = 'HEAD'
+        var head = new http.ServerResponse(req)
+        head.assignSocket(socket)
+        head.end('ignored')
+
+        var empty = new http.ServerResponse()
+        empty.assignSocket(socket)
+        empty.statusCode = 204
+        empty.end('ignored')
+
+        assert.deepStrictEqual(bodies, [null, null])
+      })
+
+      it('should emit finish after end', function(done){
+        var res = new http.ServerResponse()
+
+        res.on('finish', function(){
+          assert.strictEqual(res.writableFinished, true)
+          done()
+        })
+
+        res.end()
+        assert.strictEqual(res.writableEnded, true)
+      })
+    })
+
+    describe('.STATUS_CODES', function(){
+      it('should match Node.js', function(){
+        assert.deepStrictEqual(http.STATUS_CODES, require('node:http').STATUS_CODES)
+      })
     })
 
     describe('.createServer()', function(){
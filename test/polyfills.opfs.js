@@ -1,6 +1,7 @@
 'use strict'
 
 var assert = require('node:assert')
+var { Buffer } = require('node:buffer')
 
 describe('polyfills', function(){
   describe('OPFS adapter', function(){
@@ -17,6 +18,17 @@ describe('polyfills', function(){
       assert.strictEqual(typeof fs.readdirSync, 'function')
       assert.strictEqual(typeof fs.unlinkSync, 'function')
       assert.strictEqual(typeof fs.rmdirSync, 'function')
+      assert.strictEqual(typeof fs.renameSync, 'function')
+      assert.strictEqual(typeof fs.copyFileSync, 'function')
+      assert.strictEqual(typeof fs.cpSync, 'function')
+      assert.strictEqual(typeof fs.appendFileSync, 'function')
+      assert.strictEqual(typeof fs.rmSync, 'function')
+      assert.strictEqual(typeof fs.truncateSync, 'function')
+      assert.strictEqual(typeof fs.accessSync, 'function')
+      assert.strictEqual(typeof fs.utimesSync, 'function')
+      assert.strictEqual(typeof fs.realpathSync, 'function')
+      assert.strictEqual(typeof fs.realpathSync.native, 'function')
+      assert.strictEqual(typeof fs.mkdtempSync, 'function')
       
       // Verify async methods exist
       assert.strictEqual(typeof fs.readFile, 'function')
@@ -27,6 +39,27 @@ describe('polyfills', function(){
       assert.strictEqual(typeof fs.readdir, 'function')
       assert.strictEqual(typeof fs.unlink, 'function')
       assert.strictEqual(typeof fs.rmdir, 'function')
+      assert.strictEqual(typeof fs.rename, 'function')
+      assert.strictEqual(typeof fs.copyFile, 'function')
+      assert.strictEqual(typeof fs.cp, 'function')
+      assert.strictEqual(typeof fs.appendFile, 'function')
+      assert.strictEqual(typeof fs.rm, 'function')
+      assert.strictEqual(typeof fs.truncate, 'function')
+      assert.strictEqual(typeof fs.access, 'function')
+      assert.strictEqual(typeof fs.utimes, 'function')
+      assert.strictEqual(typeof fs.realpath, 'function')
+      assert.strictEqual(typeof fs.realpath.native, 'function')
+      assert.strictEqual(typeof fs.mkdtemp, 'function')
+      assert.strictEqual(fs.constants.F_OK, 0)
+      assert.strictEqual(fs.constants.COPYFILE_EXCL, 1)
+      assert.strictEqual(typeof fs.promises.readFile, 'function')
+      assert.strictEqual(typeof fs.promises.open, 'function')
+      assert.strictEqual(typeof fs.openSync, 'function')
+      assert.strictEqual(typeof fs.readSync, 'function')
+      assert.strictEqual(typeof fs.writeSync, 'function')
+      assert.strictEqual(typeof fs.fstatSync, 'function')
+      assert.strictEqual(typeof fs.closeSync, 'function')
+      assert.strictEqual(fs.constants.O_APPEND, 1024)
       
       // Verify stream methods exist
       assert.strictEqual(typeof fs.createReadStream, 'function')
@@ -50,4 +83,1246 @@ describe('polyfills', function(){
       })
     })
   })
-})
\ No newline at end of file
+  describe('OPFS operations', function(){
+    var createOperations = require('../lib/polyfills/fs/operations').createOperations
+    var createRoot = require('./support/opfs').createRoot
+    var ops
+
+    beforeEach(function(){
+      var root = createRoot()
+      ops = createOperations(function(){ return Promise.resolve(root) })
+    })
+
+    function write(path, data){
+      return ops.writeFileSync({ path: path, data: data })
+    }
+
+    function read(path){
+      return ops.readFileSync({ path: path, encoding: 'utf8' })
+    }
+
+    function shouldFail(promise, props){
+      return promise.then(function(){
+        throw new Error('expected an error')
+      }, function(err){
+        Object.keys(props).forEach(function(key){
+          assert.deepStrictEqual(err[key], props[key], key)
+        })
+        return err
+      })
+    }
+
+    describe('mkdir', function(){
+      it('should create a directory', async function(){
+        await ops.mkdirSync({ path: '/a' })
+        assert.ok((await ops.statSync({ path: '/a' })).isDirectory)
+      })
+
+      it('should fail with EEXIST when the path exists', async function(){
+        await ops.mkdirSync({ path: '/a' })
+        await shouldFail(ops.mkdirSync({ path: '/a' }), {
+          code: 'EEXIST',
+          errno: -17,
+          syscall: 'mkdir',
+          path: '/a',
+          message: "EEXIST: file already exists, mkdir '/a'"
+        })
+      })
+
+      it('should return the first directory created when recursive', async function(){
+        await ops.mkdirSync({ path: '/a' })
+        assert.strictEqual(await ops.mkdirSync({ path: '/a/b/c', options: { recursive: true } }), '/a/b')
+        assert.strictEqual(await ops.mkdirSync({ path: '/a/b/c', options: { recursive: true } }), null)
+      })
+    })
+
+    describe('rename', function(){
+      it('should move a file', async function(){
+        await write('/a.txt', 'hello')
+        await ops.renameSync({ path: '/a.txt', dest: '/b.txt' })
+        assert.strictEqual(await read('/b.txt'), 'hello')
+        assert.strictEqual(await ops.existsSync({ path: '/a.txt' }), false)
+      })
+
+      it('should replace an existing file', async function(){
+        await write('/a.txt', 'new')
+        await write('/b.txt', 'old')
+        await ops.renameSync({ path: '/a.txt', dest: '/b.txt' })
+        assert.strictEqual(await read('/b.txt'), 'new')
+      })
+
+      it('should move a directory tree', async function(){
+        await ops.mkdirSync({ path: '/d/e', options: { recursive: true } })
+        await write('/d/e/f.txt', 'deep')
+        await ops.renameSync({ path: '/d', dest: '/g' })
+        assert.strictEqual(await read('/g/e/f.txt'), 'deep')
+        assert.strictEqual(await ops.existsSync({ path: '/d' }), false)
+      })
+
+      it('should fail with ENOENT naming both paths', async function(){
+        await shouldFail(ops.renameSync({ path: '/nope', dest: '/b' }), {
+          code: 'ENOENT',
+          errno: -2,
+          syscall: 'rename',
+          path: '/nope',
+          dest: '/b',
+          message: "ENOENT: no such file or directory, rename '/nope' -> '/b'"
+        })
+      })
+
+      it('should fail with EISDIR moving a file over a directory', async function(){
+        await write('/a.txt', 'x')
+        await ops.mkdirSync({ path: '/d' })
+        await shouldFail(ops.renameSync({ path: '/a.txt', dest: '/d' }), { code: 'EISDIR', syscall: 'rename' })
+      })
+
+      it('should fail with ENOTEMPTY moving over a non-empty directory', async function(){
+        await ops.mkdirSync({ path: '/d' })
+        await ops.mkdirSync({ path: '/e' })
+        await write('/e/f.txt', 'x')
+        await shouldFail(ops.renameSync({ path: '/d', dest: '/e' }), { code: 'ENOTEMPTY', syscall: 'rename' })
+      })
+
+      it('should fail with EINVAL moving a directory into itself', async function(){
+        await ops.mkdirSync({ path: '/d' })
+        await shouldFail(ops.renameSync({ path: '/d', dest: '/d/e' }), { code: 'EINVAL', syscall: 'rename' })
+      })
+    })
+
+    describe('copyFile', function(){
+      it('should copy a file', async function(){
+        await write('/a.txt', 'hello')
+        await ops.copyFileSync({ path: '/a.txt', dest: '/b.txt' })
+        assert.strictEqual(await read('/a.txt'), 'hello')
+        assert.strictEqual(await read('/b.txt'), 'hello')
+      })
+
+      it('should fail with EEXIST given COPYFILE_EXCL', async function(){
+        await write('/a.txt', 'a')
+        await write('/b.txt', 'b')
+        await shouldFail(ops.copyFileSync({ path: '/a.txt', dest: '/b.txt', mode: 1 }), {
+          code: 'EEXIST',
+          syscall: 'copyfile',
+          message: "EEXIST: file already exists, copyfile '/a.txt' -> '/b.txt'"
+        })
+        assert.strictEqual(await read('/b.txt'), 'b')
+      })
+
+      it('should fail with ENOENT for a missing source', async function(){
+        await shouldFail(ops.copyFileSync({ path: '/nope', dest: '/b' }), {
+          code: 'ENOENT',
+          syscall: 'copyfile',
+          path: '/nope',
+          dest: '/b'
+        })
+      })
+    })
+
+    describe('cp', function(){
+      it('should copy a file, creating parent directories', async function(){
+        await write('/a.txt', 'hello')
+        await ops.cpSync({ path: '/a.txt', dest: '/x/y/a.txt' })
+        assert.strictEqual(await read('/x/y/a.txt'), 'hello')
+      })
+
+      it('should copy a directory tree when recursive', async function(){
+        await ops.mkdirSync({ path: '/d/e', options: { recursive: true } })
+        await write('/d/one.txt', '1')
+        await write('/d/e/two.txt', '2')
+        await ops.cpSync({ path: '/d', dest: '/copy', options: { recursive: true } })
+        assert.strictEqual(await read('/copy/one.txt'), '1')
+        assert.strictEqual(await read('/copy/e/two.txt'), '2')
+        assert.strictEqual(await read('/d/e/two.txt'), '2')
+      })
+
+      it('should fail with ERR_FS_EISDIR copying a directory without recursive', async function(){
+        await ops.mkdirSync({ path: '/d' })
+        var err = await shouldFail(ops.cpSync({ path: '/d', dest: '/e' }), {
+          name: 'SystemError',
+          code: 'ERR_FS_EISDIR',
+          errno: 21,
+          syscall: 'cp',
+          path: '/d'
+        })
+        assert.strictEqual(err.info.code, 'EISDIR')
+      })
+
+      it('should keep existing files when force is false', async function(){
+        await write('/a.txt', 'new')
+        await write('/b.txt', 'old')
+        await ops.cpSync({ path: '/a.txt', dest: '/b.txt', options: { force: false } })
+        assert.strictEqual(await read('/b.txt'), 'old')
+        await shouldFail(ops.cpSync({ path: '/a.txt', dest: '/b.txt', options: { force: false, errorOnExist: true } }), {
+          code: 'ERR_FS_CP_EEXIST'
+        })
+      })
+
+      it('should refuse to copy a directory into itself', async function(){
+        await ops.mkdirSync({ path: '/d' })
+        await shouldFail(ops.cpSync({ path: '/d', dest: '/d/e', options: { recursive: true } }), {
+          code: 'ERR_FS_CP_EINVAL'
+        })
+      })
+
+      it('should fail with ENOENT from lstat for a missing source', async function(){
+        await shouldFail(ops.cpSync({ path: '/nope', dest: '/b' }), {
+          code: 'ENOENT',
+          syscall: 'lstat',
+          path: '/nope'
+        })
+      })
+    })
+
+    describe('appendFile', function(){
+      it('should append to a file', async function(){
+        await write('/a.txt', 'hello')
+        await ops.appendFileSync({ path: '/a.txt', data: ', world' })
+        assert.strictEqual(await read('/a.txt'), 'hello, world')
+      })
+
+      it('should create a missing file', async function(){
+        await ops.appendFileSync({ path: '/a.txt', data: new Uint8Array([104, 105]) })
+        assert.strictEqual(await read('/a.txt'), 'hi')
+      })
+
+      it('should fail with EISDIR for a directory', async function(){
+        await ops.mkdirSync({ path: '/d' })
+        await shouldFail(ops.appendFileSync({ path: '/d', data: 'x' }), { code: 'EISDIR', syscall: 'open' })
+      })
+    })
+
+    describe('rm', function(){
+      it('should remove a file', async function(){
+        await write('/a.txt', 'x')
+        await ops.rmSync({ path: '/a.txt' })
+        assert.strictEqual(await ops.existsSync({ path: '/a.txt' }), false)
+      })
+
+      it('should remove a directory tree when recursive', async function(){
+        await ops.mkdirSync({ path: '/d/e', options: { recursive: true } })
+        await write('/d/e/f.txt', 'x')
+        await ops.rmSync({ path: '/d', options: { recursive: true } })
+        assert.strictEqual(await ops.existsSync({ path: '/d' }), false)
+      })
+
+      it('should fail with ERR_FS_EISDIR for a directory without recursive', async function(){
+        await ops.mkdirSync({ path: '/d' })
+        await shouldFail(ops.rmSync({ path: '/d' }), {
+          name: 'SystemError',
+          code: 'ERR_FS_EISDIR',
+          errno: 21,
+          syscall: 'rm',
+          message: 'Path is a directory: rm returned EISDIR (is a directory) /d'
+        })
+      })
+
+      it('should fail with ENOENT unless forced', async function(){
+        await shouldFail(ops.rmSync({ path: '/nope' }), { code: 'ENOENT', syscall: 'lstat', path: '/nope' })
+        assert.strictEqual(await ops.rmSync({ path: '/nope', options: { force: true } }), null)
+      })
+    })
+
+    describe('truncate', function(){
+      it('should shorten a file', async function(){
+        await write('/a.txt', 'hello')
+        await ops.truncateSync({ path: '/a.txt', len: 2 })
+        assert.strictEqual(await read('/a.txt'), 'he')
+      })
+
+      it('should extend a file with zeros', async function(){
+        await write('/a.txt', 'hi')
+        await ops.truncateSync({ path: '/a.txt', len: 4 })
+        var data = await ops.readFileSync({ path: '/a.txt' })
+        assert.deepStrictEqual(Array.from(data), [104, 105, 0, 0])
+      })
+
+      it('should fail with ENOENT for a missing file', async function(){
+        await shouldFail(ops.truncateSync({ path: '/nope' }), { code: 'ENOENT', syscall: 'open', path: '/nope' })
+      })
+    })
+
+    describe('access', function(){
+      it('should succeed for an existing file', async function(){
+        await write('/a.txt', 'x')
+        assert.strictEqual(await ops.accessSync({ path: '/a.txt', mode: 4 | 2 }), null)
+      })
+
+      it('should fail with ENOENT for a missing file', async function(){
+        await shouldFail(ops.accessSync({ path: '/nope' }), {
+          code: 'ENOENT',
+          syscall: 'access',
+          message: "ENOENT: no such file or directory, access '/nope'"
+        })
+      })
+
+      it('should fail with EACCES checking a file is executable', async function(){
+        await write('/a.txt', 'x')
+        await shouldFail(ops.accessSync({ path: '/a.txt', mode: 1 }), { code: 'EACCES', errno: -13 })
+      })
+    })
+
+    describe('utimes', function(){
+      it('should set the times statSync() reports', async function(){
+        await write('/a.txt', 'x')
+        await ops.utimesSync({ path: '/a.txt', atime: 1000, mtime: 2000 })
+        var stats = await ops.statSync({ path: '/a.txt' })
+        assert.strictEqual(stats.atime.getTime(), 1000)
+        assert.strictEqual(stats.mtime.getTime(), 2000)
+      })
+
+      it('should follow the file through rename', async function(){
+        await write('/a.txt', 'x')
+        await ops.utimesSync({ path: '/a.txt', atime: 1000, mtime: 2000 })
+        await ops.renameSync({ path: '/a.txt', dest: '/b.txt' })
+        assert.strictEqual((await ops.statSync({ path: '/b.txt' })).mtime.getTime(), 2000)
+      })
+
+      it('should fail with ENOENT for a missing file', async function(){
+        await shouldFail(ops.utimesSync({ path: '/nope', atime: 0, mtime: 0 }), { code: 'ENOENT', syscall: 'utime' })
+      })
+    })
+
+    describe('realpath', function(){
+      it('should resolve . and ..', async function(){
+        await ops.mkdirSync({ path: '/a/b', options: { recursive: true } })
+        assert.strictEqual(await ops.realpathSync({ path: '/a/./b/../b' }), '/a/b')
+      })
+
+      it('should fail with ENOENT from lstat', async function(){
+        await shouldFail(ops.realpathSync({ path: '/nope' }), { code: 'ENOENT', syscall: 'lstat', path: '/nope' })
+      })
+    })
+
+    describe('mkdtemp', function(){
+      it('should create a uniquely named directory', async function(){
+        await ops.mkdirSync({ path: '/tmp' })
+        var a = await ops.mkdtempSync({ prefix: '/tmp/foo-' })
+        var b = await ops.mkdtempSync({ prefix: '/tmp/foo-' })
+        assert.match(a, /^\/tmp\/foo-[a-zA-Z0-9]{6}$/)
+        assert.notStrictEqual(a, b)
+        assert.ok((await ops.statSync({ path: a })).isDirectory)
+      })
+
+      it('should fail with ENOENT when the parent is missing', async function(){
+        await shouldFail(ops.mkdtempSync({ prefix: '/nope/foo-' }), {
+          code: 'ENOENT',
+          syscall: 'mkdtemp',
+          path: '/nope/foo-XXXXXX'
+        })
+      })
+    })
+
+    describe('errors', function(){
+      var fsErrors = require('../lib/polyfills/fs/errors')
+
+      it('should survive serialization', async function(){
+        await ops.mkdirSync({ path: '/d' })
+        var err = await shouldFail(ops.rmSync({ path: '/d' }), {})
+        var copy = fsErrors.deserialize(JSON.parse(JSON.stringify(fsErrors.serialize(err))))
+        assert.ok(copy instanceof fsErrors.SystemError)
+        assert.strictEqual(copy.message, err.message)
+        assert.strictEqual(copy.code, err.code)
+        assert.deepStrictEqual(copy.info, err.info)
+      })
+    })
+  })
+
+  describe('OPFS adapter on the main thread', function(){
+    var createRoot = require('./support/opfs').createRoot
+    var fs = require('../lib/polyfills/fs-opfs-adapter')
+    var descriptor
+
+    beforeEach(function(){
+      var root = createRoot()
+      descriptor = Object.getOwnPropertyDescriptor(global, 'navigator')
+      Object.defineProperty(global, 'navigator', {
+        configurable: true,
+        value: { storage: { getDirectory: function(){ return Promise.resolve(root) } } }
+      })
+    })
+
+    afterEach(function(){
+      if (descriptor) {
+        Object.defineProperty(global, 'navigator', descriptor)
+      } else {
+        delete global.navigator
+      }
+    })
+
+    it('should call back with the result', function(done){
+      fs.mkdtemp('/', function(err, path){
+        if (err) return done(err)
+        fs.realpath(path + '/.', function(err, resolved){
+          if (err) return done(err)
+          assert.strictEqual(resolved, path)
+          done()
+        })
+      })
+    })
+
+    it('should return a promise without a callback', async function(){
+      await fs.appendFile('/a.txt', '68690a', 'hex')
+      await fs.copyFile('/a.txt', '/b.txt')
+      await fs.rename('/b.txt', '/c.txt')
+      await fs.truncate('/c.txt', 2)
+      await fs.utimes('/c.txt', new Date(5000), '6')
+      await fs.access('/c.txt', fs.constants.R_OK)
+      await fs.cp('/c.txt', '/d/c.txt')
+      await fs.rm('/d', { recursive: true })
+      await assert.rejects(fs.access('/d'), { code: 'ENOENT', syscall: 'access' })
+    })
+
+    it('should call back with Node-shaped errors', function(done){
+      fs.rename('/nope', '/b', function(err){
+        assert.strictEqual(err.code, 'ENOENT')
+        assert.strictEqual(err.syscall, 'rename')
+        assert.strictEqual(err.dest, '/b')
+        done()
+      })
+    })
+
+    it('should reject invalid arguments', function(){
+      assert.throws(function(){
+        fs.utimes('/a.txt', {}, 0, function(){})
+      }, { code: 'ERR_INVALID_ARG_TYPE' })
+      assert.throws(function(){
+        fs.rm(42, function(){})
+      }, { code: 'ERR_INVALID_ARG_TYPE' })
+    })
+
+    it('should accept file: URLs and Buffers as paths', async function(){
+      await fs.appendFile(new URL('file:///a%20b.txt'), 'x')
+      assert.strictEqual(await fs.realpath(Buffer.from('/a b.txt')), '/a b.txt')
+    })
+
+    it('should read and write with encodings', async function(){
+      await fs.writeFile('/a.txt', '68690a', 'hex')
+      assert.strictEqual(await fs.readFile('/a.txt', 'utf8'), 'hi\n')
+      assert.strictEqual(await fs.readFile('/a.txt', { encoding: 'base64' }), 'aGkK')
+      assert.ok(Buffer.isBuffer(await fs.readFile('/a.txt')))
+    })
+
+    it('should honour the writeFile flag', async function(){
+      await fs.writeFile('/a.txt', 'one')
+      await fs.writeFile('/a.txt', 'two', { flag: 'a' })
+      assert.strictEqual(await fs.readFile('/a.txt', 'utf8'), 'onetwo')
+      await assert.rejects(fs.writeFile('/a.txt', 'x', { flag: 'wx' }), {
+        code: 'EEXIST',
+        syscall: 'open',
+        path: '/a.txt'
+      })
+    })
+
+    it('should fail to write into a missing directory', async function(){
+      await assert.rejects(fs.writeFile('/nope/a.txt', 'x'), { code: 'ENOENT', syscall: 'open' })
+    })
+
+    it('should call back once on errors', function(done){
+      var calls = 0
+      var result = fs.readFile('/nope.txt', function(err){
+        calls++
+        assert.strictEqual(err.code, 'ENOENT')
+        setTimeout(function(){
+          assert.strictEqual(calls, 1)
+          done()
+        }, 10)
+      })
+      assert.strictEqual(result, undefined)
+    })
+
+    it('should return Stats', async function(){
+      await fs.writeFile('/a.txt', 'hello')
+      var stats = await fs.stat('/a.txt')
+      assert.ok(stats instanceof fs.Stats)
+      assert.ok(stats.isFile())
+      assert.ok(!stats.isDirectory())
+      assert.strictEqual(stats.size, 5)
+      assert.strictEqual(typeof stats.mtimeMs, 'number')
+      assert.ok((await fs.stat('/')).isDirectory())
+    })
+
+    it('should list Dirents with withFileTypes', async function(){
+      await fs.mkdir('/d/e', { recursive: true })
+      await fs.writeFile('/d/f.txt', 'x')
+      var entries = await fs.readdir('/d', { withFileTypes: true })
+      assert.deepStrictEqual(entries.map(function(entry){
+        return [entry.name, entry.isDirectory(), entry.isFile()]
+      }).sort(), [['e', true, false], ['f.txt', false, true]])
+      assert.deepStrictEqual((await fs.readdir('/d')).sort(), ['e', 'f.txt'])
+    })
+
+    it('should report the first directory mkdir creates', async function(){
+      assert.strictEqual(await fs.mkdir('/a/b', { recursive: true }), '/a')
+      assert.strictEqual(await fs.mkdir('/a/b', { recursive: true }), undefined)
+      await assert.rejects(fs.mkdir('/a'), { code: 'EEXIST', syscall: 'mkdir' })
+    })
+
+    it('should call back with exists', function(done){
+      fs.exists('/nope', function(exists){
+        assert.strictEqual(exists, false)
+        done()
+      })
+    })
+
+    describe('promises', function(){
+      it('should be the fs/promises module', function(){
+        assert.strictEqual(require('../lib/polyfills/fs/promises'), fs.promises)
+        assert.strictEqual(fs.promises.constants, fs.constants)
+      })
+
+      it('should reject invalid arguments', async function(){
+        var promise = fs.promises.readFile(42)
+        assert.ok(promise instanceof Promise)
+        await assert.rejects(promise, { code: 'ERR_INVALID_ARG_TYPE' })
+      })
+
+      it('should write, read and remove', async function(){
+        await fs.promises.mkdir('/d')
+        await fs.promises.writeFile('/d/a.txt', 'hello')
+        await fs.promises.appendFile('/d/a.txt', ' world')
+        assert.strictEqual(await fs.promises.readFile('/d/a.txt', 'utf8'), 'hello world')
+        await fs.promises.unlink('/d/a.txt')
+        await fs.promises.rmdir('/d')
+        await assert.rejects(fs.promises.stat('/d'), { code: 'ENOENT', syscall: 'stat' })
+      })
+
+      it('should open FileHandles', async function(){
+        var handle = await fs.promises.open('/a.txt', 'w+')
+        await handle.write('hello')
+        assert.strictEqual((await handle.stat()).size, 5)
+        var result = await handle.read(Buffer.alloc(5), 0, 5, 0)
+        assert.strictEqual(result.buffer.toString(), 'hello')
+        await handle.close()
+        assert.strictEqual(await fs.promises.readFile('/a.txt', 'utf8'), 'hello')
+      })
+    })
+
+    describe('file descriptors', function(){
+      it('should open, write, read, fstat and close', function(done){
+        fs.open('/a.txt', 'w+', function(err, fd){
+          if (err) return done(err)
+          assert.strictEqual(typeof fd, 'number')
+          fs.write(fd, Buffer.from('hello world'), function(err, written, buffer){
+            if (err) return done(err)
+            assert.strictEqual(written, 11)
+            assert.strictEqual(buffer.toString(), 'hello world')
+            var target = Buffer.alloc(7, '-')
+            fs.read(fd, target, 2, 5, 6, function(err, bytesRead, buffer){
+              if (err) return done(err)
+              assert.strictEqual(bytesRead, 5)
+              assert.strictEqual(buffer, target)
+              assert.strictEqual(target.toString(), '--world')
+              fs.fstat(fd, function(err, stats){
+                if (err) return done(err)
+                assert.ok(stats.isFile())
+                assert.strictEqual(stats.size, 11)
+                fs.close(fd, done)
+              })
+            })
+          })
+        })
+      })
+
+      it('should write strings at positions', async function(){
+        await fs.writeFile('/a.txt', 'hello')
+        var fd = await fs.open('/a.txt', 'r+')
+        var result = await fs.write(fd, '4a', 0, 'hex')
+        assert.strictEqual(result.bytesWritten, 1)
+        await fs.close(fd)
+        assert.strictEqual(await fs.readFile('/a.txt', 'utf8'), 'Jello')
+      })
+
+      it('should read with options', async function(){
+        await fs.writeFile('/a.txt', 'hello')
+        var fd = await fs.open('/a.txt')
+        var result = await fs.read(fd, { buffer: Buffer.alloc(3), position: 1 })
+        assert.strictEqual(result.buffer.toString(), 'ell')
+        await fs.close(fd)
+      })
+
+      it('should call back with EBADF', function(done){
+        fs.fstat(12345, function(err){
+          assert.strictEqual(err.code, 'EBADF')
+          assert.strictEqual(err.syscall, 'fstat')
+          done()
+        })
+      })
+
+      it('should reject invalid descriptors', function(){
+        assert.throws(function(){
+          fs.close('3', function(){})
+        }, { code: 'ERR_INVALID_ARG_TYPE' })
+      })
+
+      it('should not be in fs.promises', function(){
+        assert.strictEqual(fs.promises.read, undefined)
+        assert.strictEqual(fs.promises.close, undefined)
+      })
+    })
+
+    describe('streams', function(){
+      function collect(stream, events, done){
+        var chunks = []
+        ;['open', 'ready', 'end', 'finish', 'close'].forEach(function(name){
+          stream.on(name, function(){ events.push(name) })
+        })
+        stream.on('data', function(chunk){ chunks.push(chunk) })
+        stream.on('error', done)
+        stream.on('close', function(){ done(null, chunks) })
+      }
+
+      it('should read in highWaterMark chunks', function(done){
+        fs.writeFile('/a.txt', 'hello world', function(err){
+          if (err) return done(err)
+          var events = []
+          var stream = fs.createReadStream('/a.txt', { highWaterMark: 4 })
+          assert.ok(stream instanceof fs.ReadStream)
+          assert.ok(stream.pending)
+          collect(stream, events, function(err, chunks){
+            if (err) return done(err)
+            assert.deepStrictEqual(chunks.map(String), ['hell', 'o wo', 'rld'])
+            assert.deepStrictEqual(events, ['open', 'ready', 'end', 'close'])
+            assert.strictEqual(stream.bytesRead, 11)
+            done()
+          })
+        })
+      })
+
+      it('should read from start to end inclusive', function(done){
+        fs.writeFile('/a.txt', 'hello world', function(err){
+          if (err) return done(err)
+          var stream = fs.createReadStream('/a.txt', { start: 2, end: 7, highWaterMark: 4, encoding: 'utf8' })
+          collect(stream, [], function(err, chunks){
+            if (err) return done(err)
+            assert.deepStrictEqual(chunks, ['llo ', 'wo'])
+            done()
+          })
+        })
+      })
+
+      it('should reject start after end', function(){
+        assert.throws(function(){
+          fs.createReadStream('/a.txt', { start: 5, end: 2 })
+        }, { code: 'ERR_OUT_OF_RANGE' })
+      })
+
+      it('should emit error then close for missing files', function(done){
+        var events = []
+        var stream = fs.createReadStream('/missing.txt')
+        stream.on('error', function(err){
+          events.push(err.code)
+        })
+        stream.on('close', function(){
+          assert.deepStrictEqual(events, ['ENOENT'])
+          done()
+        })
+      })
+
+      it('should read from a given fd', function(done){
+        fs.writeFile('/a.txt', 'hello', function(err){
+          if (err) return done(err)
+          fs.open('/a.txt', function(err, fd){
+            if (err) return done(err)
+            var events = []
+            var stream = fs.createReadStream(null, { fd: fd, encoding: 'utf8' })
+            collect(stream, events, function(err, chunks){
+              if (err) return done(err)
+              assert.deepStrictEqual(chunks, ['hello'])
+              assert.deepStrictEqual(events, ['end', 'close'])
+              fs.fstat(fd, function(err){
+                assert.strictEqual(err.code, 'EBADF')
+                done()
+              })
+            })
+          })
+        })
+      })
+
+      it('should read from a FileHandle', function(done){
+        fs.promises.writeFile('/a.txt', 'hello').then(function(){
+          return fs.promises.open('/a.txt')
+        }).then(function(handle){
+          var stream = fs.createReadStream(null, { fd: handle, start: 1 })
+          collect(stream, [], function(err, chunks){
+            if (err) return done(err)
+            assert.strictEqual(Buffer.concat(chunks).toString(), 'ello')
+            assert.strictEqual(handle.fd, -1)
+            done()
+          })
+        }, done)
+      })
+
+      it('should write a chunk at a time', function(done){
+        var events = []
+        var stream = fs.createWriteStream('/a.txt')
+        assert.ok(stream instanceof fs.WriteStream)
+        collect(stream, events, function(err){
+          if (err) return done(err)
+          assert.deepStrictEqual(events, ['open', 'ready', 'finish', 'close'])
+          assert.strictEqual(stream.bytesWritten, 11)
+          fs.readFile('/a.txt', 'utf8', function(err, data){
+            if (err) return done(err)
+            assert.strictEqual(data, 'hello world')
+            done()
+          })
+        })
+        stream.write('hello')
+        stream.write(Buffer.from(' '))
+        stream.end('world')
+      })
+
+      it('should append with flags a', function(done){
+        fs.writeFile('/a.txt', 'hello', function(err){
+          if (err) return done(err)
+          var stream = fs.createWriteStream('/a.txt', { flags: 'a' })
+          stream.on('error', done)
+          stream.on('close', function(){
+            fs.readFile('/a.txt', 'utf8', function(err, data){
+              if (err) return done(err)
+              assert.strictEqual(data, 'hello world!')
+              done()
+            })
+          })
+          stream.write(' world')
+          stream.end('!')
+        })
+      })
+
+      it('should write from start', function(done){
+        fs.writeFile('/a.txt', 'hello world', function(err){
+          if (err) return done(err)
+          var stream = fs.createWriteStream('/a.txt', { flags: 'r+', start: 6 })
+          stream.on('error', done)
+          stream.on('close', function(){
+            fs.readFile('/a.txt', 'utf8', function(err, data){
+              if (err) return done(err)
+              assert.strictEqual(data, 'hello WOrld')
+              done()
+            })
+          })
+          stream.write('W')
+          stream.end('O')
+        })
+      })
+
+      it('should emit error then close when the file exists with flags wx', function(done){
+        fs.writeFile('/a.txt', 'hello', function(err){
+          if (err) return done(err)
+          var events = []
+          var stream = fs.createWriteStream('/a.txt', { flags: 'wx' })
+          stream.on('error', function(err){
+            events.push(err.code)
+          })
+          stream.on('close', function(){
+            assert.deepStrictEqual(events, ['EEXIST'])
+            done()
+          })
+          stream.end('x')
+        })
+      })
+
+      it('should pipe a range from one file to another', function(done){
+        fs.writeFile('/a.txt', 'hello world', function(err){
+          if (err) return done(err)
+          var output = fs.createWriteStream('/b.txt')
+          output.on('error', done)
+          output.on('close', function(){
+            fs.readFile('/b.txt', 'utf8', function(err, data){
+              if (err) return done(err)
+              assert.strictEqual(data, 'world')
+              done()
+            })
+          })
+          fs.createReadStream('/a.txt', { start: 6, highWaterMark: 2 }).pipe(output)
+        })
+      })
+    })
+  })
+
+  describe('FileHandle', function(){
+    var createOperations = require('../lib/polyfills/fs/operations').createOperations
+    var createRoot = require('./support/opfs').createRoot
+    var open = require('../lib/polyfills/fs/file-handle').open
+
+    ;[['async handles', false], ['sync access handles', true]].forEach(function(backend){
+      describe('with ' + backend[0], function(){
+        var ops
+
+        beforeEach(async function(){
+          var root = createRoot({ syncAccessHandles: backend[1] })
+          ops = createOperations(function(){ return Promise.resolve(root) })
+          await ops.writeFileSync({ path: '/a.txt', data: 'hello' })
+        })
+
+        it('should read from the current position', async function(){
+          var handle = await open(ops, '/a.txt')
+          var first = await handle.read(Buffer.alloc(2), 0, 2, null)
+          var second = await handle.read({ buffer: Buffer.alloc(10) })
+          assert.strictEqual(first.bytesRead, 2)
+          assert.strictEqual(first.buffer.toString(), 'he')
+          assert.strictEqual(second.bytesRead, 3)
+          assert.strictEqual(second.buffer.subarray(0, 3).toString(), 'llo')
+          await handle.close()
+        })
+
+        it('should read at a position without moving', async function(){
+          var handle = await open(ops, '/a.txt')
+          var result = await handle.read(Buffer.alloc(3), 0, 3, 2)
+          assert.strictEqual(result.buffer.toString(), 'llo')
+          assert.strictEqual(await handle.readFile('utf8'), 'hello')
+          await handle.close()
+        })
+
+        it('should write at positions', async function(){
+          var handle = await open(ops, '/a.txt', 'r+')
+          var result = await handle.write('J')
+          assert.strictEqual(result.bytesWritten, 1)
+          assert.strictEqual(result.buffer, 'J')
+          await handle.write(Buffer.from('!!'), 0, 2, 5)
+          await handle.write(Buffer.from('E'))
+          await handle.close()
+          assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'JEllo!!')
+        })
+
+        it('should append in append mode', async function(){
+          var handle = await open(ops, '/a.txt', 'a')
+          await handle.write(' world', 0)
+          await handle.writeFile('!')
+          await handle.close()
+          assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'hello world!')
+        })
+
+        it('should truncate with w', async function(){
+          var handle = await open(ops, '/a.txt', 'w')
+          assert.strictEqual((await handle.stat()).size, 0)
+          await handle.close()
+        })
+
+        it('should truncate', async function(){
+          var handle = await open(ops, '/a.txt', 'r+')
+          await handle.truncate(2)
+          var stats = await handle.stat()
+          assert.ok(stats.isFile())
+          assert.strictEqual(stats.size, 2)
+          await handle.close()
+        })
+
+        it('should create files with w and wx', async function(){
+          var handle = await open(ops, '/b.txt', 'wx')
+          await handle.close()
+          assert.ok(await ops.existsSync({ path: '/b.txt' }))
+          await assert.rejects(open(ops, '/b.txt', 'wx'), {
+            code: 'EEXIST',
+            syscall: 'open',
+            message: "EEXIST: file already exists, open '/b.txt'"
+          })
+        })
+
+        it('should fail to open missing files for reading', async function(){
+          await assert.rejects(open(ops, '/nope.txt'), {
+            code: 'ENOENT',
+            errno: -2,
+            syscall: 'open',
+            path: '/nope.txt'
+          })
+        })
+
+        it('should fail to open directories', async function(){
+          await ops.mkdirSync({ path: '/d' })
+          await assert.rejects(open(ops, '/d'), { code: 'EISDIR', syscall: 'open' })
+        })
+
+        it('should reject invalid flags', async function(){
+          await assert.rejects(open(ops, '/a.txt', 'zz'), {
+            name: 'TypeError',
+            code: 'ERR_INVALID_ARG_VALUE',
+            message: "The argument 'flags' is invalid. Received 'zz'"
+          })
+        })
+
+        it('should refuse reads and writes the flags exclude', async function(){
+          var reader = await open(ops, '/a.txt', 'r')
+          var writer = await open(ops, '/b.txt', 'w')
+          await assert.rejects(reader.write('x'), { code: 'EBADF', syscall: 'write' })
+          await assert.rejects(writer.read(Buffer.alloc(1), 0, 1, 0), {
+            code: 'EBADF',
+            syscall: 'read',
+            message: 'EBADF: bad file descriptor, read'
+          })
+          await reader.close()
+          await writer.close()
+        })
+
+        it('should fail once closed', async function(){
+          var handle = await open(ops, '/a.txt')
+          var closed = false
+          assert.strictEqual(typeof handle.fd, 'number')
+          handle.on('close', function(){ closed = true })
+          await handle.close()
+          assert.ok(closed)
+          assert.strictEqual(handle.fd, -1)
+          await handle.close()
+          await assert.rejects(handle.read(), { code: 'EBADF', syscall: 'read', message: 'file closed' })
+          await assert.rejects(handle.stat(), { code: 'EBADF', syscall: 'fstat' })
+        })
+      })
+    })
+
+    it('should hold the sync access lock until closed', async function(){
+      var root = createRoot({ syncAccessHandles: true })
+      var ops = createOperations(function(){ return Promise.resolve(root) })
+      await ops.writeFileSync({ path: '/a.txt', data: 'x' })
+
+      var handle = await open(ops, '/a.txt', 'r+')
+      await assert.rejects(open(ops, '/a.txt', 'r+'), { code: 'EBUSY', syscall: 'open' })
+      await handle.close()
+      await (await open(ops, '/a.txt', 'r+')).close()
+    })
+
+    it('should not lock the file for read-only opens', async function(){
+      var root = createRoot({ syncAccessHandles: true })
+      var ops = createOperations(function(){ return Promise.resolve(root) })
+      await ops.writeFileSync({ path: '/a.txt', data: 'x' })
+
+      var first = await open(ops, '/a.txt')
+      var second = await open(ops, '/a.txt')
+      await ops.writeFileSync({ path: '/a.txt', data: 'updated' })
+      assert.strictEqual(await first.readFile('utf8'), 'updated')
+      assert.strictEqual(await second.readFile('utf8'), 'updated')
+      await (await open(ops, '/a.txt', 'r+')).close()
+      await first.close()
+      await second.close()
+    })
+
+    it('should write through one writable stream until synced', async function(){
+      var root = createRoot()
+      var ops = createOperations(function(){ return Promise.resolve(root) })
+      await ops.writeFileSync({ path: '/a.txt', data: 'x' })
+
+      var file = await root.getFileHandle('a.txt')
+      var createWritable = file.createWritable
+      var opened = 0
+      file.createWritable = function(){
+        opened++
+        return createWritable.apply(this, arguments)
+      }
+
+      var handle = await open(ops, '/a.txt', 'a')
+      await handle.write('one')
+      await handle.write('two')
+      await handle.write('three')
+      assert.strictEqual(opened, 1)
+      assert.strictEqual((await handle.stat()).size, 12)
+      assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'x')
+
+      await handle.sync()
+      assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'xonetwothree')
+      await handle.write('four')
+      await handle.close()
+      assert.strictEqual(opened, 2)
+      assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'xonetwothreefour')
+      await assert.rejects(handle.sync(), { code: 'EBADF', syscall: 'fsync' })
+    })
+
+    it('should share one writable stream between concurrent writes', async function(){
+      var root = createRoot()
+      var ops = createOperations(function(){ return Promise.resolve(root) })
+      await ops.writeFileSync({ path: '/a.txt', data: 'x' })
+
+      var file = await root.getFileHandle('a.txt')
+      var createWritable = file.createWritable
+      var opened = 0
+      file.createWritable = function(){
+        opened++
+        return createWritable.apply(this, arguments)
+      }
+
+      var handle = await open(ops, '/a.txt', 'r+')
+      await Promise.all([
+        handle.write('one', 0),
+        handle.write('two', 3)
+      ])
+      await handle.close()
+      assert.strictEqual(opened, 1)
+      assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'onetwo')
+    })
+  })
+
+  describe('file descriptors', function(){
+    var createDescriptors = require('../lib/polyfills/fs/descriptors').createDescriptors
+    var createOperations = require('../lib/polyfills/fs/operations').createOperations
+    var createRoot = require('./support/opfs').createRoot
+    var ops
+
+    beforeEach(async function(){
+      var root = createRoot({ syncAccessHandles: true })
+      ops = createOperations(function(){ return Promise.resolve(root) })
+      Object.assign(ops, createDescriptors(ops))
+      await ops.writeFileSync({ path: '/a.txt', data: 'hello world' })
+    })
+
+    function text(bytes){
+      return Buffer.from(bytes).toString()
+    }
+
+    it('should read in parts from the current position', async function(){
+      var fd = await ops.openSync({ path: '/a.txt', flags: 'r' })
+      assert.strictEqual(text(await ops.readSync({ fd: fd, length: 5 })), 'hello')
+      assert.strictEqual(text(await ops.readSync({ fd: fd, length: 100 })), ' world')
+      assert.strictEqual((await ops.readSync({ fd: fd, length: 100 })).length, 0)
+      await ops.closeSync({ fd: fd })
+    })
+
+    it('should read at a position', async function(){
+      var fd = await ops.openSync({ path: '/a.txt' })
+      assert.strictEqual(text(await ops.readSync({ fd: fd, length: 5, position: 6 })), 'world')
+      assert.strictEqual(text(await ops.readSync({ fd: fd, length: 5 })), 'hello')
+      await ops.closeSync({ fd: fd })
+    })
+
+    it('should open the same file twice for reading', async function(){
+      var first = await ops.openSync({ path: '/a.txt' })
+      var second = await ops.openSync({ path: '/a.txt' })
+      assert.strictEqual(text(await ops.readSync({ fd: first, length: 5 })), 'hello')
+      assert.strictEqual(text(await ops.readSync({ fd: second, length: 5, position: 6 })), 'world')
+      await ops.closeSync({ fd: first })
+      await ops.closeSync({ fd: second })
+    })
+
+    it('should write in place', async function(){
+      var fd = await ops.openSync({ path: '/a.txt', flags: 'r+' })
+      assert.strictEqual(await ops.writeSync({ fd: fd, data: new TextEncoder().encode('W'), position: 6 }), 1)
+      await ops.writeSync({ fd: fd, data: new TextEncoder().encode('J') })
+      await ops.closeSync({ fd: fd })
+      assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'Jello World')
+    })
+
+    it('should truncate with w and append with a', async function(){
+      var fd = await ops.openSync({ path: '/a.txt', flags: 'w' })
+      await ops.writeSync({ fd: fd, data: new TextEncoder().encode('one') })
+      await ops.closeSync({ fd: fd })
+      fd = await ops.openSync({ path: '/a.txt', flags: 'a' })
+      await ops.writeSync({ fd: fd, data: new TextEncoder().encode('two'), position: 0 })
+      assert.strictEqual((await ops.fstatSync({ fd: fd })).size, 6)
+      await ops.closeSync({ fd: fd })
+      assert.strictEqual(await ops.readFileSync({ path: '/a.txt', encoding: 'utf8' }), 'onetwo')
+    })
+
+    it('should take O_* flags', async function(){
+      var constants = require('../lib/polyfills/fs/flags').constants
+      var fd = await ops.openSync({ path: '/b.txt', flags: constants.O_WRONLY | constants.O_CREAT | constants.O_EXCL })
+      await ops.writeSync({ fd: fd, data: new TextEncoder().encode('b') })
+      await assert.rejects(ops.readSync({ fd: fd, length: 1 }), { code: 'EBADF', syscall: 'read' })
+      await ops.closeSync({ fd: fd })
+      assert.strictEqual(await ops.readFileSync({ path: '/b.txt', encoding: 'utf8' }), 'b')
+    })
+
+    it('should fail with EEXIST opening an existing file with wx', async function(){
+      await assert.rejects(ops.openSync({ path: '/a.txt', flags: 'wx' }), {
+        code: 'EEXIST',
+        errno: -17,
+        syscall: 'open',
+        path: '/a.txt'
+      })
+    })
+
+    it('should fail with EBADF for unknown and closed descriptors', async function(){
+      var fd = await ops.openSync({ path: '/a.txt' })
+      await ops.closeSync({ fd: fd })
+      await assert.rejects(ops.readSync({ fd: fd, length: 1 }), {
+        code: 'EBADF',
+        errno: -9,
+        syscall: 'read',
+        message: 'EBADF: bad file descriptor, read'
+      })
+      await assert.rejects(ops.writeSync({ fd: 99, data: new Uint8Array(1) }), { code: 'EBADF', syscall: 'write' })
+      await assert.rejects(ops.fstatSync({ fd: fd }), { code: 'EBADF', syscall: 'fstat' })
+      await assert.rejects(ops.closeSync({ fd: fd }), { code: 'EBADF', syscall: 'close' })
+    })
+
+    it('should fail with EBADF writing a descriptor opened for reading', async function(){
+      var fd = await ops.openSync({ path: '/a.txt', flags: 'r' })
+      await assert.rejects(ops.writeSync({ fd: fd, data: new Uint8Array(1) }), { code: 'EBADF', syscall: 'write' })
+      await ops.closeSync({ fd: fd })
+    })
+  })
+
+  describe('OPFS worker', function(){
+    var createRoot = require('./support/opfs').createRoot
+    var fsErrors = require('../lib/polyfills/fs/errors')
+    var workerPath = require.resolve('../lib/polyfills/fs-opfs-worker')
+    var descriptors = {}
+    var handler
+    var id = 0
+
+    before(function(){
+      var root = createRoot({ syncAccessHandles: true })
+      var scope = {}
+
+      ;['self', 'navigator'].forEach(function(name){
+        descriptors[name] = Object.getOwnPropertyDescriptor(global, name)
+      })
+      Object.defineProperty(global, 'self', { configurable: true, value: scope })
+      Object.defineProperty(global, 'navigator', {
+        configurable: true,
+        value: { storage: { getDirectory: function(){ return Promise.resolve(root) } } }
+      })
+
+      delete require.cache[workerPath]
+      require(workerPath)
+      handler = scope.onmessage
+    })
+
+    after(function(){
+      Object.keys(descriptors).forEach(function(name){
+        if (descriptors[name]) {
+          Object.defineProperty(global, name, descriptors[name])
+        } else {
+          delete global[name]
+        }
+      })
+      delete require.cache[workerPath]
+    })
+
+    // Send a request the way syncOperation() does, and read the reply
+    // from the shared buffers
+    async function call(method, args, size){
+      var message = {
+        id: ++id,
+        method: method,
+        args: args,
+        signal: new SharedArrayBuffer(12),
+        buffer: new SharedArrayBuffer(size || 1024)
+      }
+
+      await handler({ data: message })
+
+      var header = new Int32Array(message.signal)
+
+      if (header[0] === 3) {
+        message.collect = true
+        message.signal = new SharedArrayBuffer(12)
+        message.buffer = new SharedArrayBuffer(header[2])
+        await handler({ data: message })
+        header = new Int32Array(message.signal)
+      }
+
+      return {
+        status: header[0],
+        kind: header[1],
+        bytes: new Uint8Array(message.buffer, 0, header[2]).slice()
+      }
+    }
+
+    it('should take written bytes as a Uint8Array', async function(){
+      var data = new Uint8Array([0, 1, 2, 255])
+      var reply = await call('writeFileSync', { path: '/bin', data: data })
+      assert.strictEqual(reply.status, 1)
+      var stats = JSON.parse(new TextDecoder().decode((await call('statSync', { path: '/bin' })).bytes))
+      assert.strictEqual(stats.size, 4)
+    })
+
+    it('should answer with raw bytes in the shared buffer', async function(){
+      await call('writeFileSync', { path: '/bin', data: new Uint8Array([0, 1, 2, 255]) })
+      var reply = await call('readFileSync', { path: '/bin' })
+      assert.strictEqual(reply.status, 1)
+      assert.strictEqual(reply.kind, 1)
+      assert.deepStrictEqual(Array.from(reply.bytes), [0, 1, 2, 255])
+    })
+
+    it('should hand over results larger than the buffer when collected', async function(){
+      var data = new Uint8Array(5000).map(function(_, i){ return i % 251 })
+      await call('writeFileSync', { path: '/big', data: data })
+      var reply = await call('readFileSync', { path: '/big' }, 1024)
+      assert.strictEqual(reply.kind, 1)
+      assert.deepStrictEqual(reply.bytes, data)
+    })
+
+    it('should answer with JSON for other results', async function(){
+      var reply = await call('readdirSync', { path: '/' })
+      assert.strictEqual(reply.kind, 0)
+      assert.ok(JSON.parse(new TextDecoder().decode(reply.bytes)).indexOf('bin') !== -1)
+    })
+
+    it('should read and write descriptors in place', async function(){
+      var fd = JSON.parse(new TextDecoder().decode((await call('openSync', { path: '/bin', flags: 'r+' })).bytes))
+      await call('writeSync', { fd: fd, data: new Uint8Array([9]), position: 2 })
+      var reply = await call('readSync', { fd: fd, length: 10, position: 1 })
+      await call('closeSync', { fd: fd })
+      assert.strictEqual(reply.kind, 1)
+      assert.deepStrictEqual(Array.from(reply.bytes), [1, 9, 255])
+    })
+
+    it('should answer with errors that deserialize', async function(){
+      var reply = await call('readFileSync', { path: '/nope' })
+      var err = fsErrors.deserialize(JSON.parse(new TextDecoder().decode(reply.bytes)))
+      assert.strictEqual(reply.status, 2)
+      assert.strictEqual(err.code, 'ENOENT')
+      assert.strictEqual(err.syscall, 'open')
+      assert.strictEqual(err.path, '/nope')
+    })
+  })
+
+  describe('OPFS adapter sync channel', function(){
+    var adapterPath = require.resolve('../lib/polyfills/fs-opfs-adapter')
+    var descriptor
+    var posted
+    var fs
+
+    // Answers in the shared buffers as soon as it's posted to, so the
+    // caller's Atomics.wait() returns at once
+    function FakeWorker(){}
+
+    FakeWorker.prototype.postMessage = function(message, transfer){
+      var header = new Int32Array(message.signal)
+      posted.push({ message: message, transfer: transfer })
+      header[1] = 0
+      header[2] = 0
+      Atomics.store(header, 0, 1)
+    }
+
+    beforeEach(function(){
+      posted = []
+      descriptor = Object.getOwnPropertyDescriptor(global, 'Worker')
+      Object.defineProperty(global, 'Worker', { configurable: true, writable: true, value: FakeWorker })
+      delete require.cache[adapterPath]
+      fs = require(adapterPath)
+    })
+
+    afterEach(function(){
+      if (descriptor) {
+        Object.defineProperty(global, 'Worker', descriptor)
+      } else {
+        delete global.Worker
+      }
+      delete require.cache[adapterPath]
+    })
+
+    it('should transfer a copy of just the bytes written', function(){
+      var backing = Buffer.alloc(1024, 1)
+      var data = backing.subarray(10, 14)
+
+      fs.writeFileSync('/a.bin', data)
+
+      var sent = posted[0].message.args.data
+      assert.ok(sent instanceof Uint8Array)
+      assert.strictEqual(sent.buffer.byteLength, 4)
+      assert.deepStrictEqual(posted[0].transfer, [sent.buffer])
+      assert.strictEqual(data.length, 4)
+      assert.strictEqual(backing.buffer.byteLength, 1024)
+    })
+
+    it('should send strings as they are', function(){
+      fs.writeFileSync('/a.txt', 'hello')
+      assert.strictEqual(posted[0].message.args.data, 'hello')
+      assert.deepStrictEqual(posted[0].transfer, [])
+    })
+
+    it('should transfer bytes for writeSync', function(){
+      fs.writeSync(3, Buffer.from('hello'), 1, 3, 0)
+      var sent = posted[0].message.args.data
+      assert.strictEqual(Buffer.from(sent).toString(), 'ell')
+      assert.deepStrictEqual(posted[0].transfer, [sent.buffer])
+    })
+  })
+})
@@ -1,6 +1,7 @@
 'use strict'
 
 var assert = require('node:assert')
+var { Buffer } = require('node:buffer')
 var Stream = require('../lib/polyfills/stream-stub')
 var EventEmitter = require('events').EventEmitter
 
@@ -128,6 +129,61 @@ describe('polyfills', function(){
         assert.strictEqual(readable.readable, true)
         assert.ok(readable instanceof Stream)
       })
+
+      it('should emit pushed chunks and end', function(done){
+        var readable = new Stream.Readable()
+        var chunks = []
+
+        readable.on('data', function(chunk){ chunks.push(chunk.toString()) })
+        readable.on('end', function(){
+          assert.deepStrictEqual(chunks, ['a', 'b'])
+          done()
+        })
+
+        readable.push('a')
+        readable.push('b')
+        readable.push(null)
+      })
+
+      it('should call read option when data is wanted', function(done){
+        var count = 0
+        var readable = new Stream.Readable({
+          read: function(){
+            this.push(++count <= 3 ? String(count) : null)
+          }
+        })
+        var data = ''
+
+        readable.on('data', function(chunk){ data += chunk })
+        readable.on('end', function(){
+          assert.strictEqual(data, '123')
+          done()
+        })
+      })
+
+      it('should report a full buffer from push', function(){
+        var readable = new Stream.Readable({ highWaterMark: 4 })
+        assert.strictEqual(readable.push('ab'), true)
+        assert.strictEqual(readable.push('cd'), false)
+      })
+
+      it('should hold data while paused', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+        var chunks = []
+
+        readable.on('data', function(chunk){ chunks.push(chunk.toString()) })
+        readable.pause()
+        readable.push('a')
+
+        setTimeout(function(){
+          assert.deepStrictEqual(chunks, [])
+          readable.resume()
+          setTimeout(function(){
+            assert.deepStrictEqual(chunks, ['a'])
+            done()
+          }, 10)
+        }, 10)
+      })
     })
 
     describe('Writable', function(){
@@ -136,6 +192,53 @@ describe('polyfills', function(){
         assert.strictEqual(writable.writable, true)
         assert.ok(writable instanceof Stream)
       })
+
+      it('should write chunks in order, then finish', function(done){
+        var chunks = []
+        var writable = new Stream.Writable({
+          write: function(chunk, encoding, callback){
+            chunks.push(chunk.toString())
+            setTimeout(callback, 0)
+          }
+        })
+
+        writable.on('finish', function(){
+          assert.deepStrictEqual(chunks, ['a', 'b', 'c'])
+          done()
+        })
+
+        writable.write('a')
+        writable.write(Buffer.from('b'))
+        writable.end('c')
+      })
+
+      it('should emit drain after passing the high water mark', function(done){
+        var writable = new Stream.Writable({
+          highWaterMark: 2,
+          write: function(chunk, encoding, callback){
+            setTimeout(callback, 0)
+          }
+        })
+
+        assert.strictEqual(writable.write('abc'), false)
+        writable.on('drain', done)
+      })
+
+      it('should error on write after end', function(done){
+        var writable = new Stream.Writable({
+          write: function(chunk, encoding, callback){
+            callback()
+          }
+        })
+
+        writable.on('error', function(err){
+          assert.strictEqual(err.code, 'ERR_STREAM_WRITE_AFTER_END')
+          done()
+        })
+
+        writable.end()
+        writable.write('late')
+      })
     })
 
     describe('Duplex', function(){
@@ -155,6 +258,44 @@ describe('polyfills', function(){
         assert.ok(transform instanceof Stream.Duplex)
         assert.ok(transform instanceof Stream)
       })
+
+      it('should transform written chunks and flush at the end', function(done){
+        var output = []
+        var transform = new Stream.Transform({
+          transform: function(chunk, encoding, callback){
+            callback(null, chunk.toString().toUpperCase())
+          },
+          flush: function(callback){
+            callback(null, '!')
+          }
+        })
+
+        transform.on('data', function(chunk){
+          output.push(chunk.toString())
+        })
+        transform.on('end', function(){
+          assert.deepStrictEqual(output, ['AB', 'C', '!'])
+          done()
+        })
+
+        transform.write('ab')
+        transform.end('c')
+      })
+
+      it('should emit errors from _transform', function(done){
+        var transform = new Stream.Transform({
+          transform: function(chunk, encoding, callback){
+            callback(new Error('boom'))
+          }
+        })
+
+        transform.on('error', function(err){
+          assert.strictEqual(err.message, 'boom')
+          done()
+        })
+
+        transform.write('x')
+      })
     })
 
     describe('PassThrough', function(){
@@ -166,6 +307,1157 @@ describe('polyfills', function(){
         assert.ok(passthrough instanceof Stream.Duplex)
         assert.ok(passthrough instanceof Stream)
       })
+
+      it('should pass chunks through unchanged', function(done){
+        var passthrough = new Stream.PassThrough()
+
+        passthrough.on('data', function(chunk){
+          assert.strictEqual(chunk.toString(), 'same')
+          done()
+        })
+
+        passthrough.write('same')
+      })
+    })
+
+    // The tests below are ported from Node's test/parallel/test-stream-*.js
+
+    describe('Readable (node conformance)', function(){
+      it('should default highWaterMark to 16KiB, or 16 objects', function(){
+        assert.strictEqual(new Stream.Readable().readableHighWaterMark, 16384)
+        assert.strictEqual(new Stream.Readable({ objectMode: true }).readableHighWaterMark, 16)
+        assert.strictEqual(new Stream.Writable().writableHighWaterMark, 16384)
+        assert.strictEqual(Stream.getDefaultHighWaterMark(false), 16384)
+        assert.strictEqual(Stream.getDefaultHighWaterMark(true), 16)
+      })
+
+      it('should reject an invalid highWaterMark', function(){
+        assert.throws(function(){
+          new Stream.Readable({ highWaterMark: -1 })
+        }, { code: 'ERR_INVALID_ARG_VALUE' })
+        assert.throws(function(){
+          new Stream.Writable({ highWaterMark: NaN })
+        }, { code: 'ERR_INVALID_ARG_VALUE' })
+      })
+
+      it('should throw from the default _read', function(done){
+        var readable = new Stream.Readable()
+
+        readable.on('error', function(err){
+          assert.strictEqual(err.code, 'ERR_METHOD_NOT_IMPLEMENTED')
+          done()
+        })
+        readable.read()
+      })
+
+      it('should emit readable, then end, when read() drains the buffer', function(done){
+        var events = []
+        var readable = new Stream.Readable({ read: function(){} })
+
+        readable.push('abc')
+        readable.push(null)
+        readable.on('readable', function(){
+          var chunk
+          events.push('readable')
+          while ((chunk = readable.read()) !== null) events.push(chunk.toString())
+        })
+        readable.on('end', function(){ events.push('end') })
+        readable.on('close', function(){
+          assert.deepStrictEqual(events, ['readable', 'abc', 'readable', 'end'])
+          done()
+        })
+      })
+
+      it('should read a given number of bytes', function(){
+        var readable = new Stream.Readable({ read: function(){} })
+
+        readable.push('abc')
+        readable.push('def')
+        assert.strictEqual(readable.read(4).toString(), 'abcd')
+        assert.strictEqual(readable.read(4), null)
+        assert.strictEqual(readable.readableLength, 2)
+        readable.push(null)
+        assert.strictEqual(readable.read(4).toString(), 'ef')
+      })
+
+      it('should stop calling _read at the highWaterMark', function(done){
+        var reads = 0
+        var readable = new Stream.Readable({
+          highWaterMark: 3,
+          read: function(){
+            reads++
+            this.push('x')
+          }
+        })
+
+        readable.read(0)
+        setTimeout(function(){
+          assert.strictEqual(reads, 3)
+          assert.strictEqual(readable.readableLength, 3)
+          done()
+        }, 10)
+      })
+
+      it('should hold objects in object mode', function(done){
+        var readable = new Stream.Readable({ objectMode: true, read: function(){} })
+        var chunks = []
+
+        readable.push({ a: 1 })
+        readable.push(2)
+        readable.push('three')
+        assert.strictEqual(readable.readableLength, 3)
+        readable.push(null)
+
+        readable.on('data', function(chunk){ chunks.push(chunk) })
+        readable.on('end', function(){
+          assert.deepStrictEqual(chunks, [{ a: 1 }, 2, 'three'])
+          done()
+        })
+      })
+
+      it('should reject non-buffer chunks outside object mode', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+
+        readable.on('error', function(err){
+          assert.strictEqual(err.code, 'ERR_INVALID_ARG_TYPE')
+          done()
+        })
+        readable.push(5)
+      })
+
+      it('should error on push after EOF', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+
+        readable.on('error', function(err){
+          assert.strictEqual(err.code, 'ERR_STREAM_PUSH_AFTER_EOF')
+          done()
+        })
+        readable.push(null)
+        readable.push('late')
+      })
+
+      it('should unshift chunks to the front', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+        var data = ''
+
+        readable.setEncoding('utf8')
+        readable.push('world')
+        readable.unshift('hello ')
+        readable.push(null)
+        readable.on('data', function(chunk){ data += chunk })
+        readable.on('end', function(){
+          assert.strictEqual(data, 'hello world')
+          done()
+        })
+      })
+
+      it('should decode multibyte characters split across chunks', function(done){
+        var buf = Buffer.from('h€llo 😀')
+        var readable = new Stream.Readable({ read: function(){} })
+        var chunks = []
+
+        readable.setEncoding('utf8')
+        for (var i = 0; i < buf.length; i++) readable.push(buf.subarray(i, i + 1))
+        readable.push(null)
+
+        readable.on('data', function(chunk){
+          assert.strictEqual(typeof chunk, 'string')
+          chunks.push(chunk)
+        })
+        readable.on('end', function(){
+          assert.strictEqual(chunks.join(''), 'h€llo 😀')
+          done()
+        })
+      })
+
+      it('should keep base64 output aligned across chunks', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+        var data = ''
+
+        readable.setEncoding('base64')
+        readable.push('ab')
+        readable.push('cde')
+        readable.push(null)
+        readable.on('data', function(chunk){ data += chunk })
+        readable.on('end', function(){
+          assert.strictEqual(data, Buffer.from('abcde').toString('base64'))
+          done()
+        })
+      })
+
+      it('should report readableFlowing', function(){
+        var readable = new Stream.Readable({ read: function(){} })
+
+        assert.strictEqual(readable.readableFlowing, null)
+        readable.on('data', function(){})
+        assert.strictEqual(readable.readableFlowing, true)
+        readable.pause()
+        assert.strictEqual(readable.readableFlowing, false)
+        readable.resume()
+        assert.strictEqual(readable.readableFlowing, true)
+      })
+
+      it('should emit error then close on destroy(err)', function(done){
+        var events = []
+        var readable = new Stream.Readable({ read: function(){} })
+
+        readable.on('error', function(err){ events.push('error:' + err.message) })
+        readable.on('end', function(){ events.push('end') })
+        readable.on('close', function(){
+          events.push('close')
+          assert.deepStrictEqual(events, ['error:boom', 'close'])
+          done()
+        })
+
+        readable.destroy(new Error('boom'))
+        assert.strictEqual(readable.destroyed, true)
+        assert.strictEqual(readable.errored.message, 'boom')
+      })
+
+      it('should call _read only once _construct is done', function(done){
+        var events = []
+        var readable = new Stream.Readable({
+          construct: function(callback){
+            events.push('construct')
+            setTimeout(callback, 5)
+          },
+          read: function(){
+            events.push('read')
+            this.push(null)
+          }
+        })
+
+        readable.resume()
+        readable.on('end', function(){
+          assert.deepStrictEqual(events, ['construct', 'read'])
+          done()
+        })
+      })
+
+      it('should support async iteration', function(){
+        var readable = new Stream.Readable({ objectMode: true, read: function(){} })
+        var chunks = []
+
+        readable.push('a')
+        readable.push('b')
+        readable.push(null)
+
+        return (async function(){
+          for await (var chunk of readable) chunks.push(chunk)
+          assert.deepStrictEqual(chunks, ['a', 'b'])
+        })()
+      })
+
+      it('should destroy the stream when iteration breaks early', function(){
+        var readable = Stream.Readable.from(['a', 'b', 'c'])
+
+        return (async function(){
+          for await (var chunk of readable) {
+            if (chunk === 'a') break
+          }
+          assert.strictEqual(readable.destroyed, true)
+        })()
+      })
+
+      it('should reject iteration with the stream error', function(){
+        var readable = new Stream.Readable({ read: function(){} })
+
+        setTimeout(function(){ readable.destroy(new Error('kaboom')) }, 1)
+
+        return assert.rejects(async function(){
+          for await (var chunk of readable) assert.fail(chunk)
+        }, /kaboom/)
+      })
+    })
+
+    describe('Readable.from', function(){
+      it('should read from an array', function(done){
+        var chunks = []
+        var readable = Stream.Readable.from(['a', 'b', 'c'])
+
+        assert.strictEqual(readable.readableObjectMode, true)
+        readable.on('data', function(chunk){ chunks.push(chunk) })
+        readable.on('end', function(){
+          assert.deepStrictEqual(chunks, ['a', 'b', 'c'])
+          done()
+        })
+      })
+
+      it('should emit a string as one chunk', function(done){
+        var chunks = []
+        var readable = Stream.Readable.from('hello')
+
+        readable.on('data', function(chunk){ chunks.push(chunk) })
+        readable.on('end', function(){
+          assert.deepStrictEqual(chunks, ['hello'])
+          done()
+        })
+      })
+
+      it('should read from an async generator', function(done){
+        var chunks = []
+        var readable = Stream.Readable.from((async function* (){
+          yield 1
+          yield 2
+          yield 3
+        })())
+
+        readable.on('data', function(chunk){ chunks.push(chunk) })
+        readable.on('end', function(){
+          assert.deepStrictEqual(chunks, [1, 2, 3])
+          done()
+        })
+      })
+
+      it('should await promises yielded by a sync iterator', function(done){
+        var chunks = []
+        var readable = Stream.Readable.from([Promise.resolve('a'), 'b'])
+
+        readable.on('data', function(chunk){ chunks.push(chunk) })
+        readable.on('end', function(){
+          assert.deepStrictEqual(chunks, ['a', 'b'])
+          done()
+        })
+      })
+
+      it('should error on null values', function(done){
+        var readable = Stream.Readable.from(['a', null])
+
+        readable.on('error', function(err){
+          assert.strictEqual(err.code, 'ERR_STREAM_NULL_VALUES')
+          done()
+        })
+        readable.resume()
+      })
+
+      it('should run the generator finally block on destroy', function(done){
+        var readable = Stream.Readable.from((function* (){
+          try {
+            yield 'a'
+            yield 'b'
+          } finally {
+            done()
+          }
+        })())
+
+        readable.once('data', function(){ readable.destroy() })
+      })
+
+      it('should reject values that are not iterable', function(){
+        assert.throws(function(){
+          Stream.Readable.from(5)
+        }, { code: 'ERR_INVALID_ARG_TYPE' })
+      })
+    })
+
+    describe('Writable (node conformance)', function(){
+      it('should run final before prefinish, end callbacks and finish', function(done){
+        var events = []
+        var writable = new Stream.Writable({
+          write: function(chunk, encoding, callback){
+            events.push('write:' + chunk)
+            setTimeout(callback, 1)
+          },
+          final: function(callback){
+            events.push('final')
+            callback()
+          }
+        })
+
+        writable.write('a', function(){ events.push('cb:a') })
+        writable.end('b', function(){ events.push('end') })
+        writable.on('prefinish', function(){ events.push('prefinish') })
+        writable.on('finish', function(){ events.push('finish') })
+        writable.on('close', function(){
+          assert.deepStrictEqual(events, [
+            'write:a', 'write:b', 'cb:a', 'final', 'prefinish', 'end', 'finish'
+          ])
+          done()
+        })
+      })
+
+      it('should batch corked writes into _writev', function(done){
+        var batches = []
+        var writable = new Stream.Writable({
+          writev: function(chunks, callback){
+            batches.push(chunks.map(function(c){ return c.chunk.toString() }))
+            callback()
+          }
+        })
+
+        writable.cork()
+        writable.write('a')
+        writable.write('b')
+        writable.write('c')
+        assert.strictEqual(writable.writableCorked, 1)
+        assert.strictEqual(writable.writableLength, 3)
+
+        process.nextTick(function(){
+          writable.uncork()
+          writable.end()
+        })
+        writable.on('finish', function(){
+          assert.deepStrictEqual(batches, [['a', 'b', 'c']])
+          done()
+        })
+      })
+
+      it('should keep strings when decodeStrings is false', function(done){
+        var writable = new Stream.Writable({
+          decodeStrings: false,
+          write: function(chunk, encoding, callback){
+            assert.strictEqual(chunk, 'abc')
+            assert.strictEqual(encoding, 'utf8')
+            callback()
+            done()
+          }
+        })
+
+        writable.write('abc')
+      })
+
+      it('should report writableNeedDrain', function(done){
+        var writable = new Stream.Writable({
+          highWaterMark: 1,
+          write: function(chunk, encoding, callback){
+            setTimeout(callback, 1)
+          }
+        })
+
+        assert.strictEqual(writable.writableNeedDrain, false)
+        writable.write('ab')
+        assert.strictEqual(writable.writableNeedDrain, true)
+        writable.on('drain', function(){
+          assert.strictEqual(writable.writableNeedDrain, false)
+          done()
+        })
+      })
+
+      it('should throw on invalid chunks', function(){
+        var writable = new Stream.Writable({ write: function(chunk, encoding, callback){ callback() } })
+
+        assert.throws(function(){
+          writable.write(null)
+        }, { code: 'ERR_STREAM_NULL_VALUES' })
+        assert.throws(function(){
+          writable.write(5)
+        }, { code: 'ERR_INVALID_ARG_TYPE' })
+      })
+
+      it('should error when the write callback is called twice', function(done){
+        var writable = new Stream.Writable({
+          write: function(chunk, encoding, callback){
+            callback()
+            callback()
+          }
+        })
+
+        writable.on('error', function(err){
+          assert.strictEqual(err.code, 'ERR_MULTIPLE_CALLBACK')
+          done()
+        })
+        writable.write('a')
+      })
+
+      it('should fail pending writes on destroy', function(done){
+        var writable = new Stream.Writable({
+          write: function(chunk, encoding, callback){
+            setTimeout(callback, 5)
+          }
+        })
+
+        writable.write('a')
+        writable.write('b', function(err){
+          assert.strictEqual(err.code, 'ERR_STREAM_DESTROYED')
+          done()
+        })
+        writable.destroy()
+      })
+
+      it('should buffer writes until _construct is done', function(done){
+        var events = []
+        var writable = new Stream.Writable({
+          construct: function(callback){
+            events.push('construct')
+            setTimeout(callback, 5)
+          },
+          write: function(chunk, encoding, callback){
+            events.push('write:' + chunk)
+            callback()
+          }
+        })
+
+        writable.write('a')
+        writable.end('b')
+        writable.on('finish', function(){
+          assert.deepStrictEqual(events, ['construct', 'write:a', 'write:b'])
+          done()
+        })
+      })
+
+      it('should treat Duplex instances as Writable', function(){
+        assert.ok(new Stream.Duplex() instanceof Stream.Writable)
+        assert.ok(new Stream.PassThrough() instanceof Stream.Writable)
+        assert.ok(!(new Stream.Readable() instanceof Stream.Writable))
+      })
+    })
+
+    describe('Duplex (node conformance)', function(){
+      it('should end the writable side when allowHalfOpen is false', function(done){
+        var duplex = new Stream.Duplex({
+          allowHalfOpen: false,
+          read: function(){},
+          write: function(chunk, encoding, callback){ callback() }
+        })
+
+        duplex.on('finish', function(){
+          assert.strictEqual(duplex.writableEnded, true)
+          done()
+        })
+        duplex.push(null)
+        duplex.resume()
+      })
+
+      it('should honour readable: false and writable: false', function(){
+        assert.strictEqual(new Stream.Duplex({ readable: false }).readable, false)
+        assert.strictEqual(new Stream.Duplex({ writable: false }).writable, false)
+      })
+
+      it('should take separate options for each side', function(){
+        var duplex = new Stream.Duplex({
+          readableObjectMode: true,
+          writableHighWaterMark: 5
+        })
+
+        assert.strictEqual(duplex.readableObjectMode, true)
+        assert.strictEqual(duplex.readableHighWaterMark, 16)
+        assert.strictEqual(duplex.writableObjectMode, false)
+        assert.strictEqual(duplex.writableHighWaterMark, 5)
+      })
+    })
+
+    describe('Transform (node conformance)', function(){
+      it('should apply backpressure when nobody reads', function(done){
+        var transform = new Stream.Transform({
+          highWaterMark: 2,
+          transform: function(chunk, encoding, callback){ callback(null, chunk) }
+        })
+        var results = []
+
+        for (var i = 0; i < 4; i++) results.push(transform.write('ab'))
+        assert.deepStrictEqual(results, [false, false, false, false])
+
+        setTimeout(function(){
+          assert.strictEqual(transform.readableLength, 2)
+          transform.on('drain', done)
+          transform.resume()
+        }, 5)
+      })
+
+      it('should transform objects in object mode', function(done){
+        var transform = new Stream.Transform({
+          objectMode: true,
+          transform: function(chunk, encoding, callback){
+            this.push(chunk.n)
+            this.push(chunk.n * 2)
+            callback()
+          }
+        })
+        var output = []
+
+        transform.on('data', function(chunk){ output.push(chunk) })
+        transform.on('end', function(){
+          assert.deepStrictEqual(output, [1, 2, 3, 6])
+          done()
+        })
+        transform.write({ n: 1 })
+        transform.end({ n: 3 })
+      })
+
+      it('should run flush before end and finish', function(done){
+        var events = []
+        var transform = new Stream.Transform({
+          transform: function(chunk, encoding, callback){ callback() },
+          flush: function(callback){
+            events.push('flush')
+            setTimeout(callback, 1)
+          }
+        })
+
+        transform.on('end', function(){ events.push('end') })
+        transform.on('finish', function(){
+          events.push('finish')
+          assert.deepStrictEqual(events, ['flush', 'end', 'finish'])
+          done()
+        })
+        transform.end('x')
+        transform.resume()
+      })
+    })
+
+    describe('finished', function(){
+      it('should call back when a readable ends', function(done){
+        var readable = Stream.Readable.from(['a'])
+
+        Stream.finished(readable, function(err){
+          assert.ifError(err)
+          done()
+        })
+        readable.resume()
+      })
+
+      it('should call back when a writable finishes', function(done){
+        var writable = new Stream.Writable({ write: function(chunk, encoding, callback){ callback() } })
+
+        Stream.finished(writable, function(err){
+          assert.ifError(err)
+          done()
+        })
+        writable.end('a')
+      })
+
+      it('should report a premature close', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+
+        Stream.finished(readable, function(err){
+          assert.strictEqual(err.code, 'ERR_STREAM_PREMATURE_CLOSE')
+          done()
+        })
+        readable.destroy()
+      })
+
+      it('should report the stream error', function(done){
+        var writable = new Stream.Writable({
+          write: function(chunk, encoding, callback){ callback(new Error('nope')) }
+        })
+
+        Stream.finished(writable, function(err){
+          assert.strictEqual(err.message, 'nope')
+          done()
+        })
+        writable.write('a')
+      })
+
+      it('should call back for a stream that already finished', function(done){
+        var writable = new Stream.Writable({ write: function(chunk, encoding, callback){ callback() } })
+
+        writable.end()
+        writable.on('finish', function(){
+          Stream.finished(writable, function(err){
+            assert.ifError(err)
+            done()
+          })
+        })
+      })
+
+      it('should return a function that removes its listeners', function(){
+        var readable = new Stream.Readable({ read: function(){} })
+        var before = readable.listenerCount('end')
+        var cleanup = Stream.finished(readable, function(){ assert.fail('called') })
+
+        assert.ok(readable.listenerCount('end') > before)
+        cleanup()
+        assert.strictEqual(readable.listenerCount('end'), before)
+        readable.destroy()
+      })
+
+      it('should abort on signal', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+        var ac = new AbortController()
+
+        Stream.finished(readable, { signal: ac.signal }, function(err){
+          assert.strictEqual(err.name, 'AbortError')
+          done()
+        })
+        ac.abort()
+      })
+    })
+
+    describe('pipeline', function(){
+      it('should pipe streams and call back once done', function(done){
+        var output = []
+
+        Stream.pipeline(
+          Stream.Readable.from(['a', 'b']),
+          new Stream.Transform({
+            transform: function(chunk, encoding, callback){ callback(null, chunk + '!') }
+          }),
+          new Stream.Writable({
+            write: function(chunk, encoding, callback){
+              output.push(chunk.toString())
+              callback()
+            }
+          }),
+          function(err){
+            assert.ifError(err)
+            assert.deepStrictEqual(output, ['a!', 'b!'])
+            done()
+          }
+        )
+      })
+
+      it('should destroy every stream on error', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+        var transform = new Stream.PassThrough()
+        var writable = new Stream.Writable({ write: function(chunk, encoding, callback){ callback() } })
+
+        Stream.pipeline(readable, transform, writable, function(err){
+          assert.strictEqual(err.message, 'bad')
+          assert.strictEqual(readable.destroyed, true)
+          assert.strictEqual(transform.destroyed, true)
+          assert.strictEqual(writable.destroyed, true)
+          done()
+        })
+        transform.destroy(new Error('bad'))
+      })
+
+      it('should report a destination that closes early', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+        var writable = new Stream.Writable({ write: function(chunk, encoding, callback){ callback() } })
+
+        Stream.pipeline(readable, writable, function(err){
+          assert.strictEqual(err.code, 'ERR_STREAM_PREMATURE_CLOSE')
+          assert.strictEqual(readable.destroyed, true)
+          done()
+        })
+        readable.push('a')
+        setTimeout(function(){ writable.destroy() }, 1)
+      })
+
+      it('should respect backpressure', function(done){
+        var pushed = 0
+        var written = 0
+        var readable = new Stream.Readable({
+          highWaterMark: 4,
+          read: function(){ this.push(pushed++ < 10 ? 'abcd' : null) }
+        })
+        var writable = new Stream.Writable({
+          highWaterMark: 4,
+          write: function(chunk, encoding, callback){
+            written++
+            assert.ok(pushed - written <= 3)
+            setTimeout(callback, 1)
+          }
+        })
+
+        Stream.pipeline(readable, writable, function(err){
+          assert.ifError(err)
+          assert.strictEqual(written, 10)
+          done()
+        })
+      })
+
+      it('should take generator functions', function(done){
+        Stream.pipeline(
+          function* (){
+            yield 'a'
+            yield 'b'
+          },
+          async function* (source){
+            for await (var chunk of source) yield chunk.toUpperCase()
+          },
+          async function(source){
+            var result = ''
+            for await (var chunk of source) result += chunk
+            return result
+          },
+          function(err, value){
+            assert.ifError(err)
+            assert.strictEqual(value, 'AB')
+            done()
+          }
+        )
+      })
+
+      it('should pass errors thrown by functions to the callback', function(done){
+        Stream.pipeline(
+          Stream.Readable.from(['a']),
+          async function(source, opts){
+            assert.ok(opts.signal instanceof AbortSignal)
+            for await (var chunk of source) throw new Error('fail ' + chunk)
+          },
+          function(err){
+            assert.strictEqual(err.message, 'fail a')
+            done()
+          }
+        )
+      })
+
+      it('should throw with fewer than two streams', function(){
+        assert.throws(function(){
+          Stream.pipeline(new Stream.PassThrough(), function(){})
+        }, { code: 'ERR_MISSING_ARGS' })
+      })
+
+      it('should throw without a callback', function(){
+        assert.throws(function(){
+          Stream.pipeline(new Stream.PassThrough(), new Stream.PassThrough())
+        }, { code: 'ERR_INVALID_ARG_TYPE' })
+      })
+
+      it('should return the last stream', function(){
+        var last = new Stream.PassThrough()
+        assert.strictEqual(Stream.pipeline(new Stream.PassThrough(), last, function(){}), last)
+      })
+    })
+
+    describe('stream/promises', function(){
+      var promises = require('../lib/polyfills/stream/promises')
+
+      it('should be exposed as Stream.promises', function(){
+        assert.strictEqual(Stream.promises, promises)
+      })
+
+      it('should be what util.promisify returns', function(){
+        var util = require('util')
+        assert.strictEqual(util.promisify(Stream.pipeline), promises.pipeline)
+        assert.strictEqual(util.promisify(Stream.finished), promises.finished)
+      })
+
+      it('should resolve pipeline() on success', function(){
+        var output = []
+
+        return promises.pipeline(
+          Stream.Readable.from(['a', 'b']),
+          new Stream.Writable({
+            objectMode: true,
+            write: function(chunk, encoding, callback){
+              output.push(chunk)
+              callback()
+            }
+          })
+        ).then(function(){
+          assert.deepStrictEqual(output, ['a', 'b'])
+        })
+      })
+
+      it('should reject pipeline() on error', function(){
+        return assert.rejects(promises.pipeline(
+          Stream.Readable.from(['a']),
+          new Stream.Writable({
+            write: function(chunk, encoding, callback){ callback(new Error('no')) }
+          })
+        ), /no/)
+      })
+
+      it('should abort pipeline() on signal', function(){
+        var ac = new AbortController()
+        var readable = new Stream.Readable({ read: function(){} })
+        var promise = promises.pipeline(readable, new Stream.PassThrough(), { signal: ac.signal })
+
+        ac.abort()
+        return assert.rejects(promise, { name: 'AbortError' }).then(function(){
+          assert.strictEqual(readable.destroyed, true)
+        })
+      })
+
+      it('should leave the destination open with end: false', function(){
+        var writable = new Stream.PassThrough()
+
+        return promises.pipeline(Stream.Readable.from(['a']), writable, { end: false })
+          .then(function(){
+            assert.strictEqual(writable.writableEnded, false)
+          })
+      })
+
+      it('should resolve finished()', function(){
+        var readable = Stream.Readable.from(['a'])
+        readable.resume()
+        return promises.finished(readable)
+      })
+    })
+
+    describe('web streams', function(){
+      function bytes(str){
+        return new TextEncoder().encode(str)
+      }
+
+      describe('Readable.fromWeb', function(){
+        it('should read a ReadableStream', function(){
+          var readable = Stream.Readable.fromWeb(new ReadableStream({
+            start: function(controller){
+              controller.enqueue(bytes('ab'))
+              controller.enqueue(bytes('cd'))
+              controller.close()
+            }
+          }), { encoding: 'utf8' })
+
+          return (async function(){
+            var data = ''
+            for await (var chunk of readable) data += chunk
+            assert.strictEqual(data, 'abcd')
+          })()
+        })
+
+        it('should pull only as fast as it is read', function(done){
+          var pulls = 0
+          var readable = Stream.Readable.fromWeb(new ReadableStream({
+            pull: function(controller){
+              pulls++
+              controller.enqueue({ n: pulls })
+            }
+          }, { highWaterMark: 0 }), { objectMode: true, highWaterMark: 2 })
+
+          readable.read(0)
+          setTimeout(function(){
+            assert.ok(pulls <= 3)
+            assert.strictEqual(readable.readableLength, 2)
+            readable.destroy()
+            done()
+          }, 10)
+        })
+
+        it('should destroy the Readable when the ReadableStream errors', function(done){
+          var readable = Stream.Readable.fromWeb(new ReadableStream({
+            pull: function(controller){
+              controller.error(new Error('bad'))
+            }
+          }))
+
+          readable.on('error', function(err){
+            assert.strictEqual(err.message, 'bad')
+            done()
+          })
+          readable.resume()
+        })
+
+        it('should cancel the ReadableStream on destroy', function(done){
+          var readable = Stream.Readable.fromWeb(new ReadableStream({
+            pull: function(controller){
+              controller.enqueue(bytes('x'))
+            },
+            cancel: function(reason){
+              assert.strictEqual(reason.message, 'stop')
+              done()
+            }
+          }))
+
+          readable.on('error', function(){})
+          readable.once('data', function(){
+            readable.destroy(new Error('stop'))
+          })
+        })
+
+        it('should reject anything but a ReadableStream', function(){
+          assert.throws(function(){
+            Stream.Readable.fromWeb({})
+          }, { code: 'ERR_INVALID_ARG_TYPE' })
+          assert.throws(function(){
+            Stream.Readable.fromWeb(new ReadableStream(), { encoding: 'nope' })
+          }, { code: 'ERR_INVALID_ARG_VALUE' })
+        })
+      })
+
+      describe('Readable.toWeb', function(){
+        it('should stop reading when the queue is full', function(){
+          var pushed = 0
+          var readable = new Stream.Readable({
+            highWaterMark: 4,
+            read: function(){
+              this.push(pushed++ < 5 ? 'abcd' : null)
+            }
+          })
+          var stream = Stream.Readable.toWeb(readable)
+
+          return new Promise(function(resolve){ setTimeout(resolve, 10) }).then(async function(){
+            assert.ok(pushed < 5)
+
+            var chunks = []
+            for await (var chunk of stream) {
+              assert.ok(chunk instanceof Uint8Array)
+              chunks.push(Buffer.from(chunk).toString())
+            }
+            assert.strictEqual(chunks.join(''), 'abcd'.repeat(5))
+          })
+        })
+
+        it('should error the ReadableStream when the Readable fails', function(){
+          var readable = new Stream.Readable({ read: function(){} })
+          var stream = Stream.Readable.toWeb(readable)
+
+          setTimeout(function(){ readable.destroy(new Error('x')) }, 1)
+          return assert.rejects(stream.getReader().read(), /x/)
+        })
+
+        it('should destroy the Readable on cancel', function(){
+          var readable = new Stream.Readable({ read: function(){} })
+
+          readable.on('error', function(){})
+          return Stream.Readable.toWeb(readable).cancel(new Error('gone')).then(function(){
+            assert.strictEqual(readable.destroyed, true)
+          })
+        })
+      })
+
+      describe('Writable.fromWeb', function(){
+        it('should write to a WritableStream, respecting backpressure', function(done){
+          var chunks = []
+          var writable = Stream.Writable.fromWeb(new WritableStream({
+            write: function(chunk){
+              chunks.push(Buffer.from(chunk).toString())
+              return new Promise(function(resolve){ setTimeout(resolve, 1) })
+            }
+          }), { highWaterMark: 2 })
+
+          assert.strictEqual(writable.write('ab'), false)
+          writable.end('cd')
+          writable.on('finish', function(){
+            assert.deepStrictEqual(chunks, ['ab', 'cd'])
+            done()
+          })
+        })
+
+        it('should error the Writable when the WritableStream fails', function(done){
+          var writable = Stream.Writable.fromWeb(new WritableStream({
+            write: function(){
+              throw new Error('nope')
+            }
+          }))
+
+          writable.on('error', function(err){
+            assert.strictEqual(err.message, 'nope')
+            done()
+          })
+          writable.write('a')
+        })
+
+        it('should abort the WritableStream on destroy', function(done){
+          var writable = Stream.Writable.fromWeb(new WritableStream({
+            abort: function(reason){
+              assert.strictEqual(reason.message, 'stop')
+              done()
+            }
+          }))
+
+          writable.on('error', function(){})
+          writable.destroy(new Error('stop'))
+        })
+
+        it('should work in a pipeline', function(done){
+          var chunks = []
+
+          Stream.pipeline(
+            Stream.Readable.fromWeb(new ReadableStream({
+              start: function(controller){
+                controller.enqueue(bytes('a'))
+                controller.enqueue(bytes('b'))
+                controller.close()
+              }
+            })),
+            Stream.Writable.fromWeb(new WritableStream({
+              write: function(chunk){
+                chunks.push(Buffer.from(chunk).toString())
+              }
+            })),
+            function(err){
+              assert.ifError(err)
+              assert.deepStrictEqual(chunks, ['a', 'b'])
+              done()
+            }
+          )
+        })
+      })
+
+      describe('Writable.toWeb', function(){
+        it('should write to a Writable and close it', function(){
+          var chunks = []
+          var writable = new Stream.Writable({
+            write: function(chunk, encoding, callback){
+              chunks.push(chunk.toString())
+              setTimeout(callback, 1)
+            }
+          })
+          var writer = Stream.Writable.toWeb(writable).getWriter()
+
+          return writer.write(bytes('abc'))
+            .then(function(){ return writer.write(bytes('d')) })
+            .then(function(){ return writer.close() })
+            .then(function(){
+              assert.deepStrictEqual(chunks, ['abc', 'd'])
+              assert.strictEqual(writable.writableFinished, true)
+            })
+        })
+
+        it('should destroy the Writable on abort', function(){
+          var writable = new Stream.Writable({
+            write: function(chunk, encoding, callback){ callback() }
+          })
+
+          writable.on('error', function(){})
+          return Stream.Writable.toWeb(writable).abort(new Error('abort')).then(function(){
+            assert.strictEqual(writable.destroyed, true)
+          })
+        })
+      })
+
+      describe('Duplex.fromWeb', function(){
+        it('should wrap a TransformStream', function(){
+          var duplex = Stream.Duplex.fromWeb(new TransformStream({
+            transform: function(chunk, controller){
+              controller.enqueue(bytes(Buffer.from(chunk).toString().toUpperCase()))
+            }
+          }), { encoding: 'utf8' })
+
+          duplex.write('hi')
+          duplex.end(' there')
+
+          return (async function(){
+            var data = ''
+            for await (var chunk of duplex) data += chunk
+            assert.strictEqual(data, 'HI THERE')
+          })()
+        })
+
+        it('should reject a pair without web streams', function(){
+          assert.throws(function(){
+            Stream.Duplex.fromWeb({ readable: new ReadableStream(), writable: {} })
+          }, { code: 'ERR_INVALID_ARG_TYPE' })
+        })
+      })
+    })
+
+    describe('utilities', function(){
+      it('should report stream state', function(done){
+        var readable = new Stream.Readable({ read: function(){} })
+
+        assert.strictEqual(Stream.isReadable(readable), true)
+        assert.strictEqual(Stream.isDisturbed(readable), false)
+        readable.push('a')
+        readable.read()
+        assert.strictEqual(Stream.isDisturbed(readable), true)
+
+        readable.on('close', function(){
+          assert.strictEqual(Stream.isDestroyed(readable), true)
+          assert.strictEqual(Stream.isErrored(readable), true)
+          assert.strictEqual(Stream.isReadable(readable), false)
+          done()
+        })
+        readable.on('error', function(){})
+        readable.destroy(new Error('x'))
+      })
+
+      it('should destroy a stream on signal with addAbortSignal', function(done){
+        var ac = new AbortController()
+        var readable = Stream.addAbortSignal(ac.signal, new Stream.Readable({ read: function(){} }))
+
+        readable.on('error', function(err){
+          assert.strictEqual(err.name, 'AbortError')
+          assert.strictEqual(readable.destroyed, true)
+          done()
+        })
+        ac.abort()
+      })
+
+      it('should destroy unfinished streams with an AbortError', function(done){
+        var writable = new Stream.Writable()
+
+        writable.on('error', function(err){
+          assert.strictEqual(err.name, 'AbortError')
+          done()
+        })
+        Stream.destroy(writable)
+        assert.strictEqual(writable.destroyed, true)
+      })
     })
   })
-})
\ No newline at end of file
+})
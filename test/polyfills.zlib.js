@@ -0,0 +1,370 @@
+'use strict'
+
+var assert = require('node:assert')
+var { Buffer } = require('node:buffer')
+var nodeCrypto = require('node:crypto')
+var nodeZlib = require('node:zlib')
+var fs = require('node:fs')
+var path = require('node:path')
+var zlib = require('../lib/polyfills/zlib-stub')
+
+var TEXT = fs.readFileSync(path.join(__dirname, '..', 'lib', 'polyfills', 'crypto-stub.js'))
+
+// Compressible text, incompressible noise, long runs and nothing at all
+var INPUTS = [
+  Buffer.alloc(0),
+  Buffer.from('a'),
+  TEXT,
+  nodeCrypto.randomBytes(70000),
+  Buffer.alloc(100000, 7)
+]
+
+// Pairs of compressor and decompressor, polyfill side first
+var FORMATS = [
+  ['gzipSync', 'gunzipSync'],
+  ['deflateSync', 'inflateSync'],
+  ['deflateRawSync', 'inflateRawSync']
+]
+
+function collect(stream, callback) {
+  var chunks = []
+  stream.on('data', function(chunk){
+    chunks.push(chunk)
+  })
+  stream.on('error', callback)
+  stream.on('end', function(){
+    callback(null, Buffer.concat(chunks))
+  })
+}
+
+function writeInPieces(stream, data, size) {
+  for (var i = 0; i < data.length; i += size) {
+    stream.write(data.subarray(i, i + size))
+  }
+  stream.end()
+}
+
+describe('polyfills', function(){
+  describe('zlib stub', function(){
+    FORMATS.forEach(function(pair){
+      var compress = pair[0]
+      var decompress = pair[1]
+
+      describe('.' + compress + '()', function(){
+        it('should be readable by node', function(){
+          INPUTS.forEach(function(input){
+            [0, 1, 6, 9].forEach(function(level){
+              var output = zlib[compress](input, { level: level })
+              assert.ok(nodeZlib[decompress](output).equals(input), input.length + ' bytes at level ' + level)
+            })
+          })
+        })
+
+        it('should support every strategy', function(){
+          [0, 1, 2, 3, 4].forEach(function(strategy){
+            var output = zlib[compress](TEXT, { strategy: strategy })
+            assert.ok(nodeZlib[decompress](output).equals(TEXT), 'strategy ' + strategy)
+          })
+        })
+
+        it('should support small windows and memLevels', function(){
+          var output = zlib[compress](TEXT, { windowBits: 9, memLevel: 1 })
+          assert.ok(nodeZlib[decompress](output, { windowBits: 9 }).equals(TEXT))
+        })
+
+        it('should compress text', function(){
+          assert.ok(zlib[compress](TEXT).length < TEXT.length / 3)
+        })
+      })
+
+      describe('.' + decompress + '()', function(){
+        it('should read node output', function(){
+          INPUTS.forEach(function(input){
+            var output = zlib[decompress](nodeZlib[compress](input))
+            assert.ok(output.equals(input), input.length + ' bytes')
+          })
+        })
+
+        it('should fail on truncated input', function(){
+          var truncated = nodeZlib[compress](TEXT).subarray(0, 100)
+
+          assert.throws(function(){
+            zlib[decompress](truncated)
+          }, { code: 'Z_BUF_ERROR', errno: -5, message: 'unexpected end of file' })
+        })
+
+        it('should return partial output with finishFlush', function(){
+          var truncated = nodeZlib[compress](TEXT).subarray(0, 1000)
+          var output = zlib[decompress](truncated, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+
+          assert.ok(output.length > 0)
+          assert.ok(TEXT.subarray(0, output.length).equals(output))
+        })
+      })
+    })
+
+    it('should accept strings, ArrayBuffers and views', function(){
+      assert.strictEqual(nodeZlib.gunzipSync(zlib.gzipSync('hello')).toString(), 'hello')
+      assert.strictEqual(nodeZlib.gunzipSync(zlib.gzipSync(new Uint8Array([104, 105]).buffer)).toString(), 'hi')
+      assert.strictEqual(nodeZlib.gunzipSync(zlib.gzipSync(new DataView(new Uint8Array([121, 111]).buffer))).toString(), 'yo')
+    })
+
+    it('should reject other input', function(){
+      assert.throws(function(){
+        zlib.gzipSync(1)
+      }, {
+        name: 'TypeError',
+        code: 'ERR_INVALID_ARG_TYPE',
+        message: 'The "buffer" argument must be of type string or an instance of Buffer, TypedArray, DataView, or ArrayBuffer. Received type number (1)'
+      })
+    })
+
+    it('should validate options like node', function(){
+      [
+        [{ level: 10 }, 'The value of "options.level" is out of range. It must be >= -1 and <= 9. Received 10'],
+        [{ chunkSize: 10 }, 'The value of "options.chunkSize" is out of range. It must be >= 64. Received 10'],
+        [{ windowBits: 8 }, 'The value of "options.windowBits" is out of range. It must be >= 9 and <= 15. Received 8'],
+        [{ memLevel: 0 }, 'The value of "options.memLevel" is out of range. It must be >= 1 and <= 9. Received 0'],
+        [{ strategy: 5 }, 'The value of "options.strategy" is out of range. It must be >= 0 and <= 4. Received 5'],
+        [{ level: Infinity }, 'The value of "options.level" is out of range. It must be a finite number. Received Infinity']
+      ].forEach(function(test){
+        assert.throws(function(){
+          zlib.gzipSync('x', test[0])
+        }, { name: 'RangeError', code: 'ERR_OUT_OF_RANGE', message: test[1] })
+      })
+
+      assert.throws(function(){
+        zlib.gzipSync('x', { level: '1' })
+      }, { code: 'ERR_INVALID_ARG_TYPE' })
+    })
+
+    it('should round trip with a dictionary', function(){
+      var dictionary = Buffer.from('function return const require')
+      var output = zlib.deflateSync(TEXT, { dictionary: dictionary })
+
+      assert.ok(nodeZlib.inflateSync(output, { dictionary: dictionary }).equals(TEXT))
+      assert.ok(zlib.inflateSync(nodeZlib.deflateSync(TEXT, { dictionary: dictionary }), { dictionary: dictionary }).equals(TEXT))
+      assert.throws(function(){
+        zlib.inflateSync(output)
+      }, { code: 'Z_NEED_DICT', errno: 2, message: 'Missing dictionary' })
+      assert.throws(function(){
+        zlib.inflateSync(output, { dictionary: Buffer.from('wrong') })
+      }, { code: 'Z_NEED_DICT', message: 'Bad dictionary' })
+    })
+
+    describe('gzip members', function(){
+      it('should read concatenated members', function(){
+        var output = zlib.gunzipSync(Buffer.concat([nodeZlib.gzipSync('abc'), nodeZlib.gzipSync('def')]))
+        assert.strictEqual(output.toString(), 'abcdef')
+      })
+
+      it('should reject data that is not gzip', function(){
+        assert.throws(function(){
+          zlib.gunzipSync(Buffer.from('not gzip at all'))
+        }, { code: 'Z_DATA_ERROR', errno: -3, message: 'incorrect header check' })
+      })
+
+      it('should detect corrupt data', function(){
+        var output = nodeZlib.gzipSync(TEXT)
+        output[output.length - 5] ^= 1
+
+        assert.throws(function(){
+          zlib.gunzipSync(output)
+        }, { code: 'Z_DATA_ERROR' })
+      })
+
+      it('should limit output to maxOutputLength', function(){
+        assert.throws(function(){
+          zlib.gunzipSync(nodeZlib.gzipSync(TEXT), { maxOutputLength: 100 })
+        }, { name: 'RangeError', code: 'ERR_BUFFER_TOO_LARGE', message: 'Cannot create a Buffer larger than 100 bytes' })
+      })
+    })
+
+    describe('.unzipSync()', function(){
+      it('should read gzip and deflate', function(){
+        assert.ok(zlib.unzipSync(nodeZlib.gzipSync(TEXT)).equals(TEXT))
+        assert.ok(zlib.unzipSync(nodeZlib.deflateSync(TEXT)).equals(TEXT))
+      })
+    })
+
+    describe('.brotliDecompressSync()', function(){
+      it('should read node output', function(){
+        INPUTS.forEach(function(input){
+          [0, 5, 11].forEach(function(quality){
+            var compressed = nodeZlib.brotliCompressSync(input, {
+              params: { [nodeZlib.constants.BROTLI_PARAM_QUALITY]: quality }
+            })
+            assert.ok(zlib.brotliDecompressSync(compressed).equals(input), input.length + ' bytes at quality ' + quality)
+          })
+        })
+      })
+
+      it('should read text mode and small windows', function(){
+        var compressed = nodeZlib.brotliCompressSync(TEXT, {
+          params: {
+            [nodeZlib.constants.BROTLI_PARAM_MODE]: nodeZlib.constants.BROTLI_MODE_TEXT,
+            [nodeZlib.constants.BROTLI_PARAM_LGWIN]: 10
+          }
+        })
+        assert.ok(zlib.brotliDecompressSync(compressed).equals(TEXT))
+      })
+
+      it('should fail like node on bad input', function(){
+        assert.throws(function(){
+          zlib.brotliDecompressSync(Buffer.from('zz'))
+        }, { code: 'ERR__ERROR_FORMAT_RESERVED', errno: -2, message: 'Decompression failed' })
+        assert.throws(function(){
+          zlib.brotliDecompressSync(Buffer.alloc(0))
+        }, { code: 'Z_BUF_ERROR', message: 'unexpected end of file' })
+      })
+    })
+
+    describe('.crc32()', function(){
+      it('should match node', function(){
+        assert.strictEqual(zlib.crc32('abc'), nodeZlib.crc32('abc'))
+        assert.strictEqual(zlib.crc32(TEXT), nodeZlib.crc32(TEXT))
+        assert.strictEqual(zlib.crc32('def', zlib.crc32('abc')), nodeZlib.crc32('abcdef'))
+      })
+    })
+
+    describe('callback API', function(){
+      it('should compress asynchronously', function(done){
+        zlib.gzip(TEXT, function(err, output){
+          if (err) return done(err)
+          assert.ok(nodeZlib.gunzipSync(output).equals(TEXT))
+          done()
+        })
+      })
+
+      it('should pass errors to the callback', function(done){
+        zlib.inflate(Buffer.from('bad'), function(err){
+          assert.strictEqual(err.code, 'Z_DATA_ERROR')
+          done()
+        })
+      })
+
+      it('should take options', function(done){
+        zlib.deflateRaw(TEXT, { level: 1 }, function(err, output){
+          if (err) return done(err)
+          assert.ok(nodeZlib.inflateRawSync(output).equals(TEXT))
+          done()
+        })
+      })
+    })
+
+    describe('streams', function(){
+      it('should gzip written chunks', function(done){
+        var gzip = zlib.createGzip()
+
+        collect(gzip, function(err, output){
+          if (err) return done(err)
+          assert.ok(nodeZlib.gunzipSync(output).equals(TEXT))
+          assert.strictEqual(gzip.bytesWritten, TEXT.length)
+          done()
+        })
+        writeInPieces(gzip, TEXT, 1000)
+      })
+
+      it('should gunzip byte by byte', function(done){
+        var gunzip = zlib.createGunzip()
+
+        collect(gunzip, function(err, output){
+          if (err) return done(err)
+          assert.strictEqual(output.toString(), 'hello hello hello')
+          done()
+        })
+        writeInPieces(gunzip, nodeZlib.gzipSync('hello hello hello'), 1)
+      })
+
+      it('should push output in chunkSize pieces', function(done){
+        var inflate = zlib.createInflate({ chunkSize: 1024 })
+        var sizes = []
+
+        inflate.on('data', function(chunk){
+          sizes.push(chunk.length)
+        })
+        inflate.on('end', function(){
+          assert.ok(sizes.every(function(size){ return size <= 1024 }))
+          assert.strictEqual(sizes.reduce(function(a, b){ return a + b }), TEXT.length)
+          done()
+        })
+        inflate.end(nodeZlib.deflateSync(TEXT))
+      })
+
+      it('should flush output written so far', function(done){
+        var deflate = zlib.createDeflate()
+        var chunks = []
+
+        deflate.on('data', function(chunk){
+          chunks.push(chunk)
+        })
+
+        deflate.write('hello')
+        deflate.flush(zlib.constants.Z_SYNC_FLUSH, function(){
+          var output = nodeZlib.inflateSync(Buffer.concat(chunks), { finishFlush: nodeZlib.constants.Z_SYNC_FLUSH })
+          assert.strictEqual(output.toString(), 'hello')
+          deflate.close(done)
+        })
+      })
+
+      it('should change params mid-stream', function(done){
+        var deflate = zlib.createDeflate({ level: 9 })
+
+        collect(deflate, function(err, output){
+          if (err) return done(err)
+          assert.strictEqual(nodeZlib.inflateSync(output).toString(), 'firstsecond')
+          done()
+        })
+
+        deflate.write('first')
+        deflate.params(0, zlib.constants.Z_DEFAULT_STRATEGY, function(){
+          deflate.end('second')
+        })
+      })
+
+      it('should start over after reset', function(done){
+        var inflate = zlib.createInflate()
+
+        inflate.write(nodeZlib.deflateSync(TEXT).subarray(0, 50))
+        inflate.reset()
+        collect(inflate, function(err, output){
+          if (err) return done(err)
+          assert.strictEqual(output.toString(), 'again')
+          done()
+        })
+        inflate.end(nodeZlib.deflateSync('again'))
+      })
+
+      it('should emit data errors', function(done){
+        var gunzip = zlib.createGunzip()
+
+        gunzip.on('error', function(err){
+          assert.strictEqual(err.code, 'Z_DATA_ERROR')
+          assert.strictEqual(err.errno, -3)
+          assert.strictEqual(err.message, 'incorrect header check')
+          done()
+        })
+        gunzip.end(Buffer.from('garbage!!'))
+      })
+
+      it('should decompress brotli in pieces', function(done){
+        var brotli = zlib.createBrotliDecompress()
+
+        collect(brotli, function(err, output){
+          if (err) return done(err)
+          assert.ok(output.equals(TEXT))
+          done()
+        })
+        writeInPieces(brotli, nodeZlib.brotliCompressSync(TEXT), 7)
+      })
+    })
+
+    describe('.constants', function(){
+      it('should match node', function(){
+        Object.keys(zlib.constants).forEach(function(name){
+          assert.strictEqual(zlib.constants[name], nodeZlib.constants[name], name)
+        })
+      })
+    })
+  })
+})
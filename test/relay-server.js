@@ -1,6 +1,7 @@
 'use strict'
 
 var assert = require('node:assert')
+var Buffer = require('node:buffer').Buffer
 var http = require('node:http')
 var WebSocket = require('ws')
 var spawn = require('node:child_process').spawn
@@ -15,7 +16,8 @@ describe('relay server', function(){
     relayProcess = spawn('node', ['relay-server.js'], {
       env: Object.assign({}, process.env, {
         HTTP_PORT: '8888',
-        WS_PORT: '3333'
+        WS_PORT: '3333',
+        REQUEST_WINDOW: '1024'
       })
     })
     
@@ -117,4 +119,785 @@ describe('relay server', function(){
     
     ws.on('error', done)
   })
-})
\ No newline at end of file
+
+  it('should relay binary bodies byte for byte', function(done){
+    var bytes = Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0xff, 0xfe, 0x00, 0x80])
+    var ws = new WebSocket('ws://localhost:3333')
+
+    ws.once('message', function(){
+      var received = []
+
+      ws.on('message', function(data){
+        var message = JSON.parse(data.toString())
+
+        if (message.type === 'http-request') {
+          assert.strictEqual(message.streamBody, true)
+        } else if (message.type === 'http-request-chunk') {
+          assert.strictEqual(message.bodyEncoding, 'base64')
+          received.push(Buffer.from(message.body, 'base64'))
+        } else if (message.type === 'http-request-end') {
+          var body = Buffer.concat(received)
+          assert.ok(body.equals(bytes))
+
+          // Echo the bytes back
+          ws.send(JSON.stringify({
+            id: message.id,
+            type: 'http-response',
+            statusCode: 200,
+            headers: { 'content-type': 'application/octet-stream' },
+            body: body.toString('base64'),
+            bodyEncoding: 'base64'
+          }))
+        }
+      })
+
+      var req = http.request({ port: 8888, method: 'POST', path: '/echo' }, function(res){
+        var chunks = []
+        res.on('data', function(chunk){ chunks.push(chunk) })
+        res.on('end', function(){
+          assert.ok(Buffer.concat(chunks).equals(bytes))
+          ws.close()
+          done()
+        })
+      })
+      req.end(bytes)
+    })
+  })
+
+  describe('streamed request bodies', function(){
+    it('should send requests without a body complete', function(done){
+      var ws = new WebSocket('ws://localhost:3333')
+
+      ws.once('message', function(){
+        ws.on('message', function(data){
+          var message = JSON.parse(data.toString())
+          assert.strictEqual(message.type, 'http-request')
+          assert.strictEqual(message.streamBody, false)
+          ws.send(JSON.stringify({ id: message.id, type: 'http-response', statusCode: 204 }))
+        })
+
+        http.get('http://localhost:8888/', function(res){
+          assert.strictEqual(res.statusCode, 204)
+          res.resume()
+          ws.close()
+          done()
+        })
+      })
+    })
+
+    it('should pause the upload until the browser grants credit', function(done){
+      this.timeout(5000)
+
+      var ws = new WebSocket('ws://localhost:3333')
+      var received = []
+      var granting = false
+      var id
+
+      function grant(bytes){
+        ws.send(JSON.stringify({ id: id, type: 'http-request-credit', bytes: bytes }))
+      }
+
+      ws.once('message', function(){
+        ws.on('message', function(data){
+          var message = JSON.parse(data.toString())
+
+          if (message.type === 'http-request') {
+            id = message.id
+          } else if (message.type === 'http-request-chunk') {
+            var chunk = Buffer.from(message.body, 'base64')
+            received.push(chunk)
+            if (granting) grant(chunk.length)
+          } else if (message.type === 'http-request-end') {
+            assert.strictEqual(Buffer.concat(received).length, 2048)
+            ws.send(JSON.stringify({ id: id, type: 'http-response', statusCode: 201 }))
+          }
+        })
+
+        var req = http.request({
+          port: 8888,
+          method: 'POST',
+          path: '/upload',
+          headers: { 'transfer-encoding': 'chunked' }
+        }, function(res){
+          assert.strictEqual(res.statusCode, 201)
+          res.resume()
+          ws.close()
+          done()
+        })
+
+        // The first 1024 bytes use up the whole window
+        req.write(Buffer.alloc(1024, 'a'))
+
+        setTimeout(function(){
+          assert.strictEqual(Buffer.concat(received).length, 1024)
+          req.write(Buffer.alloc(1024, 'b'))
+
+          setTimeout(function(){
+            // Nothing more until credit is granted
+            assert.strictEqual(Buffer.concat(received).length, 1024)
+            granting = true
+            grant(1024)
+            req.end()
+          }, 200)
+        }, 200)
+      })
+    })
+  })
+
+  describe('streamed responses', function(){
+    it('should write frames as they arrive', function(done){
+      var ws = new WebSocket('ws://localhost:3333')
+      var id
+
+      ws.once('message', function(){
+        ws.on('message', function(data){
+          var message = JSON.parse(data.toString())
+          if (message.type !== 'http-request') return
+
+          id = message.id
+
+          ws.send(JSON.stringify({
+            id: message.id,
+            type: 'http-response-head',
+            statusCode: 200,
+            headers: { 'content-type': 'text/event-stream' }
+          }))
+          ws.send(JSON.stringify({
+            id: message.id,
+            type: 'http-response-chunk',
+            body: Buffer.from('data: one\n\n').toString('base64'),
+            bodyEncoding: 'base64'
+          }))
+        })
+
+        http.get('http://localhost:8888/events', function(res){
+          assert.strictEqual(res.statusCode, 200)
+          assert.strictEqual(res.headers['content-type'], 'text/event-stream')
+          assert.strictEqual(res.headers['transfer-encoding'], 'chunked')
+
+          var body = ''
+          res.once('data', function(chunk){
+            // First event arrives before the stream is ended
+            assert.strictEqual(chunk.toString(), 'data: one\n\n')
+            body += chunk
+
+            res.on('data', function(chunk){ body += chunk })
+            res.on('end', function(){
+              assert.strictEqual(body, 'data: one\n\ndata: two\n\n')
+              ws.close()
+              done()
+            })
+
+            ws.send(JSON.stringify({
+              id: id,
+              type: 'http-response-end',
+              body: 'data: two\n\n'
+            }))
+          })
+        })
+      })
+    })
+
+    it('should tell the browser when the client disconnects', function(done){
+      var ws = new WebSocket('ws://localhost:3333')
+
+      ws.once('message', function(){
+        ws.on('message', function(data){
+          var message = JSON.parse(data.toString())
+
+          if (message.type === 'http-request') {
+            ws.send(JSON.stringify({
+              id: message.id,
+              type: 'http-response-head',
+              statusCode: 200,
+              headers: { 'content-type': 'text/event-stream' }
+            }))
+          } else if (message.type === 'http-request-abort') {
+            assert.ok(message.id > 0)
+            ws.close()
+            done()
+          }
+        })
+
+        var req = http.get('http://localhost:8888/events', function(res){
+          assert.strictEqual(res.statusCode, 200)
+          req.destroy()
+        })
+        req.on('error', function(){})
+      })
+    })
+
+    it('should cut the response short when the browser disconnects', function(done){
+      var ws = new WebSocket('ws://localhost:3333')
+
+      ws.once('message', function(){
+        ws.on('message', function(data){
+          var message = JSON.parse(data.toString())
+          if (message.type !== 'http-request') return
+
+          ws.send(JSON.stringify({
+            id: message.id,
+            type: 'http-response-head',
+            statusCode: 200,
+            headers: { 'content-type': 'text/plain' }
+          }))
+          ws.send(JSON.stringify({
+            id: message.id,
+            type: 'http-response-chunk',
+            body: 'partial'
+          }))
+        })
+
+        var req = http.get('http://localhost:8888/download', function(res){
+          assert.strictEqual(res.statusCode, 200)
+
+          var body = ''
+          res.on('data', function(chunk){
+            body += chunk
+            ws.terminate()
+          })
+          res.on('close', function(){
+            assert.strictEqual(body, 'partial')
+            assert.strictEqual(res.complete, false)
+            done()
+          })
+        })
+        req.on('error', function(){})
+      })
+    })
+
+    it('should respond 502 when the browser disconnects before answering', function(done){
+      var ws = new WebSocket('ws://localhost:3333')
+
+      ws.once('message', function(){
+        ws.on('message', function(data){
+          if (JSON.parse(data.toString()).type === 'http-request') {
+            ws.terminate()
+          }
+        })
+
+        http.get('http://localhost:8888/slow', function(res){
+          assert.strictEqual(res.statusCode, 502)
+          res.resume()
+          res.on('end', done)
+        })
+      })
+    })
+  })
+
+  describe('multiple tenants', function(){
+    function connectTenant(tenant, handler, callback){
+      var ws = new WebSocket('ws://localhost:3333/?tenant=' + tenant)
+
+      ws.once('message', function(data){
+        var welcome = JSON.parse(data.toString())
+        assert.strictEqual(welcome.tenant, tenant.toLowerCase())
+
+        ws.on('message', function(data){
+          var message = JSON.parse(data.toString())
+          if (message.type !== 'http-request') return
+          ws.send(JSON.stringify({
+            id: message.id,
+            type: 'http-response',
+            statusCode: 200,
+            headers: { 'content-type': 'text/plain' },
+            body: handler(message)
+          }))
+        })
+
+        callback(ws)
+      })
+    }
+
+    function get(path, host, callback){
+      http.get({ port: 8888, path: path, headers: { host: host } }, function(res){
+        var body = ''
+        res.on('data', function(chunk){ body += chunk })
+        res.on('end', function(){ callback(res, body) })
+      })
+    }
+
+    it('should dispatch by subdomain', function(done){
+      connectTenant('alice', function(message){
+        return 'alice ' + message.url
+      }, function(alice){
+        connectTenant('bob', function(message){
+          return 'bob ' + message.url
+        }, function(bob){
+          get('/users', 'alice.localhost:8888', function(res, body){
+            assert.strictEqual(res.statusCode, 200)
+            assert.strictEqual(body, 'alice /users')
+
+            get('/users', 'bob.localhost:8888', function(res, body){
+              assert.strictEqual(res.statusCode, 200)
+              assert.strictEqual(body, 'bob /users')
+              alice.close()
+              bob.close()
+              done()
+            })
+          })
+        })
+      })
+    })
+
+    it('should dispatch by path prefix and rewrite the url', function(done){
+      connectTenant('carol', function(message){
+        return message.tenant + ' ' + message.url
+      }, function(carol){
+        get('/t/carol/items?page=2', 'localhost:8888', function(res, body){
+          assert.strictEqual(res.statusCode, 200)
+          assert.strictEqual(body, 'carol /items?page=2')
+
+          get('/t/carol', 'localhost:8888', function(res, body){
+            assert.strictEqual(body, 'carol /')
+            carol.close()
+            done()
+          })
+        })
+      })
+    })
+
+    it('should respond 503 for a tenant that is not connected', function(done){
+      get('/', 'nobody.localhost:8888', function(res, body){
+        assert.strictEqual(res.statusCode, 503)
+        assert.ok(body.includes('Browser Express app not connected for tenant "nobody"'))
+        done()
+      })
+    })
+
+    it('should respond 400 for a malformed tenant in the path', function(done){
+      get('/t/%E0%A4%A/x', 'localhost:8888', function(res, body){
+        assert.strictEqual(res.statusCode, 400)
+        assert.ok(body.includes('malformed tenant'))
+
+        // The relay is still up for the next request
+        get('/', 'nobody.localhost:8888', function(res){
+          assert.strictEqual(res.statusCode, 503)
+          done()
+        })
+      })
+    })
+
+    it('should match tenant names whatever their case', function(done){
+      connectTenant('Frank', function(message){ return 'frank ' + message.url }, function(ws){
+        get('/a', 'frank.localhost:8888', function(res, body){
+          assert.strictEqual(body, 'frank /a')
+
+          get('/t/FRANK/b', 'localhost:8888', function(res, body){
+            assert.strictEqual(body, 'frank /b')
+            ws.close()
+            done()
+          })
+        })
+      })
+    })
+
+    it('should not replace other tenants on connect', function(done){
+      connectTenant('dave', function(){ return 'dave' }, function(dave){
+        connectTenant('erin', function(){ return 'erin' }, function(erin){
+          get('/', 'dave.localhost:8888', function(res, body){
+            assert.strictEqual(body, 'dave')
+            dave.close()
+            erin.close()
+            done()
+          })
+        })
+      })
+    })
+  })
+})
+
+describe('relay server authentication', function(){
+  var WebSocketTransport = require('../lib/transports/ws-transport')
+  var crypto = require('node:crypto')
+  var relayProcess
+
+  // The secret the relay derives for a tenant from RELAY_SECRET
+  function tenantSecret(tenant){
+    return crypto.createHmac('sha256', 'shared-secret').update(tenant).digest('hex')
+  }
+
+  function sign(tenant, nonce, secret){
+    return crypto.createHmac('sha256', secret || tenantSecret(tenant))
+      .update(tenant + ':' + nonce)
+      .digest('hex')
+  }
+
+  // Collect the frames a connection receives until the relay closes it
+  function frames(ws, callback){
+    var received = []
+    ws.on('message', function(data){ received.push(JSON.parse(data.toString())) })
+    ws.on('close', function(code){ callback(code, received) })
+  }
+
+  before(function(done){
+    this.timeout(5000)
+
+    relayProcess = spawn('node', ['relay-server.js'], {
+      env: Object.assign({}, process.env, {
+        HTTP_PORT: '8889',
+        WS_PORT: '3334',
+        RELAY_KEYS: 'default:key-one,alice:key-two',
+        RELAY_SECRET: 'shared-secret'
+      })
+    })
+
+    var started = false
+
+    relayProcess.stdout.on('data', function(data){
+      if (!started && data.toString().includes('WebSocket Server listening')) {
+        started = true
+        setTimeout(done, 500)
+      }
+    })
+  })
+
+  after(function(done){
+    relayProcess.on('exit', function(){ done() })
+    relayProcess.kill('SIGINT')
+  })
+
+  it('should reject clients that do not authenticate', function(done){
+    var ws = new WebSocket('ws://localhost:3334')
+
+    ws.once('message', function(data){
+      var welcome = JSON.parse(data.toString())
+      assert.strictEqual(welcome.type, 'welcome')
+      assert.strictEqual(welcome.authenticated, false)
+      assert.strictEqual(typeof welcome.nonce, 'string')
+      ws.send(JSON.stringify({ type: 'ping' }))
+    })
+
+    frames(ws, function(code, received){
+      assert.strictEqual(code, 4401)
+      assert.strictEqual(received[received.length - 1].type, 'auth-failed')
+      done()
+    })
+  })
+
+  it('should accept a query-string token for its tenant', function(done){
+    var ws = new WebSocket('ws://localhost:3334/?tenant=alice&token=key-two')
+
+    ws.on('message', function(data){
+      var message = JSON.parse(data.toString())
+      assert.strictEqual(message.type, 'welcome')
+      assert.strictEqual(message.authenticated, true)
+      assert.strictEqual(message.nonce, undefined)
+      ws.close()
+      done()
+    })
+  })
+
+  it('should reject a token for another tenant at once', function(done){
+    var start = Date.now()
+    var ws = new WebSocket('ws://localhost:3334/?tenant=bob&token=key-two')
+
+    frames(ws, function(code, received){
+      assert.strictEqual(code, 4401)
+      assert.deepStrictEqual(received.map(function(m){ return m.type }), ['auth-failed'])
+      assert.ok(Date.now() - start < 1000)
+      done()
+    })
+  })
+
+  it('should accept an auth message signing the nonce', function(done){
+    var ws = new WebSocket('ws://localhost:3334/?tenant=alice')
+
+    ws.once('message', function(data){
+      var welcome = JSON.parse(data.toString())
+      ws.send(JSON.stringify({ type: 'auth', signature: sign('alice', welcome.nonce) }))
+
+      ws.once('message', function(data){
+        var message = JSON.parse(data.toString())
+        assert.strictEqual(message.type, 'authenticated')
+        assert.strictEqual(message.tenant, 'alice')
+        ws.close()
+        done()
+      })
+    })
+  })
+
+  it('should issue a new nonce to every connection', function(done){
+    var first = new WebSocket('ws://localhost:3334/?tenant=alice')
+
+    first.once('message', function(data){
+      var replayed = sign('alice', JSON.parse(data.toString()).nonce)
+      first.close()
+
+      var second = new WebSocket('ws://localhost:3334/?tenant=alice')
+      second.once('message', function(){
+        second.send(JSON.stringify({ type: 'auth', signature: replayed }))
+      })
+      frames(second, function(code, received){
+        assert.strictEqual(code, 4401)
+        assert.strictEqual(received[received.length - 1].type, 'auth-failed')
+        done()
+      })
+    })
+  })
+
+  it('should not accept one tenant\'s secret for another', function(done){
+    var ws = new WebSocket('ws://localhost:3334/?tenant=bob')
+
+    ws.once('message', function(data){
+      var nonce = JSON.parse(data.toString()).nonce
+      ws.send(JSON.stringify({ type: 'auth', signature: sign('bob', nonce, tenantSecret('alice')) }))
+    })
+
+    frames(ws, function(code){
+      assert.strictEqual(code, 4401)
+      done()
+    })
+  })
+
+  it('should not let another tenant\'s credentials replace a client', function(done){
+    var alice = new WebSocket('ws://localhost:3334/?tenant=alice&token=key-two')
+
+    alice.once('message', function(){
+      var intruder = new WebSocket('ws://localhost:3334/?tenant=alice&token=key-one')
+
+      intruder.on('close', function(code){
+        assert.strictEqual(code, 4401)
+        assert.strictEqual(alice.readyState, WebSocket.OPEN)
+        alice.close()
+        done()
+      })
+    })
+  })
+
+  it('should not route requests to unauthenticated clients', function(done){
+    var ws = new WebSocket('ws://localhost:3334/')
+
+    ws.on('open', function(){
+      http.get('http://localhost:8889/', function(res){
+        assert.strictEqual(res.statusCode, 503)
+        res.resume()
+        res.on('end', function(){
+          ws.close()
+          done()
+        })
+      })
+    })
+  })
+
+  describe('WebSocketTransport', function(){
+    it('should connect with a token', function(){
+      var transport = new WebSocketTransport('ws://localhost:3334')
+
+      return transport.connect({ token: 'key-one' }).then(function(){
+        assert.strictEqual(transport.connected, true)
+        transport.close()
+      })
+    })
+
+    it('should connect with a tenant secret', function(){
+      var transport = new WebSocketTransport('ws://localhost:3334', {
+        tenant: 'bob',
+        credentials: { secret: tenantSecret('bob') }
+      })
+
+      return transport.connect().then(function(){
+        assert.strictEqual(transport.connected, true)
+        transport.close()
+      })
+    })
+
+    it('should emit auth-failed and not reconnect', function(done){
+      var transport = new WebSocketTransport('ws://localhost:3334')
+      var failures = 0
+
+      transport.on('error', function(){})
+      transport.on('reconnecting', function(){
+        done(new Error('should not reconnect'))
+      })
+      transport.on('auth-failed', function(err){
+        failures++
+        assert.strictEqual(err.code, 'EAUTH')
+      })
+
+      transport.connect({ secret: 'wrong-secret' }).then(function(){
+        done(new Error('should not connect'))
+      }, function(err){
+        assert.strictEqual(err.code, 'EAUTH')
+        setTimeout(function(){
+          assert.strictEqual(failures, 1)
+          assert.strictEqual(transport.authFailed, true)
+          transport.close()
+          done()
+        }, 100)
+      })
+    })
+  })
+})
+
+describe('relay server compression', function(){
+  var zlib = require('node:zlib')
+  var BIG = new Array(200).join('hello, world ')
+  var relayProcess
+  var warnings = ''
+
+  before(function(done){
+    this.timeout(5000)
+
+    relayProcess = spawn('node', ['relay-server.js'], {
+      env: Object.assign({}, process.env, {
+        HTTP_PORT: '8890',
+        WS_PORT: '3335',
+        COMPRESSION: 'br,gzip',
+        COMPRESSION_THRESHOLD: '1kb',
+        WS_DEFLATE: '1'
+      })
+    })
+
+    var started = false
+
+    relayProcess.stderr.on('data', function(data){
+      warnings += data.toString()
+    })
+
+    relayProcess.stdout.on('data', function(data){
+      if (!started && data.toString().includes('WebSocket Server listening')) {
+        started = true
+        setTimeout(done, 500)
+      }
+    })
+  })
+
+  after(function(done){
+    relayProcess.on('exit', function(){ done() })
+    relayProcess.kill('SIGINT')
+  })
+
+  // Answer each relayed request with `response`, then make `options`
+  function relay(response, options, callback){
+    var ws = new WebSocket('ws://localhost:3335')
+
+    ws.once('message', function(){
+      ws.on('message', function(data){
+        var message = JSON.parse(data.toString())
+        if (message.type !== 'http-request') return
+
+        ws.send(JSON.stringify(Object.assign({ id: message.id, type: 'http-response', statusCode: 200 }, response)))
+      })
+
+      http.get(Object.assign({ port: 8890, path: '/' }, options), function(res){
+        var chunks = []
+        res.on('data', function(chunk){ chunks.push(chunk) })
+        res.on('end', function(){
+          ws.close()
+          callback(res, Buffer.concat(chunks))
+        })
+      })
+    })
+  }
+
+  it('should gzip bodies over the threshold', function(done){
+    relay({ headers: { 'content-type': 'text/plain', 'content-length': String(BIG.length) }, body: BIG },
+      { headers: { 'Accept-Encoding': 'gzip' } }, function(res, body){
+        assert.strictEqual(res.headers['content-encoding'], 'gzip')
+        assert.strictEqual(res.headers['content-length'], undefined)
+        assert.strictEqual(res.headers['vary'], 'Accept-Encoding')
+        assert.strictEqual(zlib.gunzipSync(body).toString(), BIG)
+        done()
+      })
+  })
+
+  it('should prefer brotli when equally acceptable', function(done){
+    relay({ headers: { 'content-type': 'text/html' }, body: BIG },
+      { headers: { 'Accept-Encoding': 'gzip, deflate, br' } }, function(res, body){
+        assert.strictEqual(res.headers['content-encoding'], 'br')
+        assert.strictEqual(zlib.brotliDecompressSync(body).toString(), BIG)
+        done()
+      })
+  })
+
+  it('should skip bodies under the threshold', function(done){
+    relay({ headers: { 'content-type': 'text/plain' }, body: 'tiny' },
+      { headers: { 'Accept-Encoding': 'gzip' } }, function(res, body){
+        assert.strictEqual(res.headers['content-encoding'], undefined)
+        assert.strictEqual(res.headers['vary'], 'Accept-Encoding')
+        assert.strictEqual(body.toString(), 'tiny')
+        done()
+      })
+  })
+
+  it('should fall back to the default threshold for a bad value', function(){
+    assert.ok(warnings.includes('Ignoring COMPRESSION_THRESHOLD=1kb'))
+  })
+
+  it('should skip types that are already compressed', function(done){
+    var png = Buffer.alloc(4096)
+
+    relay({ headers: { 'content-type': 'image/png' }, body: png.toString('base64'), bodyEncoding: 'base64' },
+      { headers: { 'Accept-Encoding': 'gzip' } }, function(res, body){
+        assert.strictEqual(res.headers['content-encoding'], undefined)
+        assert.strictEqual(res.headers['vary'], undefined)
+        assert.ok(body.equals(png))
+        done()
+      })
+  })
+
+  it('should not compress for clients that do not accept it', function(done){
+    relay({ headers: { 'content-type': 'text/plain' }, body: BIG },
+      { headers: { 'Accept-Encoding': 'identity' } }, function(res, body){
+        assert.strictEqual(res.headers['content-encoding'], undefined)
+        assert.strictEqual(body.toString(), BIG)
+        done()
+      })
+  })
+
+  it('should compress streamed responses frame by frame', function(done){
+    var ws = new WebSocket('ws://localhost:3335')
+    var id
+
+    ws.once('message', function(){
+      ws.on('message', function(data){
+        var message = JSON.parse(data.toString())
+        if (message.type !== 'http-request') return
+
+        id = message.id
+
+        ws.send(JSON.stringify({
+          id: message.id,
+          type: 'http-response-head',
+          statusCode: 200,
+          headers: { 'content-type': 'text/event-stream' }
+        }))
+        ws.send(JSON.stringify({ id: message.id, type: 'http-response-chunk', body: 'data: one\n\n' }))
+      })
+
+      http.get({ port: 8890, path: '/events', headers: { 'Accept-Encoding': 'gzip' } }, function(res){
+        assert.strictEqual(res.headers['content-encoding'], 'gzip')
+
+        var gunzip = zlib.createGunzip()
+        var body = ''
+        res.pipe(gunzip)
+
+        gunzip.once('data', function(chunk){
+          // The first event is flushed before the stream is ended
+          assert.strictEqual(chunk.toString(), 'data: one\n\n')
+          body += chunk
+
+          gunzip.on('data', function(chunk){ body += chunk })
+          gunzip.on('end', function(){
+            assert.strictEqual(body, 'data: one\n\ndata: two\n\n')
+            ws.close()
+            done()
+          })
+
+          ws.send(JSON.stringify({ id: id, type: 'http-response-end', body: 'data: two\n\n' }))
+        })
+      })
+    })
+  })
+
+  it('should negotiate permessage-deflate with the browser', function(done){
+    var ws = new WebSocket('ws://localhost:3335', { perMessageDeflate: true })
+
+    ws.on('open', function(){
+      assert.ok(ws.extensions.includes('permessage-deflate'))
+      ws.close()
+      done()
+    })
+  })
+})
@@ -150,6 +150,7 @@ describe('OPFS Stream Implementation', function() {
     }
     
     const stream = fs.createReadStream('/test.txt')
+    stream.on('error', function() {}) // no OPFS here, so reading fails
     assert.equal(typeof stream.pipe, 'function', 'Stream now has pipe method for Express compatibility')
   })
 
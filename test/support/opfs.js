@@ -0,0 +1,261 @@
+'use strict'
+
+/**
+ * An in-memory Origin Private File System: the handle API the OPFS
+ * polyfills use, with the DOMExceptions browsers throw.
+ */
+
+function domError(name, message){
+  return new DOMException(message || name, name)
+}
+
+function FileHandle(name){
+  this.kind = 'file'
+  this.name = name
+  this.data = new Uint8Array(0)
+  this.lastModified = Date.now()
+}
+
+FileHandle.prototype.isSameEntry = async function(other){
+  return this === other
+}
+
+FileHandle.prototype.getFile = async function(){
+  return new File([this.data], this.name, { lastModified: this.lastModified })
+}
+
+FileHandle.prototype.createWritable = async function(options){
+  if (this.locked) throw domError('NoModificationAllowedError')
+  return new WritableFileStream(this, Boolean(options && options.keepExistingData))
+}
+
+// Only dedicated workers have createSyncAccessHandle(); createRoot()
+// adds it when asked to
+function createSyncAccessHandle(){
+  if (this.locked) throw domError('NoModificationAllowedError')
+  this.locked = true
+  return Promise.resolve(new SyncAccessHandle(this))
+}
+
+FileHandle.prototype.move = async function(dir, name){
+  var parent = this.parent
+
+  if (dir.children.has(name) && dir.children.get(name).kind !== 'file') {
+    throw domError('InvalidModificationError')
+  }
+
+  parent.children.delete(this.name)
+  this.name = name
+  this.parent = dir
+  dir.children.set(name, this)
+}
+
+function WritableFileStream(handle, keepExistingData){
+  this.handle = handle
+  this.data = keepExistingData ? handle.data.slice() : new Uint8Array(0)
+  this.position = 0
+  this.closed = false
+}
+
+WritableFileStream.prototype.write = async function(data){
+  var params = data && data.type ? data : { type: 'write', data: data }
+
+  if (this.closed) throw new TypeError('stream is closed')
+
+  if (params.type === 'seek') {
+    this.position = params.position
+    return
+  }
+
+  if (params.type === 'truncate') {
+    return this.truncate(params.size)
+  }
+
+  var chunk = params.data
+
+  if (typeof chunk === 'string') {
+    chunk = new TextEncoder().encode(chunk)
+  } else if (chunk instanceof Blob) {
+    chunk = new Uint8Array(await chunk.arrayBuffer())
+  } else if (chunk instanceof ArrayBuffer) {
+    chunk = new Uint8Array(chunk)
+  } else if (ArrayBuffer.isView(chunk)) {
+    chunk = new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+  } else {
+    throw new TypeError('invalid data')
+  }
+
+  var position = params.position !== undefined ? params.position : this.position
+  var end = position + chunk.length
+
+  if (end > this.data.length) {
+    var grown = new Uint8Array(end)
+    grown.set(this.data)
+    this.data = grown
+  }
+
+  this.data.set(chunk, position)
+  this.position = end
+}
+
+WritableFileStream.prototype.seek = async function(position){
+  this.position = position
+}
+
+WritableFileStream.prototype.truncate = async function(size){
+  var data = new Uint8Array(size)
+  data.set(this.data.subarray(0, size))
+  this.data = data
+  if (this.position > size) this.position = size
+}
+
+WritableFileStream.prototype.close = async function(){
+  this.closed = true
+  this.handle.data = this.data
+  this.handle.lastModified = Date.now()
+}
+
+WritableFileStream.prototype.abort = async function(){
+  this.closed = true
+}
+
+function SyncAccessHandle(handle){
+  this.handle = handle
+  this.closed = false
+}
+
+SyncAccessHandle.prototype.read = function(buffer, options){
+  var at = options && options.at !== undefined ? options.at : 0
+  var bytes = this.handle.data.subarray(at, at + buffer.byteLength)
+
+  if (this.closed) throw domError('InvalidStateError')
+
+  new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength).set(bytes)
+  return bytes.length
+}
+
+SyncAccessHandle.prototype.write = function(buffer, options){
+  var at = options && options.at !== undefined ? options.at : 0
+  var bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength)
+  var end = at + bytes.length
+
+  if (this.closed) throw domError('InvalidStateError')
+
+  if (end > this.handle.data.length) {
+    var grown = new Uint8Array(end)
+    grown.set(this.handle.data)
+    this.handle.data = grown
+  }
+
+  this.handle.data.set(bytes, at)
+  this.handle.lastModified = Date.now()
+  return bytes.length
+}
+
+SyncAccessHandle.prototype.getSize = function(){
+  if (this.closed) throw domError('InvalidStateError')
+  return this.handle.data.length
+}
+
+SyncAccessHandle.prototype.truncate = function(size){
+  var data = new Uint8Array(size)
+
+  if (this.closed) throw domError('InvalidStateError')
+
+  data.set(this.handle.data.subarray(0, size))
+  this.handle.data = data
+  this.handle.lastModified = Date.now()
+}
+
+SyncAccessHandle.prototype.flush = function(){
+  if (this.closed) throw domError('InvalidStateError')
+}
+
+SyncAccessHandle.prototype.close = function(){
+  if (!this.closed) this.handle.locked = false
+  this.closed = true
+}
+
+function DirectoryHandle(name, options){
+  this.kind = 'directory'
+  this.name = name
+  this.children = new Map()
+  this.options = options || {}
+}
+
+DirectoryHandle.prototype.isSameEntry = async function(other){
+  return this === other
+}
+
+DirectoryHandle.prototype.getFileHandle = async function(name, options){
+  var entry = this.children.get(name)
+
+  if (entry) {
+    if (entry.kind !== 'file') throw domError('TypeMismatchError')
+    return entry
+  }
+
+  if (!options || !options.create) throw domError('NotFoundError')
+
+  entry = new FileHandle(name)
+  entry.parent = this
+  if (this.options.syncAccessHandles) entry.createSyncAccessHandle = createSyncAccessHandle
+  this.children.set(name, entry)
+  return entry
+}
+
+DirectoryHandle.prototype.getDirectoryHandle = async function(name, options){
+  var entry = this.children.get(name)
+
+  if (entry) {
+    if (entry.kind !== 'directory') throw domError('TypeMismatchError')
+    return entry
+  }
+
+  if (!options || !options.create) throw domError('NotFoundError')
+
+  entry = new DirectoryHandle(name, this.options)
+  entry.parent = this
+  this.children.set(name, entry)
+  return entry
+}
+
+DirectoryHandle.prototype.removeEntry = async function(name, options){
+  var entry = this.children.get(name)
+
+  if (!entry) throw domError('NotFoundError')
+  if (entry.locked) throw domError('NoModificationAllowedError')
+
+  if (entry.kind === 'directory' && entry.children.size && !(options && options.recursive)) {
+    throw domError('InvalidModificationError')
+  }
+
+  this.children.delete(name)
+}
+
+DirectoryHandle.prototype.entries = async function* (){
+  for (var entry of Array.from(this.children)) yield entry
+}
+
+DirectoryHandle.prototype.keys = async function* (){
+  for (var name of Array.from(this.children.keys())) yield name
+}
+
+DirectoryHandle.prototype.values = async function* (){
+  for (var handle of Array.from(this.children.values())) yield handle
+}
+
+/**
+ * Create an empty file system
+ * @param {Object} [options]
+ * @param {boolean} [options.syncAccessHandles] - Give files
+ *   createSyncAccessHandle(), as in a dedicated worker
+ * @returns {DirectoryHandle} The root directory
+ */
+function createRoot(options){
+  return new DirectoryHandle('', options)
+}
+
+module.exports = {
+  createRoot: createRoot
+}
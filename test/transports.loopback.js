@@ -0,0 +1,286 @@
+'use strict'
+
+var assert = require('node:assert')
+var express = require('../')
+var LoopbackTransport = require('../lib/transports/loopback-transport')
+
+describe('transports', function(){
+  describe('LoopbackTransport', function(){
+    function mount(app, options){
+      var transport = new LoopbackTransport(options)
+      app.listen(transport)
+      return transport
+    }
+
+    it('should be exported by express', function(){
+      assert.strictEqual(express.LoopbackTransport, LoopbackTransport)
+    })
+
+    it('should connect through app.listen()', function(done){
+      var app = express()
+      var transport = new LoopbackTransport()
+
+      app.listen(transport, function(err){
+        assert.ifError(err)
+        assert.strictEqual(transport.connected, true)
+        assert.strictEqual(transport._app, app)
+        done()
+      })
+    })
+
+    it('should create instances with factory', function(){
+      var transport = LoopbackTransport.createTransport({ origin: 'http://example.com' })
+      assert.ok(transport instanceof LoopbackTransport)
+      assert.strictEqual(transport.getStats().origin, 'http://example.com')
+    })
+
+    describe('.fetch()', function(){
+      it('should dispatch into the app', function(){
+        var app = express()
+
+        app.get('/user/:name', function(req, res){
+          res.json({ name: req.params.name, q: req.query.q })
+        })
+
+        return mount(app).fetch('/user/tobi?q=1').then(function(res){
+          assert.strictEqual(res.status, 200)
+          assert.strictEqual(res.statusText, 'OK')
+          assert.strictEqual(res.headers.get('content-type'), 'application/json; charset=utf-8')
+          return res.json()
+        }).then(function(body){
+          assert.deepStrictEqual(body, { name: 'tobi', q: '1' })
+        })
+      })
+
+      it('should send request bodies', function(){
+        var app = express()
+
+        app.use(express.json())
+        app.post('/echo', function(req, res){
+          res.status(201).send(req.body)
+        })
+
+        return mount(app).fetch('/echo', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ user: 'tobi' })
+        }).then(function(res){
+          assert.strictEqual(res.status, 201)
+          return res.json()
+        }).then(function(body){
+          assert.deepStrictEqual(body, { user: 'tobi' })
+        })
+      })
+
+      it('should round trip binary data', function(){
+        var app = express()
+        var bytes = new Uint8Array([0, 1, 254, 255, 128])
+
+        app.use(express.raw())
+        app.put('/', function(req, res){
+          res.type('bin').send(req.body)
+        })
+
+        return mount(app).fetch('/', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: bytes
+        }).then(function(res){
+          return res.arrayBuffer()
+        }).then(function(body){
+          assert.deepStrictEqual(new Uint8Array(body), bytes)
+        })
+      })
+
+      it('should set the host header from the origin', function(){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.send(req.hostname + ' ' + req.protocol)
+        })
+
+        return mount(app, { origin: 'https://example.com' }).fetch('/').then(function(res){
+          return res.text()
+        }).then(function(text){
+          assert.strictEqual(text, 'example.com https')
+        })
+      })
+
+      it('should expose the remote address', function(){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.send(req.ip)
+        })
+
+        return mount(app, { remoteAddress: '203.0.113.7' }).fetch('/').then(function(res){
+          return res.text()
+        }).then(function(text){
+          assert.strictEqual(text, '203.0.113.7')
+        })
+      })
+
+      it('should keep multiple set-cookie headers', function(){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.cookie('a', '1').cookie('b', '2').end()
+        })
+
+        return mount(app).fetch('/').then(function(res){
+          assert.deepStrictEqual(res.headers.getSetCookie(), ['a=1; Path=/', 'b=2; Path=/'])
+        })
+      })
+
+      it('should resolve 404 for unknown routes', function(){
+        var app = express()
+
+        return mount(app).fetch('/missing').then(function(res){
+          assert.strictEqual(res.status, 404)
+        })
+      })
+
+      it('should return no body for 204 and HEAD', function(){
+        var app = express()
+        var transport = mount(app)
+
+        app.get('/', function(req, res){
+          res.send('hello')
+        })
+        app.delete('/', function(req, res){
+          res.sendStatus(204)
+        })
+
+        return Promise.all([
+          transport.fetch('/', { method: 'HEAD' }),
+          transport.fetch('/', { method: 'DELETE' })
+        ]).then(function(responses){
+          assert.strictEqual(responses[0].headers.get('content-length'), '5')
+          assert.strictEqual(responses[0].body, null)
+          assert.strictEqual(responses[1].status, 204)
+          assert.strictEqual(responses[1].body, null)
+        })
+      })
+
+      it('should stream written responses', function(){
+        var app = express()
+
+        app.get('/stream', function(req, res){
+          res.writeHead(200, { 'Content-Type': 'text/plain' })
+          res.write('one ')
+          setTimeout(function(){
+            res.end('two')
+          }, 10)
+        })
+
+        return mount(app).fetch('/stream').then(function(res){
+          assert.strictEqual(res.headers.get('content-type'), 'text/plain')
+          return res.text()
+        }).then(function(text){
+          assert.strictEqual(text, 'one two')
+        })
+      })
+
+      it('should reject interim responses', function(){
+        var app = express()
+        var transport = mount(app)
+        var aborted = false
+
+        app.get('/hints', function(req, res){
+          req.on('aborted', function(){ aborted = true })
+          res.writeHead(103, { Link: '</style.css>; rel=preload' })
+          res.end()
+        })
+        app.get('/streamed', function(req, res){
+          res.writeHead(101)
+          res.flushHeaders()
+          res.end()
+        })
+
+        return Promise.all([
+          transport.fetch('/hints').then(function(){
+            throw new Error('expected rejection')
+          }, function(err){
+            assert.strictEqual(err.message, 'fetch() cannot return an interim 103 response')
+            assert.ok(aborted)
+          }),
+          transport.fetch('/streamed').then(function(){
+            throw new Error('expected rejection')
+          }, function(err){
+            assert.strictEqual(err.message, 'fetch() cannot return an interim 101 response')
+            assert.strictEqual(transport.activeRequests.size, 0)
+          })
+        ])
+      })
+
+      it('should emit close on req when aborted', function(done){
+        var app = express()
+        var controller = new AbortController()
+
+        app.get('/events', function(req, res){
+          res.flushHeaders()
+          req.on('close', function(){
+            assert.strictEqual(req.aborted, true)
+            assert.strictEqual(transport.activeRequests.size, 0)
+            done()
+          })
+          setTimeout(function(){
+            controller.abort()
+          }, 0)
+        })
+
+        var transport = mount(app)
+        transport.fetch('/events', { signal: controller.signal }).then(function(res){
+          return res.text()
+        }).catch(function(){})
+      })
+
+      it('should reject when no app is listening', function(){
+        var transport = new LoopbackTransport()
+
+        return transport.connect().then(function(){
+          return transport.fetch('/')
+        }).then(function(){
+          throw new Error('expected rejection')
+        }, function(err){
+          assert.strictEqual(err.message, 'No app is listening on this transport')
+        })
+      })
+
+      it('should reject after close', function(){
+        var app = express()
+        var transport = mount(app)
+
+        transport.close()
+        return transport.fetch('/').then(function(){
+          throw new Error('expected rejection')
+        }, function(err){
+          assert.strictEqual(err.message, 'Not connected')
+        })
+      })
+    })
+
+    describe('.sendRequest()', function(){
+      it('should call back with the response', function(done){
+        var app = express()
+
+        app.post('/', express.text(), function(req, res){
+          res.send(req.body.toUpperCase())
+        })
+
+        mount(app).sendRequest({
+          method: 'POST',
+          url: '/',
+          headers: { 'content-type': 'text/plain' },
+          body: 'hello'
+        }, function(err, response){
+          assert.ifError(err)
+          assert.strictEqual(response.statusCode, 200)
+          assert.strictEqual(response.headers['content-type'], 'text/html; charset=utf-8')
+          assert.strictEqual(response.body.toString(), 'HELLO')
+          done()
+        })
+      })
+    })
+  })
+})
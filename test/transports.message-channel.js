@@ -0,0 +1,335 @@
+'use strict'
+
+var assert = require('node:assert')
+var express = require('../')
+var MessageChannelTransport = require('../lib/transports/message-channel-transport')
+var BroadcastChannelTransport = MessageChannelTransport.BroadcastChannelTransport
+
+describe('transports', function(){
+  describe('MessageChannelTransport', function(){
+    var closers = []
+
+    afterEach(function(){
+      closers.forEach(function(close){ close() })
+      closers = []
+    })
+
+    function mount(app){
+      var transport = new MessageChannelTransport()
+      app.listen(transport)
+      closers.push(function(){ transport.close() })
+      return transport
+    }
+
+    function client(endpoint, options){
+      var fetch = MessageChannelTransport.createFetch(endpoint, options)
+      closers.push(fetch.close)
+      return fetch
+    }
+
+    it('should be exported by express', function(){
+      assert.strictEqual(express.MessageChannelTransport, MessageChannelTransport)
+      assert.strictEqual(express.BroadcastChannelTransport, BroadcastChannelTransport)
+    })
+
+    it('should serve requests through a created port', function(){
+      var app = express()
+
+      app.get('/user/:name', function(req, res){
+        res.json({ name: req.params.name })
+      })
+
+      var fetch = client(mount(app).createPort())
+
+      return fetch('/user/tobi').then(function(res){
+        assert.strictEqual(res.status, 200)
+        assert.strictEqual(res.headers.get('content-type'), 'application/json; charset=utf-8')
+        return res.json()
+      }).then(function(body){
+        assert.deepStrictEqual(body, { name: 'tobi' })
+      })
+    })
+
+    it('should serve a port passed to the constructor', function(){
+      var app = express()
+      var channel = new MessageChannel()
+      var transport = new MessageChannelTransport(channel.port1)
+
+      closers.push(function(){ transport.close(); channel.port1.close() })
+      app.listen(transport)
+      app.get('/', function(req, res){
+        res.send('hello')
+      })
+
+      return client(channel.port2)('/').then(function(res){
+        return res.text()
+      }).then(function(text){
+        assert.strictEqual(text, 'hello')
+        assert.strictEqual(transport.getStats().endpoints, 1)
+      })
+    })
+
+    it('should send request bodies', function(){
+      var app = express()
+
+      app.use(express.json())
+      app.post('/', function(req, res){
+        res.status(201).json(req.body)
+      })
+
+      return client(mount(app).createPort())('/', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ user: 'tobi' })
+      }).then(function(res){
+        assert.strictEqual(res.status, 201)
+        return res.json()
+      }).then(function(body){
+        assert.deepStrictEqual(body, { user: 'tobi' })
+      })
+    })
+
+    it('should round trip binary data', function(){
+      var app = express()
+      var bytes = new Uint8Array([0, 1, 254, 255, 128])
+
+      app.use(express.raw())
+      app.put('/', function(req, res){
+        res.type('bin').send(req.body)
+      })
+
+      return client(mount(app).createPort())('/', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body: bytes
+      }).then(function(res){
+        return res.arrayBuffer()
+      }).then(function(body){
+        assert.deepStrictEqual(new Uint8Array(body), bytes)
+      })
+    })
+
+    it('should reject interim responses', function(){
+      var app = express()
+      var fetch = client(mount(app).createPort())
+      var aborted = new Promise(function(resolve){
+        app.get('/', function(req, res){
+          req.on('aborted', resolve)
+          res.writeHead(103)
+          res.flushHeaders()
+        })
+      })
+
+      return fetch('/').then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'fetch() cannot return an interim 103 response')
+        return aborted
+      })
+    })
+
+    it('should stream written responses', function(){
+      var app = express()
+
+      app.get('/', function(req, res){
+        res.writeHead(200, { 'Content-Type': 'text/plain' })
+        res.write('one ')
+        setTimeout(function(){
+          res.end('two')
+        }, 10)
+      })
+
+      return client(mount(app).createPort())('/').then(function(res){
+        return res.text()
+      }).then(function(text){
+        assert.strictEqual(text, 'one two')
+      })
+    })
+
+    it('should return no body for HEAD', function(){
+      var app = express()
+
+      app.get('/', function(req, res){
+        res.send('hello')
+      })
+
+      return client(mount(app).createPort())('/', { method: 'HEAD' }).then(function(res){
+        assert.strictEqual(res.headers.get('content-length'), '5')
+        assert.strictEqual(res.body, null)
+      })
+    })
+
+    it('should keep clients on separate ports apart', function(){
+      var app = express()
+      var transport = mount(app)
+
+      app.get('/:n', function(req, res){
+        setTimeout(function(){
+          res.send(req.params.n)
+        }, 10 - Number(req.params.n))
+      })
+
+      var one = client(transport.createPort())
+      var two = client(transport.createPort())
+
+      return Promise.all([one('/1'), two('/1'), one('/2')]).then(function(responses){
+        return Promise.all(responses.map(function(res){ return res.text() }))
+      }).then(function(texts){
+        assert.deepStrictEqual(texts, ['1', '1', '2'])
+      })
+    })
+
+    it('should emit close on req when the client aborts', function(done){
+      var app = express()
+      var controller = new AbortController()
+      var transport = mount(app)
+
+      app.get('/events', function(req, res){
+        res.flushHeaders()
+        req.on('close', function(){
+          assert.strictEqual(req.aborted, true)
+          assert.strictEqual(transport.activeRequests.size, 0)
+          done()
+        })
+      })
+
+      client(transport.createPort())('/events', { signal: controller.signal }).then(function(){
+        controller.abort()
+      })
+    })
+
+    it('should reject when no app is listening', function(){
+      var transport = new MessageChannelTransport()
+      closers.push(function(){ transport.close() })
+
+      return client(transport.createPort())('/').then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'No app is listening on this transport')
+      })
+    })
+
+    it('should time out without an answer', function(){
+      var channel = new MessageChannel()
+      closers.push(function(){ channel.port1.close() })
+
+      return client(channel.port2, { timeout: 20 })('/').then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'Request timeout')
+      })
+    })
+
+    it('should still fetch in its own context', function(){
+      var app = express()
+
+      app.get('/', function(req, res){
+        res.send('local')
+      })
+
+      return mount(app).fetch('/').then(function(res){
+        return res.text()
+      }).then(function(text){
+        assert.strictEqual(text, 'local')
+      })
+    })
+  })
+
+  describe('BroadcastChannelTransport', function(){
+    var closers = []
+
+    afterEach(function(){
+      closers.forEach(function(close){ close() })
+      closers = []
+    })
+
+    it('should serve requests on a named channel', function(){
+      var app = express()
+      var transport = new BroadcastChannelTransport('browseress-test')
+      var fetch = BroadcastChannelTransport.createFetch('browseress-test')
+
+      closers.push(function(){ transport.close() }, fetch.close)
+      app.listen(transport)
+      app.get('/', function(req, res){
+        res.send('hello from the other tab')
+      })
+
+      return fetch('/').then(function(res){
+        return res.text()
+      }).then(function(text){
+        assert.strictEqual(text, 'hello from the other tab')
+        assert.strictEqual(transport.channelName, 'browseress-test')
+      })
+    })
+
+    it('should run each request in only one of two apps', function(){
+      var first = express()
+      var second = express()
+      var one = new BroadcastChannelTransport('browseress-pair')
+      var two = new BroadcastChannelTransport('browseress-pair')
+      var fetch = BroadcastChannelTransport.createFetch('browseress-pair')
+      var calls = { first: 0, second: 0 }
+
+      closers.push(function(){ one.close() }, function(){ two.close() }, fetch.close)
+      first.listen(one)
+      second.listen(two)
+      first.post('/items', function(req, res){
+        calls.first++
+        res.write('first ')
+        res.end('app')
+      })
+      second.post('/items', function(req, res){
+        calls.second++
+        res.write('second ')
+        res.end('app')
+      })
+
+      return fetch('/items', { method: 'POST' }).then(function(res){
+        return res.text()
+      }).then(function(text){
+        var picked = text === 'first app' ? 'first' : 'second'
+        var other = picked === 'first' ? 'second' : 'first'
+
+        assert.ok(text === 'first app' || text === 'second app', text)
+        return fetch('/items', { method: 'POST' }).then(function(res){
+          return res.text()
+        }).then(function(again){
+          assert.strictEqual(again, text)
+          assert.strictEqual(calls[picked], 2)
+          assert.strictEqual(calls[other], 0)
+        })
+      })
+    })
+
+    it('should not pick an app that is not listening', function(){
+      var app = express()
+      var idle = new BroadcastChannelTransport('browseress-idle')
+      var served = new BroadcastChannelTransport('browseress-idle')
+      var fetch = BroadcastChannelTransport.createFetch('browseress-idle')
+
+      closers.push(function(){ idle.close() }, function(){ served.close() }, fetch.close)
+      app.listen(served)
+      app.get('/', function(req, res){
+        res.send('served')
+      })
+
+      return fetch('/').then(function(res){
+        return res.text()
+      }).then(function(text){
+        assert.strictEqual(text, 'served')
+      })
+    })
+
+    it('should reject when no app answers on the channel', function(){
+      var fetch = BroadcastChannelTransport.createFetch('browseress-empty', { timeout: 20 })
+
+      closers.push(fetch.close)
+
+      return fetch('/').then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'No app answered on this channel')
+      })
+    })
+  })
+})
@@ -0,0 +1,181 @@
+'use strict'
+
+var assert = require('node:assert')
+var express = require('../')
+var ServiceWorkerTransport = require('../lib/transports/service-worker-transport')
+
+describe('transports', function(){
+  describe('ServiceWorkerTransport', function(){
+    // Stand-in for a ServiceWorkerGlobalScope
+    function createScope(){
+      var listeners = {}
+
+      return {
+        location: { origin: 'https://app.test' },
+        claimed: false,
+        skipped: false,
+        listeners: listeners,
+        addEventListener: function(type, listener){
+          (listeners[type] = listeners[type] || []).push(listener)
+        },
+        removeEventListener: function(type, listener){
+          listeners[type] = (listeners[type] || []).filter(function(fn){ return fn !== listener })
+        },
+        skipWaiting: function(){
+          this.skipped = true
+          return Promise.resolve()
+        },
+        clients: {
+          claim: function(){
+            return Promise.resolve('claimed')
+          }
+        },
+        dispatch: function(type, event){
+          (listeners[type] || []).forEach(function(fn){ fn(event) })
+          return event
+        }
+      }
+    }
+
+    function fetchEvent(scope, url, init){
+      return scope.dispatch('fetch', {
+        request: new Request(new URL(url, scope.location.origin), init),
+        response: null,
+        respondWith: function(response){
+          this.response = response
+        }
+      })
+    }
+
+    function mount(app, options){
+      var scope = createScope()
+      var transport = new ServiceWorkerTransport(Object.assign({ target: scope }, options))
+      app.listen(transport)
+      return scope
+    }
+
+    it('should be exported by express', function(){
+      assert.strictEqual(express.ServiceWorkerTransport, ServiceWorkerTransport)
+    })
+
+    it('should answer fetch events from the app', function(){
+      var app = express()
+
+      app.get('/api/todos', function(req, res){
+        res.json([{ title: 'write tests', host: req.hostname, protocol: req.protocol }])
+      })
+
+      var event = fetchEvent(mount(app), '/api/todos')
+
+      assert.ok(event.response)
+      return event.response.then(function(res){
+        assert.strictEqual(res.status, 200)
+        return res.json()
+      }).then(function(body){
+        assert.deepStrictEqual(body, [{ title: 'write tests', host: 'app.test', protocol: 'https' }])
+      })
+    })
+
+    it('should pass request bodies to the app', function(){
+      var app = express()
+
+      app.use(express.json())
+      app.post('/api/todos', function(req, res){
+        res.status(201).json(req.body)
+      })
+
+      var event = fetchEvent(mount(app), '/api/todos', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ title: 'new' })
+      })
+
+      return event.response.then(function(res){
+        assert.strictEqual(res.status, 201)
+        return res.json()
+      }).then(function(body){
+        assert.deepStrictEqual(body, { title: 'new' })
+      })
+    })
+
+    it('should leave requests outside the prefix to the network', function(){
+      var app = express()
+      var scope = mount(app, { prefix: '/api/' })
+
+      assert.strictEqual(fetchEvent(scope, '/index.html').response, null)
+      assert.ok(fetchEvent(scope, '/api/todos').response)
+    })
+
+    it('should leave cross-origin requests to the network', function(){
+      var app = express()
+      var scope = mount(app)
+
+      assert.strictEqual(fetchEvent(scope, 'https://cdn.example.com/lib.js').response, null)
+    })
+
+    it('should honour the filter option', function(){
+      var app = express()
+      var scope = mount(app, {
+        filter: function(request){
+          return request.method !== 'OPTIONS'
+        }
+      })
+
+      assert.strictEqual(fetchEvent(scope, '/', { method: 'OPTIONS' }).response, null)
+      assert.ok(fetchEvent(scope, '/').response)
+    })
+
+    it('should skip waiting and claim clients by default', function(){
+      var app = express()
+      var scope = mount(app)
+      var waits = []
+      var event = {
+        waitUntil: function(promise){ waits.push(promise) }
+      }
+
+      scope.dispatch('install', event)
+      scope.dispatch('activate', event)
+
+      assert.strictEqual(scope.skipped, true)
+      return Promise.all(waits).then(function(results){
+        assert.strictEqual(results[1], 'claimed')
+      })
+    })
+
+    it('should not claim clients when claim is false', function(){
+      var app = express()
+      var scope = mount(app, { claim: false })
+      var waits = []
+      var event = {
+        waitUntil: function(promise){ waits.push(promise) }
+      }
+
+      scope.dispatch('install', event)
+      scope.dispatch('activate', event)
+
+      assert.strictEqual(waits.length, 0)
+    })
+
+    it('should stop intercepting after close', function(){
+      var app = express()
+      var scope = createScope()
+      var transport = new ServiceWorkerTransport({ target: scope })
+
+      app.listen(transport)
+      transport.close()
+
+      assert.strictEqual(fetchEvent(scope, '/').response, null)
+      assert.strictEqual(scope.listeners.fetch.length, 0)
+    })
+
+    it('should fail to connect outside a Service Worker', function(){
+      var transport = new ServiceWorkerTransport()
+
+      return transport.connect().then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'ServiceWorkerTransport must run inside a Service Worker')
+      })
+    })
+  })
+})
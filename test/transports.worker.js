@@ -0,0 +1,244 @@
+'use strict'
+
+var assert = require('node:assert')
+var { Buffer } = require('node:buffer')
+var express = require('../')
+var WorkerTransport = require('../lib/transports/worker-transport')
+var runtime = require('../lib/worker-runtime')
+var WorkerHost = WorkerTransport.WorkerHost
+
+describe('transports', function(){
+  describe('WorkerTransport', function(){
+    var closers = []
+
+    afterEach(function(){
+      closers.forEach(function(close){ close() })
+      closers = []
+    })
+
+    // A worker and its global scope, joined by a MessageChannel
+    function createWorker(app){
+      var channel = new MessageChannel()
+      var scope = {
+        app: null,
+        addEventListener: channel.port1.addEventListener.bind(channel.port1),
+        removeEventListener: channel.port1.removeEventListener.bind(channel.port1),
+        postMessage: channel.port1.postMessage.bind(channel.port1),
+        importScripts: function(url){
+          if (url === 'https://app.test/app.js') scope.app = app
+        }
+      }
+      var worker = {
+        addEventListener: channel.port2.addEventListener.bind(channel.port2),
+        removeEventListener: channel.port2.removeEventListener.bind(channel.port2),
+        postMessage: channel.port2.postMessage.bind(channel.port2),
+        terminate: function(){
+          channel.port1.close()
+        }
+      }
+
+      channel.port1.start()
+      channel.port2.start()
+      closers.push(function(){ channel.port1.close() })
+
+      return { scope: scope, worker: worker }
+    }
+
+    // Boot the app in a fake worker behind a host with a fake open socket
+    function boot(app, sent){
+      var pair = createWorker(app)
+      var host = new WorkerHost(pair.worker, 'ws://localhost:8080')
+
+      host.connected = true
+      host.ws = {
+        readyState: 1,
+        send: function(data){ sent.push(JSON.parse(data)) },
+        close: function(){}
+      }
+      closers.push(function(){ host.close() })
+
+      runtime.bootWorker(pair.scope)
+      pair.worker.postMessage({ browseress: 'boot', app: 'https://app.test/app.js', type: 'classic' })
+
+      return new Promise(function(resolve, reject){
+        host.once('worker-ready', function(){ resolve(host) })
+        host.once('worker-error', reject)
+      })
+    }
+
+    function waitFor(sent, type){
+      return new Promise(function(resolve){
+        (function check(){
+          var frame = sent.find(function(frame){ return frame.type === type })
+          if (frame) return resolve(frame)
+          setTimeout(check, 5)
+        })()
+      })
+    }
+
+    it('should be exported by express', function(){
+      assert.strictEqual(express.WorkerTransport, WorkerTransport)
+    })
+
+    it('should serve relay requests from the app in the worker', function(){
+      var app = express()
+      var sent = []
+
+      app.get('/user/:name', function(req, res){
+        res.json({ name: req.params.name })
+      })
+
+      return boot(app, sent).then(function(host){
+        host._handleMessage(JSON.stringify({
+          id: 1, type: 'http-request', method: 'GET', url: '/user/tobi', headers: {}
+        }))
+        return waitFor(sent, 'http-response')
+      }).then(function(frame){
+        assert.strictEqual(frame.id, 1)
+        assert.strictEqual(frame.statusCode, 200)
+        assert.strictEqual(Buffer.from(frame.body, 'base64').toString(), '{"name":"tobi"}')
+      })
+    })
+
+    it('should pass streamed request bodies through', function(){
+      var app = express()
+      var sent = []
+
+      app.use(express.text())
+      app.post('/', function(req, res){
+        res.send(req.body.toUpperCase())
+      })
+
+      return boot(app, sent).then(function(host){
+        host._handleMessage(JSON.stringify({
+          id: 1, type: 'http-request', method: 'POST', url: '/', streamBody: true,
+          headers: { 'content-type': 'text/plain', 'content-length': '5' }
+        }))
+        host._handleMessage(JSON.stringify({
+          id: 1, type: 'http-request-chunk', body: Buffer.from('hello').toString('base64'), bodyEncoding: 'base64'
+        }))
+        host._handleMessage(JSON.stringify({ id: 1, type: 'http-request-end' }))
+        return waitFor(sent, 'http-response')
+      }).then(function(frame){
+        assert.strictEqual(Buffer.from(frame.body, 'base64').toString(), 'HELLO')
+      })
+    })
+
+    it('should keep the relay handshake on the main thread', function(){
+      var app = express()
+      var posted = []
+
+      return boot(app, []).then(function(host){
+        var postMessage = host.worker.postMessage
+        host.worker.postMessage = function(data){
+          posted.push(data)
+          return postMessage.apply(this, arguments)
+        }
+
+        host._handleMessage(JSON.stringify({ type: 'welcome' }))
+        host._handleMessage(JSON.stringify({ type: 'server-push', data: 1 }))
+
+        assert.deepStrictEqual(posted, [JSON.stringify({ type: 'server-push', data: 1 })])
+      })
+    })
+
+    it('should drop in-flight requests when the relay connection drops', function(){
+      var app = express()
+      var transport = null
+      var arrived = new Promise(function(resolve){
+        app.get('/slow', function(req, res){
+          transport = req.socket.transport
+          resolve()
+        })
+      })
+
+      return boot(app, []).then(function(host){
+        host._handleMessage(JSON.stringify({
+          id: 1, type: 'http-request', method: 'GET', url: '/slow', headers: {}
+        }))
+        return arrived.then(function(){
+          assert.strictEqual(transport.activeRequests.size, 1)
+          host.emit('disconnect')
+          return new Promise(function(resolve){
+            transport.once('disconnect', resolve)
+          })
+        })
+      }).then(function(){
+        assert.strictEqual(transport.activeRequests.size, 0)
+        assert.strictEqual(transport.isReady(), false)
+      })
+    })
+
+    it('should abort in-flight requests when the transport closes', function(){
+      var app = express()
+      var transport = null
+      var response = null
+      var aborted = new Promise(function(resolve){
+        app.get('/events', function(req, res){
+          transport = req.socket.transport
+          response = res
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+          res.write('data: hello\n\n')
+          req.on('aborted', resolve)
+          transport.close()
+        })
+      })
+
+      return boot(app, []).then(function(host){
+        host._handleMessage(JSON.stringify({
+          id: 1, type: 'http-request', method: 'GET', url: '/events', headers: {}
+        }))
+        return aborted
+      }).then(function(){
+        assert.strictEqual(transport.activeRequests.size, 0)
+        assert.strictEqual(response.write('data: late\n\n'), false)
+        response.end()
+      })
+    })
+
+    it('should emit other worker messages for the page', function(){
+      var app = express()
+      var pair = createWorker(app)
+      var host = new WorkerHost(pair.worker, 'ws://localhost:8080')
+
+      closers.push(function(){ host.close() })
+      pair.scope.postMessage({ todos: 3 })
+
+      return new Promise(function(resolve){
+        host.once('message', resolve)
+      }).then(function(data){
+        assert.deepStrictEqual(data, { todos: 3 })
+      })
+    })
+
+    it('should report an app module that provides no app', function(){
+      var sent = []
+
+      return boot(null, sent).then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'https://app.test/app.js did not provide an app: assign it to self.app or export it')
+      })
+    })
+
+    it('should fail to connect outside a Worker', function(){
+      var transport = new WorkerTransport()
+
+      return transport.connect().then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'WorkerTransport must run inside a Worker')
+      })
+    })
+  })
+
+  describe('startInWorker', function(){
+    it('should reject without Web Worker support', function(){
+      return runtime.startInWorker('/app.js', { url: 'ws://localhost:8080' }).then(function(){
+        throw new Error('expected rejection')
+      }, function(err){
+        assert.strictEqual(err.message, 'Web Workers are not supported here')
+      })
+    })
+  })
+})
@@ -1,7 +1,9 @@
 'use strict'
 
 var assert = require('node:assert')
+const { Buffer } = require('node:buffer');
 var EventEmitter = require('events')
+var express = require('../')
 
 describe('transports', function(){
   describe('WebSocket transport', function(){
@@ -34,6 +36,26 @@ describe('transports', function(){
       assert.strictEqual(transport.connected, false)
     })
     
+    it('should accept a tenant option', function(){
+      var transport = new WebSocketTransport('ws://localhost:8080', { tenant: 'alice' })
+      transports.push(transport)
+      assert.strictEqual(transport.url, 'ws://localhost:8080')
+      assert.strictEqual(transport.tenant, 'alice')
+      assert.strictEqual(transport.getStats().tenant, 'alice')
+    })
+    
+    it('should announce the tenant in the handshake url', function(){
+      var transport = new WebSocketTransport('ws://localhost:8080/', { tenant: 'alice' })
+      transports.push(transport)
+      assert.strictEqual(transport._handshakeUrl(), 'ws://localhost:8080/?tenant=alice')
+    })
+    
+    it('should connect to the plain url without a tenant', function(){
+      var transport = new WebSocketTransport('ws://localhost:8080')
+      transports.push(transport)
+      assert.strictEqual(transport._handshakeUrl(), 'ws://localhost:8080')
+    })
+    
     it('should have connect method', function(){
       var transport = new WebSocketTransport('ws://localhost:8080')
       transports.push(transport)
@@ -164,5 +186,448 @@ describe('transports', function(){
       
       transport._handleMessage('invalid json')
     })
+
+    describe('binary bodies', function(){
+      var bytes = Buffer.from([0x00, 0xff, 0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xc3])
+
+      function dispatch(app, message, callback){
+        var transport = new WebSocketTransport('ws://localhost:8080')
+        transports.push(transport)
+        transport.connected = true
+        transport._send = function(response){
+          callback(response)
+        }
+        app.listen(transport)
+        transport._handleHttpRequest(message)
+      }
+
+      it('should deliver base64 request bodies as raw bytes', function(done){
+        var app = express()
+
+        app.use(express.raw())
+        app.post('/upload', function(req, res){
+          assert.ok(Buffer.isBuffer(req.body))
+          assert.ok(req.body.equals(bytes))
+          res.end()
+        })
+
+        dispatch(app, {
+          id: 1,
+          type: 'http-request',
+          method: 'POST',
+          url: '/upload',
+          headers: { 'content-type': 'application/octet-stream', 'content-length': String(bytes.length) },
+          body: bytes.toString('base64'),
+          bodyEncoding: 'base64'
+        }, function(){
+          done()
+        })
+      })
+
+      it('should treat bodies without bodyEncoding as utf8', function(done){
+        var app = express()
+
+        app.use(express.text())
+        app.post('/', function(req, res){
+          assert.strictEqual(req.body, 'caf\u00e9')
+          res.end()
+        })
+
+        dispatch(app, {
+          id: 1,
+          type: 'http-request',
+          method: 'POST',
+          url: '/',
+          headers: { 'content-type': 'text/plain' },
+          body: 'caf\u00e9'
+        }, function(){
+          done()
+        })
+      })
+
+      it('should send Buffer responses byte for byte', function(done){
+        var app = express()
+
+        app.get('/image', function(req, res){
+          res.set('ETag', '"fixed"')
+          res.type('png').send(bytes)
+        })
+
+        dispatch(app, { id: 7, type: 'http-request', method: 'GET', url: '/image', headers: {} }, function(response){
+          assert.strictEqual(response.id, 7)
+          assert.strictEqual(response.bodyEncoding, 'base64')
+          assert.ok(Buffer.from(response.body, 'base64').equals(bytes))
+          done()
+        })
+      })
+
+      it('should encode string responses as utf8', function(done){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.set('ETag', '"fixed"')
+          res.send('caf\u00e9')
+        })
+
+        dispatch(app, { id: 8, type: 'http-request', method: 'GET', url: '/', headers: {} }, function(response){
+          assert.strictEqual(Buffer.from(response.body, 'base64').toString('utf8'), 'caf\u00e9')
+          done()
+        })
+      })
+    })
+
+    describe('express request and response', function(){
+      function dispatch(app, message, callback){
+        var transport = new WebSocketTransport('ws://localhost:8080')
+        transports.push(transport)
+        transport.connected = true
+        transport._send = function(response){
+          callback(response)
+        }
+        app.listen(transport)
+        transport._handleHttpRequest(message)
+      }
+
+      function get(url, headers){
+        return { id: 1, type: 'http-request', method: 'GET', url: url, headers: headers || {} }
+      }
+
+      function text(response){
+        return Buffer.from(response.body, 'base64').toString('utf8')
+      }
+
+      it('should negotiate with res.format()', function(done){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.format({
+            'text/plain': function(){ res.send('hey') },
+            'application/json': function(){ res.json({ message: 'hey' }) }
+          })
+        })
+
+        dispatch(app, get('/', { accept: 'application/json' }), function(response){
+          assert.strictEqual(response.headers['Content-Type'], 'application/json; charset=utf-8')
+          assert.strictEqual(response.headers['Vary'], 'Accept')
+          assert.deepStrictEqual(JSON.parse(text(response)), { message: 'hey' })
+          done()
+        })
+      })
+
+      it('should redirect like express', function(done){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.redirect(303, '/next')
+        })
+
+        dispatch(app, get('/', { accept: 'text/plain' }), function(response){
+          assert.strictEqual(response.statusCode, 303)
+          assert.strictEqual(response.statusMessage, 'See Other')
+          assert.strictEqual(response.headers['Location'], '/next')
+          assert.strictEqual(text(response), 'See Other. Redirecting to /next')
+          done()
+        })
+      })
+
+      it('should use the status message of any status code', function(done){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.sendStatus(418)
+        })
+
+        dispatch(app, get('/'), function(response){
+          assert.strictEqual(response.statusCode, 418)
+          assert.strictEqual(response.statusMessage, 'I\'m a Teapot')
+          assert.strictEqual(text(response), 'I\'m a Teapot')
+          done()
+        })
+      })
+
+      it('should keep header case and multiple values', function(done){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.cookie('a', '1')
+          res.cookie('b', '2')
+          res.location('/there')
+          res.end()
+        })
+
+        dispatch(app, get('/'), function(response){
+          assert.deepStrictEqual(response.headers['Set-Cookie'], ['a=1; Path=/', 'b=2; Path=/'])
+          assert.strictEqual(response.headers['Location'], '/there')
+          assert.strictEqual(response.headers['X-Powered-By'], 'Express')
+          done()
+        })
+      })
+
+      it('should not send a body for HEAD', function(done){
+        var app = express()
+
+        app.get('/', function(req, res){
+          res.send('hello')
+        })
+
+        dispatch(app, { id: 1, type: 'http-request', method: 'HEAD', url: '/', headers: {} }, function(response){
+          assert.strictEqual(response.headers['Content-Length'], '5')
+          assert.strictEqual(response.body, '')
+          done()
+        })
+      })
+
+      it('should take the socket from the relay', function(done){
+        var app = express()
+
+        app.get('/', function(req, res){
+          assert.strictEqual(req.ip, '203.0.113.7')
+          assert.strictEqual(req.protocol, 'https')
+          assert.strictEqual(req.secure, true)
+          assert.strictEqual(req.query.q, 'tobi')
+          res.end()
+          done()
+        })
+
+        dispatch(app, {
+          id: 1,
+          type: 'http-request',
+          method: 'GET',
+          url: '/?q=tobi',
+          headers: {},
+          remoteAddress: '203.0.113.7',
+          protocol: 'https'
+        }, function(){})
+      })
+    })
+
+    describe('streamed request bodies', function(){
+      function dispatch(app, message, frames){
+        var transport = new WebSocketTransport('ws://localhost:8080')
+        transports.push(transport)
+        transport.connected = true
+        transport._send = function(frame){
+          frames.push(frame)
+        }
+        app.listen(transport)
+        transport._handleHttpRequest(message)
+        return transport
+      }
+
+      function chunk(id, text){
+        return JSON.stringify({
+          id: id,
+          type: 'http-request-chunk',
+          body: Buffer.from(text).toString('base64'),
+          bodyEncoding: 'base64'
+        })
+      }
+
+      it('should expose the request as a Readable', function(done){
+        var app = express()
+        var Readable = require('stream').Readable
+
+        app.post('/', function(req, res){
+          assert.ok(req instanceof Readable)
+          assert.strictEqual(typeof req.pipe, 'function')
+          res.end()
+          done()
+        })
+
+        dispatch(app, { id: 1, type: 'http-request', method: 'POST', url: '/', headers: {}, streamBody: true }, [])
+      })
+
+      it('should assemble chunks for body parsers', function(done){
+        var app = express()
+        var frames = []
+
+        app.use(express.json())
+        app.post('/', function(req, res){
+          assert.deepStrictEqual(req.body, { name: 'tobi', species: 'ferret' })
+          res.end()
+          done()
+        })
+
+        var transport = dispatch(app, {
+          id: 2,
+          type: 'http-request',
+          method: 'POST',
+          url: '/',
+          headers: { 'content-type': 'application/json', 'transfer-encoding': 'chunked' },
+          streamBody: true
+        }, frames)
+
+        transport._handleMessage(chunk(2, '{"name":"tobi",'))
+        transport._handleMessage(chunk(2, '"species":"ferret"}'))
+        transport._handleMessage(JSON.stringify({ id: 2, type: 'http-request-end' }))
+      })
+
+      it('should grant credit as the body is consumed', function(done){
+        var app = express()
+        var frames = []
+        var transport
+
+        app.post('/', function(req, res){
+          var total = 0
+
+          req.on('data', function(data){ total += data.length })
+          req.on('end', function(){
+            assert.strictEqual(total, 10)
+            res.end()
+            done()
+          })
+
+          setTimeout(function(){
+            transport._handleMessage(chunk(3, 'hello'))
+            setTimeout(function(){
+              var credit = frames.filter(function(f){ return f.type === 'http-request-credit' })
+              assert.deepStrictEqual(credit, [{ id: 3, type: 'http-request-credit', bytes: 5 }])
+              transport._handleMessage(chunk(3, 'world'))
+              transport._handleMessage(JSON.stringify({ id: 3, type: 'http-request-end' }))
+            }, 10)
+          }, 0)
+        })
+
+        transport = dispatch(app, { id: 3, type: 'http-request', method: 'POST', url: '/', headers: {}, streamBody: true }, frames)
+      })
+
+      it('should not grant credit while the buffer is full', function(done){
+        var app = express()
+        var frames = []
+        var transport
+
+        app.post('/', function(req, res){
+          setTimeout(function(){
+            transport._handleMessage(chunk(4, Array(20001).join('x')))
+            setTimeout(function(){
+              assert.strictEqual(frames.filter(function(f){ return f.type === 'http-request-credit' }).length, 0)
+              res.end()
+              done()
+            }, 10)
+          }, 0)
+        })
+
+        transport = dispatch(app, { id: 4, type: 'http-request', method: 'POST', url: '/', headers: {}, streamBody: true }, frames)
+      })
+    })
+
+    describe('streamed responses', function(){
+      function dispatch(app, message, frames){
+        var transport = new WebSocketTransport('ws://localhost:8080')
+        transports.push(transport)
+        transport.connected = true
+        transport._send = function(frame){
+          frames.push(frame)
+        }
+        app.listen(transport)
+        transport._handleHttpRequest(message)
+        return transport
+      }
+
+      function text(frame){
+        return Buffer.from(frame.body, 'base64').toString()
+      }
+
+      it('should send head, data and end frames for res.write()', function(done){
+        var app = express()
+        var frames = []
+
+        app.get('/events', function(req, res){
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+          res.write('data: one\n\n')
+          res.write('data: two\n\n')
+          res.end()
+
+          assert.deepStrictEqual(frames.map(function(f){ return f.type }), [
+            'http-response-head',
+            'http-response-chunk',
+            'http-response-chunk',
+            'http-response-end'
+          ])
+          assert.ok(frames.every(function(f){ return f.id === 3 }))
+          assert.strictEqual(frames[0].statusCode, 200)
+          assert.strictEqual(frames[0].headers['Content-Type'], 'text/event-stream')
+          assert.strictEqual(text(frames[1]), 'data: one\n\n')
+          assert.strictEqual(text(frames[2]), 'data: two\n\n')
+          done()
+        })
+
+        dispatch(app, { id: 3, type: 'http-request', method: 'GET', url: '/events', headers: {} }, frames)
+      })
+
+      it('should send headers on res.flushHeaders()', function(done){
+        var app = express()
+        var frames = []
+
+        app.get('/', function(req, res){
+          res.set('Content-Type', 'text/html')
+          res.flushHeaders()
+
+          assert.strictEqual(frames.length, 1)
+          assert.strictEqual(frames[0].type, 'http-response-head')
+
+          res.end('<p>done</p>')
+          assert.strictEqual(frames[1].type, 'http-response-end')
+          assert.strictEqual(text(frames[1]), '<p>done</p>')
+          done()
+        })
+
+        dispatch(app, { id: 4, type: 'http-request', method: 'GET', url: '/', headers: {} }, frames)
+      })
+
+      it('should emit close on req when the relay aborts', function(done){
+        var app = express()
+        var frames = []
+        var transport
+
+        app.get('/events', function(req, res){
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+          res.write('data: hello\n\n')
+
+          req.on('close', function(){
+            assert.strictEqual(req.aborted, true)
+            assert.strictEqual(res.write('data: late\n\n'), false)
+            assert.strictEqual(frames.length, 2)
+            assert.strictEqual(transport.activeRequests.size, 0)
+            done()
+          })
+
+          setTimeout(function(){
+            transport._handleMessage(JSON.stringify({ id: 5, type: 'http-request-abort' }))
+          }, 0)
+        })
+
+        transport = dispatch(app, { id: 5, type: 'http-request', method: 'GET', url: '/events', headers: {} }, frames)
+      })
+
+      it('should abort streaming responses when the relay disconnects', function(done){
+        var app = express()
+        var frames = []
+        var transport
+
+        app.get('/events', function(req, res){
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' })
+          res.write('data: hello\n\n')
+
+          req.on('aborted', function(){
+            assert.strictEqual(res.write('data: late\n\n'), false)
+            res.end()
+            assert.strictEqual(frames.length, 2)
+            assert.strictEqual(transport.activeRequests.size, 0)
+            done()
+          })
+
+          setTimeout(function(){
+            // The real _send, which fails once the socket is gone
+            delete transport._send
+            transport.connected = false
+            transport.closed = true
+            transport._handleDisconnect()
+          }, 0)
+        })
+
+        transport = dispatch(app, { id: 6, type: 'http-request', method: 'GET', url: '/events', headers: {} }, frames)
+      })
+    })
   })
-})
\ No newline at end of file
+})
@@ -46,6 +46,7 @@ module.exports = {
       'path': path.resolve(__dirname, 'lib/polyfills/path.js'),
       'http': path.resolve(__dirname, 'lib/polyfills/http-stub.js'),
       'net': path.resolve(__dirname, 'lib/polyfills/net-stub.js'),
+      'fs/promises': path.resolve(__dirname, 'lib/polyfills/fs/promises.js'),
       'fs': path.resolve(__dirname, 'lib/polyfills/fs-opfs-adapter.js'),
       'crypto': path.resolve(__dirname, 'lib/polyfills/crypto-stub.js'),
       'string_decoder': false,
@@ -55,6 +56,7 @@ module.exports = {
       'qs': require.resolve('qs'),
       'zlib': path.resolve(__dirname, 'lib/polyfills/zlib-stub.js'),
       'node:zlib': path.resolve(__dirname, 'lib/polyfills/zlib-stub.js'),
+      'stream/promises': path.resolve(__dirname, 'lib/polyfills/stream/promises.js'),
       'stream': path.resolve(__dirname, 'lib/polyfills/stream-stub.js'),
       'util': require.resolve('util/'),
       'async_hooks': path.resolve(__dirname, 'lib/polyfills/async-hooks-stub.js'),
@@ -86,6 +88,9 @@ module.exports = {
           case 'fs':
             resource.request = path.resolve(__dirname, 'lib/polyfills/fs-opfs-adapter.js');
             break;
+          case 'fs/promises':
+            resource.request = path.resolve(__dirname, 'lib/polyfills/fs/promises.js');
+            break;
           case 'events':
             resource.request = require.resolve('events');
             break;
@@ -107,6 +112,9 @@ module.exports = {
           case 'stream':
             resource.request = path.resolve(__dirname, 'lib/polyfills/stream-stub.js');
             break;
+          case 'stream/promises':
+            resource.request = path.resolve(__dirname, 'lib/polyfills/stream/promises.js');
+            break;
           case 'crypto':
             resource.request = path.resolve(__dirname, 'lib/polyfills/crypto-stub.js');
             break;